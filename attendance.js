@@ -0,0 +1,348 @@
+// Campaign check-in and attendance.
+//
+// A host opens a check-in session for a campaign day and shows its QR code. The code holds a
+// token that changes every rotate_seconds: an HMAC of the session id and the current time window
+// under the session's secret, so rotating needs no writes and a photo of the code stops working
+// soon after. The previous window's token is still accepted, so a scan at the turn of a window
+// does not fail. Volunteers scan it to check in and again to check out; a host may instead scan a
+// volunteer's digital ID while holding the current token. Closing the session checks out whoever
+// is still in.
+//
+// A session, and attendance recorded by hand, can be for one of the campaign's shifts
+// (shifts.js). Its records then carry the shift, so hours are confirmed per shift worked.
+//
+// Attendance is what hours and respect are credited for. The host confirms each record, with
+// the hours measured between check-in and check-out or corrected by hand, or rejects it. Nobody
+// confirms or records their own attendance; the host's is left to a campaign reviewer.
+// syncAttendanceRewards then credits an approved team member the confirmed hours and the
+// campaign's respect, and keeps an 'attended_campaign' activity in their feed. What it credited
+// is kept on campaign_team (rewarded_hours, rewarded_respect), so syncing again only applies
+// the difference. Members without any attendance record are left alone: they were credited when
+// their membership was approved, before attendance was tracked.
+
+import crypto from 'crypto';
+import { ledgerError } from './ledger.js';
+
+export const ATTENDANCE_STATUSES = ['checked_in', 'checked_out', 'confirmed', 'rejected'];
+
+const MAX_HOURS_PER_RECORD = 24;
+
+const toHours = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const signWindow = (session, window) => crypto
+  .createHmac('sha256', session.secret)
+  .update(`${session.id}:${window}`)
+  .digest('base64url')
+  .slice(0, 16);
+
+// The token a session's QR code shows at a given moment, and when it stops being current
+export function checkinToken(session, at = Date.now()) {
+  const window = Math.floor(at / 1000 / session.rotate_seconds);
+  return {
+    token: `${session.id}.${signWindow(session, window)}`,
+    expiresAt: new Date((window + 1) * session.rotate_seconds * 1000)
+  };
+}
+
+const publicSession = (session) => session && {
+  id: session.id,
+  campaign_id: session.campaign_id,
+  shift_id: session.shift_id ?? null,
+  status: session.status,
+  rotate_seconds: session.rotate_seconds,
+  opened_by: session.opened_by,
+  opened_at: session.opened_at,
+  closed_by: session.closed_by,
+  closed_at: session.closed_at
+};
+
+export async function getOpenSession(conn, campaignId) {
+  const [rows] = await conn.query(
+    "SELECT * FROM campaign_checkin_sessions WHERE campaign_id = ? AND status = 'open' ORDER BY id DESC LIMIT 1",
+    [campaignId]
+  );
+  return rows[0] || null;
+}
+
+// Close a session and check out everyone still checked in, at the closing time
+export async function closeCheckinSession(conn, sessionId, closedBy = null) {
+  const [result] = await conn.query(`
+    UPDATE campaign_checkin_sessions SET status = 'closed', closed_by = ?, closed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'open'
+  `, [closedBy, sessionId]);
+  if (!result.affectedRows) throw ledgerError('Check-in session is not open', 409);
+  const [checkedOut] = await conn.query(`
+    UPDATE campaign_attendance
+    SET status = 'checked_out', checked_out_at = CURRENT_TIMESTAMP, auto_checked_out = 1,
+      recorded_hours = ROUND(TIMESTAMPDIFF(MINUTE, checked_in_at, CURRENT_TIMESTAMP) / 60, 2)
+    WHERE session_id = ? AND status = 'checked_in'
+  `, [sessionId]);
+  return { checkedOut: checkedOut.affectedRows };
+}
+
+// Open a new session for the campaign, or one of its shifts, closing the one still open
+export async function openCheckinSession(conn, campaignId, { rotateSeconds, openedBy, shiftId = null }) {
+  const seconds = Number(rotateSeconds);
+  if (!Number.isInteger(seconds) || seconds < 10 || seconds > 3600) {
+    throw ledgerError('rotateSeconds must be a whole number between 10 and 3600');
+  }
+  const open = await getOpenSession(conn, campaignId);
+  if (open) await closeCheckinSession(conn, open.id, openedBy);
+
+  const [result] = await conn.query(`
+    INSERT INTO campaign_checkin_sessions (campaign_id, shift_id, secret, rotate_seconds, opened_by)
+    VALUES (?, ?, ?, ?, ?)
+  `, [campaignId, shiftId, crypto.randomBytes(32).toString('hex'), seconds, openedBy]);
+  const [rows] = await conn.query('SELECT * FROM campaign_checkin_sessions WHERE id = ?', [result.insertId]);
+  return rows[0];
+}
+
+// The session with its current token, for the host's screen
+export function describeSession(session) {
+  if (!session) return null;
+  return { ...publicSession(session), ...(session.status === 'open' ? checkinToken(session) : {}) };
+}
+
+// The open session a scanned token belongs to. Throws 400 for a token that is malformed,
+// expired or from a closed session.
+export async function verifyCheckinToken(conn, token, at = Date.now()) {
+  const [sessionId, signature] = String(token || '').split('.');
+  if (!/^\d+$/.test(sessionId || '') || !signature) throw ledgerError('This is not a check-in code');
+  const [rows] = await conn.query('SELECT * FROM campaign_checkin_sessions WHERE id = ?', [sessionId]);
+  const session = rows[0];
+  if (!session || session.status !== 'open') throw ledgerError('Check-in for this session has closed');
+
+  const window = Math.floor(at / 1000 / session.rotate_seconds);
+  const given = Buffer.from(signature);
+  const valid = [window, window - 1].some(each => {
+    const expected = Buffer.from(signWindow(session, each));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+  if (!valid) throw ledgerError('This check-in code has expired; scan the one on screen now');
+  return session;
+}
+
+// The volunteer with a digital ID and their place on the campaign team
+export async function findCampaignVolunteer(conn, campaignId, { digitalId = null, volunteerId = null }) {
+  const [volunteers] = await conn.query(
+    `SELECT id, full_name, digital_id FROM volunteers WHERE ${digitalId ? 'digital_id = ?' : 'id = ?'}`,
+    [digitalId || volunteerId]
+  );
+  const volunteer = volunteers[0];
+  if (!volunteer) throw ledgerError(digitalId ? `No volunteer has the digital ID ${digitalId}` : 'Volunteer not found', 404);
+  const [members] = await conn.query(
+    'SELECT id, role, approval_status FROM campaign_team WHERE campaign_id = ? AND volunteer_id = ? ORDER BY id LIMIT 1',
+    [campaignId, volunteer.id]
+  );
+  if (!members[0]) throw ledgerError(`${volunteer.full_name} has not joined this campaign`, 403);
+  return { ...volunteer, member: members[0] };
+}
+
+// Check a volunteer in or out of a session. action is 'in', 'out' or null to toggle.
+// Returns the attendance record.
+export async function recordCheckin(conn, session, volunteer, action = null) {
+  if (action !== null && !['in', 'out'].includes(action)) throw ledgerError("action must be 'in' or 'out'");
+  const [rows] = await conn.query(
+    'SELECT * FROM campaign_attendance WHERE session_id = ? AND volunteer_id = ? FOR UPDATE',
+    [session.id, volunteer.id]
+  );
+  const record = rows[0];
+  const direction = action || (record?.status === 'checked_in' ? 'out' : 'in');
+
+  if (direction === 'in') {
+    if (record) {
+      throw ledgerError(record.status === 'checked_in'
+        ? `${volunteer.full_name} is already checked in`
+        : `${volunteer.full_name} already checked out of this session; the host can correct the hours`, 409);
+    }
+    const [result] = await conn.query(`
+      INSERT INTO campaign_attendance (campaign_id, session_id, shift_id, volunteer_id, team_member_id, method, checked_in_at)
+      VALUES (?, ?, ?, ?, ?, 'qr', CURRENT_TIMESTAMP)
+    `, [session.campaign_id, session.id, session.shift_id ?? null, volunteer.id, volunteer.member.id]);
+    return getAttendance(conn, result.insertId);
+  }
+
+  if (!record) throw ledgerError(`${volunteer.full_name} has not checked in`, 409);
+  if (record.status !== 'checked_in') throw ledgerError(`${volunteer.full_name} already checked out`, 409);
+  await conn.query(`
+    UPDATE campaign_attendance
+    SET status = 'checked_out', checked_out_at = CURRENT_TIMESTAMP,
+      recorded_hours = ROUND(TIMESTAMPDIFF(MINUTE, checked_in_at, CURRENT_TIMESTAMP) / 60, 2)
+    WHERE id = ?
+  `, [record.id]);
+  return getAttendance(conn, record.id);
+}
+
+export async function getAttendance(conn, attendanceId, { lock = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT * FROM campaign_attendance WHERE id = ? ${lock ? 'FOR UPDATE' : ''}`,
+    [attendanceId]
+  );
+  const record = rows[0];
+  if (!record) return null;
+  return {
+    ...record,
+    recorded_hours: record.recorded_hours === null ? null : Number(record.recorded_hours),
+    confirmed_hours: record.confirmed_hours === null ? null : Number(record.confirmed_hours)
+  };
+}
+
+const parseHours = (value) => {
+  const hours = toHours(value);
+  if (value === null || value === undefined || value === '' || !(hours >= 0 && hours <= MAX_HOURS_PER_RECORD)) {
+    throw ledgerError(`hours must be between 0 and ${MAX_HOURS_PER_RECORD}`);
+  }
+  return hours;
+};
+
+// Attendance the host records by hand for someone who did not scan; it counts as confirmed.
+// A shift is only credited once per volunteer, so one with a record that was not rejected is refused.
+export async function recordManualAttendance(conn, volunteer, { campaignId, shiftId = null, hours, note = null, by }) {
+  if (volunteer.id === by) throw ledgerError('You cannot record your own attendance', 403);
+  if (shiftId) {
+    const [existing] = await conn.query(
+      "SELECT id FROM campaign_attendance WHERE shift_id = ? AND volunteer_id = ? AND status <> 'rejected' LIMIT 1",
+      [shiftId, volunteer.id]
+    );
+    if (existing[0]) {
+      throw ledgerError(`${volunteer.full_name} already has attendance for this shift; review record ${existing[0].id} instead`, 409);
+    }
+  }
+  const [result] = await conn.query(`
+    INSERT INTO campaign_attendance
+      (campaign_id, shift_id, volunteer_id, team_member_id, method, status, confirmed_hours, note, reviewed_by, reviewed_at)
+    VALUES (?, ?, ?, ?, 'manual', 'confirmed', ?, ?, ?, CURRENT_TIMESTAMP)
+  `, [campaignId, shiftId, volunteer.id, volunteer.member.id, parseHours(hours), note, by]);
+  return getAttendance(conn, result.insertId);
+}
+
+// Confirm a record (with the measured hours unless hours is given) or reject it. A volunteer
+// still checked in is checked out now.
+export async function reviewAttendance(conn, record, { status, hours, note = null, by }) {
+  if (!['confirmed', 'rejected'].includes(status)) throw ledgerError("status must be 'confirmed' or 'rejected'");
+  let confirmedHours = null;
+  if (status === 'confirmed') {
+    if (record.volunteer_id === by) throw ledgerError('You cannot confirm your own attendance', 403);
+    const measured = record.status === 'checked_in'
+      ? (Date.now() - new Date(record.checked_in_at).getTime()) / 3600000
+      : record.recorded_hours;
+    if ((hours === undefined || hours === null || hours === '') && measured === null) {
+      throw ledgerError('This record has no measured time; send the hours to confirm');
+    }
+    confirmedHours = hours === undefined || hours === null || hours === ''
+      ? Math.min(toHours(measured), MAX_HOURS_PER_RECORD)
+      : parseHours(hours);
+  }
+  await conn.query(`
+    UPDATE campaign_attendance
+    SET status = ?, confirmed_hours = ?, note = COALESCE(?, note), reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+      checked_out_at = CASE WHEN checked_in_at IS NOT NULL AND checked_out_at IS NULL THEN CURRENT_TIMESTAMP ELSE checked_out_at END,
+      recorded_hours = CASE WHEN checked_in_at IS NOT NULL AND recorded_hours IS NULL
+        THEN ROUND(TIMESTAMPDIFF(MINUTE, checked_in_at, CURRENT_TIMESTAMP) / 60, 2) ELSE recorded_hours END
+    WHERE id = ?
+  `, [status, confirmedHours, note, by, record.id]);
+  return getAttendance(conn, record.id);
+}
+
+// Credit a team member what their confirmed attendance earns and keep their activity in step.
+// Returns { hours, respect, hoursAdded, respectAdded }, or null when there is nothing to do.
+export async function syncAttendanceRewards(conn, campaignId, volunteerId) {
+  const [members] = await conn.query(`
+    SELECT ct.*, c.title as campaign_title, c.program_respect
+    FROM campaign_team ct
+    JOIN campaigns c ON c.id = ct.campaign_id
+    WHERE ct.campaign_id = ? AND ct.volunteer_id = ?
+    ORDER BY ct.id LIMIT 1
+    FOR UPDATE
+  `, [campaignId, volunteerId]);
+  const member = members[0];
+  if (!member) return null;
+
+  const [[attendance]] = await conn.query(`
+    SELECT COUNT(*) as records, COALESCE(SUM(status = 'confirmed'), 0) as confirmed,
+      COALESCE(SUM(CASE WHEN status = 'confirmed' THEN confirmed_hours END), 0) as hours
+    FROM campaign_attendance WHERE campaign_id = ? AND volunteer_id = ?
+  `, [campaignId, volunteerId]);
+  if (!Number(attendance.records)) return null;
+
+  const earned = member.approval_status === 'approved' && Number(attendance.confirmed) > 0;
+  const hours = earned ? Math.round(Number(attendance.hours)) : 0;
+  const respect = earned ? (member.respect || member.program_respect || 0) : 0;
+  const hoursAdded = hours - (member.rewarded_hours || 0);
+  const respectAdded = respect - (member.rewarded_respect || 0);
+
+  if (hoursAdded || respectAdded) {
+    // Respect counts towards both points and respect_points, as it always has
+    await conn.query(
+      'UPDATE volunteers SET hours_given = hours_given + ?, points = points + ?, respect_points = respect_points + ? WHERE id = ?',
+      [hoursAdded, respectAdded, respectAdded, volunteerId]
+    );
+    await conn.query(
+      'UPDATE campaign_team SET rewarded_hours = ?, rewarded_respect = ? WHERE id = ?',
+      [hours, respect, member.id]
+    );
+  }
+
+  const [activities] = await conn.query(
+    "SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = 'attended_campaign' AND campaign_id = ?",
+    [volunteerId, campaignId]
+  );
+  if (earned) {
+    const roleDesc = member.role === 'Program Host' ? 'host' : member.role.toLowerCase();
+    const description = `Attended campaign as ${roleDesc}: ${member.campaign_title} (${hours} hour${hours === 1 ? '' : 's'})`;
+    if (activities[0]) {
+      await conn.query('UPDATE activities SET description = ?, role = ? WHERE id = ?', [description, member.role, activities[0].id]);
+    } else {
+      await conn.query(
+        'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+        [volunteerId, 'attended_campaign', description, campaignId, member.campaign_title, member.role]
+      );
+    }
+  } else if (activities[0]) {
+    await conn.query('DELETE FROM activities WHERE id = ?', [activities[0].id]);
+  }
+
+  return { volunteerId: Number(volunteerId), hours, respect, hoursAdded, respectAdded };
+}
+
+// Every attendance record of a campaign, and per team member what was confirmed and credited
+export async function listAttendance(conn, campaignId) {
+  const [records] = await conn.query(`
+    SELECT a.*, v.full_name, v.avatar, v.digital_id, ct.role, s.title as shift_title, s.starts_at as shift_starts_at
+    FROM campaign_attendance a
+    JOIN volunteers v ON v.id = a.volunteer_id
+    LEFT JOIN campaign_team ct ON ct.id = a.team_member_id
+    LEFT JOIN campaign_shifts s ON s.id = a.shift_id
+    WHERE a.campaign_id = ?
+    ORDER BY COALESCE(a.checked_in_at, a.created_at), a.id
+  `, [campaignId]);
+  const [team] = await conn.query(`
+    SELECT ct.id as team_member_id, ct.volunteer_id, v.full_name, v.digital_id, ct.role, ct.approval_status,
+      ct.hours as planned_hours, ct.respect as planned_respect, ct.rewarded_hours, ct.rewarded_respect,
+      COUNT(a.id) as records,
+      COALESCE(SUM(a.status = 'confirmed'), 0) as confirmed_records,
+      COALESCE(SUM(CASE WHEN a.status = 'confirmed' THEN a.confirmed_hours END), 0) as confirmed_hours
+    FROM campaign_team ct
+    JOIN volunteers v ON v.id = ct.volunteer_id
+    LEFT JOIN campaign_attendance a ON a.campaign_id = ct.campaign_id AND a.volunteer_id = ct.volunteer_id
+    WHERE ct.campaign_id = ?
+    GROUP BY ct.id
+    ORDER BY ct.role = 'Program Host' DESC, v.full_name
+  `, [campaignId]);
+
+  return {
+    records: records.map(record => ({
+      ...record,
+      recorded_hours: record.recorded_hours === null ? null : Number(record.recorded_hours),
+      confirmed_hours: record.confirmed_hours === null ? null : Number(record.confirmed_hours),
+      auto_checked_out: Boolean(record.auto_checked_out)
+    })),
+    team: team.map(member => ({
+      ...member,
+      records: Number(member.records),
+      confirmed_records: Number(member.confirmed_records),
+      confirmed_hours: toHours(member.confirmed_hours),
+      attended: Number(member.confirmed_records) > 0
+    }))
+  };
+}
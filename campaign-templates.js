@@ -0,0 +1,350 @@
+// Campaign templates, cloning and team invitations.
+//
+// A template holds the defaults of a kind of campaign that is run again and again: title,
+// description, image, location, headcount, hours and respect, budget and budget lines, and the
+// roles with their capacities. A template belongs to a wing or, without one, to the whole
+// organisation. A campaign created with a templateId takes from it whatever the request leaves
+// out, and the template's role capacities become the campaign's (waitlist.js).
+//
+// Cloning copies a campaign into a new draft with a new date: its details, role capacities and
+// shifts (moved by as many days as the date moved), but no money, team or attendance. The team
+// can come along as invitations. A draft is only listed for its host and cannot be joined;
+// submitting it for review sends the invitations. A volunteer who accepts joins like anyone
+// else, so a full role puts them on the waitlist.
+
+import { ledgerError } from './ledger.js';
+import { copyShifts } from './shifts.js';
+import { joinCampaign, saveRoleCapacities } from './waitlist.js';
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'cancelled'];
+
+const HOST_ROLE = 'Program Host';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Request field -> template column
+const TEMPLATE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  image: 'image',
+  location: 'location',
+  volunteersNeeded: 'volunteers_needed',
+  programHours: 'program_hours',
+  programRespect: 'program_respect',
+  livesImpacted: 'lives_impacted',
+  budget: 'budget',
+  goal: 'goal',
+  budgetBreakdown: 'budget_breakdown',
+  roles: 'roles'
+};
+
+const COUNT_FIELDS = ['volunteersNeeded', 'programHours', 'programRespect', 'livesImpacted'];
+const AMOUNT_FIELDS = ['budget', 'goal'];
+
+const cleanText = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseJsonList = (value) => {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const parseBudgetLines = (value) => {
+  let lines = value;
+  if (typeof value === 'string') {
+    try {
+      lines = JSON.parse(value || '[]');
+    } catch {
+      lines = null;
+    }
+  }
+  if (!Array.isArray(lines)) throw ledgerError('budgetBreakdown must be a list of budget lines');
+  return lines;
+};
+
+const parseRoles = (value) => {
+  if (!Array.isArray(value)) throw ledgerError('roles must be a list of { role, capacity, taskNote }');
+  const roles = value.map(entry => {
+    const role = cleanText(entry?.role);
+    if (!role) throw ledgerError('Every role needs a name');
+    if (role === HOST_ROLE) throw ledgerError('The Program Host joins with the campaign; leave it out of the roles');
+    const capacity = isBlank(entry.capacity) ? null : Number(entry.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) {
+      throw ledgerError(`Capacity of ${role} must be a whole number of 0 or more, or empty for no limit`);
+    }
+    return { role, capacity, taskNote: cleanText(entry.taskNote) };
+  });
+  if (new Set(roles.map(each => each.role)).size !== roles.length) throw ledgerError('A role is listed twice');
+  return roles;
+};
+
+const parseField = (field, value) => {
+  if (field === 'roles') return JSON.stringify(parseRoles(value));
+  if (field === 'budgetBreakdown') return JSON.stringify(parseBudgetLines(value));
+  if (isBlank(value)) return null;
+  if (COUNT_FIELDS.includes(field)) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) throw ledgerError(`${field} must be a whole number of 0 or more`);
+    return count;
+  }
+  if (AMOUNT_FIELDS.includes(field)) {
+    const amount = Number(value);
+    if (!(amount >= 0)) throw ledgerError(`${field} must be an amount of 0 or more`);
+    return amount;
+  }
+  return cleanText(value);
+};
+
+// Template columns from request fields; on update (partial) only the fields sent
+const parseTemplateFields = (fields, { partial = false } = {}) => {
+  const columns = {};
+  if (!partial || fields.name !== undefined) {
+    const name = cleanText(fields.name);
+    if (!name) throw ledgerError('name is required');
+    columns.name = name;
+  }
+  for (const [field, column] of Object.entries(TEMPLATE_FIELDS)) {
+    if (fields[field] !== undefined) columns[column] = parseField(field, fields[field]);
+  }
+  return columns;
+};
+
+const toTemplate = (row) => ({
+  ...row,
+  budget: row.budget === null ? null : Number(row.budget),
+  goal: row.goal === null ? null : Number(row.goal),
+  budget_breakdown: parseJsonList(row.budget_breakdown),
+  roles: parseJsonList(row.roles),
+  ...(row.campaigns_created !== undefined ? { campaigns_created: Number(row.campaigns_created) } : {})
+});
+
+export async function getTemplate(conn, templateId) {
+  const [rows] = await conn.query(`
+    SELECT t.*, w.name as wing_name FROM campaign_templates t
+    LEFT JOIN wings w ON w.id = t.wing_id
+    WHERE t.id = ?
+  `, [templateId]);
+  if (!rows[0]) throw ledgerError('Template not found', 404);
+  return toTemplate(rows[0]);
+}
+
+// Organisation templates and the wing's, or every template without a wing
+export async function listTemplates(conn, { wingId = null } = {}) {
+  const [rows] = await conn.query(`
+    SELECT t.*, w.name as wing_name,
+      (SELECT COUNT(*) FROM campaigns c WHERE c.template_id = t.id) as campaigns_created
+    FROM campaign_templates t
+    LEFT JOIN wings w ON w.id = t.wing_id
+    ${wingId ? 'WHERE t.wing_id IS NULL OR t.wing_id = ?' : ''}
+    ORDER BY t.wing_id IS NOT NULL, w.name, t.name
+  `, wingId ? [wingId] : []);
+  return rows.map(toTemplate);
+}
+
+// Returns the new template's id
+export async function createTemplate(conn, fields, { wingId = null, createdBy }) {
+  const columns = { ...parseTemplateFields(fields), wing_id: wingId, created_by: createdBy };
+  const names = Object.keys(columns);
+  const [result] = await conn.query(
+    `INSERT INTO campaign_templates (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    Object.values(columns)
+  );
+  return result.insertId;
+}
+
+export async function updateTemplate(conn, templateId, fields, updatedBy) {
+  const columns = parseTemplateFields(fields, { partial: true });
+  if (!Object.keys(columns).length) throw ledgerError('Nothing to update');
+  const sets = Object.keys(columns).map(name => `${name} = ?`);
+  await conn.query(
+    `UPDATE campaign_templates SET ${sets.join(', ')}, updated_by = ? WHERE id = ?`,
+    [...Object.values(columns), updatedBy, templateId]
+  );
+}
+
+// Campaigns made from the template keep their details but no longer point at it
+export async function deleteTemplate(conn, templateId) {
+  await conn.query('UPDATE campaigns SET template_id = NULL WHERE template_id = ?', [templateId]);
+  await conn.query('DELETE FROM campaign_templates WHERE id = ?', [templateId]);
+}
+
+// A template for a campaign of the given wing (by id or name): the organisation's or that wing's
+export async function getTemplateForWing(conn, templateId, { wingId = null, wingName = null }) {
+  const template = await getTemplate(conn, templateId);
+  const ownWing = template.wing_id === null
+    || (wingId !== null && template.wing_id === Number(wingId))
+    || (wingName !== null && template.wing_name === wingName);
+  if (!ownWing) throw ledgerError(`Template "${template.name}" belongs to ${template.wing_name}`, 403);
+  return template;
+}
+
+// The request with what it leaves out taken from the template. names maps a template field to
+// the request's name for it, where the two differ.
+export function withTemplateDefaults(body, template, names = {}) {
+  const lineTotal = template.budget_breakdown.reduce((sum, line) => sum + (Number(line?.amount) || 0), 0);
+  const defaults = {
+    title: template.title,
+    description: template.description,
+    image: template.image,
+    location: template.location,
+    volunteersNeeded: template.volunteers_needed,
+    programHours: template.program_hours,
+    programRespect: template.program_respect,
+    livesImpacted: template.lives_impacted,
+    budget: template.budget ?? (lineTotal || null),
+    goal: template.goal,
+    budgetBreakdown: template.budget_breakdown.length ? JSON.stringify(template.budget_breakdown) : null
+  };
+  const merged = { ...body };
+  for (const [field, value] of Object.entries(defaults)) {
+    const name = names[field] || field;
+    if (isBlank(merged[name]) && value !== null && value !== undefined) merged[name] = value;
+  }
+  return merged;
+}
+
+// Tie a new campaign to its template and give it the template's role capacities
+export async function applyTemplateToCampaign(conn, campaignId, template) {
+  await conn.query('UPDATE campaigns SET template_id = ? WHERE id = ?', [template.id, campaignId]);
+  const capacities = template.roles
+    .filter(role => role.capacity !== null && role.capacity !== undefined)
+    .map(({ role, capacity }) => ({ role, capacity }));
+  if (capacities.length) await saveRoleCapacities(conn, campaignId, capacities);
+}
+
+// Copy a campaign into a new draft hosted by hostId, on date (YYYY-MM-DD). With carryTeam, the
+// approved team is invited to the draft. Returns { campaignId, shifts, invitations }.
+export async function cloneCampaign(conn, source, { title, date, hostId, carryTeam = false }) {
+  const day = String(date || '').trim();
+  const parsed = new Date(`${day}T00:00:00Z`);
+  if (!DATE_PATTERN.test(day) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== day) {
+    throw ledgerError('date must be the new event date as YYYY-MM-DD');
+  }
+
+  const [result] = await conn.query(`
+    INSERT INTO campaigns (title, wing, description, budget, logistics, equipment, marketing, image, location, event_date,
+      budget_breakdown, volunteers_needed, goal, days_left, urgency, host_id, volunteers_joined, program_hours,
+      program_respect, lives_impacted, hosted_by_wing_id, hosted_by_name, status, approval_status, template_id, cloned_from_id)
+    SELECT ?, wing, description, budget, logistics, equipment, marketing, image, location, ?,
+      budget_breakdown, volunteers_needed, goal, GREATEST(0, DATEDIFF(?, CURDATE())), urgency, ?, 1, program_hours,
+      program_respect, lives_impacted, hosted_by_wing_id, hosted_by_name, 'Active', 'draft', template_id, id
+    FROM campaigns WHERE id = ?
+  `, [cleanText(title) || source.title, day, day, hostId, source.id]);
+  const campaignId = result.insertId;
+
+  await conn.query(`
+    INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status)
+    SELECT id, host_id, ?, 'Campaign creator and host', program_hours, program_respect, 'approved'
+    FROM campaigns WHERE id = ?
+  `, [HOST_ROLE, campaignId]);
+  await conn.query(`
+    INSERT INTO campaign_role_capacity (campaign_id, role, capacity)
+    SELECT ?, role, capacity FROM campaign_role_capacity WHERE campaign_id = ?
+  `, [campaignId, source.id]);
+
+  const sourceDate = /^\d{4}-\d{2}-\d{2}/.test(source.event_date || '') ? source.event_date.slice(0, 10) : null;
+  const shifts = await copyShifts(conn, source.id, campaignId, { fromDate: sourceDate, toDate: day, createdBy: hostId });
+
+  let invitations = 0;
+  if (carryTeam) {
+    const [invited] = await conn.query(`
+      INSERT IGNORE INTO campaign_invitations (campaign_id, volunteer_id, role, task_note, invited_by)
+      SELECT ?, volunteer_id, role, task_note, ?
+      FROM campaign_team
+      WHERE campaign_id = ? AND approval_status = 'approved' AND role <> ? AND volunteer_id <> ?
+    `, [campaignId, hostId, source.id, HOST_ROLE, hostId]);
+    invitations = invited.affectedRows;
+  }
+  return { campaignId, shifts, invitations };
+}
+
+// Send a draft for review and send out its invitations. Returns the campaign and the
+// invitations sent, for notifications.
+export async function submitDraft(conn, campaignId) {
+  const [rows] = await conn.query('SELECT id, title, approval_status FROM campaigns WHERE id = ? FOR UPDATE', [campaignId]);
+  const campaign = rows[0];
+  if (!campaign) throw ledgerError('Campaign not found', 404);
+  if (campaign.approval_status !== 'draft') throw ledgerError('Only a draft can be submitted', 409);
+
+  await conn.query("UPDATE campaigns SET approval_status = 'pending' WHERE id = ?", [campaign.id]);
+  const [invitations] = await conn.query(
+    "SELECT * FROM campaign_invitations WHERE campaign_id = ? AND status = 'pending' AND sent_at IS NULL",
+    [campaign.id]
+  );
+  await conn.query(
+    "UPDATE campaign_invitations SET sent_at = CURRENT_TIMESTAMP WHERE campaign_id = ? AND status = 'pending' AND sent_at IS NULL",
+    [campaign.id]
+  );
+  return { campaign, invitations };
+}
+
+export async function listCampaignInvitations(conn, campaignId) {
+  const [rows] = await conn.query(`
+    SELECT i.*, v.full_name, v.avatar, v.digital_id
+    FROM campaign_invitations i
+    JOIN volunteers v ON v.id = i.volunteer_id
+    WHERE i.campaign_id = ?
+    ORDER BY i.status = 'pending' DESC, v.full_name
+  `, [campaignId]);
+  return rows;
+}
+
+// Invitations sent to a volunteer and not answered yet
+export async function listVolunteerInvitations(conn, volunteerId) {
+  const [rows] = await conn.query(`
+    SELECT i.*, c.title as campaign_title, c.image as campaign_image, c.event_date, c.location,
+      h.full_name as invited_by_name
+    FROM campaign_invitations i
+    JOIN campaigns c ON c.id = i.campaign_id
+    LEFT JOIN volunteers h ON h.id = i.invited_by
+    WHERE i.volunteer_id = ? AND i.status = 'pending' AND i.sent_at IS NOT NULL AND c.status <> 'Finished'
+    ORDER BY i.sent_at DESC
+  `, [volunteerId]);
+  return rows;
+}
+
+export async function cancelInvitation(conn, campaignId, invitationId) {
+  const [result] = await conn.query(
+    "UPDATE campaign_invitations SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP WHERE id = ? AND campaign_id = ? AND status = 'pending'",
+    [invitationId, campaignId]
+  );
+  if (!result.affectedRows) throw ledgerError('No pending invitation with this id', 404);
+}
+
+// Accept or decline an invitation. Accepting joins the team in the invited role, or its
+// waitlist when the role is full. Returns { invitation, joined } with joinCampaign's result.
+export async function respondToInvitation(conn, invitationId, volunteerId, accept) {
+  const [rows] = await conn.query(`
+    SELECT i.*, c.title as campaign_title, c.status as campaign_status, c.program_hours, c.program_respect
+    FROM campaign_invitations i
+    JOIN campaigns c ON c.id = i.campaign_id
+    WHERE i.id = ? AND i.volunteer_id = ?
+    FOR UPDATE
+  `, [invitationId, volunteerId]);
+  const invitation = rows[0];
+  if (!invitation || !invitation.sent_at) throw ledgerError('Invitation not found', 404);
+  if (invitation.status !== 'pending') throw ledgerError(`This invitation was already ${invitation.status}`, 409);
+
+  let joined = null;
+  if (accept) {
+    if (invitation.campaign_status === 'Finished') throw ledgerError('This campaign has finished', 409);
+    joined = await joinCampaign(conn, invitation.campaign_id, {
+      volunteerId,
+      role: invitation.role,
+      taskNote: invitation.task_note || '',
+      hours: invitation.program_hours || 0,
+      respect: invitation.program_respect || 0,
+      invited: true
+    });
+  }
+  await conn.query(
+    'UPDATE campaign_invitations SET status = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [accept ? 'accepted' : 'declined', invitation.id]
+  );
+  return { invitation, joined };
+}
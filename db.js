@@ -100,6 +100,27 @@ function convertToMySQL(sql) {
   return converted;
 }
 
+// Run a data migration once, in one transaction with its schema_migrations row. A failed
+// migration is rolled back and tried again on the next start.
+async function runMigrationOnce(name, work) {
+  const conn = await promisePool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [done] = await conn.query('SELECT name FROM schema_migrations WHERE name = ? FOR UPDATE', [name]);
+    if (!done.length) {
+      await work(conn);
+      await conn.query('INSERT INTO schema_migrations (name) VALUES (?)', [name]);
+      console.log(`[MySQL] Migration ${name} applied`);
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error(`[MySQL] Migration ${name} failed:`, err.message);
+  } finally {
+    conn.release();
+  }
+}
+
 // Initialize MySQL database with all tables
 export async function initializeMySQLDatabase() {
   console.log('[MySQL] Initializing database tables...');
@@ -143,6 +164,7 @@ export async function initializeMySQLDatabase() {
       total_donated DOUBLE DEFAULT 0,
       total_collected DOUBLE DEFAULT 0,
       donation_points INT DEFAULT 0,
+      password_changed_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
     )`,
@@ -357,6 +379,7 @@ export async function initializeMySQLDatabase() {
       linkedin_url VARCHAR(255),
       youtube_url VARCHAR(255),
       tiktok_url VARCHAR(255),
+      password_policy TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
     )`,
@@ -517,7 +540,6 @@ export async function initializeMySQLDatabase() {
       status VARCHAR(50) DEFAULT 'completed',
       collected_by INT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (donor_id) REFERENCES volunteers(id) ON DELETE SET NULL,
       FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL,
       FOREIGN KEY (collected_by) REFERENCES volunteers(id) ON DELETE SET NULL
     )`,
@@ -556,11 +578,40 @@ export async function initializeMySQLDatabase() {
       id INT PRIMARY KEY AUTO_INCREMENT,
       user_id INT NOT NULL,
       type VARCHAR(100) NOT NULL,
-      title VARCHAR(255) NOT NULL,
+      title VARCHAR(255),
       message TEXT,
       link VARCHAR(255),
+      data TEXT,
+      actor_id INT,
+      actor_name VARCHAR(255),
+      actor_avatar TEXT,
+      priority VARCHAR(20) DEFAULT 'normal',
+      expires_at DATETIME,
       is_read TINYINT DEFAULT 0,
+      is_archived TINYINT DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES volunteers(id) ON DELETE CASCADE
+    )`,
+
+    // Notification settings table (per-user channel and category switches)
+    `CREATE TABLE IF NOT EXISTS notification_settings (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL UNIQUE,
+      push_enabled TINYINT DEFAULT 1,
+      email_enabled TINYINT DEFAULT 0,
+      sound_enabled TINYINT DEFAULT 1,
+      vibrate_enabled TINYINT DEFAULT 1,
+      social_notifications TINYINT DEFAULT 1,
+      message_notifications TINYINT DEFAULT 1,
+      donation_notifications TINYINT DEFAULT 1,
+      campaign_notifications TINYINT DEFAULT 1,
+      wing_notifications TINYINT DEFAULT 1,
+      badge_notifications TINYINT DEFAULT 1,
+      system_notifications TINYINT DEFAULT 1,
+      quiet_hours_start VARCHAR(5),
+      quiet_hours_end VARCHAR(5),
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES volunteers(id) ON DELETE CASCADE
     )`,
 
@@ -635,6 +686,726 @@ export async function initializeMySQLDatabase() {
       FOREIGN KEY (wing_id) REFERENCES wings(id) ON DELETE CASCADE,
       FOREIGN KEY (user_id) REFERENCES volunteers(id) ON DELETE CASCADE,
       UNIQUE KEY unique_wing_request (wing_id, user_id)
+    )`,
+
+    // Auth sessions table (one row per signed-in device, holds the current refresh token id)
+    `CREATE TABLE IF NOT EXISTS auth_sessions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      volunteer_id INT NOT NULL,
+      refresh_jti VARCHAR(64) NOT NULL,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(100),
+      expires_at DATETIME NOT NULL,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE,
+      INDEX idx_auth_sessions_volunteer (volunteer_id)
+    )`,
+
+    // Access settings table (permission JSON per user, optionally tied to a role)
+    `CREATE TABLE IF NOT EXISTS access_settings (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      role_type VARCHAR(50) DEFAULT 'user',
+      role_id INT,
+      permissions TEXT NOT NULL,
+      created_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES volunteers(id) ON DELETE CASCADE,
+      INDEX idx_access_settings_user (user_id)
+    )`,
+
+    // Button access table
+    `CREATE TABLE IF NOT EXISTS button_access (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      button_id VARCHAR(100) NOT NULL,
+      user_id INT NOT NULL,
+      updated_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES volunteers(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_button_user (button_id, user_id)
+    )`,
+
+    // Access logs table
+    `CREATE TABLE IF NOT EXISTS access_logs (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      action_type VARCHAR(100) NOT NULL,
+      action_description TEXT,
+      actor_id INT,
+      target_id INT,
+      target_type VARCHAR(50),
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_access_logs_type (action_type)
+    )`,
+
+    // Permission templates table (permission set applied to anyone matching a position / wing role / org role)
+    `CREATE TABLE IF NOT EXISTS permission_templates (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(255) UNIQUE NOT NULL,
+      description TEXT,
+      permissions TEXT NOT NULL,
+      positions TEXT,
+      wing_roles TEXT,
+      org_role_ids TEXT,
+      created_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+
+    // Ephemeral state table (TTL'd typing/presence entries shared between machines)
+    `CREATE TABLE IF NOT EXISTS ephemeral_state (
+      namespace VARCHAR(191) NOT NULL,
+      item_key VARCHAR(191) NOT NULL,
+      value TEXT,
+      expires_at DATETIME(3) NOT NULL,
+      PRIMARY KEY (namespace, item_key),
+      INDEX idx_ephemeral_state_expires (expires_at)
+    )`,
+
+    // Realtime events table (recent SSE events every machine polls and pushes to its own streams)
+    `CREATE TABLE IF NOT EXISTS realtime_events (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      origin VARCHAR(64) NOT NULL,
+      channel VARCHAR(191) NOT NULL,
+      message MEDIUMTEXT NOT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_realtime_events_created (created_at)
+    )`,
+
+    // Ummah funds table (cached balance per fund account, rebuilt from the ledger)
+    `CREATE TABLE IF NOT EXISTS ummah_funds (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INT NOT NULL DEFAULT 0,
+      balance DOUBLE DEFAULT 0,
+      total_in DOUBLE DEFAULT 0,
+      total_out DOUBLE DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_ummah_funds_entity (entity_type, entity_id)
+    )`,
+
+    // Fund transactions table (human-readable movement history, one row per ledger journal)
+    `CREATE TABLE IF NOT EXISTS fund_transactions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      from_type VARCHAR(50) NOT NULL,
+      from_id INT DEFAULT 0,
+      to_type VARCHAR(50) NOT NULL,
+      to_id INT DEFAULT 0,
+      amount DOUBLE NOT NULL,
+      note TEXT,
+      transaction_type VARCHAR(50) NOT NULL,
+      status VARCHAR(50) DEFAULT 'completed',
+      created_by INT,
+      expense_id INT,
+      donation_id INT,
+      journal_id INT,
+      reversal_of INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_fund_transactions_from (from_type, from_id),
+      INDEX idx_fund_transactions_to (to_type, to_id)
+    )`,
+
+    // Fund reversal requests table (a second volunteer approves before the compensating transaction is posted)
+    `CREATE TABLE IF NOT EXISTS fund_reversal_requests (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      transaction_id INT NOT NULL,
+      reason TEXT NOT NULL,
+      status VARCHAR(20) DEFAULT 'pending',
+      requested_by INT NOT NULL,
+      reviewed_by INT,
+      review_note TEXT,
+      reversal_transaction_id INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      reviewed_at DATETIME,
+      INDEX idx_fund_reversal_requests_transaction (transaction_id, status)
+    )`,
+
+    // Expenses table
+    `CREATE TABLE IF NOT EXISTS expenses (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INT NOT NULL DEFAULT 0,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      amount DOUBLE NOT NULL,
+      category VARCHAR(100) DEFAULT 'General',
+      invoice_image TEXT,
+      status VARCHAR(50) DEFAULT 'pending',
+      created_by INT,
+      approved_by INT,
+      approval_note TEXT,
+      approved_at DATETIME,
+      approval_step INT DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_expenses_entity (entity_type, entity_id)
+    )`,
+
+    // Expense approval steps table (approval chain per entity type; a step applies from min_amount up)
+    `CREATE TABLE IF NOT EXISTS expense_approval_steps (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      entity_type VARCHAR(50) NOT NULL,
+      step_order INT NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      min_amount DECIMAL(14,2) DEFAULT 0,
+      approver_type VARCHAR(50) NOT NULL,
+      approver_value VARCHAR(255) NOT NULL,
+      created_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_expense_approval_steps_entity (entity_type, step_order)
+    )`,
+
+    // Expense approvals table (who signed or rejected each step)
+    `CREATE TABLE IF NOT EXISTS expense_approvals (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      expense_id INT NOT NULL,
+      step_number INT NOT NULL,
+      step_name VARCHAR(255),
+      action VARCHAR(20) NOT NULL,
+      actor_id INT NOT NULL,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_expense_approvals_expense (expense_id)
+    )`,
+
+    // Expense budgets table (spending limit per campaign/wing and category)
+    `CREATE TABLE IF NOT EXISTS expense_budgets (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INT NOT NULL,
+      category VARCHAR(100) NOT NULL,
+      amount DECIMAL(14,2) NOT NULL,
+      created_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_expense_budget (entity_type, entity_id, category)
+    )`,
+
+    // Wing donations table
+    `CREATE TABLE IF NOT EXISTS wing_donations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      wing_id INT NOT NULL,
+      volunteer_id INT,
+      amount DOUBLE NOT NULL,
+      donor_name VARCHAR(255),
+      phone_number VARCHAR(100),
+      transaction_id VARCHAR(255),
+      payment_method VARCHAR(100),
+      is_anonymous TINYINT DEFAULT 0,
+      status VARCHAR(50) DEFAULT 'pending',
+      reviewed_by INT,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_wing_donations_wing (wing_id, status)
+    )`,
+
+    // Ledger journals table (one balanced movement of money)
+    `CREATE TABLE IF NOT EXISTS ledger_journals (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      journal_type VARCHAR(50) NOT NULL,
+      description TEXT,
+      reference_type VARCHAR(50),
+      reference_id INT,
+      created_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_ledger_journals_reference (reference_type, reference_id)
+    )`,
+
+    // Ledger entries table (signed amount per account; a journal's entries sum to zero)
+    `CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      journal_id INT NOT NULL,
+      account_type VARCHAR(50) NOT NULL,
+      account_id INT NOT NULL DEFAULT 0,
+      amount DECIMAL(14,2) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_ledger_entries_account (account_type, account_id),
+      FOREIGN KEY (journal_id) REFERENCES ledger_journals(id) ON DELETE CASCADE
+    )`,
+
+    // Payment sessions table (one hosted checkout per public donation)
+    `CREATE TABLE IF NOT EXISTS payment_sessions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      reference VARCHAR(64) NOT NULL UNIQUE,
+      provider VARCHAR(50) NOT NULL,
+      donation_id INT,
+      amount DECIMAL(14,2) NOT NULL,
+      currency VARCHAR(10) DEFAULT 'BDT',
+      status VARCHAR(20) DEFAULT 'created',
+      provider_session_id VARCHAR(255),
+      provider_transaction_id VARCHAR(255),
+      redirect_url TEXT,
+      raw_response TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      INDEX idx_payment_sessions_donation (donation_id)
+    )`,
+
+    // Donation flags table (review queue for suspicious manually reported donations)
+    `CREATE TABLE IF NOT EXISTS donation_flags (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      donation_source VARCHAR(30) NOT NULL,
+      donation_id INT NOT NULL,
+      risk_score INT NOT NULL DEFAULT 0,
+      reasons TEXT,
+      status VARCHAR(20) DEFAULT 'open',
+      reviewed_by INT,
+      review_note TEXT,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_donation_flag (donation_source, donation_id),
+      INDEX idx_donation_flags_status (status, risk_score)
+    )`,
+
+    // Receipt sequences table (last receipt number handed out per fiscal year)
+    `CREATE TABLE IF NOT EXISTS receipt_sequences (
+      fiscal_year VARCHAR(10) PRIMARY KEY,
+      last_number INT NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+
+    // Donation receipts table (snapshot of the donation and organization at issue time)
+    `CREATE TABLE IF NOT EXISTS donation_receipts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      receipt_number VARCHAR(50) NOT NULL UNIQUE,
+      fiscal_year VARCHAR(10) NOT NULL,
+      sequence_number INT NOT NULL,
+      donation_source VARCHAR(30) NOT NULL,
+      donation_id INT NOT NULL,
+      donor_name VARCHAR(255),
+      phone_number VARCHAR(100),
+      amount DECIMAL(14,2) NOT NULL,
+      payment_method VARCHAR(100),
+      transaction_id VARCHAR(255),
+      recipient_type VARCHAR(30),
+      recipient_id INT,
+      recipient_name VARCHAR(255),
+      donated_at DATETIME,
+      organization_details TEXT,
+      public_token VARCHAR(64) NOT NULL UNIQUE,
+      status VARCHAR(20) DEFAULT 'issued',
+      replaces_receipt_id INT,
+      replaced_by_receipt_id INT,
+      issued_by INT,
+      issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      void_reason TEXT,
+      voided_by INT,
+      voided_at DATETIME,
+      UNIQUE KEY uniq_receipt_sequence (fiscal_year, sequence_number),
+      INDEX idx_donation_receipts_donation (donation_source, donation_id)
+    )`,
+
+    // Donation pledges table (recurring promise to give to a fund account)
+    `CREATE TABLE IF NOT EXISTS donation_pledges (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      volunteer_id INT,
+      donor_name VARCHAR(255),
+      phone_number VARCHAR(100),
+      email VARCHAR(255),
+      target_type VARCHAR(20) NOT NULL,
+      target_id INT NOT NULL DEFAULT 0,
+      amount DECIMAL(14,2) NOT NULL,
+      frequency VARCHAR(20) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      cycles_generated INT DEFAULT 0,
+      next_due_date DATE,
+      reminder_days INT DEFAULT 3,
+      status VARCHAR(20) DEFAULT 'active',
+      note TEXT,
+      created_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_donation_pledges_target (target_type, target_id),
+      INDEX idx_donation_pledges_volunteer (volunteer_id),
+      INDEX idx_donation_pledges_due (status, next_due_date),
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE SET NULL
+    )`,
+
+    // Pledge installments table (one expected donation per pledge cycle)
+    `CREATE TABLE IF NOT EXISTS pledge_installments (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      pledge_id INT NOT NULL,
+      cycle_number INT NOT NULL,
+      due_date DATE NOT NULL,
+      amount DECIMAL(14,2) NOT NULL,
+      fulfilled_amount DECIMAL(14,2) DEFAULT 0,
+      status VARCHAR(20) DEFAULT 'expected',
+      reminder_sent_at DATETIME,
+      overdue_reminder_sent_at DATETIME,
+      fulfilled_at DATETIME,
+      waived_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_pledge_cycle (pledge_id, cycle_number),
+      INDEX idx_pledge_installments_due (status, due_date),
+      FOREIGN KEY (pledge_id) REFERENCES donation_pledges(id) ON DELETE CASCADE
+    )`,
+
+    // Pledge fulfilments table (approved donations or manual payments credited to an installment)
+    `CREATE TABLE IF NOT EXISTS pledge_fulfilments (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      installment_id INT NOT NULL,
+      pledge_id INT NOT NULL,
+      donation_source VARCHAR(30) NOT NULL,
+      donation_id INT,
+      amount DECIMAL(14,2) NOT NULL,
+      note TEXT,
+      recorded_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_pledge_fulfilment_donation (donation_source, donation_id),
+      FOREIGN KEY (installment_id) REFERENCES pledge_installments(id) ON DELETE CASCADE
+    )`,
+
+    // Donors behind campaign, direct aid and wing donations (donors.js)
+    `CREATE TABLE IF NOT EXISTS donors (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      display_name VARCHAR(255),
+      volunteer_id INT,
+      prefers_anonymous TINYINT DEFAULT 0,
+      notes TEXT,
+      status VARCHAR(20) DEFAULT 'active',
+      merged_into INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_donors_volunteer (volunteer_id),
+      INDEX idx_donors_status (status),
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE SET NULL
+    )`,
+
+    // Normalized phone numbers and emails; each one resolves to exactly one donor
+    `CREATE TABLE IF NOT EXISTS donor_contacts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      donor_id INT NOT NULL,
+      kind VARCHAR(10) NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      label VARCHAR(100),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_donor_contact (kind, value),
+      INDEX idx_donor_contacts_donor (donor_id),
+      FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE CASCADE
+    )`,
+
+    // Merges and splits, with the donations and contacts each one moved
+    `CREATE TABLE IF NOT EXISTS donor_merge_log (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      action VARCHAR(10) NOT NULL,
+      donor_id INT NOT NULL,
+      other_donor_ids VARCHAR(255),
+      details TEXT,
+      performed_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_donor_merge_log_donor (donor_id)
+    )`,
+
+    // Per-campaign rule for money raised beyond the goal (overflow.js)
+    `CREATE TABLE IF NOT EXISTS campaign_overflow_policies (
+      campaign_id INT PRIMARY KEY,
+      policy VARCHAR(20) NOT NULL DEFAULT 'keep',
+      split TEXT,
+      run_on VARCHAR(20) NOT NULL DEFAULT 'goal_reached',
+      override_hours INT,
+      updated_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )`,
+
+    // Scheduled and executed transfers of campaign overflow
+    `CREATE TABLE IF NOT EXISTS overflow_routings (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      trigger_event VARCHAR(20) NOT NULL,
+      policy VARCHAR(20) NOT NULL,
+      allocations TEXT NOT NULL,
+      estimated_amount DECIMAL(14,2) NOT NULL,
+      amount DECIMAL(14,2),
+      status VARCHAR(20) DEFAULT 'scheduled',
+      execute_after DATETIME NOT NULL,
+      executed_at DATETIME,
+      transfers TEXT,
+      override_note TEXT,
+      overridden_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_overflow_routings_due (status, execute_after),
+      INDEX idx_overflow_routings_campaign (campaign_id, status),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )`,
+
+    // Annual giving statements; the token is the donor's download link, totals are as last generated
+    `CREATE TABLE IF NOT EXISTS giving_statements (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      donor_id INT NOT NULL,
+      fiscal_year VARCHAR(10) NOT NULL,
+      total DECIMAL(14,2) DEFAULT 0,
+      gift_count INT DEFAULT 0,
+      public_token VARCHAR(64) NOT NULL UNIQUE,
+      generated_by INT,
+      generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_giving_statement (donor_id, fiscal_year),
+      FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE CASCADE
+    )`,
+
+    // Statement column mappings per provider (defaults live in statements.js)
+    `CREATE TABLE IF NOT EXISTS statement_mappings (
+      provider VARCHAR(50) PRIMARY KEY,
+      config TEXT NOT NULL,
+      updated_by INT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+
+    // Imported bank / mobile-wallet statements
+    `CREATE TABLE IF NOT EXISTS statement_imports (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      provider VARCHAR(50) NOT NULL,
+      filename VARCHAR(255),
+      line_count INT DEFAULT 0,
+      skipped_count INT DEFAULT 0,
+      exact_count INT DEFAULT 0,
+      approved_count INT DEFAULT 0,
+      open_count INT DEFAULT 0,
+      date_from DATE,
+      date_to DATE,
+      skipped TEXT,
+      imported_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_statement_imports_created (created_at)
+    )`,
+
+    // Statement lines and the donation each one matched
+    `CREATE TABLE IF NOT EXISTS statement_lines (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      import_id INT NOT NULL,
+      line_number INT NOT NULL,
+      transaction_id VARCHAR(100),
+      amount DECIMAL(12,2) NOT NULL,
+      txn_date DATE NOT NULL,
+      sender VARCHAR(255),
+      raw TEXT,
+      match_status VARCHAR(20) NOT NULL,
+      resolution VARCHAR(20),
+      donation_source VARCHAR(30),
+      donation_id INT,
+      note TEXT,
+      resolved_by INT,
+      resolved_at DATETIME,
+      INDEX idx_statement_lines_import (import_id, match_status),
+      INDEX idx_statement_lines_donation (donation_source, donation_id),
+      FOREIGN KEY (import_id) REFERENCES statement_imports(id) ON DELETE CASCADE
+    )`,
+
+    // Campaign check-in sessions (attendance.js); the secret signs the rotating QR token
+    `CREATE TABLE IF NOT EXISTS campaign_checkin_sessions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      shift_id INT,
+      secret VARCHAR(64) NOT NULL,
+      rotate_seconds INT NOT NULL DEFAULT 30,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      opened_by INT,
+      opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_by INT,
+      closed_at DATETIME,
+      INDEX idx_checkin_sessions_campaign (campaign_id, status),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )`,
+
+    // Check-ins and check-outs per session, or attendance a host recorded by hand (no session)
+    `CREATE TABLE IF NOT EXISTS campaign_attendance (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      session_id INT,
+      shift_id INT,
+      volunteer_id INT NOT NULL,
+      team_member_id INT,
+      method VARCHAR(20) NOT NULL DEFAULT 'qr',
+      status VARCHAR(20) NOT NULL DEFAULT 'checked_in',
+      checked_in_at DATETIME,
+      checked_out_at DATETIME,
+      auto_checked_out TINYINT DEFAULT 0,
+      recorded_hours DECIMAL(5,2),
+      confirmed_hours DECIMAL(5,2),
+      note TEXT,
+      reviewed_by INT,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_attendance_session (session_id, volunteer_id),
+      INDEX idx_attendance_campaign (campaign_id, volunteer_id),
+      INDEX idx_attendance_shift (shift_id, volunteer_id),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+      FOREIGN KEY (session_id) REFERENCES campaign_checkin_sessions(id) ON DELETE SET NULL,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE
+    )`,
+
+    // Seats per role on a campaign (waitlist.js); roles not listed only share volunteers_needed
+    `CREATE TABLE IF NOT EXISTS campaign_role_capacity (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      role VARCHAR(255) NOT NULL,
+      capacity INT NOT NULL,
+      UNIQUE KEY uniq_campaign_role_capacity (campaign_id, role),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )`,
+
+    // Volunteers waiting for a seat on a campaign team, in position order
+    `CREATE TABLE IF NOT EXISTS campaign_waitlist (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      volunteer_id INT NOT NULL,
+      role VARCHAR(255) NOT NULL,
+      task_note TEXT,
+      hours INT DEFAULT 0,
+      respect INT DEFAULT 0,
+      position INT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+      skipped_by INT,
+      promoted_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_campaign_waitlist (campaign_id, volunteer_id),
+      INDEX idx_campaign_waitlist_order (campaign_id, status, position),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE
+    )`,
+
+    // Shifts of a campaign (shifts.js). A shift ending at or before its start time runs past midnight.
+    `CREATE TABLE IF NOT EXISTS campaign_shifts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      title VARCHAR(255),
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NOT NULL,
+      location VARCHAR(255),
+      notes TEXT,
+      created_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_campaign_shifts_time (campaign_id, starts_at),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+    )`,
+
+    // Role slots of a shift and how many volunteers each needs
+    `CREATE TABLE IF NOT EXISTS campaign_shift_slots (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      shift_id INT NOT NULL,
+      role VARCHAR(255) NOT NULL,
+      headcount INT NOT NULL,
+      task_note TEXT,
+      UNIQUE KEY uniq_shift_slot_role (shift_id, role),
+      FOREIGN KEY (shift_id) REFERENCES campaign_shifts(id) ON DELETE CASCADE
+    )`,
+
+    // A volunteer's place in a slot; one per shift, kept as 'cancelled' when they drop out
+    `CREATE TABLE IF NOT EXISTS campaign_shift_signups (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      shift_id INT NOT NULL,
+      slot_id INT NOT NULL,
+      volunteer_id INT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'signed_up',
+      signed_up_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      cancelled_at DATETIME,
+      UNIQUE KEY uniq_shift_signup (shift_id, volunteer_id),
+      INDEX idx_shift_signups_volunteer (volunteer_id, status),
+      INDEX idx_shift_signups_slot (slot_id, status),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+      FOREIGN KEY (shift_id) REFERENCES campaign_shifts(id) ON DELETE CASCADE,
+      FOREIGN KEY (slot_id) REFERENCES campaign_shift_slots(id) ON DELETE CASCADE,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE
+    )`,
+
+    // Defaults for a kind of campaign (campaign-templates.js); wing_id NULL means organisation-wide.
+    // budget_breakdown and roles hold JSON lists.
+    `CREATE TABLE IF NOT EXISTS campaign_templates (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(255) NOT NULL,
+      wing_id INT,
+      title VARCHAR(255),
+      description TEXT,
+      image TEXT,
+      location VARCHAR(255),
+      volunteers_needed INT,
+      program_hours INT,
+      program_respect INT,
+      lives_impacted INT,
+      budget DOUBLE,
+      goal DOUBLE,
+      budget_breakdown TEXT,
+      roles TEXT,
+      created_by INT,
+      updated_by INT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_campaign_templates_wing (wing_id),
+      FOREIGN KEY (wing_id) REFERENCES wings(id) ON DELETE CASCADE
+    )`,
+
+    // Invitations to join a campaign team; sent_at stays NULL while the campaign is a draft
+    `CREATE TABLE IF NOT EXISTS campaign_invitations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      campaign_id INT NOT NULL,
+      volunteer_id INT NOT NULL,
+      role VARCHAR(255) NOT NULL,
+      task_note TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      invited_by INT,
+      sent_at DATETIME,
+      responded_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_campaign_invitation (campaign_id, volunteer_id),
+      INDEX idx_campaign_invitations_volunteer (volunteer_id, status),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE
+    )`,
+
+    // Data migrations that ran once (runMigrationOnce)
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(100) PRIMARY KEY,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Background jobs (scheduler.js); locked_by / locked_until is the lease of the machine running one
+    `CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      name VARCHAR(100) PRIMARY KEY,
+      enabled TINYINT DEFAULT 1,
+      interval_minutes INT,
+      next_run_at DATETIME,
+      locked_by VARCHAR(100),
+      locked_until DATETIME,
+      last_run_id INT,
+      updated_by INT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+
+    // Run history of the background jobs
+    `CREATE TABLE IF NOT EXISTS job_runs (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      job_name VARCHAR(100) NOT NULL,
+      trigger_type VARCHAR(20) NOT NULL DEFAULT 'schedule',
+      triggered_by INT,
+      machine VARCHAR(100),
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      result TEXT,
+      error TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME,
+      INDEX idx_job_runs_job (job_name, started_at),
+      INDEX idx_job_runs_started (started_at)
+    )`,
+
+    // Password reset tokens table (only a SHA-256 of the emailed token is stored)
+    `CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      volunteer_id INT NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      requested_ip VARCHAR(100),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (volunteer_id) REFERENCES volunteers(id) ON DELETE CASCADE
     )`
   ];
 
@@ -650,6 +1421,258 @@ export async function initializeMySQLDatabase() {
     }
   }
 
+  // Add columns introduced after tables were first created
+  const columnMigrations = [
+    'ALTER TABLE organization_settings ADD COLUMN password_policy TEXT',
+    'ALTER TABLE volunteers ADD COLUMN password_changed_at DATETIME',
+    'ALTER TABLE notifications MODIFY COLUMN title VARCHAR(255) NULL',
+    'ALTER TABLE notifications ADD COLUMN data TEXT',
+    'ALTER TABLE notifications ADD COLUMN actor_id INT',
+    'ALTER TABLE notifications ADD COLUMN actor_name VARCHAR(255)',
+    'ALTER TABLE notifications ADD COLUMN actor_avatar TEXT',
+    "ALTER TABLE notifications ADD COLUMN priority VARCHAR(20) DEFAULT 'normal'",
+    'ALTER TABLE notifications ADD COLUMN expires_at DATETIME',
+    'ALTER TABLE notifications ADD COLUMN is_archived TINYINT DEFAULT 0',
+    'ALTER TABLE fund_transactions ADD COLUMN journal_id INT',
+    'ALTER TABLE fund_transactions ADD COLUMN reversal_of INT',
+    'ALTER TABLE expenses ADD COLUMN approval_step INT DEFAULT 0',
+    'ALTER TABLE ummah_funds ADD UNIQUE KEY uniq_ummah_funds_entity (entity_type, entity_id)',
+    'ALTER TABLE donations ADD COLUMN pledge_id INT',
+    'ALTER TABLE direct_aid_donations ADD COLUMN pledge_id INT',
+    'ALTER TABLE wing_donations ADD COLUMN pledge_id INT',
+    'ALTER TABLE donations ADD COLUMN donor_id INT',
+    'ALTER TABLE direct_aid_donations ADD COLUMN donor_id INT',
+    'ALTER TABLE wing_donations ADD COLUMN donor_id INT',
+    'ALTER TABLE donations ADD INDEX idx_donations_donor (donor_id)',
+    'ALTER TABLE direct_aid_donations ADD INDEX idx_direct_aid_donations_donor (donor_id)',
+    'ALTER TABLE wing_donations ADD INDEX idx_wing_donations_donor (donor_id)',
+    'ALTER TABLE donations ADD COLUMN reviewed_by INT',
+    'ALTER TABLE donations ADD COLUMN reviewed_at DATETIME',
+    'ALTER TABLE donations ADD COLUMN review_note TEXT',
+    'ALTER TABLE direct_aid_donations ADD COLUMN reviewed_by INT',
+    'ALTER TABLE direct_aid_donations ADD COLUMN reviewed_at DATETIME',
+    'ALTER TABLE direct_aid_donations ADD COLUMN review_note TEXT',
+    'ALTER TABLE direct_aid_donations ADD COLUMN referrer_id INT',
+    'ALTER TABLE wing_donations ADD COLUMN review_note TEXT',
+    'ALTER TABLE wing_donations ADD COLUMN referrer_id INT',
+    'ALTER TABLE campaign_checkin_sessions ADD COLUMN shift_id INT',
+    'ALTER TABLE campaign_attendance ADD COLUMN shift_id INT',
+    'ALTER TABLE campaign_attendance ADD INDEX idx_attendance_shift (shift_id, volunteer_id)',
+    'ALTER TABLE campaigns ADD COLUMN hosted_by_wing_id INT',
+    'ALTER TABLE campaigns ADD COLUMN hosted_by_name VARCHAR(255)',
+    'ALTER TABLE campaigns ADD COLUMN template_id INT',
+    'ALTER TABLE campaigns ADD COLUMN cloned_from_id INT',
+    'ALTER TABLE campaigns ADD COLUMN legacy_raised DECIMAL(14,2) DEFAULT 0',
+    'ALTER TABLE direct_aids ADD COLUMN legacy_raised DECIMAL(14,2) DEFAULT 0'
+  ];
+
+  for (const sql of columnMigrations) {
+    try {
+      await promisePool.query(sql);
+    } catch (err) {
+      // Ignore "duplicate column" / "duplicate key" errors
+      if (!err.message.includes('Duplicate column') && !err.message.includes('Duplicate key name')) {
+        console.error('[MySQL] Column migration error:', err.message);
+      }
+    }
+  }
+
+  // donations.donor_id used to point at volunteers; it now holds a donors id
+  try {
+    const [keys] = await promisePool.query(`
+      SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'donations'
+        AND COLUMN_NAME = 'donor_id' AND REFERENCED_TABLE_NAME = 'volunteers'
+    `);
+    for (const key of keys) {
+      await promisePool.query(`ALTER TABLE donations DROP FOREIGN KEY \`${key.CONSTRAINT_NAME}\``);
+      await promisePool.query('UPDATE donations SET donor_id = NULL');
+    }
+  } catch (err) {
+    console.error('[MySQL] donor_id migration error:', err.message);
+  }
+
+  // Team members used to be credited their hours and respect when approved; attendance.js now
+  // credits confirmed attendance and keeps what it credited on campaign_team. Members approved
+  // before that were already credited.
+  try {
+    await promisePool.query(
+      'ALTER TABLE campaign_team ADD COLUMN rewarded_hours INT DEFAULT 0, ADD COLUMN rewarded_respect INT DEFAULT 0'
+    );
+    await promisePool.query(`
+      UPDATE campaign_team SET rewarded_hours = COALESCE(hours, 0), rewarded_respect = COALESCE(respect, 0)
+      WHERE approval_status = 'approved'
+    `);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column')) {
+      console.error('[MySQL] Attendance rewards migration error:', err.message);
+    }
+  }
+
+  // Overflow a routing did not move (cancelled, failed, skipped or capped by the balance) is kept
+  // with the campaign (overflow.js). Routings closed before kept_amount existed count the last
+  // one of each campaign as keeping its estimate, so it is not scheduled again.
+  try {
+    await promisePool.query('ALTER TABLE overflow_routings ADD COLUMN kept_amount DECIMAL(14,2)');
+    await promisePool.query(`
+      UPDATE overflow_routings r
+      JOIN (SELECT campaign_id, MAX(id) as id FROM overflow_routings GROUP BY campaign_id) latest ON latest.id = r.id
+      SET r.kept_amount = r.estimated_amount
+      WHERE r.status IN ('cancelled', 'failed', 'skipped')
+    `);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column')) {
+      console.error('[MySQL] Overflow kept amount migration error:', err.message);
+    }
+  }
+
+  // One donation status model (donation-service.js): 'verified' became 'approved', and raised
+  // totals count approved donations plus legacy_raised. Raised totals used to include pending
+  // donations and money transferred in; what is not a donation is kept as legacy_raised.
+  await runMigrationOnce('donation_status_model', async (conn) => {
+    await conn.query(`
+      UPDATE campaigns c
+      SET legacy_raised = GREATEST(0, COALESCE(c.raised, 0) -
+        (SELECT COALESCE(SUM(amount), 0) FROM donations d WHERE d.campaign_id = c.id AND d.status <> 'rejected'))
+    `);
+    await conn.query(`
+      UPDATE direct_aids da
+      SET legacy_raised = GREATEST(0, COALESCE(da.raised_amount, 0) -
+        (SELECT COALESCE(SUM(amount), 0) FROM donations d WHERE d.direct_aid_id = da.id AND d.status <> 'rejected') -
+        (SELECT COALESCE(SUM(amount), 0) FROM direct_aid_donations dad WHERE dad.direct_aid_id = da.id AND dad.status = 'approved'))
+    `);
+    await conn.query("UPDATE donations SET status = 'approved' WHERE status = 'verified'");
+    await conn.query(`
+      UPDATE campaigns c
+      SET raised = legacy_raised +
+        (SELECT COALESCE(SUM(amount), 0) FROM donations d WHERE d.campaign_id = c.id AND d.status = 'approved')
+    `);
+    await conn.query(`
+      UPDATE direct_aids da
+      SET raised_amount = legacy_raised +
+        (SELECT COALESCE(SUM(amount), 0) FROM donations d WHERE d.direct_aid_id = da.id AND d.status = 'approved') +
+        (SELECT COALESCE(SUM(amount), 0) FROM direct_aid_donations dad WHERE dad.direct_aid_id = da.id AND dad.status = 'approved')
+    `);
+  });
+
+  // Carry what was recorded before the ledger into it, once. The first journal on an account
+  // rewrites its ummah_funds row from the ledger, so every fund account starts out matching:
+  //   - approved expenses without a journal are posted against the external account
+  //   - central and direct aid keep their ummah_funds balance, as they were only tracked there
+  //   - campaigns get legacy_raised as an opening_balance journal, and campaigns and wings get the
+  //     approved donations the ledger lacks as an adjustment journal
+  // Campaign and wing rows of ummah_funds are then rebuilt from the ledger. Runs after
+  // donation_status_model, which sets legacy_raised.
+  await runMigrationOnce('ledger_opening_balances', async (conn) => {
+    const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+    const post = async ({ journalType, description, referenceType, referenceId, accountType, accountId, amount }) => {
+      amount = toAmount(amount);
+      if (!amount) return;
+      const [journal] = await conn.query(`
+        INSERT INTO ledger_journals (journal_type, description, reference_type, reference_id)
+        VALUES (?, ?, ?, ?)
+      `, [journalType, description, referenceType, referenceId]);
+      await conn.query('INSERT INTO ledger_entries (journal_id, account_type, account_id, amount) VALUES ?', [[
+        [journal.insertId, accountType, accountId, amount],
+        [journal.insertId, 'external', 0, -amount]
+      ]]);
+    };
+    // Donation inflow the ledger already holds, as buildLedgerReconciliation counts it
+    const ledgerDonations = (accountType, idColumn) => `
+      COALESCE((
+        SELECT SUM(le.amount) FROM ledger_entries le
+        JOIN ledger_journals lj ON lj.id = le.journal_id
+        WHERE le.account_type = '${accountType}' AND le.account_id = ${idColumn}
+          AND lj.journal_type IN ('donation', 'adjustment')
+      ), 0)
+    `;
+
+    const [expenses] = await conn.query(`
+      SELECT e.id, e.entity_type, e.entity_id, e.title, e.amount
+      FROM expenses e
+      WHERE e.status = 'approved' AND e.entity_type IN ('central', 'campaign', 'wing', 'direct_aid')
+        AND NOT EXISTS (
+          SELECT 1 FROM ledger_journals lj WHERE lj.reference_type = 'expense' AND lj.reference_id = e.id
+        )
+    `);
+    for (const expense of expenses) {
+      await post({
+        journalType: 'expense', description: expense.title, referenceType: 'expense', referenceId: expense.id,
+        accountType: expense.entity_type,
+        accountId: expense.entity_type === 'central' ? 0 : expense.entity_id,
+        amount: -expense.amount
+      });
+    }
+
+    const [funds] = await conn.query(`
+      SELECT uf.id, uf.entity_type, uf.entity_id, uf.balance,
+             COALESCE((
+               SELECT SUM(amount) FROM ledger_entries
+               WHERE account_type = uf.entity_type AND account_id = uf.entity_id
+             ), 0) as ledger_balance
+      FROM ummah_funds uf
+      WHERE uf.entity_type IN ('central', 'direct_aid')
+      FOR UPDATE
+    `);
+    for (const fund of funds) {
+      await post({
+        journalType: 'opening_balance', description: 'Opening balance carried over from ummah_funds',
+        referenceType: 'ummah_funds', referenceId: fund.id,
+        accountType: fund.entity_type, accountId: fund.entity_id,
+        amount: Number(fund.balance) - Number(fund.ledger_balance)
+      });
+    }
+
+    const [campaigns] = await conn.query(`
+      SELECT c.id, COALESCE(c.raised, 0) as raised, COALESCE(c.legacy_raised, 0) as legacy_raised,
+             ${ledgerDonations('campaign', 'c.id')} as ledger_donations
+      FROM campaigns c
+    `);
+    for (const campaign of campaigns) {
+      await post({
+        journalType: 'opening_balance', description: 'Opening balance carried over from campaigns.legacy_raised',
+        referenceType: 'campaign', referenceId: campaign.id,
+        accountType: 'campaign', accountId: campaign.id,
+        amount: campaign.legacy_raised
+      });
+      await post({
+        journalType: 'adjustment', description: 'Donations approved before the ledger',
+        referenceType: 'campaign', referenceId: campaign.id,
+        accountType: 'campaign', accountId: campaign.id,
+        amount: Number(campaign.raised) - Number(campaign.legacy_raised) - Number(campaign.ledger_donations)
+      });
+    }
+
+    const [wings] = await conn.query(`
+      SELECT w.id,
+             COALESCE((SELECT SUM(amount) FROM wing_donations WHERE wing_id = w.id AND status = 'approved'), 0) as approved,
+             ${ledgerDonations('wing', 'w.id')} as ledger_donations
+      FROM wings w
+    `);
+    for (const wing of wings) {
+      await post({
+        journalType: 'adjustment', description: 'Donations approved before the ledger',
+        referenceType: 'wing', referenceId: wing.id,
+        accountType: 'wing', accountId: wing.id,
+        amount: Number(wing.approved) - Number(wing.ledger_donations)
+      });
+    }
+
+    await conn.query("UPDATE ummah_funds SET balance = 0, total_in = 0, total_out = 0 WHERE entity_type IN ('campaign', 'wing')");
+    await conn.query(`
+      INSERT INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
+      SELECT account_type, account_id, SUM(amount),
+             SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END),
+             SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END)
+      FROM ledger_entries
+      WHERE account_type IN ('central', 'campaign', 'wing', 'direct_aid')
+      GROUP BY account_type, account_id
+      ON DUPLICATE KEY UPDATE
+        balance = VALUES(balance), total_in = VALUES(total_in), total_out = VALUES(total_out),
+        updated_at = CURRENT_TIMESTAMP
+    `);
+  });
+
   // Insert default organization settings
   try {
     const [rows] = await promisePool.query('SELECT COUNT(*) as count FROM organization_settings');
@@ -669,6 +1692,31 @@ export async function initializeMySQLDatabase() {
     // Ignore if already exists
   }
 
+  // Insert default permission templates
+  try {
+    const [rows] = await promisePool.query('SELECT COUNT(*) as count FROM permission_templates');
+    if (rows[0].count === 0) {
+      const defaultTemplates = [
+        ['Wing Treasurer', 'Handles donations coming into a wing', { 'donations.review': true }, [], ['Wing Treasurer']],
+        ['Central Secretary', 'Runs central committee communication and reviews', {
+          'announcements.manage': true,
+          'notifications.broadcast': true,
+          'campaigns.review': true,
+          'wings.review': true
+        }, ['Secretary', 'General Secretary'], []],
+        ['Course Instructor', 'Teaches courses and answers learner questions', { 'courses.teach': true }, ['Course Instructor', 'Instructor'], []]
+      ];
+      for (const [name, description, permissions, positions, wingRoles] of defaultTemplates) {
+        await promisePool.query(`
+          INSERT INTO permission_templates (name, description, permissions, positions, wing_roles, org_role_ids)
+          VALUES (?, ?, ?, ?, ?, '[]')
+        `, [name, description, JSON.stringify(permissions), JSON.stringify(positions), JSON.stringify(wingRoles)]);
+      }
+    }
+  } catch (err) {
+    console.error('[MySQL] Failed to seed permission templates:', err.message);
+  }
+
   console.log('[MySQL] Database initialization complete!');
 }
 
@@ -0,0 +1,180 @@
+// Fraud and duplicate screening for manually reported donations.
+//
+// Donors who pay by mobile wallet or bank transfer type the transaction ID in themselves, so
+// nothing proves the money arrived until a reviewer checks it. screenDonation scores a freshly
+// recorded donation and, once the score reaches the threshold, opens a donation_flags row that
+// the review queue lists. Rules:
+//   duplicate_transaction - the transaction ID is already on a campaign, direct aid or wing donation
+//   malformed_transaction - the ID does not look like a wallet transaction ID
+//   phone_burst           - one phone number reported many donations in a short window
+//   amount                - not a positive number, above a wallet transfer limit, above the
+//                           organization-wide cap or larger than the whole goal of the target
+//
+// Every reason carries its points; the risk score is their sum, capped at 100.
+
+// Tables a donation can live in, keyed by the donation_source stored on the flag
+export const DONATION_SOURCES = {
+  donation: { table: 'donations', label: 'donation' },
+  direct_aid_donation: { table: 'direct_aid_donations', label: 'direct aid donation' },
+  wing_donation: { table: 'wing_donations', label: 'wing donation' }
+};
+
+const WALLET_METHOD = /bkash|nagad|rocket|upay/i;
+
+// Same ID whatever case, spacing or dashes the donor typed it with
+const TRANSACTION_ID_SQL = "UPPER(REPLACE(REPLACE(TRIM(transaction_id), ' ', ''), '-', ''))";
+export const normalizeTransactionId = (id) => String(id || '').trim().replace(/[\s-]/g, '').toUpperCase();
+
+// Last 10 digits, so 01712..., 8801712... and +880 1712... are the same number
+const PHONE_SQL = "RIGHT(REGEXP_REPLACE(COALESCE(phone_number, ''), '[^0-9]', ''), 10)";
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Thresholds, overridable from the environment
+export function loadScreeningSettings(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+  };
+  return {
+    threshold: number(env.DONATION_RISK_THRESHOLD, 30),
+    burstWindowMinutes: number(env.DONATION_BURST_WINDOW_MINUTES, 60),
+    burstLimit: number(env.DONATION_BURST_LIMIT, 3),
+    walletMaxAmount: number(env.DONATION_WALLET_MAX_AMOUNT, 50000),
+    maxAmount: number(env.DONATION_MAX_AMOUNT, 500000)
+  };
+}
+
+// The donation with the campaign / direct aid / wing it was given to and that target's goal
+async function loadDonation(conn, source, donationId) {
+  const queries = {
+    donation: `
+      SELECT d.id, d.amount, d.payment_method, d.transaction_id, d.phone_number,
+        CASE WHEN d.campaign_id IS NOT NULL THEN 'campaign' ELSE 'direct_aid' END as target_type,
+        COALESCE(d.campaign_id, d.direct_aid_id) as target_id,
+        COALESCE(c.goal, da.goal_amount) as target_goal
+      FROM donations d
+      LEFT JOIN campaigns c ON c.id = d.campaign_id
+      LEFT JOIN direct_aids da ON da.id = d.direct_aid_id
+      WHERE d.id = ?`,
+    direct_aid_donation: `
+      SELECT dad.id, dad.amount, dad.payment_method, dad.transaction_id, dad.phone_number,
+        'direct_aid' as target_type, dad.direct_aid_id as target_id, da.goal_amount as target_goal
+      FROM direct_aid_donations dad
+      LEFT JOIN direct_aids da ON da.id = dad.direct_aid_id
+      WHERE dad.id = ?`,
+    wing_donation: `
+      SELECT id, amount, payment_method, transaction_id, phone_number,
+        'wing' as target_type, wing_id as target_id, NULL as target_goal
+      FROM wing_donations
+      WHERE id = ?`
+  };
+  const [rows] = await conn.query(queries[source], [donationId]);
+  return rows[0] || null;
+}
+
+// Other donations, in any of the three tables, reported with the same transaction ID
+async function findDuplicateTransactions(conn, source, donationId, transactionId) {
+  const [rows] = await conn.query(`
+    SELECT * FROM (
+      SELECT 'donation' as source, id, status,
+        CASE WHEN campaign_id IS NOT NULL THEN 'campaign' ELSE 'direct_aid' END as target_type,
+        COALESCE(campaign_id, direct_aid_id) as target_id
+      FROM donations WHERE ${TRANSACTION_ID_SQL} = ?
+      UNION ALL
+      SELECT 'direct_aid_donation', id, status, 'direct_aid', direct_aid_id
+      FROM direct_aid_donations WHERE ${TRANSACTION_ID_SQL} = ?
+      UNION ALL
+      SELECT 'wing_donation', id, status, 'wing', wing_id
+      FROM wing_donations WHERE ${TRANSACTION_ID_SQL} = ?
+    ) matches
+    WHERE NOT (source = ? AND id = ?)
+    ORDER BY id
+  `, [transactionId, transactionId, transactionId, source, donationId]);
+  return rows;
+}
+
+// How many donations the phone number reported inside the burst window, this one included
+async function countRecentByPhone(conn, phone, windowMinutes) {
+  const [rows] = await conn.query(`
+    SELECT
+      (SELECT COUNT(*) FROM donations
+        WHERE ${PHONE_SQL} = ? AND created_at >= NOW() - INTERVAL ? MINUTE) +
+      (SELECT COUNT(*) FROM direct_aid_donations
+        WHERE ${PHONE_SQL} = ? AND created_at >= NOW() - INTERVAL ? MINUTE) +
+      (SELECT COUNT(*) FROM wing_donations
+        WHERE ${PHONE_SQL} = ? AND created_at >= NOW() - INTERVAL ? MINUTE) as total
+  `, [phone, windowMinutes, phone, windowMinutes, phone, windowMinutes]);
+  return Number(rows[0].total);
+}
+
+// Score one donation. Returns { riskScore, reasons: [{ rule, points, message }] }.
+export async function assessDonation(conn, { source, donationId }, settings = loadScreeningSettings()) {
+  if (!DONATION_SOURCES[source]) throw new Error(`Unknown donation source: ${source}`);
+  const donation = await loadDonation(conn, source, donationId);
+  if (!donation) return { riskScore: 0, reasons: [] };
+
+  const reasons = [];
+  const add = (rule, points, message) => reasons.push({ rule, points, message });
+  const isWallet = WALLET_METHOD.test(donation.payment_method || '');
+
+  const transactionId = normalizeTransactionId(donation.transaction_id);
+  if (transactionId) {
+    const duplicates = await findDuplicateTransactions(conn, source, donationId, transactionId);
+    duplicates.forEach(match => {
+      const sameTarget = match.target_type === donation.target_type &&
+        Number(match.target_id) === Number(donation.target_id);
+      const target = sameTarget
+        ? `the same ${match.target_type.replace('_', ' ')}`
+        : `${match.target_type.replace('_', ' ')} #${match.target_id}`;
+      add('duplicate_transaction', sameTarget ? 60 : 70,
+        `Transaction ID ${transactionId} is also on ${DONATION_SOURCES[match.source].label} #${match.id} ` +
+        `(${match.status}) for ${target}`);
+    });
+
+    if (isWallet && !/^[A-Z0-9]{8,12}$/.test(transactionId)) {
+      add('malformed_transaction', 15, `${transactionId} does not look like a ${donation.payment_method} transaction ID`);
+    }
+  }
+
+  const phone = normalizePhone(donation.phone_number);
+  if (phone.length >= 6) {
+    const recent = await countRecentByPhone(conn, phone, settings.burstWindowMinutes);
+    if (recent > settings.burstLimit) {
+      add('phone_burst', Math.min(50, 20 + (recent - settings.burstLimit - 1) * 10),
+        `${recent} donations reported from phone ${donation.phone_number} in the last ${settings.burstWindowMinutes} minutes`);
+    }
+  }
+
+  const amount = Number(donation.amount);
+  if (!(amount > 0)) {
+    add('amount', 100, 'Amount is not a positive number');
+  } else {
+    if (amount > settings.maxAmount) {
+      add('amount', 40, `Amount ${amount} is above the ${settings.maxAmount} limit for a single donation`);
+    } else if (isWallet && amount > settings.walletMaxAmount) {
+      add('amount', 30, `Amount ${amount} is above the ${settings.walletMaxAmount} a ${donation.payment_method} transfer can carry`);
+    }
+    const goal = Number(donation.target_goal);
+    if (goal > 0 && amount > goal) {
+      add('amount', 25, `Amount ${amount} is larger than the whole ${donation.target_type.replace('_', ' ')} goal of ${goal}`);
+    }
+  }
+
+  const riskScore = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+  return { riskScore, reasons };
+}
+
+// Score a donation and open (or refresh) its review flag when the score reaches the threshold
+export async function screenDonation(conn, { source, donationId }, settings = loadScreeningSettings()) {
+  const { riskScore, reasons } = await assessDonation(conn, { source, donationId }, settings);
+  const flagged = riskScore >= settings.threshold;
+  if (flagged) {
+    await conn.query(`
+      INSERT INTO donation_flags (donation_source, donation_id, risk_score, reasons, status)
+      VALUES (?, ?, ?, ?, 'open')
+      ON DUPLICATE KEY UPDATE risk_score = VALUES(risk_score), reasons = VALUES(reasons),
+        updated_at = CURRENT_TIMESTAMP
+    `, [source, donationId, riskScore, JSON.stringify(reasons)]);
+  }
+  return { riskScore, reasons, flagged };
+}
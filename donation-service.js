@@ -0,0 +1,128 @@
+// One status model for campaign, direct aid and wing donations.
+//
+// Every donation, whichever table it lives in, moves through the same states:
+//   pending   - recorded, waiting for a reviewer (or for an online checkout to finish)
+//   approved  - the money is confirmed; it is in the ledger and counts towards the target
+//   rejected  - a reviewer could not confirm the money
+//   failed / cancelled - the online checkout never completed
+// Only pending donations change state. 'verified' is the old name for approved and is
+// migrated to it.
+//
+// The raised totals of campaigns and direct aids are recomputed from their approved donations
+// after every change rather than nudged up and down, so they cannot drift from the ledger.
+
+import { DONATION_SOURCES } from './donation-screening.js';
+import { ledgerError } from './ledger.js';
+
+export const DONATION_STATUSES = ['pending', 'approved', 'rejected', 'failed', 'cancelled'];
+
+export const DONATION_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'failed', 'cancelled'],
+  approved: [],
+  rejected: [],
+  failed: [],
+  cancelled: []
+};
+
+// Referrers earn one donation point per this many taka they bring in
+export const REFERRAL_POINT_AMOUNT = 100;
+
+// Each donation with the target it was given to and the donor's volunteer account, locked
+const LOCK_QUERIES = {
+  donation: `
+    SELECT d.*,
+      CASE WHEN d.campaign_id IS NOT NULL THEN 'campaign' ELSE 'direct_aid' END as target_type,
+      COALESCE(d.campaign_id, d.direct_aid_id) as target_id,
+      COALESCE(c.title, da.title) as target_title,
+      dn.volunteer_id as donor_volunteer_id
+    FROM donations d
+    LEFT JOIN campaigns c ON c.id = d.campaign_id
+    LEFT JOIN direct_aids da ON da.id = d.direct_aid_id
+    LEFT JOIN donors dn ON dn.id = d.donor_id
+    WHERE d.id = ?
+    FOR UPDATE OF d`,
+  direct_aid_donation: `
+    SELECT dad.*, 'direct_aid' as target_type, dad.direct_aid_id as target_id, da.title as target_title,
+      dn.volunteer_id as donor_volunteer_id
+    FROM direct_aid_donations dad
+    LEFT JOIN direct_aids da ON da.id = dad.direct_aid_id
+    LEFT JOIN donors dn ON dn.id = dad.donor_id
+    WHERE dad.id = ?
+    FOR UPDATE OF dad`,
+  wing_donation: `
+    SELECT wd.*, 'wing' as target_type, wd.wing_id as target_id, w.name as target_title,
+      dn.volunteer_id as donor_volunteer_id
+    FROM wing_donations wd
+    LEFT JOIN wings w ON w.id = wd.wing_id
+    LEFT JOIN donors dn ON dn.id = wd.donor_id
+    WHERE wd.id = ?
+    FOR UPDATE OF wd`
+};
+
+// Lock a donation for a state change. Returns the row with source, target_type, target_id,
+// target_title and donor_volunteer_id, or null.
+export async function lockDonation(conn, source, donationId) {
+  if (!LOCK_QUERIES[source]) throw ledgerError(`Unknown donation source: ${source}`);
+  const [rows] = await conn.query(LOCK_QUERIES[source], [donationId]);
+  if (!rows[0]) return null;
+  return { ...rows[0], source, amount: Number(rows[0].amount) };
+}
+
+export function assertTransition(from, to) {
+  if (!DONATION_STATUSES.includes(to)) {
+    throw ledgerError(`Status must be one of ${DONATION_STATUSES.join(', ')}`);
+  }
+  const current = from === 'verified' ? 'approved' : from;
+  if (!(DONATION_TRANSITIONS[current] || []).includes(to)) {
+    throw ledgerError(current === to ? `Donation is already ${to}` : `Donation is ${current} and cannot be ${to}`, 409);
+  }
+}
+
+// Write the new status and who decided it
+export async function setDonationStatus(conn, donation, status, actorId = null, note = null) {
+  const table = DONATION_SOURCES[donation.source].table;
+  await conn.query(`
+    UPDATE ${table}
+    SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+    ${donation.source === 'wing_donation' ? '' : ', verified_at = CURRENT_TIMESTAMP'}
+    WHERE id = ?
+  `, [status, actorId, note, donation.id]);
+  donation.status = status;
+}
+
+// Credit the volunteer who referred an approved donation: collected amount and donation points
+export async function creditReferrer(conn, donation) {
+  if (!donation.referrer_id) return null;
+  const points = Math.floor(donation.amount / REFERRAL_POINT_AMOUNT);
+  await conn.query(`
+    UPDATE volunteers
+    SET total_collected = COALESCE(total_collected, 0) + ?,
+        donation_points = COALESCE(donation_points, 0) + ?
+    WHERE id = ?
+  `, [donation.amount, points, donation.referrer_id]);
+  return { referrerId: donation.referrer_id, points };
+}
+
+// Recompute the raised total of a campaign or direct aid from its approved donations and the
+// legacy_raised carried over from before donations were tracked this way.
+// Wings keep no raised total; their balance is the ledger.
+export async function refreshRaised(conn, targetType, targetId) {
+  if (targetType === 'campaign') {
+    await conn.query(`
+      UPDATE campaigns
+      SET raised = COALESCE(legacy_raised, 0) +
+          (SELECT COALESCE(SUM(amount), 0) FROM donations WHERE campaign_id = ? AND status = 'approved'),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [targetId, targetId]);
+  } else if (targetType === 'direct_aid') {
+    await conn.query(`
+      UPDATE direct_aids
+      SET raised_amount = COALESCE(legacy_raised, 0) +
+          (SELECT COALESCE(SUM(amount), 0) FROM donations WHERE direct_aid_id = ? AND status = 'approved') +
+          (SELECT COALESCE(SUM(amount), 0) FROM direct_aid_donations WHERE direct_aid_id = ? AND status = 'approved'),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [targetId, targetId, targetId]);
+  }
+}
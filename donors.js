@@ -0,0 +1,418 @@
+// Donor records shared by campaign, direct aid and wing donations.
+//
+// A donor is one person or organization, whatever name they typed on each form. Their phone
+// numbers and emails live in donor_contacts, unique per normalized value, so a contact always
+// resolves to exactly one donor; merging moves contacts along with donations. Donation rows
+// point at their donor through donor_id.
+//
+// A donation is linked by its phone number first. Without one it goes to the donor of the
+// volunteer account that recorded it. A donation with neither stays unlinked until someone
+// assigns it by hand. Names are never used to match: two people can share one.
+
+import { DONATION_SOURCES, normalizePhone } from './donation-screening.js';
+import { ledgerError } from './ledger.js';
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Donation statuses that count towards lifetime giving ('verified' is the older name for approved)
+export const GIVING_STATUSES = ['approved', 'verified'];
+
+// Donations of all three tables in one shape: source, id, donor_id, amount, status, cause_type, cause_id, ...
+export const DONATION_HISTORY_SQL = `
+  SELECT 'donation' as source, d.id, d.donor_id, d.donor_name, d.phone_number, d.amount, d.payment_method,
+    d.transaction_id, d.is_anonymous, d.volunteer_id, d.referrer_id, d.pledge_id, d.status, d.created_at,
+    CASE WHEN d.campaign_id IS NOT NULL THEN 'campaign' ELSE 'direct_aid' END as cause_type,
+    COALESCE(d.campaign_id, d.direct_aid_id) as cause_id,
+    COALESCE(c.title, da.title) as cause_name
+  FROM donations d
+  LEFT JOIN campaigns c ON c.id = d.campaign_id
+  LEFT JOIN direct_aids da ON da.id = d.direct_aid_id
+  UNION ALL
+  SELECT 'direct_aid_donation', dad.id, dad.donor_id, dad.donor_name, dad.phone_number, dad.amount, dad.payment_method,
+    dad.transaction_id, dad.is_anonymous, dad.volunteer_id, dad.referrer_id, dad.pledge_id, dad.status, dad.created_at,
+    'direct_aid', dad.direct_aid_id, da.title
+  FROM direct_aid_donations dad
+  LEFT JOIN direct_aids da ON da.id = dad.direct_aid_id
+  UNION ALL
+  SELECT 'wing_donation', wd.id, wd.donor_id, wd.donor_name, wd.phone_number, wd.amount, wd.payment_method,
+    wd.transaction_id, wd.is_anonymous, wd.volunteer_id, wd.referrer_id, wd.pledge_id, wd.status, wd.created_at,
+    'wing', wd.wing_id, w.name
+  FROM wing_donations wd
+  LEFT JOIN wings w ON w.id = wd.wing_id
+`;
+
+const sourceTable = (source) => {
+  if (!DONATION_SOURCES[source]) throw ledgerError(`Unknown donation source: ${source}`);
+  return DONATION_SOURCES[source].table;
+};
+
+// Normalized contact or null when there is nothing usable
+export function normalizeContact(kind, value) {
+  if (kind === 'phone') {
+    const phone = normalizePhone(value);
+    return phone.length >= 6 ? phone : null;
+  }
+  if (kind === 'email') {
+    const email = normalizeEmail(value);
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+  }
+  throw ledgerError("Contact kind must be 'phone' or 'email'");
+}
+
+async function findDonorByContact(conn, kind, value) {
+  const [rows] = await conn.query(
+    'SELECT donor_id FROM donor_contacts WHERE kind = ? AND value = ?',
+    [kind, value]
+  );
+  return rows[0]?.donor_id || null;
+}
+
+async function findDonorByVolunteer(conn, volunteerId) {
+  const [rows] = await conn.query(
+    "SELECT id FROM donors WHERE volunteer_id = ? AND status = 'active'",
+    [volunteerId]
+  );
+  return rows[0]?.id || null;
+}
+
+// Attach a contact to a donor. A contact that already belongs to someone else is left alone;
+// joining two donors is a merge and stays a human decision.
+export async function addDonorContact(conn, donorId, kind, rawValue, label = null) {
+  const value = normalizeContact(kind, rawValue);
+  if (!value) return false;
+  const [result] = await conn.query(
+    'INSERT IGNORE INTO donor_contacts (donor_id, kind, value, label) VALUES (?, ?, ?, ?)',
+    [donorId, kind, value, label]
+  );
+  return result.affectedRows === 1;
+}
+
+// Find the donor behind a volunteer account, phone number or email, creating one if needed.
+// A volunteer account only ever resolves to its own donor: matching it to a phone-only donor
+// would let anyone who edits their account phone read a stranger's giving, so such pairs are
+// left for findDuplicateCandidates and a manual merge. Returns the donor id or null when
+// there is nothing to identify the donor by.
+export async function ensureDonor(conn, { displayName = null, phone = null, email = null, volunteerId = null }) {
+  const phoneKey = normalizeContact('phone', phone);
+  const emailKey = normalizeContact('email', email);
+
+  let donorId = null;
+  if (volunteerId) {
+    donorId = await findDonorByVolunteer(conn, volunteerId);
+  } else {
+    if (phoneKey) donorId = await findDonorByContact(conn, 'phone', phoneKey);
+    if (!donorId && emailKey) donorId = await findDonorByContact(conn, 'email', emailKey);
+    if (!donorId && !phoneKey && !emailKey) return null;
+  }
+
+  if (donorId) {
+    if (displayName) {
+      await conn.query('UPDATE donors SET display_name = ? WHERE id = ? AND display_name IS NULL', [displayName, donorId]);
+    }
+    if (phoneKey) await addDonorContact(conn, donorId, 'phone', phoneKey);
+    if (emailKey) await addDonorContact(conn, donorId, 'email', emailKey);
+    return donorId;
+  }
+
+  const [result] = await conn.query(
+    'INSERT INTO donors (display_name, volunteer_id) VALUES (?, ?)',
+    [displayName, volunteerId]
+  );
+  donorId = result.insertId;
+  const key = phoneKey ? ['phone', phoneKey] : ['email', emailKey];
+  if (key[1] && !(await addDonorContact(conn, donorId, ...key)) && !volunteerId) {
+    // Another request created a donor for the same contact in the meantime
+    await conn.query('DELETE FROM donors WHERE id = ?', [donorId]);
+    return findDonorByContact(conn, ...key);
+  }
+  if (phoneKey && emailKey) await addDonorContact(conn, donorId, 'email', emailKey);
+  return donorId;
+}
+
+// The donor of a volunteer account, created from the account details on first use
+export async function ensureVolunteerDonor(conn, volunteerId) {
+  const [volunteers] = await conn.query('SELECT full_name, phone, email FROM volunteers WHERE id = ?', [volunteerId]);
+  const volunteer = volunteers[0];
+  if (!volunteer) return null;
+  return ensureDonor(conn, {
+    displayName: volunteer.full_name,
+    phone: volunteer.phone,
+    email: volunteer.email,
+    volunteerId
+  });
+}
+
+// Link one donation row to its donor (see the rules at the top). Returns the donor id or null.
+export async function linkDonation(conn, source, donationId) {
+  const table = sourceTable(source);
+  const [rows] = await conn.query(
+    `SELECT id, donor_id, donor_name, phone_number, volunteer_id, is_anonymous FROM ${table} WHERE id = ?`,
+    [donationId]
+  );
+  const donation = rows[0];
+  if (!donation) return null;
+  if (donation.donor_id) return donation.donor_id;
+
+  const displayName = donation.is_anonymous || donation.donor_name === 'Anonymous' ? null : donation.donor_name;
+  const donorId = normalizeContact('phone', donation.phone_number)
+    ? await ensureDonor(conn, { displayName, phone: donation.phone_number })
+    : donation.volunteer_id ? await ensureVolunteerDonor(conn, donation.volunteer_id) : null;
+  if (!donorId) return null;
+
+  // A donor who asked to stay anonymous stays anonymous on every new donation too
+  const [donors] = await conn.query('SELECT prefers_anonymous FROM donors WHERE id = ?', [donorId]);
+  if (donors[0]?.prefers_anonymous && !donation.is_anonymous) {
+    await conn.query(
+      `UPDATE ${table} SET donor_id = ?, is_anonymous = 1, donor_name = 'Anonymous' WHERE id = ?`,
+      [donorId, donation.id]
+    );
+  } else {
+    await conn.query(`UPDATE ${table} SET donor_id = ? WHERE id = ?`, [donorId, donation.id]);
+  }
+  return donorId;
+}
+
+// Link every unlinked donation row, batchSize rows at a time per table.
+// Returns { linked, unlinked } counts per source.
+export async function linkUnlinkedDonations(conn, { batchSize = 500 } = {}) {
+  const summary = {};
+  for (const [source, { table }] of Object.entries(DONATION_SOURCES)) {
+    summary[source] = { linked: 0, unlinked: 0 };
+    let lastId = 0;
+    for (;;) {
+      const [rows] = await conn.query(
+        `SELECT id FROM ${table} WHERE donor_id IS NULL AND id > ? ORDER BY id LIMIT ?`,
+        [lastId, batchSize]
+      );
+      if (!rows.length) break;
+      for (const row of rows) {
+        const donorId = await linkDonation(conn, source, row.id);
+        summary[source][donorId ? 'linked' : 'unlinked']++;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+  return summary;
+}
+
+async function lockActiveDonor(conn, donorId) {
+  const [rows] = await conn.query('SELECT * FROM donors WHERE id = ? FOR UPDATE', [donorId]);
+  const donor = rows[0];
+  if (!donor) throw ledgerError(`Donor #${donorId} not found`, 404);
+  if (donor.status !== 'active') throw ledgerError(`Donor #${donorId} was merged into #${donor.merged_into}`, 409);
+  return donor;
+}
+
+// Fold donors into the survivor: donations and contacts move over, the others are marked merged.
+// Call inside a transaction.
+export async function mergeDonors(conn, survivorId, mergedIds, mergedBy = null) {
+  const ids = [...new Set(mergedIds.map(id => parseInt(id)))].filter(id => id && id !== parseInt(survivorId));
+  if (!ids.length) throw ledgerError('Name at least one other donor to merge');
+
+  const survivor = await lockActiveDonor(conn, survivorId);
+  const merged = [];
+  for (const id of ids) merged.push(await lockActiveDonor(conn, id));
+
+  const accounts = new Set([survivor, ...merged].map(donor => donor.volunteer_id).filter(Boolean));
+  if (accounts.size > 1) {
+    throw ledgerError('These donors belong to different volunteer accounts and cannot be merged', 409);
+  }
+
+  const moved = {};
+  for (const [source, { table }] of Object.entries(DONATION_SOURCES)) {
+    const [rows] = await conn.query(`SELECT id FROM ${table} WHERE donor_id IN (?)`, [ids]);
+    moved[source] = rows.map(row => row.id);
+    if (rows.length) await conn.query(`UPDATE ${table} SET donor_id = ? WHERE donor_id IN (?)`, [survivor.id, ids]);
+  }
+  const [contacts] = await conn.query('SELECT kind, value FROM donor_contacts WHERE donor_id IN (?)', [ids]);
+  await conn.query('UPDATE donor_contacts SET donor_id = ? WHERE donor_id IN (?)', [survivor.id, ids]);
+
+  const volunteerId = survivor.volunteer_id || merged.find(donor => donor.volunteer_id)?.volunteer_id || null;
+  const fallbackName = merged.find(donor => donor.display_name)?.display_name || null;
+  const notes = [survivor, ...merged].map(donor => donor.notes).filter(Boolean).join('\n');
+  await conn.query(`
+    UPDATE donors SET status = 'merged', merged_into = ?, volunteer_id = NULL WHERE id IN (?)
+  `, [survivor.id, ids]);
+  await conn.query(`
+    UPDATE donors
+    SET volunteer_id = ?, display_name = COALESCE(display_name, ?), notes = ?,
+      prefers_anonymous = ?
+    WHERE id = ?
+  `, [
+    volunteerId,
+    fallbackName,
+    notes || null,
+    [survivor, ...merged].some(donor => donor.prefers_anonymous) ? 1 : 0,
+    survivor.id
+  ]);
+
+  await conn.query(`
+    INSERT INTO donor_merge_log (action, donor_id, other_donor_ids, details, performed_by)
+    VALUES ('merge', ?, ?, ?, ?)
+  `, [survivor.id, ids.join(','), JSON.stringify({ donations: moved, contacts }), mergedBy]);
+  return survivor.id;
+}
+
+// Move some donations and contacts of a donor to a new donor (e.g. two people who shared a
+// phone number were merged). donations: [{ source, id }], contacts: [{ kind, value }].
+// Returns the new donor id. Call inside a transaction.
+export async function splitDonor(conn, donorId, {
+  donations = [],
+  contacts = [],
+  displayName = null,
+  volunteerId = null
+}, splitBy = null) {
+  const donor = await lockActiveDonor(conn, donorId);
+  if (!donations.length && !contacts.length) throw ledgerError('Name the donations or contacts to split off');
+  if (volunteerId && volunteerId === donor.volunteer_id) {
+    throw ledgerError('The new donor cannot take the same volunteer account; leave volunteerId out', 409);
+  }
+
+  const [result] = await conn.query(
+    'INSERT INTO donors (display_name, volunteer_id, prefers_anonymous) VALUES (?, ?, ?)',
+    [displayName, volunteerId || null, donor.prefers_anonymous]
+  );
+  const newDonorId = result.insertId;
+
+  for (const { source, id } of donations) {
+    const [update] = await conn.query(
+      `UPDATE ${sourceTable(source)} SET donor_id = ? WHERE id = ? AND donor_id = ?`,
+      [newDonorId, id, donor.id]
+    );
+    if (!update.affectedRows) throw ledgerError(`${source} #${id} does not belong to donor #${donor.id}`);
+  }
+  for (const { kind, value } of contacts) {
+    const key = normalizeContact(kind, value);
+    const [update] = await conn.query(
+      'UPDATE donor_contacts SET donor_id = ? WHERE kind = ? AND value = ? AND donor_id = ?',
+      [newDonorId, kind, key, donor.id]
+    );
+    if (!update.affectedRows) throw ledgerError(`${kind} ${value} does not belong to donor #${donor.id}`);
+  }
+
+  await conn.query(`
+    INSERT INTO donor_merge_log (action, donor_id, other_donor_ids, details, performed_by)
+    VALUES ('split', ?, ?, ?, ?)
+  `, [donor.id, String(newDonorId), JSON.stringify({ donations, contacts }), splitBy]);
+  return newDonorId;
+}
+
+// Put donations on a donor, whether they were unlinked or on someone else.
+// donations: [{ source, id }]. Call inside a transaction.
+export async function assignDonations(conn, donorId, donations, assignedBy = null) {
+  await lockActiveDonor(conn, donorId);
+  if (!donations.length) throw ledgerError('Name the donations to assign');
+
+  const previous = [];
+  for (const { source, id } of donations) {
+    const table = sourceTable(source);
+    const [rows] = await conn.query(`SELECT donor_id FROM ${table} WHERE id = ? FOR UPDATE`, [id]);
+    if (!rows[0]) throw ledgerError(`${source} #${id} not found`, 404);
+    previous.push({ source, id, donor_id: rows[0].donor_id });
+    await conn.query(`UPDATE ${table} SET donor_id = ? WHERE id = ?`, [donorId, id]);
+  }
+
+  const others = [...new Set(previous.map(row => row.donor_id).filter(id => id && id !== Number(donorId)))];
+  await conn.query(`
+    INSERT INTO donor_merge_log (action, donor_id, other_donor_ids, details, performed_by)
+    VALUES ('assign', ?, ?, ?, ?)
+  `, [donorId, others.join(',') || null, JSON.stringify({ donations: previous }), assignedBy]);
+  return previous;
+}
+
+// Active donors that look like the same person, for someone to merge or leave apart:
+//   same_name       - the same display name, ignoring case and surrounding spaces
+//   account_contact - a volunteer account's phone or email belongs to another donor
+export async function findDuplicateCandidates(conn, { limit = 100 } = {}) {
+  const [sameName] = await conn.query(`
+    SELECT LOWER(TRIM(display_name)) as name_key, GROUP_CONCAT(id ORDER BY id) as donor_ids
+    FROM donors
+    WHERE status = 'active' AND display_name IS NOT NULL AND display_name <> ''
+    GROUP BY name_key
+    HAVING COUNT(*) > 1
+    ORDER BY COUNT(*) DESC, name_key
+    LIMIT ?
+  `, [limit]);
+  const [accountContacts] = await conn.query(`
+    SELECT account.id as account_donor_id, contact.donor_id as other_donor_id, contact.kind, contact.value
+    FROM donors account
+    JOIN volunteers v ON v.id = account.volunteer_id
+    JOIN donor_contacts contact ON contact.donor_id <> account.id AND (
+      (contact.kind = 'phone' AND contact.value = RIGHT(REGEXP_REPLACE(COALESCE(v.phone, ''), '[^0-9]', ''), 10))
+      OR (contact.kind = 'email' AND contact.value = LOWER(TRIM(v.email)))
+    )
+    JOIN donors other ON other.id = contact.donor_id AND other.status = 'active'
+    WHERE account.status = 'active'
+    ORDER BY account.id
+    LIMIT ?
+  `, [limit]);
+
+  return [
+    ...sameName.map(row => ({
+      reason: 'same_name',
+      match: row.name_key,
+      donor_ids: row.donor_ids.split(',').map(Number)
+    })),
+    ...accountContacts.map(row => ({
+      reason: 'account_contact',
+      match: `${row.kind} ${row.value}`,
+      donor_ids: [row.account_donor_id, row.other_donor_id]
+    }))
+  ];
+}
+
+// Lifetime giving of donors: totals, first / last gift and a breakdown by cause type
+export async function getLifetimeGiving(conn, donorIds) {
+  if (!donorIds.length) return new Map();
+  const [rows] = await conn.query(`
+    SELECT donor_id, cause_type, COUNT(*) as donation_count, SUM(amount) as total,
+      MIN(created_at) as first_donation_at, MAX(created_at) as last_donation_at
+    FROM (${DONATION_HISTORY_SQL}) history
+    WHERE donor_id IN (?) AND status IN (?)
+    GROUP BY donor_id, cause_type
+  `, [donorIds, GIVING_STATUSES]);
+
+  const giving = new Map(donorIds.map(id => [id, {
+    total: 0, donation_count: 0, first_donation_at: null, last_donation_at: null, by_cause: {}
+  }]));
+  for (const row of rows) {
+    const entry = giving.get(row.donor_id);
+    const total = Number(row.total);
+    entry.total = Math.round((entry.total + total) * 100) / 100;
+    entry.donation_count += Number(row.donation_count);
+    entry.by_cause[row.cause_type] = { total, donation_count: Number(row.donation_count) };
+    if (!entry.first_donation_at || row.first_donation_at < entry.first_donation_at) entry.first_donation_at = row.first_donation_at;
+    if (!entry.last_donation_at || row.last_donation_at > entry.last_donation_at) entry.last_donation_at = row.last_donation_at;
+  }
+  return giving;
+}
+
+// A donor with contacts, lifetime giving and every donation across campaigns, direct aid and wings
+export async function getDonorProfile(conn, donorId) {
+  const [donors] = await conn.query(`
+    SELECT dn.*, v.full_name as volunteer_name, v.avatar as volunteer_avatar
+    FROM donors dn
+    LEFT JOIN volunteers v ON v.id = dn.volunteer_id
+    WHERE dn.id = ?
+  `, [donorId]);
+  const donor = donors[0];
+  if (!donor) return null;
+
+  const [contacts] = await conn.query(
+    'SELECT id, kind, value, label, created_at FROM donor_contacts WHERE donor_id = ? ORDER BY kind, id',
+    [donor.id]
+  );
+  const [history] = await conn.query(`
+    SELECT * FROM (${DONATION_HISTORY_SQL}) history
+    WHERE donor_id = ?
+    ORDER BY created_at DESC
+  `, [donor.id]);
+  const giving = await getLifetimeGiving(conn, [donor.id]);
+
+  return {
+    ...donor,
+    contacts,
+    lifetime: giving.get(donor.id),
+    donations: history.map(row => ({ ...row, amount: Number(row.amount) }))
+  };
+}
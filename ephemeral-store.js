@@ -0,0 +1,226 @@
+// Ephemeral state store for short-lived, TTL'd entries (typing indicators, presence).
+//
+// Both implementations expose the same async interface:
+//   set(namespace, key, value, ttlMs)  - create/refresh an entry
+//   get(namespace, key)                - { key, value, expiresAt } or null when missing/expired
+//   delete(namespace, key)
+//   list(namespace)                    - all live entries in a namespace
+//   publish(channel, message)          - hand a message to every subscriber of the channel
+//   subscribe(channel, handler)        - call handler(message) for each message published
+//   close()
+//
+// The in-memory store only sees its own process. Use the MySQL store when more than one
+// machine serves the API so every instance sees the same typing/presence state and receives
+// the messages the others publish.
+
+import crypto from 'crypto';
+import { promisePool } from './db.js';
+
+const REALTIME_POLL_MS = 1000;
+const REALTIME_LOOKBACK_SECONDS = 5;
+const REALTIME_RETENTION_SECONDS = 60;
+
+// Channel -> Set of handlers; a throwing handler doesn't stop the others
+const createSubscribers = () => {
+  const channels = new Map();
+  return {
+    add(channel, handler) {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(handler);
+      return () => channels.get(channel)?.delete(handler);
+    },
+    deliver(channel, message) {
+      channels.get(channel)?.forEach(handler => {
+        try {
+          handler(message);
+        } catch (err) {
+          console.error(`[EphemeralStore] Subscriber of "${channel}" failed:`, err.message);
+        }
+      });
+    },
+    clear: () => channels.clear()
+  };
+};
+
+// In-memory store (single instance / local development)
+export function createMemoryStore() {
+  const namespaces = new Map();
+  const subscribers = createSubscribers();
+
+  const isLive = (entry) => entry.expiresAt > Date.now();
+
+  // Sweep expired entries so idle namespaces don't accumulate
+  const sweeper = setInterval(() => {
+    namespaces.forEach((entries, namespace) => {
+      entries.forEach((entry, key) => {
+        if (!isLive(entry)) entries.delete(key);
+      });
+      if (entries.size === 0) namespaces.delete(namespace);
+    });
+  }, 30000);
+  sweeper.unref();
+
+  return {
+    driver: 'memory',
+
+    async set(namespace, key, value, ttlMs) {
+      if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+      namespaces.get(namespace).set(String(key), { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async get(namespace, key) {
+      const entry = namespaces.get(namespace)?.get(String(key));
+      if (!entry || !isLive(entry)) return null;
+      return { key: String(key), value: entry.value, expiresAt: new Date(entry.expiresAt) };
+    },
+
+    async delete(namespace, key) {
+      namespaces.get(namespace)?.delete(String(key));
+    },
+
+    async list(namespace) {
+      const entries = namespaces.get(namespace);
+      if (!entries) return [];
+      const live = [];
+      entries.forEach((entry, key) => {
+        if (isLive(entry)) live.push({ key, value: entry.value, expiresAt: new Date(entry.expiresAt) });
+      });
+      return live;
+    },
+
+    async publish(channel, message) {
+      subscribers.deliver(channel, message);
+    },
+
+    subscribe(channel, handler) {
+      return subscribers.add(channel, handler);
+    },
+
+    async close() {
+      clearInterval(sweeper);
+      namespaces.clear();
+      subscribers.clear();
+    }
+  };
+}
+
+// MySQL-backed store (shared between machines), uses the ephemeral_state table. Published
+// messages go to this process's subscribers at once and into realtime_events, which every other
+// process polls; each process skips the rows it wrote itself.
+export function createMySQLStore(pool = promisePool) {
+  const origin = crypto.randomUUID();
+  const subscribers = createSubscribers();
+  let seenEventIds = null;
+  let poller = null;
+  let polling = false;
+
+  const sweeper = setInterval(() => {
+    pool.query('DELETE FROM ephemeral_state WHERE expires_at < NOW(3)').catch(err => {
+      console.error('[EphemeralStore] Cleanup failed:', err.message);
+    });
+    pool.query('DELETE FROM realtime_events WHERE created_at < NOW(3) - INTERVAL ? SECOND', [REALTIME_RETENTION_SECONDS]).catch(err => {
+      console.error('[EphemeralStore] Event cleanup failed:', err.message);
+    });
+  }, 60000);
+  sweeper.unref();
+
+  // Deliver the events other processes wrote since the last poll. Ids are taken at insert but
+  // rows only show up once committed, so a lower id can appear after a higher one: every poll
+  // re-reads the last few seconds and skips the ids the previous poll already saw. The first
+  // poll only marks what is there, so a new process doesn't replay what it wasn't connected for.
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const [rows] = await pool.query(
+        'SELECT id, origin, channel, message FROM realtime_events WHERE created_at >= NOW(3) - INTERVAL ? SECOND ORDER BY id',
+        [REALTIME_LOOKBACK_SECONDS]
+      );
+      const visible = new Set(rows.map(row => String(row.id)));
+      if (seenEventIds) {
+        for (const row of rows) {
+          if (seenEventIds.has(String(row.id)) || row.origin === origin) continue;
+          subscribers.deliver(row.channel, JSON.parse(row.message));
+        }
+      }
+      seenEventIds = visible;
+    } catch (err) {
+      console.error('[EphemeralStore] Event poll failed:', err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  const toEntry = (row) => ({
+    key: row.item_key,
+    value: row.value ? JSON.parse(row.value) : null,
+    expiresAt: new Date(row.expires_at)
+  });
+
+  return {
+    driver: 'mysql',
+
+    async set(namespace, key, value, ttlMs) {
+      await pool.query(`
+        INSERT INTO ephemeral_state (namespace, item_key, value, expires_at)
+        VALUES (?, ?, ?, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))
+        ON DUPLICATE KEY UPDATE value = VALUES(value), expires_at = VALUES(expires_at)
+      `, [namespace, String(key), JSON.stringify(value ?? null), ttlMs * 1000]);
+    },
+
+    async get(namespace, key) {
+      const [rows] = await pool.query(
+        'SELECT item_key, value, expires_at FROM ephemeral_state WHERE namespace = ? AND item_key = ? AND expires_at > NOW(3)',
+        [namespace, String(key)]
+      );
+      return rows[0] ? toEntry(rows[0]) : null;
+    },
+
+    async delete(namespace, key) {
+      await pool.query('DELETE FROM ephemeral_state WHERE namespace = ? AND item_key = ?', [namespace, String(key)]);
+    },
+
+    async list(namespace) {
+      const [rows] = await pool.query(
+        'SELECT item_key, value, expires_at FROM ephemeral_state WHERE namespace = ? AND expires_at > NOW(3)',
+        [namespace]
+      );
+      return rows.map(toEntry);
+    },
+
+    async publish(channel, message) {
+      subscribers.deliver(channel, message);
+      await pool.query(
+        'INSERT INTO realtime_events (origin, channel, message) VALUES (?, ?, ?)',
+        [origin, channel, JSON.stringify(message)]
+      );
+    },
+
+    subscribe(channel, handler) {
+      if (!poller) {
+        poll();
+        poller = setInterval(poll, REALTIME_POLL_MS);
+        poller.unref();
+      }
+      return subscribers.add(channel, handler);
+    },
+
+    async close() {
+      clearInterval(sweeper);
+      clearInterval(poller);
+      subscribers.clear();
+    }
+  };
+}
+
+// Pick the implementation from EPHEMERAL_STORE ('memory' or 'mysql')
+export function createEphemeralStore(driver = process.env.EPHEMERAL_STORE || 'memory') {
+  if (driver === 'mysql') return createMySQLStore();
+  if (driver !== 'memory') {
+    console.warn(`[EphemeralStore] Unknown EPHEMERAL_STORE "${driver}", falling back to memory`);
+  }
+  if (process.env.FLY_MACHINE_ID) {
+    console.warn('[EphemeralStore] Using the memory store on Fly.io: realtime events and presence stay on this machine. Set EPHEMERAL_STORE=mysql when running more than one.');
+  }
+  return createMemoryStore();
+}
@@ -0,0 +1,437 @@
+// Income and expenditure statements of the fund accounts.
+//
+// A statement covers one fund account (the central fund, a campaign, wing or direct aid) or,
+// consolidated, all of them over a date range. It is built from the fund_transactions history,
+// the ledger journal each row posted (to find the donation and its payment channel) and the
+// expenses paid:
+//   opening balance - everything in minus everything out before the period
+//   income          - donations by channel, other deposits, transfers in, reversals / adjustments in
+//   expenditure     - expenses by category, transfers out, reversals / adjustments out
+//   closing balance - opening balance + income - expenditure
+// In the consolidated statement transfers between the organization's own funds cancel out. They
+// are shown once as internal transfers and left out of income and expenditure.
+
+import { FUND_ACCOUNT_TYPES, ledgerError, normalizeAccount } from './ledger.js';
+import { pdfSafe } from './receipts.js';
+import { buildXlsx } from './xlsx.js';
+
+export const STATEMENT_FORMATS = ['json', 'csv', 'xlsx', 'pdf'];
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const CHANNEL_LABELS = {
+  bkash: 'bKash',
+  nagad: 'Nagad',
+  rocket: 'Rocket',
+  upay: 'Upay',
+  cash: 'Cash',
+  bank: 'Bank transfer',
+  'bank transfer': 'Bank transfer',
+  card: 'Card'
+};
+
+// The same channel whatever case it was typed in
+const channelLabel = (method) => {
+  const key = String(method || '').trim().toLowerCase();
+  if (!key) return 'Unspecified';
+  return CHANNEL_LABELS[key] || String(method).trim();
+};
+
+const ACCOUNT_NAME_QUERIES = {
+  campaign: 'SELECT id, title as name FROM campaigns WHERE id IN (?)',
+  wing: 'SELECT id, name FROM wings WHERE id IN (?)',
+  direct_aid: 'SELECT id, title as name FROM direct_aids WHERE id IN (?)'
+};
+
+const accountKey = (type, id) => `${type}:${type === 'central' || type === 'external' ? 0 : Number(id)}`;
+
+// Display names of fund accounts, keyed by "type:id"
+async function getAccountNames(conn, accounts) {
+  const names = new Map([['central:0', 'Central fund'], ['external:0', 'Outside the organization']]);
+  for (const [type, query] of Object.entries(ACCOUNT_NAME_QUERIES)) {
+    const ids = [...new Set(accounts.filter(account => account.type === type).map(account => Number(account.id)))];
+    if (!ids.length) continue;
+    const [rows] = await conn.query(query, [ids]);
+    for (const row of rows) names.set(accountKey(type, row.id), row.name);
+  }
+  for (const { type, id } of accounts) {
+    const key = accountKey(type, id);
+    if (!names.has(key)) names.set(key, `${type.replace('_', ' ')} #${id}`);
+  }
+  return names;
+}
+
+const isDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+const localDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// { from, to } as YYYY-MM-DD, both days included; defaults to the calendar year so far
+export function parseStatementPeriod({ from, to } = {}, today = new Date()) {
+  const end = to || localDate(today);
+  const start = from || `${end.slice(0, 4)}-01-01`;
+  if (!isDate(start) || !isDate(end)) throw ledgerError('from and to must be dates written YYYY-MM-DD');
+  if (start > end) throw ledgerError('from must not be after to');
+  return { from: start, to: end };
+}
+
+// Fund transactions of the period with their donation channel and expense category
+const MOVEMENTS_SQL = `
+  SELECT ft.id, ft.from_type, ft.from_id, ft.to_type, ft.to_id, ft.amount, ft.transaction_type, ft.donation_id,
+    lj.journal_type, e.category,
+    COALESCE(d.payment_method, dad.payment_method, wd.payment_method) as payment_method
+  FROM fund_transactions ft
+  LEFT JOIN ledger_journals lj ON lj.id = ft.journal_id
+  LEFT JOIN expenses e ON e.id = ft.expense_id
+  LEFT JOIN donations d ON lj.reference_type = 'donation' AND d.id = lj.reference_id
+  LEFT JOIN direct_aid_donations dad ON lj.reference_type = 'direct_aid_donation' AND dad.id = lj.reference_id
+  LEFT JOIN wing_donations wd ON lj.reference_type = 'wing_donation' AND wd.id = lj.reference_id
+  WHERE ft.created_at >= ? AND ft.created_at < DATE_ADD(?, INTERVAL 1 DAY)`;
+
+// Group rows into { label, amount, count } lines, biggest first
+function lineGroup() {
+  const lines = new Map();
+  return {
+    add(label, amount) {
+      const line = lines.get(label) || { label, amount: 0, count: 0 };
+      line.amount = toAmount(line.amount + amount);
+      line.count++;
+      lines.set(label, line);
+    },
+    list: () => [...lines.values()].sort((a, b) => b.amount - a.amount)
+  };
+}
+
+// Sort movements into income and expenditure as seen from inside(type, id): one fund account,
+// or every fund account for the consolidated statement
+async function summarizeMovements(conn, movements, inside) {
+  const donations = lineGroup();
+  const transfersIn = lineGroup();
+  const expenses = lineGroup();
+  const transfersOut = lineGroup();
+  let deposits = 0;
+  let adjustmentsIn = 0;
+  let otherPayments = 0;
+  let adjustmentsOut = 0;
+  let internalTransfers = 0;
+
+  const counterparts = movements.flatMap(row => [
+    { type: row.from_type, id: row.from_id },
+    { type: row.to_type, id: row.to_id }
+  ]).filter(account => FUND_ACCOUNT_TYPES.includes(account.type));
+  const names = await getAccountNames(conn, counterparts);
+
+  for (const row of movements) {
+    const amount = toAmount(row.amount);
+    const incoming = inside(row.to_type, row.to_id);
+    const outgoing = inside(row.from_type, row.from_id);
+    const compensating = ['reversal', 'adjustment'].includes(row.transaction_type);
+
+    if (incoming && outgoing) {
+      internalTransfers = toAmount(internalTransfers + amount);
+    } else if (incoming) {
+      if (compensating) adjustmentsIn = toAmount(adjustmentsIn + amount);
+      else if (row.transaction_type === 'transfer') transfersIn.add(names.get(accountKey(row.from_type, row.from_id)), amount);
+      else if (row.journal_type === 'donation' || row.donation_id) donations.add(channelLabel(row.payment_method), amount);
+      else deposits = toAmount(deposits + amount);
+    } else if (outgoing) {
+      if (compensating) adjustmentsOut = toAmount(adjustmentsOut + amount);
+      else if (row.transaction_type === 'transfer') transfersOut.add(names.get(accountKey(row.to_type, row.to_id)), amount);
+      else if (row.transaction_type === 'expense') expenses.add(row.category || 'General', amount);
+      else otherPayments = toAmount(otherPayments + amount);
+    }
+  }
+
+  const sum = (lines) => lines.reduce((total, line) => total + line.amount, 0);
+  const income = {
+    donations: donations.list(),
+    deposits,
+    transfers: transfersIn.list(),
+    adjustments: adjustmentsIn
+  };
+  income.total = toAmount(sum(income.donations) + deposits + sum(income.transfers) + adjustmentsIn);
+  const expenditure = {
+    expenses: expenses.list(),
+    transfers: transfersOut.list(),
+    other: otherPayments,
+    adjustments: adjustmentsOut
+  };
+  expenditure.total = toAmount(sum(expenditure.expenses) + sum(expenditure.transfers) + otherPayments + adjustmentsOut);
+  return { income, expenditure, internalTransfers };
+}
+
+// Statement of one fund account
+export async function buildFundStatement(conn, type, entityId, period) {
+  if (!FUND_ACCOUNT_TYPES.includes(type)) {
+    throw ledgerError(`Fund type must be one of ${FUND_ACCOUNT_TYPES.join(', ')}`);
+  }
+  const account = normalizeAccount(type, entityId);
+  if (account.type !== 'central') {
+    const [rows] = await conn.query(ACCOUNT_NAME_QUERIES[account.type], [[account.id]]);
+    if (!rows.length) throw ledgerError(`${account.type.replace('_', ' ')} not found`, 404);
+  }
+  const names = await getAccountNames(conn, [account]);
+
+  const [[{ opening }]] = await conn.query(`
+    SELECT
+      COALESCE(SUM(CASE WHEN to_type = ? AND to_id = ? THEN amount ELSE 0 END), 0) -
+      COALESCE(SUM(CASE WHEN from_type = ? AND from_id = ? THEN amount ELSE 0 END), 0) as opening
+    FROM fund_transactions
+    WHERE ((to_type = ? AND to_id = ?) OR (from_type = ? AND from_id = ?)) AND created_at < ?
+  `, [account.type, account.id, account.type, account.id, account.type, account.id, account.type, account.id, period.from]);
+
+  const [movements] = await conn.query(`${MOVEMENTS_SQL}
+    AND ((ft.to_type = ? AND ft.to_id = ?) OR (ft.from_type = ? AND ft.from_id = ?))
+    ORDER BY ft.created_at, ft.id
+  `, [period.from, period.to, account.type, account.id, account.type, account.id]);
+
+  const { income, expenditure } = await summarizeMovements(conn, movements,
+    (rowType, rowId) => rowType === account.type && Number(rowId) === account.id);
+  const openingBalance = toAmount(opening);
+
+  return {
+    scope: 'fund',
+    account: { ...account, name: names.get(accountKey(account.type, account.id)) },
+    period,
+    openingBalance,
+    income,
+    expenditure,
+    closingBalance: toAmount(openingBalance + income.total - expenditure.total),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// Statement of the whole organization: every fund account together, plus each fund on its own line
+export async function buildConsolidatedStatement(conn, period) {
+  const [funds] = await conn.query(`
+    SELECT account_type, account_id,
+      SUM(CASE WHEN created_at < ? THEN amount ELSE 0 END) as opening,
+      SUM(CASE WHEN created_at >= ? AND amount > 0 THEN amount ELSE 0 END) as money_in,
+      SUM(CASE WHEN created_at >= ? AND amount < 0 THEN -amount ELSE 0 END) as money_out
+    FROM (
+      SELECT to_type as account_type, to_id as account_id, amount, created_at
+      FROM fund_transactions WHERE to_type IN (?)
+      UNION ALL
+      SELECT from_type, from_id, -amount, created_at
+      FROM fund_transactions WHERE from_type IN (?)
+    ) movements
+    WHERE created_at < DATE_ADD(?, INTERVAL 1 DAY)
+    GROUP BY account_type, account_id
+    ORDER BY FIELD(account_type, 'central', 'wing', 'campaign', 'direct_aid'), account_id
+  `, [period.from, period.from, period.from, FUND_ACCOUNT_TYPES, FUND_ACCOUNT_TYPES, period.to]);
+
+  const [movements] = await conn.query(`${MOVEMENTS_SQL}
+    AND (ft.to_type IN (?) OR ft.from_type IN (?))
+    ORDER BY ft.created_at, ft.id
+  `, [period.from, period.to, FUND_ACCOUNT_TYPES, FUND_ACCOUNT_TYPES]);
+
+  const { income, expenditure, internalTransfers } = await summarizeMovements(conn, movements,
+    (rowType) => FUND_ACCOUNT_TYPES.includes(rowType));
+  const names = await getAccountNames(conn, funds.map(fund => ({ type: fund.account_type, id: fund.account_id })));
+  const fundLines = funds.map(fund => {
+    const opening = toAmount(fund.opening);
+    const moneyIn = toAmount(fund.money_in);
+    const moneyOut = toAmount(fund.money_out);
+    return {
+      type: fund.account_type,
+      id: Number(fund.account_id),
+      name: names.get(accountKey(fund.account_type, fund.account_id)),
+      openingBalance: opening,
+      moneyIn,
+      moneyOut,
+      closingBalance: toAmount(opening + moneyIn - moneyOut)
+    };
+  });
+  const openingBalance = toAmount(fundLines.reduce((total, fund) => total + fund.openingBalance, 0));
+
+  return {
+    scope: 'consolidated',
+    account: null,
+    period,
+    openingBalance,
+    income,
+    expenditure,
+    internalTransfers,
+    funds: fundLines,
+    closingBalance: toAmount(openingBalance + income.total - expenditure.total),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+export const statementTitle = (statement) => statement.scope === 'consolidated'
+  ? 'Consolidated income and expenditure statement'
+  : `Income and expenditure statement: ${statement.account.name}`;
+
+// The statement as lines: { section, label, amount, kind: 'heading' | 'item' | 'total' }
+export function statementLines(statement) {
+  const lines = [];
+  const item = (section, label, amount) => lines.push({ section, label, amount, kind: 'item' });
+  const { income, expenditure } = statement;
+
+  lines.push({ section: 'Opening balance', label: 'Opening balance', amount: statement.openingBalance, kind: 'total' });
+
+  lines.push({ section: 'Income', label: 'Income', amount: null, kind: 'heading' });
+  income.donations.forEach(line => item('Income', `Donations - ${line.label}`, line.amount));
+  if (income.deposits) item('Income', 'Other deposits', income.deposits);
+  income.transfers.forEach(line => item('Income', `Transfer from ${line.label}`, line.amount));
+  if (income.adjustments) item('Income', 'Reversals and adjustments', income.adjustments);
+  lines.push({ section: 'Income', label: 'Total income', amount: income.total, kind: 'total' });
+
+  lines.push({ section: 'Expenditure', label: 'Expenditure', amount: null, kind: 'heading' });
+  expenditure.expenses.forEach(line => item('Expenditure', `Expenses - ${line.label}`, line.amount));
+  expenditure.transfers.forEach(line => item('Expenditure', `Transfer to ${line.label}`, line.amount));
+  if (expenditure.other) item('Expenditure', 'Other payments', expenditure.other);
+  if (expenditure.adjustments) item('Expenditure', 'Reversals and adjustments', expenditure.adjustments);
+  lines.push({ section: 'Expenditure', label: 'Total expenditure', amount: expenditure.total, kind: 'total' });
+
+  if (statement.scope === 'consolidated') {
+    item('Memo', 'Transfers between own funds (not counted above)', statement.internalTransfers);
+  }
+  lines.push({ section: 'Closing balance', label: 'Closing balance', amount: statement.closingBalance, kind: 'total' });
+  return lines;
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function renderStatementCsv(statement) {
+  const rows = [
+    ['Statement', statementTitle(statement), ''],
+    ['Period', `${statement.period.from} to ${statement.period.to}`, ''],
+    ['Section', 'Item', 'Amount'],
+    ...statementLines(statement)
+      .filter(line => line.kind !== 'heading')
+      .map(line => [line.section, line.label, line.amount.toFixed(2)])
+  ];
+  if (statement.scope === 'consolidated') {
+    rows.push([], ['Fund', 'Type', 'Opening balance', 'Money in', 'Money out', 'Closing balance']);
+    statement.funds.forEach(fund => rows.push([
+      fund.name, fund.type, fund.openingBalance.toFixed(2), fund.moneyIn.toFixed(2),
+      fund.moneyOut.toFixed(2), fund.closingBalance.toFixed(2)
+    ]));
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export function renderStatementXlsx(statement) {
+  const bold = (value) => ({ value, bold: true });
+  const sheets = [{
+    name: 'Statement',
+    columnWidths: [52, 18],
+    rows: [
+      [bold(statementTitle(statement))],
+      [`Period ${statement.period.from} to ${statement.period.to}`],
+      [],
+      ...statementLines(statement).map(line => {
+        if (line.kind === 'heading') return [bold(line.label)];
+        if (line.kind === 'total') return [bold(line.label), bold(line.amount)];
+        return [`    ${line.label}`, line.amount];
+      })
+    ]
+  }];
+  if (statement.scope === 'consolidated') {
+    sheets.push({
+      name: 'Funds',
+      columnWidths: [40, 14, 18, 18, 18, 18],
+      rows: [
+        ['Fund', 'Type', 'Opening balance', 'Money in', 'Money out', 'Closing balance'].map(bold),
+        ...statement.funds.map(fund => [
+          fund.name, fund.type, fund.openingBalance, fund.moneyIn, fund.moneyOut, fund.closingBalance
+        ])
+      ]
+    });
+  }
+  return buildXlsx(sheets);
+}
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// A4 PDF of the statement, continued on further pages as needed. Returns a Uint8Array.
+export async function renderStatementPdf(statement, { organizationName = 'UYHO' } = {}) {
+  const { PDFDocument, StandardFonts, rgb } = await import('pdf-lib');
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(statementTitle(statement));
+  pdf.setAuthor(organizationName);
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const ink = rgb(0.13, 0.13, 0.13);
+  const muted = rgb(0.42, 0.42, 0.42);
+  const accent = rgb(0.05, 0.45, 0.35);
+  const left = 56;
+  const right = 539;
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = pdf.addPage([595.28, 841.89]);
+    y = 780;
+  };
+  const ensureRoom = (height) => {
+    if (y - height < 60) newPage();
+  };
+  const text = (value, x, size = 10, font = regular, color = ink) =>
+    page.drawText(pdfSafe(value), { x, y, size, font, color });
+  const rightText = (value, x, size = 10, font = regular, color = ink) => {
+    const safe = pdfSafe(value);
+    page.drawText(safe, { x: x - font.widthOfTextAtSize(safe, size), y, size, font, color });
+  };
+  const rule = () => page.drawLine({ start: { x: left, y }, end: { x: right, y }, thickness: 0.7, color: muted });
+
+  newPage();
+  text(organizationName, left, 16, bold, accent);
+  y -= 26;
+  text(statementTitle(statement), left, 13, bold);
+  y -= 16;
+  text(`Period ${statement.period.from} to ${statement.period.to}  |  Amounts in BDT`, left, 9, regular, muted);
+  y -= 14;
+  rule();
+  y -= 22;
+
+  for (const line of statementLines(statement)) {
+    ensureRoom(20);
+    if (line.kind === 'heading') {
+      y -= 6;
+      text(line.label, left, 11, bold, accent);
+    } else if (line.kind === 'total') {
+      text(line.label, left, 10, bold);
+      rightText(formatAmount(line.amount), right, 10, bold);
+    } else {
+      text(line.label, left + 14, 10);
+      rightText(formatAmount(line.amount), right, 10);
+    }
+    y -= line.kind === 'total' ? 22 : 16;
+  }
+
+  if (statement.scope === 'consolidated' && statement.funds.length) {
+    ensureRoom(60);
+    y -= 14;
+    text('Funds', left, 11, bold, accent);
+    y -= 18;
+    const columns = [['Opening', 330], ['In', 400], ['Out', 470], ['Closing', right]];
+    text('Fund', left, 9, bold, muted);
+    columns.forEach(([label, x]) => rightText(label, x, 9, bold, muted));
+    y -= 14;
+    for (const fund of statement.funds) {
+      ensureRoom(16);
+      const name = pdfSafe(fund.name);
+      text(name.length > 42 ? `${name.slice(0, 41)}...` : name, left, 9);
+      [fund.openingBalance, fund.moneyIn, fund.moneyOut, fund.closingBalance]
+        .forEach((amount, i) => rightText(formatAmount(amount), columns[i][1], 9));
+      y -= 14;
+    }
+  }
+
+  const generated = `Generated ${new Date(statement.generatedAt).toLocaleString('en-GB', { timeZone: 'Asia/Dhaka' })}`;
+  pdf.getPages().forEach((each, index, pages) => {
+    each.drawText(pdfSafe(`${generated}  |  Page ${index + 1} of ${pages.length}`), {
+      x: left, y: 36, size: 8, font: regular, color: muted
+    });
+  });
+  return pdf.save();
+}
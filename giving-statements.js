@@ -0,0 +1,227 @@
+// Annual giving statements for donors.
+//
+// A statement lists what one donor gave in a fiscal year (the receipts' fiscal year, July to June
+// unless RECEIPT_FISCAL_YEAR_START_MONTH says otherwise) across campaign, direct aid and wing
+// donations. Only approved gifts count. Gifts given anonymously are included, because the
+// statement goes to the donor alone, and are marked as such; the statement is never listed
+// publicly. Each statement has a giving_statements row holding an unguessable token, so the donor
+// can download it without signing in. The figures are recomputed at every download, so a gift
+// approved late still shows up.
+
+import crypto from 'crypto';
+import { DONATION_HISTORY_SQL, GIVING_STATUSES } from './donors.js';
+import { ledgerError } from './ledger.js';
+import { pdfSafe } from './receipts.js';
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+const pad = (value) => String(value).padStart(2, '0');
+
+const CAUSE_LABELS = { campaign: 'Campaigns', direct_aid: 'Direct aid', wing: 'Wings' };
+
+// '2025-26' (or '2025' when the fiscal year is the calendar year) -> { fiscalYear, from, until },
+// from inclusive and until exclusive. '2025' also names the July-June year starting in 2025.
+export function parseFiscalYear(value, startMonth = 7) {
+  const match = /^(\d{4})(?:-(\d{2}))?$/.exec(String(value || '').trim());
+  if (!match) {
+    throw ledgerError(startMonth === 1 ? 'year must be written like 2025' : 'year must be a fiscal year written like 2025-26');
+  }
+  const first = Number(match[1]);
+  const label = startMonth === 1 ? String(first) : `${first}-${String(first + 1).slice(-2)}`;
+  if (match[2] && (startMonth === 1 || Number(match[2]) !== (first + 1) % 100)) {
+    throw ledgerError(`${value} is not a fiscal year; did you mean ${label}?`);
+  }
+  return {
+    fiscalYear: label,
+    from: `${first}-${pad(startMonth)}-01`,
+    until: `${first + 1}-${pad(startMonth)}-01`
+  };
+}
+
+// A donor's approved gifts of the fiscal year with their receipt numbers. Throws 404 for an
+// unknown donor.
+export async function buildGivingStatement(conn, donorId, period) {
+  const [donors] = await conn.query(`
+    SELECT dn.id, dn.prefers_anonymous, dn.volunteer_id,
+      COALESCE(dn.display_name, v.full_name) as name,
+      (SELECT value FROM donor_contacts WHERE donor_id = dn.id AND kind = 'phone' ORDER BY id LIMIT 1) as phone,
+      (SELECT value FROM donor_contacts WHERE donor_id = dn.id AND kind = 'email' ORDER BY id LIMIT 1) as email
+    FROM donors dn
+    LEFT JOIN volunteers v ON v.id = dn.volunteer_id
+    WHERE dn.id = ?
+  `, [donorId]);
+  const donor = donors[0];
+  if (!donor) throw ledgerError('Donor not found', 404);
+
+  const [gifts] = await conn.query(`
+    SELECT h.source, h.id, h.created_at, h.cause_type, h.cause_id, h.cause_name, h.amount, h.payment_method,
+      h.transaction_id, h.is_anonymous, r.receipt_number
+    FROM (${DONATION_HISTORY_SQL}) h
+    LEFT JOIN donation_receipts r ON r.donation_source = h.source AND r.donation_id = h.id AND r.status = 'issued'
+    WHERE h.donor_id = ? AND h.status IN (?) AND h.created_at >= ? AND h.created_at < ?
+    ORDER BY h.created_at, h.id
+  `, [donor.id, GIVING_STATUSES, period.from, period.until]);
+
+  const byCause = new Map();
+  for (const gift of gifts) {
+    const entry = byCause.get(gift.cause_type) || { cause_type: gift.cause_type, total: 0, count: 0 };
+    entry.total = toAmount(entry.total + Number(gift.amount));
+    entry.count++;
+    byCause.set(gift.cause_type, entry);
+  }
+  const lastDay = new Date(`${period.until}T00:00:00Z`);
+  lastDay.setUTCDate(lastDay.getUTCDate() - 1);
+
+  return {
+    donor: { ...donor, name: donor.name || 'Valued donor', prefers_anonymous: Boolean(donor.prefers_anonymous) },
+    fiscalYear: period.fiscalYear,
+    period: { from: period.from, to: lastDay.toISOString().slice(0, 10) },
+    gifts: gifts.map(gift => ({ ...gift, amount: Number(gift.amount), is_anonymous: Boolean(gift.is_anonymous) })),
+    total: toAmount(gifts.reduce((sum, gift) => sum + Number(gift.amount), 0)),
+    giftCount: gifts.length,
+    byCause: [...byCause.values()],
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// Active donors with approved gifts in the fiscal year, with their totals
+export async function findDonorsWithGiving(conn, period) {
+  const [rows] = await conn.query(`
+    SELECT h.donor_id, COUNT(*) as gift_count, SUM(h.amount) as total
+    FROM (${DONATION_HISTORY_SQL}) h
+    JOIN donors dn ON dn.id = h.donor_id AND dn.status = 'active'
+    WHERE h.status IN (?) AND h.created_at >= ? AND h.created_at < ?
+    GROUP BY h.donor_id
+    ORDER BY h.donor_id
+  `, [GIVING_STATUSES, period.from, period.until]);
+  return rows.map(row => ({ donorId: row.donor_id, giftCount: Number(row.gift_count), total: toAmount(row.total) }));
+}
+
+// The giving_statements row of a donor's fiscal year, created with a fresh token the first time.
+// total and gift_count record what the statement showed when it was last generated.
+export async function saveGivingStatement(conn, { donorId, fiscalYear, total, giftCount, generatedBy = null }) {
+  await conn.query(`
+    INSERT INTO giving_statements (donor_id, fiscal_year, total, gift_count, public_token, generated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE total = VALUES(total), gift_count = VALUES(gift_count),
+      generated_by = VALUES(generated_by), generated_at = CURRENT_TIMESTAMP
+  `, [donorId, fiscalYear, total, giftCount, crypto.randomBytes(24).toString('hex'), generatedBy]);
+  const [rows] = await conn.query(
+    'SELECT * FROM giving_statements WHERE donor_id = ? AND fiscal_year = ?',
+    [donorId, fiscalYear]
+  );
+  return rows[0];
+}
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+const truncate = (value, length) => (value.length > length ? `${value.slice(0, length - 3)}...` : value);
+
+// Render a giving statement as an A4 PDF, continued on further pages as needed. Returns a Uint8Array.
+export async function renderGivingStatementPdf(statement, { organization = {}, verifyUrl = null } = {}) {
+  const { PDFDocument, StandardFonts, rgb } = await import('pdf-lib');
+  const organizationName = organization.org_full_name || organization.org_name || 'UYHO';
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Giving statement ${statement.fiscalYear}`);
+  pdf.setAuthor(organizationName);
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const ink = rgb(0.13, 0.13, 0.13);
+  const muted = rgb(0.42, 0.42, 0.42);
+  const accent = rgb(0.05, 0.45, 0.35);
+  const left = 56;
+  const right = 539;
+  let page;
+  let y;
+
+  const text = (value, x, size = 10, font = regular, color = ink) =>
+    page.drawText(pdfSafe(value), { x, y, size, font, color });
+  const rightText = (value, x, size = 10, font = regular, color = ink) => {
+    const safe = pdfSafe(value);
+    page.drawText(safe, { x: x - font.widthOfTextAtSize(safe, size), y, size, font, color });
+  };
+  const rule = () => page.drawLine({ start: { x: left, y }, end: { x: right, y }, thickness: 0.7, color: muted });
+  const columns = [['Date', left], ['Towards', left + 72], ['Method', left + 262], ['Receipt no.', left + 332]];
+  const tableHeader = () => {
+    columns.forEach(([label, x]) => text(label, x, 9, bold, muted));
+    rightText('Amount (BDT)', right, 9, bold, muted);
+    y -= 8;
+    rule();
+    y -= 14;
+  };
+  const newPage = () => {
+    page = pdf.addPage([595.28, 841.89]);
+    y = 780;
+  };
+
+  newPage();
+  text(organizationName, left, 18, bold, accent);
+  y -= 18;
+  const contacts = [organization.contact_email, organization.contact_phone, organization.website_url].filter(Boolean);
+  if (contacts.length) {
+    text(contacts.join('  |  '), left, 9, regular, muted);
+    y -= 13;
+  }
+  y -= 8;
+  rule();
+
+  y -= 34;
+  text('ANNUAL GIVING STATEMENT', left, 18, bold);
+  y -= 20;
+  text(`Fiscal year ${statement.fiscalYear}  |  ${formatDate(statement.period.from)} to ${formatDate(statement.period.to)}`, left, 10, regular, muted);
+  y -= 32;
+  text('Prepared for', left, 10, regular, muted);
+  y -= 17;
+  text(statement.donor.name, left, 14, bold);
+  y -= 48;
+
+  page.drawRectangle({ x: left, y: y - 14, width: right - left, height: 44, color: rgb(0.94, 0.97, 0.96) });
+  y += 10;
+  text(`Total given: BDT ${formatAmount(statement.total)}`, left + 14, 16, bold, accent);
+  y -= 16;
+  text(`${statement.giftCount} approved gift${statement.giftCount === 1 ? '' : 's'}` +
+    (statement.byCause.length ? `  |  ${statement.byCause.map(cause => `${CAUSE_LABELS[cause.cause_type] || cause.cause_type} BDT ${formatAmount(cause.total)}`).join('  |  ')}` : ''),
+    left + 14, 9, regular, ink);
+  y -= 40;
+
+  if (statement.gifts.length) {
+    tableHeader();
+    for (const gift of statement.gifts) {
+      if (y < 90) {
+        newPage();
+        tableHeader();
+      }
+      const towards = `${gift.cause_name || gift.cause_type}${gift.is_anonymous ? ' (anonymous)' : ''}`;
+      text(formatDate(gift.created_at), columns[0][1], 9);
+      text(truncate(pdfSafe(towards), 36), columns[1][1], 9);
+      text(truncate(pdfSafe(gift.payment_method || '-'), 12), columns[2][1], 9);
+      text(gift.receipt_number || '-', columns[3][1], 9);
+      rightText(formatAmount(gift.amount), right, 9);
+      y -= 15;
+    }
+    y -= 4;
+    rule();
+    y -= 16;
+    text('Total', left, 10, bold);
+    rightText(formatAmount(statement.total), right, 10, bold);
+  } else {
+    text('No approved gifts were recorded for this fiscal year.', left, 10, regular, muted);
+  }
+
+  y -= 36;
+  if (y < 90) newPage();
+  text('Thank you for your generosity. Gifts marked anonymous are never shown publicly under your name.', left, 9, regular, muted);
+  y -= 13;
+  text('Each gift also has its own receipt; this statement summarizes them and was issued electronically.', left, 9, regular, muted);
+  if (verifyUrl) {
+    y -= 13;
+    text(`Download it again at ${verifyUrl}`, left, 9, regular, muted);
+  }
+
+  pdf.getPages().forEach((each, index, pages) => {
+    if (pages.length === 1) return;
+    each.drawText(pdfSafe(`Giving statement ${statement.fiscalYear}  |  Page ${index + 1} of ${pages.length}`), {
+      x: left, y: 36, size: 8, font: regular, color: muted
+    });
+  });
+  return pdf.save();
+}
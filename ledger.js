@@ -0,0 +1,157 @@
+// Double-entry ledger for the Ummah fund system.
+//
+// Every movement of money is a journal of two or more entries written in one MySQL
+// transaction. A positive entry moves money into an account and a negative entry moves it
+// out, so the entries of a journal always sum to zero. Accounts are (account_type, account_id):
+//   central    - the UYHO central fund (id 0)
+//   campaign   - campaigns.id
+//   wing       - wings.id
+//   direct_aid - direct_aids.id
+//   external   - money entering or leaving the organization (id 0)
+//
+// Balances come from SUM(ledger_entries.amount). ummah_funds keeps a cached copy per account
+// that postJournal refreshes inside the same transaction.
+
+import { promisePool } from './db.js';
+
+export const ACCOUNT_TYPES = ['central', 'campaign', 'wing', 'direct_aid', 'external'];
+
+// Accounts that hold money on behalf of the organization (everything but external)
+export const FUND_ACCOUNT_TYPES = ACCOUNT_TYPES.filter(type => type !== 'external');
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Error carrying the HTTP status the route should answer with
+export function ledgerError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Central and external have a single account, always id 0
+export function normalizeAccount(type, id) {
+  if (!ACCOUNT_TYPES.includes(type)) throw ledgerError(`Unknown account type: ${type}`);
+  const accountId = type === 'central' || type === 'external' ? 0 : parseInt(id);
+  if (isNaN(accountId)) throw ledgerError(`Invalid ${type} account id`);
+  return { type, id: accountId };
+}
+
+// Run work(conn) inside a transaction, committing on success and rolling back on any error
+export async function withTransaction(work, pool = promisePool) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Balance and lifetime in/out of one account, straight from the ledger
+export async function getAccountBalance(conn, type, id) {
+  const account = normalizeAccount(type, id);
+  const [rows] = await conn.query(`
+    SELECT
+      COALESCE(SUM(amount), 0) as balance,
+      COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) as total_in,
+      COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) as total_out
+    FROM ledger_entries
+    WHERE account_type = ? AND account_id = ?
+  `, [account.type, account.id]);
+  return {
+    balance: Number(rows[0].balance),
+    totalIn: Number(rows[0].total_in),
+    totalOut: Number(rows[0].total_out)
+  };
+}
+
+// Lock an account's ummah_funds row so concurrent journals against it run one after another.
+// Call before reading a balance that decides whether money may leave the account.
+export async function lockAccount(conn, type, id) {
+  const account = normalizeAccount(type, id);
+  await conn.query(`
+    INSERT IGNORE INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
+    VALUES (?, ?, 0, 0, 0)
+  `, [account.type, account.id]);
+  await conn.query(
+    'SELECT id FROM ummah_funds WHERE entity_type = ? AND entity_id = ? FOR UPDATE',
+    [account.type, account.id]
+  );
+}
+
+// Rewrite the cached ummah_funds row of an account from the ledger
+export async function refreshFundCache(conn, type, id) {
+  const account = normalizeAccount(type, id);
+  const { balance, totalIn, totalOut } = await getAccountBalance(conn, account.type, account.id);
+  await conn.query(`
+    INSERT INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      balance = VALUES(balance), total_in = VALUES(total_in), total_out = VALUES(total_out),
+      updated_at = CURRENT_TIMESTAMP
+  `, [account.type, account.id, balance, totalIn, totalOut]);
+}
+
+// Write a balanced journal. entries: [{ accountType, accountId, amount }], amounts signed.
+// Returns the journal id.
+export async function postJournal(conn, {
+  journalType,
+  description = null,
+  referenceType = null,
+  referenceId = null,
+  createdBy = null,
+  entries
+}) {
+  if (!journalType) throw ledgerError('Journal type is required', 500);
+  if (!Array.isArray(entries) || entries.length < 2) {
+    throw ledgerError('A journal needs at least two entries', 500);
+  }
+
+  const lines = entries.map(entry => {
+    const cents = toCents(entry.amount);
+    if (!cents) throw ledgerError('Journal entries need a non-zero amount');
+    return { ...normalizeAccount(entry.accountType, entry.accountId), cents };
+  });
+
+  if (lines.reduce((sum, line) => sum + line.cents, 0) !== 0) {
+    throw ledgerError('Journal entries do not balance', 500);
+  }
+
+  const [journal] = await conn.query(`
+    INSERT INTO ledger_journals (journal_type, description, reference_type, reference_id, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `, [journalType, description, referenceType, referenceId, createdBy]);
+
+  await conn.query(
+    'INSERT INTO ledger_entries (journal_id, account_type, account_id, amount) VALUES ?',
+    [lines.map(line => [journal.insertId, line.type, line.id, line.cents / 100])]
+  );
+
+  // Keep the ummah_funds cache in step with every fund account the journal touched
+  const touched = new Map();
+  lines
+    .filter(line => line.type !== 'external')
+    .forEach(line => touched.set(`${line.type}:${line.id}`, line));
+  for (const line of touched.values()) {
+    await refreshFundCache(conn, line.type, line.id);
+  }
+
+  return journal.insertId;
+}
+
+// Two-entry journal moving amount from one account to another
+export async function postTransfer(conn, { from, to, amount, ...journal }) {
+  if (!(Number(amount) > 0)) throw ledgerError('Invalid amount');
+  return postJournal(conn, {
+    ...journal,
+    entries: [
+      { accountType: from.type, accountId: from.id, amount: -amount },
+      { accountType: to.type, accountId: to.id, amount }
+    ]
+  });
+}
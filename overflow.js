@@ -0,0 +1,264 @@
+// Routing of campaign money raised beyond the goal.
+//
+// Each campaign has an overflow policy (campaign_overflow_policies, 'keep' when it has none):
+//   keep    - the surplus stays with the campaign
+//   wing    - it goes to the wing hosting the campaign
+//   central - it goes to the central fund
+//   split   - it is divided by percentage between central, wing, direct aid or other campaign funds
+// run_on decides when: 'goal_reached' as soon as approved donations pass the goal (and again
+// for anything raised after that), 'finished' only once the campaign is Finished.
+//
+// Routing happens in two steps so people can step in. scheduleOverflow records an
+// overflow_routings row that executes after the override window; until then the host or a fund
+// manager can cancel it, change where the money goes or run it at once. The amount is
+// worked out again at execution: whatever is above the goal and not yet routed, capped by
+// what the campaign still holds.
+//
+// Closing a routing settles the overflow it was for. What it did not move (it was cancelled,
+// failed or skipped, or the balance capped it) is recorded as kept_amount, so the next cycle
+// only schedules money raised after that instead of undoing a cancel or retrying a failure.
+
+import { FUND_ACCOUNT_TYPES, ledgerError, normalizeAccount } from './ledger.js';
+
+export const OVERFLOW_POLICIES = ['keep', 'wing', 'central', 'split'];
+export const OVERFLOW_RUN_ON = ['goal_reached', 'finished'];
+export const ROUTING_STATUSES = ['scheduled', 'executed', 'cancelled', 'skipped', 'failed'];
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const parseAllocations = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value || '[]');
+  } catch {
+    return [];
+  }
+};
+
+// Validate { policy, split: [{ type, id, percent }], runOn, overrideHours }.
+// Returns the columns to store, split as [{ type, id, percent }].
+export function parseOverflowPolicy(body, campaignId) {
+  const policy = body.policy;
+  if (!OVERFLOW_POLICIES.includes(policy)) {
+    throw ledgerError(`Policy must be one of ${OVERFLOW_POLICIES.join(', ')}`);
+  }
+  const runOn = body.runOn ?? 'goal_reached';
+  if (!OVERFLOW_RUN_ON.includes(runOn)) {
+    throw ledgerError(`runOn must be one of ${OVERFLOW_RUN_ON.join(', ')}`);
+  }
+  let overrideHours = null;
+  if (body.overrideHours !== undefined && body.overrideHours !== null && body.overrideHours !== '') {
+    overrideHours = Number(body.overrideHours);
+    if (!Number.isInteger(overrideHours) || overrideHours < 0 || overrideHours > 24 * 30) {
+      throw ledgerError('overrideHours must be a whole number of hours between 0 and 720');
+    }
+  }
+
+  let split = null;
+  if (policy === 'split') {
+    split = parseSplit(body.split, campaignId);
+  }
+  return { policy, split, runOn, overrideHours };
+}
+
+// [{ type, id, percent }] adding up to 100, never pointing back at the campaign itself
+export function parseSplit(value, campaignId) {
+  if (!Array.isArray(value) || !value.length) {
+    throw ledgerError('A split policy needs split: [{ type, id, percent }]');
+  }
+  const shares = value.map(({ type, id, percent }) => {
+    if (!FUND_ACCOUNT_TYPES.includes(type)) {
+      throw ledgerError(`Split targets must be one of ${FUND_ACCOUNT_TYPES.join(', ')}`);
+    }
+    const account = normalizeAccount(type, id);
+    if (account.type === 'campaign' && account.id === Number(campaignId)) {
+      throw ledgerError('A campaign cannot split its overflow to itself');
+    }
+    const share = Number(percent);
+    if (!(share > 0)) throw ledgerError('Every split share needs a positive percent');
+    return { type: account.type, id: account.id, percent: share };
+  });
+  const total = Math.round(shares.reduce((sum, share) => sum + share.percent, 0) * 100) / 100;
+  if (total !== 100) throw ledgerError(`Split percentages add up to ${total}, not 100`);
+  return shares;
+}
+
+export async function getOverflowPolicy(conn, campaignId) {
+  const [rows] = await conn.query('SELECT * FROM campaign_overflow_policies WHERE campaign_id = ?', [campaignId]);
+  const row = rows[0];
+  if (!row) {
+    return { campaign_id: Number(campaignId), policy: 'keep', split: null, run_on: 'goal_reached', override_hours: null };
+  }
+  return { ...row, split: row.split ? parseAllocations(row.split) : null };
+}
+
+export async function saveOverflowPolicy(conn, campaignId, { policy, split, runOn, overrideHours }, updatedBy = null) {
+  await conn.query(`
+    INSERT INTO campaign_overflow_policies (campaign_id, policy, split, run_on, override_hours, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE policy = VALUES(policy), split = VALUES(split), run_on = VALUES(run_on),
+      override_hours = VALUES(override_hours), updated_by = VALUES(updated_by)
+  `, [campaignId, policy, split ? JSON.stringify(split) : null, runOn, overrideHours, updatedBy]);
+}
+
+// Raised, goal, what earlier routings moved or kept, and the overflow still to route
+export async function getOverflowState(conn, campaignId, { lock = false } = {}) {
+  const [rows] = await conn.query(`
+    SELECT id, title, goal, raised, status, host_id, wing, hosted_by_wing_id
+    FROM campaigns WHERE id = ?
+    ${lock ? 'FOR UPDATE' : ''}
+  `, [campaignId]);
+  const campaign = rows[0];
+  if (!campaign) return null;
+
+  const [[{ routed, kept }]] = await conn.query(`
+    SELECT COALESCE(SUM(CASE WHEN status = 'executed' THEN amount ELSE 0 END), 0) as routed,
+      COALESCE(SUM(kept_amount), 0) as kept
+    FROM overflow_routings WHERE campaign_id = ?
+  `, [campaignId]);
+  const goal = toAmount(campaign.goal);
+  const raised = toAmount(campaign.raised);
+  const overflow = goal > 0 ? Math.max(0, toAmount(raised - goal - Number(routed) - Number(kept))) : 0;
+  return { campaign, goal, raised, routed: toAmount(routed), kept: toAmount(kept), overflow };
+}
+
+// Where a policy sends the money: [{ type, id, percent }]
+export async function resolveAllocations(conn, campaign, policy) {
+  if (policy.policy === 'central') return [{ type: 'central', id: 0, percent: 100 }];
+  if (policy.policy === 'split') return policy.split;
+  if (policy.policy === 'wing') {
+    let wingId = campaign.hosted_by_wing_id;
+    if (!wingId && campaign.wing) {
+      const [wings] = await conn.query('SELECT id FROM wings WHERE name = ?', [campaign.wing]);
+      wingId = wings[0]?.id;
+    }
+    if (!wingId) throw ledgerError(`Campaign "${campaign.title}" has no hosting wing to send its overflow to`, 409);
+    return [{ type: 'wing', id: wingId, percent: 100 }];
+  }
+  return [];
+}
+
+// Split an amount by the allocation percentages; the last share takes the rounding remainder
+export function planTransfers(amount, allocations) {
+  let remaining = toAmount(amount);
+  return allocations.map((allocation, index) => {
+    const share = index === allocations.length - 1
+      ? remaining
+      : toAmount(amount * allocation.percent / 100);
+    remaining = toAmount(remaining - share);
+    return { ...allocation, amount: share };
+  }).filter(transfer => transfer.amount > 0);
+}
+
+export async function findScheduledRouting(conn, campaignId) {
+  const [rows] = await conn.query(
+    "SELECT * FROM overflow_routings WHERE campaign_id = ? AND status = 'scheduled' ORDER BY id LIMIT 1",
+    [campaignId]
+  );
+  return rows[0] || null;
+}
+
+// Schedule the routing of a campaign's overflow if its policy asks for one and nothing is
+// scheduled yet. Returns the new routing (with campaign_title and host_id) or null. Call inside
+// a transaction.
+export async function scheduleOverflow(conn, campaignId, { trigger, defaultOverrideHours }) {
+  const state = await getOverflowState(conn, campaignId, { lock: true });
+  if (!state || state.overflow <= 0) return null;
+
+  const policy = await getOverflowPolicy(conn, campaignId);
+  if (policy.policy === 'keep') return null;
+  if (policy.run_on === 'finished' && state.campaign.status !== 'Finished') return null;
+  if (await findScheduledRouting(conn, campaignId)) return null;
+
+  const allocations = await resolveAllocations(conn, state.campaign, policy);
+  const hours = policy.override_hours ?? defaultOverrideHours;
+  const [result] = await conn.query(`
+    INSERT INTO overflow_routings (campaign_id, trigger_event, policy, allocations, estimated_amount, status, execute_after)
+    VALUES (?, ?, ?, ?, ?, 'scheduled', NOW() + INTERVAL ? HOUR)
+  `, [campaignId, trigger, policy.policy, JSON.stringify(allocations), state.overflow, hours]);
+
+  const routing = await getRouting(conn, result.insertId);
+  return { ...routing, campaign_title: state.campaign.title, host_id: state.campaign.host_id };
+}
+
+export async function getRouting(conn, routingId, { lock = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT * FROM overflow_routings WHERE id = ? ${lock ? 'FOR UPDATE' : ''}`,
+    [routingId]
+  );
+  const routing = rows[0];
+  if (!routing) return null;
+  return {
+    ...routing,
+    allocations: parseAllocations(routing.allocations),
+    transfers: parseAllocations(routing.transfers),
+    estimated_amount: Number(routing.estimated_amount),
+    amount: routing.amount === null ? null : Number(routing.amount),
+    kept_amount: routing.kept_amount === null ? null : Number(routing.kept_amount)
+  };
+}
+
+// Campaigns holding overflow their policy wants routed, with no routing scheduled
+export async function findCampaignsToSchedule(conn) {
+  const [rows] = await conn.query(`
+    SELECT c.id, c.status
+    FROM campaigns c
+    JOIN campaign_overflow_policies p ON p.campaign_id = c.id AND p.policy <> 'keep'
+    WHERE c.goal > 0
+      AND c.raised - c.goal - COALESCE((
+        SELECT SUM(CASE WHEN r.status = 'executed' THEN r.amount ELSE 0 END + COALESCE(r.kept_amount, 0))
+        FROM overflow_routings r WHERE r.campaign_id = c.id
+      ), 0) > 0
+      AND (p.run_on = 'goal_reached' OR c.status = 'Finished')
+      AND NOT EXISTS (
+        SELECT 1 FROM overflow_routings r WHERE r.campaign_id = c.id AND r.status = 'scheduled'
+      )
+  `);
+  return rows;
+}
+
+// Routings whose override window has passed
+export async function findDueRoutings(conn) {
+  const [rows] = await conn.query(`
+    SELECT id FROM overflow_routings
+    WHERE status = 'scheduled' AND execute_after <= NOW()
+    ORDER BY execute_after
+  `);
+  return rows.map(row => row.id);
+}
+
+// Lock a routing that is still waiting to run, or throw
+export async function lockScheduledRouting(conn, routingId) {
+  const routing = await getRouting(conn, routingId, { lock: true });
+  if (!routing) throw ledgerError('Overflow routing not found', 404);
+  if (routing.status !== 'scheduled') throw ledgerError(`Overflow routing is already ${routing.status}`, 409);
+  return routing;
+}
+
+// Close a routing: executed with its transfers, or cancelled / skipped / failed with a note.
+// The overflow it leaves unmoved is kept with the campaign.
+export async function closeRouting(conn, routingId, { status, amount = null, transfers = null, note = null, by = null }) {
+  if (!ROUTING_STATUSES.includes(status) || status === 'scheduled') throw ledgerError(`Cannot close a routing as ${status}`);
+  const [[routing]] = await conn.query('SELECT campaign_id FROM overflow_routings WHERE id = ?', [routingId]);
+  const state = routing ? await getOverflowState(conn, routing.campaign_id) : null;
+  const kept = state ? Math.max(0, toAmount(state.overflow - Number(amount || 0))) : 0;
+  await conn.query(`
+    UPDATE overflow_routings
+    SET status = ?, amount = ?, kept_amount = ?, transfers = ?, override_note = COALESCE(?, override_note),
+      overridden_by = COALESCE(?, overridden_by), executed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [status, amount, kept, transfers ? JSON.stringify(transfers) : null, note, by, routingId]);
+}
+
+// Change where a scheduled routing sends the money ({ policy, split }); 'keep' is cancelling
+export async function overrideRouting(conn, routingId, campaign, body, by) {
+  const routing = await lockScheduledRouting(conn, routingId);
+  if (body.policy === 'keep') throw ledgerError('To keep the overflow with the campaign, cancel the routing');
+  const { policy, split } = parseOverflowPolicy({ policy: body.policy, split: body.split }, campaign.id);
+  const allocations = await resolveAllocations(conn, campaign, { policy, split });
+  await conn.query(`
+    UPDATE overflow_routings SET policy = ?, allocations = ?, override_note = ?, overridden_by = ?
+    WHERE id = ?
+  `, [policy, JSON.stringify(allocations), body.note || null, by, routing.id]);
+  return getRouting(conn, routing.id);
+}
@@ -0,0 +1,375 @@
+// Payment providers for hosted checkout of public donations.
+//
+// Every provider exposes the same interface:
+//   name, label
+//   createSession({ reference, amount, currency, description, customer, clientIp, baseUrl, callbackUrl })
+//       - starts a hosted checkout; callbackUrl(via) builds our signed callback URL, where via is
+//         'browser' (the donor is redirected back) or 'ipn' (server-to-server notification)
+//       - resolves to { redirectUrl, providerSessionId, raw }
+//   verifyCallback({ session, body, query })
+//       - confirms the outcome with the provider (signature check and/or server-side lookup),
+//         never trusting redirect parameters alone
+//       - resolves to { status: 'paid' | 'failed' | 'cancelled', transactionId, amount, raw }
+//
+// loadPaymentProviders() enables each provider whose credentials are configured. The mock
+// provider is for development and tests; it is on outside production or with PAYMENT_MOCK_ENABLED=true.
+
+import crypto from 'crypto';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Error carrying the HTTP status the route should answer with
+export function paymentError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+// Call a provider API and parse its JSON answer
+async function requestJson(url, { method = 'POST', headers = {}, json, form } = {}) {
+  const options = { method, headers: { Accept: 'application/json', ...headers }, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) };
+  if (json) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(json);
+  } else if (form) {
+    options.body = new URLSearchParams(form);
+  }
+
+  const response = await fetch(url, options);
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw paymentError(`Unexpected response from payment provider (HTTP ${response.status})`, 502);
+  }
+  if (!response.ok) {
+    throw paymentError(data.message || data.errorMessage || data.reason || `Payment provider error (HTTP ${response.status})`, 502);
+  }
+  return data;
+}
+
+// Mock provider: a local checkout page that posts an HMAC-signed result back
+export function signMockPayment(secret, { reference, status, transactionId, amount }) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update([reference, status, transactionId, formatAmount(amount)].join('|'))
+    .digest('hex');
+}
+
+export function createMockProvider({ secret }) {
+  const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+  return {
+    name: 'mock',
+    label: 'Mock Payment',
+
+    async createSession({ reference, baseUrl }) {
+      return {
+        redirectUrl: `${baseUrl}/api/public/payments/mock/checkout/${reference}`,
+        providerSessionId: reference,
+        raw: null
+      };
+    },
+
+    // HTML checkout page with a "pay" and a "cancel" button, each posting a signed result
+    checkoutPage({ session, callbackUrl }) {
+      const form = (status, label) => {
+        const transactionId = status === 'paid' ? `MOCK${Date.now()}` : '';
+        const fields = { reference: session.reference, status, transactionId, amount: formatAmount(session.amount) };
+        fields.signature = signMockPayment(secret, fields);
+        const inputs = Object.entries(fields)
+          .map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`)
+          .join('');
+        return `<form method="post" action="${escapeHtml(callbackUrl)}">${inputs}<button type="submit">${label}</button></form>`;
+      };
+
+      return `<!doctype html><html><head><meta charset="utf-8"><title>Mock checkout</title></head><body>
+        <h1>Mock checkout</h1>
+        <p>Reference ${escapeHtml(session.reference)} &middot; ৳${escapeHtml(formatAmount(session.amount))}</p>
+        ${form('paid', 'Pay')}${form('cancelled', 'Cancel')}
+      </body></html>`;
+    },
+
+    async verifyCallback({ session, body }) {
+      const { reference, status, transactionId, amount, signature } = body;
+      if (reference !== session.reference ||
+          !safeEqual(signature, signMockPayment(secret, { reference, status, transactionId, amount }))) {
+        throw paymentError('Invalid mock payment signature', 403);
+      }
+      return {
+        status: status === 'paid' ? 'paid' : 'cancelled',
+        transactionId: transactionId || null,
+        amount: Number(amount),
+        raw: body
+      };
+    }
+  };
+}
+
+// SSLCommerz hosted checkout (v4 API): IPN verified by verify_sign and the validation API
+export function createSSLCommerzProvider({ storeId, storePassword, sandbox = true }) {
+  const baseUrl = sandbox ? 'https://sandbox.sslcommerz.com' : 'https://securepay.sslcommerz.com';
+  const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+  // verify_sign = md5 of the verify_key fields plus md5(store password), sorted by key
+  const hasValidSignature = (body) => {
+    if (!body.verify_key || !body.verify_sign) return false;
+    const fields = {};
+    body.verify_key.split(',').forEach(key => { fields[key] = body[key] ?? ''; });
+    fields.store_passwd = md5(storePassword);
+    const data = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+    return safeEqual(md5(data), body.verify_sign);
+  };
+
+  return {
+    name: 'sslcommerz',
+    label: 'SSLCommerz',
+
+    async createSession({ reference, amount, currency, description, customer, callbackUrl }) {
+      const browserUrl = callbackUrl('browser');
+      const data = await requestJson(`${baseUrl}/gwprocess/v4/api.php`, {
+        form: {
+          store_id: storeId,
+          store_passwd: storePassword,
+          total_amount: formatAmount(amount),
+          currency,
+          tran_id: reference,
+          success_url: browserUrl,
+          fail_url: browserUrl,
+          cancel_url: browserUrl,
+          ipn_url: callbackUrl('ipn'),
+          product_name: description,
+          product_category: 'Donation',
+          product_profile: 'non-physical-goods',
+          shipping_method: 'NO',
+          num_of_item: 1,
+          cus_name: customer.name || 'Anonymous',
+          cus_phone: customer.phone || 'N/A',
+          cus_email: customer.email || 'donor@uyho.org',
+          cus_add1: 'N/A',
+          cus_city: 'N/A',
+          cus_country: 'Bangladesh'
+        }
+      });
+      if (data.status !== 'SUCCESS' || !data.GatewayPageURL) {
+        throw paymentError(data.failedreason || 'SSLCommerz did not open a checkout session', 502);
+      }
+      return { redirectUrl: data.GatewayPageURL, providerSessionId: data.sessionkey, raw: data };
+    },
+
+    async verifyCallback({ session, body }) {
+      // Failure posts are not signed, so ask SSLCommerz whether the transaction was paid after all
+      if (body.status === 'FAILED' || body.status === 'CANCELLED') {
+        const query = new URLSearchParams({ tran_id: session.reference, store_id: storeId, store_passwd: storePassword, format: 'json' });
+        const data = await requestJson(`${baseUrl}/validator/api/merchantTransIDvalidationAPI.php?${query}`, { method: 'GET' });
+        const paid = (data.element || []).find(each => ['VALID', 'VALIDATED'].includes(each.status));
+        if (paid) {
+          return { status: 'paid', transactionId: paid.bank_tran_id || paid.val_id, amount: Number(paid.amount), raw: paid };
+        }
+        return { status: body.status === 'FAILED' ? 'failed' : 'cancelled', transactionId: null, amount: null, raw: data };
+      }
+      if (!hasValidSignature(body)) throw paymentError('Invalid SSLCommerz signature', 403);
+
+      const query = new URLSearchParams({ val_id: body.val_id, store_id: storeId, store_passwd: storePassword, format: 'json' });
+      const data = await requestJson(`${baseUrl}/validator/api/validationserverAPI.php?${query}`, { method: 'GET' });
+      if (data.tran_id !== session.reference) throw paymentError('SSLCommerz validation is for another transaction', 403);
+
+      return {
+        status: ['VALID', 'VALIDATED'].includes(data.status) ? 'paid' : 'failed',
+        transactionId: data.bank_tran_id || data.val_id,
+        amount: Number(data.amount),
+        raw: data
+      };
+    }
+  };
+}
+
+// bKash tokenized checkout: the browser callback is confirmed by executing the payment server-side
+export function createBkashProvider({ baseUrl, appKey, appSecret, username, password }) {
+  let token = null;
+
+  const grantToken = async () => {
+    if (token && token.expiresAt > Date.now()) return token.value;
+    const data = await requestJson(`${baseUrl}/tokenized/checkout/token/grant`, {
+      headers: { username, password },
+      json: { app_key: appKey, app_secret: appSecret }
+    });
+    if (!data.id_token) throw paymentError(data.statusMessage || 'bKash did not grant a token', 502);
+    token = { value: data.id_token, expiresAt: Date.now() + ((data.expires_in || 3600) - 60) * 1000 };
+    return token.value;
+  };
+
+  const call = async (path, json) => requestJson(`${baseUrl}${path}`, {
+    headers: { Authorization: await grantToken(), 'X-APP-Key': appKey },
+    json
+  });
+
+  return {
+    name: 'bkash',
+    label: 'bKash',
+
+    async createSession({ reference, amount, customer, callbackUrl }) {
+      const data = await call('/tokenized/checkout/create', {
+        mode: '0011',
+        payerReference: customer.phone || reference,
+        callbackURL: callbackUrl('browser'),
+        amount: formatAmount(amount),
+        currency: 'BDT',
+        intent: 'sale',
+        merchantInvoiceNumber: reference
+      });
+      if (!data.paymentID || !data.bkashURL) {
+        throw paymentError(data.statusMessage || 'bKash did not open a checkout session', 502);
+      }
+      return { redirectUrl: data.bkashURL, providerSessionId: data.paymentID, raw: data };
+    },
+
+    async verifyCallback({ session, query }) {
+      if (query.paymentID !== session.provider_session_id) throw paymentError('bKash payment does not match this session', 403);
+      if (query.status !== 'success') {
+        return { status: query.status === 'cancel' ? 'cancelled' : 'failed', transactionId: null, amount: null, raw: query };
+      }
+
+      let data = await call('/tokenized/checkout/execute', { paymentID: query.paymentID });
+      if (data.transactionStatus !== 'Completed') {
+        // Already executed (e.g. a repeated callback): ask for the current state instead
+        data = await call('/tokenized/checkout/payment/status', { paymentID: query.paymentID });
+      }
+      if (data.merchantInvoiceNumber && data.merchantInvoiceNumber !== session.reference) {
+        throw paymentError('bKash payment is for another invoice', 403);
+      }
+
+      return {
+        status: data.transactionStatus === 'Completed' ? 'paid' : 'failed',
+        transactionId: data.trxID || null,
+        amount: Number(data.amount),
+        raw: data
+      };
+    }
+  };
+}
+
+// Nagad checkout: requests are RSA-encrypted for Nagad and signed with the merchant key;
+// the browser callback is confirmed through the verify API
+export function createNagadProvider({ baseUrl, merchantId, merchantPrivateKey, nagadPublicKey }) {
+  const toPem = (key, type) => key.includes('-----BEGIN')
+    ? key.replace(/\\n/g, '\n')
+    : `-----BEGIN ${type}-----\n${key.match(/.{1,64}/g).join('\n')}\n-----END ${type}-----`;
+  const privateKey = toPem(merchantPrivateKey, 'PRIVATE KEY');
+  const publicKey = toPem(nagadPublicKey, 'PUBLIC KEY');
+
+  const encrypt = (data) => crypto.publicEncrypt(
+    { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.from(JSON.stringify(data))
+  ).toString('base64');
+  // Node refuses PKCS#1 v1.5 private decryption, so decrypt raw and strip the 0x00 0x02 <random> 0x00 block
+  // by hand. The ciphertext only ever comes from Nagad's API over TLS.
+  const decrypt = (data) => {
+    const block = crypto.privateDecrypt(
+      { key: privateKey, padding: crypto.constants.RSA_NO_PADDING },
+      Buffer.from(data, 'base64')
+    );
+    const separator = block.indexOf(0, 2);
+    if (block[0] !== 0 || block[1] !== 2 || separator < 10) throw paymentError('Could not decrypt the Nagad response', 502);
+    return JSON.parse(block.subarray(separator + 1).toString());
+  };
+  const sign = (data) => crypto.sign('sha256', Buffer.from(JSON.stringify(data)), privateKey).toString('base64');
+
+  // Nagad wants the Dhaka local time as YYYYMMDDHHmmss
+  const dhakaDateTime = () => new Date(Date.now() + 6 * 3600 * 1000).toISOString().replace(/\D/g, '').slice(0, 14);
+
+  const headers = (clientIp) => ({
+    'X-KM-Api-Version': 'v-0.2.0',
+    'X-KM-IP-V4': clientIp || '127.0.0.1',
+    'X-KM-Client-Type': 'PC_WEB'
+  });
+
+  return {
+    name: 'nagad',
+    label: 'Nagad',
+
+    async createSession({ reference, amount, clientIp, callbackUrl }) {
+      const datetime = dhakaDateTime();
+      const initData = { merchantId, datetime, orderId: reference, challenge: crypto.randomBytes(20).toString('hex') };
+      const init = await requestJson(`${baseUrl}/api/dfs/check-out/initialize/${merchantId}/${reference}`, {
+        headers: headers(clientIp),
+        json: { dateTime: datetime, sensitiveData: encrypt(initData), signature: sign(initData) }
+      });
+      if (!init.sensitiveData) throw paymentError(init.message || 'Nagad did not start a checkout', 502);
+      const { paymentReferenceId, challenge } = decrypt(init.sensitiveData);
+
+      const completeData = { merchantId, orderId: reference, currencyCode: '050', amount: formatAmount(amount), challenge };
+      const complete = await requestJson(`${baseUrl}/api/dfs/check-out/complete/${paymentReferenceId}`, {
+        headers: headers(clientIp),
+        json: {
+          sensitiveData: encrypt(completeData),
+          signature: sign(completeData),
+          merchantCallbackURL: callbackUrl('browser')
+        }
+      });
+      if (complete.status !== 'Success' || !complete.callBackUrl) {
+        throw paymentError(complete.message || 'Nagad did not open a checkout session', 502);
+      }
+      return { redirectUrl: complete.callBackUrl, providerSessionId: paymentReferenceId, raw: complete };
+    },
+
+    async verifyCallback({ session, query }) {
+      const paymentRefId = query.payment_ref_id || session.provider_session_id;
+      const data = await requestJson(`${baseUrl}/api/dfs/verify/payment/${encodeURIComponent(paymentRefId)}`, {
+        method: 'GET',
+        headers: headers()
+      });
+      if (data.orderId && data.orderId !== session.reference) throw paymentError('Nagad payment is for another order', 403);
+
+      let status = 'failed';
+      if (data.status === 'Success') status = 'paid';
+      else if (['Aborted', 'Cancelled'].includes(data.status)) status = 'cancelled';
+
+      return { status, transactionId: data.issuerPaymentRefNo || data.paymentRefId || null, amount: Number(data.amount), raw: data };
+    }
+  };
+}
+
+// Enable every provider whose configuration is present
+export function loadPaymentProviders(env = process.env, { mockSecret } = {}) {
+  const providers = new Map();
+
+  if (env.PAYMENT_MOCK_ENABLED === 'true' || (env.NODE_ENV !== 'production' && env.PAYMENT_MOCK_ENABLED !== 'false')) {
+    providers.set('mock', createMockProvider({ secret: mockSecret }));
+  }
+  if (env.SSLCOMMERZ_STORE_ID && env.SSLCOMMERZ_STORE_PASSWORD) {
+    providers.set('sslcommerz', createSSLCommerzProvider({
+      storeId: env.SSLCOMMERZ_STORE_ID,
+      storePassword: env.SSLCOMMERZ_STORE_PASSWORD,
+      sandbox: env.SSLCOMMERZ_SANDBOX !== 'false'
+    }));
+  }
+  if (env.BKASH_APP_KEY && env.BKASH_APP_SECRET && env.BKASH_USERNAME && env.BKASH_PASSWORD) {
+    providers.set('bkash', createBkashProvider({
+      baseUrl: env.BKASH_BASE_URL || 'https://tokenized.sandbox.bka.sh/v1.2.0-beta',
+      appKey: env.BKASH_APP_KEY,
+      appSecret: env.BKASH_APP_SECRET,
+      username: env.BKASH_USERNAME,
+      password: env.BKASH_PASSWORD
+    }));
+  }
+  if (env.NAGAD_MERCHANT_ID && env.NAGAD_MERCHANT_PRIVATE_KEY && env.NAGAD_PUBLIC_KEY) {
+    providers.set('nagad', createNagadProvider({
+      baseUrl: env.NAGAD_BASE_URL || 'https://sandbox.mynagad.com:10080/remote-payment-gateway-1.0',
+      merchantId: env.NAGAD_MERCHANT_ID,
+      merchantPrivateKey: env.NAGAD_MERCHANT_PRIVATE_KEY,
+      nagadPublicKey: env.NAGAD_PUBLIC_KEY
+    }));
+  }
+
+  return providers;
+}
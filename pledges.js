@@ -0,0 +1,459 @@
+// Recurring donation pledges.
+//
+// A pledge promises an amount every week, month, quarter or year to a fund account (central,
+// campaign, wing or direct aid). Each cycle becomes a pledge_installments row a few days
+// before it is due (the pledge's reminder_days), so reminders can go out ahead of time.
+// Installment n is always due n frequency-steps after the start date; computing from the start
+// keeps a pledge made on the 31st on the last day of shorter months instead of drifting.
+//
+// Installment status: expected -> partial / fulfilled when approved donations are matched to
+// it, missed once the grace period passes with nothing paid, waived by an admin.
+//
+// Donors with a volunteer account are reminded in the app. Reminders for donors without one
+// stay unclaimed until staff pass them on and mark them sent.
+
+import { ledgerError, normalizeAccount } from './ledger.js';
+
+export const PLEDGE_FREQUENCIES = {
+  weekly: { days: 7, perMonth: 52 / 12 },
+  monthly: { months: 1, perMonth: 1 },
+  quarterly: { months: 3, perMonth: 1 / 3 },
+  yearly: { months: 12, perMonth: 1 / 12 }
+};
+
+export const PLEDGE_STATUSES = ['active', 'paused', 'cancelled', 'completed'];
+
+// Installments that still expect money
+const OPEN_INSTALLMENT_STATUSES = ['expected', 'partial', 'missed'];
+
+// Longest backlog generated for one pledge in a single run (e.g. a weekly pledge started long ago)
+const MAX_CYCLES_PER_RUN = 60;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Last ten digits of a phone number, so '+880 1711-000000' and '01711000000' compare equal
+const phoneDigits = (phoneNumber) => String(phoneNumber || '').replace(/\D/g, '').slice(-10);
+
+// 'YYYY-MM-DD' of a Date in the server's time zone
+export const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const utcDateString = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+export const addDays = (dateString, days) => {
+  const [y, m, d] = dateString.split('-').map(Number);
+  return utcDateString(new Date(Date.UTC(y, m - 1, d + days)));
+};
+
+// Due date of cycle n (0 = the start date), clamped to the end of shorter months
+export function dueDateOf(startDate, frequency, cycle) {
+  const [y, m, d] = startDate.split('-').map(Number);
+  const { days, months } = PLEDGE_FREQUENCIES[frequency];
+  if (days) return utcDateString(new Date(Date.UTC(y, m - 1, d + days * cycle)));
+
+  const target = new Date(Date.UTC(y, m - 1 + months * cycle, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return utcDateString(target);
+}
+
+const parseDate = (value, name) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || isNaN(Date.parse(value))) {
+    throw ledgerError(`${name} must be a YYYY-MM-DD date`);
+  }
+  return value;
+};
+
+// Validate and normalize pledge fields from a request body. partial=true for updates;
+// new pledges start today unless startDate says otherwise.
+export function parsePledgeInput(body, { partial = false, today } = {}) {
+  const fields = {};
+
+  if (!partial || body.targetType !== undefined) {
+    const target = normalizeAccount(body.targetType, body.targetId);
+    if (target.type === 'external') throw ledgerError('Pledges go to the central fund, a campaign, a wing or a direct aid');
+    fields.target_type = target.type;
+    fields.target_id = target.id;
+  }
+  if (!partial || body.amount !== undefined) {
+    if (!(Number(body.amount) > 0)) throw ledgerError('Amount must be a positive number');
+    fields.amount = toCents(body.amount) / 100;
+  }
+  if (!partial || body.frequency !== undefined) {
+    if (!PLEDGE_FREQUENCIES[body.frequency]) {
+      throw ledgerError(`Frequency must be one of: ${Object.keys(PLEDGE_FREQUENCIES).join(', ')}`);
+    }
+    fields.frequency = body.frequency;
+  }
+  if (body.startDate !== undefined) {
+    fields.start_date = parseDate(body.startDate, 'startDate');
+  } else if (!partial) {
+    fields.start_date = today;
+  }
+  if (body.endDate !== undefined) {
+    fields.end_date = body.endDate ? parseDate(body.endDate, 'endDate') : null;
+  }
+  if (body.reminderDays !== undefined) {
+    const reminderDays = parseInt(body.reminderDays);
+    if (isNaN(reminderDays) || reminderDays < 0 || reminderDays > 30) {
+      throw ledgerError('reminderDays must be between 0 and 30');
+    }
+    fields.reminder_days = reminderDays;
+  }
+  if (fields.start_date && fields.end_date && fields.end_date < fields.start_date) {
+    throw ledgerError('endDate must not be before startDate');
+  }
+  return fields;
+}
+
+// Create the installments of one pledge that are due by today + reminder_days.
+// Returns how many were created. Call inside a transaction.
+export async function generateInstallmentsForPledge(conn, pledgeId, today) {
+  const [rows] = await conn.query(`
+    SELECT id, amount, frequency, status, reminder_days, cycles_generated,
+      DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+    FROM donation_pledges
+    WHERE id = ?
+    FOR UPDATE
+  `, [pledgeId]);
+  const pledge = rows[0];
+  if (!pledge || pledge.status !== 'active') return 0;
+
+  const horizon = addDays(today, pledge.reminder_days);
+  let cycle = pledge.cycles_generated;
+  let created = 0;
+  let ended = false;
+
+  while (created < MAX_CYCLES_PER_RUN) {
+    const dueDate = dueDateOf(pledge.start_date, pledge.frequency, cycle);
+    if (pledge.end_date && dueDate > pledge.end_date) {
+      ended = true;
+      break;
+    }
+    if (dueDate > horizon) break;
+
+    await conn.query(`
+      INSERT IGNORE INTO pledge_installments (pledge_id, cycle_number, due_date, amount, status)
+      VALUES (?, ?, ?, ?, 'expected')
+    `, [pledge.id, cycle, dueDate, pledge.amount]);
+    cycle++;
+    created++;
+  }
+
+  // Past the end date there is no next installment; completeFinishedPledges closes the pledge
+  // once the last ones are settled
+  await conn.query('UPDATE donation_pledges SET cycles_generated = ?, next_due_date = ? WHERE id = ?', [
+    cycle,
+    ended ? null : dueDateOf(pledge.start_date, pledge.frequency, cycle),
+    pledge.id
+  ]);
+  return created;
+}
+
+// Active pledges past their end date with nothing left to pay become completed
+export async function completeFinishedPledges(conn) {
+  const [result] = await conn.query(`
+    UPDATE donation_pledges p
+    SET p.status = 'completed'
+    WHERE p.status = 'active' AND p.next_due_date IS NULL AND p.end_date IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM pledge_installments i
+        WHERE i.pledge_id = p.id AND i.status IN ('expected', 'partial')
+      )
+  `);
+  return result.affectedRows;
+}
+
+// Pause or cancel a pledge. Installments not yet due and not paid towards are dropped so they
+// are neither reminded about nor counted as missed; already due ones stay on the record.
+export async function stopPledge(conn, pledgeId, status, today) {
+  await conn.query('SELECT id FROM donation_pledges WHERE id = ? FOR UPDATE', [pledgeId]);
+  await conn.query(`
+    DELETE FROM pledge_installments
+    WHERE pledge_id = ? AND status = 'expected' AND due_date >= ? AND fulfilled_amount = 0
+  `, [pledgeId, today]);
+  const [rows] = await conn.query(
+    'SELECT MAX(cycle_number) as last_cycle FROM pledge_installments WHERE pledge_id = ?',
+    [pledgeId]
+  );
+  const lastCycle = rows[0].last_cycle;
+  await conn.query(`
+    UPDATE donation_pledges SET status = ?, cycles_generated = ?, next_due_date = NULL
+    WHERE id = ?
+  `, [status, lastCycle === null ? 0 : lastCycle + 1, pledgeId]);
+}
+
+// Reactivate a paused pledge. Cycles that fell due while it was paused are skipped rather than
+// billed, so the schedule picks up at the first due date from today on.
+export async function resumePledge(conn, pledgeId, today) {
+  const [rows] = await conn.query(`
+    SELECT id, frequency, cycles_generated, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date
+    FROM donation_pledges
+    WHERE id = ?
+    FOR UPDATE
+  `, [pledgeId]);
+  const pledge = rows[0];
+  if (!pledge) throw ledgerError('Pledge not found', 404);
+
+  let cycle = pledge.cycles_generated;
+  while (dueDateOf(pledge.start_date, pledge.frequency, cycle) < today) cycle++;
+  await conn.query(`
+    UPDATE donation_pledges SET status = 'active', cycles_generated = ?, next_due_date = ?
+    WHERE id = ?
+  `, [cycle, dueDateOf(pledge.start_date, pledge.frequency, cycle), pledge.id]);
+  return generateInstallmentsForPledge(conn, pledge.id, today);
+}
+
+// Active pledges whose next installment falls inside their reminder window
+export async function findPledgesToGenerate(conn, today) {
+  const [rows] = await conn.query(`
+    SELECT id FROM donation_pledges
+    WHERE status = 'active' AND next_due_date IS NOT NULL
+      AND next_due_date <= DATE_ADD(?, INTERVAL reminder_days DAY)
+  `, [today]);
+  return rows.map(row => row.id);
+}
+
+// Installments nothing was paid for within graceDays of the due date become missed
+export async function markMissedInstallments(conn, today, graceDays) {
+  const [result] = await conn.query(`
+    UPDATE pledge_installments
+    SET status = 'missed'
+    WHERE status = 'expected' AND due_date < DATE_SUB(?, INTERVAL ? DAY)
+  `, [today, graceDays]);
+  return result.affectedRows;
+}
+
+// Installments owed a reminder: 'upcoming' inside the pledge's reminder window, 'overdue'
+// once the due date has passed. Each kind is sent once; the caller claims it with claimReminder.
+// offline selects the donors without a volunteer account instead of those with one.
+export async function findDueReminders(conn, today, graceDays, { offline = false } = {}) {
+  const [rows] = await conn.query(`
+    SELECT i.*, DATE_FORMAT(i.due_date, '%Y-%m-%d') as due_date,
+      p.volunteer_id, p.donor_name, p.phone_number, p.email, p.target_type, p.target_id, p.frequency,
+      CASE WHEN i.due_date >= ? THEN 'upcoming' ELSE 'overdue' END as reminder_kind,
+      CASE p.target_type
+        WHEN 'campaign' THEN (SELECT title FROM campaigns WHERE id = p.target_id)
+        WHEN 'wing' THEN (SELECT name FROM wings WHERE id = p.target_id)
+        WHEN 'direct_aid' THEN (SELECT title FROM direct_aids WHERE id = p.target_id)
+        ELSE 'UYHO Central Fund'
+      END as target_name
+    FROM pledge_installments i
+    JOIN donation_pledges p ON p.id = i.pledge_id
+    WHERE p.status = 'active' AND i.status IN ('expected', 'partial')
+      AND p.volunteer_id IS ${offline ? '' : 'NOT '}NULL
+      AND (
+        (i.due_date >= ? AND i.due_date <= DATE_ADD(?, INTERVAL p.reminder_days DAY) AND i.reminder_sent_at IS NULL)
+        OR (i.due_date < ? AND i.due_date >= DATE_SUB(?, INTERVAL ? DAY) AND i.overdue_reminder_sent_at IS NULL)
+      )
+    ORDER BY i.due_date
+  `, [today, today, today, today, today, graceDays]);
+  return rows;
+}
+
+// Mark a reminder as sent. Returns false when another run already claimed it.
+export async function claimReminder(conn, installmentId, kind) {
+  const column = kind === 'overdue' ? 'overdue_reminder_sent_at' : 'reminder_sent_at';
+  const [result] = await conn.query(
+    `UPDATE pledge_installments SET ${column} = CURRENT_TIMESTAMP WHERE id = ? AND ${column} IS NULL`,
+    [installmentId]
+  );
+  return result.affectedRows === 1;
+}
+
+// Add a payment to an installment and move it to partial / fulfilled. Call inside a transaction.
+export async function recordFulfilment(conn, {
+  installmentId,
+  amount,
+  donationSource = 'manual',
+  donationId = null,
+  note = null,
+  recordedBy = null
+}) {
+  const [rows] = await conn.query('SELECT * FROM pledge_installments WHERE id = ? FOR UPDATE', [installmentId]);
+  const installment = rows[0];
+  if (!installment) throw ledgerError('Installment not found', 404);
+  if (!OPEN_INSTALLMENT_STATUSES.includes(installment.status)) {
+    throw ledgerError(`Installment is already ${installment.status}`, 409);
+  }
+  if (!(Number(amount) > 0)) throw ledgerError('Amount must be a positive number');
+
+  await conn.query(`
+    INSERT INTO pledge_fulfilments (installment_id, pledge_id, donation_source, donation_id, amount, note, recorded_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [installment.id, installment.pledge_id, donationSource, donationId, amount, note, recordedBy]);
+
+  const paidCents = toCents(installment.fulfilled_amount) + toCents(amount);
+  const status = paidCents >= toCents(installment.amount) ? 'fulfilled' : 'partial';
+  await conn.query(`
+    UPDATE pledge_installments
+    SET fulfilled_amount = ?, status = ?, fulfilled_at = CASE WHEN ? = 'fulfilled' THEN CURRENT_TIMESTAMP ELSE fulfilled_at END
+    WHERE id = ?
+  `, [paidCents / 100, status, status, installment.id]);
+  return { ...installment, fulfilled_amount: paidCents / 100, status };
+}
+
+// Check the pledgeId a donation form sends before the donation is linked to it. The pledge must
+// be active, for the same target, and the donor's: same phone number or volunteer account.
+// anyDonor skips the donor check, for staff recording a payment on someone's behalf.
+export async function checkPledgeLink(conn, {
+  pledgeId,
+  targetType,
+  targetId,
+  volunteerId = null,
+  phoneNumber = null,
+  anyDonor = false
+}) {
+  const [rows] = await conn.query(
+    'SELECT id, volunteer_id, phone_number, target_type, target_id, status FROM donation_pledges WHERE id = ?',
+    [pledgeId]
+  );
+  const pledge = rows[0];
+  if (!pledge) throw ledgerError('Pledge not found', 404);
+  if (pledge.status !== 'active') throw ledgerError(`Pledge is ${pledge.status}`, 409);
+  if (pledge.target_type !== targetType || Number(pledge.target_id) !== Number(targetId || 0)) {
+    throw ledgerError('Pledge is for another fund');
+  }
+
+  const phone = phoneDigits(phoneNumber);
+  const ownPhone = phone !== '' && phoneDigits(pledge.phone_number) === phone;
+  const ownAccount = volunteerId !== null && pledge.volunteer_id === volunteerId;
+  if (!anyDonor && !ownPhone && !ownAccount) {
+    throw ledgerError('This pledge belongs to another donor', 403);
+  }
+  return pledge;
+}
+
+// Credit an approved donation to the pledge it belongs to: the pledge named on the donation,
+// otherwise an active pledge to the same target from the same phone number or volunteer.
+// The oldest open installment that is already due (or inside its reminder window) gets it.
+// Returns the updated installment, or null when the donation matches no pledge.
+export async function applyDonationToPledge(conn, {
+  source,
+  donationId,
+  pledgeId = null,
+  targetType,
+  targetId,
+  volunteerId = null,
+  phoneNumber = null,
+  amount,
+  today,
+  recordedBy = null
+}) {
+  const [already] = await conn.query(
+    'SELECT id FROM pledge_fulfilments WHERE donation_source = ? AND donation_id = ?',
+    [source, donationId]
+  );
+  if (already.length) return null;
+
+  const phone = phoneDigits(phoneNumber);
+  const [pledges] = await conn.query(`
+    SELECT id FROM donation_pledges
+    WHERE status IN ('active', 'paused', 'completed')
+      AND (
+        id = ?
+        OR (target_type = ? AND target_id = ? AND status = 'active' AND (
+          (? <> '' AND RIGHT(REGEXP_REPLACE(COALESCE(phone_number, ''), '[^0-9]', ''), 10) = ?)
+          OR (volunteer_id IS NOT NULL AND volunteer_id = ?)
+        ))
+      )
+    ORDER BY id = ? DESC, created_at
+  `, [pledgeId || 0, targetType, targetId || 0, phone, phone, volunteerId || 0, pledgeId || 0]);
+
+  for (const pledge of pledges) {
+    const [installments] = await conn.query(`
+      SELECT i.id FROM pledge_installments i
+      JOIN donation_pledges p ON p.id = i.pledge_id
+      WHERE i.pledge_id = ? AND i.status IN (?)
+        AND i.due_date <= DATE_ADD(?, INTERVAL p.reminder_days DAY)
+      ORDER BY i.due_date
+      LIMIT 1
+    `, [pledge.id, OPEN_INSTALLMENT_STATUSES, today]);
+    if (!installments.length) continue;
+
+    return recordFulfilment(conn, {
+      installmentId: installments[0].id,
+      amount,
+      donationSource: source,
+      donationId,
+      recordedBy
+    });
+  }
+  return null;
+}
+
+// Pledge health of every target, or of one when targetType / targetId are given
+export async function getPledgeHealth(conn, { targetType = null, targetId = null, today }) {
+  const frequencyFactor = Object.entries(PLEDGE_FREQUENCIES)
+    .map(([name, { perMonth }]) => `WHEN '${name}' THEN ${perMonth}`)
+    .join(' ');
+  const filter = targetType ? 'WHERE p.target_type = ? AND p.target_id = ?' : '';
+  const params = [today, today, today, today, today, today, today];
+  if (targetType) params.push(targetType, targetId);
+
+  const [rows] = await conn.query(`
+    SELECT
+      p.target_type,
+      p.target_id,
+      SUM(p.status = 'active') as active_pledges,
+      SUM(p.status = 'paused') as paused_pledges,
+      SUM(p.status = 'cancelled') as cancelled_pledges,
+      SUM(p.status = 'completed') as completed_pledges,
+      COALESCE(SUM(CASE WHEN p.status = 'active' THEN p.amount * (CASE p.frequency ${frequencyFactor} END) END), 0) as monthly_value,
+      COALESCE(SUM(i.due_count), 0) as installments_due,
+      COALESCE(SUM(i.fulfilled_count), 0) as installments_fulfilled,
+      COALESCE(SUM(i.partial_count), 0) as installments_partial,
+      COALESCE(SUM(i.missed_count), 0) as installments_missed,
+      COALESCE(SUM(i.expected_amount), 0) as expected_amount,
+      COALESCE(SUM(i.collected_amount), 0) as collected_amount,
+      COALESCE(SUM(i.upcoming_amount), 0) as upcoming_30_days,
+      SUM(COALESCE(i.recent_missed, 0) >= 2) as at_risk_pledges
+    FROM donation_pledges p
+    LEFT JOIN (
+      SELECT
+        pledge_id,
+        SUM(due_date <= ? AND status <> 'waived') as due_count,
+        SUM(due_date <= ? AND status = 'fulfilled') as fulfilled_count,
+        SUM(due_date <= ? AND status = 'partial') as partial_count,
+        SUM(status = 'missed') as missed_count,
+        SUM(CASE WHEN due_date <= ? AND status <> 'waived' THEN amount ELSE 0 END) as expected_amount,
+        SUM(fulfilled_amount) as collected_amount,
+        SUM(CASE WHEN due_date > ? AND due_date <= DATE_ADD(?, INTERVAL 30 DAY) THEN amount ELSE 0 END) as upcoming_amount,
+        -- missed installments among the last three that were due
+        SUM(status = 'missed' AND recent_rank <= 3) as recent_missed
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY pledge_id, due_date <= ? ORDER BY due_date DESC) as recent_rank
+        FROM pledge_installments
+      ) ranked
+      GROUP BY pledge_id
+    ) i ON i.pledge_id = p.id
+    ${filter}
+    GROUP BY p.target_type, p.target_id
+    ORDER BY p.target_type, p.target_id
+  `, params);
+
+  return rows.map(row => {
+    const expected = Number(row.expected_amount);
+    const collected = Number(row.collected_amount);
+    return {
+      target_type: row.target_type,
+      target_id: row.target_id,
+      active_pledges: Number(row.active_pledges),
+      paused_pledges: Number(row.paused_pledges),
+      cancelled_pledges: Number(row.cancelled_pledges),
+      completed_pledges: Number(row.completed_pledges),
+      monthly_value: Math.round(Number(row.monthly_value) * 100) / 100,
+      installments_due: Number(row.installments_due),
+      installments_fulfilled: Number(row.installments_fulfilled),
+      installments_partial: Number(row.installments_partial),
+      installments_missed: Number(row.installments_missed),
+      expected_amount: expected,
+      collected_amount: collected,
+      fulfilment_rate: expected > 0 ? Math.round((Math.min(collected, expected) / expected) * 1000) / 10 : null,
+      upcoming_30_days: Number(row.upcoming_30_days),
+      at_risk_pledges: Number(row.at_risk_pledges)
+    };
+  });
+}
@@ -0,0 +1,337 @@
+// Official donation receipts.
+//
+// A receipt is issued inside the transaction that approves a donation, so its number is taken
+// from receipt_sequences under the same row lock and rolls back with the approval: numbers run
+// 1, 2, 3 ... per fiscal year with no gaps. Receipts are never deleted. Voiding keeps the
+// number, and reissuing voids the old receipt and issues a new number that points back to it.
+//
+// Each receipt stores a snapshot of the donation and of organization_settings, so a PDF
+// rendered years later shows what was true on the day it was issued. Donors download it
+// through /api/public/receipts/:token, where the token is 32 random bytes.
+
+import crypto from 'crypto';
+import { DONATION_SOURCES } from './donation-screening.js';
+import { ledgerError } from './ledger.js';
+
+export function loadReceiptSettings(env = process.env) {
+  const startMonth = parseInt(env.RECEIPT_FISCAL_YEAR_START_MONTH) || 7;
+  return {
+    prefix: env.RECEIPT_PREFIX || 'UYHO',
+    // Bangladesh's fiscal year runs July to June
+    fiscalYearStartMonth: Math.min(12, Math.max(1, startMonth))
+  };
+}
+
+// '2025-26' for a July-June year, plain '2025' when the fiscal year is the calendar year
+export function fiscalYearOf(date, startMonth = 7) {
+  const year = date.getFullYear();
+  if (startMonth === 1) return String(year);
+  const first = date.getMonth() + 1 >= startMonth ? year : year - 1;
+  return `${first}-${String(first + 1).slice(-2)}`;
+}
+
+export const formatReceiptNumber = (prefix, fiscalYear, sequence) =>
+  `${prefix}-${fiscalYear}-${String(sequence).padStart(6, '0')}`;
+
+// Donation fields copied onto the receipt, with the campaign / direct aid / wing it went to
+async function loadReceiptDonation(conn, source, donationId) {
+  const queries = {
+    donation: `
+      SELECT d.id, d.donor_name, d.phone_number, d.amount, d.payment_method, d.transaction_id,
+        d.is_anonymous, d.created_at,
+        CASE WHEN d.campaign_id IS NOT NULL THEN 'campaign' ELSE 'direct_aid' END as recipient_type,
+        COALESCE(d.campaign_id, d.direct_aid_id) as recipient_id,
+        COALESCE(c.title, da.title) as recipient_name
+      FROM donations d
+      LEFT JOIN campaigns c ON c.id = d.campaign_id
+      LEFT JOIN direct_aids da ON da.id = d.direct_aid_id
+      WHERE d.id = ?`,
+    direct_aid_donation: `
+      SELECT dad.id, dad.donor_name, dad.phone_number, dad.amount, dad.payment_method, dad.transaction_id,
+        dad.is_anonymous, dad.created_at,
+        'direct_aid' as recipient_type, dad.direct_aid_id as recipient_id, da.title as recipient_name
+      FROM direct_aid_donations dad
+      LEFT JOIN direct_aids da ON da.id = dad.direct_aid_id
+      WHERE dad.id = ?`,
+    wing_donation: `
+      SELECT wd.id, wd.donor_name, wd.phone_number, wd.amount, wd.payment_method, wd.transaction_id,
+        wd.is_anonymous, wd.created_at,
+        'wing' as recipient_type, wd.wing_id as recipient_id, w.name as recipient_name
+      FROM wing_donations wd
+      LEFT JOIN wings w ON w.id = wd.wing_id
+      WHERE wd.id = ?`
+  };
+  const [rows] = await conn.query(queries[source], [donationId]);
+  return rows[0] || null;
+}
+
+export async function loadOrganizationDetails(conn) {
+  const [rows] = await conn.query(`
+    SELECT org_name, org_full_name, contact_email, contact_phone, contact_address, website_url
+    FROM organization_settings
+    ORDER BY id
+    LIMIT 1
+  `);
+  return rows[0] || { org_name: 'UYHO', org_full_name: 'United Young Help Organization' };
+}
+
+// Next number of the fiscal year. The upsert locks the sequence row until the caller's
+// transaction ends, so concurrent approvals queue up and a rollback gives the number back.
+async function nextReceiptSequence(conn, fiscalYear) {
+  await conn.query(`
+    INSERT INTO receipt_sequences (fiscal_year, last_number) VALUES (?, 1)
+    ON DUPLICATE KEY UPDATE last_number = last_number + 1
+  `, [fiscalYear]);
+  const [rows] = await conn.query('SELECT last_number FROM receipt_sequences WHERE fiscal_year = ?', [fiscalYear]);
+  return rows[0].last_number;
+}
+
+// The issued (not voided) receipt of a donation, if any
+export async function findActiveReceipt(conn, source, donationId) {
+  const [rows] = await conn.query(`
+    SELECT * FROM donation_receipts
+    WHERE donation_source = ? AND donation_id = ? AND status = 'issued'
+    ORDER BY id DESC
+    LIMIT 1
+  `, [source, donationId]);
+  return rows[0] || null;
+}
+
+// Issue a receipt for an approved donation. Call inside the approval's transaction.
+// Returns the existing receipt when the donation already has one, unless replacesId is given.
+export async function issueReceipt(conn, {
+  source,
+  donationId,
+  issuedBy = null,
+  replacesId = null,
+  donorName,
+  settings = loadReceiptSettings()
+}) {
+  if (!DONATION_SOURCES[source]) throw ledgerError(`Unknown donation source: ${source}`);
+  if (!replacesId) {
+    const existing = await findActiveReceipt(conn, source, donationId);
+    if (existing) return existing;
+  }
+
+  const donation = await loadReceiptDonation(conn, source, donationId);
+  if (!donation) throw ledgerError('Donation not found', 404);
+
+  const organization = await loadOrganizationDetails(conn);
+  const issuedAt = new Date();
+  const fiscalYear = fiscalYearOf(issuedAt, settings.fiscalYearStartMonth);
+  const sequence = await nextReceiptSequence(conn, fiscalYear);
+  const receiptNumber = formatReceiptNumber(settings.prefix, fiscalYear, sequence);
+  const name = donorName?.trim() || (donation.is_anonymous ? 'Anonymous' : donation.donor_name) || 'Anonymous';
+
+  const [result] = await conn.query(`
+    INSERT INTO donation_receipts (
+      receipt_number, fiscal_year, sequence_number, donation_source, donation_id,
+      donor_name, phone_number, amount, payment_method, transaction_id,
+      recipient_type, recipient_id, recipient_name, donated_at, organization_details,
+      public_token, status, replaces_receipt_id, issued_by, issued_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'issued', ?, ?, ?)
+  `, [
+    receiptNumber, fiscalYear, sequence, source, donationId,
+    name, donation.phone_number || null, donation.amount, donation.payment_method || null,
+    donation.transaction_id || null,
+    donation.recipient_type, donation.recipient_id, donation.recipient_name || null,
+    donation.created_at, JSON.stringify(organization),
+    crypto.randomBytes(32).toString('hex'), replacesId, issuedBy, issuedAt
+  ]);
+
+  const [rows] = await conn.query('SELECT * FROM donation_receipts WHERE id = ?', [result.insertId]);
+  return rows[0];
+}
+
+// Void an issued receipt; its number stays taken
+export async function voidReceipt(conn, { receiptId, reason, voidedBy }) {
+  const [rows] = await conn.query('SELECT * FROM donation_receipts WHERE id = ? FOR UPDATE', [receiptId]);
+  const receipt = rows[0];
+  if (!receipt) throw ledgerError('Receipt not found', 404);
+  if (receipt.status === 'void') throw ledgerError('Receipt is already void', 409);
+
+  await conn.query(`
+    UPDATE donation_receipts
+    SET status = 'void', void_reason = ?, voided_by = ?, voided_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [reason, voidedBy, receiptId]);
+  return { ...receipt, status: 'void', void_reason: reason };
+}
+
+// Void a receipt and issue a replacement with a new number, optionally correcting the donor name
+export async function reissueReceipt(conn, { receiptId, reason, reissuedBy, donorName, settings }) {
+  const voided = await voidReceipt(conn, { receiptId, reason, voidedBy: reissuedBy });
+  const replacement = await issueReceipt(conn, {
+    source: voided.donation_source,
+    donationId: voided.donation_id,
+    issuedBy: reissuedBy,
+    replacesId: voided.id,
+    donorName: donorName || voided.donor_name,
+    settings
+  });
+  await conn.query('UPDATE donation_receipts SET replaced_by_receipt_id = ? WHERE id = ?', [replacement.id, voided.id]);
+  return replacement;
+}
+
+// ---------- PDF ----------
+
+const ONES = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+function wordsBelowThousand(n) {
+  const parts = [];
+  if (n >= 100) {
+    parts.push(`${ONES[Math.floor(n / 100)]} hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    parts.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ''));
+  } else if (n > 0) {
+    parts.push(ONES[n]);
+  }
+  return parts.join(' ');
+}
+
+// Whole number in words using crore / lakh / thousand, the way receipts in Bangladesh read
+function integerInWords(n) {
+  if (n === 0) return 'zero';
+  const parts = [];
+  if (n >= 10000000) {
+    parts.push(`${integerInWords(Math.floor(n / 10000000))} crore`);
+    n %= 10000000;
+  }
+  for (const [unit, size] of [['lakh', 100000], ['thousand', 1000]]) {
+    if (n >= size) {
+      parts.push(`${wordsBelowThousand(Math.floor(n / size))} ${unit}`);
+      n %= size;
+    }
+  }
+  if (n > 0) parts.push(wordsBelowThousand(n));
+  return parts.join(' ');
+}
+
+export function amountInWords(amount) {
+  const taka = Math.floor(Number(amount));
+  const paisa = Math.round((Number(amount) - taka) * 100);
+  return `Taka ${integerInWords(taka)}${paisa > 0 ? ` and ${wordsBelowThousand(paisa)} paisa` : ''} only`;
+}
+
+// The standard PDF fonts only cover Latin-1; anything else (e.g. Bangla names) is replaced
+export const pdfSafe = (value) => String(value ?? '')
+  .replace(/৳/g, 'BDT ')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const maskPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : '';
+};
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' })
+  : '-';
+
+const RECIPIENT_LABELS = { campaign: 'Campaign', direct_aid: 'Direct aid', wing: 'Wing' };
+
+// Render a receipt row as a one-page A4 PDF. Returns a Uint8Array.
+export async function renderReceiptPdf(receipt, { verifyUrl, replacedByNumber } = {}) {
+  const { PDFDocument, StandardFonts, degrees, rgb } = await import('pdf-lib');
+  const organization = typeof receipt.organization_details === 'string'
+    ? JSON.parse(receipt.organization_details || '{}')
+    : (receipt.organization_details || {});
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Donation receipt ${receipt.receipt_number}`);
+  pdf.setAuthor(organization.org_full_name || organization.org_name || 'UYHO');
+  const page = pdf.addPage([595.28, 841.89]);
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const ink = rgb(0.13, 0.13, 0.13);
+  const muted = rgb(0.42, 0.42, 0.42);
+  const accent = rgb(0.05, 0.45, 0.35);
+  const left = 56;
+  const right = 539;
+  let y = 780;
+
+  const text = (value, x, size = 11, font = regular, color = ink) =>
+    page.drawText(pdfSafe(value), { x, y, size, font, color });
+  const rule = () => page.drawLine({ start: { x: left, y }, end: { x: right, y }, thickness: 0.7, color: muted });
+
+  text(organization.org_full_name || organization.org_name || 'UYHO', left, 18, bold, accent);
+  y -= 18;
+  if (organization.contact_address) {
+    text(organization.contact_address, left, 9, regular, muted);
+    y -= 13;
+  }
+  const contacts = [organization.contact_email, organization.contact_phone, organization.website_url].filter(Boolean);
+  if (contacts.length) {
+    text(contacts.join('  |  '), left, 9, regular, muted);
+    y -= 13;
+  }
+  y -= 10;
+  rule();
+
+  y -= 38;
+  text('DONATION RECEIPT', left, 20, bold);
+  y -= 24;
+  text(`Receipt no. ${receipt.receipt_number}`, left, 11, bold);
+  const issued = `Issued ${formatDate(receipt.issued_at)}  |  Fiscal year ${receipt.fiscal_year}`;
+  page.drawText(pdfSafe(issued), { x: right - regular.widthOfTextAtSize(pdfSafe(issued), 10), y, size: 10, font: regular, color: muted });
+
+  y -= 40;
+  text('Received with thanks from', left, 10, regular, muted);
+  y -= 18;
+  text(receipt.donor_name || 'Anonymous', left, 15, bold);
+  const phone = maskPhone(receipt.phone_number);
+  if (phone) {
+    y -= 15;
+    text(`Phone ${phone}`, left, 10, regular, muted);
+  }
+
+  y -= 36;
+  page.drawRectangle({ x: left, y: y - 14, width: right - left, height: 48, color: rgb(0.94, 0.97, 0.96) });
+  y += 12;
+  text(`BDT ${formatAmount(receipt.amount)}`, left + 14, 18, bold, accent);
+  y -= 18;
+  text(amountInWords(receipt.amount), left + 14, 10, regular, ink);
+
+  y -= 44;
+  const rows = [
+    ['Towards', `${RECIPIENT_LABELS[receipt.recipient_type] || 'Donation'}${receipt.recipient_name ? `: ${receipt.recipient_name}` : ''}`],
+    ['Payment method', receipt.payment_method || '-'],
+    ['Transaction ID', receipt.transaction_id || '-'],
+    ['Donation date', formatDate(receipt.donated_at)]
+  ];
+  for (const [label, value] of rows) {
+    text(label, left, 10, regular, muted);
+    text(value, left + 130, 11);
+    y -= 22;
+  }
+
+  y -= 16;
+  rule();
+  y -= 20;
+  text('This receipt was issued electronically and is valid without a signature.', left, 9, regular, muted);
+  if (verifyUrl) {
+    y -= 13;
+    text(`Verify it at ${verifyUrl}`, left, 9, regular, muted);
+  }
+
+  if (receipt.status === 'void') {
+    page.drawText('VOID', {
+      x: 150, y: 330, size: 140, font: bold, color: rgb(0.8, 0.1, 0.1), opacity: 0.25, rotate: degrees(35)
+    });
+    y -= 26;
+    text(`Voided ${formatDate(receipt.voided_at)}${receipt.void_reason ? `: ${receipt.void_reason}` : ''}`, left, 10, bold, rgb(0.8, 0.1, 0.1));
+    if (replacedByNumber) {
+      y -= 14;
+      text(`Replaced by receipt no. ${replacedByNumber}`, left, 10, regular, rgb(0.8, 0.1, 0.1));
+    }
+  }
+
+  return pdf.save();
+}
@@ -0,0 +1,238 @@
+// In-process scheduler for the server's periodic jobs.
+//
+// Jobs are registered in code with a default interval and run on every machine's scheduler, but
+// their state lives in scheduled_jobs: when each one is next due, whether it is paused, and an
+// interval that overrides the default. A machine only runs a job after claiming it, with a
+// single UPDATE that one machine wins. The claim is a lease (locked_until) rather than a lock,
+// so a machine that dies mid-run only holds the job until the lease runs out. The lease must
+// outlast the job's longest run. Every run is recorded in job_runs with its result or error.
+//
+// The next run is counted from the end of the previous one, whether it ran on schedule or was
+// started by hand.
+
+import os from 'os';
+import { promisePool } from './db.js';
+import { ledgerError } from './ledger.js';
+
+export const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed', 'abandoned'];
+
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+const parseResult = (value) => {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const toRun = (row) => row && { ...row, result: parseResult(row.result) };
+
+// Fly.io names each machine; elsewhere the host and process tell instances apart
+const defaultMachineId = () => process.env.FLY_MACHINE_ID || `${os.hostname()}:${process.pid}`;
+
+export function createScheduler(pool = promisePool, { machineId = defaultMachineId(), tickSeconds = 60 } = {}) {
+  const jobs = new Map();
+  const running = new Set();
+  let timer = null;
+  let ticking = false;
+
+  const getJob = (name) => {
+    const job = jobs.get(name);
+    if (!job) throw ledgerError('Job not found', 404);
+    return job;
+  };
+
+  // Take the job's lease unless another run holds it. Scheduled claims also need the job to be
+  // enabled and due.
+  async function claim(job, { due }) {
+    const [result] = await pool.query(`
+      UPDATE scheduled_jobs
+      SET locked_by = ?, locked_until = NOW() + INTERVAL ? MINUTE
+      WHERE name = ? AND (locked_until IS NULL OR locked_until < NOW())
+      ${due ? 'AND enabled = 1 AND (next_run_at IS NULL OR next_run_at <= NOW())' : ''}
+    `, [machineId, job.leaseMinutes, job.name]);
+    return result.affectedRows === 1;
+  }
+
+  // Run a claimed job, record the run and hand the lease back. Returns the job_runs row.
+  async function execute(job, { trigger, triggeredBy = null }) {
+    running.add(job.name);
+    let runId = null;
+    try {
+      // Holding the lease means any run still marked running lost its machine
+      await pool.query(`
+        UPDATE job_runs SET status = 'abandoned', error = 'The lease ran out before the run finished',
+          finished_at = CURRENT_TIMESTAMP
+        WHERE job_name = ? AND status = 'running'
+      `, [job.name]);
+      const [inserted] = await pool.query(
+        'INSERT INTO job_runs (job_name, trigger_type, triggered_by, machine) VALUES (?, ?, ?, ?)',
+        [job.name, trigger, triggeredBy, machineId]
+      );
+      runId = inserted.insertId;
+
+      let status = 'succeeded';
+      let result = null;
+      let error = null;
+      try {
+        result = (await job.run()) ?? null;
+      } catch (err) {
+        status = 'failed';
+        error = err.message;
+        console.error(`[Scheduler] ${job.name} failed:`, err.message);
+      }
+      await pool.query(
+        'UPDATE job_runs SET status = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, result === null ? null : JSON.stringify(result), error, runId]
+      );
+      const [rows] = await pool.query('SELECT * FROM job_runs WHERE id = ?', [runId]);
+      return toRun(rows[0]);
+    } finally {
+      running.delete(job.name);
+      await pool.query(`
+        UPDATE scheduled_jobs
+        SET locked_by = NULL, locked_until = NULL, last_run_id = COALESCE(?, last_run_id),
+          next_run_at = NOW() + INTERVAL COALESCE(interval_minutes, ?) MINUTE
+        WHERE name = ? AND locked_by = ?
+      `, [runId, job.intervalMinutes, job.name, machineId]);
+    }
+  }
+
+  // Run every due job this machine can claim, one after another
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      for (const job of jobs.values()) {
+        if (running.has(job.name)) continue;
+        try {
+          if (await claim(job, { due: true })) await execute(job, { trigger: 'schedule' });
+        } catch (err) {
+          console.error(`[Scheduler] Could not run ${job.name}:`, err.message);
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    machineId,
+
+    // run() does the work and returns a JSON-able summary. leaseMinutes must outlast a run.
+    register(name, { description, intervalMinutes, leaseMinutes = 15, run }) {
+      if (jobs.has(name)) throw new Error(`Job ${name} is already registered`);
+      jobs.set(name, { name, description, intervalMinutes, leaseMinutes, run });
+    },
+
+    // Create the state rows of new jobs (due at once) and start checking for due jobs
+    async start() {
+      for (const job of jobs.values()) {
+        await pool.query('INSERT IGNORE INTO scheduled_jobs (name, next_run_at) VALUES (?, NOW())', [job.name]);
+      }
+      if (timer) return;
+      timer = setInterval(() => {
+        tick().catch(err => console.error('[Scheduler] Tick failed:', err.message));
+      }, tickSeconds * 1000);
+      timer.unref();
+      console.log(`[Scheduler] ${jobs.size} jobs on ${machineId}`);
+      tick().catch(err => console.error('[Scheduler] Tick failed:', err.message));
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    // Run a job now, whatever its schedule. Throws 409 while a run holds its lease.
+    async runNow(name, { triggeredBy = null } = {}) {
+      const job = getJob(name);
+      if (!(await claim(job, { due: false }))) {
+        const [rows] = await pool.query('SELECT locked_by FROM scheduled_jobs WHERE name = ?', [name]);
+        throw ledgerError(rows[0] ? `${name} is already running on ${rows[0].locked_by}` : `${name} has not been set up yet`, 409);
+      }
+      return execute(job, { trigger: 'manual', triggeredBy });
+    },
+
+    // Registered jobs with their state and last run
+    async list() {
+      const [rows] = await pool.query(`
+        SELECT j.*, r.status as last_status, r.trigger_type as last_trigger, r.started_at as last_started_at,
+          r.finished_at as last_finished_at, r.error as last_error, r.result as last_result
+        FROM scheduled_jobs j
+        LEFT JOIN job_runs r ON r.id = j.last_run_id
+      `);
+      const states = new Map(rows.map(row => [row.name, row]));
+      return [...jobs.values()].map(job => {
+        const state = states.get(job.name) || {};
+        return {
+          name: job.name,
+          description: job.description,
+          enabled: state.enabled === undefined ? true : Boolean(state.enabled),
+          default_interval_minutes: job.intervalMinutes,
+          interval_minutes: state.interval_minutes ?? job.intervalMinutes,
+          lease_minutes: job.leaseMinutes,
+          next_run_at: state.next_run_at || null,
+          locked_by: state.locked_by || null,
+          locked_until: state.locked_until || null,
+          last_run: state.last_run_id ? {
+            id: state.last_run_id,
+            status: state.last_status,
+            trigger_type: state.last_trigger,
+            started_at: state.last_started_at,
+            finished_at: state.last_finished_at,
+            error: state.last_error,
+            result: parseResult(state.last_result)
+          } : null
+        };
+      });
+    },
+
+    // Latest runs, of one job or of all
+    async runs(name = null, { limit = 50 } = {}) {
+      if (name) getJob(name);
+      const [rows] = await pool.query(`
+        SELECT * FROM job_runs
+        ${name ? 'WHERE job_name = ?' : ''}
+        ORDER BY id DESC LIMIT ?
+      `, name ? [name, limit] : [limit]);
+      return rows.map(toRun);
+    },
+
+    // Pause or resume a job, or change its interval (null goes back to the default)
+    async update(name, { enabled, intervalMinutes }, updatedBy = null) {
+      const job = getJob(name);
+      const sets = [];
+      const params = [];
+      if (enabled !== undefined) {
+        sets.push('enabled = ?');
+        params.push(enabled ? 1 : 0);
+      }
+      if (intervalMinutes !== undefined) {
+        const interval = intervalMinutes === null || intervalMinutes === '' ? null : Number(intervalMinutes);
+        if (interval !== null && (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL_MINUTES)) {
+          throw ledgerError(`intervalMinutes must be a whole number between 1 and ${MAX_INTERVAL_MINUTES}`);
+        }
+        // A shorter interval brings the next run forward
+        sets.push('interval_minutes = ?', 'next_run_at = LEAST(COALESCE(next_run_at, NOW()), NOW() + INTERVAL ? MINUTE)');
+        params.push(interval, interval ?? job.intervalMinutes);
+      }
+      if (!sets.length) throw ledgerError('Nothing to update; send enabled or intervalMinutes');
+      await pool.query(
+        `UPDATE scheduled_jobs SET ${sets.join(', ')}, updated_by = ? WHERE name = ?`,
+        [...params, updatedBy, name]
+      );
+    },
+
+    // Delete finished runs older than the given number of days
+    async pruneRuns(days) {
+      const [result] = await pool.query(
+        "DELETE FROM job_runs WHERE started_at < NOW() - INTERVAL ? DAY AND status <> 'running'",
+        [days]
+      );
+      return result.affectedRows;
+    }
+  };
+}
@@ -3,12 +3,175 @@ import crypto from 'crypto'
 import 'dotenv/config'
 import express from 'express'
 import fs from 'fs'
+import jwt from 'jsonwebtoken'
 import multer from 'multer'
 import path, { dirname } from 'path'
-import db, { initializeMySQLDatabase, testConnection } from './db.js'
+import {
+  closeCheckinSession,
+  describeSession,
+  findCampaignVolunteer,
+  getAttendance,
+  getOpenSession,
+  listAttendance,
+  openCheckinSession,
+  recordCheckin,
+  recordManualAttendance,
+  reviewAttendance,
+  syncAttendanceRewards,
+  verifyCheckinToken
+} from './attendance.js'
+import db, { initializeMySQLDatabase, promisePool, testConnection } from './db.js'
+import { DONATION_SOURCES, loadScreeningSettings, screenDonation } from './donation-screening.js'
+import {
+  assertTransition,
+  creditReferrer,
+  lockDonation,
+  refreshRaised,
+  setDonationStatus
+} from './donation-service.js'
+import {
+  DONATION_HISTORY_SQL,
+  addDonorContact,
+  assignDonations,
+  ensureVolunteerDonor,
+  findDuplicateCandidates,
+  getDonorProfile,
+  getLifetimeGiving,
+  linkDonation,
+  linkUnlinkedDonations,
+  mergeDonors,
+  normalizeContact,
+  splitDonor
+} from './donors.js'
+import { createEphemeralStore } from './ephemeral-store.js'
+import {
+  STATEMENT_FORMATS,
+  buildConsolidatedStatement,
+  buildFundStatement,
+  parseStatementPeriod,
+  renderStatementCsv,
+  renderStatementPdf,
+  renderStatementXlsx
+} from './financial-statements.js'
+import {
+  buildGivingStatement,
+  findDonorsWithGiving,
+  parseFiscalYear,
+  renderGivingStatementPdf,
+  saveGivingStatement
+} from './giving-statements.js'
+import {
+  closeRouting,
+  findCampaignsToSchedule,
+  findDueRoutings,
+  findScheduledRouting,
+  getOverflowPolicy,
+  getOverflowState,
+  getRouting,
+  lockScheduledRouting,
+  overrideRouting,
+  parseOverflowPolicy,
+  planTransfers,
+  resolveAllocations,
+  saveOverflowPolicy,
+  scheduleOverflow
+} from './overflow.js'
+import { loadPaymentProviders } from './payment-providers.js'
+import {
+  applyDonationToPledge,
+  checkPledgeLink,
+  claimReminder,
+  completeFinishedPledges,
+  findDueReminders,
+  findPledgesToGenerate,
+  generateInstallmentsForPledge,
+  getPledgeHealth,
+  markMissedInstallments,
+  parsePledgeInput,
+  recordFulfilment,
+  resumePledge,
+  stopPledge,
+  toDateString
+} from './pledges.js'
+import {
+  findActiveReceipt,
+  fiscalYearOf,
+  issueReceipt,
+  loadOrganizationDetails,
+  loadReceiptSettings,
+  reissueReceipt,
+  renderReceiptPdf,
+  voidReceipt
+} from './receipts.js'
+import { createScheduler } from './scheduler.js'
+import {
+  findUnmatchedDonations,
+  getMapping,
+  getMappings,
+  matchStatementLines,
+  parseMapping,
+  readStatement,
+  refreshImportCounts,
+  resolveStatementLine,
+  saveMapping,
+  saveStatementImport
+} from './statements.js'
+import {
+  fillFromWaitlist,
+  getCapacity,
+  joinCampaign,
+  leaveWaitlist,
+  listWaitlist,
+  lockCampaign,
+  removeTeamMember,
+  reorderWaitlist,
+  saveRoleCapacities,
+  setWaitlistSkipped,
+  waitlistPosition
+} from './waitlist.js'
+import {
+  cancelShiftSignup,
+  createShift,
+  deleteShift,
+  getCoverage,
+  getShiftSignupIds,
+  listShifts,
+  listVolunteerShifts,
+  lockShift,
+  signUpForSlot,
+  updateShift
+} from './shifts.js'
+import {
+  applyTemplateToCampaign,
+  cancelInvitation,
+  cloneCampaign,
+  createTemplate,
+  deleteTemplate,
+  getTemplate,
+  getTemplateForWing,
+  listCampaignInvitations,
+  listTemplates,
+  listVolunteerInvitations,
+  respondToInvitation,
+  submitDraft,
+  updateTemplate,
+  withTemplateDefaults
+} from './campaign-templates.js'
+import { buildZip } from './zip.js'
+import {
+  FUND_ACCOUNT_TYPES,
+  getAccountBalance,
+  ledgerError,
+  lockAccount,
+  normalizeAccount,
+  postTransfer,
+  refreshFundCache,
+  withTransaction
+} from './ledger.js'
 import { fileURLToPath } from 'url'
 import { exec } from 'child_process'
 import { promisify } from 'util'
+import webpush from 'web-push'
 
 const execAsync = promisify(exec)
 const __filename = fileURLToPath(import.meta.url);
@@ -38,944 +201,1589 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() })
 })
 
-// Multer setup for avatar uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, path.join(__dirname, 'public', 'avatars'));
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname);
-    cb(null, `avatar_${req.params.id}${ext}`);
-  }
-});
-const upload = multer({ storage });
+// ==================== AUTH API ====================
 
-// Ensure avatars directory exists
-const avatarsDir = path.join(__dirname, 'public', 'avatars');
-if (!fs.existsSync(avatarsDir)) {
-  fs.mkdirSync(avatarsDir, { recursive: true });
+// Token settings - access tokens are short lived, refresh tokens rotate on every use
+const ACCESS_TOKEN_SECRET = process.env.JWT_ACCESS_SECRET || crypto.randomBytes(32).toString('hex')
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || crypto.randomBytes(32).toString('hex')
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60 // seconds
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+if (!process.env.JWT_ACCESS_SECRET || !process.env.JWT_REFRESH_SECRET) {
+  console.warn('[Auth] JWT_ACCESS_SECRET / JWT_REFRESH_SECRET not set - using random secrets, sessions will not survive a restart')
 }
 
-// Initialize MySQL database
-async function startDatabase() {
-  const connected = await testConnection();
-  if (connected) {
-    await initializeMySQLDatabase();
-    console.log('Connected to MySQL database');
-  } else {
-    console.error('Failed to connect to MySQL database. Check your .env credentials.');
-    process.exit(1);
+// Routes that can be called without a token (sign-in, public donation pages, website data)
+const PUBLIC_ROUTES = [
+  ['POST', /^\/api\/volunteers\/register$/],
+  ['POST', /^\/api\/volunteers\/login$/],
+  ['POST', /^\/api\/auth\/refresh$/],
+  ['POST', /^\/api\/auth\/forgot-password$/],
+  ['POST', /^\/api\/auth\/reset-password$/],
+  ['GET', /^\/api\/auth\/password-policy$/],
+  ['GET', /^\/api\/push\/public-key$/],
+  ['*', /^\/api\/public\//],
+  ['GET', /^\/api\/certificates\/validate\/[^/]+$/],
+  ['GET', /^\/api\/organization$/],
+  ['GET', /^\/api\/team-members(\/.*)?$/],
+  ['GET', /^\/api\/donations\/all$/],
+  ['GET', /^\/api\/statistics$/],
+  ['GET', /^\/api\/org-structure$/]
+]
+
+const isPublicRoute = (req) => {
+  const requestPath = req.originalUrl.split('?')[0]
+  return PUBLIC_ROUTES.some(([method, pattern]) =>
+    (method === '*' || method === req.method) && pattern.test(requestPath)
+  )
+}
+
+const signAccessToken = (volunteerId, sessionId) =>
+  jwt.sign({ sub: String(volunteerId), sid: sessionId, typ: 'access' }, ACCESS_TOKEN_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+
+const signRefreshToken = (volunteerId, sessionId, jti) =>
+  jwt.sign({ sub: String(volunteerId), sid: sessionId, typ: 'refresh' }, REFRESH_TOKEN_SECRET, { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`, jwtid: jti })
+
+const buildTokenResponse = (volunteerId, sessionId, jti) => ({
+  accessToken: signAccessToken(volunteerId, sessionId),
+  refreshToken: signRefreshToken(volunteerId, sessionId, jti),
+  tokenType: 'Bearer',
+  expiresIn: ACCESS_TOKEN_TTL
+})
+
+// Helper to open a new session (one per device) and sign its token pair
+const createAuthSession = (volunteerId, req) => {
+  return new Promise((resolve, reject) => {
+    const jti = crypto.randomUUID()
+    db.run(`
+      INSERT INTO auth_sessions (volunteer_id, refresh_jti, user_agent, ip_address, expires_at, last_used_at)
+      VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())
+    `, [volunteerId, jti, (req.get('user-agent') || '').slice(0, 255), req.ip, REFRESH_TOKEN_TTL_DAYS], function(err) {
+      if (err) return reject(err)
+      resolve(buildTokenResponse(volunteerId, this.lastID, jti))
+    })
+  })
+}
+
+// Password hashing - scrypt with a per-password salt, stored as scrypt$N$r$p$salt$hash
+const scryptAsync = promisify(crypto.scrypt)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+const SCRYPT_KEYLEN = 64
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: false,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false
+}
+
+const hashPassword = async (password) => {
+  const { N, r, p } = SCRYPT_PARAMS
+  const salt = crypto.randomBytes(16)
+  const derived = await scryptAsync(password, salt, SCRYPT_KEYLEN, { N, r, p })
+  return `scrypt$${N}$${r}$${p}$${salt.toString('hex')}$${derived.toString('hex')}`
+}
+
+// Check a password against a stored hash. Accounts created before scrypt still hold a bare
+// SHA-256 hex digest; those verify here and are flagged so login can rehash them.
+const verifyPassword = async (password, stored) => {
+  if (!password || !stored) return { valid: false, needsRehash: false }
+
+  if (!stored.startsWith('scrypt$')) {
+    const legacy = crypto.createHash('sha256').update(password).digest('hex')
+    const valid = legacy.length === stored.length &&
+      crypto.timingSafeEqual(Buffer.from(legacy), Buffer.from(stored))
+    return { valid, needsRehash: valid }
   }
+
+  const [, N, r, p, saltHex, hashHex] = stored.split('$')
+  const expected = Buffer.from(hashHex, 'hex')
+  const derived = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length, {
+    N: parseInt(N), r: parseInt(r), p: parseInt(p)
+  })
+  const valid = crypto.timingSafeEqual(derived, expected)
+  const needsRehash = valid && (parseInt(N) !== SCRYPT_PARAMS.N || parseInt(r) !== SCRYPT_PARAMS.r || parseInt(p) !== SCRYPT_PARAMS.p)
+  return { valid, needsRehash }
 }
-startDatabase();
 
-// Utility: add column if missing (MySQL version - columns are created in db.js)
-function addColumnIfNotExists(table, column, type, defaultValue = null) {
-  // MySQL handles this in db.js initialization
-  // This function is kept for backward compatibility but does nothing
+// Helper to read the password policy from organization_settings (falls back to defaults)
+const getPasswordPolicy = () => {
+  return new Promise((resolve) => {
+    db.get('SELECT password_policy FROM organization_settings LIMIT 1', [], (err, row) => {
+      if (err || !row || !row.password_policy) return resolve({ ...DEFAULT_PASSWORD_POLICY })
+      try {
+        resolve({ ...DEFAULT_PASSWORD_POLICY, ...JSON.parse(row.password_policy) })
+      } catch (e) {
+        resolve({ ...DEFAULT_PASSWORD_POLICY })
+      }
+    })
+  })
 }
 
-// Utility: keep volunteers_joined in sync with campaign_team
-function syncCampaignJoined(campaignId) {
-  db.get('SELECT COUNT(*) AS count FROM campaign_team WHERE campaign_id = ?', [campaignId], (err, row) => {
-    if (err) {
-      console.error('[Campaign Sync] Failed to count team members:', err)
-      return
-    }
-    const count = row?.count || 0
-    db.run('UPDATE campaigns SET volunteers_joined = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [count, campaignId], (updateErr) => {
-      if (updateErr) {
-        console.error('[Campaign Sync] Failed to update volunteers_joined:', updateErr)
+// Returns the list of policy rules the password breaks (empty when it is acceptable)
+const checkPasswordPolicy = (password, policy) => {
+  const problems = []
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`)
+  }
+  if (typeof password !== 'string') return problems
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) problems.push('Password must contain an uppercase letter')
+  if (policy.requireLowercase && !/[a-z]/.test(password)) problems.push('Password must contain a lowercase letter')
+  if (policy.requireNumber && !/[0-9]/.test(password)) problems.push('Password must contain a number')
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) problems.push('Password must contain a symbol')
+  return problems
+}
+
+// Helper to store a new password hash for a volunteer
+const setVolunteerPassword = async (volunteerId, password) => {
+  const hashed = await hashPassword(password)
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE volunteers SET password = ?, password_changed_at = NOW() WHERE id = ?',
+      [hashed, volunteerId],
+      function(err) {
+        if (err) reject(err)
+        else resolve(this.changes)
       }
+    )
+  })
+}
+
+// Hand a reset token to the volunteer. There is no mail transport configured yet. The link is a
+// live credential, so it is only logged outside production (where forgot-password also returns
+// the token); in production only the request is recorded. Swap this out once outgoing email is available.
+const deliverPasswordReset = (volunteer, token) => {
+  if (process.env.NODE_ENV === 'production') {
+    console.log(`[Auth] Password reset requested for volunteer ${volunteer.id}`)
+    return
+  }
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${token}`
+  console.log(`[Auth] Password reset requested for volunteer ${volunteer.id}: ${resetUrl}`)
+}
+
+// Resolve the acting volunteer from the Authorization header for every non-public /api route.
+// Handlers read the caller from req.volunteer instead of trusting IDs sent in the body or query.
+function authenticate(req, res, next) {
+  if (isPublicRoute(req)) return next()
+
+  let [scheme, token] = (req.get('authorization') || '').split(' ')
+  if (!token && req.originalUrl.split('?')[0] === '/api/events/stream' && req.query.access_token) {
+    scheme = 'Bearer'
+    token = req.query.access_token
+  }
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required', code: 'auth_required' })
+  }
+
+  let payload
+  try {
+    payload = jwt.verify(token, ACCESS_TOKEN_SECRET)
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError'
+    return res.status(401).json({
+      error: expired ? 'Access token expired' : 'Invalid access token',
+      code: expired ? 'token_expired' : 'invalid_token'
     })
+  }
+  if (payload.typ !== 'access') {
+    return res.status(401).json({ error: 'Invalid access token', code: 'invalid_token' })
+  }
+
+  db.get(`
+    SELECT v.id, v.full_name, v.email, v.position, v.avatar, v.digital_id, v.status
+    FROM auth_sessions s
+    JOIN volunteers v ON v.id = s.volunteer_id
+    WHERE s.id = ? AND s.volunteer_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `, [payload.sid, payload.sub], (err, volunteer) => {
+    if (err) return res.status(500).json({ error: err.message })
+    if (!volunteer) {
+      return res.status(401).json({ error: 'Session has been signed out', code: 'session_revoked' })
+    }
+    req.volunteer = volunteer
+    req.sessionId = payload.sid
+    next()
   })
 }
 
-// Initialize database - handled by db.js for MySQL
-function initializeDatabase() {
-  // All tables are created in db.js with proper MySQL syntax
-  console.log('[DB] Using MySQL - tables initialized via db.js')
+app.use('/api', authenticate)
+
+// Routes that still carry the caller's own id in the path (for existing clients) only act on
+// that volunteer when it is the signed-in one
+function requireSelf(param) {
+  return (req, res, next) => {
+    if (parseInt(req.params[param]) !== req.volunteer.id) {
+      return res.status(403).json({ error: 'You can only do this for your own account' })
+    }
+    next()
+  }
 }
 
-// Routes
-app.get('/api/team-members', (req, res) => {
-  db.all('SELECT * FROM team_members ORDER BY category DESC, id', (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
+// Exchange a refresh token for a new token pair (the refresh token is rotated)
+app.post('/api/auth/refresh', (req, res) => {
+  const { refreshToken } = req.body
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'refreshToken is required' })
+  }
+
+  let payload
+  try {
+    payload = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET)
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'invalid_refresh_token' })
+  }
+  if (payload.typ !== 'refresh') {
+    return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'invalid_refresh_token' })
+  }
+
+  db.get(`
+    SELECT * FROM auth_sessions
+    WHERE id = ? AND volunteer_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+  `, [payload.sid, payload.sub], (err, session) => {
+    if (err) return res.status(500).json({ error: err.message })
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been signed out', code: 'session_revoked' })
     }
-    res.json(rows)
-  })
-})
 
-app.get('/api/team-members/:id', (req, res) => {
-  const { id } = req.params
-  db.get('SELECT * FROM team_members WHERE id = ?', [id], (err, row) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
+    // An already-rotated refresh token is being replayed - treat the session as compromised
+    if (session.refresh_jti !== payload.jti) {
+      db.run('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = ?', [session.id])
+      return res.status(401).json({ error: 'Refresh token reuse detected, please sign in again', code: 'refresh_token_reused' })
     }
-    res.json(row)
+
+    const jti = crypto.randomUUID()
+    db.run(
+      'UPDATE auth_sessions SET refresh_jti = ?, last_used_at = NOW() WHERE id = ? AND refresh_jti = ?',
+      [jti, session.id, payload.jti],
+      function(updateErr) {
+        if (updateErr) return res.status(500).json({ error: updateErr.message })
+        if (this.changes === 0) {
+          return res.status(401).json({ error: 'Refresh token reuse detected, please sign in again', code: 'refresh_token_reused' })
+        }
+        res.json(buildTokenResponse(session.volunteer_id, session.id, jti))
+      }
+    )
   })
 })
 
-app.get('/api/team-members/category/:category', (req, res) => {
-  const { category } = req.params
-  db.all('SELECT * FROM team_members WHERE category = ? ORDER BY id', [category], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
-    }
-    res.json(rows)
+// Get the signed-in volunteer
+app.get('/api/auth/me', (req, res) => {
+  res.json({ ...req.volunteer, sessionId: req.sessionId })
+})
+
+// List active sessions (devices) for the signed-in volunteer
+app.get('/api/auth/sessions', (req, res) => {
+  db.all(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM auth_sessions
+    WHERE volunteer_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [req.volunteer.id], (err, sessions) => {
+    if (err) return res.status(500).json({ error: err.message })
+    res.json((sessions || []).map(s => ({ ...s, current: s.id === req.sessionId })))
   })
 })
 
-app.post('/api/team-members', (req, res) => {
-  const { name, position, specialty, category } = req.body
-  const stmt = db.prepare(`
-    INSERT INTO team_members (name, position, specialty, category)
-    VALUES (?, ?, ?, ?)
-  `)
-  stmt.run(name, position, specialty, category, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
+// Sign out the current device
+app.post('/api/auth/logout', (req, res) => {
+  db.run(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [req.sessionId],
+    function(err) {
+      if (err) return res.status(500).json({ error: err.message })
+      res.json({ success: true })
     }
-    res.json({ id: this.lastID, name, position, specialty, category })
+  )
+})
+
+// Sign out all devices (optionally keeping the current one)
+app.post('/api/auth/logout-all', (req, res) => {
+  const { keepCurrent } = req.body
+
+  let query = 'UPDATE auth_sessions SET revoked_at = NOW() WHERE volunteer_id = ? AND revoked_at IS NULL'
+  const params = [req.volunteer.id]
+  if (keepCurrent) {
+    query += ' AND id != ?'
+    params.push(req.sessionId)
+  }
+
+  db.run(query, params, function(err) {
+    if (err) return res.status(500).json({ error: err.message })
+
+    db.run(`
+      INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, ['sessions_revoked', 'Signed out of all devices', req.volunteer.id, req.volunteer.id, 'volunteer', JSON.stringify({ revoked: this.changes, keepCurrent: !!keepCurrent })])
+
+    res.json({ success: true, revoked: this.changes })
   })
-  stmt.finalize()
 })
 
-// Volunteer registration endpoint
-app.post('/api/volunteers/register', (req, res) => {
-  const { fullName, email, password, phone, age, address, wing, availability, avatar } = req.body
+// Get the password policy (shown on registration / change-password forms)
+app.get('/api/auth/password-policy', async (req, res) => {
+  res.json(await getPasswordPolicy())
+})
 
-  // Hash password (simple hash for demo, use bcrypt in production)
-  const hashedPassword = crypto
-    .createHash('sha256')
-    .update(password)
-    .digest('hex')
+// Update the password policy
+app.put('/api/auth/password-policy', async (req, res) => {
+  const { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol } = req.body
 
-  // Generate digital ID: UYHO-YYYY-SEQUENCE
-  const year = new Date().getFullYear()
-  db.get('SELECT COUNT(*) as count FROM volunteers', (err, row) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
+  if (minLength !== undefined && (!Number.isInteger(minLength) || minLength < 6 || minLength > 128)) {
+    return res.status(400).json({ error: 'minLength must be a whole number between 6 and 128' })
+  }
+
+  try {
+    const current = await getPasswordPolicy()
+    const policy = {
+      minLength: minLength ?? current.minLength,
+      requireUppercase: requireUppercase ?? current.requireUppercase,
+      requireLowercase: requireLowercase ?? current.requireLowercase,
+      requireNumber: requireNumber ?? current.requireNumber,
+      requireSymbol: requireSymbol ?? current.requireSymbol
+    }
+    for (const key of ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol']) {
+      policy[key] = !!policy[key]
     }
 
-    const sequenceNumber = String(row.count + 1).padStart(3, '0')
-    const digitalId = `UYHO-${year}-${sequenceNumber}`
+    db.run(
+      'UPDATE organization_settings SET password_policy = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+      [JSON.stringify(policy)],
+      function(err) {
+        if (err) return res.status(500).json({ error: err.message })
 
-    const stmt = db.prepare(`
-      INSERT INTO volunteers (full_name, email, password, phone, age, address, wing, avatar, position, lives_impacted, teams_led, hours_given, availability, digital_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Volunteer', 0, 0, 0, ?, ?)
-    `)
+        db.run(`
+          INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, ['password_policy_updated', 'Updated password policy', req.volunteer.id, 1, 'organization', JSON.stringify(policy)])
 
-    stmt.run(
-      fullName,
-      email,
-      hashedPassword,
-      phone,
-      age,
-      address,
-      wing,
-      avatar || '',
-      JSON.stringify(availability),
-      digitalId,
-      function(err) {
-        if (err) {
-          if (err.message.includes('UNIQUE constraint failed')) {
-            res.status(400).json({ error: 'Email already registered' })
-          } else {
-            res.status(500).json({ error: err.message })
-          }
-          return
-        }
-        const volunteerId = this.lastID
-        
-        // Add \"joined\" activity
-        db.run(
-          'INSERT INTO activities (volunteer_id, activity_type, description) VALUES (?, ?, ?)',
-          [volunteerId, 'joined', 'Joined UYHO as a volunteer'],
-          (actErr) => {
-            if (actErr) console.error('Failed to create join activity:', actErr)
-          }
-        )
-        
-        res.json({
-          id: volunteerId,
-          fullName,
-          email,
-          digitalId,
-          message: 'Registration successful! Your volunteer ID is ' + digitalId
-        })
+        res.json(policy)
       }
     )
-    stmt.finalize()
-  })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
 })
 
-// Volunteer login endpoint
-app.post('/api/volunteers/login', (req, res) => {
-  const { email, password } = req.body
-
-  const hashedPassword = crypto
-    .createHash('sha256')
-    .update(password)
-    .digest('hex')
+// Change password (signs out the volunteer's other devices)
+app.post('/api/auth/change-password', async (req, res) => {
+  const { currentPassword, newPassword } = req.body
 
-  db.get(
-    'SELECT * FROM volunteers WHERE email = ? AND password = ?',
-    [email, hashedPassword],
-    (err, row) => {
-      if (err) {
-        res.status(500).json({ error: err.message })
-        return
-      }
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'currentPassword and newPassword are required' })
+  }
 
-      if (!row) {
-        res.status(401).json({ error: 'Invalid email or password' })
-        return
-      }
+  try {
+    const row = await new Promise((resolve, reject) => {
+      db.get('SELECT id, password FROM volunteers WHERE id = ?', [req.volunteer.id], (err, r) => {
+        if (err) reject(err)
+        else resolve(r)
+      })
+    })
+    if (!row) return res.status(404).json({ error: 'Volunteer not found' })
 
-      // Don't send password back
-      const { password: _, ...volunteer } = row
-      const availabilityParsed = {
-        ...volunteer,
-        availability: JSON.parse(volunteer.availability || '[]')
-      }
+    const { valid } = await verifyPassword(currentPassword, row.password)
+    if (!valid) return res.status(400).json({ error: 'Current password is incorrect' })
 
-      res.json(availabilityParsed)
+    const problems = checkPasswordPolicy(newPassword, await getPasswordPolicy())
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], problems })
     }
-  )
+
+    await setVolunteerPassword(row.id, newPassword)
+    db.run(
+      'UPDATE auth_sessions SET revoked_at = NOW() WHERE volunteer_id = ? AND id != ? AND revoked_at IS NULL',
+      [row.id, req.sessionId]
+    )
+
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
 })
 
-// Get all volunteers
-app.get('/api/volunteers/all', (req, res) => {
-  db.all(`
-    SELECT id, full_name, email, phone, wing, position, avatar, digital_id, status, points, hours_given, lives_impacted
-    FROM volunteers
-    ORDER BY full_name
-  `, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json(rows || []);
-  });
-});
+// Request a password reset link (always answers the same way so emails can't be probed)
+app.post('/api/auth/forgot-password', (req, res) => {
+  const { email } = req.body
+  const response = { success: true, message: 'If that email is registered, a reset link has been sent' }
 
-// Get volunteer directory (for campaign team selection) - MUST be before /:id route
-app.get('/api/volunteers/directory', (req, res) => {
-  db.all(`
-    SELECT id, full_name, wing, position, avatar, digital_id, status
-    FROM volunteers
-    WHERE status = 'Active'
-    ORDER BY full_name
-  `, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json(rows || []);
-  });
-});
+  if (!email) {
+    return res.status(400).json({ error: 'email is required' })
+  }
 
-// Get volunteer profile
-app.get('/api/volunteers/:id', (req, res) => {
-  const { id } = req.params
-  db.get('SELECT * FROM volunteers WHERE id = ?', [id], (err, row) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
-    }
-    if (!row) {
-      res.status(404).json({ error: 'Volunteer not found' })
-      return
-    }
-    const { password: _, ...volunteer } = row
-    const availabilityParsed = {
-      ...volunteer,
-      availability: JSON.parse(volunteer.availability || '[]')
-    }
-    
-    // Check if position is a central executive role
-    db.get(`
-      SELECT title, category 
-      FROM organization_roles 
-      WHERE LOWER(title) = LOWER(?)
-    `, [row.position], (roleErr, roleRow) => {
-      // Get wing memberships with parent wing info
-      db.all(`
-        SELECT wm.role as wing_role, wm.is_parent, w.id as wing_id, w.name as wing_name
-        FROM wing_members wm
-        JOIN wings w ON wm.wing_id = w.id
-        WHERE wm.volunteer_id = ? AND w.approval_status = 'approved'
-        ORDER BY wm.is_parent DESC, wm.joined_at ASC
-      `, [id], (wingErr, wingRows) => {
-        const isExecutive = roleRow?.category === 'executive';
-        // Find parent wing (either is_parent=1 or first joined wing)
-        const parentWing = wingRows?.find(w => w.is_parent === 1) || wingRows?.[0] || null;
-        res.json({
-          ...availabilityParsed,
-          central_role: isExecutive ? roleRow?.title : null,
-          central_category: isExecutive ? roleRow?.category : null,
-          wings: wingRows || [],
-          parent_wing: parentWing
-        })
-      })
+  db.get('SELECT id, email, full_name FROM volunteers WHERE email = ?', [email], (err, volunteer) => {
+    if (err) return res.status(500).json({ error: err.message })
+    if (!volunteer) return res.json(response)
+
+    const token = crypto.randomBytes(32).toString('hex')
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex')
+
+    db.run(`
+      INSERT INTO password_reset_tokens (volunteer_id, token_hash, expires_at, requested_ip)
+      VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)
+    `, [volunteer.id, tokenHash, PASSWORD_RESET_TTL_MINUTES, req.ip], function(insertErr) {
+      if (insertErr) return res.status(500).json({ error: insertErr.message })
+
+      deliverPasswordReset(volunteer, token)
+
+      // Expose the token outside production so the flow can be exercised without email
+      if (process.env.NODE_ENV !== 'production') {
+        return res.json({ ...response, resetToken: token })
+      }
+      res.json(response)
     })
   })
 })
 
-// Get volunteer by email
-app.get('/api/volunteers/email/:email', (req, res) => {
-  const { email } = req.params
-  db.get('SELECT * FROM volunteers WHERE email = ?', [email], (err, row) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
+// Reset password with a token from forgot-password (signs out every device)
+app.post('/api/auth/reset-password', async (req, res) => {
+  const { token, newPassword } = req.body
+
+  if (!token || !newPassword) {
+    return res.status(400).json({ error: 'token and newPassword are required' })
+  }
+
+  try {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex')
+    const resetRow = await new Promise((resolve, reject) => {
+      db.get(`
+        SELECT * FROM password_reset_tokens
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+      `, [tokenHash], (err, r) => {
+        if (err) reject(err)
+        else resolve(r)
+      })
+    })
+    if (!resetRow) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' })
     }
-    if (!row) {
-      res.status(404).json({ error: 'Volunteer not found' })
-      return
+
+    const problems = checkPasswordPolicy(newPassword, await getPasswordPolicy())
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], problems })
     }
-    const { password: _, ...volunteer } = row
-    const availabilityParsed = {
-      ...volunteer,
-      availability: JSON.parse(volunteer.availability || '[]')
+
+    // Claim the token first so it can only be used once
+    const claimed = await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [resetRow.id],
+        function(err) {
+          if (err) reject(err)
+          else resolve(this.changes)
+        }
+      )
+    })
+    if (!claimed) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' })
     }
-    res.json(availabilityParsed)
-  })
-})
 
-// Get volunteer activities
-app.get('/api/volunteers/:id/activities', (req, res) => {
-  const { id } = req.params
-  const { limit } = req.query
-  
-  let query = 'SELECT * FROM activities WHERE volunteer_id = ? ORDER BY created_at DESC'
-  const params = [id]
-  
-  if (limit) {
-    query += ' LIMIT ?'
-    params.push(parseInt(limit))
+    await setVolunteerPassword(resetRow.volunteer_id, newPassword)
+    db.run('UPDATE auth_sessions SET revoked_at = NOW() WHERE volunteer_id = ? AND revoked_at IS NULL', [resetRow.volunteer_id])
+    db.run('UPDATE password_reset_tokens SET used_at = NOW() WHERE volunteer_id = ? AND used_at IS NULL', [resetRow.volunteer_id])
+
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
   }
-  
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
-    }
-    res.json(rows || [])
-  })
 })
 
-// Get volunteer's most recent joined campaign
-app.get('/api/volunteers/:id/recent-campaign', (req, res) => {
-  const { id } = req.params
-  
-  db.get(`
-    SELECT c.*, ct.role, ct.hours, ct.respect, ct.approval_status,
-           v.full_name as host_name, v.avatar as host_avatar
-    FROM campaign_team ct
-    JOIN campaigns c ON ct.campaign_id = c.id
-    LEFT JOIN volunteers v ON c.host_id = v.id
-    WHERE ct.volunteer_id = ? AND c.approval_status = 'approved'
-    ORDER BY ct.created_at DESC
-    LIMIT 1
-  `, [id], (err, campaign) => {
-    if (err) {
-      res.status(500).json({ error: err.message })
-      return
-    }
-    if (!campaign) {
-      res.status(404).json({ error: 'No recent campaign found' })
-      return
-    }
-    res.json(campaign)
+// ==================== END AUTH API ====================
+
+// ==================== PERMISSIONS ====================
+
+// Route -> permission registry. Every privileged route is listed under the permission key that
+// unlocks it; routes not listed here only need a signed-in volunteer. Keys are what admins
+// toggle in access_settings.permissions.
+const PERMISSION_REGISTRY = [
+  {
+    key: 'donations.review',
+    label: 'Review donations',
+    description: 'Approve, reject and verify campaign, wing and direct aid donations, review flagged ones and reconcile them against bank and wallet statements',
+    routes: [
+      'GET /api/donations/pending',
+      'GET /api/donations/queue',
+      'GET /api/donations/flagged',
+      'POST /api/donations/flags/:id/review',
+      'POST /api/donations/:id/approve',
+      'POST /api/donations/:id/reject',
+      'POST /api/donations/:id/verify',
+      'POST /api/donations/:source/:id/approve',
+      'POST /api/donations/:source/:id/reject',
+      'GET /api/direct-aid-donations/pending',
+      'POST /api/direct-aid-donations/:id/approve',
+      'POST /api/direct-aid-donations/:id/reject',
+      'PUT /api/wing-donations/:id/status',
+      'PUT /api/wings/:wingId/donations/:donationId/status',
+      'GET /api/statement-mappings',
+      'PUT /api/statement-mappings/:provider',
+      'POST /api/statement-imports',
+      'GET /api/statement-imports',
+      'GET /api/statement-imports/:id',
+      'POST /api/statement-imports/:id/lines/:lineId/resolve'
+    ]
+  },
+  {
+    key: 'pledges.manage',
+    label: 'Manage pledges',
+    description: 'See every pledge and its health, record payments, waive installments and pass on reminders to donors without an account',
+    routes: [
+      'GET /api/pledges',
+      'GET /api/pledges/health',
+      'GET /api/pledges/health/:targetType/:targetId',
+      'POST /api/pledges/run-cycle',
+      'POST /api/pledges/:id/installments/:installmentId/fulfilments',
+      'POST /api/pledges/:id/installments/:installmentId/waive',
+      'GET /api/pledges/reminders/offline',
+      'POST /api/pledges/:id/installments/:installmentId/reminded'
+    ]
+  },
+  {
+    key: 'receipts.manage',
+    label: 'Manage receipts',
+    description: 'List, issue, reissue and void donation receipts',
+    routes: [
+      'GET /api/receipts',
+      'POST /api/receipts',
+      'GET /api/receipts/:id',
+      'GET /api/receipts/:id/pdf',
+      'POST /api/receipts/:id/reissue',
+      'POST /api/receipts/:id/void'
+    ]
+  },
+  {
+    key: 'donors.manage',
+    label: 'Manage donors',
+    description: 'See donor records and giving history, link donations, merge or split donors and generate annual giving statements',
+    routes: [
+      'GET /api/donors',
+      'GET /api/donors/duplicates',
+      'POST /api/donors/link-donations',
+      'GET /api/donors/:id',
+      'PUT /api/donors/:id',
+      'POST /api/donors/:id/merge',
+      'POST /api/donors/:id/split',
+      'POST /api/donors/:id/donations',
+      'GET /api/donors/:id/giving-statement',
+      'POST /api/giving-statements/batch',
+      'GET /api/giving-statements',
+      'GET /api/giving-statements/archive'
+    ]
+  },
+  {
+    key: 'volunteers.manage',
+    label: 'Manage volunteers',
+    description: "Edit other volunteers' profiles and set positions, points and hours",
+    // PUT /api/volunteers/:id and the avatar/parent-wing routes check this themselves, since volunteers
+    // edit their own profile there
+    routes: []
+  },
+  {
+    key: 'campaigns.review',
+    label: 'Review campaigns',
+    description: 'Approve, decline and delete campaigns',
+    routes: [
+      'GET /api/campaigns/pending',
+      'POST /api/campaigns/:id/approve',
+      'POST /api/campaigns/:id/decline',
+      'DELETE /api/campaigns/:id'
+    ]
+  },
+  {
+    key: 'campaigns.templates',
+    label: 'Manage campaign templates',
+    description: 'Create, edit and delete organisation-wide campaign templates and those of any wing',
+    // The template routes check this themselves, since wing admins manage their own wing's templates there
+    routes: []
+  },
+  {
+    key: 'wings.review',
+    label: 'Review wings',
+    description: 'Approve, decline and delete wings',
+    routes: [
+      'GET /api/wings/pending',
+      'POST /api/wings/:id/approve',
+      'POST /api/wings/:id/decline',
+      'DELETE /api/wings/:id'
+    ]
+  },
+  {
+    key: 'wings.members',
+    label: 'Manage wing members',
+    description: 'Add and remove members of any wing and change their roles',
+    // The member routes check this themselves, since a wing's admins manage its own members
+    routes: []
+  },
+  {
+    key: 'courses.review',
+    label: 'Review courses',
+    description: 'Approve or decline submitted courses',
+    routes: [
+      'GET /api/courses/requests/pending',
+      'PUT /api/courses/:id/approve',
+      'PUT /api/courses/:id/decline'
+    ]
+  },
+  {
+    key: 'courses.teach',
+    label: 'Teach courses',
+    description: 'Answer learner questions on courses',
+    routes: [
+      'PUT /api/courses/questions/:questionId/answer'
+    ]
+  },
+  {
+    key: 'directAids.review',
+    label: 'Review direct aid requests',
+    description: 'Approve or reject direct aid requests',
+    routes: [
+      'GET /api/direct-aids/admin/pending',
+      'POST /api/direct-aids/:id/approve',
+      'POST /api/direct-aids/:id/reject'
+    ]
+  },
+  {
+    key: 'badges.manage',
+    label: 'Manage badges',
+    description: 'Create, edit, award and revoke badges',
+    routes: [
+      'POST /api/badges',
+      'PUT /api/badges/:id',
+      'DELETE /api/badges/:id',
+      'POST /api/badges/:badgeId/award',
+      'DELETE /api/badges/:badgeId/revoke/:volunteerId'
+    ]
+  },
+  {
+    key: 'funds.manage',
+    label: 'Manage funds',
+    description: 'Deposit into and transfer between Ummah funds, reconcile the ledger, set expense approval chains and budgets, and oversee campaign overflow routing',
+    routes: [
+      'POST /api/ummah-funds/transfer',
+      'POST /api/ummah-funds/deposit',
+      'GET /api/ledger/reconcile',
+      'POST /api/ledger/reconcile/adjust',
+      'PUT /api/expense-approval-chains/:entityType',
+      'PUT /api/expense-budgets/:type/:entityId',
+      'DELETE /api/expense-budgets/:type/:entityId/:category',
+      'GET /api/overflow-routings',
+      'POST /api/overflow-routings/run-cycle'
+    ]
+  },
+  {
+    key: 'funds.reverse',
+    label: 'Reverse fund transactions',
+    description: 'Request, approve and reject reversals of transfers, deposits and expenses',
+    routes: [
+      'GET /api/ummah-funds/reversals',
+      'POST /api/ummah-funds/transactions/:id/reversals',
+      'POST /api/ummah-funds/reversals/:id/approve',
+      'POST /api/ummah-funds/reversals/:id/reject'
+    ]
+  },
+  {
+    key: 'expenses.approve',
+    label: 'Approve expenses',
+    description: 'Sign expense approval steps that require this permission (the default single-step chain does)',
+    // PUT /api/expenses/:id/status checks the signer of each step itself
+    routes: []
+  },
+  {
+    key: 'announcements.manage',
+    label: 'Manage announcements',
+    description: 'Publish, edit and remove announcements',
+    routes: [
+      'POST /api/announcements',
+      'PUT /api/announcements/:id',
+      'DELETE /api/announcements/:id'
+    ]
+  },
+  {
+    key: 'notifications.broadcast',
+    label: 'Broadcast notifications',
+    description: 'Send bulk and push notifications, archive old notifications',
+    routes: [
+      'POST /api/notifications/bulk',
+      'POST /api/notifications/archive-old',
+      'POST /api/push/send'
+    ]
+  },
+  {
+    key: 'organization.manage',
+    label: 'Manage organization',
+    description: 'Edit organization settings, roles, team members and the password policy',
+    routes: [
+      'PUT /api/organization',
+      'POST /api/organization/social-link',
+      'POST /api/roles',
+      'PUT /api/roles/:id',
+      'DELETE /api/roles/:id',
+      'POST /api/team-members',
+      'PUT /api/auth/password-policy',
+      'POST /api/migrate-activities'
+    ]
+  },
+  {
+    key: 'jobs.manage',
+    label: 'Manage background jobs',
+    description: 'See background jobs and their run history, run them now, pause them or change how often they run',
+    routes: [
+      'GET /api/jobs',
+      'GET /api/jobs/runs',
+      'GET /api/jobs/:name/runs',
+      'POST /api/jobs/:name/run',
+      'PUT /api/jobs/:name'
+    ]
+  },
+  {
+    key: 'access.manage',
+    label: 'Manage access',
+    description: 'Grant permissions, edit button access and read the access log',
+    routes: [
+      'GET /api/access-settings/all',
+      'POST /api/access-settings',
+      'DELETE /api/access-settings',
+      'POST /api/button-access',
+      'GET /api/access-logs',
+      'GET /api/access-settings/explain/:userId',
+      'PUT /api/access-settings/overrides/:userId',
+      'POST /api/permission-templates',
+      'PUT /api/permission-templates/:id',
+      'DELETE /api/permission-templates/:id'
+    ]
+  }
+]
+
+// Volunteers listed here bypass permission checks (needed to hand out the first permissions)
+const SUPER_ADMIN_IDS = (process.env.SUPER_ADMIN_IDS || '')
+  .split(',')
+  .map(id => parseInt(id.trim()))
+  .filter(id => !isNaN(id))
+
+// Pre-compile 'METHOD /path/:param' strings into matchers. They match the way the router does:
+// paths are case-insensitive and a HEAD request runs the GET handler.
+const compiledPermissionRoutes = PERMISSION_REGISTRY.flatMap(entry =>
+  entry.routes.map(route => {
+    const [method, routePath] = route.split(' ')
+    const pattern = new RegExp('^' + routePath.replace(/:[^/]+/g, '[^/]+') + '/?$', 'i')
+    return { method, pattern, key: entry.key }
   })
-})
+)
 
-// ========== ALLIES API ENDPOINTS ==========
+const findRoutePermission = (method, requestPath) => {
+  const routeMethod = method === 'HEAD' ? 'GET' : method
+  const match = compiledPermissionRoutes.find(r => r.method === routeMethod && r.pattern.test(requestPath))
+  return match ? match.key : null
+}
 
-// Add an ally
-app.post('/api/allies', (req, res) => {
-  const { volunteerId, allyId } = req.body
-  
-  if (!volunteerId || !allyId) {
-    return res.status(400).json({ error: 'volunteerId and allyId are required' })
+const parseJsonField = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback
+  } catch (e) {
+    return fallback
   }
-  
-  if (volunteerId === allyId) {
-    return res.status(400).json({ error: 'Cannot add yourself as an ally' })
+}
+
+const parsePermissionTemplate = (row) => ({
+  ...row,
+  permissions: parseJsonField(row.permissions, {}),
+  positions: parseJsonField(row.positions, []),
+  wing_roles: parseJsonField(row.wing_roles, []),
+  org_role_ids: parseJsonField(row.org_role_ids, [])
+})
+
+const queryAll = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err)
+      else resolve(rows || [])
+    })
+  })
+}
+
+// Work out where each of a volunteer's permissions comes from:
+//   1. templates matched by volunteers.position or an organization role title
+//   2. access_settings rows (any true value wins)
+//   3. the per-user 'override' access_settings row, applied last so it can also revoke
+// Templates matched only by a wing_members.role grant their keys inside that wing alone (wingPermissions)
+const explainPermissions = async (volunteerId) => {
+  const [volunteerRows, wingRows, settingRows, templateRows] = await Promise.all([
+    queryAll('SELECT id, position FROM volunteers WHERE id = ?', [volunteerId]),
+    queryAll(`
+      SELECT wm.wing_id, wm.role, w.name as wing_name
+      FROM wing_members wm
+      JOIN wings w ON wm.wing_id = w.id
+      WHERE wm.volunteer_id = ? AND w.approval_status = 'approved'
+    `, [volunteerId]),
+    queryAll('SELECT id, role_type, role_id, permissions FROM access_settings WHERE user_id = ?', [volunteerId]),
+    queryAll('SELECT * FROM permission_templates ORDER BY name')
+  ])
+
+  const position = ((volunteerRows[0] && volunteerRows[0].position) || '').trim().toLowerCase()
+  const templates = templateRows.map(parsePermissionTemplate)
+
+  const orgRoleIds = [...new Set(templates.flatMap(t => t.org_role_ids))]
+  const orgRoles = orgRoleIds.length > 0
+    ? await queryAll(`SELECT id, title FROM organization_roles WHERE id IN (${orgRoleIds.map(() => '?').join(',')})`, orgRoleIds)
+    : []
+
+  const permissions = {}
+  const wingPermissions = {}
+  const sources = {}
+  const grant = (key, source, wingId = null) => {
+    if (wingId) {
+      if (!wingPermissions[wingId]) wingPermissions[wingId] = {}
+      wingPermissions[wingId][key] = true
+    } else {
+      permissions[key] = true
+    }
+    if (!sources[key]) sources[key] = []
+    sources[key].push(source)
   }
-  
-  db.run(
-    'INSERT OR IGNORE INTO allies (volunteer_id, ally_id) VALUES (?, ?)',
-    [volunteerId, allyId],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      
-      // Notify the person being added as ally
-      if (this.lastID) {
-        db.get('SELECT full_name, avatar FROM volunteers WHERE id = ?', [volunteerId], (err, actor) => {
-          if (!err && actor) {
-            createNotification(allyId, 'ally_added',
-              `${actor.full_name} added you as an ally!`, {
-                data: { userId: parseInt(volunteerId) },
-                actorId: parseInt(volunteerId),
-                actorName: actor.full_name,
-                actorAvatar: actor.avatar,
-                priority: 'normal'
-            }).catch(console.error);
-          }
-        });
+
+  const matchedTemplates = []
+  for (const template of templates) {
+    const reasons = []
+    if (position && template.positions.some(p => p.trim().toLowerCase() === position)) {
+      reasons.push({ matchedBy: 'position', value: volunteerRows[0].position })
+    }
+    for (const wing of wingRows) {
+      if (template.wing_roles.includes(wing.role)) {
+        reasons.push({ matchedBy: 'wing_role', value: wing.role, wingId: wing.wing_id, wingName: wing.wing_name })
       }
-      
-      res.json({ success: true, id: this.lastID })
     }
-  )
-})
-
-// Get all allies for a volunteer
-app.get('/api/allies/:volunteerId', (req, res) => {
-  const { volunteerId } = req.params
-  
-  db.all(
-    `SELECT v.id, v.full_name, v.avatar, v.wing, v.position, a.created_at as allied_at
-     FROM allies a 
-     JOIN volunteers v ON a.ally_id = v.id 
-     WHERE a.volunteer_id = ?
-     ORDER BY a.created_at DESC`,
-    [volunteerId],
-    (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
+    for (const role of orgRoles) {
+      if (template.org_role_ids.includes(role.id) && position && role.title.trim().toLowerCase() === position) {
+        reasons.push({ matchedBy: 'org_role', value: role.title, roleId: role.id })
       }
-      res.json(rows || [])
     }
-  )
-})
+    if (reasons.length === 0) continue
 
-// Get ally count for a volunteer
-app.get('/api/allies/:volunteerId/count', (req, res) => {
-  const { volunteerId } = req.params
-  
-  db.get(
-    'SELECT COUNT(*) as count FROM allies WHERE volunteer_id = ?',
-    [volunteerId],
-    (err, row) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json({ count: row?.count || 0 })
-    }
-  )
-})
+    matchedTemplates.push({ id: template.id, name: template.name, reasons })
+    const orgWide = reasons.some(r => r.matchedBy !== 'wing_role')
+    const wingIds = orgWide ? [null] : [...new Set(reasons.map(r => r.wingId))]
+    Object.keys(template.permissions).forEach(key => {
+      if (template.permissions[key] !== true) return
+      wingIds.forEach(wingId => {
+        grant(key, { type: 'template', templateId: template.id, templateName: template.name, reasons, ...(wingId ? { wingId } : {}) }, wingId)
+      })
+    })
+  }
 
-// Check if someone is an ally
-app.get('/api/allies/check/:volunteerId/:allyId', (req, res) => {
-  const { volunteerId, allyId } = req.params
-  
-  db.get(
-    'SELECT id FROM allies WHERE volunteer_id = ? AND ally_id = ?',
-    [volunteerId, allyId],
-    (err, row) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json({ isAlly: !!row })
+  let overrides = {}
+  for (const row of settingRows) {
+    const perms = parseJsonField(row.permissions, {})
+    if (row.role_type === 'override') {
+      overrides = perms
+      continue
     }
-  )
-})
-
-// Remove an ally
-app.delete('/api/allies/:volunteerId/:allyId', (req, res) => {
-  const { volunteerId, allyId } = req.params
-  
-  db.run(
-    'DELETE FROM allies WHERE volunteer_id = ? AND ally_id = ?',
-    [volunteerId, allyId],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: err.message })
+    Object.keys(perms).forEach(key => {
+      if (perms[key] === true) {
+        grant(key, { type: 'access_settings', settingId: row.id, roleType: row.role_type, roleId: row.role_id })
       }
-      res.json({ success: true, deleted: this.changes > 0 })
-    }
-  )
-})
+    })
+  }
 
-// Get ally IDs for a volunteer (for quick lookup)
-app.get('/api/allies/:volunteerId/ids', (req, res) => {
-  const { volunteerId } = req.params
-  
-  db.all(
-    'SELECT ally_id FROM allies WHERE volunteer_id = ?',
-    [volunteerId],
-    (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json(rows?.map(r => r.ally_id) || [])
+  Object.keys(overrides).forEach(key => {
+    if (overrides[key] === true) {
+      grant(key, { type: 'override' })
+    } else if (overrides[key] === false) {
+      delete permissions[key]
+      Object.values(wingPermissions).forEach(perms => delete perms[key])
+      sources[key] = [...(sources[key] || []), { type: 'override', revoked: true }]
     }
-  )
-})
+  })
 
-// ========== PRIVACY SETTINGS API ENDPOINTS ==========
+  return { permissions, wingPermissions, sources, templates: matchedTemplates, overrides }
+}
 
-// Get privacy settings for a user
-app.get('/api/privacy/:userId', (req, res) => {
-  const { userId } = req.params
-  
-  db.get(
-    'SELECT * FROM privacy_settings WHERE user_id = ?',
-    [userId],
-    (err, row) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      // Return default settings if none exist
-      res.json(row || { allies_visibility: 'public' })
+// Helper to get a volunteer's effective permission map (templates + access_settings + overrides);
+// pass wingId to include what the volunteer's role in that wing grants there
+const getEffectivePermissions = async (volunteerId, { wingId = null } = {}) => {
+  const { permissions, wingPermissions } = await explainPermissions(volunteerId)
+  return wingId ? { ...permissions, ...wingPermissions[wingId] } : permissions
+}
+
+// Registered routes under /api/wings/:id are checked with that wing's grants as well
+const routeWingId = (requestPath) => {
+  const match = requestPath.match(/^\/api\/wings\/(\d+)(\/|$)/i)
+  return match ? parseInt(match[1]) : null
+}
+
+// Reject calls to registered routes when the caller's merged permissions don't include the key
+async function authorize(req, res, next) {
+  if (!req.volunteer) return next()
+
+  const requestPath = req.originalUrl.split('?')[0]
+  const permission = findRoutePermission(req.method, requestPath)
+  if (!permission || SUPER_ADMIN_IDS.includes(req.volunteer.id)) return next()
+
+  try {
+    const permissions = await getEffectivePermissions(req.volunteer.id, { wingId: routeWingId(requestPath) })
+    if (permissions[permission] !== true) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action', permission })
     }
-  )
+    req.permissions = permissions
+    next()
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+}
+
+app.use('/api', authorize)
+
+// List every permission key and the routes it guards (for the access settings screen)
+app.get('/api/permissions', (req, res) => {
+  res.json(PERMISSION_REGISTRY)
 })
 
-// Update privacy settings
-app.put('/api/privacy/:userId', (req, res) => {
-  const { userId } = req.params
-  const { allies_visibility } = req.body
-  
-  // Validate visibility value
-  const validOptions = ['public', 'allies', 'none']
-  if (allies_visibility && !validOptions.includes(allies_visibility)) {
-    return res.status(400).json({ error: 'Invalid visibility option' })
+// Get the signed-in volunteer's effective permissions and where each one comes from
+app.get('/api/permissions/me', async (req, res) => {
+  try {
+    const explanation = await explainPermissions(req.volunteer.id)
+    res.json({ ...explanation, superAdmin: SUPER_ADMIN_IDS.includes(req.volunteer.id) })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
   }
-  
-  // Upsert privacy settings
-  db.run(
-    `INSERT INTO privacy_settings (user_id, allies_visibility, updated_at)
-     VALUES (?, ?, CURRENT_TIMESTAMP)
-     ON CONFLICT(user_id) DO UPDATE SET
-     allies_visibility = COALESCE(excluded.allies_visibility, allies_visibility),
-     updated_at = CURRENT_TIMESTAMP`,
-    [userId, allies_visibility || 'public'],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json({ success: true })
-    }
-  )
 })
 
-// Get allies visibility for a specific user (for privacy check)
-app.get('/api/privacy/:userId/allies-visibility', (req, res) => {
-  const { userId } = req.params
-  
-  db.get(
-    'SELECT allies_visibility FROM privacy_settings WHERE user_id = ?',
-    [userId],
-    (err, row) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json({ visibility: row?.allies_visibility || 'public' })
-    }
-  )
-})
+// ==================== END PERMISSIONS ====================
 
-// ========== ORGANIZATION SETTINGS API ENDPOINTS ==========
+// ==================== REALTIME EVENTS ====================
 
-// Get organization settings
-app.get('/api/organization', (req, res) => {
-  db.get('SELECT * FROM organization_settings LIMIT 1', (err, row) => {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    res.json(row || {
-      org_name: 'UYHO',
-      org_full_name: 'United Young Help Organization',
-      org_description: 'A youth-led nonprofit organization dedicated to community service.'
-    })
+// Open event streams: volunteerId -> Set of responses. Streams live in this process, so events
+// are published on the ephemeral store's 'realtime' channel and every machine pushes them to the
+// clients connected to it (EPHEMERAL_STORE=mysql carries them between machines).
+const realtimeClients = new Map()
+
+const writeEvent = (res, event, payload) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`)
+}
+
+// Write an event to this machine's open streams of the given volunteers (null: every stream)
+const deliverRealtimeEvent = ({ userIds, event, payload }) => {
+  if (userIds === null) {
+    realtimeClients.forEach(streams => streams.forEach(res => writeEvent(res, event, payload)))
+    return
+  }
+  for (const id of userIds) {
+    const streams = realtimeClients.get(id)
+    if (streams) streams.forEach(res => writeEvent(res, event, payload))
+  }
+}
+
+const publishRealtimeEvent = (userIds, event, payload) => {
+  ephemeralStore.publish('realtime', { userIds, event, payload })
+    .catch(err => console.error('[Realtime] Failed to publish event:', err.message))
+}
+
+// Push an event to every open stream of the given volunteers, on any machine
+const publishToUsers = (userIds, event, payload) => {
+  const ids = [...new Set(userIds.map(id => parseInt(id)))]
+  if (ids.length > 0) publishRealtimeEvent(ids, event, payload)
+}
+
+// Typing and presence entries live in the ephemeral store (EPHEMERAL_STORE=mysql shares them
+// between machines); volunteers.last_active is only persisted every few minutes.
+const ephemeralStore = createEphemeralStore()
+ephemeralStore.subscribe('realtime', deliverRealtimeEvent)
+const TYPING_TTL = 5000
+const PRESENCE_TTL = 5 * 60 * 1000
+const ONLINE_WINDOW = 60 * 1000
+const LAST_ACTIVE_PERSIST_INTERVAL = 5 * 60 * 1000
+
+// Helper to mark a volunteer as active now
+const touchPresence = async (volunteerId) => {
+  const now = Date.now()
+  const existing = await ephemeralStore.get('presence', volunteerId)
+  const persistedAt = existing?.value?.persistedAt || 0
+  const persist = now - persistedAt >= LAST_ACTIVE_PERSIST_INTERVAL
+
+  await ephemeralStore.set('presence', volunteerId, {
+    lastActive: now,
+    persistedAt: persist ? now : persistedAt
+  }, PRESENCE_TTL)
+
+  if (persist) {
+    db.run('UPDATE volunteers SET last_active = CURRENT_TIMESTAMP WHERE id = ?', [volunteerId])
+  }
+}
+
+// Helper to get live presence entries as a Map of volunteerId -> last active time (ms)
+const getPresenceMap = async () => {
+  const entries = await ephemeralStore.list('presence')
+  return new Map(entries.map(e => [parseInt(e.key), e.value.lastActive]))
+}
+
+const publishToAll = (event, payload) => {
+  publishRealtimeEvent(null, event, payload)
+}
+
+// A volunteer's streams are counted per machine under 'streams:<id>', so a machine only reports
+// them offline once no machine holds one. Entries are refreshed with the keep-alive ping.
+const STREAM_TTL = 60 * 1000
+const STREAM_HOLDER = crypto.randomUUID()
+
+const holdStreams = (volunteerId, count) => {
+  return ephemeralStore.set(`streams:${volunteerId}`, STREAM_HOLDER, count, STREAM_TTL)
+}
+
+const hasStreamsElsewhere = async (volunteerId) => {
+  const entries = await ephemeralStore.list(`streams:${volunteerId}`)
+  return entries.some(e => e.key !== STREAM_HOLDER)
+}
+
+// Volunteers with an open stream on this machine or active anywhere within the online window
+const getOnlineUserIds = async () => {
+  const online = new Set(realtimeClients.keys())
+  const presence = await getPresenceMap()
+  const now = Date.now()
+  presence.forEach((lastActive, id) => {
+    if (now - lastActive < ONLINE_WINDOW) online.add(id)
   })
-})
+  return [...online]
+}
 
-// Update organization settings
-app.put('/api/organization', (req, res) => {
-  const {
-    org_name, org_full_name, org_description, org_logo, org_logo_dark,
-    contact_email, contact_phone, contact_address, website_url,
-    facebook_url, instagram_url, twitter_url, linkedin_url, youtube_url, tiktok_url
-  } = req.body
-  
-  db.run(`
-    UPDATE organization_settings SET
-      org_name = COALESCE(?, org_name),
-      org_full_name = COALESCE(?, org_full_name),
-      org_description = COALESCE(?, org_description),
-      org_logo = COALESCE(?, org_logo),
-      org_logo_dark = COALESCE(?, org_logo_dark),
-      contact_email = COALESCE(?, contact_email),
-      contact_phone = COALESCE(?, contact_phone),
-      contact_address = COALESCE(?, contact_address),
-      website_url = COALESCE(?, website_url),
-      facebook_url = COALESCE(?, facebook_url),
-      instagram_url = COALESCE(?, instagram_url),
-      twitter_url = COALESCE(?, twitter_url),
-      linkedin_url = COALESCE(?, linkedin_url),
-      youtube_url = COALESCE(?, youtube_url),
-      tiktok_url = COALESCE(?, tiktok_url),
-      updated_at = CURRENT_TIMESTAMP
-    WHERE id = 1
-  `, [
-    org_name, org_full_name, org_description, org_logo, org_logo_dark,
-    contact_email, contact_phone, contact_address, website_url,
-    facebook_url, instagram_url, twitter_url, linkedin_url, youtube_url, tiktok_url
-  ], function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    res.json({ success: true })
+const getConversationParticipants = (conversationId) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT user1_id, user2_id FROM conversations WHERE id = ?', [conversationId], (err, row) => {
+      if (err) return reject(err)
+      resolve(row ? [row.user1_id, row.user2_id] : [])
+    })
   })
-})
+}
 
-// Add a social media link
-app.post('/api/organization/social-link', (req, res) => {
-  const { platform, url } = req.body
-  
-  const validPlatforms = ['facebook_url', 'instagram_url', 'twitter_url', 'linkedin_url', 'youtube_url', 'tiktok_url']
-  if (!validPlatforms.includes(platform)) {
-    return res.status(400).json({ error: 'Invalid platform' })
-  }
-  
-  db.run(`UPDATE organization_settings SET ${platform} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1`, [url], function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    res.json({ success: true })
+const getGroupMemberIds = (groupId) => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT user_id FROM group_members WHERE group_id = ?', [groupId], (err, rows) => {
+      if (err) return reject(err)
+      resolve((rows || []).map(r => r.user_id))
+    })
   })
-})
+}
 
-// ========== ORGANIZATION ROLES API ENDPOINTS ==========
+// Publish a chat event to a conversation's participants / a group's members. When fromUserId is
+// given the event is dropped unless that user belongs to the chat, and they don't receive it back.
+const publishToConversation = (conversationId, event, payload, fromUserId = null) => {
+  getConversationParticipants(conversationId)
+    .then(ids => {
+      if (fromUserId && !ids.includes(parseInt(fromUserId))) return
+      publishToUsers(ids.filter(id => id !== parseInt(fromUserId)), event, payload)
+    })
+    .catch(err => console.error('[Realtime] Failed to publish conversation event:', err.message))
+}
 
-// Get all roles
-app.get('/api/roles', (req, res) => {
-  db.all('SELECT * FROM organization_roles ORDER BY category, sort_order', (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    res.json(rows || [])
+const publishToGroup = (groupId, event, payload, fromUserId = null) => {
+  getGroupMemberIds(groupId)
+    .then(ids => {
+      if (fromUserId && !ids.includes(parseInt(fromUserId))) return
+      publishToUsers(ids.filter(id => id !== parseInt(fromUserId)), event, payload)
+    })
+    .catch(err => console.error('[Realtime] Failed to publish group event:', err.message))
+}
+
+// Open an event stream (messages, typing, receipts, presence, notifications).
+// EventSource can't send headers, so this route also accepts ?access_token=
+app.get('/api/events/stream', (req, res) => {
+  const volunteerId = req.volunteer.id
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
   })
-})
+  res.flushHeaders()
+  res.write('retry: 5000\n\n')
+
+  const cameOnline = !realtimeClients.has(volunteerId)
+  if (cameOnline) realtimeClients.set(volunteerId, new Set())
+  const streams = realtimeClients.get(volunteerId)
+  streams.add(res)
+
+  getOnlineUserIds()
+    .catch(err => {
+      console.error('[Presence] Lookup failed:', err.message)
+      return [...realtimeClients.keys()]
+    })
+    .then(onlineUserIds => writeEvent(res, 'ready', { volunteerId, onlineUserIds }))
+  touchPresence(volunteerId).catch(err => console.error('[Presence] Update failed:', err.message))
+  holdStreams(volunteerId, streams.size).catch(err => console.error('[Presence] Update failed:', err.message))
+  if (cameOnline) {
+    publishToAll('presence', { volunteerId, isOnline: true })
+  }
 
-// Get roles by category
-app.get('/api/roles/:category', (req, res) => {
-  const { category } = req.params
-  db.all('SELECT * FROM organization_roles WHERE category = ? ORDER BY sort_order', [category], (err, rows) => {
-    if (err) {
-      return res.status(500).json({ error: err.message })
+  // Comment lines keep proxies from closing an idle stream; an open stream also counts as activity
+  const keepAlive = setInterval(() => {
+    res.write(': ping\n\n')
+    touchPresence(volunteerId).catch(err => console.error('[Presence] Update failed:', err.message))
+    holdStreams(volunteerId, streams.size).catch(err => console.error('[Presence] Update failed:', err.message))
+  }, 25000)
+
+  req.on('close', async () => {
+    clearInterval(keepAlive)
+    streams.delete(res)
+    if (streams.size > 0) return
+    realtimeClients.delete(volunteerId)
+    try {
+      await ephemeralStore.delete(`streams:${volunteerId}`, STREAM_HOLDER)
+      if (realtimeClients.has(volunteerId) || await hasStreamsElsewhere(volunteerId)) return
+    } catch (err) {
+      console.error('[Presence] Update failed:', err.message)
     }
-    res.json(rows || [])
+    db.run('UPDATE volunteers SET last_active = CURRENT_TIMESTAMP WHERE id = ?', [volunteerId])
+    publishToAll('presence', { volunteerId, isOnline: false, lastActive: new Date().toISOString() })
   })
 })
 
-// Update a role
-app.put('/api/roles/:id', (req, res) => {
-  const { id } = req.params
-  const { title, description } = req.body
-  
-  db.run(
-    'UPDATE organization_roles SET title = COALESCE(?, title), description = COALESCE(?, description), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [title, description, id],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json({ success: true })
-    }
-  )
-})
+// ==================== END REALTIME EVENTS ====================
 
-// Add a new role
-app.post('/api/roles', (req, res) => {
-  const { title, description, category } = req.body
-  
-  if (!title || !category) {
-    return res.status(400).json({ error: 'Title and category are required' })
+// Multer setup for avatar uploads
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, path.join(__dirname, 'public', 'avatars'));
+  },
+  filename: function (req, file, cb) {
+    const ext = path.extname(file.originalname);
+    cb(null, `avatar_${req.params.id}${ext}`);
   }
-  
-  // Get max sort_order for the category
-  db.get('SELECT MAX(sort_order) as max_order FROM organization_roles WHERE category = ?', [category], (err, row) => {
-    const newOrder = (row?.max_order || 0) + 1
-    
-    db.run(
-      'INSERT INTO organization_roles (title, description, category, sort_order) VALUES (?, ?, ?, ?)',
-      [title, description || '', category, newOrder],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: err.message })
-        }
-        res.json({ success: true, id: this.lastID })
+});
+const upload = multer({ storage });
+
+// Ensure avatars directory exists
+const avatarsDir = path.join(__dirname, 'public', 'avatars');
+if (!fs.existsSync(avatarsDir)) {
+  fs.mkdirSync(avatarsDir, { recursive: true });
+}
+
+// Initialize MySQL database
+async function startDatabase() {
+  const connected = await testConnection();
+  if (connected) {
+    await initializeMySQLDatabase();
+    console.log('Connected to MySQL database');
+  } else {
+    console.error('Failed to connect to MySQL database. Check your .env credentials.');
+    process.exit(1);
+  }
+}
+const databaseReady = startDatabase();
+
+// Utility: add column if missing (MySQL version - columns are created in db.js)
+function addColumnIfNotExists(table, column, type, defaultValue = null) {
+  // MySQL handles this in db.js initialization
+  // This function is kept for backward compatibility but does nothing
+}
+
+// Utility: keep volunteers_joined in sync with campaign_team
+function syncCampaignJoined(campaignId) {
+  db.get('SELECT COUNT(*) AS count FROM campaign_team WHERE campaign_id = ?', [campaignId], (err, row) => {
+    if (err) {
+      console.error('[Campaign Sync] Failed to count team members:', err)
+      return
+    }
+    const count = row?.count || 0
+    db.run('UPDATE campaigns SET volunteers_joined = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [count, campaignId], (updateErr) => {
+      if (updateErr) {
+        console.error('[Campaign Sync] Failed to update volunteers_joined:', updateErr)
       }
-    )
+    })
+  })
+}
+
+// Initialize database - handled by db.js for MySQL
+function initializeDatabase() {
+  // All tables are created in db.js with proper MySQL syntax
+  console.log('[DB] Using MySQL - tables initialized via db.js')
+}
+
+// Routes
+app.get('/api/team-members', (req, res) => {
+  db.all('SELECT * FROM team_members ORDER BY category DESC, id', (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    res.json(rows)
   })
 })
 
-// Delete a role
-app.delete('/api/roles/:id', (req, res) => {
+app.get('/api/team-members/:id', (req, res) => {
   const { id } = req.params
-  
-  db.run('DELETE FROM organization_roles WHERE id = ?', [id], function(err) {
+  db.get('SELECT * FROM team_members WHERE id = ?', [id], (err, row) => {
     if (err) {
-      return res.status(500).json({ error: err.message })
+      res.status(500).json({ error: err.message })
+      return
     }
-    res.json({ success: true, deleted: this.changes > 0 })
+    res.json(row)
   })
 })
 
-// ========== MESSAGING API ENDPOINTS ==========
+app.get('/api/team-members/category/:category', (req, res) => {
+  const { category } = req.params
+  db.all('SELECT * FROM team_members WHERE category = ? ORDER BY id', [category], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    res.json(rows)
+  })
+})
 
-// Get or create a conversation between two users
-app.post('/api/conversations', (req, res) => {
-  const { userId1, userId2 } = req.body
-  
-  if (!userId1 || !userId2) {
-    return res.status(400).json({ error: 'Both user IDs are required' })
+app.post('/api/team-members', (req, res) => {
+  const { name, position, specialty, category } = req.body
+  const stmt = db.prepare(`
+    INSERT INTO team_members (name, position, specialty, category)
+    VALUES (?, ?, ?, ?)
+  `)
+  stmt.run(name, position, specialty, category, function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    res.json({ id: this.lastID, name, position, specialty, category })
+  })
+  stmt.finalize()
+})
+
+// Volunteer registration endpoint
+app.post('/api/volunteers/register', async (req, res) => {
+  const { fullName, email, password, phone, age, address, wing, availability, avatar } = req.body
+
+  const problems = checkPasswordPolicy(password, await getPasswordPolicy())
+  if (problems.length > 0) {
+    return res.status(400).json({ error: problems[0], problems })
   }
-  
-  // Always store with smaller ID first to ensure uniqueness
-  const p1 = Math.min(userId1, userId2)
-  const p2 = Math.max(userId1, userId2)
-  
-  // Check if conversation exists
+
+  let hashedPassword
+  try {
+    hashedPassword = await hashPassword(password)
+  } catch (hashErr) {
+    return res.status(500).json({ error: hashErr.message })
+  }
+
+  // Generate digital ID: UYHO-YYYY-SEQUENCE
+  const year = new Date().getFullYear()
+  db.get('SELECT COUNT(*) as count FROM volunteers', (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+
+    const sequenceNumber = String(row.count + 1).padStart(3, '0')
+    const digitalId = `UYHO-${year}-${sequenceNumber}`
+
+    db.run(`
+      INSERT INTO volunteers (full_name, email, password, password_changed_at, phone, age, address, wing, avatar, position, lives_impacted, teams_led, hours_given, availability, digital_id)
+      VALUES (?, ?, ?, NOW(), ?, ?, ?, ?, ?, 'Volunteer', 0, 0, 0, ?, ?)
+    `, [
+      fullName,
+      email,
+      hashedPassword,
+      phone,
+      age,
+      address,
+      wing,
+      avatar || '',
+      JSON.stringify(availability),
+      digitalId
+    ], function(err) {
+        if (err) {
+          if (err.code === 'ER_DUP_ENTRY' && err.message.includes('email')) {
+            res.status(400).json({ error: 'Email already registered' })
+          } else {
+            res.status(500).json({ error: err.message })
+          }
+          return
+        }
+        const volunteerId = this.lastID
+        
+        // Add \"joined\" activity
+        db.run(
+          'INSERT INTO activities (volunteer_id, activity_type, description) VALUES (?, ?, ?)',
+          [volunteerId, 'joined', 'Joined UYHO as a volunteer'],
+          (actErr) => {
+            if (actErr) console.error('Failed to create join activity:', actErr)
+          }
+        )
+        
+        res.json({
+          id: volunteerId,
+          fullName,
+          email,
+          digitalId,
+          message: 'Registration successful! Your volunteer ID is ' + digitalId
+        })
+      }
+    )
+  })
+})
+
+// Volunteer login endpoint
+app.post('/api/volunteers/login', (req, res) => {
+  const { email, password } = req.body
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' })
+  }
+
   db.get(
-    'SELECT * FROM conversations WHERE participant1_id = ? AND participant2_id = ?',
-    [p1, p2],
-    (err, existing) => {
+    'SELECT * FROM volunteers WHERE email = ?',
+    [email],
+    async (err, row) => {
       if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      
-      if (existing) {
-        return res.json(existing)
+        res.status(500).json({ error: err.message })
+        return
       }
-      
-      // Create new conversation
-      db.run(
-        'INSERT INTO conversations (participant1_id, participant2_id) VALUES (?, ?)',
-        [p1, p2],
-        function(insertErr) {
-          if (insertErr) {
-            return res.status(500).json({ error: insertErr.message })
-          }
-          res.json({ id: this.lastID, participant1_id: p1, participant2_id: p2 })
+
+      try {
+        const { valid, needsRehash } = await verifyPassword(password, row ? row.password : null)
+        if (!row || !valid) {
+          res.status(401).json({ error: 'Invalid email or password' })
+          return
         }
-      )
+
+        // Upgrade legacy SHA-256 (or outdated scrypt) hashes now that we have the plain password
+        if (needsRehash) {
+          await setVolunteerPassword(row.id, password)
+        }
+
+        // Don't send password back
+        const { password: _, ...volunteer } = row
+        const availabilityParsed = {
+          ...volunteer,
+          availability: JSON.parse(volunteer.availability || '[]')
+        }
+
+        // Issue a token pair for this device; volunteer fields stay at the top level
+        const tokens = await createAuthSession(row.id, req)
+        res.json({ ...availabilityParsed, ...tokens })
+      } catch (loginErr) {
+        res.status(500).json({ error: loginErr.message })
+      }
     }
   )
 })
 
-// Get all conversations for a user
-app.get('/api/conversations/:userId', (req, res) => {
-  const { userId } = req.params
-  
-  db.all(
-    `SELECT c.*, 
-      CASE WHEN c.participant1_id = ? THEN v2.id ELSE v1.id END as other_user_id,
-      CASE WHEN c.participant1_id = ? THEN v2.full_name ELSE v1.full_name END as other_user_name,
-      CASE WHEN c.participant1_id = ? THEN v2.avatar ELSE v1.avatar END as other_user_avatar,
-      CASE WHEN c.participant1_id = ? THEN v2.wing ELSE v1.wing END as other_user_wing,
-      m.content as last_message_content,
-      m.message_type as last_message_type,
-      m.created_at as last_message_time,
-      m.sender_id as last_message_sender,
-      (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id AND sender_id != ? AND is_read = 0) as unread_count
-     FROM conversations c
-     JOIN volunteers v1 ON c.participant1_id = v1.id
-     JOIN volunteers v2 ON c.participant2_id = v2.id
-     LEFT JOIN messages m ON c.last_message_id = m.id
-     WHERE c.participant1_id = ? OR c.participant2_id = ?
-     ORDER BY c.last_message_at DESC NULLS LAST, c.created_at DESC`,
-    [userId, userId, userId, userId, userId, userId, userId],
-    (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json(rows || [])
+// Get all volunteers
+app.get('/api/volunteers/all', (req, res) => {
+  db.all(`
+    SELECT id, full_name, email, phone, wing, position, avatar, digital_id, status, points, hours_given, lives_impacted
+    FROM volunteers
+    ORDER BY full_name
+  `, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
     }
-  )
+    res.json(rows || []);
+  });
+});
+
+// Get volunteer directory (for campaign team selection) - MUST be before /:id route
+app.get('/api/volunteers/directory', (req, res) => {
+  db.all(`
+    SELECT id, full_name, wing, position, avatar, digital_id, status
+    FROM volunteers
+    WHERE status = 'Active'
+    ORDER BY full_name
+  `, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows || []);
+  });
+});
+
+// Get volunteer profile
+app.get('/api/volunteers/:id', (req, res) => {
+  const { id } = req.params
+  db.get('SELECT * FROM volunteers WHERE id = ?', [id], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    if (!row) {
+      res.status(404).json({ error: 'Volunteer not found' })
+      return
+    }
+    const { password: _, ...volunteer } = row
+    const availabilityParsed = {
+      ...volunteer,
+      availability: JSON.parse(volunteer.availability || '[]')
+    }
+    
+    // Check if position is a central executive role
+    db.get(`
+      SELECT title, category 
+      FROM organization_roles 
+      WHERE LOWER(title) = LOWER(?)
+    `, [row.position], (roleErr, roleRow) => {
+      // Get wing memberships with parent wing info
+      db.all(`
+        SELECT wm.role as wing_role, wm.is_parent, w.id as wing_id, w.name as wing_name
+        FROM wing_members wm
+        JOIN wings w ON wm.wing_id = w.id
+        WHERE wm.volunteer_id = ? AND w.approval_status = 'approved'
+        ORDER BY wm.is_parent DESC, wm.joined_at ASC
+      `, [id], (wingErr, wingRows) => {
+        const isExecutive = roleRow?.category === 'executive';
+        // Find parent wing (either is_parent=1 or first joined wing)
+        const parentWing = wingRows?.find(w => w.is_parent === 1) || wingRows?.[0] || null;
+        res.json({
+          ...availabilityParsed,
+          central_role: isExecutive ? roleRow?.title : null,
+          central_category: isExecutive ? roleRow?.category : null,
+          wings: wingRows || [],
+          parent_wing: parentWing
+        })
+      })
+    })
+  })
 })
 
-// Get messages for a conversation with pagination
-app.get('/api/conversations/:conversationId/messages', (req, res) => {
-  const { conversationId } = req.params
-  const { limit = 15, before, userId } = req.query
+// Get volunteer by email
+app.get('/api/volunteers/email/:email', (req, res) => {
+  const { email } = req.params
+  db.get('SELECT * FROM volunteers WHERE email = ?', [email], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    if (!row) {
+      res.status(404).json({ error: 'Volunteer not found' })
+      return
+    }
+    const { password: _, ...volunteer } = row
+    const availabilityParsed = {
+      ...volunteer,
+      availability: JSON.parse(volunteer.availability || '[]')
+    }
+    res.json(availabilityParsed)
+  })
+})
+
+// Get volunteer activities
+app.get('/api/volunteers/:id/activities', (req, res) => {
+  const { id } = req.params
+  const { limit } = req.query
   
-  // Update last_active for the user if provided
-  if (userId) {
-    db.run('UPDATE volunteers SET last_active = CURRENT_TIMESTAMP WHERE id = ?', [userId])
+  let query = 'SELECT * FROM activities WHERE volunteer_id = ? ORDER BY created_at DESC'
+  const params = [id]
+  
+  if (limit) {
+    query += ' LIMIT ?'
+    params.push(parseInt(limit))
   }
   
-  // Get other participant info for seen avatar
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    res.json(rows || [])
+  })
+})
+
+// Get volunteer's most recent joined campaign
+app.get('/api/volunteers/:id/recent-campaign', (req, res) => {
+  const { id } = req.params
+  
   db.get(`
-    SELECT 
-      CASE WHEN participant1_id = ? THEN participant2_id ELSE participant1_id END as other_user_id
-    FROM conversations WHERE id = ?
-  `, [userId || 0, conversationId], (err, conv) => {
-    const otherUserId = conv?.other_user_id
-    
-    let query = `
-      SELECT m.*, v.full_name as sender_name, v.avatar as sender_avatar
-      FROM messages m
-      JOIN volunteers v ON m.sender_id = v.id
-      WHERE m.conversation_id = ?
-    `
-    const params = [conversationId]
-    
-    if (before) {
-      query += ' AND m.id < ?'
-      params.push(before)
+    SELECT c.*, ct.role, ct.hours, ct.respect, ct.approval_status,
+           v.full_name as host_name, v.avatar as host_avatar
+    FROM campaign_team ct
+    JOIN campaigns c ON ct.campaign_id = c.id
+    LEFT JOIN volunteers v ON c.host_id = v.id
+    WHERE ct.volunteer_id = ? AND c.approval_status = 'approved'
+    ORDER BY ct.created_at DESC
+    LIMIT 1
+  `, [id], (err, campaign) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
     }
-    
-    query += ' ORDER BY m.created_at DESC LIMIT ?'
-    params.push(parseInt(limit))
-    
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      
-      // Check if there are more messages
-      const oldestId = rows?.length > 0 ? rows[rows.length - 1].id : null
-      db.get('SELECT COUNT(*) as count FROM messages WHERE conversation_id = ? AND id < ?', 
-        [conversationId, oldestId || 0], 
-        (countErr, countRow) => {
-          const hasMore = (countRow?.count || 0) > 0
-          
-          // Get the other user's avatar for seen indicator
-          db.get('SELECT avatar, full_name FROM volunteers WHERE id = ?', [otherUserId], (avatarErr, otherUser) => {
-            res.json({
-              messages: (rows || []).reverse(),
-              hasMore,
-              oldestId,
-              otherUserAvatar: otherUser?.avatar,
-              otherUserName: otherUser?.full_name
-            })
-          })
-        }
-      )
-    })
+    if (!campaign) {
+      res.status(404).json({ error: 'No recent campaign found' })
+      return
+    }
+    res.json(campaign)
   })
 })
 
-// Send a message
-app.post('/api/messages', (req, res) => {
-  const { conversationId, senderId, content, messageType = 'text', fileUrl, fileName, fileSize } = req.body
+// ========== ALLIES API ENDPOINTS ==========
+
+// Add an ally
+app.post('/api/allies', (req, res) => {
+  const { allyId } = req.body
+  const volunteerId = req.volunteer.id
   
-  if (!conversationId || !senderId) {
-    return res.status(400).json({ error: 'conversationId and senderId are required' })
+  if (!volunteerId || !allyId) {
+    return res.status(400).json({ error: 'volunteerId and allyId are required' })
   }
   
-  if (messageType === 'text' && !content) {
-    return res.status(400).json({ error: 'Content is required for text messages' })
+  if (volunteerId === allyId) {
+    return res.status(400).json({ error: 'Cannot add yourself as an ally' })
   }
   
   db.run(
-    `INSERT INTO messages (conversation_id, sender_id, content, message_type, file_url, file_name, file_size)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [conversationId, senderId, content, messageType, fileUrl, fileName, fileSize],
+    'INSERT OR IGNORE INTO allies (volunteer_id, ally_id) VALUES (?, ?)',
+    [volunteerId, allyId],
     function(err) {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
       
-      const messageId = this.lastID
-      
-      // Update conversation's last message
-      db.run(
-        'UPDATE conversations SET last_message_id = ?, last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [messageId, conversationId]
-      )
+      // Notify the person being added as ally
+      if (this.lastID) {
+        db.get('SELECT full_name, avatar FROM volunteers WHERE id = ?', [volunteerId], (err, actor) => {
+          if (!err && actor) {
+            createNotification(allyId, 'ally_added',
+              `${actor.full_name} added you as an ally!`, {
+                data: { userId: parseInt(volunteerId) },
+                actorId: parseInt(volunteerId),
+                actorName: actor.full_name,
+                actorAvatar: actor.avatar,
+                priority: 'normal'
+            }).catch(console.error);
+          }
+        });
+      }
       
-      // Get recipient and send notification
-      db.get(`
-        SELECT c.user1_id, c.user2_id, v.full_name as sender_name, v.avatar as sender_avatar
-        FROM conversations c
-        JOIN volunteers v ON v.id = ?
-        WHERE c.id = ?
-      `, [senderId, conversationId], (convErr, convData) => {
-        if (!convErr && convData) {
-          const recipientId = convData.user1_id == senderId ? convData.user2_id : convData.user1_id;
-          const notifType = messageType === 'image' ? 'message_image' : 'message';
-          const preview = messageType === 'text' ? (content.length > 50 ? content.slice(0, 50) + '...' : content) : (messageType === 'image' ? 'Sent an image' : 'Sent a file');
-          
-          createNotification(recipientId, notifType, `sent you a message`, {
-            data: { 
-              senderId: parseInt(senderId), 
-              conversationId: parseInt(conversationId),
-              preview 
-            },
-            actorId: parseInt(senderId),
-            actorName: convData.sender_name,
-            actorAvatar: convData.sender_avatar,
-            priority: 'normal'
-          }).catch(console.error);
-        }
-      });
-      
-      // Return the created message with sender info
-      db.get(
-        `SELECT m.*, v.full_name as sender_name, v.avatar as sender_avatar
-         FROM messages m
-         JOIN volunteers v ON m.sender_id = v.id
-         WHERE m.id = ?`,
-        [messageId],
-        (getErr, message) => {
-          if (getErr) {
-            return res.status(500).json({ error: getErr.message })
-          }
-          res.json(message)
-        }
-      )
+      res.json({ success: true, id: this.lastID })
     }
   )
 })
 
-// Mark messages as read
-app.put('/api/conversations/:conversationId/read', (req, res) => {
-  const { conversationId } = req.params
-  const { userId } = req.body
-  
-  // Update last_active for the user
-  db.run('UPDATE volunteers SET last_active = CURRENT_TIMESTAMP WHERE id = ?', [userId])
+// Get all allies for a volunteer
+app.get('/api/allies/:volunteerId', (req, res) => {
+  const { volunteerId } = req.params
   
-  db.run(
-    `UPDATE messages SET is_read = 1, status = 'read', read_at = CURRENT_TIMESTAMP 
-     WHERE conversation_id = ? AND sender_id != ? AND is_read = 0`,
-    [conversationId, userId],
-    function(err) {
+  db.all(
+    `SELECT v.id, v.full_name, v.avatar, v.wing, v.position, a.created_at as allied_at
+     FROM allies a 
+     JOIN volunteers v ON a.ally_id = v.id 
+     WHERE a.volunteer_id = ?
+     ORDER BY a.created_at DESC`,
+    [volunteerId],
+    (err, rows) => {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
-      res.json({ success: true, updated: this.changes })
+      res.json(rows || [])
     }
   )
 })
 
-// Get unread message count for a user
-app.get('/api/messages/unread/:userId', (req, res) => {
-  const { userId } = req.params
+// Get ally count for a volunteer
+app.get('/api/allies/:volunteerId/count', (req, res) => {
+  const { volunteerId } = req.params
   
   db.get(
-    `SELECT COUNT(*) as count FROM messages m
-     JOIN conversations c ON m.conversation_id = c.id
-     WHERE (c.participant1_id = ? OR c.participant2_id = ?)
-     AND m.sender_id != ? AND m.is_read = 0`,
-    [userId, userId, userId],
+    'SELECT COUNT(*) as count FROM allies WHERE volunteer_id = ?',
+    [volunteerId],
     (err, row) => {
       if (err) {
         return res.status(500).json({ error: err.message })
@@ -985,375 +1793,456 @@ app.get('/api/messages/unread/:userId', (req, res) => {
   )
 })
 
-// Update user's last_active (heartbeat)
-app.post('/api/volunteers/:userId/heartbeat', (req, res) => {
-  const { userId } = req.params
-  db.run('UPDATE volunteers SET last_active = CURRENT_TIMESTAMP WHERE id = ?', [userId], function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    res.json({ success: true })
-  })
-})
-
-// Get user's online status
-app.get('/api/volunteers/:userId/status', (req, res) => {
-  const { userId } = req.params
-  db.get('SELECT last_active FROM volunteers WHERE id = ?', [userId], (err, row) => {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    if (!row) {
-      return res.status(404).json({ error: 'User not found' })
-    }
-    
-    const lastActive = row.last_active ? new Date(row.last_active) : null
-    const now = new Date()
-    const diffMs = lastActive ? now - lastActive : Infinity
-    const isOnline = diffMs < 60000 // Consider online if active within last 60 seconds
-    const isRecent = diffMs < 300000 // Active within last 5 minutes
-    
-    let statusText = 'offline'
-    if (isOnline) {
-      statusText = 'Active now'
-    } else if (isRecent) {
-      const mins = Math.floor(diffMs / 60000)
-      statusText = `Active ${mins}m ago`
-    } else if (lastActive) {
-      const hours = Math.floor(diffMs / 3600000)
-      if (hours < 24) {
-        statusText = `Active ${hours}h ago`
-      } else {
-        statusText = `Active ${Math.floor(hours / 24)}d ago`
+// Check if someone is an ally
+app.get('/api/allies/check/:volunteerId/:allyId', (req, res) => {
+  const { volunteerId, allyId } = req.params
+  
+  db.get(
+    'SELECT id FROM allies WHERE volunteer_id = ? AND ally_id = ?',
+    [volunteerId, allyId],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
       }
+      res.json({ isAlly: !!row })
     }
-    
-    res.json({ 
-      isOnline,
-      isRecent,
-      statusText,
-      lastActive: row.last_active
-    })
-  })
+  )
 })
 
-// Mark messages as delivered when user opens conversation
-app.put('/api/conversations/:conversationId/delivered', (req, res) => {
-  const { conversationId } = req.params
-  const { userId } = req.body
+// Remove an ally
+app.delete('/api/allies/:volunteerId/:allyId', requireSelf('volunteerId'), (req, res) => {
+  const { volunteerId, allyId } = req.params
   
   db.run(
-    `UPDATE messages SET status = CASE WHEN status = 'sent' THEN 'delivered' ELSE status END, 
-     delivered_at = CASE WHEN delivered_at IS NULL THEN CURRENT_TIMESTAMP ELSE delivered_at END
-     WHERE conversation_id = ? AND sender_id != ? AND status = 'sent'`,
-    [conversationId, userId],
+    'DELETE FROM allies WHERE volunteer_id = ? AND ally_id = ?',
+    [volunteerId, allyId],
     function(err) {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
-      res.json({ success: true, updated: this.changes })
+      res.json({ success: true, deleted: this.changes > 0 })
     }
   )
 })
 
-// Typing indicator endpoints
-// Store typing users temporarily in memory: { conversationId: Set(userIds), groupId: Set(userIds) }
-const typingUsers = {};
-
-// Broadcast typing status for individual conversation
-app.post('/api/conversations/:conversationId/typing', (req, res) => {
-  const { conversationId } = req.params;
-  const { volunteerId, isTyping } = req.body;
-  
-  if (!conversationId || !volunteerId) {
-    return res.status(400).json({ error: 'conversationId and volunteerId are required' });
-  }
-  
-  if (!typingUsers[conversationId]) {
-    typingUsers[conversationId] = new Set();
-  }
+// Get ally IDs for a volunteer (for quick lookup)
+app.get('/api/allies/:volunteerId/ids', (req, res) => {
+  const { volunteerId } = req.params
   
-  if (isTyping) {
-    typingUsers[conversationId].add(parseInt(volunteerId));
-    // Auto-remove after 5 seconds of inactivity
-    setTimeout(() => {
-      typingUsers[conversationId].delete(parseInt(volunteerId));
-      if (typingUsers[conversationId].size === 0) {
-        delete typingUsers[conversationId];
+  db.all(
+    'SELECT ally_id FROM allies WHERE volunteer_id = ?',
+    [volunteerId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
       }
-    }, 5000);
-  } else {
-    typingUsers[conversationId].delete(parseInt(volunteerId));
-    if (typingUsers[conversationId].size === 0) {
-      delete typingUsers[conversationId];
+      res.json(rows?.map(r => r.ally_id) || [])
     }
-  }
-  
-  res.json({ success: true });
-});
+  )
+})
 
-// Get typing users for a conversation
-app.get('/api/conversations/:conversationId/typing', (req, res) => {
-  const { conversationId } = req.params;
-  const typingList = Array.from(typingUsers[conversationId] || []);
-  res.json({ typingUsers: typingList });
-});
+// ========== PRIVACY SETTINGS API ENDPOINTS ==========
 
-// Broadcast typing status for group chat
-app.post('/api/groups/:groupId/typing', (req, res) => {
-  const { groupId } = req.params;
-  const { volunteerId, isTyping } = req.body;
-  
-  if (!groupId || !volunteerId) {
-    return res.status(400).json({ error: 'groupId and volunteerId are required' });
-  }
-  
-  const key = `group_${groupId}`;
-  if (!typingUsers[key]) {
-    typingUsers[key] = new Set();
-  }
+// Get privacy settings for a user
+app.get('/api/privacy/:userId', (req, res) => {
+  const { userId } = req.params
   
-  if (isTyping) {
-    typingUsers[key].add(parseInt(volunteerId));
-    // Auto-remove after 5 seconds of inactivity
-    setTimeout(() => {
-      typingUsers[key].delete(parseInt(volunteerId));
-      if (typingUsers[key].size === 0) {
-        delete typingUsers[key];
+  db.get(
+    'SELECT * FROM privacy_settings WHERE user_id = ?',
+    [userId],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
       }
-    }, 5000);
-  } else {
-    typingUsers[key].delete(parseInt(volunteerId));
-    if (typingUsers[key].size === 0) {
-      delete typingUsers[key];
+      // Return default settings if none exist
+      res.json(row || { allies_visibility: 'public' })
     }
-  }
-  
-  res.json({ success: true });
-});
+  )
+})
 
-// Get typing users for a group - includes user names
-app.get('/api/groups/:groupId/typing', (req, res) => {
-  const { groupId } = req.params;
-  const key = `group_${groupId}`;
-  const typingList = Array.from(typingUsers[key] || []);
+// Update privacy settings
+app.put('/api/privacy/:userId', requireSelf('userId'), (req, res) => {
+  const { userId } = req.params
+  const { allies_visibility } = req.body
   
-  if (typingList.length === 0) {
-    return res.json({ typingUsers: [], typingUserNames: [] });
+  // Validate visibility value
+  const validOptions = ['public', 'allies', 'none']
+  if (allies_visibility && !validOptions.includes(allies_visibility)) {
+    return res.status(400).json({ error: 'Invalid visibility option' })
   }
   
-  // Get names for typing users
-  const placeholders = typingList.map(() => '?').join(',');
-  db.all(
-    `SELECT id, full_name FROM volunteers WHERE id IN (${placeholders})`,
-    typingList,
-    (err, users) => {
+  // Upsert privacy settings
+  db.run(
+    `INSERT INTO privacy_settings (user_id, allies_visibility, updated_at)
+     VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(user_id) DO UPDATE SET
+     allies_visibility = COALESCE(excluded.allies_visibility, allies_visibility),
+     updated_at = CURRENT_TIMESTAMP`,
+    [userId, allies_visibility || 'public'],
+    function(err) {
       if (err) {
-        return res.json({ typingUsers: typingList, typingUserNames: [] });
+        return res.status(500).json({ error: err.message })
       }
-      const names = typingList.map(id => {
-        const user = users.find(u => u.id === id);
-        return user ? user.full_name?.split(' ')[0] : 'Someone';
-      });
-      res.json({ typingUsers: typingList, typingUserNames: names });
+      res.json({ success: true })
     }
-  );
-});
+  )
+})
 
-// Get active members in a group (recently online)
-app.get('/api/groups/:groupId/active-members', (req, res) => {
-  const { groupId } = req.params;
+// Get allies visibility for a specific user (for privacy check)
+app.get('/api/privacy/:userId/allies-visibility', (req, res) => {
+  const { userId } = req.params
   
-  db.all(`
-    SELECT v.id, v.full_name, v.avatar, v.last_active
-    FROM volunteers v
-    JOIN group_members gm ON v.id = gm.user_id
-    WHERE gm.group_id = ?
-    AND v.last_active > datetime('now', '-5 minutes')
-    ORDER BY v.last_active DESC
-  `, [groupId], (err, members) => {
-    if (err) {
-      return res.json([]);
+  db.get(
+    'SELECT allies_visibility FROM privacy_settings WHERE user_id = ?',
+    [userId],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      res.json({ visibility: row?.allies_visibility || 'public' })
     }
-    res.json(members || []);
-  });
-});
+  )
+})
 
-// ==================== GROUP CHAT API ====================
+// ========== ORGANIZATION SETTINGS API ENDPOINTS ==========
 
-// Helper function to add system message to group
-const addGroupSystemMessage = (groupId, content) => {
-  return new Promise((resolve, reject) => {
-    // Use creator_id as sender for system messages (or any existing member)
-    db.get('SELECT creator_id FROM group_chats WHERE id = ?', [groupId], (err, group) => {
-      if (err || !group) return reject(err)
-      
-      db.run(
-        `INSERT INTO messages (conversation_id, group_id, sender_id, content, message_type) VALUES (NULL, ?, ?, ?, 'system')`,
-        [groupId, group.creator_id, content],
-        function(insertErr) {
-          if (insertErr) return reject(insertErr)
-          
-          // Update group's last message
-          db.run(
-            'UPDATE group_chats SET last_message_id = ?, last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [this.lastID, groupId]
-          )
-          resolve(this.lastID)
-        }
-      )
+// Get organization settings
+app.get('/api/organization', (req, res) => {
+  db.get('SELECT * FROM organization_settings LIMIT 1', (err, row) => {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+    res.json(row || {
+      org_name: 'UYHO',
+      org_full_name: 'United Young Help Organization',
+      org_description: 'A youth-led nonprofit organization dedicated to community service.'
     })
   })
-}
+})
 
-// Create a new group chat
-app.post('/api/groups', (req, res) => {
-  const { name, description, avatar, creatorId, memberIds, allowMemberAdd } = req.body
+// Update organization settings
+app.put('/api/organization', (req, res) => {
+  const {
+    org_name, org_full_name, org_description, org_logo, org_logo_dark,
+    contact_email, contact_phone, contact_address, website_url,
+    facebook_url, instagram_url, twitter_url, linkedin_url, youtube_url, tiktok_url
+  } = req.body
   
-  if (!name || !creatorId || !memberIds || memberIds.length < 2) {
-    return res.status(400).json({ error: 'Group name, creator, and at least 2 members are required' })
+  db.run(`
+    UPDATE organization_settings SET
+      org_name = COALESCE(?, org_name),
+      org_full_name = COALESCE(?, org_full_name),
+      org_description = COALESCE(?, org_description),
+      org_logo = COALESCE(?, org_logo),
+      org_logo_dark = COALESCE(?, org_logo_dark),
+      contact_email = COALESCE(?, contact_email),
+      contact_phone = COALESCE(?, contact_phone),
+      contact_address = COALESCE(?, contact_address),
+      website_url = COALESCE(?, website_url),
+      facebook_url = COALESCE(?, facebook_url),
+      instagram_url = COALESCE(?, instagram_url),
+      twitter_url = COALESCE(?, twitter_url),
+      linkedin_url = COALESCE(?, linkedin_url),
+      youtube_url = COALESCE(?, youtube_url),
+      tiktok_url = COALESCE(?, tiktok_url),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1
+  `, [
+    org_name, org_full_name, org_description, org_logo, org_logo_dark,
+    contact_email, contact_phone, contact_address, website_url,
+    facebook_url, instagram_url, twitter_url, linkedin_url, youtube_url, tiktok_url
+  ], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+    res.json({ success: true })
+  })
+})
+
+// Add a social media link
+app.post('/api/organization/social-link', (req, res) => {
+  const { platform, url } = req.body
+  
+  const validPlatforms = ['facebook_url', 'instagram_url', 'twitter_url', 'linkedin_url', 'youtube_url', 'tiktok_url']
+  if (!validPlatforms.includes(platform)) {
+    return res.status(400).json({ error: 'Invalid platform' })
   }
   
-  // Get creator name for system message
-  db.get('SELECT full_name FROM volunteers WHERE id = ?', [creatorId], (nameErr, creator) => {
-    if (nameErr) return res.status(500).json({ error: nameErr.message })
-    
-    db.run(
-      'INSERT INTO group_chats (name, description, avatar, creator_id, allow_member_add) VALUES (?, ?, ?, ?, ?)',
-      [name, description || '', avatar || '', creatorId, allowMemberAdd ? 1 : 0],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: err.message })
-        }
-        
-        const groupId = this.lastID
-        
-        // Add creator as admin
-        const allMembers = [creatorId, ...memberIds.filter(id => id !== creatorId)]
-        const insertStmt = db.prepare('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, ?)')
-        
-        allMembers.forEach((memberId, index) => {
-          insertStmt.run(groupId, memberId, memberId === creatorId ? 1 : 0)
-        })
-        
-        insertStmt.finalize()
-        
-        // Add system message for group creation
-        addGroupSystemMessage(groupId, `${creator?.full_name || 'Someone'} created the group "${name}"`)
-          .then(() => {
-            res.json({ id: groupId, name, description, avatar, creatorId })
-          })
-          .catch(() => {
-            res.json({ id: groupId, name, description, avatar, creatorId })
-          })
-      }
-    )
+  db.run(`UPDATE organization_settings SET ${platform} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1`, [url], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+    res.json({ success: true })
   })
 })
 
-// Get all groups for a user
-app.get('/api/groups/user/:userId', (req, res) => {
-  const { userId } = req.params
+// ========== ORGANIZATION ROLES API ENDPOINTS ==========
+
+// Get all roles
+app.get('/api/roles', (req, res) => {
+  db.all('SELECT * FROM organization_roles ORDER BY category, sort_order', (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+    res.json(rows || [])
+  })
+})
+
+// Get roles by category
+app.get('/api/roles/:category', (req, res) => {
+  const { category } = req.params
+  db.all('SELECT * FROM organization_roles WHERE category = ? ORDER BY sort_order', [category], (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+    res.json(rows || [])
+  })
+})
+
+// Update a role
+app.put('/api/roles/:id', (req, res) => {
+  const { id } = req.params
+  const { title, description } = req.body
   
-  db.all(
-    `SELECT g.*, 
-            (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count,
-            gm.is_admin,
-            (SELECT content FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_content,
-            (SELECT message_type FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_type,
-            (SELECT created_at FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
-            (SELECT sender_id FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_sender_id,
-            (SELECT v.full_name FROM messages m LEFT JOIN volunteers v ON m.sender_id = v.id WHERE m.group_id = g.id ORDER BY m.created_at DESC LIMIT 1) as last_message_sender_name,
-            (SELECT COUNT(*) FROM messages WHERE group_id = g.id AND sender_id != ? AND is_read = 0) as unread_count
-     FROM group_chats g
-     JOIN group_members gm ON g.id = gm.group_id
-     WHERE gm.user_id = ?
-     ORDER BY COALESCE(g.last_message_at, g.created_at) DESC`,
-    [userId, userId],
-    (err, rows) => {
+  db.run(
+    'UPDATE organization_roles SET title = COALESCE(?, title), description = COALESCE(?, description), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [title, description, id],
+    function(err) {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
-      res.json(rows || [])
+      res.json({ success: true })
     }
   )
 })
 
-// Get group details with members
-app.get('/api/groups/:groupId', (req, res) => {
-  const { groupId } = req.params
+// Add a new role
+app.post('/api/roles', (req, res) => {
+  const { title, description, category } = req.body
   
-  db.get('SELECT * FROM group_chats WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    if (!group) {
-      return res.status(404).json({ error: 'Group not found' })
-    }
+  if (!title || !category) {
+    return res.status(400).json({ error: 'Title and category are required' })
+  }
+  
+  // Get max sort_order for the category
+  db.get('SELECT MAX(sort_order) as max_order FROM organization_roles WHERE category = ?', [category], (err, row) => {
+    const newOrder = (row?.max_order || 0) + 1
     
-    db.all(
-      `SELECT gm.*, v.full_name, v.avatar, v.wing, v.position
-       FROM group_members gm
-       JOIN volunteers v ON gm.user_id = v.id
-       WHERE gm.group_id = ?
-       ORDER BY gm.is_admin DESC, gm.joined_at ASC`,
-      [groupId],
-      (membersErr, members) => {
-        if (membersErr) {
-          return res.status(500).json({ error: membersErr.message })
+    db.run(
+      'INSERT INTO organization_roles (title, description, category, sort_order) VALUES (?, ?, ?, ?)',
+      [title, description || '', category, newOrder],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message })
         }
-        res.json({ ...group, members: members || [] })
+        res.json({ success: true, id: this.lastID })
       }
     )
   })
 })
 
-// Get group messages
-app.get('/api/groups/:groupId/messages', (req, res) => {
-  const { groupId } = req.params
+// Delete a role
+app.delete('/api/roles/:id', (req, res) => {
+  const { id } = req.params
   
-  db.all(
-    `SELECT m.*, v.full_name as sender_name, v.avatar as sender_avatar
-     FROM messages m
-     LEFT JOIN volunteers v ON m.sender_id = v.id
-     WHERE m.group_id = ?
-     ORDER BY m.created_at ASC`,
-    [groupId],
-    (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      res.json(rows || [])
+  db.run('DELETE FROM organization_roles WHERE id = ?', [id], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message })
     }
-  )
+    res.json({ success: true, deleted: this.changes > 0 })
+  })
 })
 
-// Send message to group
-app.post('/api/groups/:groupId/messages', (req, res) => {
-  const { groupId } = req.params
-  const { senderId, content, messageType = 'text', fileUrl, fileName, fileSize } = req.body
+// ========== MESSAGING API ENDPOINTS ==========
+
+// Get or create a conversation between two users
+app.post('/api/conversations', (req, res) => {
+  const { userId2 } = req.body
+  const userId1 = req.volunteer.id
   
-  if (!senderId) {
-    return res.status(400).json({ error: 'senderId is required' })
+  if (!userId1 || !userId2) {
+    return res.status(400).json({ error: 'Both user IDs are required' })
   }
   
-  db.run(
-    `INSERT INTO messages (conversation_id, group_id, sender_id, content, message_type, file_url, file_name, file_size)
-     VALUES (NULL, ?, ?, ?, ?, ?, ?, ?)`,
-    [groupId, senderId, content, messageType, fileUrl, fileName, fileSize],
-    function(err) {
+  // Always store with smaller ID first to ensure uniqueness
+  const p1 = Math.min(userId1, userId2)
+  const p2 = Math.max(userId1, userId2)
+  
+  // Check if conversation exists
+  db.get(
+    'SELECT * FROM conversations WHERE participant1_id = ? AND participant2_id = ?',
+    [p1, p2],
+    (err, existing) => {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
       
-      const messageId = this.lastID
+      if (existing) {
+        return res.json(existing)
+      }
       
-      // Update group's last message
+      // Create new conversation
       db.run(
-        'UPDATE group_chats SET last_message_id = ?, last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [messageId, groupId]
+        'INSERT INTO conversations (participant1_id, participant2_id) VALUES (?, ?)',
+        [p1, p2],
+        function(insertErr) {
+          if (insertErr) {
+            return res.status(500).json({ error: insertErr.message })
+          }
+          res.json({ id: this.lastID, participant1_id: p1, participant2_id: p2 })
+        }
+      )
+    }
+  )
+})
+
+// Get all conversations for a user
+app.get('/api/conversations/:userId', (req, res) => {
+  const { userId } = req.params
+  
+  db.all(
+    `SELECT c.*, 
+      CASE WHEN c.participant1_id = ? THEN v2.id ELSE v1.id END as other_user_id,
+      CASE WHEN c.participant1_id = ? THEN v2.full_name ELSE v1.full_name END as other_user_name,
+      CASE WHEN c.participant1_id = ? THEN v2.avatar ELSE v1.avatar END as other_user_avatar,
+      CASE WHEN c.participant1_id = ? THEN v2.wing ELSE v1.wing END as other_user_wing,
+      m.content as last_message_content,
+      m.message_type as last_message_type,
+      m.created_at as last_message_time,
+      m.sender_id as last_message_sender,
+      (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id AND sender_id != ? AND is_read = 0) as unread_count
+     FROM conversations c
+     JOIN volunteers v1 ON c.participant1_id = v1.id
+     JOIN volunteers v2 ON c.participant2_id = v2.id
+     LEFT JOIN messages m ON c.last_message_id = m.id
+     WHERE c.participant1_id = ? OR c.participant2_id = ?
+     ORDER BY c.last_message_at DESC NULLS LAST, c.created_at DESC`,
+    [userId, userId, userId, userId, userId, userId, userId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      res.json(rows || [])
+    }
+  )
+})
+
+// Get messages for a conversation with pagination
+app.get('/api/conversations/:conversationId/messages', (req, res) => {
+  const { conversationId } = req.params
+  const { limit = 15, before } = req.query
+  const userId = req.volunteer.id
+  
+  touchPresence(userId).catch(err => console.error('[Presence] Update failed:', err.message))
+  
+  // Get other participant info for seen avatar
+  db.get(`
+    SELECT 
+      CASE WHEN participant1_id = ? THEN participant2_id ELSE participant1_id END as other_user_id
+    FROM conversations WHERE id = ?
+  `, [userId || 0, conversationId], (err, conv) => {
+    const otherUserId = conv?.other_user_id
+    
+    let query = `
+      SELECT m.*, v.full_name as sender_name, v.avatar as sender_avatar
+      FROM messages m
+      JOIN volunteers v ON m.sender_id = v.id
+      WHERE m.conversation_id = ?
+    `
+    const params = [conversationId]
+    
+    if (before) {
+      query += ' AND m.id < ?'
+      params.push(before)
+    }
+    
+    query += ' ORDER BY m.created_at DESC LIMIT ?'
+    params.push(parseInt(limit))
+    
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      
+      // Check if there are more messages
+      const oldestId = rows?.length > 0 ? rows[rows.length - 1].id : null
+      db.get('SELECT COUNT(*) as count FROM messages WHERE conversation_id = ? AND id < ?', 
+        [conversationId, oldestId || 0], 
+        (countErr, countRow) => {
+          const hasMore = (countRow?.count || 0) > 0
+          
+          // Get the other user's avatar for seen indicator
+          db.get('SELECT avatar, full_name FROM volunteers WHERE id = ?', [otherUserId], (avatarErr, otherUser) => {
+            res.json({
+              messages: (rows || []).reverse(),
+              hasMore,
+              oldestId,
+              otherUserAvatar: otherUser?.avatar,
+              otherUserName: otherUser?.full_name
+            })
+          })
+        }
+      )
+    })
+  })
+})
+
+// Send a message
+app.post('/api/messages', (req, res) => {
+  const { conversationId, content, messageType = 'text', fileUrl, fileName, fileSize } = req.body
+  const senderId = req.volunteer.id
+  
+  if (!conversationId || !senderId) {
+    return res.status(400).json({ error: 'conversationId and senderId are required' })
+  }
+  
+  if (messageType === 'text' && !content) {
+    return res.status(400).json({ error: 'Content is required for text messages' })
+  }
+  
+  db.run(
+    `INSERT INTO messages (conversation_id, sender_id, content, message_type, file_url, file_name, file_size)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [conversationId, senderId, content, messageType, fileUrl, fileName, fileSize],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      
+      const messageId = this.lastID
+      
+      // Update conversation's last message
+      db.run(
+        'UPDATE conversations SET last_message_id = ?, last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [messageId, conversationId]
       )
       
+      // Get recipient and send notification
+      db.get(`
+        SELECT c.user1_id, c.user2_id, v.full_name as sender_name, v.avatar as sender_avatar
+        FROM conversations c
+        JOIN volunteers v ON v.id = ?
+        WHERE c.id = ?
+      `, [senderId, conversationId], (convErr, convData) => {
+        if (!convErr && convData) {
+          const recipientId = convData.user1_id == senderId ? convData.user2_id : convData.user1_id;
+          const notifType = messageType === 'image' ? 'message_image' : 'message';
+          const preview = messageType === 'text' ? (content.length > 50 ? content.slice(0, 50) + '...' : content) : (messageType === 'image' ? 'Sent an image' : 'Sent a file');
+          
+          createNotification(recipientId, notifType, `sent you a message`, {
+            data: { 
+              senderId: parseInt(senderId), 
+              conversationId: parseInt(conversationId),
+              preview 
+            },
+            actorId: parseInt(senderId),
+            actorName: convData.sender_name,
+            actorAvatar: convData.sender_avatar,
+            priority: 'normal'
+          }).catch(console.error);
+        }
+      });
+      
       // Return the created message with sender info
       db.get(
         `SELECT m.*, v.full_name as sender_name, v.avatar as sender_avatar
@@ -1365,6 +2254,7 @@ app.post('/api/groups/:groupId/messages', (req, res) => {
           if (getErr) {
             return res.status(500).json({ error: getErr.message })
           }
+          publishToConversation(conversationId, 'message', message)
           res.json(message)
         }
       )
@@ -1372,354 +2262,361 @@ app.post('/api/groups/:groupId/messages', (req, res) => {
   )
 })
 
-// Update group details (for admins)
-app.put('/api/groups/:groupId', (req, res) => {
-  const { groupId } = req.params
-  const { userId, name, description, avatar, allowMemberAdd } = req.body
+// Mark messages as read
+app.put('/api/conversations/:conversationId/read', (req, res) => {
+  const { conversationId } = req.params
+  const userId = req.volunteer.id
   
-  // Check if user is admin
-  db.get(
-    'SELECT is_admin FROM group_members WHERE group_id = ? AND user_id = ?',
-    [groupId, userId],
-    (err, member) => {
-      if (err || !member || !member.is_admin) {
-        return res.status(403).json({ error: 'Only admins can update group' })
+  touchPresence(userId).catch(err => console.error('[Presence] Update failed:', err.message))
+  
+  db.run(
+    `UPDATE messages SET is_read = 1, status = 'read', read_at = CURRENT_TIMESTAMP 
+     WHERE conversation_id = ? AND sender_id != ? AND is_read = 0`,
+    [conversationId, userId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message })
       }
-      
-      const updates = []
-      const params = []
-      
-      if (name) { updates.push('name = ?'); params.push(name) }
-      if (description !== undefined) { updates.push('description = ?'); params.push(description) }
-      if (avatar !== undefined) { updates.push('avatar = ?'); params.push(avatar) }
-      if (allowMemberAdd !== undefined) { updates.push('allow_member_add = ?'); params.push(allowMemberAdd ? 1 : 0) }
-      
-      if (updates.length === 0) {
-        return res.status(400).json({ error: 'No updates provided' })
+      if (this.changes > 0) {
+        publishToConversation(conversationId, 'receipt', {
+          conversationId: parseInt(conversationId), userId, status: 'read', at: new Date().toISOString()
+        }, userId)
       }
-      
-      params.push(groupId)
-      
-      db.run(
-        `UPDATE group_chats SET ${updates.join(', ')} WHERE id = ?`,
-        params,
-        function(updateErr) {
-          if (updateErr) {
-            return res.status(500).json({ error: updateErr.message })
-          }
-          res.json({ success: true })
-        }
-      )
+      res.json({ success: true, updated: this.changes })
     }
   )
 })
 
-// Add member to group
-app.post('/api/groups/:groupId/members', (req, res) => {
-  const { groupId } = req.params
-  const { userId, addedBy } = req.body
+// Get unread message count for a user
+app.get('/api/messages/unread/:userId', (req, res) => {
+  const { userId } = req.params
   
-  // Check if adder has permission
   db.get(
-    `SELECT g.allow_member_add, g.creator_id, gm.is_admin 
-     FROM group_chats g
-     JOIN group_members gm ON g.id = gm.group_id
-     WHERE g.id = ? AND gm.user_id = ?`,
-    [groupId, addedBy],
-    (err, result) => {
-      if (err || !result) {
-        return res.status(403).json({ error: 'Not authorized to add members' })
-      }
-      
-      // Check if user can add (is admin or group allows member add)
-      if (!result.is_admin && !result.allow_member_add) {
-        return res.status(403).json({ error: 'Only admins can add members to this group' })
+    `SELECT COUNT(*) as count FROM messages m
+     JOIN conversations c ON m.conversation_id = c.id
+     WHERE (c.participant1_id = ? OR c.participant2_id = ?)
+     AND m.sender_id != ? AND m.is_read = 0`,
+    [userId, userId, userId],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
       }
-      
-      // Get names for system message
-      db.get('SELECT full_name FROM volunteers WHERE id = ?', [userId], (userErr, newMember) => {
-        db.get('SELECT full_name FROM volunteers WHERE id = ?', [addedBy], (adderErr, adder) => {
-          db.run(
-            'INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, 0)',
-            [groupId, userId],
-            function(insertErr) {
-              if (insertErr) {
-                return res.status(500).json({ error: insertErr.message })
-              }
-              
-              // Add system message
-              addGroupSystemMessage(groupId, `${adder?.full_name || 'Someone'} added ${newMember?.full_name || 'a new member'}`)
-              
-              res.json({ success: true })
-            }
-          )
-        })
-      })
+      res.json({ count: row?.count || 0 })
     }
   )
 })
 
-// Remove member from group
-app.delete('/api/groups/:groupId/members/:memberId', (req, res) => {
-  const { groupId, memberId } = req.params
-  const { removedBy } = req.body
-  
-  // Check if remover is admin and member is not creator
-  db.get(
-    `SELECT g.creator_id, gm.is_admin 
-     FROM group_chats g
-     JOIN group_members gm ON g.id = gm.group_id
-     WHERE g.id = ? AND gm.user_id = ?`,
-    [groupId, removedBy],
-    (err, result) => {
-      if (err || !result || !result.is_admin) {
-        return res.status(403).json({ error: 'Only admins can remove members' })
-      }
-      
-      // Cannot remove creator
-      if (parseInt(memberId) === result.creator_id) {
-        return res.status(403).json({ error: 'Cannot remove group creator' })
-      }
-      
-      // Get member name for system message
-      db.get('SELECT full_name FROM volunteers WHERE id = ?', [memberId], (nameErr, member) => {
-        db.run(
-          'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
-          [groupId, memberId],
-          function(deleteErr) {
-            if (deleteErr) {
-              return res.status(500).json({ error: deleteErr.message })
-            }
-            
-            // Add system message
-            addGroupSystemMessage(groupId, `${member?.full_name || 'Someone'} was removed from the group`)
-            
-            res.json({ success: true })
-          }
-        )
-      })
-    }
-  )
+// Heartbeat - marks the signed-in volunteer as active
+app.post('/api/volunteers/:userId/heartbeat', (req, res) => {
+  touchPresence(req.volunteer.id)
+    .then(() => res.json({ success: true }))
+    .catch(err => res.status(500).json({ error: err.message }))
 })
 
-// Toggle admin status (only creator can do this)
-app.put('/api/groups/:groupId/members/:memberId/admin', (req, res) => {
-  const { groupId, memberId } = req.params
-  const { changedBy, isAdmin } = req.body
-  
-  // Check if changer is creator
-  db.get('SELECT creator_id FROM group_chats WHERE id = ?', [groupId], (err, group) => {
-    if (err || !group) {
-      return res.status(404).json({ error: 'Group not found' })
-    }
-    
-    if (parseInt(changedBy) !== group.creator_id) {
-      return res.status(403).json({ error: 'Only group creator can manage admins' })
+// Get user's online status
+app.get('/api/volunteers/:userId/status', async (req, res) => {
+  const { userId } = req.params
+
+  try {
+    const presence = await ephemeralStore.get('presence', userId)
+
+    // Fall back to the persisted last_active once the presence entry has expired
+    let lastActiveMs = presence ? presence.value.lastActive : null
+    if (!presence) {
+      const row = await new Promise((resolve, reject) => {
+        db.get('SELECT last_active FROM volunteers WHERE id = ?', [userId], (err, r) => {
+          if (err) reject(err)
+          else resolve(r)
+        })
+      })
+      if (!row) {
+        return res.status(404).json({ error: 'User not found' })
+      }
+      lastActiveMs = row.last_active ? new Date(row.last_active).getTime() : null
     }
-    
-    // Cannot change creator's admin status
-    if (parseInt(memberId) === group.creator_id) {
-      return res.status(403).json({ error: 'Cannot change creator admin status' })
+
+    const diffMs = lastActiveMs ? Date.now() - lastActiveMs : Infinity
+    const isOnline = diffMs < ONLINE_WINDOW
+    const isRecent = diffMs < PRESENCE_TTL
+
+    let statusText = 'offline'
+    if (isOnline) {
+      statusText = 'Active now'
+    } else if (isRecent) {
+      const mins = Math.floor(diffMs / 60000)
+      statusText = `Active ${mins}m ago`
+    } else if (lastActiveMs) {
+      const hours = Math.floor(diffMs / 3600000)
+      if (hours < 24) {
+        statusText = `Active ${hours}h ago`
+      } else {
+        statusText = `Active ${Math.floor(hours / 24)}d ago`
+      }
     }
-    
-    // Get member name for system message
-    db.get('SELECT full_name FROM volunteers WHERE id = ?', [memberId], (nameErr, member) => {
-      db.run(
-        'UPDATE group_members SET is_admin = ? WHERE group_id = ? AND user_id = ?',
-        [isAdmin ? 1 : 0, groupId, memberId],
-        function(updateErr) {
-          if (updateErr) {
-            return res.status(500).json({ error: updateErr.message })
-          }
-          
-          // Add system message
-          const action = isAdmin ? 'is now an admin' : 'is no longer an admin'
-          addGroupSystemMessage(groupId, `${member?.full_name || 'Someone'} ${action}`)
-          
-          res.json({ success: true })
-        }
-      )
+
+    res.json({
+      isOnline,
+      isRecent,
+      statusText,
+      lastActive: lastActiveMs ? new Date(lastActiveMs).toISOString() : null
     })
-  })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
 })
 
-// Mark group messages as read
-app.put('/api/groups/:groupId/read', (req, res) => {
-  const { groupId } = req.params
-  const { userId } = req.body
+// Mark messages as delivered when user opens conversation
+app.put('/api/conversations/:conversationId/delivered', (req, res) => {
+  const { conversationId } = req.params
+  const userId = req.volunteer.id
   
   db.run(
-    'UPDATE messages SET is_read = 1 WHERE group_id = ? AND sender_id != ? AND is_read = 0',
-    [groupId, userId],
+    `UPDATE messages SET status = CASE WHEN status = 'sent' THEN 'delivered' ELSE status END, 
+     delivered_at = CASE WHEN delivered_at IS NULL THEN CURRENT_TIMESTAMP ELSE delivered_at END
+     WHERE conversation_id = ? AND sender_id != ? AND status = 'sent'`,
+    [conversationId, userId],
     function(err) {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
+      if (this.changes > 0) {
+        publishToConversation(conversationId, 'receipt', {
+          conversationId: parseInt(conversationId), userId, status: 'delivered', at: new Date().toISOString()
+        }, userId)
+      }
       res.json({ success: true, updated: this.changes })
     }
   )
 })
 
-// Leave group
-app.delete('/api/groups/:groupId/leave/:userId', (req, res) => {
-  const { groupId, userId } = req.params
+// Typing indicator endpoints
+// Typing entries expire on their own after TYPING_TTL, so a client that stops sending simply drops off
+
+// Broadcast typing status for individual conversation
+app.post('/api/conversations/:conversationId/typing', async (req, res) => {
+  const { conversationId } = req.params;
+  const { isTyping } = req.body;
+  const volunteerId = req.volunteer.id;
   
-  // Check if user is creator
-  db.get('SELECT * FROM group_chats WHERE id = ?', [groupId], (err, group) => {
-    if (err || !group) {
-      return res.status(404).json({ error: 'Group not found' })
-    }
-    
-    if (parseInt(userId) === group.creator_id) {
-      return res.status(403).json({ error: 'Creator cannot leave the group. Delete the group instead.' })
+  if (!conversationId || !volunteerId) {
+    return res.status(400).json({ error: 'conversationId and volunteerId are required' });
+  }
+  
+  try {
+    if (isTyping) {
+      await ephemeralStore.set(`typing:conversation:${conversationId}`, volunteerId, true, TYPING_TTL);
+    } else {
+      await ephemeralStore.delete(`typing:conversation:${conversationId}`, volunteerId);
     }
-    
-    // Get user name for system message and activity
-    db.get('SELECT full_name FROM volunteers WHERE id = ?', [userId], (nameErr, member) => {
-      db.run(
-        'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
-        [groupId, userId],
-        function(deleteErr) {
-          if (deleteErr) {
-            return res.status(500).json({ error: deleteErr.message })
-          }
-          
-          // Also remove from pinned if pinned
-          db.run('DELETE FROM pinned_chats WHERE user_id = ? AND group_id = ?', [userId, groupId])
-          
-          // Also remove from muted if muted
-          db.run('DELETE FROM muted_chats WHERE user_id = ? AND group_id = ?', [userId, groupId])
-          
-          // Add system message
-          addGroupSystemMessage(groupId, `${member?.full_name || 'Someone'} left the group`)
-          
-          // Add activity for leaving group
-          db.run(
-            'INSERT INTO activities (volunteer_id, activity_type, description) VALUES (?, ?, ?)',
-            [userId, 'left_group', `Left group "${group.name}"`]
-          )
-          
-          res.json({ success: true })
-        }
-      )
-    })
-  })
-})
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  
+  publishToConversation(conversationId, 'typing', {
+    conversationId: parseInt(conversationId), volunteerId, isTyping: !!isTyping
+  }, volunteerId);
+  
+  res.json({ success: true });
+});
 
-// ==================== PINNED CHATS API ====================
+// Get typing users for a conversation
+app.get('/api/conversations/:conversationId/typing', async (req, res) => {
+  const { conversationId } = req.params;
+  try {
+    const entries = await ephemeralStore.list(`typing:conversation:${conversationId}`);
+    res.json({ typingUsers: entries.map(e => parseInt(e.key)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// Pin a chat
-app.post('/api/pinned', (req, res) => {
-  const { userId, conversationId, groupId } = req.body
+// Broadcast typing status for group chat
+app.post('/api/groups/:groupId/typing', async (req, res) => {
+  const { groupId } = req.params;
+  const { isTyping } = req.body;
+  const volunteerId = req.volunteer.id;
   
-  if (!userId || (!conversationId && !groupId)) {
-    return res.status(400).json({ error: 'userId and either conversationId or groupId required' })
+  if (!groupId || !volunteerId) {
+    return res.status(400).json({ error: 'groupId and volunteerId are required' });
   }
   
-  const query = conversationId 
-    ? 'INSERT OR REPLACE INTO pinned_chats (user_id, conversation_id) VALUES (?, ?)'
-    : 'INSERT OR REPLACE INTO pinned_chats (user_id, group_id) VALUES (?, ?)'
-  const params = conversationId ? [userId, conversationId] : [userId, groupId]
-  
-  db.run(query, params, function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message })
+  try {
+    if (isTyping) {
+      await ephemeralStore.set(`typing:group:${groupId}`, volunteerId, true, TYPING_TTL);
+    } else {
+      await ephemeralStore.delete(`typing:group:${groupId}`, volunteerId);
     }
-    res.json({ success: true, id: this.lastID })
-  })
-})
-
-// Unpin a chat
-app.delete('/api/pinned', (req, res) => {
-  const { userId, conversationId, groupId } = req.body
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
   
-  const query = conversationId 
-    ? 'DELETE FROM pinned_chats WHERE user_id = ? AND conversation_id = ?'
-    : 'DELETE FROM pinned_chats WHERE user_id = ? AND group_id = ?'
-  const params = conversationId ? [userId, conversationId] : [userId, groupId]
+  publishToGroup(groupId, 'typing', {
+    groupId: parseInt(groupId),
+    volunteerId,
+    name: req.volunteer.full_name?.split(' ')[0],
+    isTyping: !!isTyping
+  }, volunteerId);
   
-  db.run(query, params, function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    res.json({ success: true })
-  })
-})
+  res.json({ success: true });
+});
 
-// Get all pinned chats for a user
-app.get('/api/pinned/:userId', (req, res) => {
-  const { userId } = req.params
+// Get typing users for a group - includes user names
+app.get('/api/groups/:groupId/typing', async (req, res) => {
+  const { groupId } = req.params;
+
+  let typingList;
+  try {
+    const entries = await ephemeralStore.list(`typing:group:${groupId}`);
+    typingList = entries.map(e => parseInt(e.key));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  
+  if (typingList.length === 0) {
+    return res.json({ typingUsers: [], typingUserNames: [] });
+  }
   
+  // Get names for typing users
+  const placeholders = typingList.map(() => '?').join(',');
   db.all(
-    `SELECT p.*, 
-            c.participant1_id, c.participant2_id,
-            g.name as group_name, g.avatar as group_avatar,
-            CASE 
-              WHEN c.id IS NOT NULL THEN 'conversation'
-              ELSE 'group'
-            END as chat_type
-     FROM pinned_chats p
-     LEFT JOIN conversations c ON p.conversation_id = c.id
-     LEFT JOIN group_chats g ON p.group_id = g.id
-     WHERE p.user_id = ?
-     ORDER BY p.pinned_at DESC`,
-    [userId],
-    (err, rows) => {
+    `SELECT id, full_name FROM volunteers WHERE id IN (${placeholders})`,
+    typingList,
+    (err, users) => {
       if (err) {
-        return res.status(500).json({ error: err.message })
+        return res.json({ typingUsers: typingList, typingUserNames: [] });
       }
-      res.json(rows || [])
-    }
-  )
-})
-
-// ==================== MUTED CHATS API ====================
+      const names = typingList.map(id => {
+        const user = users.find(u => u.id === id);
+        return user ? user.full_name?.split(' ')[0] : 'Someone';
+      });
+      res.json({ typingUsers: typingList, typingUserNames: names });
+    }
+  );
+});
 
-// Mute a chat
-app.post('/api/muted', (req, res) => {
-  const { userId, conversationId, groupId } = req.body
+// Get active members in a group (recently online)
+app.get('/api/groups/:groupId/active-members', async (req, res) => {
+  const { groupId } = req.params;
   
-  if (!userId || (!conversationId && !groupId)) {
-    return res.status(400).json({ error: 'userId and either conversationId or groupId required' })
+  let presence;
+  try {
+    presence = await getPresenceMap();
+  } catch (err) {
+    return res.json([]);
+  }
+  if (presence.size === 0) {
+    return res.json([]);
   }
   
-  const query = conversationId 
-    ? 'INSERT OR REPLACE INTO muted_chats (user_id, conversation_id) VALUES (?, ?)'
-    : 'INSERT OR REPLACE INTO muted_chats (user_id, group_id) VALUES (?, ?)'
-  const params = conversationId ? [userId, conversationId] : [userId, groupId]
-  
-  db.run(query, params, function(err) {
+  db.all(`
+    SELECT v.id, v.full_name, v.avatar
+    FROM volunteers v
+    JOIN group_members gm ON v.id = gm.user_id
+    WHERE gm.group_id = ?
+  `, [groupId], (err, members) => {
     if (err) {
-      return res.status(500).json({ error: err.message })
+      return res.json([]);
     }
-    res.json({ success: true, id: this.lastID })
+    const active = (members || [])
+      .filter(m => presence.has(m.id))
+      .map(m => ({ ...m, last_active: new Date(presence.get(m.id)).toISOString() }))
+      .sort((a, b) => presence.get(b.id) - presence.get(a.id));
+    res.json(active);
+  });
+});
+
+// ==================== GROUP CHAT API ====================
+
+// Helper function to add system message to group
+const addGroupSystemMessage = (groupId, content) => {
+  return new Promise((resolve, reject) => {
+    // Use creator_id as sender for system messages (or any existing member)
+    db.get('SELECT creator_id FROM group_chats WHERE id = ?', [groupId], (err, group) => {
+      if (err || !group) return reject(err)
+      
+      db.run(
+        `INSERT INTO messages (conversation_id, group_id, sender_id, content, message_type) VALUES (NULL, ?, ?, ?, 'system')`,
+        [groupId, group.creator_id, content],
+        function(insertErr) {
+          if (insertErr) return reject(insertErr)
+          
+          // Update group's last message
+          db.run(
+            'UPDATE group_chats SET last_message_id = ?, last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [this.lastID, groupId]
+          )
+          resolve(this.lastID)
+        }
+      )
+    })
   })
-})
+}
 
-// Unmute a chat
-app.delete('/api/muted', (req, res) => {
-  const { userId, conversationId, groupId } = req.body
+// Create a new group chat
+app.post('/api/groups', (req, res) => {
+  const { name, description, avatar, memberIds, allowMemberAdd } = req.body
+  const creatorId = req.volunteer.id
   
-  const query = conversationId 
-    ? 'DELETE FROM muted_chats WHERE user_id = ? AND conversation_id = ?'
-    : 'DELETE FROM muted_chats WHERE user_id = ? AND group_id = ?'
-  const params = conversationId ? [userId, conversationId] : [userId, groupId]
+  if (!name || !creatorId || !memberIds || memberIds.length < 2) {
+    return res.status(400).json({ error: 'Group name, creator, and at least 2 members are required' })
+  }
   
-  db.run(query, params, function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message })
-    }
-    res.json({ success: true })
+  // Get creator name for system message
+  db.get('SELECT full_name FROM volunteers WHERE id = ?', [creatorId], (nameErr, creator) => {
+    if (nameErr) return res.status(500).json({ error: nameErr.message })
+    
+    db.run(
+      'INSERT INTO group_chats (name, description, avatar, creator_id, allow_member_add) VALUES (?, ?, ?, ?, ?)',
+      [name, description || '', avatar || '', creatorId, allowMemberAdd ? 1 : 0],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message })
+        }
+        
+        const groupId = this.lastID
+        
+        // Add creator as admin
+        const allMembers = [creatorId, ...memberIds.filter(id => id !== creatorId)]
+        const insertStmt = db.prepare('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, ?)')
+        
+        allMembers.forEach((memberId, index) => {
+          insertStmt.run(groupId, memberId, memberId === creatorId ? 1 : 0)
+        })
+        
+        insertStmt.finalize()
+        
+        // Add system message for group creation
+        addGroupSystemMessage(groupId, `${creator?.full_name || 'Someone'} created the group "${name}"`)
+          .then(() => {
+            res.json({ id: groupId, name, description, avatar, creatorId })
+          })
+          .catch(() => {
+            res.json({ id: groupId, name, description, avatar, creatorId })
+          })
+      }
+    )
   })
 })
 
-// Get all muted chats for a user
-app.get('/api/muted/:userId', (req, res) => {
+// Get all groups for a user
+app.get('/api/groups/user/:userId', (req, res) => {
   const { userId } = req.params
   
   db.all(
-    'SELECT * FROM muted_chats WHERE user_id = ?',
-    [userId],
+    `SELECT g.*, 
+            (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count,
+            gm.is_admin,
+            (SELECT content FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_content,
+            (SELECT message_type FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_type,
+            (SELECT created_at FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
+            (SELECT sender_id FROM messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_sender_id,
+            (SELECT v.full_name FROM messages m LEFT JOIN volunteers v ON m.sender_id = v.id WHERE m.group_id = g.id ORDER BY m.created_at DESC LIMIT 1) as last_message_sender_name,
+            (SELECT COUNT(*) FROM messages WHERE group_id = g.id AND sender_id != ? AND is_read = 0) as unread_count
+     FROM group_chats g
+     JOIN group_members gm ON g.id = gm.group_id
+     WHERE gm.user_id = ?
+     ORDER BY COALESCE(g.last_message_at, g.created_at) DESC`,
+    [userId, userId],
     (err, rows) => {
       if (err) {
         return res.status(500).json({ error: err.message })
@@ -1729,334 +2626,800 @@ app.get('/api/muted/:userId', (req, res) => {
   )
 })
 
-// ==================== BLOCKED USERS API ====================
-
-// Block a user
-app.post('/api/blocked', (req, res) => {
-  const { userId, blockedUserId } = req.body
+// Get group details with members
+app.get('/api/groups/:groupId', (req, res) => {
+  const { groupId } = req.params
   
-  if (!userId || !blockedUserId) {
-    return res.status(400).json({ error: 'userId and blockedUserId are required' })
-  }
+  db.get('SELECT * FROM group_chats WHERE id = ?', [groupId], (err, group) => {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' })
+    }
+    
+    db.all(
+      `SELECT gm.*, v.full_name, v.avatar, v.wing, v.position
+       FROM group_members gm
+       JOIN volunteers v ON gm.user_id = v.id
+       WHERE gm.group_id = ?
+       ORDER BY gm.is_admin DESC, gm.joined_at ASC`,
+      [groupId],
+      (membersErr, members) => {
+        if (membersErr) {
+          return res.status(500).json({ error: membersErr.message })
+        }
+        res.json({ ...group, members: members || [] })
+      }
+    )
+  })
+})
+
+// Get group messages
+app.get('/api/groups/:groupId/messages', (req, res) => {
+  const { groupId } = req.params
   
-  db.run(
-    'INSERT OR REPLACE INTO blocked_users (user_id, blocked_user_id) VALUES (?, ?)',
-    [userId, blockedUserId],
-    function(err) {
+  db.all(
+    `SELECT m.*, v.full_name as sender_name, v.avatar as sender_avatar
+     FROM messages m
+     LEFT JOIN volunteers v ON m.sender_id = v.id
+     WHERE m.group_id = ?
+     ORDER BY m.created_at ASC`,
+    [groupId],
+    (err, rows) => {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
-      res.json({ success: true, id: this.lastID })
+      res.json(rows || [])
     }
   )
 })
 
-// Unblock a user
-app.delete('/api/blocked', (req, res) => {
-  const { userId, blockedUserId } = req.body
+// Send message to group
+app.post('/api/groups/:groupId/messages', (req, res) => {
+  const { groupId } = req.params
+  const { content, messageType = 'text', fileUrl, fileName, fileSize } = req.body
+  const senderId = req.volunteer.id
+  
+  if (!senderId) {
+    return res.status(400).json({ error: 'senderId is required' })
+  }
   
   db.run(
-    'DELETE FROM blocked_users WHERE user_id = ? AND blocked_user_id = ?',
-    [userId, blockedUserId],
+    `INSERT INTO messages (conversation_id, group_id, sender_id, content, message_type, file_url, file_name, file_size)
+     VALUES (NULL, ?, ?, ?, ?, ?, ?, ?)`,
+    [groupId, senderId, content, messageType, fileUrl, fileName, fileSize],
     function(err) {
       if (err) {
         return res.status(500).json({ error: err.message })
       }
-      res.json({ success: true })
+      
+      const messageId = this.lastID
+      
+      // Update group's last message
+      db.run(
+        'UPDATE group_chats SET last_message_id = ?, last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [messageId, groupId]
+      )
+      
+      // Return the created message with sender info
+      db.get(
+        `SELECT m.*, v.full_name as sender_name, v.avatar as sender_avatar
+         FROM messages m
+         JOIN volunteers v ON m.sender_id = v.id
+         WHERE m.id = ?`,
+        [messageId],
+        (getErr, message) => {
+          if (getErr) {
+            return res.status(500).json({ error: getErr.message })
+          }
+          publishToGroup(groupId, 'group_message', message)
+          res.json(message)
+        }
+      )
     }
   )
 })
 
-// Get all blocked users for a user
-app.get('/api/blocked/:userId', (req, res) => {
-  const { userId } = req.params
+// Update group details (for admins)
+app.put('/api/groups/:groupId', (req, res) => {
+  const { groupId } = req.params
+  const { name, description, avatar, allowMemberAdd } = req.body
+  const userId = req.volunteer.id
   
-  db.all(
-    `SELECT b.*, v.full_name, v.avatar 
-     FROM blocked_users b
-     JOIN volunteers v ON b.blocked_user_id = v.id
-     WHERE b.user_id = ?`,
-    [userId],
-    (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
+  // Check if user is admin
+  db.get(
+    'SELECT is_admin FROM group_members WHERE group_id = ? AND user_id = ?',
+    [groupId, userId],
+    (err, member) => {
+      if (err || !member || !member.is_admin) {
+        return res.status(403).json({ error: 'Only admins can update group' })
       }
-      res.json(rows || [])
-    }
-  )
-})
-
-// Upload avatar for groups or general use
-const avatarUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      const dir = path.join(__dirname, 'public', 'avatars')
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true })
+      
+      const updates = []
+      const params = []
+      
+      if (name) { updates.push('name = ?'); params.push(name) }
+      if (description !== undefined) { updates.push('description = ?'); params.push(description) }
+      if (avatar !== undefined) { updates.push('avatar = ?'); params.push(avatar) }
+      if (allowMemberAdd !== undefined) { updates.push('allow_member_add = ?'); params.push(allowMemberAdd ? 1 : 0) }
+      
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No updates provided' })
       }
-      cb(null, dir)
-    },
-    filename: (req, file, cb) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-      const ext = path.extname(file.originalname)
-      cb(null, `group_${uniqueSuffix}${ext}`)
+      
+      params.push(groupId)
+      
+      db.run(
+        `UPDATE group_chats SET ${updates.join(', ')} WHERE id = ?`,
+        params,
+        function(updateErr) {
+          if (updateErr) {
+            return res.status(500).json({ error: updateErr.message })
+          }
+          res.json({ success: true })
+        }
+      )
     }
-  }),
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+  )
 })
 
-app.post('/api/upload-avatar', avatarUpload.single('avatar'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' })
-  }
+// Add member to group
+app.post('/api/groups/:groupId/members', (req, res) => {
+  const { groupId } = req.params
+  const { userId } = req.body
+  const addedBy = req.volunteer.id
   
-  const avatarUrl = `/avatars/${req.file.filename}`
-  res.json({ avatarUrl })
-})
-
-// Upload file for chat (images, videos, files)
-const chatUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      const dir = path.join(__dirname, 'public', 'chat-files')
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true })
+  // Check if adder has permission
+  db.get(
+    `SELECT g.allow_member_add, g.creator_id, gm.is_admin 
+     FROM group_chats g
+     JOIN group_members gm ON g.id = gm.group_id
+     WHERE g.id = ? AND gm.user_id = ?`,
+    [groupId, addedBy],
+    (err, result) => {
+      if (err || !result) {
+        return res.status(403).json({ error: 'Not authorized to add members' })
       }
-      cb(null, dir)
-    },
-    filename: (req, file, cb) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-      const ext = path.extname(file.originalname)
-      cb(null, `chat_${uniqueSuffix}${ext}`)
+      
+      // Check if user can add (is admin or group allows member add)
+      if (!result.is_admin && !result.allow_member_add) {
+        return res.status(403).json({ error: 'Only admins can add members to this group' })
+      }
+      
+      // Get names for system message
+      db.get('SELECT full_name FROM volunteers WHERE id = ?', [userId], (userErr, newMember) => {
+        db.get('SELECT full_name FROM volunteers WHERE id = ?', [addedBy], (adderErr, adder) => {
+          db.run(
+            'INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, 0)',
+            [groupId, userId],
+            function(insertErr) {
+              if (insertErr) {
+                return res.status(500).json({ error: insertErr.message })
+              }
+              
+              // Add system message
+              addGroupSystemMessage(groupId, `${adder?.full_name || 'Someone'} added ${newMember?.full_name || 'a new member'}`)
+              
+              res.json({ success: true })
+            }
+          )
+        })
+      })
     }
-  }),
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+  )
 })
 
-// Upload images for wing posts
-const postImageUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      const dir = path.join(__dirname, 'public', 'post-images')
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true })
+// Remove member from group
+app.delete('/api/groups/:groupId/members/:memberId', (req, res) => {
+  const { groupId, memberId } = req.params
+  const removedBy = req.volunteer.id
+  
+  // Check if remover is admin and member is not creator
+  db.get(
+    `SELECT g.creator_id, gm.is_admin 
+     FROM group_chats g
+     JOIN group_members gm ON g.id = gm.group_id
+     WHERE g.id = ? AND gm.user_id = ?`,
+    [groupId, removedBy],
+    (err, result) => {
+      if (err || !result || !result.is_admin) {
+        return res.status(403).json({ error: 'Only admins can remove members' })
       }
-      cb(null, dir)
-    },
-    filename: (req, file, cb) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-      const ext = path.extname(file.originalname)
-      cb(null, `post_${uniqueSuffix}${ext}`)
+      
+      // Cannot remove creator
+      if (parseInt(memberId) === result.creator_id) {
+        return res.status(403).json({ error: 'Cannot remove group creator' })
+      }
+      
+      // Get member name for system message
+      db.get('SELECT full_name FROM volunteers WHERE id = ?', [memberId], (nameErr, member) => {
+        db.run(
+          'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
+          [groupId, memberId],
+          function(deleteErr) {
+            if (deleteErr) {
+              return res.status(500).json({ error: deleteErr.message })
+            }
+            
+            // Add system message
+            addGroupSystemMessage(groupId, `${member?.full_name || 'Someone'} was removed from the group`)
+            
+            res.json({ success: true })
+          }
+        )
+      })
     }
-  }),
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit per image
+  )
 })
 
-// Upload single post image
-app.post('/api/posts/upload-image', postImageUpload.single('image'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No image uploaded' })
-  }
+// Toggle admin status (only creator can do this)
+app.put('/api/groups/:groupId/members/:memberId/admin', (req, res) => {
+  const { groupId, memberId } = req.params
+  const { isAdmin } = req.body
+  const changedBy = req.volunteer.id
   
-  const imageUrl = `/post-images/${req.file.filename}`
-  res.json({ imageUrl })
-})
-
-// Upload course slides (PowerPoint/PDF)
-const courseSlideUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      const dir = path.join(__dirname, 'public', 'course-slides')
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true })
-      }
-      cb(null, dir)
-    },
-    filename: (req, file, cb) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-      const ext = path.extname(file.originalname)
-      cb(null, `slide_${uniqueSuffix}${ext}`)
+  // Check if changer is creator
+  db.get('SELECT creator_id FROM group_chats WHERE id = ?', [groupId], (err, group) => {
+    if (err || !group) {
+      return res.status(404).json({ error: 'Group not found' })
     }
-  }),
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'application/pdf'
-    ]
-    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(ppt|pptx|pdf)$/i)) {
-      cb(null, true)
-    } else {
-      cb(new Error('Invalid file type. Only PowerPoint and PDF files are allowed.'))
+    
+    if (parseInt(changedBy) !== group.creator_id) {
+      return res.status(403).json({ error: 'Only group creator can manage admins' })
     }
-  }
+    
+    // Cannot change creator's admin status
+    if (parseInt(memberId) === group.creator_id) {
+      return res.status(403).json({ error: 'Cannot change creator admin status' })
+    }
+    
+    // Get member name for system message
+    db.get('SELECT full_name FROM volunteers WHERE id = ?', [memberId], (nameErr, member) => {
+      db.run(
+        'UPDATE group_members SET is_admin = ? WHERE group_id = ? AND user_id = ?',
+        [isAdmin ? 1 : 0, groupId, memberId],
+        function(updateErr) {
+          if (updateErr) {
+            return res.status(500).json({ error: updateErr.message })
+          }
+          
+          // Add system message
+          const action = isAdmin ? 'is now an admin' : 'is no longer an admin'
+          addGroupSystemMessage(groupId, `${member?.full_name || 'Someone'} ${action}`)
+          
+          res.json({ success: true })
+        }
+      )
+    })
+  })
 })
 
-app.post('/api/upload', courseSlideUpload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' })
-  }
+// Mark group messages as read
+app.put('/api/groups/:groupId/read', (req, res) => {
+  const { groupId } = req.params
+  const userId = req.volunteer.id
   
-  const filePath = `/course-slides/${req.file.filename}`
-  res.json({ 
-    filePath,
-    fileName: req.file.originalname,
-    fileSize: req.file.size
-  })
+  db.run(
+    'UPDATE messages SET is_read = 1 WHERE group_id = ? AND sender_id != ? AND is_read = 0',
+    [groupId, userId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      if (this.changes > 0) {
+        publishToGroup(groupId, 'receipt', {
+          groupId: parseInt(groupId), userId, status: 'read', at: new Date().toISOString()
+        }, userId)
+      }
+      res.json({ success: true, updated: this.changes })
+    }
+  )
 })
 
-// Get slide count and info from PPT file
-app.get('/api/slides/info', async (req, res) => {
-  const { file } = req.query
-  if (!file) {
-    return res.status(400).json({ error: 'File path required' })
-  }
-  
-  const filePath = path.join(__dirname, 'public', file)
+// Leave group
+app.delete('/api/groups/:groupId/leave/:userId', requireSelf('userId'), (req, res) => {
+  const { groupId, userId } = req.params
   
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found' })
-  }
-  
-  try {
-    // For PPTX files, we can extract slide count from the ZIP structure
-    if (file.match(/\.pptx$/i)) {
-      const JSZip = (await import('jszip')).default
-      const data = fs.readFileSync(filePath)
-      const zip = await JSZip.loadAsync(data)
-      
-      // Count slides by looking for slide XML files
-      let slideCount = 0
-      zip.folder('ppt/slides')?.forEach((relativePath) => {
-        if (relativePath.match(/^slide\d+\.xml$/)) {
-          slideCount++
-        }
-      })
-      
-      res.json({ slideCount: slideCount || 1, format: 'pptx' })
-    } else if (file.match(/\.pdf$/i)) {
-      // For PDF, use pdf-lib to get page count
-      const { PDFDocument } = await import('pdf-lib')
-      const pdfBytes = fs.readFileSync(filePath)
-      const pdfDoc = await PDFDocument.load(pdfBytes)
-      res.json({ slideCount: pdfDoc.getPageCount(), format: 'pdf' })
-    } else {
-      res.json({ slideCount: 10, format: 'ppt' }) // Default for old .ppt format
+  // Check if user is creator
+  db.get('SELECT * FROM group_chats WHERE id = ?', [groupId], (err, group) => {
+    if (err || !group) {
+      return res.status(404).json({ error: 'Group not found' })
     }
-  } catch (err) {
-    console.error('Error getting slide info:', err)
-    res.json({ slideCount: 10, format: 'unknown' })
-  }
+    
+    if (parseInt(userId) === group.creator_id) {
+      return res.status(403).json({ error: 'Creator cannot leave the group. Delete the group instead.' })
+    }
+    
+    // Get user name for system message and activity
+    db.get('SELECT full_name FROM volunteers WHERE id = ?', [userId], (nameErr, member) => {
+      db.run(
+        'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
+        [groupId, userId],
+        function(deleteErr) {
+          if (deleteErr) {
+            return res.status(500).json({ error: deleteErr.message })
+          }
+          
+          // Also remove from pinned if pinned
+          db.run('DELETE FROM pinned_chats WHERE user_id = ? AND group_id = ?', [userId, groupId])
+          
+          // Also remove from muted if muted
+          db.run('DELETE FROM muted_chats WHERE user_id = ? AND group_id = ?', [userId, groupId])
+          
+          // Add system message
+          addGroupSystemMessage(groupId, `${member?.full_name || 'Someone'} left the group`)
+          
+          // Add activity for leaving group
+          db.run(
+            'INSERT INTO activities (volunteer_id, activity_type, description) VALUES (?, ?, ?)',
+            [userId, 'left_group', `Left group "${group.name}"`]
+          )
+          
+          res.json({ success: true })
+        }
+      )
+    })
+  })
 })
 
-// Convert PPT to PDF and then to images using LibreOffice (if available)
-app.get('/api/slides/convert', async (req, res) => {
-  const { file } = req.query
-  if (!file) {
-    return res.status(400).json({ error: 'File path required' })
-  }
-  
-  const filePath = path.join(__dirname, 'public', file)
-  const outputDir = path.join(__dirname, 'public', 'slide-images')
-  const fileBaseName = path.basename(file, path.extname(file))
-  const slideImagesDir = path.join(outputDir, fileBaseName)
+// ==================== PINNED CHATS API ====================
+
+// Pin a chat
+app.post('/api/pinned', (req, res) => {
+  const { conversationId, groupId } = req.body
+  const userId = req.volunteer.id
   
-  // Create output directories
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true })
+  if (!userId || (!conversationId && !groupId)) {
+    return res.status(400).json({ error: 'userId and either conversationId or groupId required' })
   }
   
-  // Check if images already exist
-  if (fs.existsSync(slideImagesDir)) {
-    const images = fs.readdirSync(slideImagesDir).filter(f => f.endsWith('.png')).sort()
-    if (images.length > 0) {
-      return res.json({
-        success: true,
-        images: images.map(img => `/slide-images/${fileBaseName}/${img}`),
-        cached: true
-      })
+  const query = conversationId 
+    ? 'INSERT OR REPLACE INTO pinned_chats (user_id, conversation_id) VALUES (?, ?)'
+    : 'INSERT OR REPLACE INTO pinned_chats (user_id, group_id) VALUES (?, ?)'
+  const params = conversationId ? [userId, conversationId] : [userId, groupId]
+  
+  db.run(query, params, function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message })
     }
-  }
+    res.json({ success: true, id: this.lastID })
+  })
+})
+
+// Unpin a chat
+app.delete('/api/pinned', (req, res) => {
+  const { conversationId, groupId } = req.body
+  const userId = req.volunteer.id
   
-  // Create slide images directory
-  fs.mkdirSync(slideImagesDir, { recursive: true })
+  const query = conversationId 
+    ? 'DELETE FROM pinned_chats WHERE user_id = ? AND conversation_id = ?'
+    : 'DELETE FROM pinned_chats WHERE user_id = ? AND group_id = ?'
+  const params = conversationId ? [userId, conversationId] : [userId, groupId]
   
-  try {
-    // Try to use LibreOffice for conversion
-    const pdfPath = path.join(slideImagesDir, `${fileBaseName}.pdf`)
-    
-    // Convert PPT to PDF using LibreOffice
-    try {
-      await execAsync(`soffice --headless --convert-to pdf --outdir "${slideImagesDir}" "${filePath}"`)
-    } catch (convertErr) {
-      console.log('LibreOffice not available, using fallback')
-      // Return message that conversion is not available
-      return res.json({
-        success: false,
-        error: 'LibreOffice not installed for local conversion. Use Office Online viewer in production.',
-        useOnlineViewer: true
-      })
-    }
-    
-    // Check if PDF was created
-    const generatedPdf = fs.readdirSync(slideImagesDir).find(f => f.endsWith('.pdf'))
-    if (!generatedPdf) {
-      throw new Error('PDF conversion failed')
+  db.run(query, params, function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message })
     }
-    
-    res.json({
-      success: true,
-      pdfPath: `/slide-images/${fileBaseName}/${generatedPdf}`,
-      message: 'PDF generated successfully'
-    })
-  } catch (err) {
-    console.error('Slide conversion error:', err)
-    res.json({
-      success: false,
-      error: err.message,
-      useOnlineViewer: true
-    })
-  }
+    res.json({ success: true })
+  })
 })
 
-app.post('/api/chat/upload', chatUpload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' })
-  }
+// Get all pinned chats for a user
+app.get('/api/pinned/:userId', (req, res) => {
+  const { userId } = req.params
   
-  const fileUrl = `/chat-files/${req.file.filename}`
-  const fileName = req.file.originalname
-  const fileSize = req.file.size
-  const mimeType = req.file.mimetype
+  db.all(
+    `SELECT p.*, 
+            c.participant1_id, c.participant2_id,
+            g.name as group_name, g.avatar as group_avatar,
+            CASE 
+              WHEN c.id IS NOT NULL THEN 'conversation'
+              ELSE 'group'
+            END as chat_type
+     FROM pinned_chats p
+     LEFT JOIN conversations c ON p.conversation_id = c.id
+     LEFT JOIN group_chats g ON p.group_id = g.id
+     WHERE p.user_id = ?
+     ORDER BY p.pinned_at DESC`,
+    [userId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      res.json(rows || [])
+    }
+  )
+})
+
+// ==================== MUTED CHATS API ====================
+
+// Mute a chat
+app.post('/api/muted', (req, res) => {
+  const { conversationId, groupId } = req.body
+  const userId = req.volunteer.id
   
-  // Determine message type based on mime type
-  let messageType = 'file'
-  if (mimeType.startsWith('image/')) {
-    messageType = 'image'
-  } else if (mimeType.startsWith('video/')) {
-    messageType = 'video'
-  } else if (mimeType.startsWith('audio/')) {
-    messageType = 'audio'
+  if (!userId || (!conversationId && !groupId)) {
+    return res.status(400).json({ error: 'userId and either conversationId or groupId required' })
   }
   
-  res.json({ fileUrl, fileName, fileSize, messageType })
+  const query = conversationId 
+    ? 'INSERT OR REPLACE INTO muted_chats (user_id, conversation_id) VALUES (?, ?)'
+    : 'INSERT OR REPLACE INTO muted_chats (user_id, group_id) VALUES (?, ?)'
+  const params = conversationId ? [userId, conversationId] : [userId, groupId]
+  
+  db.run(query, params, function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+    res.json({ success: true, id: this.lastID })
+  })
 })
 
-// Migration: Backfill activities for existing volunteers
-app.post('/api/migrate-activities', (req, res) => {
-  // Get all volunteers
-  db.all('SELECT id, created_at FROM volunteers', (err, volunteers) => {
+// Unmute a chat
+app.delete('/api/muted', (req, res) => {
+  const { conversationId, groupId } = req.body
+  const userId = req.volunteer.id
+  
+  const query = conversationId 
+    ? 'DELETE FROM muted_chats WHERE user_id = ? AND conversation_id = ?'
+    : 'DELETE FROM muted_chats WHERE user_id = ? AND group_id = ?'
+  const params = conversationId ? [userId, conversationId] : [userId, groupId]
+  
+  db.run(query, params, function(err) {
     if (err) {
       return res.status(500).json({ error: err.message })
     }
+    res.json({ success: true })
+  })
+})
 
-    let processedCount = 0
-    let activitiesAdded = 0
+// Get all muted chats for a user
+app.get('/api/muted/:userId', (req, res) => {
+  const { userId } = req.params
+  
+  db.all(
+    'SELECT * FROM muted_chats WHERE user_id = ?',
+    [userId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      res.json(rows || [])
+    }
+  )
+})
 
-    volunteers.forEach(volunteer => {
-      // Check if join activity already exists
-      db.get(
+// ==================== BLOCKED USERS API ====================
+
+// Block a user
+app.post('/api/blocked', (req, res) => {
+  const { blockedUserId } = req.body
+  const userId = req.volunteer.id
+  
+  if (!userId || !blockedUserId) {
+    return res.status(400).json({ error: 'userId and blockedUserId are required' })
+  }
+  
+  db.run(
+    'INSERT OR REPLACE INTO blocked_users (user_id, blocked_user_id) VALUES (?, ?)',
+    [userId, blockedUserId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      res.json({ success: true, id: this.lastID })
+    }
+  )
+})
+
+// Unblock a user
+app.delete('/api/blocked', (req, res) => {
+  const { blockedUserId } = req.body
+  const userId = req.volunteer.id
+  
+  db.run(
+    'DELETE FROM blocked_users WHERE user_id = ? AND blocked_user_id = ?',
+    [userId, blockedUserId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      res.json({ success: true })
+    }
+  )
+})
+
+// Get all blocked users for a user
+app.get('/api/blocked/:userId', (req, res) => {
+  const { userId } = req.params
+  
+  db.all(
+    `SELECT b.*, v.full_name, v.avatar 
+     FROM blocked_users b
+     JOIN volunteers v ON b.blocked_user_id = v.id
+     WHERE b.user_id = ?`,
+    [userId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      res.json(rows || [])
+    }
+  )
+})
+
+// Upload avatar for groups or general use
+const avatarUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(__dirname, 'public', 'avatars')
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+      }
+      cb(null, dir)
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+      const ext = path.extname(file.originalname)
+      cb(null, `group_${uniqueSuffix}${ext}`)
+    }
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+})
+
+app.post('/api/upload-avatar', avatarUpload.single('avatar'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' })
+  }
+  
+  const avatarUrl = `/avatars/${req.file.filename}`
+  res.json({ avatarUrl })
+})
+
+// Upload file for chat (images, videos, files)
+const chatUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(__dirname, 'public', 'chat-files')
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+      }
+      cb(null, dir)
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+      const ext = path.extname(file.originalname)
+      cb(null, `chat_${uniqueSuffix}${ext}`)
+    }
+  }),
+  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+})
+
+// Upload images for wing posts
+const postImageUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(__dirname, 'public', 'post-images')
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+      }
+      cb(null, dir)
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+      const ext = path.extname(file.originalname)
+      cb(null, `post_${uniqueSuffix}${ext}`)
+    }
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit per image
+})
+
+// Upload single post image
+app.post('/api/posts/upload-image', postImageUpload.single('image'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded' })
+  }
+  
+  const imageUrl = `/post-images/${req.file.filename}`
+  res.json({ imageUrl })
+})
+
+// Upload course slides (PowerPoint/PDF)
+const courseSlideUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(__dirname, 'public', 'course-slides')
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+      }
+      cb(null, dir)
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+      const ext = path.extname(file.originalname)
+      cb(null, `slide_${uniqueSuffix}${ext}`)
+    }
+  }),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/pdf'
+    ]
+    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(ppt|pptx|pdf)$/i)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only PowerPoint and PDF files are allowed.'))
+    }
+  }
+})
+
+app.post('/api/upload', courseSlideUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' })
+  }
+  
+  const filePath = `/course-slides/${req.file.filename}`
+  res.json({ 
+    filePath,
+    fileName: req.file.originalname,
+    fileSize: req.file.size
+  })
+})
+
+// Get slide count and info from PPT file
+app.get('/api/slides/info', async (req, res) => {
+  const { file } = req.query
+  if (!file) {
+    return res.status(400).json({ error: 'File path required' })
+  }
+  
+  const filePath = path.join(__dirname, 'public', file)
+  
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' })
+  }
+  
+  try {
+    // For PPTX files, we can extract slide count from the ZIP structure
+    if (file.match(/\.pptx$/i)) {
+      const JSZip = (await import('jszip')).default
+      const data = fs.readFileSync(filePath)
+      const zip = await JSZip.loadAsync(data)
+      
+      // Count slides by looking for slide XML files
+      let slideCount = 0
+      zip.folder('ppt/slides')?.forEach((relativePath) => {
+        if (relativePath.match(/^slide\d+\.xml$/)) {
+          slideCount++
+        }
+      })
+      
+      res.json({ slideCount: slideCount || 1, format: 'pptx' })
+    } else if (file.match(/\.pdf$/i)) {
+      // For PDF, use pdf-lib to get page count
+      const { PDFDocument } = await import('pdf-lib')
+      const pdfBytes = fs.readFileSync(filePath)
+      const pdfDoc = await PDFDocument.load(pdfBytes)
+      res.json({ slideCount: pdfDoc.getPageCount(), format: 'pdf' })
+    } else {
+      res.json({ slideCount: 10, format: 'ppt' }) // Default for old .ppt format
+    }
+  } catch (err) {
+    console.error('Error getting slide info:', err)
+    res.json({ slideCount: 10, format: 'unknown' })
+  }
+})
+
+// Convert PPT to PDF and then to images using LibreOffice (if available)
+app.get('/api/slides/convert', async (req, res) => {
+  const { file } = req.query
+  if (!file) {
+    return res.status(400).json({ error: 'File path required' })
+  }
+  
+  const filePath = path.join(__dirname, 'public', file)
+  const outputDir = path.join(__dirname, 'public', 'slide-images')
+  const fileBaseName = path.basename(file, path.extname(file))
+  const slideImagesDir = path.join(outputDir, fileBaseName)
+  
+  // Create output directories
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true })
+  }
+  
+  // Check if images already exist
+  if (fs.existsSync(slideImagesDir)) {
+    const images = fs.readdirSync(slideImagesDir).filter(f => f.endsWith('.png')).sort()
+    if (images.length > 0) {
+      return res.json({
+        success: true,
+        images: images.map(img => `/slide-images/${fileBaseName}/${img}`),
+        cached: true
+      })
+    }
+  }
+  
+  // Create slide images directory
+  fs.mkdirSync(slideImagesDir, { recursive: true })
+  
+  try {
+    // Try to use LibreOffice for conversion
+    const pdfPath = path.join(slideImagesDir, `${fileBaseName}.pdf`)
+    
+    // Convert PPT to PDF using LibreOffice
+    try {
+      await execAsync(`soffice --headless --convert-to pdf --outdir "${slideImagesDir}" "${filePath}"`)
+    } catch (convertErr) {
+      console.log('LibreOffice not available, using fallback')
+      // Return message that conversion is not available
+      return res.json({
+        success: false,
+        error: 'LibreOffice not installed for local conversion. Use Office Online viewer in production.',
+        useOnlineViewer: true
+      })
+    }
+    
+    // Check if PDF was created
+    const generatedPdf = fs.readdirSync(slideImagesDir).find(f => f.endsWith('.pdf'))
+    if (!generatedPdf) {
+      throw new Error('PDF conversion failed')
+    }
+    
+    res.json({
+      success: true,
+      pdfPath: `/slide-images/${fileBaseName}/${generatedPdf}`,
+      message: 'PDF generated successfully'
+    })
+  } catch (err) {
+    console.error('Slide conversion error:', err)
+    res.json({
+      success: false,
+      error: err.message,
+      useOnlineViewer: true
+    })
+  }
+})
+
+app.post('/api/chat/upload', chatUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' })
+  }
+  
+  const fileUrl = `/chat-files/${req.file.filename}`
+  const fileName = req.file.originalname
+  const fileSize = req.file.size
+  const mimeType = req.file.mimetype
+  
+  // Determine message type based on mime type
+  let messageType = 'file'
+  if (mimeType.startsWith('image/')) {
+    messageType = 'image'
+  } else if (mimeType.startsWith('video/')) {
+    messageType = 'video'
+  } else if (mimeType.startsWith('audio/')) {
+    messageType = 'audio'
+  }
+  
+  res.json({ fileUrl, fileName, fileSize, messageType })
+})
+
+// Migration: Backfill activities for existing volunteers
+app.post('/api/migrate-activities', (req, res) => {
+  // Get all volunteers
+  db.all('SELECT id, created_at FROM volunteers', (err, volunteers) => {
+    if (err) {
+      return res.status(500).json({ error: err.message })
+    }
+
+    let processedCount = 0
+    let activitiesAdded = 0
+
+    volunteers.forEach(volunteer => {
+      // Check if join activity already exists
+      db.get(
         'SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = "joined"',
         [volunteer.id],
         (checkErr, existingJoin) => {
@@ -2071,291 +3434,1867 @@ app.post('/api/migrate-activities', (req, res) => {
             )
           }
 
-          // Get campaign joins for this volunteer
-          db.all(
-            'SELECT ct.id, ct.created_at, c.title, c.id as campaign_id FROM campaign_team ct JOIN campaigns c ON ct.campaign_id = c.id WHERE ct.volunteer_id = ?',
-            [volunteer.id],
-            (campErr, campaigns) => {
-              if (campaigns && campaigns.length > 0) {
-                campaigns.forEach(campaign => {
-                  // Check if campaign join activity already exists
-                  db.get(
-                    'SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = "joined_campaign" AND campaign_id = ?',
-                    [volunteer.id, campaign.campaign_id],
-                    (checkCampErr, existingCamp) => {
-                      if (!existingCamp) {
-                        // Add campaign join activity with role
-                        db.run(
-                          'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                          [volunteer.id, 'joined_campaign', `Joined campaign: ${campaign.title}`, campaign.campaign_id, campaign.title, campaign.role || 'Volunteer', campaign.created_at],
-                          (campJoinErr) => {
-                            if (!campJoinErr) activitiesAdded++
-                          }
-                        )
-                      }
-                    }
-                  )
-                })
-              }
+          // Get campaign joins for this volunteer
+          db.all(
+            'SELECT ct.id, ct.created_at, c.title, c.id as campaign_id FROM campaign_team ct JOIN campaigns c ON ct.campaign_id = c.id WHERE ct.volunteer_id = ?',
+            [volunteer.id],
+            (campErr, campaigns) => {
+              if (campaigns && campaigns.length > 0) {
+                campaigns.forEach(campaign => {
+                  // Check if campaign join activity already exists
+                  db.get(
+                    'SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = "joined_campaign" AND campaign_id = ?',
+                    [volunteer.id, campaign.campaign_id],
+                    (checkCampErr, existingCamp) => {
+                      if (!existingCamp) {
+                        // Add campaign join activity with role
+                        db.run(
+                          'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                          [volunteer.id, 'joined_campaign', `Joined campaign: ${campaign.title}`, campaign.campaign_id, campaign.title, campaign.role || 'Volunteer', campaign.created_at],
+                          (campJoinErr) => {
+                            if (!campJoinErr) activitiesAdded++
+                          }
+                        )
+                      }
+                    }
+                  )
+                })
+              }
+
+              processedCount++
+              if (processedCount === volunteers.length) {
+                res.json({ success: true, volunteersProcessed: volunteers.length, activitiesAdded })
+              }
+            }
+          )
+        }
+      )
+    })
+  })
+})
+
+// Volunteers edit their own profile; other profiles and positions, points and hours need volunteers.manage
+async function canManageVolunteers(volunteerId) {
+  if (SUPER_ADMIN_IDS.includes(volunteerId)) return true;
+  const permissions = await getEffectivePermissions(volunteerId);
+  return permissions['volunteers.manage'] === true;
+}
+
+// Routes keyed by /api/volunteers/:id that change the profile: the volunteer's own, or any with volunteers.manage
+async function requireProfileEditor(req, res, next) {
+  try {
+    if (parseInt(req.params.id) !== req.volunteer.id && !(await canManageVolunteers(req.volunteer.id))) {
+      return res.status(403).json({ error: 'You can only edit your own profile', permission: 'volunteers.manage' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Update volunteer profile
+// --- Profile Update Endpoint with Robust Logging ---
+app.put('/api/volunteers/:id', async (req, res) => {
+  const { id } = req.params;
+  const { fullName, phone, address, wing, avatar, education, hoursGiven, points, position } = req.body;
+
+  let canManage;
+  try {
+    canManage = await canManageVolunteers(req.volunteer.id);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  if (parseInt(id) !== req.volunteer.id && !canManage) {
+    return res.status(403).json({ error: 'You can only edit your own profile' });
+  }
+
+  console.log('[Profile Update] Data:', { id, fullName, phone, address, wing, avatar, education, hoursGiven, points, position });
+
+  // If only position is being updated (from committee page)
+  if (position !== undefined && !fullName) {
+    if (!canManage) {
+      return res.status(403).json({ error: 'You do not have permission to change positions', permission: 'volunteers.manage' });
+    }
+    // Get old position first
+    db.get('SELECT position FROM volunteers WHERE id = ?', [id], (getErr, oldData) => {
+      const oldPosition = oldData?.position || 'Volunteer';
+      
+      db.run(
+        'UPDATE volunteers SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [position, id],
+        function(err) {
+          if (err) {
+            console.error('[Position Update] Error:', err);
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          console.log('[Position Update] Success:', id, '->', position);
+          
+          // Add activity for position change
+          if (position !== oldPosition) {
+            const description = position === 'Volunteer' 
+              ? `Stepped down from ${oldPosition}` 
+              : `Appointed as ${position}`;
+            db.run(
+              'INSERT INTO activities (volunteer_id, activity_type, description, role) VALUES (?, ?, ?, ?)',
+              [id, 'position_change', description, position],
+              (actErr) => {
+                if (actErr) console.error('Failed to create position change activity:', actErr);
+              }
+            );
+          }
+          
+          res.json({ success: true, message: 'Position updated' });
+        }
+      );
+    });
+    return;
+  }
+
+  const stmt = db.prepare(`
+    UPDATE volunteers 
+    SET full_name = ?, 
+        phone = ?, 
+        address = ?, 
+        wing = ?, 
+        avatar = ?, 
+        education = ?, 
+        hours_given = COALESCE(?, hours_given), 
+        points = COALESCE(?, points),
+        position = COALESCE(?, position),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  // Without volunteers.manage the current position, points and hours are kept (COALESCE below)
+  const hoursValue = (!canManage || hoursGiven === undefined || hoursGiven === null || hoursGiven === '') ? null : parseInt(hoursGiven)
+  const pointsValue = (!canManage || points === undefined || points === null || points === '') ? null : parseInt(points)
+
+  stmt.run(
+    fullName || '', 
+    phone || '', 
+    address || '', 
+    wing || '', 
+    avatar || '', 
+    education || '', 
+    hoursValue, 
+    pointsValue,
+    (canManage && position) || null,
+    id, 
+    function (err) {
+      if (err) {
+        console.error('[Profile Update] Error:', err);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      console.log('[Profile Update] Success:', id);
+      res.json({ success: true, message: 'Profile updated' });
+    }
+  );
+  stmt.finalize();
+});
+
+// Avatar upload endpoint
+app.post('/api/volunteers/:id/avatar', requireProfileEditor, (req, res) => {
+  const { id } = req.params;
+  console.log('[Avatar Upload] Request for volunteer:', id);
+  
+  upload.single('avatar')(req, res, function(err) {
+    if (err) {
+      console.error('[Avatar Upload] Multer error:', err);
+      return res.status(500).json({ error: 'File upload failed: ' + err.message });
+    }
+    
+    if (!req.file) {
+      console.error('[Avatar Upload] No file provided');
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    console.log('[Avatar Upload] File received:', {
+      filename: req.file.filename,
+      path: req.file.path,
+      size: req.file.size
+    });
+    
+    const avatarPath = `/avatars/${req.file.filename}`;
+    
+    // Update database with avatar path
+    db.run(
+      'UPDATE volunteers SET avatar = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [avatarPath, id],
+      function(err) {
+        if (err) {
+          console.error('[Avatar Upload] Database error:', err);
+          return res.status(500).json({ error: 'Database update failed: ' + err.message });
+        }
+        console.log('[Avatar Upload] Success - Avatar saved:', { id, path: avatarPath });
+        res.json({ success: true, avatar: avatarPath });
+      }
+    );
+  });
+});
+
+// ==================== CAMPAIGNS API ====================
+
+// Get all campaigns (with optional user context)
+app.get('/api/campaigns', (req, res) => {
+  const { status, wingId, includeTeam } = req.query
+  const userId = req.volunteer.id
+
+  // Campaigns whose event date has passed are marked Finished by the finish-campaigns job
+  let query = `
+    SELECT 
+      c.*,
+      v.full_name as host_name, 
+      v.avatar as host_avatar,
+      (SELECT COUNT(*) FROM campaign_team ct WHERE ct.campaign_id = c.id) AS joined_count,
+      (SELECT COUNT(*) FROM campaign_team ct WHERE ct.campaign_id = c.id AND ct.approval_status = 'approved') AS team_count,
+      CASE 
+        WHEN c.event_date IS NOT NULL THEN 
+          GREATEST(0, DATEDIFF(c.event_date, CURDATE()))
+        ELSE c.days_left 
+      END AS days_left
+  `
+  const params = []
+
+  if (userId) {
+    query += `,
+      CASE WHEN EXISTS (
+        SELECT 1 FROM campaign_team ct2 WHERE ct2.campaign_id = c.id AND ct2.volunteer_id = ?
+      ) THEN 1 ELSE 0 END AS is_joined,
+      (
+        SELECT role FROM campaign_team ct3 WHERE ct3.campaign_id = c.id AND ct3.volunteer_id = ? LIMIT 1
+      ) AS user_role
+    `
+    params.push(userId, userId)
+  } else {
+    query += ', 0 AS is_joined, NULL AS user_role'
+  }
+
+  query += '\n    FROM campaigns c'
+  query += '\n    LEFT JOIN volunteers v ON c.host_id = v.id'
+  
+  // Add filters
+  let whereClause = ''
+  
+  if (status) {
+    if (status === 'approved') {
+      whereClause += ` c.approval_status = 'approved'`
+    } else if (status === 'declined') {
+      whereClause += ` c.approval_status = 'declined'`
+    } else if (status === 'pending') {
+      whereClause += ` (c.approval_status = 'pending' OR c.approval_status IS NULL)`
+    } else if (status === 'draft') {
+      whereClause += ` c.approval_status = 'draft'`
+    } else if (status === 'active') {
+      // For donations page - only show active campaigns with future event dates
+      whereClause += ` c.approval_status = 'approved' AND c.status != 'Finished' AND (c.event_date IS NULL OR c.event_date >= CURDATE())`
+    }
+  }
+  
+  if (wingId) {
+    if (whereClause) whereClause += ' AND '
+    whereClause += ` (c.hosted_by_wing_id = ? OR c.wing = (SELECT name FROM wings WHERE id = ?))`
+    params.push(wingId, wingId)
+  }
+
+  // Drafts are only listed for their host
+  if (whereClause) whereClause += ' AND '
+  whereClause += ` (c.approval_status IS NULL OR c.approval_status <> 'draft' OR c.host_id = ?)`
+  params.push(userId || 0)
+  
+  if (whereClause) {
+    query += ` WHERE ${whereClause}`
+  }
+  
+  query += ' ORDER BY c.created_at DESC'
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    
+    // If includeTeam is requested, fetch team members for each campaign
+    if (includeTeam === 'true' && rows.length > 0) {
+      const campaignIds = rows.map(c => c.id);
+      const placeholders = campaignIds.map(() => '?').join(',');
+      
+      db.all(`
+        SELECT ct.*, v.full_name, v.avatar, v.position, v.digital_id,
+               ct.campaign_id
+        FROM campaign_team ct
+        JOIN volunteers v ON ct.volunteer_id = v.id
+        WHERE ct.campaign_id IN (${placeholders}) AND ct.approval_status = 'approved'
+        ORDER BY ct.role = 'Program Host' DESC, ct.created_at ASC
+      `, campaignIds, (teamErr, teamMembers) => {
+        if (teamErr) {
+          // Return without team on error
+          return res.json(rows);
+        }
+        
+        // Group team by campaign
+        const teamByCampaign = {};
+        teamMembers.forEach(m => {
+          if (!teamByCampaign[m.campaign_id]) teamByCampaign[m.campaign_id] = [];
+          teamByCampaign[m.campaign_id].push({
+            id: m.id,
+            volunteer_id: m.volunteer_id,
+            full_name: m.full_name,
+            avatar: m.avatar,
+            position: m.position,
+            digital_id: m.digital_id,
+            role: m.role
+          });
+        });
+        
+        // Attach team to campaigns
+        rows.forEach(campaign => {
+          campaign.team = teamByCampaign[campaign.id] || [];
+        });
+        
+        res.json(rows);
+      });
+    } else {
+      res.json(rows);
+    }
+  })
+})
+
+// Get all campaigns for approval (pending campaigns) - MUST be before :id route
+app.get('/api/campaigns/pending', (req, res) => {
+  db.all(`
+    SELECT c.*, v.full_name as host_name, v.avatar as host_avatar
+    FROM campaigns c
+    LEFT JOIN volunteers v ON c.host_id = v.id
+    WHERE c.approval_status = 'pending' OR c.approval_status IS NULL
+    ORDER BY c.created_at DESC
+  `, [], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows);
+  });
+});
+
+// Get single campaign with team and user context
+app.get('/api/campaigns/:id', (req, res) => {
+  const { id } = req.params
+  const userId = req.volunteer.id
+
+  let query = `
+    SELECT 
+      c.*,
+      (SELECT COUNT(*) FROM campaign_team WHERE campaign_id = c.id) AS joined_count,
+      0 AS is_joined,
+      NULL AS user_role
+    FROM campaigns c
+    WHERE c.id = ?
+  `
+  let params = [id]
+
+  if (userId) {
+    query = `
+      SELECT 
+        c.*,
+        (SELECT COUNT(*) FROM campaign_team WHERE campaign_id = c.id) AS joined_count,
+        CASE WHEN EXISTS (
+          SELECT 1 FROM campaign_team WHERE campaign_id = c.id AND volunteer_id = ?
+        ) THEN 1 ELSE 0 END AS is_joined,
+        (
+          SELECT role FROM campaign_team WHERE campaign_id = c.id AND volunteer_id = ? LIMIT 1
+        ) AS user_role,
+        CASE 
+          WHEN c.event_date IS NOT NULL THEN 
+            GREATEST(0, DATEDIFF(c.event_date, CURDATE()))
+          ELSE c.days_left 
+        END AS days_left
+      FROM campaigns c
+      WHERE c.id = ?
+    `
+    params = [userId, userId, id]
+  } else {
+    query = `
+      SELECT 
+        c.*,
+        (SELECT COUNT(*) FROM campaign_team WHERE campaign_id = c.id) AS joined_count,
+        0 AS is_joined,
+        NULL AS user_role,
+        CASE 
+          WHEN c.event_date IS NOT NULL THEN 
+            GREATEST(0, DATEDIFF(c.event_date, CURDATE()))
+          ELSE c.days_left 
+        END AS days_left
+      FROM campaigns c
+      WHERE c.id = ?
+    `
+    params = [id]
+  }
+
+  db.get(query, params, (err, campaign) => {
+    if (err) {
+      res.status(500).json({ error: err.message })
+      return
+    }
+    if (!campaign) {
+      res.status(404).json({ error: 'Campaign not found' })
+      return
+    }
+
+    db.all(
+      `
+        SELECT ct.*, v.full_name, v.avatar, v.wing, v.position, v.digital_id
+        FROM campaign_team ct
+        JOIN volunteers v ON ct.volunteer_id = v.id
+        WHERE ct.campaign_id = ?
+      `,
+      [id],
+      (teamErr, team) => {
+        if (teamErr) {
+          res.status(500).json({ error: teamErr.message })
+          return
+        }
+        res.json({ ...campaign, team: team || [] })
+      }
+    )
+  })
+})
+
+// Create campaign with team; with templateId, the template fills in what is left out
+app.post('/api/campaigns', async (req, res) => {
+  let template = null
+  try {
+    if (req.body.templateId) {
+      template = await getTemplateForWing(promisePool, req.body.templateId, { wingName: req.body.wing ?? null })
+    }
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message })
+  }
+
+  const {
+    title,
+    wing,
+    description,
+    budget,
+    logistics,
+    equipment,
+    marketing,
+    location,
+    date,
+    budgetBreakdown,
+    image,
+    volunteersNeeded,
+    goal,
+    daysLeft,
+    urgency,
+    hostId,
+    program_hours,
+    program_respect,
+    lives_impacted,
+    team
+  } = template
+    ? withTemplateDefaults(req.body, template, { programHours: 'program_hours', programRespect: 'program_respect', livesImpacted: 'lives_impacted' })
+    : req.body
+  
+  if (!title || !wing || !description) {
+    return res.status(400).json({ error: 'Title, wing and description are required' })
+  }
+
+  const campaignHours = program_hours || 0
+  const campaignRespect = program_respect || 0
+  const campaignLivesImpacted = lives_impacted || 0
+
+  const stmt = db.prepare(`
+    INSERT INTO campaigns (title, wing, description, budget, logistics, equipment, marketing, image, location, event_date, budget_breakdown, volunteers_needed, goal, days_left, urgency, host_id, volunteers_joined, program_hours, program_respect, lives_impacted, approval_status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+  `)
+
+  stmt.run(
+    title,
+    wing,
+    description,
+    budget || 0,
+    logistics || 0,
+    equipment || 0,
+    marketing || 0,
+    image || '',
+    location || 'TBD',
+    date || null,
+    budgetBreakdown || '[]',
+    volunteersNeeded || 10,
+    goal || budget || 0,
+    daysLeft || 30,
+    urgency ? 1 : 0,
+    hostId || null,
+    team?.length || 0,
+    campaignHours,
+    campaignRespect,
+    campaignLivesImpacted,
+    async function(err) {
+      if (err) {
+        console.error('[Campaign Create] Error:', err)
+        res.status(500).json({ error: err.message })
+        return
+      }
+      
+      const campaignId = this.lastID
+
+      if (template) {
+        try {
+          await withTransaction(conn => applyTemplateToCampaign(conn, campaignId, template))
+        } catch (templateErr) {
+          console.error('[Campaign Create] Template roles not applied:', templateErr.message)
+        }
+      }
+      
+      // Auto-add host as Program Host
+      if (hostId) {
+        db.run(
+          'INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [campaignId, hostId, 'Program Host', 'Campaign creator and host', campaignHours, campaignRespect, 'approved'],
+          (hostErr) => {
+            if (hostErr) console.error('Failed to add host to team:', hostErr)
+            else {
+              // Add activity for hosting
+              db.get('SELECT title FROM campaigns WHERE id = ?', [campaignId], (titleErr, campData) => {
+                if (!titleErr && campData) {
+                  db.run(
+                    'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+                    [hostId, 'joined_campaign', `Created campaign: ${campData.title}`, campaignId, campData.title, 'Program Host']
+                  )
+                }
+              })
+            }
+          }
+        )
+      }
+      
+      // Add team members if provided
+      if (team && team.length > 0) {
+        const teamStmt = db.prepare(`
+          INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `)
+        
+        team.forEach(member => {
+          teamStmt.run(
+            campaignId, 
+            member.volunteerId, 
+            member.role, 
+            member.taskNote || '', 
+            campaignHours, 
+            campaignRespect,
+            'pending'
+          )
+        })
+        teamStmt.finalize()
+      }
+
+      syncCampaignJoined(campaignId)
+      console.log('[Campaign Create] Success:', campaignId)
+      res.json({ success: true, id: campaignId, message: 'Campaign created successfully' })
+    }
+  )
+  stmt.finalize()
+})
+
+// Update campaign
+app.put('/api/campaigns/:id', (req, res) => {
+  const { id } = req.params
+  const { title, wing, description, budget, image, location, volunteersNeeded, goal, daysLeft, urgency, status, date, budgetBreakdown, programHours, programRespect } = req.body
+
+  console.log('[Campaign Update] Received:', { id, title, image, date, budgetBreakdown })
+
+  db.run(
+    `
+    UPDATE campaigns 
+    SET title = COALESCE(?, title),
+        wing = COALESCE(?, wing),
+        description = COALESCE(?, description),
+        budget = COALESCE(?, budget),
+        image = COALESCE(?, image),
+        location = COALESCE(?, location),
+        event_date = COALESCE(?, event_date),
+        budget_breakdown = COALESCE(?, budget_breakdown),
+        program_hours = COALESCE(?, program_hours),
+        program_respect = COALESCE(?, program_respect),
+        volunteers_needed = COALESCE(?, volunteers_needed),
+        goal = COALESCE(?, goal),
+        days_left = COALESCE(?, days_left),
+        urgency = COALESCE(?, urgency),
+        status = COALESCE(?, status),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      title,
+      wing,
+      description,
+      budget,
+      image,
+      location,
+      date,
+      budgetBreakdown,
+      programHours,
+      programRespect,
+      volunteersNeeded,
+      goal,
+      daysLeft,
+      urgency ? 1 : 0,
+      status,
+      id
+    ],
+    function(err) {
+      if (err) {
+        console.error('[Campaign Update] Error:', err)
+        res.status(500).json({ error: err.message })
+        return
+      }
+      console.log('[Campaign Update] Success:', id)
+      syncCampaignJoined(id)
+      if (status === 'Finished') {
+        scheduleCampaignOverflow(id, 'finished').catch(err => console.error('[Overflow] Scheduling failed:', err.message))
+      } else if (volunteersNeeded !== undefined) {
+        promoteFromWaitlist(id).catch(err => console.error('[Waitlist] Promotion failed:', err.message))
+      }
+      res.json({ success: true, message: 'Campaign updated' })
+    }
+  )
+})
+
+// Join campaign (adds volunteer to campaign_team, or to the waitlist when their role is full)
+app.post('/api/campaigns/:id/join', async (req, res) => {
+  const { id } = req.params
+  const { role, taskNote, hours, respect } = req.body
+  const volunteerId = req.volunteer.id
+
+  if (!volunteerId) {
+    return res.status(400).json({ error: 'volunteerId is required' })
+  }
+
+  try {
+    // First check if campaign is finished or event date has passed
+    const [campaigns] = await promisePool.query('SELECT title, program_hours, program_respect, status, event_date FROM campaigns WHERE id = ?', [id])
+    const campaign = campaigns[0]
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' })
+    }
+
+    // Check if campaign is finished or event date has passed
+    if (campaign.status === 'Finished') {
+      return res.status(400).json({ error: 'This campaign has already finished. You cannot join anymore.' })
+    }
+
+    if (campaign.event_date) {
+      const eventDate = new Date(campaign.event_date)
+      const today = new Date()
+      today.setHours(0, 0, 0, 0)
+      if (eventDate < today) {
+        return res.status(400).json({ error: 'This campaign has already taken place. You cannot join anymore.' })
+      }
+    }
+
+    const result = await withTransaction(conn => joinCampaign(conn, id, {
+      volunteerId,
+      role: role || 'Volunteer',
+      taskNote: taskNote || '',
+      hours: hours ?? campaign.program_hours ?? 0,
+      respect: respect ?? campaign.program_respect ?? 0
+    }))
+
+    if (result.status === 'already_joined') {
+      return res.json({ success: true, alreadyJoined: true })
+    }
+    if (result.status === 'already_waitlisted' || result.status === 'waitlisted') {
+      return res.json({
+        success: true,
+        waitlisted: true,
+        alreadyWaitlisted: result.status === 'already_waitlisted',
+        entryId: result.entryId,
+        position: result.position
+      })
+    }
+
+    syncCampaignJoined(id)
+    db.run(
+      'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+      [volunteerId, 'joined_campaign', `Joined campaign: ${campaign.title}`, id, campaign.title, role || 'Volunteer'],
+      (actErr) => {
+        if (actErr) console.error('Failed to create campaign join activity:', actErr)
+      }
+    )
+
+    const [[countRow]] = await promisePool.query('SELECT COUNT(*) AS count FROM campaign_team WHERE campaign_id = ?', [id])
+    res.json({ success: true, joinedCount: countRow?.count || 0 })
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message })
+  }
+})
+
+// Update a campaign team member's role/task note
+app.put('/api/campaigns/:id/team/:memberId', async (req, res) => {
+  const { id, memberId } = req.params
+  const { role, taskNote } = req.body
+
+  try {
+    await getTeamCampaign(id, req.volunteer.id)
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message })
+  }
+
+  db.run(
+    'UPDATE campaign_team SET role = COALESCE(?, role), task_note = COALESCE(?, task_note), created_at = created_at WHERE id = ? AND campaign_id = ?',
+    [role, taskNote, memberId, id],
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message })
+        return
+      }
+      if (this.changes === 0) {
+        res.status(404).json({ error: 'Team member not found' })
+        return
+      }
+      res.json({ success: true })
+    }
+  )
+})
+
+// Approve a campaign team member (host only)
+app.post('/api/campaigns/:id/team/:memberId/approve', async (req, res) => {
+  const { id, memberId } = req.params
+
+  try {
+    await getTeamCampaign(id, req.volunteer.id)
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message })
+  }
+
+  // Get team member details
+  db.get(
+    'SELECT ct.*, c.host_id, c.title as campaign_title FROM campaign_team ct JOIN campaigns c ON ct.campaign_id = c.id WHERE ct.id = ? AND ct.campaign_id = ?',
+    [memberId, id],
+    (err, member) => {
+      if (err) {
+        return res.status(500).json({ error: err.message })
+      }
+      if (!member) {
+        return res.status(404).json({ error: 'Team member not found' })
+      }
+      if (member.approval_status === 'approved') {
+        return res.json({ success: true, message: 'Already approved' })
+      }
+
+      // Update approval status
+      db.run(
+        'UPDATE campaign_team SET approval_status = ? WHERE id = ?',
+        ['approved', memberId],
+        function(updateErr) {
+          if (updateErr) {
+            return res.status(500).json({ error: updateErr.message })
+          }
+
+          // Notify the volunteer that they've been approved
+          createNotification(member.volunteer_id, 'campaign_join_approved',
+            `Your request to join campaign "${member.campaign_title}" has been approved! 🎉`, {
+              data: { campaignId: parseInt(id), role: member.role, hoursPlanned: member.hours || 0, respectPlanned: member.respect || 0 },
+              priority: 'high'
+          }).catch(console.error);
+
+          // Hours and respect are credited for confirmed attendance, which may already be recorded
+          withTransaction(conn => syncAttendanceRewards(conn, id, member.volunteer_id))
+            .then(rewards => res.json({
+              success: true,
+              message: 'Team member approved',
+              hoursAdded: rewards?.hoursAdded || 0,
+              respectAdded: rewards?.respectAdded || 0
+            }))
+            .catch(syncErr => res.status(500).json({ error: syncErr.message }))
+        }
+      )
+    }
+  )
+})
+
+// Sync pending team members with campaign's program rewards, and credit every team member
+// what their confirmed attendance earns
+app.post('/api/campaigns/:id/sync-rewards', async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const [campaigns] = await promisePool.query('SELECT program_hours, program_respect FROM campaigns WHERE id = ?', [id])
+    const campaign = campaigns[0]
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' })
+    }
+
+    const hours = campaign.program_hours || 0
+    const respect = campaign.program_respect || 0
+
+    const [updated] = await promisePool.query(
+      "UPDATE campaign_team SET hours = ?, respect = ? WHERE campaign_id = ? AND approval_status = 'pending' AND (hours = 0 OR respect = 0)",
+      [hours, respect, id]
+    )
+
+    const [members] = await promisePool.query('SELECT DISTINCT volunteer_id FROM campaign_team WHERE campaign_id = ?', [id])
+    const rewarded = []
+    for (const member of members) {
+      const rewards = await withTransaction(conn => syncAttendanceRewards(conn, id, member.volunteer_id))
+      if (rewards && (rewards.hoursAdded || rewards.respectAdded)) rewarded.push(rewards)
+    }
+    res.json({ success: true, updated: updated.affectedRows, hours, respect, rewarded })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Assign hours/respect to team members (bulk or single)
+app.post('/api/campaigns/:id/assign-credits', (req, res) => {
+  const { id } = req.params
+  const { hours, respect, memberId } = req.body
+
+  const h = parseInt(hours) || 0
+  const r = parseInt(respect) || 0
+
+  if (memberId) {
+    db.run(
+      'UPDATE campaign_team SET hours = ?, respect = ? WHERE id = ? AND campaign_id = ?',
+      [h, r, memberId, id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message })
+        }
+        return res.json({ success: true, updated: this.changes })
+      }
+    )
+  } else {
+    db.run(
+      'UPDATE campaign_team SET hours = ?, respect = ? WHERE campaign_id = ? AND approval_status = "pending"',
+      [h, r, id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message })
+        }
+        return res.json({ success: true, updated: this.changes })
+      }
+    )
+  }
+})
+
+// Delete campaign
+app.delete('/api/campaigns/:id', (req, res) => {
+  const { id } = req.params;
+  db.run('DELETE FROM campaign_team WHERE campaign_id = ?', [id]);
+  db.run('DELETE FROM campaigns WHERE id = ?', [id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ success: true, message: 'Campaign deleted' });
+  });
+});
+
+// Approve campaign
+app.post('/api/campaigns/:id/approve', (req, res) => {
+  const { id } = req.params;
+  const reviewerId = req.volunteer.id;
+  
+  db.run(`
+    UPDATE campaigns 
+    SET approval_status = 'approved', 
+        reviewed_by = ?, 
+        reviewed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [reviewerId, id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    // Get campaign details for activities
+    db.get('SELECT title, host_id FROM campaigns WHERE id = ?', [id], (campErr, campaign) => {
+      if (campErr || !campaign) {
+        console.error('Failed to get campaign details:', campErr);
+      } else {
+        // Add hosting activity for campaign creator (if not already exists)
+        if (campaign.host_id) {
+          db.get(
+            'SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = "joined_campaign" AND campaign_id = ?',
+            [campaign.host_id, id],
+            (actCheckErr, existingActivity) => {
+              if (!actCheckErr && !existingActivity) {
+                db.run(
+                  'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+                  [campaign.host_id, 'joined_campaign', `Hosting campaign: ${campaign.title}`, id, campaign.title, 'Program Host'],
+                  (actErr) => {
+                    if (actErr) console.error('Failed to create host activity:', actErr);
+                  }
+                );
+              }
+            }
+          );
+        }
+        // Team members get their activity once their attendance is confirmed
+      }
+    });
+    
+    // Log the approval action
+    db.run(`
+      INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, ['campaign_approved', `Approved campaign`, reviewerId, id, 'campaign', JSON.stringify({ campaignId: id })]);
+    
+    res.json({ success: true, message: 'Campaign approved' });
+  });
+});
+
+// Decline campaign
+app.post('/api/campaigns/:id/decline', (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const reviewerId = req.volunteer.id;
+  
+  db.run(`
+    UPDATE campaigns 
+    SET approval_status = 'declined', 
+        decline_reason = ?,
+        reviewed_by = ?, 
+        reviewed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [reason, reviewerId, id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ success: true, message: 'Campaign declined' });
+  });
+});
+
+// Image generation (Gemini only per user request)
+app.post('/api/openrouter/generate-image', async (req, res) => {
+  const { prompt } = req.body
+
+  if (!prompt) {
+    return res.status(400).json({ error: 'Prompt is required' })
+  }
+
+  const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY
+  if (!GOOGLE_API_KEY) {
+    return res.status(500).json({ error: 'Google Gemini API key not configured' })
+  }
+
+  // Build detailed image generation prompt based on campaign context
+  const campaignTitle = prompt.match(/Campaign:\s*([^\n]+)/i)?.[1] || 'Community'
+  const campaignWing = prompt.match(/Wing:\s*([^\n]+)/i)?.[1] || 'Community'
+  const campaignLocation = prompt.match(/Location:\s*([^\n]+)/i)?.[1] || 'Outdoor Campus'
+
+  const detailedPrompt = `A clean, soft cartoon-style illustration of "${campaignTitle}" campaign organized by UYHO youth organization.
+Setting: ${campaignLocation}, educational outdoor environment with trees, sunlight, peaceful atmosphere.
+Content: Young students and diverse teenagers (10-25 years old) working in groups, engaged in activities related to ${campaignWing}.
+Mentor figures guiding and supporting participants.
+Diverse people, friendly approachable faces, modest casual clothing, warm and welcoming expressions.
+Visual elements: Collaborative activities, learning materials, innovation themes, teamwork visualization.
+Color Palette: Warm pastel colors, soft painterly shading, smooth gradients.
+Style: Semi-realistic cartoon illustration, similar to modern educational artwork and children's book illustrations.
+Composition: Cinematic composition, depth of field, dynamic group arrangement, atmospheric lighting.
+Quality: High quality, detailed, professional illustration.
+Aspect Ratio: 16:9 widescreen.
+IMPORTANT - Do NOT include: photorealistic faces, anime style, 3D renders, sharp outlines, harsh shadows, dark mood, text, watermarks, logos.
+Mood: Hopeful, inspiring, educational, representing innovation, teamwork, and future thinkers.`
+
+  console.log('Calling Gemini direct for image generation, wing:', campaignWing, 'title:', campaignTitle)
+
+  try {
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp-image-generation:generateContent?key=${GOOGLE_API_KEY}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: detailedPrompt }] }]
+      })
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.warn('Gemini request failed:', response.status, errorText)
+      return res.status(502).json({ error: 'Gemini request failed', status: response.status, details: errorText })
+    }
+
+    const data = await response.json()
+    console.log('Gemini response:', JSON.stringify(data).substring(0, 300))
+
+    const content = data?.candidates?.[0]?.content?.parts?.[0]?.text
+    if (!content) {
+      return res.status(502).json({ error: 'Gemini did not return content' })
+    }
+
+    const urlMatch = content.match(/https?:\/\/[^\s]+\.(jpg|jpeg|png|gif|webp)/i)
+    if (urlMatch) {
+      console.log('Gemini returned image URL:', urlMatch[0])
+      return res.json({ success: true, imageUrl: urlMatch[0], model: 'gemini-2.0-flash-exp-image-generation' })
+    }
+
+    return res.status(502).json({ error: 'Gemini did not return an image URL', details: content.substring(0, 200) })
+  } catch (err) {
+    console.warn('Gemini request error:', err.message)
+    return res.status(500).json({ error: 'Gemini request error', details: err.message })
+  }
+})
+
+// ==================== CAMPAIGN ATTENDANCE API ====================
+
+const CHECKIN_ROTATE_SECONDS = parseInt(process.env.CHECKIN_ROTATE_SECONDS) || 30;
+
+// The host (campaigns.host_id) or someone who reviews campaigns. The 'Program Host' role on
+// campaign_team is only a label and grants nothing here.
+async function canManageCampaignTeam(volunteerId, campaign) {
+  if (campaign.host_id === volunteerId || SUPER_ADMIN_IDS.includes(volunteerId)) return true;
+  const permissions = await getEffectivePermissions(volunteerId);
+  return permissions['campaigns.review'] === true;
+}
+
+// A campaign whose attendance the caller may manage
+async function getAttendanceCampaign(campaignId, volunteerId) {
+  const [rows] = await promisePool.query(
+    'SELECT id, title, host_id, status, approval_status FROM campaigns WHERE id = ?',
+    [campaignId]
+  );
+  const campaign = rows[0];
+  if (!campaign) throw ledgerError('Campaign not found', 404);
+  if (!(await canManageCampaignTeam(volunteerId, campaign))) {
+    throw ledgerError('Only the campaign host can manage attendance', 403);
+  }
+  return campaign;
+}
+
+const checkinUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkin?token=${encodeURIComponent(token)}`;
+
+const describeCheckinSession = (session) => {
+  const described = describeSession(session);
+  return described?.token ? { ...described, url: checkinUrl(described.token) } : described;
+};
 
-              processedCount++
-              if (processedCount === volunteers.length) {
-                res.json({ success: true, volunteersProcessed: volunteers.length, activitiesAdded })
-              }
-            }
-          )
+// Tell a volunteer their attendance was confirmed and what it earned
+function notifyAttendanceConfirmed(campaign, record, rewards) {
+  if (!rewards) return;
+  createNotification(record.volunteer_id, 'campaign_hours_logged',
+    `Your attendance at "${campaign.title}" was confirmed: ${record.confirmed_hours} hours.`, {
+      title: 'Attendance confirmed',
+      data: { campaignId: campaign.id, attendanceId: record.id, hours: rewards.hours, respect: rewards.respect }
+    }).catch(err => console.error('[Attendance] Notification failed:', err.message));
+}
+
+// Open a check-in session, for the campaign or one of its shifts (shiftId); its QR token rotates every rotateSeconds
+app.post('/api/campaigns/:id/checkin-sessions', async (req, res) => {
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    if (campaign.approval_status !== 'approved') throw ledgerError('Check-in opens once the campaign is approved', 409);
+    if (campaign.status === 'Finished') throw ledgerError('This campaign has finished', 409);
+    const session = await withTransaction(async conn => {
+      const shift = req.body.shiftId ? await lockShift(conn, campaign.id, req.body.shiftId) : null;
+      return openCheckinSession(conn, campaign.id, {
+        rotateSeconds: req.body.rotateSeconds ?? CHECKIN_ROTATE_SECONDS,
+        openedBy: req.volunteer.id,
+        shiftId: shift?.id ?? null
+      });
+    });
+    res.status(201).json(describeCheckinSession(session));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// The open session with the token its QR code shows now (poll to rotate the code)
+app.get('/api/campaigns/:id/checkin-sessions/current', async (req, res) => {
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    const session = await getOpenSession(promisePool, campaign.id);
+    if (!session) return res.status(404).json({ error: 'No check-in session is open' });
+    res.json(describeCheckinSession(session));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Close a session, checking out whoever is still checked in
+app.post('/api/campaigns/:id/checkin-sessions/:sessionId/close', async (req, res) => {
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    const result = await withTransaction(async conn => {
+      const [sessions] = await conn.query(
+        'SELECT id FROM campaign_checkin_sessions WHERE id = ? AND campaign_id = ?',
+        [req.params.sessionId, campaign.id]
+      );
+      if (!sessions[0]) throw ledgerError('Check-in session not found', 404);
+      return closeCheckinSession(conn, sessions[0].id, req.volunteer.id);
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Check in or out with a scanned QR token ({ token, digitalId, action: 'in' | 'out' }).
+// Without digitalId, or with your own, you check yourself; a host can check in anyone.
+app.post('/api/checkin', async (req, res) => {
+  const { token, digitalId, action = null } = req.body;
+
+  try {
+    const record = await withTransaction(async conn => {
+      const session = await verifyCheckinToken(conn, token);
+      const volunteer = await findCampaignVolunteer(conn, session.campaign_id, digitalId
+        ? { digitalId: String(digitalId).trim() }
+        : { volunteerId: req.volunteer.id });
+      if (volunteer.id !== req.volunteer.id) {
+        const [campaigns] = await conn.query('SELECT id, host_id FROM campaigns WHERE id = ?', [session.campaign_id]);
+        if (!(await canManageCampaignTeam(req.volunteer.id, campaigns[0]))) {
+          throw ledgerError('You can only check yourself in', 403);
         }
-      )
-    })
-  })
-})
+      }
+      const attendance = await recordCheckin(conn, session, volunteer, action);
+      return { ...attendance, full_name: volunteer.full_name, digital_id: volunteer.digital_id };
+    });
+    res.json(record);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-// Update volunteer profile
-// --- Profile Update Endpoint with Robust Logging ---
-app.put('/api/volunteers/:id', (req, res) => {
+// Attendance records of a campaign and per team member what was confirmed and credited
+app.get('/api/campaigns/:id/attendance', async (req, res) => {
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    const [attendance, session] = await Promise.all([
+      listAttendance(promisePool, campaign.id),
+      getOpenSession(promisePool, campaign.id)
+    ]);
+    res.json({ ...attendance, session: describeCheckinSession(session) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Record attendance by hand for someone who did not scan ({ digitalId or volunteerId, hours, note, shiftId }).
+// For a shift, hours default to its length.
+app.post('/api/campaigns/:id/attendance', async (req, res) => {
+  const { digitalId, volunteerId, hours, note, shiftId } = req.body;
+
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    if (!digitalId && !volunteerId) throw ledgerError('digitalId or volunteerId is required');
+    const { record, rewards } = await withTransaction(async conn => {
+      const volunteer = await findCampaignVolunteer(conn, campaign.id, digitalId
+        ? { digitalId: String(digitalId).trim() }
+        : { volunteerId });
+      const shift = shiftId ? await lockShift(conn, campaign.id, shiftId) : null;
+      const attendance = await recordManualAttendance(conn, volunteer, {
+        campaignId: campaign.id,
+        shiftId: shift?.id ?? null,
+        hours: shift && (hours === undefined || hours === null || hours === '') ? shift.hours : hours,
+        note: note || null,
+        by: req.volunteer.id
+      });
+      return { record: attendance, rewards: await syncAttendanceRewards(conn, campaign.id, volunteer.id) };
+    });
+    notifyAttendanceConfirmed(campaign, record, rewards);
+    res.status(201).json({ ...record, rewards });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Confirm an attendance record, optionally correcting its hours, or reject it ({ status, hours, note })
+app.put('/api/campaigns/:id/attendance/:attendanceId', async (req, res) => {
+  const { status, hours, note } = req.body;
+
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    const { record, rewards } = await withTransaction(async conn => {
+      const existing = await getAttendance(conn, req.params.attendanceId, { lock: true });
+      if (!existing || existing.campaign_id !== campaign.id) throw ledgerError('Attendance record not found', 404);
+      const reviewed = await reviewAttendance(conn, existing, { status, hours, note: note || null, by: req.volunteer.id });
+      return { record: reviewed, rewards: await syncAttendanceRewards(conn, campaign.id, reviewed.volunteer_id) };
+    });
+    if (record.status === 'confirmed') notifyAttendanceConfirmed(campaign, record, rewards);
+    res.json({ ...record, rewards });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Confirm every checked-out record with the hours measured between check-in and check-out, except the caller's own
+app.post('/api/campaigns/:id/attendance/confirm-all', async (req, res) => {
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    const [pending] = await promisePool.query(
+      "SELECT id FROM campaign_attendance WHERE campaign_id = ? AND status = 'checked_out' AND volunteer_id <> ? ORDER BY id",
+      [campaign.id, req.volunteer.id]
+    );
+    let confirmed = 0;
+    for (const { id } of pending) {
+      const { record, rewards } = await withTransaction(async conn => {
+        const existing = await getAttendance(conn, id, { lock: true });
+        if (existing.status !== 'checked_out') return {};
+        const reviewed = await reviewAttendance(conn, existing, { status: 'confirmed', by: req.volunteer.id });
+        return { record: reviewed, rewards: await syncAttendanceRewards(conn, campaign.id, reviewed.volunteer_id) };
+      });
+      if (!record) continue;
+      confirmed++;
+      notifyAttendanceConfirmed(campaign, record, rewards);
+    }
+    res.json({ success: true, confirmed });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== END CAMPAIGN ATTENDANCE API ====================
+
+// ==================== CAMPAIGN WAITLIST API ====================
+
+// A campaign whose team and waitlist the caller may manage
+async function getTeamCampaign(campaignId, volunteerId) {
+  const [rows] = await promisePool.query('SELECT id, title, host_id, status FROM campaigns WHERE id = ?', [campaignId]);
+  const campaign = rows[0];
+  if (!campaign) throw ledgerError('Campaign not found', 404);
+  if (!(await canManageCampaignTeam(volunteerId, campaign))) {
+    throw ledgerError('Only the campaign host can manage the team', 403);
+  }
+  return campaign;
+}
+
+// Fill free seats from the waitlist and tell the promoted volunteers
+async function promoteFromWaitlist(campaignId) {
+  const promoted = await withTransaction(conn => fillFromWaitlist(conn, campaignId));
+  for (const entry of promoted) {
+    createNotification(entry.volunteer_id, 'campaign_waitlist_promoted',
+      `A place opened up on "${entry.campaign_title}" and you are now on the team as ${entry.role}. The host will confirm your place.`, {
+        title: 'Off the waitlist',
+        data: { campaignId: Number(campaignId), memberId: entry.memberId, role: entry.role },
+        priority: 'high'
+      }).catch(err => console.error('[Waitlist] Notification failed:', err.message));
+    db.run(
+      'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+      [entry.volunteer_id, 'joined_campaign', `Joined campaign: ${entry.campaign_title}`, campaignId, entry.campaign_title, entry.role],
+      (actErr) => {
+        if (actErr) console.error('Failed to create campaign join activity:', actErr);
+      }
+    );
+  }
+  if (promoted.length) syncCampaignJoined(campaignId);
+  return promoted;
+}
+
+// Seats taken and free, per role, and the caller's place on the waitlist
+app.get('/api/campaigns/:id/capacity', async (req, res) => {
+  try {
+    const [rows] = await promisePool.query('SELECT id, volunteers_needed FROM campaigns WHERE id = ?', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Campaign not found' });
+    const [capacity, position] = await Promise.all([
+      getCapacity(promisePool, rows[0]),
+      waitlistPosition(promisePool, rows[0].id, req.volunteer.id)
+    ]);
+    res.json({ ...capacity, myWaitlistPosition: position });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Set the campaign's capacity and the seats per role ({ volunteersNeeded, roles: [{ role, capacity }] })
+app.put('/api/campaigns/:id/capacity', async (req, res) => {
+  const { volunteersNeeded, roles } = req.body;
+
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    if (volunteersNeeded === undefined && roles === undefined) {
+      throw ledgerError('Send volunteersNeeded, roles or both');
+    }
+    await withTransaction(async conn => {
+      await lockCampaign(conn, campaign.id);
+      if (volunteersNeeded !== undefined) {
+        const needed = Number(volunteersNeeded);
+        if (!Number.isInteger(needed) || needed < 0) throw ledgerError('volunteersNeeded must be a whole number of 0 or more (0 for no limit)');
+        await conn.query('UPDATE campaigns SET volunteers_needed = ? WHERE id = ?', [needed, campaign.id]);
+      }
+      if (roles !== undefined) await saveRoleCapacities(conn, campaign.id, roles);
+    });
+    const promoted = await promoteFromWaitlist(campaign.id);
+    const [rows] = await promisePool.query('SELECT id, volunteers_needed FROM campaigns WHERE id = ?', [campaign.id]);
+    res.json({ ...(await getCapacity(promisePool, rows[0])), promoted: promoted.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// The waitlist in order, skipped volunteers last
+app.get('/api/campaigns/:id/waitlist', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    res.json(await listWaitlist(promisePool, campaign.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Move waiting volunteers to the front, in the given order ({ entryIds })
+app.put('/api/campaigns/:id/waitlist/order', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    await withTransaction(conn => reorderWaitlist(conn, campaign.id, req.body.entryIds));
+    res.json(await listWaitlist(promisePool, campaign.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Pass over a waiting volunteer until they are restored
+app.post('/api/campaigns/:id/waitlist/:entryId/skip', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    await withTransaction(conn => setWaitlistSkipped(conn, campaign.id, req.params.entryId, true, req.volunteer.id));
+    res.json(await listWaitlist(promisePool, campaign.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Put a skipped volunteer back at the end of the waitlist
+app.post('/api/campaigns/:id/waitlist/:entryId/restore', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    await withTransaction(conn => setWaitlistSkipped(conn, campaign.id, req.params.entryId, false, req.volunteer.id));
+    await promoteFromWaitlist(campaign.id);
+    res.json(await listWaitlist(promisePool, campaign.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Leave a campaign's team or waitlist; a freed seat goes to the next volunteer waiting
+app.post('/api/campaigns/:id/leave', async (req, res) => {
   const { id } = req.params;
-  const { fullName, phone, address, wing, avatar, education, hoursGiven, points, position } = req.body;
+  const volunteerId = req.volunteer.id;
 
-  console.log('[Profile Update] Data:', { id, fullName, phone, address, wing, avatar, education, hoursGiven, points, position });
+  try {
+    const left = await withTransaction(async conn => {
+      await lockCampaign(conn, id);
+      const [members] = await conn.query(
+        'SELECT * FROM campaign_team WHERE campaign_id = ? AND volunteer_id = ? ORDER BY id LIMIT 1',
+        [id, volunteerId]
+      );
+      if (members[0]) {
+        await removeTeamMember(conn, id, members[0]);
+        return 'team';
+      }
+      if (await leaveWaitlist(conn, id, volunteerId)) return 'waitlist';
+      throw ledgerError('You have not joined this campaign', 404);
+    });
+    const promoted = left === 'team' ? await promoteFromWaitlist(id) : [];
+    if (left === 'team') syncCampaignJoined(id);
+    res.json({ success: true, left, promoted: promoted.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  // If only position is being updated (from committee page)
-  if (position !== undefined && !fullName) {
-    // Get old position first
-    db.get('SELECT position FROM volunteers WHERE id = ?', [id], (getErr, oldData) => {
-      const oldPosition = oldData?.position || 'Volunteer';
-      
-      db.run(
-        'UPDATE volunteers SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [position, id],
-        function(err) {
-          if (err) {
-            console.error('[Position Update] Error:', err);
-            res.status(500).json({ error: err.message });
-            return;
-          }
-          console.log('[Position Update] Success:', id, '->', position);
-          
-          // Add activity for position change
-          if (position !== oldPosition) {
-            const description = position === 'Volunteer' 
-              ? `Stepped down from ${oldPosition}` 
-              : `Appointed as ${position}`;
-            db.run(
-              'INSERT INTO activities (volunteer_id, activity_type, description, role) VALUES (?, ?, ?, ?)',
-              [id, 'position_change', description, position],
-              (actErr) => {
-                if (actErr) console.error('Failed to create position change activity:', actErr);
-              }
-            );
-          }
-          
-          res.json({ success: true, message: 'Position updated' });
-        }
+// Decline a team member, pending or approved ({ reason }); the next volunteer waiting takes the seat
+app.post('/api/campaigns/:id/team/:memberId/decline', async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    const member = await withTransaction(async conn => {
+      const [members] = await conn.query(
+        'SELECT * FROM campaign_team WHERE id = ? AND campaign_id = ?',
+        [req.params.memberId, campaign.id]
       );
+      if (!members[0]) throw ledgerError('Team member not found', 404);
+      await removeTeamMember(conn, campaign.id, members[0]);
+      return members[0];
     });
-    return;
+
+    createNotification(member.volunteer_id, 'campaign_join_rejected',
+      `Your place on "${campaign.title}" was declined.${reason ? ` Reason: ${reason}` : ''}`, {
+        data: { campaignId: campaign.id, role: member.role, reason: reason || null }
+      }).catch(err => console.error('[Waitlist] Notification failed:', err.message));
+    const promoted = await promoteFromWaitlist(campaign.id);
+    syncCampaignJoined(campaign.id);
+    res.json({ success: true, promoted: promoted.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+});
 
-  const stmt = db.prepare(`
-    UPDATE volunteers 
-    SET full_name = ?, 
-        phone = ?, 
-        address = ?, 
-        wing = ?, 
-        avatar = ?, 
-        education = ?, 
-        hours_given = COALESCE(?, hours_given), 
-        points = COALESCE(?, points),
-        position = COALESCE(?, position),
-        updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `);
+// ==================== END CAMPAIGN WAITLIST API ====================
+
+// ==================== CAMPAIGN SHIFTS API ====================
+
+const getShift = async (campaignId, shiftId, volunteerId = null) =>
+  (await listShifts(promisePool, campaignId, volunteerId)).find(shift => shift.id === Number(shiftId)) || null;
+
+const shiftLabel = (shift) => `${shift.title ? `${shift.title}, ` : ''}${shift.shift_date} ${shift.start_time}-${shift.end_time}`;
+
+// Tell volunteers signed up for a shift that it changed
+function notifyShiftChanged(volunteerIds, campaign, message, data = {}) {
+  for (const volunteerId of volunteerIds) {
+    createNotification(volunteerId, 'campaign_shift_changed', message, {
+      title: 'Shift changed',
+      data: { campaignId: campaign.id, ...data }
+    }).catch(err => console.error('[Shifts] Notification failed:', err.message));
+  }
+}
+
+// Shifts of a campaign with their slots, who signed up, and your own signup
+app.get('/api/campaigns/:id/shifts', async (req, res) => {
+  try {
+    const [rows] = await promisePool.query('SELECT id FROM campaigns WHERE id = ?', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(await listShifts(promisePool, rows[0].id, req.volunteer.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Slots of upcoming shifts that still need volunteers
+app.get('/api/campaigns/:id/shifts/coverage', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    res.json(await getCoverage(promisePool, campaign.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Your upcoming shifts on every campaign
+app.get('/api/shifts/mine', async (req, res) => {
+  try {
+    res.json(await listVolunteerShifts(promisePool, req.volunteer.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Add a shift ({ title, date, startTime, endTime, location, notes, slots: [{ role, headcount, taskNote }] })
+app.post('/api/campaigns/:id/shifts', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    if (campaign.status === 'Finished') throw ledgerError('This campaign has finished', 409);
+    const shiftId = await withTransaction(conn => createShift(conn, campaign.id, { ...req.body, createdBy: req.volunteer.id }));
+    res.status(201).json(await getShift(campaign.id, shiftId));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Change a shift's details, time or slots (slots sent with their id are kept, the others replaced)
+app.put('/api/campaigns/:id/shifts/:shiftId', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    const { shift, moved, signedUp } = await withTransaction(async conn => {
+      const current = await lockShift(conn, campaign.id, req.params.shiftId);
+      const result = await updateShift(conn, current, req.body);
+      return { ...result, shift: current, signedUp: result.moved ? await getShiftSignupIds(conn, current.id) : [] };
+    });
+    const updated = await getShift(campaign.id, shift.id);
+    if (moved) {
+      notifyShiftChanged(signedUp, campaign,
+        `Your shift on "${campaign.title}" is now ${shiftLabel(updated)}${updated.location ? ` at ${updated.location}` : ''}.`,
+        { shiftId: shift.id });
+    }
+    res.json(updated);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Delete a shift nobody has attended; whoever signed up is told
+app.delete('/api/campaigns/:id/shifts/:shiftId', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    const { shift, signedUp } = await withTransaction(async conn => {
+      const current = await lockShift(conn, campaign.id, req.params.shiftId);
+      return { shift: current, signedUp: await deleteShift(conn, current) };
+    });
+    notifyShiftChanged(signedUp, campaign, `Your shift on "${campaign.title}" (${shiftLabel(shift)}) was cancelled.`);
+    res.json({ success: true, notified: signedUp.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Sign up for a slot of a shift; you must be on the team and free at that time
+app.post('/api/campaigns/:id/shifts/:shiftId/slots/:slotId/signup', async (req, res) => {
+  try {
+    const [rows] = await promisePool.query('SELECT id, status FROM campaigns WHERE id = ?', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Campaign not found' });
+    if (rows[0].status === 'Finished') throw ledgerError('This campaign has finished', 409);
+    const { shift } = await withTransaction(conn => signUpForSlot(conn, rows[0].id, {
+      shiftId: req.params.shiftId,
+      slotId: req.params.slotId,
+      volunteerId: req.volunteer.id
+    }));
+    res.status(201).json(await getShift(rows[0].id, shift.id, req.volunteer.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Cancel your signup for a shift
+app.delete('/api/campaigns/:id/shifts/:shiftId/signup', async (req, res) => {
+  try {
+    const shift = await withTransaction(conn => cancelShiftSignup(conn, req.params.id, req.params.shiftId, req.volunteer.id));
+    res.json(await getShift(shift.campaign_id, shift.id, req.volunteer.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Take a volunteer off a shift; they are told
+app.delete('/api/campaigns/:id/shifts/:shiftId/signups/:volunteerId', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    const volunteerId = Number(req.params.volunteerId);
+    const shift = await withTransaction(conn => cancelShiftSignup(conn, campaign.id, req.params.shiftId, volunteerId));
+    notifyShiftChanged([volunteerId], campaign,
+      `You were taken off your shift on "${campaign.title}" (${shiftLabel(shift)}).`, { shiftId: shift.id });
+    res.json(await getShift(campaign.id, shift.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  const hoursValue = (hoursGiven === undefined || hoursGiven === null || hoursGiven === '') ? null : parseInt(hoursGiven)
-  const pointsValue = (points === undefined || points === null || points === '') ? null : parseInt(points)
+// Credit a shift to the volunteers who worked it ({ volunteerIds, hours, note }). Without volunteerIds, everyone
+// signed up who has no attendance for the shift yet but the caller; hours default to the shift's length.
+app.post('/api/campaigns/:id/shifts/:shiftId/worked', async (req, res) => {
+  const { volunteerIds, hours, note } = req.body;
 
-  stmt.run(
-    fullName || '', 
-    phone || '', 
-    address || '', 
-    wing || '', 
-    avatar || '', 
-    education || '', 
-    hoursValue, 
-    pointsValue,
-    position || null,
-    id, 
-    function (err) {
-      if (err) {
-        console.error('[Profile Update] Error:', err);
-        res.status(500).json({ error: err.message });
-        return;
+  try {
+    const campaign = await getAttendanceCampaign(req.params.id, req.volunteer.id);
+    if (volunteerIds !== undefined && (!Array.isArray(volunteerIds) || !volunteerIds.length)) {
+      throw ledgerError('volunteerIds must list the volunteers who worked the shift');
+    }
+    const credited = await withTransaction(async conn => {
+      const shift = await lockShift(conn, campaign.id, req.params.shiftId);
+      const ids = volunteerIds
+        ? volunteerIds.map(Number)
+        : (await getShiftSignupIds(conn, shift.id, { unrecorded: true })).filter(id => id !== req.volunteer.id);
+      const results = [];
+      for (const volunteerId of ids) {
+        const volunteer = await findCampaignVolunteer(conn, campaign.id, { volunteerId });
+        const record = await recordManualAttendance(conn, volunteer, {
+          campaignId: campaign.id,
+          shiftId: shift.id,
+          hours: hours === undefined || hours === null || hours === '' ? shift.hours : hours,
+          note: note || null,
+          by: req.volunteer.id
+        });
+        results.push({ record, rewards: await syncAttendanceRewards(conn, campaign.id, volunteer.id) });
       }
-      console.log('[Profile Update] Success:', id);
-      res.json({ success: true, message: 'Profile updated' });
-    }
+      return results;
+    });
+    for (const { record, rewards } of credited) notifyAttendanceConfirmed(campaign, record, rewards);
+    res.json({ success: true, credited: credited.length, records: credited.map(({ record, rewards }) => ({ ...record, rewards })) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== END CAMPAIGN SHIFTS API ====================
+
+// ==================== CAMPAIGN TEMPLATES API ====================
+
+async function isWingAdmin(volunteerId, wingId) {
+  const [rows] = await promisePool.query(
+    'SELECT 1 FROM wing_members WHERE wing_id = ? AND volunteer_id = ? AND (is_admin = 1 OR sort_order = 1) LIMIT 1',
+    [wingId, volunteerId]
   );
-  stmt.finalize();
+  return rows.length > 0;
+}
+
+// Organisation templates need campaigns.templates; a wing's admins also manage the wing's own
+async function canManageTemplates(volunteerId, wingId = null) {
+  if (SUPER_ADMIN_IDS.includes(volunteerId)) return true;
+  const permissions = await getEffectivePermissions(volunteerId);
+  if (permissions['campaigns.templates'] === true) return true;
+  return wingId ? isWingAdmin(volunteerId, wingId) : false;
+}
+
+async function getManagedTemplate(templateId, volunteerId) {
+  const template = await getTemplate(promisePool, templateId);
+  if (!(await canManageTemplates(volunteerId, template.wing_id))) {
+    throw ledgerError(template.wing_id ? 'Only admins of the wing can change its templates' : 'You cannot change organisation templates', 403);
+  }
+  return template;
+}
+
+// Templates of the organisation and, with ?wingId=, of that wing
+app.get('/api/campaign-templates', async (req, res) => {
+  try {
+    res.json(await listTemplates(promisePool, { wingId: req.query.wingId || null }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Avatar upload endpoint
-app.post('/api/volunteers/:id/avatar', (req, res) => {
-  const { id } = req.params;
-  console.log('[Avatar Upload] Request for volunteer:', id);
-  
-  upload.single('avatar')(req, res, function(err) {
-    if (err) {
-      console.error('[Avatar Upload] Multer error:', err);
-      return res.status(500).json({ error: 'File upload failed: ' + err.message });
+app.get('/api/campaign-templates/:id', async (req, res) => {
+  try {
+    res.json(await getTemplate(promisePool, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Create a template, for a wing with wingId or else for the organisation
+// ({ name, title, description, image, location, volunteersNeeded, programHours, programRespect, livesImpacted,
+//    budget, goal, budgetBreakdown, roles: [{ role, capacity, taskNote }] })
+app.post('/api/campaign-templates', async (req, res) => {
+  const wingId = req.body.wingId ? Number(req.body.wingId) : null;
+
+  try {
+    if (wingId) {
+      const [wings] = await promisePool.query('SELECT id FROM wings WHERE id = ?', [wingId]);
+      if (!wings[0]) throw ledgerError('Wing not found', 404);
     }
-    
-    if (!req.file) {
-      console.error('[Avatar Upload] No file provided');
-      return res.status(400).json({ error: 'No file uploaded' });
+    if (!(await canManageTemplates(req.volunteer.id, wingId))) {
+      throw ledgerError(wingId ? 'Only admins of the wing can add its templates' : 'You cannot add organisation templates', 403);
     }
-    
-    console.log('[Avatar Upload] File received:', {
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size
-    });
-    
-    const avatarPath = `/avatars/${req.file.filename}`;
-    
-    // Update database with avatar path
-    db.run(
-      'UPDATE volunteers SET avatar = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [avatarPath, id],
-      function(err) {
-        if (err) {
-          console.error('[Avatar Upload] Database error:', err);
-          return res.status(500).json({ error: 'Database update failed: ' + err.message });
-        }
-        console.log('[Avatar Upload] Success - Avatar saved:', { id, path: avatarPath });
-        res.json({ success: true, avatar: avatarPath });
-      }
-    );
-  });
+    const templateId = await withTransaction(conn => createTemplate(conn, req.body, { wingId, createdBy: req.volunteer.id }));
+    res.status(201).json(await getTemplate(promisePool, templateId));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// ==================== CAMPAIGNS API ====================
+// Change a template; only the fields sent are updated
+app.put('/api/campaign-templates/:id', async (req, res) => {
+  try {
+    const template = await getManagedTemplate(req.params.id, req.volunteer.id);
+    await withTransaction(conn => updateTemplate(conn, template.id, req.body, req.volunteer.id));
+    res.json(await getTemplate(promisePool, template.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-// Get all campaigns (with optional user context)
-app.get('/api/campaigns', (req, res) => {
-  const { userId, status, wingId, includeTeam } = req.query
+// Delete a template; campaigns made from it are kept
+app.delete('/api/campaign-templates/:id', async (req, res) => {
+  try {
+    const template = await getManagedTemplate(req.params.id, req.volunteer.id);
+    await withTransaction(conn => deleteTemplate(conn, template.id));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  // First, auto-update campaigns where event_date has passed
-  const today = new Date().toISOString().split('T')[0]
-  db.run(`
-    UPDATE campaigns 
-    SET status = 'Finished' 
-    WHERE event_date IS NOT NULL 
-    AND event_date < ? 
-    AND status != 'Finished'
-  `, [today])
+// Copy a campaign into a new draft you host ({ date, title, carryTeam }). Its shifts move with the date;
+// with carryTeam, its approved team is invited once the draft is submitted.
+app.post('/api/campaigns/:id/clone', async (req, res) => {
+  const { title, date, carryTeam } = req.body;
 
-  let query = `
-    SELECT 
-      c.*,
-      v.full_name as host_name, 
-      v.avatar as host_avatar,
-      (SELECT COUNT(*) FROM campaign_team ct WHERE ct.campaign_id = c.id) AS joined_count,
-      (SELECT COUNT(*) FROM campaign_team ct WHERE ct.campaign_id = c.id AND ct.approval_status = 'approved') AS team_count,
-      CASE 
-        WHEN c.event_date IS NOT NULL THEN 
-          MAX(0, CAST(julianday(c.event_date) - julianday('now') AS INTEGER))
-        ELSE c.days_left 
-      END AS days_left
-  `
-  const params = []
+  try {
+    const [rows] = await promisePool.query('SELECT * FROM campaigns WHERE id = ?', [req.params.id]);
+    const source = rows[0];
+    if (!source) throw ledgerError('Campaign not found', 404);
+    const allowed = await canManageCampaignTeam(req.volunteer.id, source)
+      || (source.hosted_by_wing_id && await isWingAdmin(req.volunteer.id, source.hosted_by_wing_id));
+    if (!allowed) throw ledgerError('Only the campaign host or its wing admins can clone it', 403);
+
+    const result = await withTransaction(conn => cloneCampaign(conn, source, {
+      title,
+      date,
+      hostId: req.volunteer.id,
+      carryTeam: carryTeam === true || carryTeam === 'true'
+    }));
+    syncCampaignJoined(result.campaignId);
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  if (userId) {
-    query += `,
-      CASE WHEN EXISTS (
-        SELECT 1 FROM campaign_team ct2 WHERE ct2.campaign_id = c.id AND ct2.volunteer_id = ?
-      ) THEN 1 ELSE 0 END AS is_joined,
-      (
-        SELECT role FROM campaign_team ct3 WHERE ct3.campaign_id = c.id AND ct3.volunteer_id = ? LIMIT 1
-      ) AS user_role
-    `
-    params.push(userId, userId)
-  } else {
-    query += ', 0 AS is_joined, NULL AS user_role'
+// Submit a draft for review; its invitations go out now
+app.post('/api/campaigns/:id/submit', async (req, res) => {
+  try {
+    await getTeamCampaign(req.params.id, req.volunteer.id);
+    const { campaign, invitations } = await withTransaction(conn => submitDraft(conn, req.params.id));
+    for (const invitation of invitations) {
+      createNotification(invitation.volunteer_id, 'campaign_invite',
+        `${req.volunteer.full_name || 'The host'} invited you to "${campaign.title}" as ${invitation.role}.`, {
+          title: 'Campaign invitation',
+          data: { campaignId: campaign.id, invitationId: invitation.id, role: invitation.role }
+        }).catch(err => console.error('[Templates] Notification failed:', err.message));
+    }
+    res.json({ success: true, invitationsSent: invitations.length });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+});
 
-  query += '\n    FROM campaigns c'
-  query += '\n    LEFT JOIN volunteers v ON c.host_id = v.id'
-  
-  // Add filters
-  let whereClause = ''
-  
-  if (status) {
-    if (status === 'approved') {
-      whereClause += ` c.approval_status = 'approved'`
-    } else if (status === 'declined') {
-      whereClause += ` c.approval_status = 'declined'`
-    } else if (status === 'pending') {
-      whereClause += ` (c.approval_status = 'pending' OR c.approval_status IS NULL)`
-    } else if (status === 'active') {
-      // For donations page - only show active campaigns with future event dates
-      whereClause += ` c.approval_status = 'approved' AND c.status != 'Finished' AND (c.event_date IS NULL OR c.event_date >= date('now'))`
+// Invitations of a campaign and their answers
+app.get('/api/campaigns/:id/invitations', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    res.json(await listCampaignInvitations(promisePool, campaign.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Withdraw an invitation not answered yet
+app.post('/api/campaigns/:id/invitations/:invitationId/cancel', async (req, res) => {
+  try {
+    const campaign = await getTeamCampaign(req.params.id, req.volunteer.id);
+    await withTransaction(conn => cancelInvitation(conn, campaign.id, req.params.invitationId));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Your invitations not answered yet
+app.get('/api/campaign-invitations/mine', async (req, res) => {
+  try {
+    res.json(await listVolunteerInvitations(promisePool, req.volunteer.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Accept an invitation: join the team in the invited role, or its waitlist when the role is full
+app.post('/api/campaign-invitations/:id/accept', async (req, res) => {
+  try {
+    const { invitation, joined } = await withTransaction(conn => respondToInvitation(conn, req.params.id, req.volunteer.id, true));
+    if (joined.status === 'joined') {
+      syncCampaignJoined(invitation.campaign_id);
+      db.run(
+        'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+        [req.volunteer.id, 'joined_campaign', `Joined campaign: ${invitation.campaign_title}`, invitation.campaign_id, invitation.campaign_title, invitation.role],
+        (actErr) => {
+          if (actErr) console.error('Failed to create campaign join activity:', actErr);
+        }
+      );
     }
+    const waitlisted = ['waitlisted', 'already_waitlisted'].includes(joined.status);
+    res.json({ success: true, campaignId: invitation.campaign_id, waitlisted, position: waitlisted ? joined.position : null });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  
-  if (wingId) {
-    if (whereClause) whereClause += ' AND '
-    whereClause += ` (c.hosted_by_wing_id = ? OR c.wing = (SELECT name FROM wings WHERE id = ?))`
-    params.push(wingId, wingId)
+});
+
+app.post('/api/campaign-invitations/:id/decline', async (req, res) => {
+  try {
+    await withTransaction(conn => respondToInvitation(conn, req.params.id, req.volunteer.id, false));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== END CAMPAIGN TEMPLATES API ====================
+
+// ==================== WINGS API ====================
+
+// Wing roles constant
+const WING_ROLES = [
+  { role: 'Wing Chief Executive', sort_order: 1 },
+  { role: 'Wing Deputy Executive', sort_order: 2 },
+  { role: 'Wing Secretary', sort_order: 3 },
+  { role: 'Wing Treasurer', sort_order: 4 },
+  { role: 'Wing Coordinator', sort_order: 5 },
+  { role: 'Wing Senior Member', sort_order: 6 },
+  { role: 'Wing Member', sort_order: 7 }
+];
+
+// Member and role changes are for the wing's admins, or wings.members (org-wide or granted in this wing)
+async function requireWingMemberManager(req, res, next) {
+  const wingId = parseInt(req.params.id);
+  try {
+    if (!SUPER_ADMIN_IDS.includes(req.volunteer.id)) {
+      const permissions = await getEffectivePermissions(req.volunteer.id, { wingId });
+      if (permissions['wings.members'] !== true && !(await isWingAdmin(req.volunteer.id, wingId))) {
+        return res.status(403).json({ error: 'Only admins of the wing can change its members', permission: 'wings.members' });
+      }
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+}
+
+// Get wing roles list
+app.get('/api/wings/roles', (req, res) => {
+  res.json(WING_ROLES);
+});
+
+// Get all wings (with filter support)
+app.get('/api/wings', (req, res) => {
+  const { status, includeMembers } = req.query;
   
-  if (whereClause) {
-    query += ` WHERE ${whereClause}`
+  let query = `
+    SELECT w.*, 
+           v.full_name as created_by_name,
+           (SELECT COUNT(*) FROM wing_members wm WHERE wm.wing_id = w.id) as member_count
+    FROM wings w
+    LEFT JOIN volunteers v ON w.created_by = v.id
+  `;
+  
+  if (status === 'pending') {
+    query += ` WHERE w.approval_status = 'pending' OR w.approval_status IS NULL`;
+  } else if (status === 'approved') {
+    query += ` WHERE w.approval_status = 'approved'`;
+  } else if (status === 'declined') {
+    query += ` WHERE w.approval_status = 'declined'`;
   }
   
-  query += ' ORDER BY c.created_at DESC'
-
-  db.all(query, params, (err, rows) => {
+  query += ` ORDER BY w.created_at DESC`;
+  
+  db.all(query, [], (err, rows) => {
     if (err) {
-      res.status(500).json({ error: err.message })
-      return
+      res.status(500).json({ error: err.message });
+      return;
     }
     
-    // If includeTeam is requested, fetch team members for each campaign
-    if (includeTeam === 'true' && rows.length > 0) {
-      const campaignIds = rows.map(c => c.id);
-      const placeholders = campaignIds.map(() => '?').join(',');
+    // If includeMembers is requested, fetch members for each wing
+    if (includeMembers === 'true' && rows.length > 0) {
+      const wingIds = rows.map(w => w.id);
+      const placeholders = wingIds.map(() => '?').join(',');
       
       db.all(`
-        SELECT ct.*, v.full_name, v.avatar, v.position, v.digital_id,
-               ct.campaign_id
-        FROM campaign_team ct
-        JOIN volunteers v ON ct.volunteer_id = v.id
-        WHERE ct.campaign_id IN (${placeholders}) AND ct.approval_status = 'approved'
-        ORDER BY ct.role = 'Program Host' DESC, ct.created_at ASC
-      `, campaignIds, (teamErr, teamMembers) => {
-        if (teamErr) {
-          // Return without team on error
+        SELECT wm.*, v.id, v.full_name, v.avatar, v.position, v.digital_id,
+               wm.wing_id
+        FROM wing_members wm
+        JOIN volunteers v ON wm.volunteer_id = v.id
+        WHERE wm.wing_id IN (${placeholders})
+        ORDER BY wm.sort_order ASC, wm.joined_at ASC
+      `, wingIds, (memberErr, members) => {
+        if (memberErr) {
+          // Return without members on error
           return res.json(rows);
         }
         
-        // Group team by campaign
-        const teamByCampaign = {};
-        teamMembers.forEach(m => {
-          if (!teamByCampaign[m.campaign_id]) teamByCampaign[m.campaign_id] = [];
-          teamByCampaign[m.campaign_id].push({
+        // Group members by wing
+        const membersByWing = {};
+        members.forEach(m => {
+          if (!membersByWing[m.wing_id]) membersByWing[m.wing_id] = [];
+          membersByWing[m.wing_id].push({
             id: m.id,
             volunteer_id: m.volunteer_id,
             full_name: m.full_name,
             avatar: m.avatar,
             position: m.position,
             digital_id: m.digital_id,
-            role: m.role
+            wing_role: m.role,
+            sort_order: m.sort_order
           });
         });
         
-        // Attach team to campaigns
-        rows.forEach(campaign => {
-          campaign.team = teamByCampaign[campaign.id] || [];
+        // Attach members to wings
+        rows.forEach(wing => {
+          wing.members = membersByWing[wing.id] || [];
         });
         
         res.json(rows);
@@ -2363,17 +5302,18 @@ app.get('/api/campaigns', (req, res) => {
     } else {
       res.json(rows);
     }
-  })
-})
+  });
+});
 
-// Get all campaigns for approval (pending campaigns) - MUST be before :id route
-app.get('/api/campaigns/pending', (req, res) => {
+// Get pending wings for approval
+app.get('/api/wings/pending', (req, res) => {
   db.all(`
-    SELECT c.*, v.full_name as host_name, v.avatar as host_avatar
-    FROM campaigns c
-    LEFT JOIN volunteers v ON c.host_id = v.id
-    WHERE c.approval_status = 'pending' OR c.approval_status IS NULL
-    ORDER BY c.created_at DESC
+    SELECT w.*, v.full_name as created_by_name,
+           (SELECT COUNT(*) FROM wing_members wm WHERE wm.wing_id = w.id) as member_count
+    FROM wings w
+    LEFT JOIN volunteers v ON w.created_by = v.id
+    WHERE w.approval_status = 'pending' OR w.approval_status IS NULL
+    ORDER BY w.created_at DESC
   `, [], (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
@@ -2383,2589 +5323,3681 @@ app.get('/api/campaigns/pending', (req, res) => {
   });
 });
 
-// Get single campaign with team and user context
-app.get('/api/campaigns/:id', (req, res) => {
-  const { id } = req.params
-  const { userId } = req.query
-
-  let query = `
-    SELECT 
-      c.*,
-      (SELECT COUNT(*) FROM campaign_team WHERE campaign_id = c.id) AS joined_count,
-      0 AS is_joined,
-      NULL AS user_role
-    FROM campaigns c
-    WHERE c.id = ?
-  `
-  let params = [id]
+// Get single wing with members
+app.get('/api/wings/:id', (req, res) => {
+  const { id } = req.params;
+  
+  db.get(`
+    SELECT w.*, v.full_name as created_by_name
+    FROM wings w
+    LEFT JOIN volunteers v ON w.created_by = v.id
+    WHERE w.id = ?
+  `, [id], (err, wing) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!wing) {
+      res.status(404).json({ error: 'Wing not found' });
+      return;
+    }
+    
+    // Get wing members
+    db.all(`
+      SELECT wm.*, v.full_name, v.avatar, v.email, v.position as central_position, v.digital_id, v.hours_given
+      FROM wing_members wm
+      JOIN volunteers v ON wm.volunteer_id = v.id
+      WHERE wm.wing_id = ?
+      ORDER BY wm.sort_order ASC, wm.joined_at ASC
+    `, [id], (err, members) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      wing.members = members || [];
+      res.json(wing);
+    });
+  });
+});
 
-  if (userId) {
-    query = `
-      SELECT 
-        c.*,
-        (SELECT COUNT(*) FROM campaign_team WHERE campaign_id = c.id) AS joined_count,
-        CASE WHEN EXISTS (
-          SELECT 1 FROM campaign_team WHERE campaign_id = c.id AND volunteer_id = ?
-        ) THEN 1 ELSE 0 END AS is_joined,
-        (
-          SELECT role FROM campaign_team WHERE campaign_id = c.id AND volunteer_id = ? LIMIT 1
-        ) AS user_role,
-        CASE 
-          WHEN c.event_date IS NOT NULL THEN 
-            MAX(0, CAST(julianday(c.event_date) - julianday('now') AS INTEGER))
-          ELSE c.days_left 
-        END AS days_left
-      FROM campaigns c
-      WHERE c.id = ?
-    `
-    params = [userId, userId, id]
-  } else {
-    query = `
-      SELECT 
-        c.*,
-        (SELECT COUNT(*) FROM campaign_team WHERE campaign_id = c.id) AS joined_count,
-        0 AS is_joined,
-        NULL AS user_role,
-        CASE 
-          WHEN c.event_date IS NOT NULL THEN 
-            MAX(0, CAST(julianday(c.event_date) - julianday('now') AS INTEGER))
-          ELSE c.days_left 
-        END AS days_left
-      FROM campaigns c
-      WHERE c.id = ?
-    `
-    params = [id]
+// Wing donations
+app.post('/api/wing-donations', async (req, res) => {
+  const { wingId, amount, donorName, phoneNumber, transactionId, paymentMethod, isAnonymous, referrerId, pledgeId } = req.body;
+  const volunteerId = req.volunteer.id;
+  
+  if (!wingId || !amount || !transactionId) {
+    return res.status(400).json({ error: 'Wing ID, amount, and transaction ID are required' });
   }
-
-  db.get(query, params, (err, campaign) => {
+  try {
+    await checkDonationPledge(pledgeId, { targetType: 'wing', targetId: wingId, phoneNumber, volunteerId });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  
+  db.run(`
+    INSERT INTO wing_donations (wing_id, volunteer_id, amount, donor_name, phone_number, transaction_id, payment_method, is_anonymous, referrer_id, pledge_id, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+  `, [wingId, volunteerId || null, amount, donorName || 'Anonymous', phoneNumber || null, transactionId, paymentMethod || 'bKash', isAnonymous ? 1 : 0, referrerId || null, pledgeId || null], function(err) {
     if (err) {
-      res.status(500).json({ error: err.message })
-      return
+      console.error('Error creating wing donation:', err);
+      return res.status(500).json({ error: err.message });
     }
-    if (!campaign) {
-      res.status(404).json({ error: 'Campaign not found' })
-      return
+    screenSubmittedDonation('wing_donation', this.lastID);
+    linkSubmittedDonor('wing_donation', this.lastID);
+    res.json({ success: true, id: this.lastID, message: 'Donation submitted for review' });
+  });
+});
+
+// Get wing donations
+app.get('/api/wing-donations/:wingId', async (req, res) => {
+  const { wingId } = req.params;
+  const { status } = req.query;
+  const reveal = await canSeeAnonymousDonors(req).catch(() => false);
+  
+  let query = `
+    SELECT wd.*, v.full_name as volunteer_name, v.avatar as volunteer_avatar,
+      COALESCE(dn.prefers_anonymous, 0) as donor_prefers_anonymous
+    FROM wing_donations wd
+    LEFT JOIN volunteers v ON wd.volunteer_id = v.id
+    LEFT JOIN donors dn ON dn.id = wd.donor_id
+    WHERE wd.wing_id = ?
+  `;
+  const params = [wingId];
+  
+  if (status) {
+    query += ' AND wd.status = ?';
+    params.push(status);
+  }
+  
+  query += ' ORDER BY wd.created_at DESC';
+  
+  db.all(query, params, (err, donations) => {
+    if (err) {
+      console.error('Error fetching wing donations:', err);
+      return res.status(500).json({ error: err.message });
     }
+    res.json(donations.map(donation => maskAnonymousDonation(donation, reveal)));
+  });
+});
 
-    db.all(
-      `
-        SELECT ct.*, v.full_name, v.avatar, v.wing, v.position, v.digital_id
-        FROM campaign_team ct
-        JOIN volunteers v ON ct.volunteer_id = v.id
-        WHERE ct.campaign_id = ?
-      `,
-      [id],
-      (teamErr, team) => {
-        if (teamErr) {
-          res.status(500).json({ error: teamErr.message })
-          return
-        }
-        res.json({ ...campaign, team: team || [] })
-      }
+// Approve/reject wing donation
+app.put('/api/wing-donations/:id/status', async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  
+  if (!['approved', 'rejected'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be approved or rejected' });
+  }
+  
+  try {
+    const donation = await decideDonation(req, { source: 'wing_donation', donationId: id, status });
+    res.json({
+      success: true,
+      message: `Donation ${status}`,
+      receipt: donation.receipt ? receiptSummary(donation.receipt, req) : null
+    });
+  } catch (err) {
+    console.error('Error updating wing donation status:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get wing activities
+app.get('/api/wings/:id/activities', (req, res) => {
+  const { id } = req.params;
+  
+  db.all(`
+    SELECT a.*, v.full_name, v.avatar, v.digital_id,
+           CASE 
+             WHEN a.activity_type = 'joined_campaign' THEN c.title
+             ELSE NULL
+           END as campaign_title
+    FROM activities a
+    JOIN volunteers v ON a.volunteer_id = v.id
+    LEFT JOIN campaigns c ON a.campaign_id = c.id
+    WHERE v.id IN (
+      SELECT volunteer_id FROM wing_members WHERE wing_id = ?
     )
-  })
-})
+    OR a.campaign_id IN (
+      SELECT c2.id FROM campaigns c2 WHERE c2.hosted_by_wing_id = ?
+    )
+    ORDER BY a.created_at DESC
+    LIMIT 50
+  `, [id, id], (err, activities) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(activities);
+  });
+});
 
-// Create campaign with team
-app.post('/api/campaigns', (req, res) => {
-  const {
-    title,
-    wing,
-    description,
-    budget,
-    logistics,
-    equipment,
-    marketing,
-    location,
-    date,
-    budgetBreakdown,
-    image,
-    volunteersNeeded,
-    goal,
-    daysLeft,
-    urgency,
-    hostId,
-    program_hours,
-    program_respect,
-    lives_impacted,
-    team
-  } = req.body
+// Create new wing
+app.post('/api/wings', (req, res) => {
+  const { name, description, image, location, members } = req.body;
+  const createdBy = req.volunteer.id;
   
-  if (!title || !wing || !description) {
-    return res.status(400).json({ error: 'Title, wing and description are required' })
+  if (!name) {
+    return res.status(400).json({ error: 'Wing name is required' });
   }
-
-  const campaignHours = program_hours || 0
-  const campaignRespect = program_respect || 0
-  const campaignLivesImpacted = lives_impacted || 0
-
-  const stmt = db.prepare(`
-    INSERT INTO campaigns (title, wing, description, budget, logistics, equipment, marketing, image, location, event_date, budget_breakdown, volunteers_needed, goal, days_left, urgency, host_id, volunteers_joined, program_hours, program_respect, lives_impacted, approval_status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
-  `)
-
-  stmt.run(
-    title,
-    wing,
-    description,
-    budget || 0,
-    logistics || 0,
-    equipment || 0,
-    marketing || 0,
-    image || '',
-    location || 'TBD',
-    date || null,
-    budgetBreakdown || '[]',
-    volunteersNeeded || 10,
-    goal || budget || 0,
-    daysLeft || 30,
-    urgency ? 1 : 0,
-    hostId || null,
-    team?.length || 0,
-    campaignHours,
-    campaignRespect,
-    campaignLivesImpacted,
-    function(err) {
-      if (err) {
-        console.error('[Campaign Create] Error:', err)
-        res.status(500).json({ error: err.message })
-        return
-      }
-      
-      const campaignId = this.lastID
+  
+  db.run(`
+    INSERT INTO wings (name, description, image, location, created_by, approval_status)
+    VALUES (?, ?, ?, ?, ?, 'pending')
+  `, [name, description || '', image || '', location || '', createdBy], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    const wingId = this.lastID;
+    
+    // Add members if provided
+    if (members && members.length > 0) {
+      const stmt = db.prepare(`
+        INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order)
+        VALUES (?, ?, ?, ?)
+      `);
       
-      // Auto-add host as Program Host
-      if (hostId) {
-        db.run(
-          'INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [campaignId, hostId, 'Program Host', 'Campaign creator and host', campaignHours, campaignRespect, 'approved'],
-          (hostErr) => {
-            if (hostErr) console.error('Failed to add host to team:', hostErr)
-            else {
-              // Add activity for hosting
-              db.get('SELECT title FROM campaigns WHERE id = ?', [campaignId], (titleErr, campData) => {
-                if (!titleErr && campData) {
-                  db.run(
-                    'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
-                    [hostId, 'joined_campaign', `Created campaign: ${campData.title}`, campaignId, campData.title, 'Program Host']
-                  )
-                }
-              })
-            }
-          }
-        )
-      }
+      members.forEach(member => {
+        const roleInfo = WING_ROLES.find(r => r.role === member.role) || WING_ROLES[6];
+        stmt.run(wingId, member.volunteerId, member.role, roleInfo.sort_order);
+      });
       
-      // Add team members if provided
-      if (team && team.length > 0) {
-        const teamStmt = db.prepare(`
-          INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `)
-        
-        team.forEach(member => {
-          teamStmt.run(
-            campaignId, 
-            member.volunteerId, 
-            member.role, 
-            member.taskNote || '', 
-            campaignHours, 
-            campaignRespect,
-            'pending'
-          )
-        })
-        teamStmt.finalize()
-      }
-
-      syncCampaignJoined(campaignId)
-      console.log('[Campaign Create] Success:', campaignId)
-      res.json({ success: true, id: campaignId, message: 'Campaign created successfully' })
+      stmt.finalize();
     }
-  )
-  stmt.finalize()
-})
-
-// Update campaign
-app.put('/api/campaigns/:id', (req, res) => {
-  const { id } = req.params
-  const { title, wing, description, budget, image, location, volunteersNeeded, goal, daysLeft, urgency, status, date, budgetBreakdown, programHours, programRespect } = req.body
-
-  console.log('[Campaign Update] Received:', { id, title, image, date, budgetBreakdown })
+    
+    res.json({ success: true, id: wingId, message: 'Wing created and pending approval' });
+  });
+});
 
-  db.run(
-    `
-    UPDATE campaigns 
-    SET title = COALESCE(?, title),
-        wing = COALESCE(?, wing),
+// Update wing
+app.put('/api/wings/:id', (req, res) => {
+  const { id } = req.params;
+  const { name, description, image, location } = req.body;
+  
+  db.run(`
+    UPDATE wings 
+    SET name = COALESCE(?, name),
         description = COALESCE(?, description),
-        budget = COALESCE(?, budget),
         image = COALESCE(?, image),
         location = COALESCE(?, location),
-        event_date = COALESCE(?, event_date),
-        budget_breakdown = COALESCE(?, budget_breakdown),
-        program_hours = COALESCE(?, program_hours),
-        program_respect = COALESCE(?, program_respect),
-        volunteers_needed = COALESCE(?, volunteers_needed),
-        goal = COALESCE(?, goal),
-        days_left = COALESCE(?, days_left),
-        urgency = COALESCE(?, urgency),
-        status = COALESCE(?, status),
         updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
-  `,
-    [
-      title,
-      wing,
-      description,
-      budget,
-      image,
-      location,
-      date,
-      budgetBreakdown,
-      programHours,
-      programRespect,
-      volunteersNeeded,
-      goal,
-      daysLeft,
-      urgency ? 1 : 0,
-      status,
-      id
-    ],
-    function(err) {
-      if (err) {
-        console.error('[Campaign Update] Error:', err)
-        res.status(500).json({ error: err.message })
-        return
-      }
-      console.log('[Campaign Update] Success:', id)
-      syncCampaignJoined(id)
-      res.json({ success: true, message: 'Campaign updated' })
+  `, [name, description, image, location, id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
     }
-  )
-})
-
-// Join campaign (adds volunteer to campaign_team)
-app.post('/api/campaigns/:id/join', (req, res) => {
-  const { id } = req.params
-  const { volunteerId, role, taskNote, hours, respect } = req.body
+    res.json({ success: true, message: 'Wing updated' });
+  });
+});
 
-  if (!volunteerId) {
-    return res.status(400).json({ error: 'volunteerId is required' })
-  }
+// Approve wing
+app.post('/api/wings/:id/approve', (req, res) => {
+  const { id } = req.params;
+  const reviewerId = req.volunteer.id;
+  
+  // First get wing name for activity description
+  db.get('SELECT name FROM wings WHERE id = ?', [id], (err, wing) => {
+    if (err || !wing) {
+      res.status(500).json({ error: err?.message || 'Wing not found' });
+      return;
+    }
+    
+    db.run(`
+      UPDATE wings 
+      SET approval_status = 'approved',
+          reviewed_by = ?,
+          reviewed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [reviewerId, id], function(updateErr) {
+      if (updateErr) {
+        res.status(500).json({ error: updateErr.message });
+        return;
+      }
+      
+      // Add activity for all wing members
+      db.all('SELECT volunteer_id, role FROM wing_members WHERE wing_id = ?', [id], (membersErr, members) => {
+        if (!membersErr && members && members.length > 0) {
+          members.forEach(member => {
+            db.run(
+              'INSERT INTO activities (volunteer_id, activity_type, description, role) VALUES (?, ?, ?, ?)',
+              [member.volunteer_id, 'joined_wing', `Joined ${wing.name} as ${member.role}`, member.role],
+              (actErr) => {
+                if (actErr) console.error('Failed to create wing join activity:', actErr);
+              }
+            );
+          });
+        }
+      });
+      
+      // Log the approval action
+      db.run(`
+        INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, ['wing_approved', `Approved wing: ${wing.name}`, reviewerId, id, 'wing', JSON.stringify({ wingId: id, wingName: wing.name })]);
+      
+      res.json({ success: true, message: 'Wing approved' });
+    });
+  });
+});
 
-  // First check if campaign is finished or event date has passed
-  db.get('SELECT program_hours, program_respect, status, event_date FROM campaigns WHERE id = ?', [id], (campaignErr, campaign) => {
-    if (campaignErr) {
-      res.status(500).json({ error: campaignErr.message })
-      return
+// Decline wing
+app.post('/api/wings/:id/decline', (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const reviewerId = req.volunteer.id;
+  
+  db.run(`
+    UPDATE wings 
+    SET approval_status = 'declined',
+        decline_reason = ?,
+        reviewed_by = ?,
+        reviewed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [reason, reviewerId, id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
     }
+    res.json({ success: true, message: 'Wing declined' });
+  });
+});
 
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' })
+// Delete wing
+app.delete('/api/wings/:id', (req, res) => {
+  const { id } = req.params;
+  
+  db.run('DELETE FROM wing_members WHERE wing_id = ?', [id]);
+  db.run('DELETE FROM wings WHERE id = ?', [id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
     }
+    res.json({ success: true, message: 'Wing deleted' });
+  });
+});
 
-    // Check if campaign is finished or event date has passed
-    if (campaign.status === 'Finished') {
-      return res.status(400).json({ error: 'This campaign has already finished. You cannot join anymore.' })
+// Add member to wing
+app.post('/api/wings/:id/members', requireWingMemberManager, (req, res) => {
+  const { id } = req.params;
+  const { volunteerId, role } = req.body;
+  
+  const roleInfo = WING_ROLES.find(r => r.role === role) || WING_ROLES[6];
+  
+  // Check if wing is approved
+  db.get('SELECT name, approval_status FROM wings WHERE id = ?', [id], (err, wing) => {
+    if (err || !wing) {
+      res.status(500).json({ error: err?.message || 'Wing not found' });
+      return;
     }
-
-    if (campaign.event_date) {
-      const eventDate = new Date(campaign.event_date)
-      const today = new Date()
-      today.setHours(0, 0, 0, 0)
-      if (eventDate < today) {
-        return res.status(400).json({ error: 'This campaign has already taken place. You cannot join anymore.' })
+    
+    db.run(`
+      INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order)
+      VALUES (?, ?, ?, ?)
+    `, [id, volunteerId, role, roleInfo.sort_order], function(insertErr) {
+      if (insertErr) {
+        res.status(500).json({ error: insertErr.message });
+        return;
       }
-    }
-
-    const defaultHours = hours ?? campaign?.program_hours ?? 0
-    const defaultRespect = respect ?? campaign?.program_respect ?? 0
-
-    db.get(
-      'SELECT 1 FROM campaign_team WHERE campaign_id = ? AND volunteer_id = ? LIMIT 1',
-      [id, volunteerId],
-      (checkErr, row) => {
-        if (checkErr) {
-          res.status(500).json({ error: checkErr.message })
-          return
-        }
-
-        if (row) {
-          return res.json({ success: true, alreadyJoined: true })
-        }
-
+      
+      // Add activity only if wing is approved
+      if (wing.approval_status === 'approved') {
         db.run(
-          'INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [id, volunteerId, role || 'Volunteer', taskNote || '', defaultHours, defaultRespect, 'pending'],
-          function(insertErr) {
-            if (insertErr) {
-              res.status(500).json({ error: insertErr.message })
-              return
-            }
-
-            syncCampaignJoined(id)
-
-            // Get campaign title and add activity
-            db.get('SELECT title FROM campaigns WHERE id = ?', [id], (campErr, campData) => {
-              if (!campErr && campData) {
-                db.run(
-                  'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
-                  [volunteerId, 'joined_campaign', `Joined campaign: ${campData.title}`, id, campData.title, role || 'Volunteer'],
-                  (actErr) => {
-                    if (actErr) console.error('Failed to create campaign join activity:', actErr)
-                  }
-                )
-              }
-            })
-
-            db.get('SELECT COUNT(*) AS count FROM campaign_team WHERE campaign_id = ?', [id], (countErr, countRow) => {
-              if (countErr) {
-                res.status(500).json({ error: countErr.message })
-                return
-              }
-              res.json({ success: true, joinedCount: countRow?.count || 0 })
-            })
+          'INSERT INTO activities (volunteer_id, activity_type, description, role) VALUES (?, ?, ?, ?)',
+          [volunteerId, 'joined_wing', `Joined ${wing.name} as ${role}`, role],
+          (actErr) => {
+            if (actErr) console.error('Failed to create wing join activity:', actErr);
           }
-        )
+        );
       }
-    )
-  })
-})
+      
+      res.json({ success: true, message: 'Member added to wing' });
+    });
+  });
+});
 
-// Update a campaign team member's role/task note
-app.put('/api/campaigns/:id/team/:memberId', (req, res) => {
-  const { id, memberId } = req.params
-  const { role, taskNote } = req.body
+// Update member role in wing
+app.put('/api/wings/:id/members/:memberId', requireWingMemberManager, (req, res) => {
+  const { id, memberId } = req.params;
+  const { role } = req.body;
+  
+  const roleInfo = WING_ROLES.find(r => r.role === role) || WING_ROLES[6];
+  
+  db.run(`
+    UPDATE wing_members 
+    SET role = ?, sort_order = ?
+    WHERE wing_id = ? AND volunteer_id = ?
+  `, [role, roleInfo.sort_order, id, memberId], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ success: true, message: 'Member role updated' });
+  });
+});
 
-  db.run(
-    'UPDATE campaign_team SET role = COALESCE(?, role), task_note = COALESCE(?, task_note), created_at = created_at WHERE id = ? AND campaign_id = ?',
-    [role, taskNote, memberId, id],
-    function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message })
-        return
-      }
-      if (this.changes === 0) {
-        res.status(404).json({ error: 'Team member not found' })
-        return
-      }
-      res.json({ success: true })
+// Remove member from wing
+app.delete('/api/wings/:id/members/:memberId', requireWingMemberManager, (req, res) => {
+  const { id, memberId } = req.params;
+  
+  db.run(`
+    DELETE FROM wing_members WHERE wing_id = ? AND volunteer_id = ?
+  `, [id, memberId], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
     }
-  )
-})
+    res.json({ success: true, message: 'Member removed from wing' });
+  });
+});
 
-// Approve a campaign team member (director only)
-app.post('/api/campaigns/:id/team/:memberId/approve', (req, res) => {
-  const { id, memberId } = req.params
+// Get volunteer's wing membership info (for profile display)
+app.get('/api/volunteers/:id/wings', (req, res) => {
+  const { id } = req.params;
+  
+  db.all(`
+    SELECT wm.role, wm.sort_order, wm.is_parent, w.id as wing_id, w.name as wing_name, w.location, w.approval_status
+    FROM wing_members wm
+    JOIN wings w ON wm.wing_id = w.id
+    WHERE wm.volunteer_id = ? AND w.approval_status = 'approved'
+    ORDER BY wm.is_parent DESC, wm.joined_at ASC
+  `, [id], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows);
+  });
+});
 
-  // Get team member details
-  db.get(
-    'SELECT ct.*, c.host_id, c.title as campaign_title FROM campaign_team ct JOIN campaigns c ON ct.campaign_id = c.id WHERE ct.id = ? AND ct.campaign_id = ?',
-    [memberId, id],
-    (err, member) => {
-      if (err) {
-        return res.status(500).json({ error: err.message })
-      }
-      if (!member) {
-        return res.status(404).json({ error: 'Team member not found' })
-      }
-      if (member.approval_status === 'approved') {
-        return res.json({ success: true, message: 'Already approved' })
+// Set parent wing for a volunteer
+app.put('/api/volunteers/:id/parent-wing', requireProfileEditor, (req, res) => {
+  const { id } = req.params;
+  const { wingId } = req.body;
+  
+  // First, unset all parent wings for this volunteer
+  db.run('UPDATE wing_members SET is_parent = 0 WHERE volunteer_id = ?', [id], (err) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    // Then set the new parent wing
+    db.run('UPDATE wing_members SET is_parent = 1 WHERE volunteer_id = ? AND wing_id = ?', [id, wingId], function(err2) {
+      if (err2) {
+        res.status(500).json({ error: err2.message });
+        return;
       }
+      res.json({ success: true, message: 'Parent wing updated' });
+    });
+  });
+});
 
-      // Update approval status
-      db.run(
-        'UPDATE campaign_team SET approval_status = ? WHERE id = ?',
-        ['approved', memberId],
-        function(updateErr) {
-          if (updateErr) {
-            return res.status(500).json({ error: updateErr.message })
-          }
-
-          // Notify the volunteer that they've been approved
-          createNotification(member.volunteer_id, 'campaign_join_approved',
-            `Your request to join campaign "${member.campaign_title}" has been approved! 🎉`, {
-              data: { campaignId: parseInt(id), role: member.role, hoursAwarded: member.hours || 0, respectAwarded: member.respect || 0 },
-              priority: 'high'
-          }).catch(console.error);
-
-          // Update volunteer profile with hours and respect (update both points and respect_points)
-          db.run(
-            'UPDATE volunteers SET hours_given = hours_given + ?, points = points + ?, respect_points = respect_points + ? WHERE id = ?',
-            [member.hours || 0, member.respect || 0, member.respect || 0, member.volunteer_id],
-            function(volErr) {
-              if (volErr) {
-                console.error('Failed to update volunteer profile:', volErr)
-                return res.status(500).json({ error: 'Failed to update volunteer profile' })
-              }
-
-              // Add activity for joining campaign as team member
-              db.get('SELECT title FROM campaigns WHERE id = ?', [id], (titleErr, campaign) => {
-                if (!titleErr && campaign) {
-                  // Check if activity already exists
-                  db.get(
-                    'SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = "joined_campaign" AND campaign_id = ?',
-                    [member.volunteer_id, id],
-                    (actCheckErr, existingActivity) => {
-                      if (!actCheckErr && !existingActivity) {
-                        const roleDesc = member.role === 'Program Host' ? 'host' : member.role.toLowerCase();
-                        db.run(
-                          'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
-                          [member.volunteer_id, 'joined_campaign', `Joined campaign as ${roleDesc}: ${campaign.title}`, id, campaign.title, member.role],
-                          (actErr) => {
-                            if (actErr) console.error('Failed to create team member activity:', actErr);
-                          }
-                        );
-                      }
-                    }
-                  );
-                }
-              });
+// ==================== WING POSTS API ====================
 
-              res.json({ success: true, message: 'Team member approved', hoursAdded: member.hours || 0, respectAdded: member.respect || 0 })
-            }
-          )
+// Get posts for a wing
+app.get('/api/wings/:id/posts', (req, res) => {
+  const { id } = req.params;
+  
+  db.all(`
+    SELECT wp.*, v.full_name as author_name, v.avatar as author_avatar, v.position as author_position,
+           c.title as campaign_title, c.description as campaign_description, c.days_left as campaign_days_left,
+           c.image as campaign_image, c.volunteers_needed, c.volunteers_joined,
+           (SELECT COUNT(*) FROM wing_post_reactions WHERE post_id = wp.id) as reaction_count,
+           (SELECT COUNT(*) FROM wing_post_comments WHERE post_id = wp.id) as comment_count
+    FROM wing_posts wp
+    JOIN volunteers v ON wp.author_id = v.id
+    LEFT JOIN campaigns c ON wp.campaign_id = c.id
+    WHERE wp.wing_id = ?
+    ORDER BY wp.created_at DESC
+  `, [id], (err, posts) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    // Get images, tags, and reactions for each post
+    const postIds = posts.map(p => p.id);
+    if (postIds.length === 0) {
+      return res.json([]);
+    }
+    
+    const placeholders = postIds.map(() => '?').join(',');
+    
+    // Get images
+    db.all(`SELECT * FROM wing_post_images WHERE post_id IN (${placeholders}) ORDER BY sort_order`, postIds, (imgErr, images) => {
+      if (imgErr) {
+        return res.status(500).json({ error: imgErr.message });
+      }
+      
+      // Get tags with volunteer info
+      db.all(`
+        SELECT wpt.*, v.full_name, v.avatar
+        FROM wing_post_tags wpt
+        JOIN volunteers v ON wpt.volunteer_id = v.id
+        WHERE wpt.post_id IN (${placeholders})
+      `, postIds, (tagErr, tags) => {
+        if (tagErr) {
+          return res.status(500).json({ error: tagErr.message });
         }
-      )
-    }
-  )
-})
-
-// Sync pending team members with campaign's program rewards
-app.post('/api/campaigns/:id/sync-rewards', (req, res) => {
-  const { id } = req.params
+        
+        // Get reactions breakdown
+        db.all(`
+          SELECT post_id, reaction_type, COUNT(*) as count
+          FROM wing_post_reactions
+          WHERE post_id IN (${placeholders})
+          GROUP BY post_id, reaction_type
+        `, postIds, (reactErr, reactions) => {
+          if (reactErr) {
+            return res.status(500).json({ error: reactErr.message });
+          }
+          
+          // Combine all data
+          const postsWithData = posts.map(post => ({
+            ...post,
+            images: images.filter(img => img.post_id === post.id),
+            tags: tags.filter(tag => tag.post_id === post.id),
+            reactions: reactions.filter(r => r.post_id === post.id)
+          }));
+          
+          res.json(postsWithData);
+        });
+      });
+    });
+  });
+});
 
-  db.get('SELECT program_hours, program_respect FROM campaigns WHERE id = ?', [id], (err, campaign) => {
+// Create a wing post
+app.post('/api/wings/:id/posts', (req, res) => {
+  const { id } = req.params;
+  const { content, location, images, taggedMembers, campaignId } = req.body;
+  const authorId = req.volunteer.id;
+  
+  db.run(`
+    INSERT INTO wing_posts (wing_id, author_id, content, location, campaign_id)
+    VALUES (?, ?, ?, ?, ?)
+  `, [id, authorId, content, location, campaignId], function(err) {
     if (err) {
-      return res.status(500).json({ error: err.message })
+      res.status(500).json({ error: err.message });
+      return;
     }
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' })
+    
+    const postId = this.lastID;
+    
+    // Add images
+    if (images && images.length > 0) {
+      const imgStmt = db.prepare('INSERT INTO wing_post_images (post_id, image_url, sort_order) VALUES (?, ?, ?)');
+      images.forEach((img, index) => {
+        imgStmt.run(postId, img, index);
+      });
+      imgStmt.finalize();
     }
-
-    const hours = campaign.program_hours || 0
-    const respect = campaign.program_respect || 0
-
-    db.run(
-      'UPDATE campaign_team SET hours = ?, respect = ? WHERE campaign_id = ? AND approval_status = "pending" AND (hours = 0 OR respect = 0)',
-      [hours, respect, id],
-      function(updateErr) {
-        if (updateErr) {
-          return res.status(500).json({ error: updateErr.message })
+    
+    // Add tagged members
+    if (taggedMembers && taggedMembers.length > 0) {
+      const tagStmt = db.prepare('INSERT INTO wing_post_tags (post_id, volunteer_id) VALUES (?, ?)');
+      taggedMembers.forEach(memberId => {
+        tagStmt.run(postId, memberId);
+      });
+      tagStmt.finalize();
+      
+      // Notify tagged members
+      db.get(`SELECT v.full_name, v.avatar, w.name as wing_name FROM volunteers v JOIN wings w ON w.id = ? WHERE v.id = ?`, 
+        [id, authorId], (tagErr, authorData) => {
+        if (!tagErr && authorData) {
+          taggedMembers.forEach(memberId => {
+            if (memberId != authorId) {
+              createNotification(memberId, 'tagged_in_post',
+                `tagged you in a post in ${authorData.wing_name}`, {
+                  data: { postId, wingId: parseInt(id), preview: content.length > 50 ? content.slice(0, 50) + '...' : content },
+                  actorId: parseInt(authorId),
+                  actorName: authorData.full_name,
+                  actorAvatar: authorData.avatar,
+                  priority: 'high'
+              }).catch(console.error);
+            }
+          });
         }
-        return res.json({ success: true, updated: this.changes, hours, respect })
-      }
-    )
-  })
-})
-
-// Assign hours/respect to team members (bulk or single)
-app.post('/api/campaigns/:id/assign-credits', (req, res) => {
-  const { id } = req.params
-  const { hours, respect, memberId } = req.body
-
-  const h = parseInt(hours) || 0
-  const r = parseInt(respect) || 0
+      });
+    }
+    
+    res.json({ success: true, postId });
+  });
+});
 
-  if (memberId) {
-    db.run(
-      'UPDATE campaign_team SET hours = ?, respect = ? WHERE id = ? AND campaign_id = ?',
-      [h, r, memberId, id],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: err.message })
-        }
-        return res.json({ success: true, updated: this.changes })
-      }
-    )
-  } else {
-    db.run(
-      'UPDATE campaign_team SET hours = ?, respect = ? WHERE campaign_id = ? AND approval_status = "pending"',
-      [h, r, id],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: err.message })
-        }
-        return res.json({ success: true, updated: this.changes })
+// React to a post
+app.post('/api/posts/:postId/react', (req, res) => {
+  const { postId } = req.params;
+  const { reactionType } = req.body;
+  const volunteerId = req.volunteer.id;
+  
+  // Insert or update reaction
+  db.run(`
+    INSERT INTO wing_post_reactions (post_id, volunteer_id, reaction_type)
+    VALUES (?, ?, ?)
+    ON CONFLICT(post_id, volunteer_id) DO UPDATE SET reaction_type = ?
+  `, [postId, volunteerId, reactionType, reactionType], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    // Notify post author about reaction
+    db.get(`
+      SELECT wp.author_id, wp.wing_id, v.full_name, v.avatar
+      FROM wing_posts wp
+      JOIN volunteers v ON v.id = ?
+      WHERE wp.id = ?
+    `, [volunteerId, postId], (postErr, postData) => {
+      if (!postErr && postData && postData.author_id != volunteerId) {
+        const reactionEmoji = { love: '❤️', like: '👍', celebrate: '🎉', support: '🤲', insightful: '💡' }[reactionType] || '👍';
+        createNotification(postData.author_id, 'wing_post_reaction',
+          `reacted ${reactionEmoji} to your post`, {
+            data: { postId: parseInt(postId), wingId: postData.wing_id, reactionType },
+            actorId: parseInt(volunteerId),
+            actorName: postData.full_name,
+            actorAvatar: postData.avatar,
+            priority: 'low'
+        }).catch(console.error);
       }
-    )
-  }
-})
+    });
+    
+    res.json({ success: true });
+  });
+});
 
-// Delete campaign
-app.delete('/api/campaigns/:id', (req, res) => {
-  const { id } = req.params;
-  db.run('DELETE FROM campaign_team WHERE campaign_id = ?', [id]);
-  db.run('DELETE FROM campaigns WHERE id = ?', [id], function(err) {
+// Remove reaction from post
+app.delete('/api/posts/:postId/react/:volunteerId', requireSelf('volunteerId'), (req, res) => {
+  const { postId, volunteerId } = req.params;
+  
+  db.run('DELETE FROM wing_post_reactions WHERE post_id = ? AND volunteer_id = ?', [postId, volunteerId], function(err) {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json({ success: true, message: 'Campaign deleted' });
+    res.json({ success: true });
   });
 });
 
-// Approve campaign
-app.post('/api/campaigns/:id/approve', (req, res) => {
-  const { id } = req.params;
-  const { reviewerId } = req.body;
+// Get user's reaction on a post
+app.get('/api/posts/:postId/react/:volunteerId', (req, res) => {
+  const { postId, volunteerId } = req.params;
   
-  db.run(`
-    UPDATE campaigns 
-    SET approval_status = 'approved', 
-        reviewed_by = ?, 
-        reviewed_at = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [reviewerId, id], function(err) {
+  db.get('SELECT reaction_type FROM wing_post_reactions WHERE post_id = ? AND volunteer_id = ?', [postId, volunteerId], (err, row) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
+    res.json({ reaction: row?.reaction_type || null });
+  });
+});
 
-    // Get campaign details for activities
-    db.get('SELECT title, host_id FROM campaigns WHERE id = ?', [id], (campErr, campaign) => {
-      if (campErr || !campaign) {
-        console.error('Failed to get campaign details:', campErr);
-      } else {
-        // Add hosting activity for campaign creator (if not already exists)
-        if (campaign.host_id) {
-          db.get(
-            'SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = "joined_campaign" AND campaign_id = ?',
-            [campaign.host_id, id],
-            (actCheckErr, existingActivity) => {
-              if (!actCheckErr && !existingActivity) {
-                db.run(
-                  'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
-                  [campaign.host_id, 'joined_campaign', `Hosting campaign: ${campaign.title}`, id, campaign.title, 'Program Host'],
-                  (actErr) => {
-                    if (actErr) console.error('Failed to create host activity:', actErr);
-                  }
-                );
-              }
-            }
-          );
-        }
+// Get comments for a post
+app.get('/api/posts/:postId/comments', (req, res) => {
+  const { postId } = req.params;
+  
+  db.all(`
+    SELECT c.*, v.full_name, v.avatar,
+           (SELECT COUNT(*) FROM wing_comment_reactions WHERE comment_id = c.id) as reaction_count
+    FROM wing_post_comments c
+    JOIN volunteers v ON c.volunteer_id = v.id
+    WHERE c.post_id = ? AND c.parent_id IS NULL
+    ORDER BY c.created_at ASC
+  `, [postId], (err, comments) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    // Get replies for each comment
+    const commentIds = comments.map(c => c.id);
+    if (commentIds.length === 0) {
+      return res.json([]);
+    }
+    
+    const placeholders = commentIds.map(() => '?').join(',');
+    db.all(`
+      SELECT c.*, v.full_name, v.avatar,
+             (SELECT COUNT(*) FROM wing_comment_reactions WHERE comment_id = c.id) as reaction_count
+      FROM wing_post_comments c
+      JOIN volunteers v ON c.volunteer_id = v.id
+      WHERE c.parent_id IN (${placeholders})
+      ORDER BY c.created_at ASC
+    `, commentIds, (repliesErr, replies) => {
+      if (repliesErr) {
+        return res.status(500).json({ error: repliesErr.message });
+      }
+      
+      const commentsWithReplies = comments.map(comment => ({
+        ...comment,
+        replies: replies.filter(r => r.parent_id === comment.id)
+      }));
+      
+      res.json(commentsWithReplies);
+    });
+  });
+});
 
-        // Add activities for all approved team members
-        db.all(
-          'SELECT volunteer_id, role FROM campaign_team WHERE campaign_id = ? AND approval_status = "approved"',
-          [id],
-          (teamErr, teamMembers) => {
-            if (teamErr) {
-              console.error('Failed to get team members:', teamErr);
-            } else {
-              teamMembers.forEach(member => {
-                // Check if activity already exists
-                db.get(
-                  'SELECT id FROM activities WHERE volunteer_id = ? AND activity_type = "joined_campaign" AND campaign_id = ?',
-                  [member.volunteer_id, id],
-                  (actCheckErr, existingActivity) => {
-                    if (!actCheckErr && !existingActivity) {
-                      const roleDesc = member.role === 'Program Host' ? 'host' : member.role.toLowerCase();
-                      db.run(
-                        'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
-                        [member.volunteer_id, 'joined_campaign', `Joined campaign as ${roleDesc}: ${campaign.title}`, id, campaign.title, member.role],
-                        (actErr) => {
-                          if (actErr) console.error('Failed to create team member activity:', actErr);
-                        }
-                      );
-                    }
-                  }
-                );
-              });
+// Add comment to a post
+app.post('/api/posts/:postId/comments', (req, res) => {
+  const { postId } = req.params;
+  const { content, parentId } = req.body;
+  const volunteerId = req.volunteer.id;
+  
+  db.run(`
+    INSERT INTO wing_post_comments (post_id, volunteer_id, content, parent_id)
+    VALUES (?, ?, ?, ?)
+  `, [postId, volunteerId, content, parentId || null], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    const commentId = this.lastID;
+    
+    // Get commenter info and post details
+    db.get(`
+      SELECT wp.author_id, wp.wing_id, v.full_name, v.avatar
+      FROM wing_posts wp
+      JOIN volunteers v ON v.id = ?
+      WHERE wp.id = ?
+    `, [volunteerId, postId], (postErr, postData) => {
+      if (!postErr && postData) {
+        const preview = content.length > 50 ? content.slice(0, 50) + '...' : content;
+        
+        // Notify post author about comment (if not the commenter)
+        if (postData.author_id != volunteerId) {
+          createNotification(postData.author_id, 'wing_post_comment',
+            `commented on your post`, {
+              data: { postId: parseInt(postId), wingId: postData.wing_id, preview },
+              actorId: parseInt(volunteerId),
+              actorName: postData.full_name,
+              actorAvatar: postData.avatar,
+              priority: 'normal'
+          }).catch(console.error);
+        }
+        
+        // If this is a reply, notify the parent comment author
+        if (parentId) {
+          db.get('SELECT volunteer_id FROM wing_post_comments WHERE id = ?', [parentId], (parentErr, parentComment) => {
+            if (!parentErr && parentComment && parentComment.volunteer_id != volunteerId && parentComment.volunteer_id != postData.author_id) {
+              createNotification(parentComment.volunteer_id, 'comment_reply',
+                `replied to your comment`, {
+                  data: { postId: parseInt(postId), wingId: postData.wing_id, commentId, preview },
+                  actorId: parseInt(volunteerId),
+                  actorName: postData.full_name,
+                  actorAvatar: postData.avatar,
+                  priority: 'normal'
+              }).catch(console.error);
             }
-          }
-        );
+          });
+        }
       }
     });
     
-    // Log the approval action
-    db.run(`
-      INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, ['campaign_approved', `Approved campaign`, reviewerId, id, 'campaign', JSON.stringify({ campaignId: id })]);
-    
-    res.json({ success: true, message: 'Campaign approved' });
+    res.json({ success: true, commentId });
   });
 });
 
-// Decline campaign
-app.post('/api/campaigns/:id/decline', (req, res) => {
-  const { id } = req.params;
-  const { reviewerId, reason } = req.body;
+// React to a comment
+app.post('/api/comments/:commentId/react', (req, res) => {
+  const { commentId } = req.params;
+  const { reactionType } = req.body;
+  const volunteerId = req.volunteer.id;
   
   db.run(`
-    UPDATE campaigns 
-    SET approval_status = 'declined', 
-        decline_reason = ?,
-        reviewed_by = ?, 
-        reviewed_at = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [reason, reviewerId, id], function(err) {
+    INSERT INTO wing_comment_reactions (comment_id, volunteer_id, reaction_type)
+    VALUES (?, ?, ?)
+    ON CONFLICT(comment_id, volunteer_id) DO UPDATE SET reaction_type = ?
+  `, [commentId, volunteerId, reactionType, reactionType], function(err) {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json({ success: true, message: 'Campaign declined' });
+    res.json({ success: true });
   });
 });
 
-// Image generation (Gemini only per user request)
-app.post('/api/openrouter/generate-image', async (req, res) => {
-  const { prompt } = req.body
-
-  if (!prompt) {
-    return res.status(400).json({ error: 'Prompt is required' })
-  }
-
-  const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY
-  if (!GOOGLE_API_KEY) {
-    return res.status(500).json({ error: 'Google Gemini API key not configured' })
-  }
-
-  // Build detailed image generation prompt based on campaign context
-  const campaignTitle = prompt.match(/Campaign:\s*([^\n]+)/i)?.[1] || 'Community'
-  const campaignWing = prompt.match(/Wing:\s*([^\n]+)/i)?.[1] || 'Community'
-  const campaignLocation = prompt.match(/Location:\s*([^\n]+)/i)?.[1] || 'Outdoor Campus'
-
-  const detailedPrompt = `A clean, soft cartoon-style illustration of "${campaignTitle}" campaign organized by UYHO youth organization.
-Setting: ${campaignLocation}, educational outdoor environment with trees, sunlight, peaceful atmosphere.
-Content: Young students and diverse teenagers (10-25 years old) working in groups, engaged in activities related to ${campaignWing}.
-Mentor figures guiding and supporting participants.
-Diverse people, friendly approachable faces, modest casual clothing, warm and welcoming expressions.
-Visual elements: Collaborative activities, learning materials, innovation themes, teamwork visualization.
-Color Palette: Warm pastel colors, soft painterly shading, smooth gradients.
-Style: Semi-realistic cartoon illustration, similar to modern educational artwork and children's book illustrations.
-Composition: Cinematic composition, depth of field, dynamic group arrangement, atmospheric lighting.
-Quality: High quality, detailed, professional illustration.
-Aspect Ratio: 16:9 widescreen.
-IMPORTANT - Do NOT include: photorealistic faces, anime style, 3D renders, sharp outlines, harsh shadows, dark mood, text, watermarks, logos.
-Mood: Hopeful, inspiring, educational, representing innovation, teamwork, and future thinkers.`
-
-  console.log('Calling Gemini direct for image generation, wing:', campaignWing, 'title:', campaignTitle)
-
+// Create wing campaign request (hosted by wing); with templateId, the template fills in what is left out
+app.post('/api/wings/:id/campaign-request', async (req, res) => {
+  const { id } = req.params;
+  let template = null;
   try {
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp-image-generation:generateContent?key=${GOOGLE_API_KEY}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: detailedPrompt }] }]
-      })
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.warn('Gemini request failed:', response.status, errorText)
-      return res.status(502).json({ error: 'Gemini request failed', status: response.status, details: errorText })
-    }
-
-    const data = await response.json()
-    console.log('Gemini response:', JSON.stringify(data).substring(0, 300))
-
-    const content = data?.candidates?.[0]?.content?.parts?.[0]?.text
-    if (!content) {
-      return res.status(502).json({ error: 'Gemini did not return content' })
-    }
-
-    const urlMatch = content.match(/https?:\/\/[^\s]+\.(jpg|jpeg|png|gif|webp)/i)
-    if (urlMatch) {
-      console.log('Gemini returned image URL:', urlMatch[0])
-      return res.json({ success: true, imageUrl: urlMatch[0], model: 'gemini-2.0-flash-exp-image-generation' })
-    }
-
-    return res.status(502).json({ error: 'Gemini did not return an image URL', details: content.substring(0, 200) })
+    if (req.body.templateId) template = await getTemplateForWing(promisePool, req.body.templateId, { wingId: id });
   } catch (err) {
-    console.warn('Gemini request error:', err.message)
-    return res.status(500).json({ error: 'Gemini request error', details: err.message })
-  }
-})
-
-// ==================== WINGS API ====================
-
-// Wing roles constant
-const WING_ROLES = [
-  { role: 'Wing Chief Executive', sort_order: 1 },
-  { role: 'Wing Deputy Executive', sort_order: 2 },
-  { role: 'Wing Secretary', sort_order: 3 },
-  { role: 'Wing Treasurer', sort_order: 4 },
-  { role: 'Wing Coordinator', sort_order: 5 },
-  { role: 'Wing Senior Member', sort_order: 6 },
-  { role: 'Wing Member', sort_order: 7 }
-];
-
-// Get wing roles list
-app.get('/api/wings/roles', (req, res) => {
-  res.json(WING_ROLES);
-});
-
-// Get all wings (with filter support)
-app.get('/api/wings', (req, res) => {
-  const { status, includeMembers } = req.query;
-  
-  let query = `
-    SELECT w.*, 
-           v.full_name as created_by_name,
-           (SELECT COUNT(*) FROM wing_members wm WHERE wm.wing_id = w.id) as member_count
-    FROM wings w
-    LEFT JOIN volunteers v ON w.created_by = v.id
-  `;
-  
-  if (status === 'pending') {
-    query += ` WHERE w.approval_status = 'pending' OR w.approval_status IS NULL`;
-  } else if (status === 'approved') {
-    query += ` WHERE w.approval_status = 'approved'`;
-  } else if (status === 'declined') {
-    query += ` WHERE w.approval_status = 'declined'`;
+    return res.status(err.status || 500).json({ error: err.message });
   }
+  const { title, description, wing, deadline, location, image, volunteersNeeded, budget, budgetBreakdown, programHours, programRespect, livesImpacted, team } =
+    template ? withTemplateDefaults(req.body, template) : req.body;
+  const createdBy = req.volunteer.id;
   
-  query += ` ORDER BY w.created_at DESC`;
+  const campaignHours = programHours || 0;
+  const campaignRespect = programRespect || 0;
+  const campaignBudget = budget || 0;
+  const campaignLivesImpacted = livesImpacted || 0;
   
-  db.all(query, [], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
+  // Get wing info
+  db.get('SELECT name FROM wings WHERE id = ?', [id], (err, wingData) => {
+    if (err || !wingData) {
+      res.status(500).json({ error: err?.message || 'Wing not found' });
       return;
     }
     
-    // If includeMembers is requested, fetch members for each wing
-    if (includeMembers === 'true' && rows.length > 0) {
-      const wingIds = rows.map(w => w.id);
-      const placeholders = wingIds.map(() => '?').join(',');
+    db.run(`
+      INSERT INTO campaigns (title, description, wing, event_date, location, image, volunteers_needed, budget, budget_breakdown, host_id, status, approval_status, hosted_by_wing_id, hosted_by_name, program_hours, program_respect, lives_impacted, volunteers_joined, goal)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Active', 'pending', ?, ?, ?, ?, ?, ?, ?)
+    `, [title, description, wing, deadline, location, image, volunteersNeeded, campaignBudget, budgetBreakdown, createdBy, id, wingData.name, campaignHours, campaignRespect, campaignLivesImpacted, team?.length || 0, campaignBudget], async function(insertErr) {
+      if (insertErr) {
+        res.status(500).json({ error: insertErr.message });
+        return;
+      }
       
-      db.all(`
-        SELECT wm.*, v.id, v.full_name, v.avatar, v.position, v.digital_id,
-               wm.wing_id
-        FROM wing_members wm
-        JOIN volunteers v ON wm.volunteer_id = v.id
-        WHERE wm.wing_id IN (${placeholders})
-        ORDER BY wm.sort_order ASC, wm.joined_at ASC
-      `, wingIds, (memberErr, members) => {
-        if (memberErr) {
-          // Return without members on error
-          return res.json(rows);
+      const campaignId = this.lastID;
+
+      if (template) {
+        try {
+          await withTransaction(conn => applyTemplateToCampaign(conn, campaignId, template));
+        } catch (templateErr) {
+          console.error('[Wing Campaign] Template roles not applied:', templateErr.message);
         }
+      }
+      
+      // Auto-add creator as Program Host
+      if (createdBy) {
+        db.run(
+          'INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [campaignId, createdBy, 'Program Host', 'Campaign creator and host', campaignHours, campaignRespect, 'approved'],
+          (hostErr) => {
+            if (hostErr) {
+              console.error('Failed to add host to team:', hostErr);
+            } else {
+              // Add hosting activity for creator
+              db.run(
+                'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+                [createdBy, 'joined_campaign', `Hosting wing campaign: ${title}`, campaignId, title, 'Program Host'],
+                (actErr) => {
+                  if (actErr) console.error('Failed to create host activity:', actErr);
+                }
+              );
+            }
+          }
+        );
+      }
+      
+      // Add team members if provided
+      if (team && team.length > 0) {
+        const teamStmt = db.prepare(`
+          INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
         
-        // Group members by wing
-        const membersByWing = {};
-        members.forEach(m => {
-          if (!membersByWing[m.wing_id]) membersByWing[m.wing_id] = [];
-          membersByWing[m.wing_id].push({
-            id: m.id,
-            volunteer_id: m.volunteer_id,
-            full_name: m.full_name,
-            avatar: m.avatar,
-            position: m.position,
-            digital_id: m.digital_id,
-            wing_role: m.role,
-            sort_order: m.sort_order
-          });
-        });
-        
-        // Attach members to wings
-        rows.forEach(wing => {
-          wing.members = membersByWing[wing.id] || [];
+        team.forEach(member => {
+          teamStmt.run(
+            campaignId,
+            member.volunteerId,
+            member.role,
+            member.taskNote || '',
+            member.hours || campaignHours,
+            member.respect || campaignRespect,
+            'approved' // Auto-approve wing team assignments
+          );
+          
+          // Add activity for each team member
+          const roleDesc = member.role === 'Program Host' ? 'host' : member.role.toLowerCase();
+          db.run(
+            'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
+            [member.volunteerId, 'joined_campaign', `Joined wing campaign as ${roleDesc}: ${title}`, campaignId, title, member.role],
+            (actErr) => {
+              if (actErr) console.error('Failed to create team member activity:', actErr);
+            }
+          );
         });
-        
-        res.json(rows);
-      });
-    } else {
-      res.json(rows);
-    }
+        teamStmt.finalize();
+      }
+      
+      syncCampaignJoined(campaignId);
+      res.json({ success: true, campaignId });
+    });
   });
 });
 
-// Get pending wings for approval
-app.get('/api/wings/pending', (req, res) => {
-  db.all(`
-    SELECT w.*, v.full_name as created_by_name,
-           (SELECT COUNT(*) FROM wing_members wm WHERE wm.wing_id = w.id) as member_count
-    FROM wings w
-    LEFT JOIN volunteers v ON w.created_by = v.id
-    WHERE w.approval_status = 'pending' OR w.approval_status IS NULL
-    ORDER BY w.created_at DESC
-  `, [], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json(rows);
+// Auto-post when campaign is approved (add this to campaign approval logic)
+// This function can be called when a campaign hosted by a wing is approved
+const createCampaignPost = (campaignId, wingId) => {
+  db.get('SELECT * FROM campaigns WHERE id = ?', [campaignId], (err, campaign) => {
+    if (err || !campaign) return;
+    
+    db.run(`
+      INSERT INTO wing_posts (wing_id, author_id, content, campaign_id)
+      VALUES (?, ?, ?, ?)
+    `, [wingId, campaign.created_by, `🎯 New Campaign: ${campaign.title}\n\n${campaign.description}`, campaignId], (postErr) => {
+      if (postErr) console.error('Failed to create campaign post:', postErr);
+    });
   });
-});
+};
 
-// Get single wing with members
-app.get('/api/wings/:id', (req, res) => {
+// ==================== END WING POSTS API ====================
+
+// ==================== WING SETTINGS/ADMIN API ====================
+
+// Get wing settings (for edit page)
+app.get('/api/wings/:id/settings', (req, res) => {
   const { id } = req.params;
   
   db.get(`
-    SELECT w.*, v.full_name as created_by_name
-    FROM wings w
-    LEFT JOIN volunteers v ON w.created_by = v.id
-    WHERE w.id = ?
+    SELECT w.*, 
+           (SELECT COUNT(*) FROM wing_join_requests WHERE wing_id = w.id AND status = 'pending') as pending_requests
+    FROM wings w WHERE w.id = ?
   `, [id], (err, wing) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    if (!wing) {
-      res.status(404).json({ error: 'Wing not found' });
-      return;
-    }
+    if (err) return res.status(500).json({ error: err.message });
+    if (!wing) return res.status(404).json({ error: 'Wing not found' });
     
-    // Get wing members
+    // Get admins
     db.all(`
-      SELECT wm.*, v.full_name, v.avatar, v.email, v.position as central_position, v.digital_id, v.hours_given
+      SELECT wm.*, v.full_name, v.avatar, v.position
       FROM wing_members wm
       JOIN volunteers v ON wm.volunteer_id = v.id
-      WHERE wm.wing_id = ?
-      ORDER BY wm.sort_order ASC, wm.joined_at ASC
-    `, [id], (err, members) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      wing.members = members || [];
-      res.json(wing);
+      WHERE wm.wing_id = ? AND (wm.is_admin = 1 OR wm.sort_order = 1)
+      ORDER BY wm.sort_order
+    `, [id], (err2, admins) => {
+      if (err2) return res.status(500).json({ error: err2.message });
+      
+      res.json({ ...wing, admins });
     });
   });
 });
 
-// Wing donations
-app.post('/api/wing-donations', (req, res) => {
-  const { wingId, volunteerId, amount, donorName, phoneNumber, transactionId, paymentMethod, isAnonymous } = req.body;
-  
-  if (!wingId || !amount || !transactionId) {
-    return res.status(400).json({ error: 'Wing ID, amount, and transaction ID are required' });
-  }
+// Update wing settings
+app.put('/api/wings/:id/settings', (req, res) => {
+  const { id } = req.params;
+  const { name, bio, description, image, cover_image, join_approval_required } = req.body;
   
   db.run(`
-    INSERT INTO wing_donations (wing_id, volunteer_id, amount, donor_name, phone_number, transaction_id, payment_method, is_anonymous, status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')
-  `, [wingId, volunteerId || null, amount, donorName || 'Anonymous', phoneNumber || null, transactionId, paymentMethod || 'bKash', isAnonymous ? 1 : 0], function(err) {
-    if (err) {
-      console.error('Error creating wing donation:', err);
-      return res.status(500).json({ error: err.message });
+    UPDATE wings 
+    SET name = COALESCE(?, name),
+        bio = COALESCE(?, bio),
+        description = COALESCE(?, description),
+        image = COALESCE(?, image),
+        cover_image = COALESCE(?, cover_image),
+        join_approval_required = COALESCE(?, join_approval_required),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [name, bio, description, image, cover_image, join_approval_required, id], function(err) {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ success: true });
+  });
+});
+
+// Get wing admins
+app.get('/api/wings/:id/admins', (req, res) => {
+  const { id } = req.params;
+  
+  db.all(`
+    SELECT wm.*, v.full_name, v.avatar, v.position
+    FROM wing_members wm
+    JOIN volunteers v ON wm.volunteer_id = v.id
+    WHERE wm.wing_id = ? AND (wm.is_admin = 1 OR wm.sort_order = 1)
+    ORDER BY wm.sort_order
+  `, [id], (err, admins) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(admins);
+  });
+});
+
+// Add admin
+app.post('/api/wings/:id/admins', (req, res) => {
+  const { id } = req.params;
+  const { volunteerId } = req.body;
+  
+  db.run(`UPDATE wing_members SET is_admin = 1 WHERE wing_id = ? AND volunteer_id = ?`, 
+    [id, volunteerId], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true });
+    }
+  );
+});
+
+// Remove admin
+app.delete('/api/wings/:id/admins/:volunteerId', (req, res) => {
+  const { id, volunteerId } = req.params;
+  
+  // Can't remove the top position (sort_order = 1) from admin
+  db.get('SELECT sort_order FROM wing_members WHERE wing_id = ? AND volunteer_id = ?', 
+    [id, volunteerId], (err, member) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (member?.sort_order === 1) {
+        return res.status(400).json({ error: 'Cannot remove top position from admin' });
+      }
+      
+      db.run(`UPDATE wing_members SET is_admin = 0 WHERE wing_id = ? AND volunteer_id = ?`, 
+        [id, volunteerId], function(err2) {
+          if (err2) return res.status(500).json({ error: err2.message });
+          res.json({ success: true });
+        }
+      );
+    }
+  );
+});
+
+// Transfer top admin position
+app.put('/api/wings/:id/transfer-admin', (req, res) => {
+  const { id } = req.params;
+  const { toVolunteerId } = req.body;
+  const fromVolunteerId = req.volunteer.id;
+  
+  // Get current roles
+  db.get('SELECT role, sort_order FROM wing_members WHERE wing_id = ? AND volunteer_id = ?', 
+    [id, fromVolunteerId], (err, fromMember) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!fromMember || fromMember.sort_order !== 1) {
+        return res.status(400).json({ error: 'Only top position can transfer' });
+      }
+      
+      db.get('SELECT role, sort_order FROM wing_members WHERE wing_id = ? AND volunteer_id = ?', 
+        [id, toVolunteerId], (err2, toMember) => {
+          if (err2) return res.status(500).json({ error: err2.message });
+          if (!toMember || toMember.sort_order > 6) {
+            return res.status(400).json({ error: 'Can only transfer to committee members' });
+          }
+          
+          // Swap roles
+          db.run(`UPDATE wing_members SET role = ?, sort_order = ? WHERE wing_id = ? AND volunteer_id = ?`,
+            [toMember.role, toMember.sort_order, id, fromVolunteerId], (err3) => {
+              if (err3) return res.status(500).json({ error: err3.message });
+              
+              db.run(`UPDATE wing_members SET role = ?, sort_order = 1, is_admin = 1 WHERE wing_id = ? AND volunteer_id = ?`,
+                [fromMember.role, id, toVolunteerId], (err4) => {
+                  if (err4) return res.status(500).json({ error: err4.message });
+                  res.json({ success: true });
+                }
+              );
+            }
+          );
+        }
+      );
+    }
+  );
+});
+
+// Manage committee members - promote
+app.put('/api/wings/:id/members/:volunteerId/promote', requireWingMemberManager, (req, res) => {
+  const { id, volunteerId } = req.params;
+  const { newRole, newSortOrder } = req.body;
+  
+  db.run(`UPDATE wing_members SET role = ?, sort_order = ? WHERE wing_id = ? AND volunteer_id = ?`,
+    [newRole, newSortOrder, id, volunteerId], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true });
     }
-    res.json({ success: true, id: this.lastID, message: 'Donation submitted for review' });
-  });
+  );
 });
 
-// Get wing donations
-app.get('/api/wing-donations/:wingId', (req, res) => {
-  const { wingId } = req.params;
-  const { status } = req.query;
-  
-  let query = `
-    SELECT wd.*, v.full_name as volunteer_name, v.avatar as volunteer_avatar
-    FROM wing_donations wd
-    LEFT JOIN volunteers v ON wd.volunteer_id = v.id
-    WHERE wd.wing_id = ?
-  `;
-  const params = [wingId];
-  
-  if (status) {
-    query += ' AND wd.status = ?';
-    params.push(status);
-  }
-  
-  query += ' ORDER BY wd.created_at DESC';
+// Manage committee members - remove from position (demote to regular member)
+app.put('/api/wings/:id/members/:volunteerId/demote', requireWingMemberManager, (req, res) => {
+  const { id, volunteerId } = req.params;
   
-  db.all(query, params, (err, donations) => {
-    if (err) {
-      console.error('Error fetching wing donations:', err);
-      return res.status(500).json({ error: err.message });
+  db.run(`UPDATE wing_members SET role = 'Wing Member', sort_order = 7, is_admin = 0 WHERE wing_id = ? AND volunteer_id = ?`,
+    [id, volunteerId], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true });
     }
-    res.json(donations);
-  });
+  );
 });
 
-// Approve/reject wing donation
-app.put('/api/wing-donations/:id/status', (req, res) => {
+// Get join requests
+app.get('/api/wings/:id/join-requests', (req, res) => {
   const { id } = req.params;
-  const { status, reviewerId } = req.body;
-  
-  if (!['approved', 'rejected'].includes(status)) {
-    return res.status(400).json({ error: 'Status must be approved or rejected' });
-  }
   
-  db.run(`
-    UPDATE wing_donations 
-    SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [status, reviewerId, id], function(err) {
-    if (err) {
-      console.error('Error updating wing donation status:', err);
-      return res.status(500).json({ error: err.message });
-    }
-    res.json({ success: true, message: `Donation ${status}` });
+  db.all(`
+    SELECT jr.*, v.full_name, v.avatar, v.position, v.hours_given
+    FROM wing_join_requests jr
+    JOIN volunteers v ON jr.volunteer_id = v.id
+    WHERE jr.wing_id = ? AND jr.status = 'pending'
+    ORDER BY jr.requested_at DESC
+  `, [id], (err, requests) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(requests);
   });
 });
 
-// Get wing activities
-app.get('/api/wings/:id/activities', (req, res) => {
+// Submit join request
+app.post('/api/wings/:id/join-request', (req, res) => {
   const { id } = req.params;
+  const volunteerId = req.volunteer.id;
   
-  db.all(`
-    SELECT a.*, v.full_name, v.avatar, v.digital_id,
-           CASE 
-             WHEN a.activity_type = 'joined_campaign' THEN c.title
-             ELSE NULL
-           END as campaign_title
-    FROM activities a
-    JOIN volunteers v ON a.volunteer_id = v.id
-    LEFT JOIN campaigns c ON a.campaign_id = c.id
-    WHERE v.id IN (
-      SELECT volunteer_id FROM wing_members WHERE wing_id = ?
-    )
-    OR a.campaign_id IN (
-      SELECT c2.id FROM campaigns c2 WHERE c2.hosted_by_wing_id = ?
-    )
-    ORDER BY a.created_at DESC
-    LIMIT 50
-  `, [id, id], (err, activities) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+  // Check if wing requires approval
+  db.get('SELECT join_approval_required FROM wings WHERE id = ?', [id], (err, wing) => {
+    if (err) return res.status(500).json({ error: err.message });
+    
+    if (wing?.join_approval_required) {
+      // Add to join requests
+      db.run(`INSERT OR REPLACE INTO wing_join_requests (wing_id, volunteer_id, status) VALUES (?, ?, 'pending')`,
+        [id, volunteerId], function(err2) {
+          if (err2) return res.status(500).json({ error: err2.message });
+          res.json({ success: true, pending: true });
+        }
+      );
+    } else {
+      // Direct join
+      db.run(`INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order) VALUES (?, ?, 'Wing Member', 7)`,
+        [id, volunteerId], function(err2) {
+          if (err2) return res.status(500).json({ error: err2.message });
+          res.json({ success: true, pending: false });
+        }
+      );
     }
-    res.json(activities);
   });
 });
 
-// Create new wing
-app.post('/api/wings', (req, res) => {
-  const { name, description, image, location, createdBy, members } = req.body;
-  
-  if (!name) {
-    return res.status(400).json({ error: 'Wing name is required' });
-  }
+// Approve join request
+app.put('/api/wings/:id/join-requests/:requestId/approve', (req, res) => {
+  const { id, requestId } = req.params;
+  const reviewerId = req.volunteer.id;
   
-  db.run(`
-    INSERT INTO wings (name, description, image, location, created_by, approval_status)
-    VALUES (?, ?, ?, ?, ?, 'pending')
-  `, [name, description || '', image || '', location || '', createdBy], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    const wingId = this.lastID;
-    
-    // Add members if provided
-    if (members && members.length > 0) {
-      const stmt = db.prepare(`
-        INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order)
-        VALUES (?, ?, ?, ?)
-      `);
-      
-      members.forEach(member => {
-        const roleInfo = WING_ROLES.find(r => r.role === member.role) || WING_ROLES[6];
-        stmt.run(wingId, member.volunteerId, member.role, roleInfo.sort_order);
-      });
-      
-      stmt.finalize();
-    }
+  db.get('SELECT jr.volunteer_id, w.name as wing_name FROM wing_join_requests jr JOIN wings w ON jr.wing_id = w.id WHERE jr.id = ?', [requestId], (err, request) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!request) return res.status(404).json({ error: 'Request not found' });
     
-    res.json({ success: true, id: wingId, message: 'Wing created and pending approval' });
+    // Add to wing members
+    db.run(`INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order) VALUES (?, ?, 'Wing Member', 7)`,
+      [id, request.volunteer_id], (err2) => {
+        if (err2) return res.status(500).json({ error: err2.message });
+        
+        // Update request status
+        db.run(`UPDATE wing_join_requests SET status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [reviewerId, requestId], (err3) => {
+            if (err3) return res.status(500).json({ error: err3.message });
+            
+            // Create notification for the user
+            createNotification(request.volunteer_id, 'wing_join_approved', 
+              `Your request to join ${request.wing_name} has been approved! Welcome to the wing.`, {
+                data: { wingId: parseInt(id), wingName: request.wing_name },
+                actorId: reviewerId,
+                priority: 'high'
+            }).catch(console.error);
+            
+            res.json({ success: true });
+          }
+        );
+      }
+    );
   });
 });
 
-// Update wing
-app.put('/api/wings/:id', (req, res) => {
-  const { id } = req.params;
-  const { name, description, image, location } = req.body;
+// Reject join request
+app.put('/api/wings/:id/join-requests/:requestId/reject', (req, res) => {
+  const { id, requestId } = req.params;
+  const reviewerId = req.volunteer.id;
   
-  db.run(`
-    UPDATE wings 
-    SET name = COALESCE(?, name),
-        description = COALESCE(?, description),
-        image = COALESCE(?, image),
-        location = COALESCE(?, location),
-        updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [name, description, image, location, id], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+  db.run(`UPDATE wing_join_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [reviewerId, requestId], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true });
     }
-    res.json({ success: true, message: 'Wing updated' });
-  });
+  );
 });
 
-// Approve wing
-app.post('/api/wings/:id/approve', (req, res) => {
+// Get wing posts for management (with search)
+app.get('/api/wings/:id/posts/manage', (req, res) => {
   const { id } = req.params;
-  const { reviewerId } = req.body;
+  const { search } = req.query;
   
-  // First get wing name for activity description
-  db.get('SELECT name FROM wings WHERE id = ?', [id], (err, wing) => {
-    if (err || !wing) {
-      res.status(500).json({ error: err?.message || 'Wing not found' });
-      return;
-    }
-    
-    db.run(`
-      UPDATE wings 
-      SET approval_status = 'approved',
-          reviewed_by = ?,
-          reviewed_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, [reviewerId, id], function(updateErr) {
-      if (updateErr) {
-        res.status(500).json({ error: updateErr.message });
-        return;
-      }
-      
-      // Add activity for all wing members
-      db.all('SELECT volunteer_id, role FROM wing_members WHERE wing_id = ?', [id], (membersErr, members) => {
-        if (!membersErr && members && members.length > 0) {
-          members.forEach(member => {
-            db.run(
-              'INSERT INTO activities (volunteer_id, activity_type, description, role) VALUES (?, ?, ?, ?)',
-              [member.volunteer_id, 'joined_wing', `Joined ${wing.name} as ${member.role}`, member.role],
-              (actErr) => {
-                if (actErr) console.error('Failed to create wing join activity:', actErr);
-              }
-            );
-          });
-        }
-      });
-      
-      // Log the approval action
-      db.run(`
-        INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, ['wing_approved', `Approved wing: ${wing.name}`, reviewerId, id, 'wing', JSON.stringify({ wingId: id, wingName: wing.name })]);
-      
-      res.json({ success: true, message: 'Wing approved' });
-    });
+  let query = `
+    SELECT wp.*, v.full_name as author_name, v.avatar as author_avatar,
+           (SELECT COUNT(*) FROM wing_post_reactions WHERE post_id = wp.id) as reaction_count,
+           (SELECT COUNT(*) FROM wing_post_comments WHERE post_id = wp.id) as comment_count,
+           (SELECT COUNT(*) FROM wing_post_images WHERE post_id = wp.id) as image_count
+    FROM wing_posts wp
+    JOIN volunteers v ON wp.author_id = v.id
+    WHERE wp.wing_id = ?
+  `;
+  
+  const params = [id];
+  
+  if (search) {
+    query += ` AND (wp.content LIKE ? OR v.full_name LIKE ?)`;
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  
+  query += ` ORDER BY wp.created_at DESC`;
+  
+  db.all(query, params, (err, posts) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(posts);
   });
 });
 
-// Decline wing
-app.post('/api/wings/:id/decline', (req, res) => {
-  const { id } = req.params;
-  const { reviewerId, reason } = req.body;
+// Delete post
+app.delete('/api/posts/:postId', (req, res) => {
+  const { postId } = req.params;
   
-  db.run(`
-    UPDATE wings 
-    SET approval_status = 'declined',
-        decline_reason = ?,
-        reviewed_by = ?,
-        reviewed_at = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [reason, reviewerId, id], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ success: true, message: 'Wing declined' });
+  db.run('DELETE FROM wing_posts WHERE id = ?', [postId], function(err) {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ success: true });
   });
 });
 
-// Delete wing
-app.delete('/api/wings/:id', (req, res) => {
-  const { id } = req.params;
+// Update post (edit)
+app.put('/api/posts/:postId', (req, res) => {
+  const { postId } = req.params;
+  const { content, location } = req.body;
   
-  db.run('DELETE FROM wing_members WHERE wing_id = ?', [id]);
-  db.run('DELETE FROM wings WHERE id = ?', [id], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+  db.run('UPDATE wing_posts SET content = ?, location = ? WHERE id = ?', 
+    [content, location || null, postId], 
+    function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true });
     }
-    res.json({ success: true, message: 'Wing deleted' });
-  });
+  );
 });
 
-// Add member to wing
-app.post('/api/wings/:id/members', (req, res) => {
+// ==================== GROUP CHAT JOIN REQUEST API ====================
+
+// Get group settings
+app.get('/api/groups/:id/settings', (req, res) => {
   const { id } = req.params;
-  const { volunteerId, role } = req.body;
-  
-  const roleInfo = WING_ROLES.find(r => r.role === role) || WING_ROLES[6];
   
-  // Check if wing is approved
-  db.get('SELECT name, approval_status FROM wings WHERE id = ?', [id], (err, wing) => {
-    if (err || !wing) {
-      res.status(500).json({ error: err?.message || 'Wing not found' });
-      return;
-    }
-    
-    db.run(`
-      INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order)
-      VALUES (?, ?, ?, ?)
-    `, [id, volunteerId, role, roleInfo.sort_order], function(insertErr) {
-      if (insertErr) {
-        res.status(500).json({ error: insertErr.message });
-        return;
-      }
-      
-      // Add activity only if wing is approved
-      if (wing.approval_status === 'approved') {
-        db.run(
-          'INSERT INTO activities (volunteer_id, activity_type, description, role) VALUES (?, ?, ?, ?)',
-          [volunteerId, 'joined_wing', `Joined ${wing.name} as ${role}`, role],
-          (actErr) => {
-            if (actErr) console.error('Failed to create wing join activity:', actErr);
-          }
-        );
-      }
-      
-      res.json({ success: true, message: 'Member added to wing' });
-    });
+  db.get(`
+    SELECT g.*, 
+           (SELECT COUNT(*) FROM group_join_requests WHERE group_id = g.id AND status = 'pending') as pending_requests
+    FROM group_chats g WHERE g.id = ?
+  `, [id], (err, group) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    res.json(group);
   });
 });
 
-// Update member role in wing
-app.put('/api/wings/:id/members/:memberId', (req, res) => {
-  const { id, memberId } = req.params;
-  const { role } = req.body;
+// Update group settings (including join_approval_required)
+app.put('/api/groups/:id/settings', (req, res) => {
+  const { id } = req.params;
+  const { name, description, avatar, join_approval_required, allow_member_add } = req.body;
   
-  const roleInfo = WING_ROLES.find(r => r.role === role) || WING_ROLES[6];
+  let updates = [];
+  let params = [];
   
-  db.run(`
-    UPDATE wing_members 
-    SET role = ?, sort_order = ?
-    WHERE wing_id = ? AND volunteer_id = ?
-  `, [role, roleInfo.sort_order, id, memberId], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ success: true, message: 'Member role updated' });
+  if (name !== undefined) { updates.push('name = ?'); params.push(name); }
+  if (description !== undefined) { updates.push('description = ?'); params.push(description); }
+  if (avatar !== undefined) { updates.push('avatar = ?'); params.push(avatar); }
+  if (join_approval_required !== undefined) { updates.push('join_approval_required = ?'); params.push(join_approval_required ? 1 : 0); }
+  if (allow_member_add !== undefined) { updates.push('allow_member_add = ?'); params.push(allow_member_add ? 1 : 0); }
+  
+  if (updates.length === 0) return res.json({ success: true });
+  
+  params.push(id);
+  
+  db.run(`UPDATE group_chats SET ${updates.join(', ')} WHERE id = ?`, params, function(err) {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ success: true });
   });
 });
 
-// Remove member from wing
-app.delete('/api/wings/:id/members/:memberId', (req, res) => {
-  const { id, memberId } = req.params;
+// Get group join requests
+app.get('/api/groups/:id/join-requests', (req, res) => {
+  const { id } = req.params;
   
-  db.run(`
-    DELETE FROM wing_members WHERE wing_id = ? AND volunteer_id = ?
-  `, [id, memberId], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ success: true, message: 'Member removed from wing' });
+  db.all(`
+    SELECT gjr.*, v.full_name, v.avatar, v.position, v.wing
+    FROM group_join_requests gjr
+    JOIN volunteers v ON gjr.user_id = v.id
+    WHERE gjr.group_id = ? AND gjr.status = 'pending'
+    ORDER BY gjr.requested_at DESC
+  `, [id], (err, requests) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(requests || []);
   });
 });
 
-// Get volunteer's wing membership info (for profile display)
-app.get('/api/volunteers/:id/wings', (req, res) => {
+// Submit join request
+app.post('/api/groups/:id/join-requests', (req, res) => {
   const { id } = req.params;
+  const userId = req.volunteer.id;
   
-  db.all(`
-    SELECT wm.role, wm.sort_order, wm.is_parent, w.id as wing_id, w.name as wing_name, w.location, w.approval_status
-    FROM wing_members wm
-    JOIN wings w ON wm.wing_id = w.id
-    WHERE wm.volunteer_id = ? AND w.approval_status = 'approved'
-    ORDER BY wm.is_parent DESC, wm.joined_at ASC
-  `, [id], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json(rows);
+  // Check if already a member
+  db.get('SELECT * FROM group_members WHERE group_id = ? AND user_id = ?', [id, userId], (err, member) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (member) return res.status(400).json({ error: 'Already a member' });
+    
+    // Check if already requested
+    db.get('SELECT * FROM group_join_requests WHERE group_id = ? AND user_id = ? AND status = ?', 
+      [id, userId, 'pending'], (reqErr, existing) => {
+        if (reqErr) return res.status(500).json({ error: reqErr.message });
+        if (existing) return res.status(400).json({ error: 'Request already pending' });
+        
+        db.run('INSERT INTO group_join_requests (group_id, user_id) VALUES (?, ?)', [id, userId], function(insErr) {
+          if (insErr) return res.status(500).json({ error: insErr.message });
+          res.json({ success: true, requestId: this.lastID });
+        });
+      }
+    );
   });
 });
 
-// Set parent wing for a volunteer
-app.put('/api/volunteers/:id/parent-wing', (req, res) => {
-  const { id } = req.params;
-  const { wingId } = req.body;
+// Approve join request
+app.put('/api/groups/:id/join-requests/:requestId/approve', (req, res) => {
+  const { id, requestId } = req.params;
+  const reviewedBy = req.volunteer.id;
   
-  // First, unset all parent wings for this volunteer
-  db.run('UPDATE wing_members SET is_parent = 0 WHERE volunteer_id = ?', [id], (err) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
+  db.get('SELECT * FROM group_join_requests WHERE id = ? AND group_id = ?', [requestId, id], (err, request) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!request) return res.status(404).json({ error: 'Request not found' });
     
-    // Then set the new parent wing
-    db.run('UPDATE wing_members SET is_parent = 1 WHERE volunteer_id = ? AND wing_id = ?', [id, wingId], function(err2) {
-      if (err2) {
-        res.status(500).json({ error: err2.message });
-        return;
+    // Add member to group
+    db.run('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, 0)', 
+      [id, request.user_id], (insErr) => {
+        if (insErr) return res.status(500).json({ error: insErr.message });
+        
+        // Update request status
+        db.run('UPDATE group_join_requests SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+          ['approved', reviewedBy, requestId], (updErr) => {
+            if (updErr) return res.status(500).json({ error: updErr.message });
+            
+            // Add system message
+            db.get('SELECT full_name FROM volunteers WHERE id = ?', [request.user_id], (nameErr, user) => {
+              if (!nameErr && user) {
+                addGroupSystemMessage(id, `${user.full_name} joined the group`);
+              }
+            });
+            
+            res.json({ success: true });
+          }
+        );
       }
-      res.json({ success: true, message: 'Parent wing updated' });
-    });
+    );
   });
 });
 
-// ==================== WING POSTS API ====================
+// Reject join request
+app.put('/api/groups/:id/join-requests/:requestId/reject', (req, res) => {
+  const { id, requestId } = req.params;
+  const reviewedBy = req.volunteer.id;
+  
+  db.run('UPDATE group_join_requests SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+    ['rejected', reviewedBy, requestId], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true });
+    }
+  );
+});
 
-// Get posts for a wing
-app.get('/api/wings/:id/posts', (req, res) => {
+// ==================== END GROUP CHAT JOIN REQUEST API ====================
+
+// Get or create wing group chat
+app.get('/api/wings/:id/group-chat', (req, res) => {
   const { id } = req.params;
+  const userId = req.volunteer.id;
   
-  db.all(`
-    SELECT wp.*, v.full_name as author_name, v.avatar as author_avatar, v.position as author_position,
-           c.title as campaign_title, c.description as campaign_description, c.days_left as campaign_days_left,
-           c.image as campaign_image, c.volunteers_needed, c.volunteers_joined,
-           (SELECT COUNT(*) FROM wing_post_reactions WHERE post_id = wp.id) as reaction_count,
-           (SELECT COUNT(*) FROM wing_post_comments WHERE post_id = wp.id) as comment_count
-    FROM wing_posts wp
-    JOIN volunteers v ON wp.author_id = v.id
-    LEFT JOIN campaigns c ON wp.campaign_id = c.id
-    WHERE wp.wing_id = ?
-    ORDER BY wp.created_at DESC
-  `, [id], (err, posts) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
+  // First check if wing group exists
+  db.get('SELECT * FROM group_chats WHERE wing_id = ?', [id], (err, group) => {
+    if (err) return res.status(500).json({ error: err.message });
     
-    // Get images, tags, and reactions for each post
-    const postIds = posts.map(p => p.id);
-    if (postIds.length === 0) {
-      return res.json([]);
+    if (group) {
+      // Group exists, return it
+      return res.json({ groupId: group.id, exists: true });
     }
     
-    const placeholders = postIds.map(() => '?').join(',');
+    // Group doesn't exist, return null - frontend will create it
+    res.json({ groupId: null, exists: false });
+  });
+});
+
+// Create wing group chat (with all members auto-added)
+app.post('/api/wings/:id/group-chat', (req, res) => {
+  const { id } = req.params;
+  const userId = req.volunteer.id;
+  
+  // Get wing info
+  db.get('SELECT * FROM wings WHERE id = ?', [id], (err, wing) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!wing) return res.status(404).json({ error: 'Wing not found' });
     
-    // Get images
-    db.all(`SELECT * FROM wing_post_images WHERE post_id IN (${placeholders}) ORDER BY sort_order`, postIds, (imgErr, images) => {
-      if (imgErr) {
-        return res.status(500).json({ error: imgErr.message });
+    // Get all wing members with their admin status
+    db.all(`
+      SELECT wm.volunteer_id, wm.is_admin, wm.sort_order, v.full_name 
+      FROM wing_members wm 
+      JOIN volunteers v ON wm.volunteer_id = v.id 
+      WHERE wm.wing_id = ?
+    `, [id], (membersErr, members) => {
+      if (membersErr) return res.status(500).json({ error: membersErr.message });
+      
+      if (members.length === 0) {
+        return res.status(400).json({ error: 'Wing has no members' });
       }
       
-      // Get tags with volunteer info
-      db.all(`
-        SELECT wpt.*, v.full_name, v.avatar
-        FROM wing_post_tags wpt
-        JOIN volunteers v ON wpt.volunteer_id = v.id
-        WHERE wpt.post_id IN (${placeholders})
-      `, postIds, (tagErr, tags) => {
-        if (tagErr) {
-          return res.status(500).json({ error: tagErr.message });
-        }
-        
-        // Get reactions breakdown
-        db.all(`
-          SELECT post_id, reaction_type, COUNT(*) as count
-          FROM wing_post_reactions
-          WHERE post_id IN (${placeholders})
-          GROUP BY post_id, reaction_type
-        `, postIds, (reactErr, reactions) => {
-          if (reactErr) {
-            return res.status(500).json({ error: reactErr.message });
-          }
+      // Find the wing admin (sort_order 1 or is_admin = 1)
+      const wingAdmin = members.find(m => m.sort_order === 1 || m.is_admin === 1) || members[0];
+      
+      // Create the group chat
+      db.run(
+        `INSERT INTO group_chats (name, description, avatar, creator_id, allow_member_add, wing_id) 
+         VALUES (?, ?, ?, ?, 0, ?)`,
+        [wing.name, wing.bio || wing.description || '', wing.image || '', wingAdmin.volunteer_id, id],
+        function(insertErr) {
+          if (insertErr) return res.status(500).json({ error: insertErr.message });
           
-          // Combine all data
-          const postsWithData = posts.map(post => ({
-            ...post,
-            images: images.filter(img => img.post_id === post.id),
-            tags: tags.filter(tag => tag.post_id === post.id),
-            reactions: reactions.filter(r => r.post_id === post.id)
-          }));
+          const groupId = this.lastID;
           
-          res.json(postsWithData);
-        });
-      });
+          // Add all wing members to the group
+          const insertStmt = db.prepare('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, ?)');
+          
+          members.forEach(member => {
+            // Wing admins and sort_order 1 become group admins
+            const isGroupAdmin = member.is_admin === 1 || member.sort_order === 1 ? 1 : 0;
+            insertStmt.run(groupId, member.volunteer_id, isGroupAdmin);
+          });
+          
+          insertStmt.finalize();
+          
+          // Add system message
+          addGroupSystemMessage(groupId, `Welcome to ${wing.name} group chat!`)
+            .then(() => {
+              res.json({ groupId, created: true });
+            })
+            .catch(() => {
+              res.json({ groupId, created: true });
+            });
+        }
+      );
     });
   });
 });
 
-// Create a wing post
-app.post('/api/wings/:id/posts', (req, res) => {
+// Sync wing members with group chat (call this when members join/leave wing)
+app.post('/api/wings/:id/sync-group-members', (req, res) => {
   const { id } = req.params;
-  const { authorId, content, location, images, taggedMembers, campaignId } = req.body;
   
-  db.run(`
-    INSERT INTO wing_posts (wing_id, author_id, content, location, campaign_id)
-    VALUES (?, ?, ?, ?, ?)
-  `, [id, authorId, content, location, campaignId], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    const postId = this.lastID;
+  // Get wing group chat
+  db.get('SELECT id FROM group_chats WHERE wing_id = ?', [id], (err, group) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!group) return res.json({ synced: false, message: 'No group chat exists for this wing' });
     
-    // Add images
-    if (images && images.length > 0) {
-      const imgStmt = db.prepare('INSERT INTO wing_post_images (post_id, image_url, sort_order) VALUES (?, ?, ?)');
-      images.forEach((img, index) => {
-        imgStmt.run(postId, img, index);
+    // Get all wing members
+    db.all(`
+      SELECT wm.volunteer_id, wm.is_admin, wm.sort_order 
+      FROM wing_members wm WHERE wm.wing_id = ?
+    `, [id], (membersErr, wingMembers) => {
+      if (membersErr) return res.status(500).json({ error: membersErr.message });
+      
+      // Add missing members to group chat
+      const insertStmt = db.prepare('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, ?)');
+      
+      wingMembers.forEach(member => {
+        const isGroupAdmin = member.is_admin === 1 || member.sort_order === 1 ? 1 : 0;
+        insertStmt.run(group.id, member.volunteer_id, isGroupAdmin);
       });
-      imgStmt.finalize();
-    }
-    
-    // Add tagged members
-    if (taggedMembers && taggedMembers.length > 0) {
-      const tagStmt = db.prepare('INSERT INTO wing_post_tags (post_id, volunteer_id) VALUES (?, ?)');
-      taggedMembers.forEach(memberId => {
-        tagStmt.run(postId, memberId);
+      
+      insertStmt.finalize();
+      
+      // Update admin status for existing members
+      wingMembers.forEach(member => {
+        const isGroupAdmin = member.is_admin === 1 || member.sort_order === 1 ? 1 : 0;
+        db.run('UPDATE group_members SET is_admin = ? WHERE group_id = ? AND user_id = ?', 
+          [isGroupAdmin, group.id, member.volunteer_id]);
       });
-      tagStmt.finalize();
       
-      // Notify tagged members
-      db.get(`SELECT v.full_name, v.avatar, w.name as wing_name FROM volunteers v JOIN wings w ON w.id = ? WHERE v.id = ?`, 
-        [id, authorId], (tagErr, authorData) => {
-        if (!tagErr && authorData) {
-          taggedMembers.forEach(memberId => {
-            if (memberId != authorId) {
-              createNotification(memberId, 'tagged_in_post',
-                `tagged you in a post in ${authorData.wing_name}`, {
-                  data: { postId, wingId: parseInt(id), preview: content.length > 50 ? content.slice(0, 50) + '...' : content },
-                  actorId: parseInt(authorId),
-                  actorName: authorData.full_name,
-                  actorAvatar: authorData.avatar,
-                  priority: 'high'
-              }).catch(console.error);
-            }
-          });
-        }
+      res.json({ synced: true, groupId: group.id });
+    });
+  });
+});
+
+// ==================== END WING SETTINGS API ====================
+
+// ==================== END WINGS API ====================
+
+// ==================== DONATIONS API ====================
+
+// Get pending donations for admin approval
+app.get('/api/donations/pending', (req, res) => {
+  db.all(`
+    SELECT 
+      d.*,
+      c.title as campaign_title,
+      c.image as campaign_image,
+      f.id as flag_id,
+      f.risk_score,
+      f.reasons as risk_reasons
+    FROM donations d
+    INNER JOIN campaigns c ON d.campaign_id = c.id
+    LEFT JOIN donation_flags f ON f.donation_source = 'donation' AND f.donation_id = d.id AND f.status = 'open'
+    WHERE d.status = 'pending'
+    ORDER BY d.created_at DESC
+  `, (err, donations) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json((donations || []).map(d => ({ ...d, risk_reasons: parseJsonField(d.risk_reasons, []) })));
+  });
+});
+
+// Move a donation to a new status inside a transaction. Approving applies the side effects every
+// target gets the same way: the ledger deposit, the receipt, the pledge installment and the
+// referrer's credit. expect narrows the lookup, e.g. { targetType: 'wing', targetId } for
+// routes nested under a wing.
+async function transitionDonation(conn, { source, donationId, status, actorId = null, note = null, expect = {} }) {
+  const donation = await lockDonation(conn, source, donationId);
+  if (!donation ||
+      (expect.targetType && donation.target_type !== expect.targetType) ||
+      (expect.targetId && donation.target_id !== parseInt(expect.targetId))) {
+    throw ledgerError('Donation not found', 404);
+  }
+  assertTransition(donation.status, status);
+  await setDonationStatus(conn, donation, status, actorId, note);
+
+  if (status === 'approved') {
+    if (!donation.donor_id) {
+      donation.donor_id = await linkDonation(conn, source, donation.id);
+      const [donors] = await conn.query('SELECT volunteer_id FROM donors WHERE id = ?', [donation.donor_id]);
+      donation.donor_volunteer_id = donors[0]?.volunteer_id || null;
+    }
+    if (donation.target_id) {
+      await postDonation(conn, {
+        accountType: donation.target_type,
+        accountId: donation.target_id,
+        donation,
+        referenceType: source,
+        createdBy: actorId
       });
     }
-    
-    res.json({ success: true, postId });
+    donation.receipt = await issueReceipt(conn, {
+      source,
+      donationId: donation.id,
+      issuedBy: actorId,
+      settings: receiptSettings
+    });
+    if (donation.target_id) {
+      await creditPledge(conn, source, donation, { type: donation.target_type, id: donation.target_id }, actorId);
+    }
+    donation.referral = await creditReferrer(conn, donation);
+  }
+
+  if (donation.target_id) await refreshRaised(conn, donation.target_type, donation.target_id);
+  if (status === 'approved' && donation.target_type === 'campaign') {
+    donation.overflowRouting = await scheduleOverflow(conn, donation.target_id, {
+      trigger: 'goal_reached',
+      defaultOverrideHours: OVERFLOW_OVERRIDE_HOURS
+    });
+  }
+  return donation;
+}
+
+// Tell the people behind a donation how it was decided (after the transaction committed)
+function notifyDonationDecision(donation) {
+  const target = donation.target_title || `${donation.target_type.replace('_', ' ')} #${donation.target_id}`;
+  const data = {
+    source: donation.source,
+    donationId: donation.id,
+    targetType: donation.target_type,
+    targetId: donation.target_id,
+    campaignId: donation.campaign_id || null,
+    directAidId: donation.direct_aid_id || null,
+    wingId: donation.wing_id || null,
+    amount: donation.amount
+  };
+  const donorAccounts = [...new Set([donation.volunteer_id, donation.donor_volunteer_id].filter(Boolean))];
+
+  if (donation.status === 'approved') {
+    donorAccounts.forEach(volunteerId => {
+      createNotification(volunteerId, 'donation_approved',
+        `Your donation of ৳${donation.amount} to "${target}" has been approved. Thank you for your contribution!`, {
+          data: { ...data, receiptUrl: donation.receipt ? receiptUrl(donation.receipt) : null },
+          priority: 'normal'
+      }).catch(console.error);
+    });
+
+    if (donation.referrer_id) {
+      createNotification(donation.referrer_id, 'referral_donation_approved',
+        `A donation of ৳${donation.amount} you referred to "${target}" has been approved!`, {
+          data: { ...data, donorName: donation.donor_name, points: donation.referral?.points || 0 },
+          priority: 'normal'
+      }).catch(console.error);
+    }
+  } else if (donation.status === 'rejected') {
+    donorAccounts.forEach(volunteerId => {
+      createNotification(volunteerId, 'donation_rejected',
+        `Your donation of ৳${donation.amount} to "${target}" could not be verified. Please contact support.`, {
+          data,
+          priority: 'high'
+      }).catch(console.error);
+    });
+  }
+
+  if (donation.overflowRouting) notifyOverflowScheduled(donation.overflowRouting).catch(console.error);
+}
+
+// Approve or reject a donation for a reviewer: transition, notify and log the decision
+async function decideDonation(req, { source, donationId, status, note = null, expect = {} }) {
+  const donation = await withTransaction(conn => transitionDonation(conn, {
+    source,
+    donationId,
+    status,
+    actorId: req.volunteer.id,
+    note,
+    expect
+  }));
+  notifyDonationDecision(donation);
+
+  db.run(`
+    INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [`donation_${status}`, `${status === 'approved' ? 'Approved' : 'Rejected'} ${DONATION_SOURCES[source].label} of ৳${donation.amount}`,
+      req.volunteer.id, donation.id, source,
+      JSON.stringify({ donationId: donation.id, amount: donation.amount, targetType: donation.target_type, targetId: donation.target_id, note })]);
+
+  return donation;
+}
+
+// Donations of every table in one review list (?status=pending&source=&targetType=&targetId=)
+app.get('/api/donations/queue', async (req, res) => {
+  const { status = 'pending', source, targetType, targetId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  const conditions = [];
+  const params = [];
+
+  if (status !== 'all') {
+    conditions.push('h.status = ?');
+    params.push(status);
+  }
+  if (source) {
+    conditions.push('h.source = ?');
+    params.push(source);
+  }
+  if (targetType) {
+    conditions.push('h.cause_type = ?');
+    params.push(targetType);
+  }
+  if (targetId) {
+    conditions.push('h.cause_id = ?');
+    params.push(targetId);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const [donations] = await promisePool.query(`
+      SELECT h.*, v.full_name as volunteer_name, r.full_name as referrer_name,
+        f.id as flag_id, f.risk_score, f.reasons as risk_reasons
+      FROM (${DONATION_HISTORY_SQL}) h
+      LEFT JOIN volunteers v ON v.id = h.volunteer_id
+      LEFT JOIN volunteers r ON r.id = h.referrer_id
+      LEFT JOIN donation_flags f ON f.donation_source = h.source AND f.donation_id = h.id AND f.status = 'open'
+      ${where}
+      ORDER BY f.risk_score IS NULL, f.risk_score DESC, h.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+    const [[{ total }]] = await promisePool.query(
+      `SELECT COUNT(*) as total FROM (${DONATION_HISTORY_SQL}) h ${where}`,
+      params
+    );
+
+    res.json({
+      donations: donations.map(d => ({ ...d, amount: Number(d.amount), risk_reasons: parseJsonField(d.risk_reasons, []) })),
+      total,
+      limit,
+      offset
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve or reject any donation: source is donation, direct_aid_donation or wing_donation ({ note })
+const decideDonationRoute = (status) => async (req, res) => {
+  const { source, id } = req.params;
+  if (!DONATION_SOURCES[source]) {
+    return res.status(404).json({ error: 'Unknown donation source' });
+  }
+
+  try {
+    const donation = await decideDonation(req, { source, donationId: id, status, note: req.body?.note || null });
+    res.json({
+      message: `Donation ${donation.status}`,
+      status: donation.status,
+      receipt: donation.receipt ? receiptSummary(donation.receipt, req) : null
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+app.post('/api/donations/:source/:id/approve', decideDonationRoute('approved'));
+app.post('/api/donations/:source/:id/reject', decideDonationRoute('rejected'));
+
+// Approve a donation
+app.post('/api/donations/:id/approve', async (req, res) => {
+  try {
+    const donation = await decideDonation(req, { source: 'donation', donationId: req.params.id, status: 'approved' });
+    res.json({
+      message: 'Donation approved successfully',
+      receipt: receiptSummary(donation.receipt, req)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Reject a donation
+app.post('/api/donations/:id/reject', async (req, res) => {
+  try {
+    await decideDonation(req, {
+      source: 'donation',
+      donationId: req.params.id,
+      status: 'rejected',
+      note: req.body?.note || null
+    });
+    res.json({ message: 'Donation rejected' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get donations for a campaign (including all statuses for admin view)
+app.get('/api/campaigns/:id/donations/all', (req, res) => {
+  const { id } = req.params;
+  
+  db.all(`
+    SELECT 
+      d.*,
+      v.full_name as volunteer_name,
+      v.avatar
+    FROM donations d
+    LEFT JOIN volunteers v ON d.volunteer_id = v.id
+    WHERE d.campaign_id = ?
+    ORDER BY 
+      CASE WHEN d.status = 'pending' THEN 1 
+           WHEN d.status = 'approved' THEN 2 
+           WHEN d.status = 'rejected' THEN 3 
+           ELSE 4 END,
+      d.created_at DESC
+  `, [id], (err, donations) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(donations || []);
   });
 });
 
-// React to a post
-app.post('/api/posts/:postId/react', (req, res) => {
-  const { postId } = req.params;
-  const { volunteerId, reactionType } = req.body;
+// Get donations for a campaign
+app.get('/api/campaigns/:id/donations', async (req, res) => {
+  const { id } = req.params;
+  const reveal = await canSeeAnonymousDonors(req).catch(() => false);
   
-  // Insert or update reaction
-  db.run(`
-    INSERT INTO wing_post_reactions (post_id, volunteer_id, reaction_type)
-    VALUES (?, ?, ?)
-    ON CONFLICT(post_id, volunteer_id) DO UPDATE SET reaction_type = ?
-  `, [postId, volunteerId, reactionType, reactionType], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    // Notify post author about reaction
-    db.get(`
-      SELECT wp.author_id, wp.wing_id, v.full_name, v.avatar
-      FROM wing_posts wp
-      JOIN volunteers v ON v.id = ?
-      WHERE wp.id = ?
-    `, [volunteerId, postId], (postErr, postData) => {
-      if (!postErr && postData && postData.author_id != volunteerId) {
-        const reactionEmoji = { love: '❤️', like: '👍', celebrate: '🎉', support: '🤲', insightful: '💡' }[reactionType] || '👍';
-        createNotification(postData.author_id, 'wing_post_reaction',
-          `reacted ${reactionEmoji} to your post`, {
-            data: { postId: parseInt(postId), wingId: postData.wing_id, reactionType },
-            actorId: parseInt(volunteerId),
-            actorName: postData.full_name,
-            actorAvatar: postData.avatar,
-            priority: 'low'
-        }).catch(console.error);
-      }
-    });
-    
-    res.json({ success: true });
+  db.all(`
+    SELECT 
+      d.*,
+      v.full_name as volunteer_name,
+      v.avatar,
+      COALESCE(dn.prefers_anonymous, 0) as donor_prefers_anonymous
+    FROM donations d
+    LEFT JOIN volunteers v ON d.volunteer_id = v.id
+    LEFT JOIN donors dn ON dn.id = d.donor_id
+    WHERE d.campaign_id = ? AND d.status = 'approved'
+    ORDER BY d.created_at DESC
+  `, [id], (err, donations) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json((donations || []).map(donation => maskAnonymousDonation(donation, reveal)));
   });
 });
 
-// Remove reaction from post
-app.delete('/api/posts/:postId/react/:volunteerId', (req, res) => {
-  const { postId, volunteerId } = req.params;
+// Get all donations for website transparency page
+app.get('/api/donations/all', async (req, res) => {
+  const reveal = await canSeeAnonymousDonors(req).catch(() => false)
+  const query = `
+    SELECT d.*, c.title as campaign_title, c.wing as campaign_wing, v.full_name as volunteer_name,
+      COALESCE(dn.prefers_anonymous, 0) as donor_prefers_anonymous
+    FROM donations d
+    LEFT JOIN campaigns c ON d.campaign_id = c.id
+    LEFT JOIN volunteers v ON d.volunteer_id = v.id
+    LEFT JOIN donors dn ON dn.id = d.donor_id
+    ORDER BY d.created_at DESC
+  `
   
-  db.run('DELETE FROM wing_post_reactions WHERE post_id = ? AND volunteer_id = ?', [postId, volunteerId], function(err) {
+  db.all(query, [], (err, rows) => {
     if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('Database error:', err)
+      res.status(500).json({ error: 'Failed to fetch donations' })
+      return
     }
-    res.json({ success: true });
-  });
-});
+    const donations = rows.map(donation => maskAnonymousDonation(donation, reveal))
+    
+    // Calculate total approved donations amount
+    const totalDonations = donations
+      .filter(d => d.status === 'approved')
+      .reduce((sum, d) => sum + d.amount, 0)
+    
+    res.json({
+      donations,
+      totalDonations
+    })
+  })
+})
 
-// Get user's reaction on a post
-app.get('/api/posts/:postId/react/:volunteerId', (req, res) => {
-  const { postId, volunteerId } = req.params;
+// Submit a new donation
+app.post('/api/donations', async (req, res) => {
+  console.log('[DEBUG] Donation endpoint hit');
+  console.log('[DEBUG] Request body:', req.body);
   
-  db.get('SELECT reaction_type FROM wing_post_reactions WHERE post_id = ? AND volunteer_id = ?', [postId, volunteerId], (err, row) => {
+  const { 
+    campaignId, 
+    donorName, 
+    phoneNumber, 
+    amount, 
+    paymentMethod, 
+    transactionId, 
+    isAnonymous,
+    referrerId,
+    pledgeId
+  } = req.body;
+  const volunteerId = req.volunteer.id;
+
+  // Validate required fields
+  if (!campaignId || !amount || !paymentMethod || !transactionId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (!isAnonymous && !donorName?.trim()) {
+    return res.status(400).json({ error: 'Donor name is required for non-anonymous donations' });
+  }
+  try {
+    await checkDonationPledge(pledgeId, { targetType: 'campaign', targetId: campaignId, phoneNumber, volunteerId });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  // Insert donation record
+  db.run(`
+    INSERT INTO donations (
+      campaign_id, donor_name, phone_number, amount, payment_method, 
+      transaction_id, is_anonymous, volunteer_id, referrer_id, pledge_id, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
+  `, [
+    campaignId, 
+    isAnonymous ? 'Anonymous' : donorName, 
+    phoneNumber, 
+    amount, 
+    paymentMethod, 
+    transactionId, 
+    isAnonymous ? 1 : 0,
+    volunteerId || null,
+    referrerId || null,
+    pledgeId || null
+  ], function(err) {
     if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('Failed to insert donation:', err);
+      return res.status(500).json({ error: 'Failed to record donation' });
     }
-    res.json({ reaction: row?.reaction_type || null });
+
+    screenSubmittedDonation('donation', this.lastID);
+    linkSubmittedDonor('donation', this.lastID);
+    res.json({ 
+      id: this.lastID, 
+      message: 'Donation recorded successfully. It will be verified soon.',
+      status: 'pending'
+    });
   });
 });
 
-// Get comments for a post
-app.get('/api/posts/:postId/comments', (req, res) => {
-  const { postId } = req.params;
-  
-  db.all(`
-    SELECT c.*, v.full_name, v.avatar,
-           (SELECT COUNT(*) FROM wing_comment_reactions WHERE comment_id = c.id) as reaction_count
-    FROM wing_post_comments c
-    JOIN volunteers v ON c.volunteer_id = v.id
-    WHERE c.post_id = ? AND c.parent_id IS NULL
-    ORDER BY c.created_at ASC
-  `, [postId], (err, comments) => {
+// Verify/approve a donation (admin only); kept for older clients, 'verified' means approved
+app.post('/api/donations/:id/verify', async (req, res) => {
+  const { status } = req.body; // 'verified' / 'approved' or 'rejected'
+  if (!['verified', 'approved', 'rejected'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be verified or rejected' });
+  }
+
+  try {
+    const donation = await decideDonation(req, {
+      source: 'donation',
+      donationId: req.params.id,
+      status: status === 'rejected' ? 'rejected' : 'approved'
+    });
+    res.json({
+      message: `Donation ${status} successfully`,
+      receipt: donation.receipt ? receiptSummary(donation.receipt, req) : null
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Public donation endpoint (no login required, with referrer)
+app.post('/api/public/donate', async (req, res) => {
+  const { 
+    campaignId, 
+    directAidId,
+    donationType,
+    donorName, 
+    phoneNumber, 
+    amount, 
+    paymentMethod, 
+    transactionId, 
+    isAnonymous,
+    referrerId,
+    pledgeId
+  } = req.body;
+
+  // Validate required fields
+  if ((!campaignId && !directAidId) || !amount || !paymentMethod || !transactionId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (!isAnonymous && !donorName?.trim()) {
+    return res.status(400).json({ error: 'Donor name is required for non-anonymous donations' });
+  }
+  try {
+    await checkDonationPledge(pledgeId, {
+      targetType: campaignId ? 'campaign' : 'direct_aid',
+      targetId: campaignId || directAidId,
+      phoneNumber
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  // Insert donation record
+  db.run(`
+    INSERT INTO donations (
+      campaign_id, direct_aid_id, donation_type, donor_name, phone_number, amount, payment_method, 
+      transaction_id, is_anonymous, referrer_id, pledge_id, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
+  `, [
+    campaignId || null, 
+    directAidId || null,
+    donationType || 'campaign',
+    isAnonymous ? 'Anonymous' : donorName, 
+    phoneNumber, 
+    amount, 
+    paymentMethod, 
+    transactionId, 
+    isAnonymous ? 1 : 0,
+    referrerId || null,
+    pledgeId || null
+  ], function(err) {
     if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    // Get replies for each comment
-    const commentIds = comments.map(c => c.id);
-    if (commentIds.length === 0) {
-      return res.json([]);
+      console.error('Failed to insert public donation:', err);
+      return res.status(500).json({ error: 'Failed to record donation' });
     }
-    
-    const placeholders = commentIds.map(() => '?').join(',');
-    db.all(`
-      SELECT c.*, v.full_name, v.avatar,
-             (SELECT COUNT(*) FROM wing_comment_reactions WHERE comment_id = c.id) as reaction_count
-      FROM wing_post_comments c
-      JOIN volunteers v ON c.volunteer_id = v.id
-      WHERE c.parent_id IN (${placeholders})
-      ORDER BY c.created_at ASC
-    `, commentIds, (repliesErr, replies) => {
-      if (repliesErr) {
-        return res.status(500).json({ error: repliesErr.message });
-      }
-      
-      const commentsWithReplies = comments.map(comment => ({
-        ...comment,
-        replies: replies.filter(r => r.parent_id === comment.id)
-      }));
-      
-      res.json(commentsWithReplies);
+
+    screenSubmittedDonation('donation', this.lastID);
+    linkSubmittedDonor('donation', this.lastID);
+    res.json({ 
+      id: this.lastID, 
+      message: 'Thank you! Your donation has been recorded and will be verified soon.',
+      status: 'pending'
     });
   });
 });
 
-// Add comment to a post
-app.post('/api/posts/:postId/comments', (req, res) => {
-  const { postId } = req.params;
-  const { volunteerId, content, parentId } = req.body;
-  
-  db.run(`
-    INSERT INTO wing_post_comments (post_id, volunteer_id, content, parent_id)
-    VALUES (?, ?, ?, ?)
-  `, [postId, volunteerId, content, parentId || null], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    const commentId = this.lastID;
-    
-    // Get commenter info and post details
-    db.get(`
-      SELECT wp.author_id, wp.wing_id, v.full_name, v.avatar
-      FROM wing_posts wp
-      JOIN volunteers v ON v.id = ?
-      WHERE wp.id = ?
-    `, [volunteerId, postId], (postErr, postData) => {
-      if (!postErr && postData) {
-        const preview = content.length > 50 ? content.slice(0, 50) + '...' : content;
-        
-        // Notify post author about comment (if not the commenter)
-        if (postData.author_id != volunteerId) {
-          createNotification(postData.author_id, 'wing_post_comment',
-            `commented on your post`, {
-              data: { postId: parseInt(postId), wingId: postData.wing_id, preview },
-              actorId: parseInt(volunteerId),
-              actorName: postData.full_name,
-              actorAvatar: postData.avatar,
-              priority: 'normal'
-          }).catch(console.error);
-        }
-        
-        // If this is a reply, notify the parent comment author
-        if (parentId) {
-          db.get('SELECT volunteer_id FROM wing_post_comments WHERE id = ?', [parentId], (parentErr, parentComment) => {
-            if (!parentErr && parentComment && parentComment.volunteer_id != volunteerId && parentComment.volunteer_id != postData.author_id) {
-              createNotification(parentComment.volunteer_id, 'comment_reply',
-                `replied to your comment`, {
-                  data: { postId: parseInt(postId), wingId: postData.wing_id, commentId, preview },
-                  actorId: parseInt(volunteerId),
-                  actorName: postData.full_name,
-                  actorAvatar: postData.avatar,
-                  priority: 'normal'
-              }).catch(console.error);
-            }
-          });
-        }
-      }
-    });
-    
-    res.json({ success: true, commentId });
+// Get campaign/direct aid info for public donation page
+app.get('/api/public/campaign/:id', (req, res) => {
+  const { id } = req.params;
+  db.get(`
+    SELECT c.*, v.full_name as host_name, v.avatar as host_avatar
+    FROM campaigns c
+    LEFT JOIN volunteers v ON c.host_id = v.id
+    WHERE c.id = ? AND c.status = 'Active'
+  `, [id], (err, campaign) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(campaign);
   });
 });
 
-// React to a comment
-app.post('/api/comments/:commentId/react', (req, res) => {
-  const { commentId } = req.params;
-  const { volunteerId, reactionType } = req.body;
-  
-  db.run(`
-    INSERT INTO wing_comment_reactions (comment_id, volunteer_id, reaction_type)
-    VALUES (?, ?, ?)
-    ON CONFLICT(comment_id, volunteer_id) DO UPDATE SET reaction_type = ?
-  `, [commentId, volunteerId, reactionType, reactionType], function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json({ success: true });
+app.get('/api/public/direct-aid/:id', (req, res) => {
+  const { id } = req.params;
+  db.get(`
+    SELECT da.*, v.full_name as requester_name, v.avatar as requester_avatar
+    FROM direct_aids da
+    LEFT JOIN volunteers v ON da.requester_id = v.id
+    WHERE da.id = ? AND da.status = 'active'
+  `, [id], (err, aid) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!aid) return res.status(404).json({ error: 'Direct aid not found' });
+    res.json(aid);
   });
 });
 
-// Create wing campaign request (hosted by wing)
-app.post('/api/wings/:id/campaign-request', (req, res) => {
+// Get referrer info for public donation page
+app.get('/api/public/referrer/:id', (req, res) => {
   const { id } = req.params;
-  const { title, description, wing, deadline, location, image, volunteersNeeded, budget, budgetBreakdown, programHours, programRespect, livesImpacted, team, createdBy } = req.body;
-  
-  const campaignHours = programHours || 0;
-  const campaignRespect = programRespect || 0;
-  const campaignBudget = budget || 0;
-  const campaignLivesImpacted = livesImpacted || 0;
-  
-  // Get wing info
-  db.get('SELECT name FROM wings WHERE id = ?', [id], (err, wingData) => {
-    if (err || !wingData) {
-      res.status(500).json({ error: err?.message || 'Wing not found' });
-      return;
+  db.get(`
+    SELECT id, full_name, avatar, wing, position
+    FROM volunteers WHERE id = ?
+  `, [id], (err, volunteer) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!volunteer) return res.status(404).json({ error: 'Referrer not found' });
+    res.json(volunteer);
+  });
+});
+
+// ==================== PAYMENTS API ====================
+
+// Base URL providers call back on; set it in production (behind the proxy the request host is not reliable)
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || '';
+const PAYMENT_RETURN_URL = process.env.PAYMENT_RETURN_URL || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/donate/result`;
+const PAYMENT_CALLBACK_SECRET = process.env.PAYMENT_CALLBACK_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.PAYMENT_CALLBACK_SECRET) {
+  console.warn('[Payments] PAYMENT_CALLBACK_SECRET not set - using a random secret, callbacks for checkouts started before a restart will be refused');
+}
+
+const paymentProviders = loadPaymentProviders(process.env, { mockSecret: PAYMENT_CALLBACK_SECRET });
+const SETTLED_PAYMENT_STATUSES = ['paid', 'failed', 'cancelled', 'needs_review'];
+// Settled without money moving, so a verified payment arriving later still counts
+const REOPENABLE_PAYMENT_STATUSES = ['failed', 'cancelled'];
+
+// Callback URLs carry an HMAC of the payment reference so only URLs we issued are accepted
+const signPaymentReference = (reference) =>
+  crypto.createHmac('sha256', PAYMENT_CALLBACK_SECRET).update(reference).digest('hex');
+
+const paymentBaseUrl = (req) => PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
+const paymentCallbackUrl = (req, providerName, reference, via) =>
+  `${paymentBaseUrl(req)}/api/public/payments/${providerName}/callback?ref=${reference}&sig=${signPaymentReference(reference)}&via=${via}`;
+
+const paymentReturnUrl = (reference, status) =>
+  `${PAYMENT_RETURN_URL}?reference=${encodeURIComponent(reference)}&status=${encodeURIComponent(status)}`;
+
+// Record the verified outcome of a payment session; a paid session approves its donation
+async function settlePayment(reference, result) {
+  let approvedDonation = null;
+
+  const status = await withTransaction(async (conn) => {
+    const [rows] = await conn.query('SELECT * FROM payment_sessions WHERE reference = ? FOR UPDATE', [reference]);
+    const session = rows[0];
+    if (!session) throw ledgerError('Payment not found', 404);
+    // A repeated callback or the IPN got here first, unless this one proves a failed payment was paid
+    const reopening = result.status === 'paid' && REOPENABLE_PAYMENT_STATUSES.includes(session.status);
+    if (SETTLED_PAYMENT_STATUSES.includes(session.status) && !reopening) return session.status;
+
+    let outcome = result.status;
+    // Money moved but not the amount we asked for: leave the donation for a human to review
+    if (outcome === 'paid' && toLedgerAmount(result.amount) !== toLedgerAmount(session.amount)) {
+      outcome = 'needs_review';
+    }
+    // Money moved for a donation a reviewer already rejected: a human has to sort it out
+    const [donations] = await conn.query('SELECT status FROM donations WHERE id = ? FOR UPDATE', [session.donation_id]);
+    // The donation this payment failed goes back to pending so the payment can approve it
+    if (reopening && donations[0]?.status === session.status) {
+      await conn.query("UPDATE donations SET status = 'pending' WHERE id = ?", [session.donation_id]);
+      donations[0].status = 'pending';
+    }
+    const donationPending = donations[0]?.status === 'pending';
+    if (outcome === 'paid' && !donationPending) outcome = 'needs_review';
+
+    await conn.query(`
+      UPDATE payment_sessions
+      SET status = ?, provider_transaction_id = ?, raw_response = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [outcome, result.transactionId || null, JSON.stringify(result.raw ?? null), session.id]);
+
+    if (outcome === 'paid') {
+      await conn.query('UPDATE donations SET transaction_id = ? WHERE id = ?', [result.transactionId || reference, session.donation_id]);
+      approvedDonation = await transitionDonation(conn, { source: 'donation', donationId: session.donation_id, status: 'approved' });
+    } else if ((outcome === 'failed' || outcome === 'cancelled') && donationPending) {
+      await transitionDonation(conn, { source: 'donation', donationId: session.donation_id, status: outcome });
     }
-    
-    db.run(`
-      INSERT INTO campaigns (title, description, wing, event_date, location, image, volunteers_needed, budget, budget_breakdown, host_id, status, approval_status, hosted_by_wing_id, hosted_by_name, program_hours, program_respect, lives_impacted, volunteers_joined, goal)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Active', 'pending', ?, ?, ?, ?, ?, ?, ?)
-    `, [title, description, wing, deadline, location, image, volunteersNeeded, campaignBudget, budgetBreakdown, createdBy, id, wingData.name, campaignHours, campaignRespect, campaignLivesImpacted, team?.length || 0, campaignBudget], function(insertErr) {
-      if (insertErr) {
-        res.status(500).json({ error: insertErr.message });
-        return;
-      }
-      
-      const campaignId = this.lastID;
-      
-      // Auto-add creator as Program Host
-      if (createdBy) {
-        db.run(
-          'INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [campaignId, createdBy, 'Program Host', 'Campaign creator and host', campaignHours, campaignRespect, 'approved'],
-          (hostErr) => {
-            if (hostErr) {
-              console.error('Failed to add host to team:', hostErr);
-            } else {
-              // Add hosting activity for creator
-              db.run(
-                'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
-                [createdBy, 'joined_campaign', `Hosting wing campaign: ${title}`, campaignId, title, 'Program Host'],
-                (actErr) => {
-                  if (actErr) console.error('Failed to create host activity:', actErr);
-                }
-              );
-            }
-          }
-        );
-      }
-      
-      // Add team members if provided
-      if (team && team.length > 0) {
-        const teamStmt = db.prepare(`
-          INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `);
-        
-        team.forEach(member => {
-          teamStmt.run(
-            campaignId,
-            member.volunteerId,
-            member.role,
-            member.taskNote || '',
-            member.hours || campaignHours,
-            member.respect || campaignRespect,
-            'approved' // Auto-approve wing team assignments
-          );
-          
-          // Add activity for each team member
-          const roleDesc = member.role === 'Program Host' ? 'host' : member.role.toLowerCase();
-          db.run(
-            'INSERT INTO activities (volunteer_id, activity_type, description, campaign_id, campaign_title, role) VALUES (?, ?, ?, ?, ?, ?)',
-            [member.volunteerId, 'joined_campaign', `Joined wing campaign as ${roleDesc}: ${title}`, campaignId, title, member.role],
-            (actErr) => {
-              if (actErr) console.error('Failed to create team member activity:', actErr);
-            }
-          );
-        });
-        teamStmt.finalize();
-      }
-      
-      syncCampaignJoined(campaignId);
-      res.json({ success: true, campaignId });
-    });
+    return outcome;
   });
+
+  if (approvedDonation) notifyDonationDecision(approvedDonation);
+  return status;
+}
+
+// List the payment providers donors can pick from
+app.get('/api/public/payments/providers', (req, res) => {
+  res.json(Array.from(paymentProviders.values()).map(({ name, label }) => ({ name, label })));
 });
 
-// Auto-post when campaign is approved (add this to campaign approval logic)
-// This function can be called when a campaign hosted by a wing is approved
-const createCampaignPost = (campaignId, wingId) => {
-  db.get('SELECT * FROM campaigns WHERE id = ?', [campaignId], (err, campaign) => {
-    if (err || !campaign) return;
-    
-    db.run(`
-      INSERT INTO wing_posts (wing_id, author_id, content, campaign_id)
-      VALUES (?, ?, ?, ?)
-    `, [wingId, campaign.created_by, `🎯 New Campaign: ${campaign.title}\n\n${campaign.description}`, campaignId], (postErr) => {
-      if (postErr) console.error('Failed to create campaign post:', postErr);
+// Start a hosted checkout for a public donation
+app.post('/api/public/payments/checkout', async (req, res) => {
+  const {
+    provider: providerName,
+    campaignId,
+    directAidId,
+    donationType,
+    donorName,
+    phoneNumber,
+    amount,
+    isAnonymous,
+    referrerId,
+    pledgeId
+  } = req.body;
+  const provider = paymentProviders.get(providerName);
+  const value = Number(amount);
+
+  if (!provider) {
+    return res.status(400).json({ error: 'Unknown or disabled payment provider' });
+  }
+  if ((!campaignId && !directAidId) || !(value > 0)) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (!isAnonymous && !donorName?.trim()) {
+    return res.status(400).json({ error: 'Donor name is required for non-anonymous donations' });
+  }
+  try {
+    await checkDonationPledge(pledgeId, {
+      targetType: campaignId ? 'campaign' : 'direct_aid',
+      targetId: campaignId || directAidId,
+      phoneNumber
     });
-  });
-};
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  // Short alphanumeric id: SSLCommerz and Nagad cap the merchant transaction id length
+  const reference = `D${Date.now().toString(36)}${crypto.randomBytes(5).toString('hex')}`.toUpperCase();
+
+  let donationId;
+  try {
+    donationId = await withTransaction(async (conn) => {
+      const [donation] = await conn.query(`
+        INSERT INTO donations (
+          campaign_id, direct_aid_id, donation_type, donor_name, phone_number, amount, payment_method,
+          transaction_id, is_anonymous, referrer_id, pledge_id, status, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
+      `, [
+        campaignId || null,
+        directAidId || null,
+        donationType || (campaignId ? 'campaign' : 'direct_aid'),
+        isAnonymous ? 'Anonymous' : donorName,
+        phoneNumber || null,
+        value,
+        provider.label,
+        reference,
+        isAnonymous ? 1 : 0,
+        referrerId || null,
+        pledgeId || null
+      ]);
+
+      await conn.query(`
+        INSERT INTO payment_sessions (reference, provider, donation_id, amount, currency, status)
+        VALUES (?, ?, ?, ?, 'BDT', 'created')
+      `, [reference, provider.name, donation.insertId, value]);
+
+      return donation.insertId;
+    });
+  } catch (err) {
+    console.error('Failed to record donation for checkout:', err);
+    return res.status(500).json({ error: 'Failed to record donation' });
+  }
+
+  linkSubmittedDonor('donation', donationId);
+
+  try {
+    const session = await provider.createSession({
+      reference,
+      amount: value,
+      currency: 'BDT',
+      description: campaignId ? `UYHO campaign donation #${campaignId}` : `UYHO direct aid donation #${directAidId}`,
+      customer: { name: isAnonymous ? 'Anonymous' : donorName, phone: phoneNumber },
+      clientIp: req.ip,
+      baseUrl: paymentBaseUrl(req),
+      callbackUrl: (via) => paymentCallbackUrl(req, provider.name, reference, via)
+    });
+
+    await promisePool.query(`
+      UPDATE payment_sessions SET status = 'pending', provider_session_id = ?, redirect_url = ?
+      WHERE reference = ?
+    `, [session.providerSessionId || null, session.redirectUrl, reference]);
+
+    res.json({ donationId, reference, redirectUrl: session.redirectUrl, status: 'pending' });
+  } catch (err) {
+    console.error(`[Payments] ${provider.name} checkout failed:`, err.message);
+    // The provider never opened a checkout, so the donation can't be paid
+    settlePayment(reference, { status: 'failed', raw: { error: err.message } }).catch(console.error);
+    res.status(err.status || 502).json({ error: err.message });
+  }
+});
+
+// Local checkout page of the mock provider
+app.get('/api/public/payments/mock/checkout/:reference', async (req, res) => {
+  const { reference } = req.params;
+  const provider = paymentProviders.get('mock');
+  if (!provider) return res.status(404).json({ error: 'Mock payments are disabled' });
+
+  try {
+    const [rows] = await promisePool.query(
+      "SELECT * FROM payment_sessions WHERE reference = ? AND provider = 'mock'",
+      [reference]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Payment not found' });
+
+    res.type('html').send(provider.checkoutPage({
+      session: rows[0],
+      callbackUrl: paymentCallbackUrl(req, 'mock', reference, 'browser')
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Provider callback / IPN: verify with the provider, then approve or fail the donation
+app.all('/api/public/payments/:provider/callback', async (req, res) => {
+  const provider = paymentProviders.get(req.params.provider);
+  const { ref, sig, via } = req.query;
+
+  if (!provider) return res.status(404).json({ error: 'Unknown payment provider' });
+
+  const provided = Buffer.from(String(sig || ''));
+  const expected = Buffer.from(signPaymentReference(String(ref || '')));
+  if (!ref || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(403).json({ error: 'Invalid callback signature' });
+  }
+
+  try {
+    const [rows] = await promisePool.query(
+      'SELECT * FROM payment_sessions WHERE reference = ? AND provider = ?',
+      [ref, provider.name]
+    );
+    const session = rows[0];
+    if (!session) return res.status(404).json({ error: 'Payment not found' });
+
+    let status = session.status;
+    if (!SETTLED_PAYMENT_STATUSES.includes(status) || REOPENABLE_PAYMENT_STATUSES.includes(status)) {
+      const result = await provider.verifyCallback({
+        session: { ...session, amount: Number(session.amount) },
+        body: req.body || {},
+        query: req.query
+      });
+      status = await settlePayment(session.reference, result);
+    }
 
-// ==================== END WING POSTS API ====================
+    if (via === 'browser') return res.redirect(303, paymentReturnUrl(ref, status));
+    res.json({ reference: ref, status });
+  } catch (err) {
+    console.error(`[Payments] ${provider.name} callback failed:`, err.message);
+    if (via === 'browser') return res.redirect(303, paymentReturnUrl(ref, 'error'));
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-// ==================== WING SETTINGS/ADMIN API ====================
+// Status of a checkout (polled by the donation result page)
+app.get('/api/public/payments/:reference', (req, res) => {
+  const { reference } = req.params;
 
-// Get wing settings (for edit page)
-app.get('/api/wings/:id/settings', (req, res) => {
-  const { id } = req.params;
-  
   db.get(`
-    SELECT w.*, 
-           (SELECT COUNT(*) FROM wing_join_requests WHERE wing_id = w.id AND status = 'pending') as pending_requests
-    FROM wings w WHERE w.id = ?
-  `, [id], (err, wing) => {
+    SELECT ps.reference, ps.provider, ps.status, ps.amount, ps.currency, ps.donation_id,
+           ps.created_at, ps.completed_at, d.status as donation_status,
+           r.receipt_number, r.public_token
+    FROM payment_sessions ps
+    LEFT JOIN donations d ON d.id = ps.donation_id
+    LEFT JOIN donation_receipts r
+      ON r.donation_source = 'donation' AND r.donation_id = ps.donation_id AND r.status = 'issued'
+    WHERE ps.reference = ?
+  `, [reference], (err, payment) => {
     if (err) return res.status(500).json({ error: err.message });
-    if (!wing) return res.status(404).json({ error: 'Wing not found' });
-    
-    // Get admins
-    db.all(`
-      SELECT wm.*, v.full_name, v.avatar, v.position
-      FROM wing_members wm
-      JOIN volunteers v ON wm.volunteer_id = v.id
-      WHERE wm.wing_id = ? AND (wm.is_admin = 1 OR wm.sort_order = 1)
-      ORDER BY wm.sort_order
-    `, [id], (err2, admins) => {
-      if (err2) return res.status(500).json({ error: err2.message });
-      
-      res.json({ ...wing, admins });
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+    const { public_token, ...status } = payment;
+    res.json({
+      ...status,
+      amount: Number(payment.amount),
+      receipt_url: public_token ? receiptUrl(payment, req) : null
     });
   });
 });
 
-// Update wing settings
-app.put('/api/wings/:id/settings', (req, res) => {
-  const { id } = req.params;
-  const { name, bio, description, image, cover_image, join_approval_required } = req.body;
-  
-  db.run(`
-    UPDATE wings 
-    SET name = COALESCE(?, name),
-        bio = COALESCE(?, bio),
-        description = COALESCE(?, description),
-        image = COALESCE(?, image),
-        cover_image = COALESCE(?, cover_image),
-        join_approval_required = COALESCE(?, join_approval_required),
-        updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [name, bio, description, image, cover_image, join_approval_required, id], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ success: true });
-  });
+// ==================== END PAYMENTS API ====================
+
+// ==================== DONATION SCREENING API ====================
+
+const screeningSettings = loadScreeningSettings(process.env);
+
+// Score a manually reported donation in the background; the donor's response does not wait for it
+function screenSubmittedDonation(source, donationId) {
+  screenDonation(promisePool, { source, donationId }, screeningSettings)
+    .then(({ flagged, riskScore }) => {
+      if (flagged) console.log(`[Screening] Flagged ${source} #${donationId} with risk score ${riskScore}`);
+    })
+    .catch(err => console.error(`[Screening] Failed to screen ${source} #${donationId}:`, err));
+}
+
+// Flagged donations with the donation, its target and the reasons (?status=open|cleared|confirmed|all)
+app.get('/api/donations/flagged', async (req, res) => {
+  const status = req.query.status || 'open';
+  const params = [];
+  let where = '';
+  if (status !== 'all') {
+    where = 'WHERE f.status = ?';
+    params.push(status);
+  }
+
+  try {
+    const [flags] = await promisePool.query(`
+      SELECT
+        f.*,
+        COALESCE(d.amount, dad.amount, wd.amount) as amount,
+        COALESCE(d.donor_name, dad.donor_name, wd.donor_name) as donor_name,
+        COALESCE(d.phone_number, dad.phone_number, wd.phone_number) as phone_number,
+        COALESCE(d.payment_method, dad.payment_method, wd.payment_method) as payment_method,
+        COALESCE(d.transaction_id, dad.transaction_id, wd.transaction_id) as transaction_id,
+        COALESCE(d.status, dad.status, wd.status) as donation_status,
+        COALESCE(d.created_at, dad.created_at, wd.created_at) as donated_at,
+        c.id as campaign_id,
+        c.title as campaign_title,
+        da.id as direct_aid_id,
+        da.title as direct_aid_title,
+        w.id as wing_id,
+        w.name as wing_name,
+        rv.full_name as reviewed_by_name
+      FROM donation_flags f
+      LEFT JOIN donations d ON f.donation_source = 'donation' AND d.id = f.donation_id
+      LEFT JOIN direct_aid_donations dad ON f.donation_source = 'direct_aid_donation' AND dad.id = f.donation_id
+      LEFT JOIN wing_donations wd ON f.donation_source = 'wing_donation' AND wd.id = f.donation_id
+      LEFT JOIN campaigns c ON c.id = d.campaign_id
+      LEFT JOIN direct_aids da ON da.id = COALESCE(d.direct_aid_id, dad.direct_aid_id)
+      LEFT JOIN wings w ON w.id = wd.wing_id
+      LEFT JOIN volunteers rv ON rv.id = f.reviewed_by
+      ${where}
+      ORDER BY f.risk_score DESC, f.created_at DESC
+    `, params);
+
+    res.json(flags.map(flag => ({ ...flag, reasons: parseJsonField(flag.reasons, []) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Get wing admins
-app.get('/api/wings/:id/admins', (req, res) => {
+// Close a flag: 'clear' keeps the donation in the normal approval flow, 'confirm' marks it
+// fraudulent and rejects it if it is still pending
+app.post('/api/donations/flags/:id/review', async (req, res) => {
   const { id } = req.params;
-  
-  db.all(`
-    SELECT wm.*, v.full_name, v.avatar, v.position
-    FROM wing_members wm
-    JOIN volunteers v ON wm.volunteer_id = v.id
-    WHERE wm.wing_id = ? AND (wm.is_admin = 1 OR wm.sort_order = 1)
-    ORDER BY wm.sort_order
-  `, [id], (err, admins) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(admins);
-  });
+  const { decision, note } = req.body;
+  const reviewerId = req.volunteer.id;
+
+  if (!['clear', 'confirm'].includes(decision)) {
+    return res.status(400).json({ error: "Decision must be 'clear' or 'confirm'" });
+  }
+
+  try {
+    const result = await withTransaction(async (conn) => {
+      const [rows] = await conn.query('SELECT * FROM donation_flags WHERE id = ? FOR UPDATE', [id]);
+      const flag = rows[0];
+      if (!flag) throw ledgerError('Flag not found', 404);
+      if (flag.status !== 'open') throw ledgerError(`Flag is already ${flag.status}`, 409);
+
+      await conn.query(`
+        UPDATE donation_flags
+        SET status = ?, reviewed_by = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [decision === 'clear' ? 'cleared' : 'confirmed', reviewerId, note || null, id]);
+
+      let rejected = null;
+      if (decision === 'confirm') {
+        const donation = await lockDonation(conn, flag.donation_source, flag.donation_id);
+        if (donation?.status === 'pending') {
+          rejected = await transitionDonation(conn, {
+            source: flag.donation_source,
+            donationId: flag.donation_id,
+            status: 'rejected',
+            actorId: reviewerId,
+            note: note || 'Confirmed as fraudulent by screening review'
+          });
+        }
+      }
+      return rejected;
+    });
+
+    if (result) notifyDonationDecision(result);
+    res.json({
+      message: decision === 'clear' ? 'Flag cleared' : 'Flag confirmed',
+      donationRejected: Boolean(result)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Add admin
-app.post('/api/wings/:id/admins', (req, res) => {
-  const { id } = req.params;
-  const { volunteerId } = req.body;
-  
-  db.run(`UPDATE wing_members SET is_admin = 1 WHERE wing_id = ? AND volunteer_id = ?`, 
-    [id, volunteerId], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
-    }
-  );
+// ==================== END DONATION SCREENING API ====================
+
+// ==================== STATEMENT RECONCILIATION API ====================
+
+const STATEMENT_DATE_TOLERANCE_DAYS = parseInt(process.env.STATEMENT_DATE_TOLERANCE_DAYS) || 3;
+
+// CSV statements are read from memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+// An import with its lines and the pending donations of its period that no line matched
+async function loadStatementImport(importId) {
+  const [imports] = await promisePool.query(`
+    SELECT si.*, v.full_name as imported_by_name
+    FROM statement_imports si
+    LEFT JOIN volunteers v ON v.id = si.imported_by
+    WHERE si.id = ?
+  `, [importId]);
+  const statementImport = imports[0];
+  if (!statementImport) return null;
+
+  const [lines] = await promisePool.query(`
+    SELECT sl.*, h.donor_name, h.phone_number, h.amount as donation_amount, h.status as donation_status,
+      h.created_at as donation_created_at, h.cause_type, h.cause_name, rv.full_name as resolved_by_name
+    FROM statement_lines sl
+    LEFT JOIN (${DONATION_HISTORY_SQL}) h ON h.source = sl.donation_source AND h.id = sl.donation_id
+    LEFT JOIN volunteers rv ON rv.id = sl.resolved_by
+    WHERE sl.import_id = ?
+    ORDER BY sl.line_number
+  `, [importId]);
+
+  const mapping = (await getMappings(promisePool))[statementImport.provider];
+  const unmatchedDonations = await findUnmatchedDonations(promisePool, statementImport, mapping, {
+    toleranceDays: STATEMENT_DATE_TOLERANCE_DAYS
+  });
+
+  return {
+    ...statementImport,
+    skipped: parseJsonField(statementImport.skipped, []),
+    lines: lines.map(line => ({
+      ...line,
+      amount: Number(line.amount),
+      donation_amount: line.donation_amount === null ? null : Number(line.donation_amount),
+      raw: parseJsonField(line.raw, {})
+    })),
+    unmatched_donations: unmatchedDonations
+  };
+}
+
+// Approve the donation a statement line proves, through the normal review side effects
+async function approveStatementLine(req, line, { source, donationId, note }) {
+  try {
+    await decideDonation(req, {
+      source,
+      donationId,
+      status: 'approved',
+      note: note || `Matched line ${line.line_number} of statement import #${line.import_id}`
+    });
+    await resolveStatementLine(promisePool, line.id, { resolution: 'approved', source, donationId, by: req.volunteer.id });
+    return { lineId: line.id, approved: true };
+  } catch (err) {
+    await resolveStatementLine(promisePool, line.id, { resolution: 'failed', note: err.message, by: req.volunteer.id });
+    return { lineId: line.id, approved: false, error: err.message };
+  }
+}
+
+// Column mappings of every statement provider
+app.get('/api/statement-mappings', async (req, res) => {
+  try {
+    res.json(Object.values(await getMappings(promisePool)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Remove admin
-app.delete('/api/wings/:id/admins/:volunteerId', (req, res) => {
-  const { id, volunteerId } = req.params;
-  
-  // Can't remove the top position (sort_order = 1) from admin
-  db.get('SELECT sort_order FROM wing_members WHERE wing_id = ? AND volunteer_id = ?', 
-    [id, volunteerId], (err, member) => {
-      if (err) return res.status(500).json({ error: err.message });
-      if (member?.sort_order === 1) {
-        return res.status(400).json({ error: 'Cannot remove top position from admin' });
-      }
-      
-      db.run(`UPDATE wing_members SET is_admin = 0 WHERE wing_id = ? AND volunteer_id = ?`, 
-        [id, volunteerId], function(err2) {
-          if (err2) return res.status(500).json({ error: err2.message });
-          res.json({ success: true });
+// Create or replace a provider's column mapping
+// ({ label, columns: { transactionId, amount, date, sender, direction }, creditValues, dateFormat, delimiter, skipRows, paymentMethods })
+app.put('/api/statement-mappings/:provider', async (req, res) => {
+  try {
+    const mapping = parseMapping(req.params.provider, req.body);
+    await saveMapping(promisePool, req.params.provider, mapping, req.volunteer.id);
+    res.json(await getMapping(promisePool, req.params.provider));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Import a CSV statement: multipart file "statement" (or csv text) with provider; exact matches are
+// approved unless approve=false
+app.post('/api/statement-imports', (req, res) => {
+  statementUpload.single('statement')(req, res, async function(err) {
+    if (err) {
+      return res.status(400).json({ error: 'Statement upload failed: ' + err.message });
+    }
+    const { provider } = req.body;
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    const approve = !['false', false, '0', 0].includes(req.body.approve);
+    if (!provider) return res.status(400).json({ error: 'provider is required' });
+    if (!csv) return res.status(400).json({ error: 'Upload the statement as "statement" or send its text as csv' });
+
+    try {
+      const mapping = await getMapping(promisePool, provider);
+      const { lines, skipped } = readStatement(csv, mapping);
+      const importId = await withTransaction(async (conn) => {
+        const matched = await matchStatementLines(conn, lines, { toleranceDays: STATEMENT_DATE_TOLERANCE_DAYS });
+        return saveStatementImport(conn, {
+          provider,
+          filename: req.file?.originalname || req.body.filename,
+          lines: matched,
+          skipped,
+          importedBy: req.volunteer.id
+        });
+      });
+
+      const approvals = [];
+      if (approve) {
+        const [exactLines] = await promisePool.query(
+          "SELECT * FROM statement_lines WHERE import_id = ? AND match_status = 'exact' ORDER BY line_number",
+          [importId]
+        );
+        for (const line of exactLines) {
+          approvals.push(await approveStatementLine(req, line, { source: line.donation_source, donationId: line.donation_id }));
         }
-      );
+      }
+      await refreshImportCounts(promisePool, importId);
+
+      res.status(201).json({ ...(await loadStatementImport(importId)), approvals });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
-  );
+  });
 });
 
-// Transfer top admin position
-app.put('/api/wings/:id/transfer-admin', (req, res) => {
-  const { id } = req.params;
-  const { fromVolunteerId, toVolunteerId } = req.body;
-  
-  // Get current roles
-  db.get('SELECT role, sort_order FROM wing_members WHERE wing_id = ? AND volunteer_id = ?', 
-    [id, fromVolunteerId], (err, fromMember) => {
-      if (err) return res.status(500).json({ error: err.message });
-      if (!fromMember || fromMember.sort_order !== 1) {
-        return res.status(400).json({ error: 'Only top position can transfer' });
+// Statement imports, newest first
+app.get('/api/statement-imports', async (req, res) => {
+  try {
+    const [imports] = await promisePool.query(`
+      SELECT si.id, si.provider, si.filename, si.line_count, si.skipped_count, si.exact_count, si.approved_count,
+        si.open_count, si.date_from, si.date_to, si.created_at, v.full_name as imported_by_name
+      FROM statement_imports si
+      LEFT JOIN volunteers v ON v.id = si.imported_by
+      ORDER BY si.created_at DESC
+      LIMIT 200
+    `);
+    res.json(imports);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// An import with every line, how it matched, and the pending donations no line matched
+app.get('/api/statement-imports/:id', async (req, res) => {
+  try {
+    const statementImport = await loadStatementImport(req.params.id);
+    if (!statementImport) return res.status(404).json({ error: 'Statement import not found' });
+    res.json(statementImport);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve a line by hand: approve the donation it proves ({ action: 'approve', source, donationId, note };
+// source and donationId default to the donation the line matched) or ignore it ({ action: 'ignore', note })
+app.post('/api/statement-imports/:id/lines/:lineId/resolve', async (req, res) => {
+  const { action, note } = req.body;
+  try {
+    const [lines] = await promisePool.query(
+      'SELECT * FROM statement_lines WHERE id = ? AND import_id = ?',
+      [req.params.lineId, req.params.id]
+    );
+    const line = lines[0];
+    if (!line) return res.status(404).json({ error: 'Statement line not found' });
+    if (['approved', 'ignored'].includes(line.resolution)) {
+      return res.status(409).json({ error: `Statement line is already ${line.resolution}` });
+    }
+
+    if (action === 'ignore') {
+      await resolveStatementLine(promisePool, line.id, { resolution: 'ignored', note: note || null, by: req.volunteer.id });
+    } else if (action === 'approve') {
+      const source = req.body.source || line.donation_source;
+      const donationId = req.body.donationId || line.donation_id;
+      if (!DONATION_SOURCES[source] || !donationId) {
+        return res.status(400).json({ error: 'Name the donation the line pays for with source and donationId' });
       }
-      
-      db.get('SELECT role, sort_order FROM wing_members WHERE wing_id = ? AND volunteer_id = ?', 
-        [id, toVolunteerId], (err2, toMember) => {
-          if (err2) return res.status(500).json({ error: err2.message });
-          if (!toMember || toMember.sort_order > 6) {
-            return res.status(400).json({ error: 'Can only transfer to committee members' });
-          }
-          
-          // Swap roles
-          db.run(`UPDATE wing_members SET role = ?, sort_order = ? WHERE wing_id = ? AND volunteer_id = ?`,
-            [toMember.role, toMember.sort_order, id, fromVolunteerId], (err3) => {
-              if (err3) return res.status(500).json({ error: err3.message });
-              
-              db.run(`UPDATE wing_members SET role = ?, sort_order = 1, is_admin = 1 WHERE wing_id = ? AND volunteer_id = ?`,
-                [fromMember.role, id, toVolunteerId], (err4) => {
-                  if (err4) return res.status(500).json({ error: err4.message });
-                  res.json({ success: true });
-                }
-              );
-            }
-          );
-        }
-      );
+      const result = await approveStatementLine(req, line, { source, donationId, note });
+      if (!result.approved) return res.status(409).json({ error: result.error });
+    } else {
+      return res.status(400).json({ error: "action must be 'approve' or 'ignore'" });
     }
-  );
+
+    await refreshImportCounts(promisePool, line.import_id);
+    res.json(await loadStatementImport(line.import_id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== END STATEMENT RECONCILIATION API ====================
+
+// ==================== RECEIPTS API ====================
+
+const receiptSettings = loadReceiptSettings(process.env);
+
+// Public download link of a receipt; without a request the configured PUBLIC_API_URL is used
+const receiptUrl = (receipt, req = null) =>
+  `${req ? paymentBaseUrl(req) : PUBLIC_API_URL}/api/public/receipts/${receipt.public_token}`;
+
+// What approval responses tell the reviewer about the receipt they just caused
+const receiptSummary = (receipt, req) => ({
+  id: receipt.id,
+  receiptNumber: receipt.receipt_number,
+  url: receiptUrl(receipt, req)
+});
+
+// Receipt as returned by the admin routes (the organization snapshot parsed, the link included)
+const formatReceipt = (receipt, req) => ({
+  ...receipt,
+  amount: Number(receipt.amount),
+  organization_details: parseJsonField(receipt.organization_details, {}),
+  url: receiptUrl(receipt, req)
+});
+
+async function sendReceiptPdf(res, req, receipt, disposition) {
+  let replacedByNumber = null;
+  if (receipt.replaced_by_receipt_id) {
+    const [rows] = await promisePool.query(
+      'SELECT receipt_number FROM donation_receipts WHERE id = ?',
+      [receipt.replaced_by_receipt_id]
+    );
+    replacedByNumber = rows[0]?.receipt_number || null;
+  }
+  const pdf = await renderReceiptPdf(receipt, { verifyUrl: receiptUrl(receipt, req), replacedByNumber });
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${disposition}; filename="receipt-${receipt.receipt_number}.pdf"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(Buffer.from(pdf));
+}
+
+// Download a receipt by its unguessable token (no login required)
+app.get('/api/public/receipts/:token', async (req, res) => {
+  const { token } = req.params;
+  if (!/^[a-f0-9]{64}$/.test(token)) return res.status(404).json({ error: 'Receipt not found' });
+
+  try {
+    const [rows] = await promisePool.query('SELECT * FROM donation_receipts WHERE public_token = ?', [token]);
+    if (!rows[0]) return res.status(404).json({ error: 'Receipt not found' });
+    await sendReceiptPdf(res, req, rows[0], 'inline');
+  } catch (err) {
+    console.error('Failed to render receipt:', err);
+    res.status(500).json({ error: 'Failed to render receipt' });
+  }
+});
+
+// List receipts (?fiscalYear=2025-26&status=issued|void&source=donation&search=)
+app.get('/api/receipts', async (req, res) => {
+  const { fiscalYear, status, source, search } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  const conditions = [];
+  const params = [];
+
+  if (fiscalYear) {
+    conditions.push('fiscal_year = ?');
+    params.push(fiscalYear);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (source) {
+    conditions.push('donation_source = ?');
+    params.push(source);
+  }
+  if (search) {
+    conditions.push('(receipt_number LIKE ? OR donor_name LIKE ? OR transaction_id LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+
+  try {
+    const [receipts] = await promisePool.query(`
+      SELECT * FROM donation_receipts
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY fiscal_year DESC, sequence_number DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+    res.json(receipts.map(receipt => formatReceipt(receipt, req)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Issue the receipt of an approved donation that has none yet (e.g. approved before receipts existed)
+app.post('/api/receipts', async (req, res) => {
+  const { donationSource, donationId } = req.body;
+  if (!DONATION_SOURCES[donationSource] || !donationId) {
+    return res.status(400).json({ error: 'A valid donationSource and donationId are required' });
+  }
+
+  try {
+    const receipt = await withTransaction(async (conn) => {
+      const { table } = DONATION_SOURCES[donationSource];
+      const [rows] = await conn.query(`SELECT status FROM ${table} WHERE id = ? FOR UPDATE`, [donationId]);
+      if (!rows[0]) throw ledgerError('Donation not found', 404);
+      if (rows[0].status !== 'approved') throw ledgerError('Only approved donations get a receipt');
+      if (await findActiveReceipt(conn, donationSource, donationId)) {
+        throw ledgerError('Donation already has a receipt; reissue it instead', 409);
+      }
+      return issueReceipt(conn, {
+        source: donationSource,
+        donationId,
+        issuedBy: req.volunteer.id,
+        settings: receiptSettings
+      });
+    });
+    res.json(formatReceipt(receipt, req));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get one receipt
+app.get('/api/receipts/:id', async (req, res) => {
+  try {
+    const [rows] = await promisePool.query('SELECT * FROM donation_receipts WHERE id = ?', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Receipt not found' });
+    res.json(formatReceipt(rows[0], req));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download a receipt PDF as an admin
+app.get('/api/receipts/:id/pdf', async (req, res) => {
+  try {
+    const [rows] = await promisePool.query('SELECT * FROM donation_receipts WHERE id = ?', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Receipt not found' });
+    await sendReceiptPdf(res, req, rows[0], 'attachment');
+  } catch (err) {
+    console.error('Failed to render receipt:', err);
+    res.status(500).json({ error: 'Failed to render receipt' });
+  }
 });
 
-// Manage committee members - promote
-app.put('/api/wings/:id/members/:volunteerId/promote', (req, res) => {
-  const { id, volunteerId } = req.params;
-  const { newRole, newSortOrder } = req.body;
-  
-  db.run(`UPDATE wing_members SET role = ?, sort_order = ? WHERE wing_id = ? AND volunteer_id = ?`,
-    [newRole, newSortOrder, id, volunteerId], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
-    }
-  );
+// Void a receipt and issue a replacement under a new number (donorName corrects the name)
+app.post('/api/receipts/:id/reissue', async (req, res) => {
+  const { reason, donorName } = req.body;
+  if (!reason?.trim()) return res.status(400).json({ error: 'A reason is required' });
+
+  try {
+    const receipt = await withTransaction(conn => reissueReceipt(conn, {
+      receiptId: req.params.id,
+      reason: reason.trim(),
+      reissuedBy: req.volunteer.id,
+      donorName,
+      settings: receiptSettings
+    }));
+    res.json(formatReceipt(receipt, req));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Manage committee members - remove from position (demote to regular member)
-app.put('/api/wings/:id/members/:volunteerId/demote', (req, res) => {
-  const { id, volunteerId } = req.params;
-  
-  db.run(`UPDATE wing_members SET role = 'Wing Member', sort_order = 7, is_admin = 0 WHERE wing_id = ? AND volunteer_id = ?`,
-    [id, volunteerId], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
-    }
-  );
+// Void a receipt; the number stays used and the PDF is stamped VOID
+app.post('/api/receipts/:id/void', async (req, res) => {
+  const { reason } = req.body;
+  if (!reason?.trim()) return res.status(400).json({ error: 'A reason is required' });
+
+  try {
+    await withTransaction(conn => voidReceipt(conn, {
+      receiptId: req.params.id,
+      reason: reason.trim(),
+      voidedBy: req.volunteer.id
+    }));
+    res.json({ message: 'Receipt voided' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Get join requests
-app.get('/api/wings/:id/join-requests', (req, res) => {
-  const { id } = req.params;
-  
-  db.all(`
-    SELECT jr.*, v.full_name, v.avatar, v.position, v.hours_given
-    FROM wing_join_requests jr
-    JOIN volunteers v ON jr.volunteer_id = v.id
-    WHERE jr.wing_id = ? AND jr.status = 'pending'
-    ORDER BY jr.requested_at DESC
-  `, [id], (err, requests) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(requests);
+// ==================== END RECEIPTS API ====================
+
+// ==================== PLEDGES API ====================
+
+const PLEDGE_GRACE_DAYS = parseInt(process.env.PLEDGE_GRACE_DAYS) || 14;
+const PLEDGE_CYCLE_INTERVAL_MINUTES = parseInt(process.env.PLEDGE_CYCLE_INTERVAL_MINUTES) || 60;
+
+const PLEDGE_TARGET_TABLES = { campaign: 'campaigns', wing: 'wings', direct_aid: 'direct_aids' };
+
+// Credit an approved donation to the pledge installment it pays (inside the approval transaction)
+function creditPledge(conn, source, donation, target, recordedBy) {
+  return applyDonationToPledge(conn, {
+    source,
+    donationId: donation.id,
+    pledgeId: donation.pledge_id,
+    targetType: target.type,
+    targetId: target.id,
+    volunteerId: donation.volunteer_id,
+    phoneNumber: donation.phone_number,
+    amount: donation.amount,
+    today: toDateString(new Date()),
+    recordedBy
   });
-});
+}
 
-// Submit join request
-app.post('/api/wings/:id/join-request', (req, res) => {
-  const { id } = req.params;
-  const { volunteerId } = req.body;
-  
-  // Check if wing requires approval
-  db.get('SELECT join_approval_required FROM wings WHERE id = ?', [id], (err, wing) => {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    if (wing?.join_approval_required) {
-      // Add to join requests
-      db.run(`INSERT OR REPLACE INTO wing_join_requests (wing_id, volunteer_id, status) VALUES (?, ?, 'pending')`,
-        [id, volunteerId], function(err2) {
-          if (err2) return res.status(500).json({ error: err2.message });
-          res.json({ success: true, pending: true });
-        }
-      );
-    } else {
-      // Direct join
-      db.run(`INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order) VALUES (?, ?, 'Wing Member', 7)`,
-        [id, volunteerId], function(err2) {
-          if (err2) return res.status(500).json({ error: err2.message });
-          res.json({ success: true, pending: false });
-        }
-      );
-    }
+async function canManagePledges(volunteerId) {
+  if (SUPER_ADMIN_IDS.includes(volunteerId)) return true;
+  const permissions = await getEffectivePermissions(volunteerId);
+  return permissions['pledges.manage'] === true;
+}
+
+// A pledge the caller may see and change: their own, or any with pledges.manage
+async function getAccessiblePledge(pledgeId, volunteerId) {
+  const [rows] = await promisePool.query('SELECT * FROM donation_pledges WHERE id = ?', [pledgeId]);
+  const pledge = rows[0];
+  if (!pledge) throw ledgerError('Pledge not found', 404);
+  if (pledge.volunteer_id !== volunteerId && !(await canManagePledges(volunteerId))) {
+    throw ledgerError('You do not have permission to access this pledge', 403);
+  }
+  return pledge;
+}
+
+// Refuse a pledgeId sent with a donation unless the donor may pay into that pledge (see
+// checkPledgeLink). Signed-in staff with pledges.manage may link any donor's pledge.
+async function checkDonationPledge(pledgeId, { targetType, targetId, phoneNumber, volunteerId = null }) {
+  if (!pledgeId) return;
+  await checkPledgeLink(promisePool, {
+    pledgeId,
+    targetType,
+    targetId,
+    volunteerId,
+    phoneNumber,
+    anyDonor: volunteerId !== null && await canManagePledges(volunteerId)
   });
-});
+}
 
-// Approve join request
-app.put('/api/wings/:id/join-requests/:requestId/approve', (req, res) => {
-  const { id, requestId } = req.params;
-  const { reviewerId } = req.body;
-  
-  db.get('SELECT jr.volunteer_id, w.name as wing_name FROM wing_join_requests jr JOIN wings w ON jr.wing_id = w.id WHERE jr.id = ?', [requestId], (err, request) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!request) return res.status(404).json({ error: 'Request not found' });
-    
-    // Add to wing members
-    db.run(`INSERT OR REPLACE INTO wing_members (wing_id, volunteer_id, role, sort_order) VALUES (?, ?, 'Wing Member', 7)`,
-      [id, request.volunteer_id], (err2) => {
-        if (err2) return res.status(500).json({ error: err2.message });
-        
-        // Update request status
-        db.run(`UPDATE wing_join_requests SET status = 'approved', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?`,
-          [reviewerId, requestId], (err3) => {
-            if (err3) return res.status(500).json({ error: err3.message });
-            
-            // Create notification for the user
-            createNotification(request.volunteer_id, 'wing_join_approved', 
-              `Your request to join ${request.wing_name} has been approved! Welcome to the wing.`, {
-                data: { wingId: parseInt(id), wingName: request.wing_name },
-                actorId: reviewerId,
-                priority: 'high'
-            }).catch(console.error);
-            
-            res.json({ success: true });
-          }
-        );
-      }
-    );
+const pledgeReminderMessage = (reminder) => {
+  const amount = Number(reminder.amount) - Number(reminder.fulfilled_amount);
+  return reminder.reminder_kind === 'overdue'
+    ? `Your pledge of ৳${amount} to "${reminder.target_name}" was due on ${reminder.due_date}. Please send it when you can.`
+    : `Your ${reminder.frequency} pledge of ৳${amount} to "${reminder.target_name}" is due on ${reminder.due_date}.`;
+};
+
+// Remind a donor with a volunteer account in the app. Donors without one have no SMS or mail
+// transport yet; their reminders wait in GET /api/pledges/reminders/offline for staff.
+async function sendPledgeReminder(reminder) {
+  const amount = Number(reminder.amount) - Number(reminder.fulfilled_amount);
+  const overdue = reminder.reminder_kind === 'overdue';
+  const message = pledgeReminderMessage(reminder);
+
+  await createNotification(reminder.volunteer_id, 'pledge_reminder', message, {
+    title: overdue ? 'Pledge overdue' : 'Pledge reminder',
+    data: {
+      pledgeId: reminder.pledge_id,
+      installmentId: reminder.id,
+      dueDate: reminder.due_date,
+      amount,
+      targetType: reminder.target_type,
+      targetId: reminder.target_id
+    },
+    priority: overdue ? 'high' : 'normal'
   });
-});
+}
 
-// Reject join request
-app.put('/api/wings/:id/join-requests/:requestId/reject', (req, res) => {
-  const { id, requestId } = req.params;
-  const { reviewerId } = req.body;
-  
-  db.run(`UPDATE wing_join_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?`,
-    [reviewerId, requestId], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
+// Generate the installments coming due, mark unpaid ones missed and send reminders. Safe to run
+// on several machines at once: installments are unique per cycle and each reminder is claimed
+// before it is sent.
+async function runPledgeCycle() {
+  const today = toDateString(new Date());
+  let generated = 0;
+  for (const pledgeId of await findPledgesToGenerate(promisePool, today)) {
+    generated += await withTransaction(conn => generateInstallmentsForPledge(conn, pledgeId, today));
+  }
+  const missed = await markMissedInstallments(promisePool, today, PLEDGE_GRACE_DAYS);
+  const completed = await completeFinishedPledges(promisePool);
+
+  let reminded = 0;
+  for (const reminder of await findDueReminders(promisePool, today, PLEDGE_GRACE_DAYS)) {
+    if (!(await claimReminder(promisePool, reminder.id, reminder.reminder_kind))) continue;
+    try {
+      await sendPledgeReminder(reminder);
+      reminded++;
+    } catch (err) {
+      console.error(`[Pledges] Failed to remind installment #${reminder.id}:`, err.message);
     }
-  );
-});
+  }
+  const offline = (await findDueReminders(promisePool, today, PLEDGE_GRACE_DAYS, { offline: true })).length;
+  return { generated, missed, completed, reminded, offline };
+}
 
-// Get wing posts for management (with search)
-app.get('/api/wings/:id/posts/manage', (req, res) => {
-  const { id } = req.params;
-  const { search } = req.query;
-  
-  let query = `
-    SELECT wp.*, v.full_name as author_name, v.avatar as author_avatar,
-           (SELECT COUNT(*) FROM wing_post_reactions WHERE post_id = wp.id) as reaction_count,
-           (SELECT COUNT(*) FROM wing_post_comments WHERE post_id = wp.id) as comment_count,
-           (SELECT COUNT(*) FROM wing_post_images WHERE post_id = wp.id) as image_count
-    FROM wing_posts wp
-    JOIN volunteers v ON wp.author_id = v.id
-    WHERE wp.wing_id = ?
-  `;
-  
-  const params = [id];
-  
-  if (search) {
-    query += ` AND (wp.content LIKE ? OR v.full_name LIKE ?)`;
-    params.push(`%${search}%`, `%${search}%`);
+// Pledge rows with their target name and installment counts
+async function listPledges(where, params) {
+  const [pledges] = await promisePool.query(`
+    SELECT p.*,
+      CASE p.target_type
+        WHEN 'campaign' THEN c.title
+        WHEN 'wing' THEN w.name
+        WHEN 'direct_aid' THEN da.title
+        ELSE 'UYHO Central Fund'
+      END as target_name,
+      (SELECT COUNT(*) FROM pledge_installments i WHERE i.pledge_id = p.id AND i.status = 'fulfilled') as fulfilled_count,
+      (SELECT COUNT(*) FROM pledge_installments i WHERE i.pledge_id = p.id AND i.status = 'missed') as missed_count,
+      (SELECT COALESCE(SUM(i.fulfilled_amount), 0) FROM pledge_installments i WHERE i.pledge_id = p.id) as collected_amount
+    FROM donation_pledges p
+    LEFT JOIN campaigns c ON p.target_type = 'campaign' AND c.id = p.target_id
+    LEFT JOIN wings w ON p.target_type = 'wing' AND w.id = p.target_id
+    LEFT JOIN direct_aids da ON p.target_type = 'direct_aid' AND da.id = p.target_id
+    ${where}
+    ORDER BY p.created_at DESC
+  `, params);
+  return pledges.map(pledge => ({
+    ...pledge,
+    amount: Number(pledge.amount),
+    collected_amount: Number(pledge.collected_amount)
+  }));
+}
+
+// Create a pledge. Volunteers pledge for themselves; with pledges.manage a pledge can be
+// recorded for another volunteer or, with volunteerId null, for a donor without an account.
+app.post('/api/pledges', async (req, res) => {
+  const { donorName, phoneNumber, email, note } = req.body;
+  const today = toDateString(new Date());
+  const onBehalf = req.body.volunteerId !== undefined && req.body.volunteerId !== req.volunteer.id;
+
+  let fields;
+  try {
+    fields = parsePledgeInput(req.body, { today });
+    if (onBehalf && !(await canManagePledges(req.volunteer.id))) {
+      throw ledgerError('Only pledge managers can record pledges for someone else', 403);
+    }
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
   }
-  
-  query += ` ORDER BY wp.created_at DESC`;
-  
-  db.all(query, params, (err, posts) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(posts);
-  });
-});
 
-// Delete post
-app.delete('/api/posts/:postId', (req, res) => {
-  const { postId } = req.params;
-  
-  db.run('DELETE FROM wing_posts WHERE id = ?', [postId], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ success: true });
-  });
+  const volunteerId = onBehalf ? req.body.volunteerId || null : req.volunteer.id;
+  if (!volunteerId && !phoneNumber && !email) {
+    return res.status(400).json({ error: 'A phone number or email is needed to remind a donor without an account' });
+  }
+
+  try {
+    const pledgeId = await withTransaction(async (conn) => {
+      const table = PLEDGE_TARGET_TABLES[fields.target_type];
+      if (table) {
+        const [targets] = await conn.query(`SELECT id FROM ${table} WHERE id = ?`, [fields.target_id]);
+        if (!targets.length) throw ledgerError(`${fields.target_type.replace('_', ' ')} not found`, 404);
+      }
+
+      let donor = { full_name: donorName, phone: phoneNumber, email };
+      if (volunteerId) {
+        const [volunteers] = await conn.query('SELECT full_name, phone, email FROM volunteers WHERE id = ?', [volunteerId]);
+        if (!volunteers.length) throw ledgerError('Volunteer not found', 404);
+        donor = volunteers[0];
+      }
+
+      const [result] = await conn.query(`
+        INSERT INTO donation_pledges (
+          volunteer_id, donor_name, phone_number, email, target_type, target_id, amount, frequency,
+          start_date, end_date, next_due_date, reminder_days, note, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        volunteerId,
+        donorName || donor.full_name || null,
+        phoneNumber || donor.phone || null,
+        email || donor.email || null,
+        fields.target_type,
+        fields.target_id,
+        fields.amount,
+        fields.frequency,
+        fields.start_date,
+        fields.end_date || null,
+        fields.start_date,
+        fields.reminder_days ?? 3,
+        note || null,
+        req.volunteer.id
+      ]);
+      await generateInstallmentsForPledge(conn, result.insertId, today);
+      return result.insertId;
+    });
+
+    const [pledge] = await listPledges('WHERE p.id = ?', [pledgeId]);
+    res.status(201).json(pledge);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Update post (edit)
-app.put('/api/posts/:postId', (req, res) => {
-  const { postId } = req.params;
-  const { content, location } = req.body;
-  
-  db.run('UPDATE wing_posts SET content = ?, location = ? WHERE id = ?', 
-    [content, location || null, postId], 
-    function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
-    }
-  );
+// Get the signed-in volunteer's pledges
+app.get('/api/pledges/mine', async (req, res) => {
+  try {
+    res.json(await listPledges('WHERE p.volunteer_id = ?', [req.volunteer.id]));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// ==================== GROUP CHAT JOIN REQUEST API ====================
+// List pledges (?status=active&targetType=campaign&targetId=3)
+app.get('/api/pledges', async (req, res) => {
+  const { status, targetType, targetId } = req.query;
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('p.status = ?');
+    params.push(status);
+  }
+  if (targetType) {
+    conditions.push('p.target_type = ?');
+    params.push(targetType);
+  }
+  if (targetId !== undefined) {
+    conditions.push('p.target_id = ?');
+    params.push(parseInt(targetId) || 0);
+  }
 
-// Get group settings
-app.get('/api/groups/:id/settings', (req, res) => {
-  const { id } = req.params;
-  
-  db.get(`
-    SELECT g.*, 
-           (SELECT COUNT(*) FROM group_join_requests WHERE group_id = g.id AND status = 'pending') as pending_requests
-    FROM group_chats g WHERE g.id = ?
-  `, [id], (err, group) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-    res.json(group);
-  });
+  try {
+    res.json(await listPledges(conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Update group settings (including join_approval_required)
-app.put('/api/groups/:id/settings', (req, res) => {
-  const { id } = req.params;
-  const { name, description, avatar, join_approval_required, allow_member_add } = req.body;
-  
-  let updates = [];
-  let params = [];
-  
-  if (name !== undefined) { updates.push('name = ?'); params.push(name); }
-  if (description !== undefined) { updates.push('description = ?'); params.push(description); }
-  if (avatar !== undefined) { updates.push('avatar = ?'); params.push(avatar); }
-  if (join_approval_required !== undefined) { updates.push('join_approval_required = ?'); params.push(join_approval_required ? 1 : 0); }
-  if (allow_member_add !== undefined) { updates.push('allow_member_add = ?'); params.push(allow_member_add ? 1 : 0); }
-  
-  if (updates.length === 0) return res.json({ success: true });
-  
-  params.push(id);
-  
-  db.run(`UPDATE group_chats SET ${updates.join(', ')} WHERE id = ?`, params, function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ success: true });
-  });
+// Pledge health of every campaign, wing, direct aid and the central fund
+app.get('/api/pledges/health', async (req, res) => {
+  try {
+    res.json(await getPledgeHealth(promisePool, { today: toDateString(new Date()) }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Get group join requests
-app.get('/api/groups/:id/join-requests', (req, res) => {
-  const { id } = req.params;
-  
-  db.all(`
-    SELECT gjr.*, v.full_name, v.avatar, v.position, v.wing
-    FROM group_join_requests gjr
-    JOIN volunteers v ON gjr.user_id = v.id
-    WHERE gjr.group_id = ? AND gjr.status = 'pending'
-    ORDER BY gjr.requested_at DESC
-  `, [id], (err, requests) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(requests || []);
-  });
-});
+// Pledge health of one entity, with the pledges that missed two of their last three installments
+app.get('/api/pledges/health/:targetType/:targetId', async (req, res) => {
+  const today = toDateString(new Date());
+  try {
+    const target = normalizeAccount(req.params.targetType, req.params.targetId);
+    const [health] = await getPledgeHealth(promisePool, { targetType: target.type, targetId: target.id, today });
+    const atRisk = await listPledges(`
+      WHERE p.target_type = ? AND p.target_id = ? AND p.status = 'active'
+        AND p.id IN (
+          SELECT pledge_id FROM (
+            SELECT pledge_id, status, ROW_NUMBER() OVER (PARTITION BY pledge_id ORDER BY due_date DESC) as recent_rank
+            FROM pledge_installments
+            WHERE due_date <= ?
+          ) recent
+          WHERE recent_rank <= 3 AND status = 'missed'
+          GROUP BY pledge_id
+          HAVING COUNT(*) >= 2
+        )
+    `, [target.type, target.id, today]);
 
-// Submit join request
-app.post('/api/groups/:id/join-requests', (req, res) => {
-  const { id } = req.params;
-  const { userId } = req.body;
-  
-  // Check if already a member
-  db.get('SELECT * FROM group_members WHERE group_id = ? AND user_id = ?', [id, userId], (err, member) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (member) return res.status(400).json({ error: 'Already a member' });
-    
-    // Check if already requested
-    db.get('SELECT * FROM group_join_requests WHERE group_id = ? AND user_id = ? AND status = ?', 
-      [id, userId, 'pending'], (reqErr, existing) => {
-        if (reqErr) return res.status(500).json({ error: reqErr.message });
-        if (existing) return res.status(400).json({ error: 'Request already pending' });
-        
-        db.run('INSERT INTO group_join_requests (group_id, user_id) VALUES (?, ?)', [id, userId], function(insErr) {
-          if (insErr) return res.status(500).json({ error: insErr.message });
-          res.json({ success: true, requestId: this.lastID });
-        });
-      }
-    );
-  });
+    res.json({
+      ...(health || { target_type: target.type, target_id: target.id, active_pledges: 0 }),
+      at_risk: atRisk
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Approve join request
-app.put('/api/groups/:id/join-requests/:requestId/approve', (req, res) => {
-  const { id, requestId } = req.params;
-  const { reviewedBy } = req.body;
-  
-  db.get('SELECT * FROM group_join_requests WHERE id = ? AND group_id = ?', [requestId, id], (err, request) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!request) return res.status(404).json({ error: 'Request not found' });
-    
-    // Add member to group
-    db.run('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, 0)', 
-      [id, request.user_id], (insErr) => {
-        if (insErr) return res.status(500).json({ error: insErr.message });
-        
-        // Update request status
-        db.run('UPDATE group_join_requests SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
-          ['approved', reviewedBy, requestId], (updErr) => {
-            if (updErr) return res.status(500).json({ error: updErr.message });
-            
-            // Add system message
-            db.get('SELECT full_name FROM volunteers WHERE id = ?', [request.user_id], (nameErr, user) => {
-              if (!nameErr && user) {
-                addGroupSystemMessage(id, `${user.full_name} joined the group`);
-              }
-            });
-            
-            res.json({ success: true });
-          }
-        );
-      }
-    );
-  });
+// Run the pledge cycle now instead of waiting for the scheduler
+app.post('/api/pledges/run-cycle', async (req, res) => {
+  try {
+    const run = await jobScheduler.runNow('pledge-cycle', { triggeredBy: req.volunteer.id });
+    if (run.status === 'failed') return res.status(500).json({ error: run.error });
+    res.json(run.result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Reject join request
-app.put('/api/groups/:id/join-requests/:requestId/reject', (req, res) => {
-  const { id, requestId } = req.params;
-  const { reviewedBy } = req.body;
-  
-  db.run('UPDATE group_join_requests SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
-    ['rejected', reviewedBy, requestId], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ success: true });
-    }
-  );
+// Reminders owed to donors without a volunteer account, with their contact details, for staff to pass on
+app.get('/api/pledges/reminders/offline', async (req, res) => {
+  try {
+    const reminders = await findDueReminders(promisePool, toDateString(new Date()), PLEDGE_GRACE_DAYS, { offline: true });
+    res.json(reminders.map(reminder => ({
+      installmentId: reminder.id,
+      pledgeId: reminder.pledge_id,
+      kind: reminder.reminder_kind,
+      dueDate: reminder.due_date,
+      donorName: reminder.donor_name,
+      phoneNumber: reminder.phone_number,
+      email: reminder.email,
+      targetName: reminder.target_name,
+      message: pledgeReminderMessage(reminder)
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// ==================== END GROUP CHAT JOIN REQUEST API ====================
+// Get a pledge with its installments and what paid them
+app.get('/api/pledges/:id', async (req, res) => {
+  try {
+    await getAccessiblePledge(req.params.id, req.volunteer.id);
+    const [pledge] = await listPledges('WHERE p.id = ?', [req.params.id]);
+    const [installments] = await promisePool.query(`
+      SELECT *, DATE_FORMAT(due_date, '%Y-%m-%d') as due_date
+      FROM pledge_installments
+      WHERE pledge_id = ?
+      ORDER BY cycle_number DESC
+    `, [req.params.id]);
+    const [fulfilments] = await promisePool.query(
+      'SELECT * FROM pledge_fulfilments WHERE pledge_id = ? ORDER BY created_at',
+      [req.params.id]
+    );
 
-// Get or create wing group chat
-app.get('/api/wings/:id/group-chat', (req, res) => {
-  const { id } = req.params;
-  const userId = req.query.userId;
-  
-  // First check if wing group exists
-  db.get('SELECT * FROM group_chats WHERE wing_id = ?', [id], (err, group) => {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    if (group) {
-      // Group exists, return it
-      return res.json({ groupId: group.id, exists: true });
-    }
-    
-    // Group doesn't exist, return null - frontend will create it
-    res.json({ groupId: null, exists: false });
-  });
+    res.json({
+      ...pledge,
+      installments: installments.map(installment => ({
+        ...installment,
+        amount: Number(installment.amount),
+        fulfilled_amount: Number(installment.fulfilled_amount),
+        fulfilments: fulfilments
+          .filter(f => f.installment_id === installment.id)
+          .map(f => ({ ...f, amount: Number(f.amount) }))
+      }))
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Create wing group chat (with all members auto-added)
-app.post('/api/wings/:id/group-chat', (req, res) => {
-  const { id } = req.params;
-  const { userId } = req.body;
-  
-  // Get wing info
-  db.get('SELECT * FROM wings WHERE id = ?', [id], (err, wing) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!wing) return res.status(404).json({ error: 'Wing not found' });
-    
-    // Get all wing members with their admin status
-    db.all(`
-      SELECT wm.volunteer_id, wm.is_admin, wm.sort_order, v.full_name 
-      FROM wing_members wm 
-      JOIN volunteers v ON wm.volunteer_id = v.id 
-      WHERE wm.wing_id = ?
-    `, [id], (membersErr, members) => {
-      if (membersErr) return res.status(500).json({ error: membersErr.message });
-      
-      if (members.length === 0) {
-        return res.status(400).json({ error: 'Wing has no members' });
+// Update a pledge: amount, endDate, reminderDays, note, or status (active / paused / cancelled)
+app.put('/api/pledges/:id', async (req, res) => {
+  const { status, note } = req.body;
+  const today = toDateString(new Date());
+
+  try {
+    const pledge = await getAccessiblePledge(req.params.id, req.volunteer.id);
+    if (['cancelled', 'completed'].includes(pledge.status)) {
+      throw ledgerError(`Pledge is already ${pledge.status}`, 409);
+    }
+    if (status !== undefined && !['active', 'paused', 'cancelled'].includes(status)) {
+      throw ledgerError("Status must be 'active', 'paused' or 'cancelled'");
+    }
+    const { amount, end_date, reminder_days } = parsePledgeInput({
+      amount: req.body.amount,
+      endDate: req.body.endDate,
+      reminderDays: req.body.reminderDays
+    }, { partial: true });
+
+    await withTransaction(async (conn) => {
+      const changes = Object.entries({ amount, end_date, reminder_days, note })
+        .filter(([, value]) => value !== undefined);
+      if (changes.length) {
+        await conn.query(
+          `UPDATE donation_pledges SET ${changes.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...changes.map(([, value]) => value), pledge.id]
+        );
+      }
+      // A new amount applies from the next installment not yet paid towards
+      if (amount !== undefined) {
+        await conn.query(`
+          UPDATE pledge_installments SET amount = ?
+          WHERE pledge_id = ? AND status = 'expected' AND due_date >= ? AND fulfilled_amount = 0
+        `, [amount, pledge.id, today]);
+      }
+
+      if (status === 'paused' || status === 'cancelled') {
+        await stopPledge(conn, pledge.id, status, today);
+      } else if (status === 'active' && pledge.status === 'paused') {
+        await resumePledge(conn, pledge.id, today);
+      } else if (end_date !== undefined || reminder_days !== undefined) {
+        await generateInstallmentsForPledge(conn, pledge.id, today);
       }
-      
-      // Find the wing admin (sort_order 1 or is_admin = 1)
-      const wingAdmin = members.find(m => m.sort_order === 1 || m.is_admin === 1) || members[0];
-      
-      // Create the group chat
-      db.run(
-        `INSERT INTO group_chats (name, description, avatar, creator_id, allow_member_add, wing_id) 
-         VALUES (?, ?, ?, ?, 0, ?)`,
-        [wing.name, wing.bio || wing.description || '', wing.image || '', wingAdmin.volunteer_id, id],
-        function(insertErr) {
-          if (insertErr) return res.status(500).json({ error: insertErr.message });
-          
-          const groupId = this.lastID;
-          
-          // Add all wing members to the group
-          const insertStmt = db.prepare('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, ?)');
-          
-          members.forEach(member => {
-            // Wing admins and sort_order 1 become group admins
-            const isGroupAdmin = member.is_admin === 1 || member.sort_order === 1 ? 1 : 0;
-            insertStmt.run(groupId, member.volunteer_id, isGroupAdmin);
-          });
-          
-          insertStmt.finalize();
-          
-          // Add system message
-          addGroupSystemMessage(groupId, `Welcome to ${wing.name} group chat!`)
-            .then(() => {
-              res.json({ groupId, created: true });
-            })
-            .catch(() => {
-              res.json({ groupId, created: true });
-            });
-        }
-      );
     });
-  });
+
+    const [updated] = await listPledges('WHERE p.id = ?', [pledge.id]);
+    res.json(updated);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Sync wing members with group chat (call this when members join/leave wing)
-app.post('/api/wings/:id/sync-group-members', (req, res) => {
-  const { id } = req.params;
-  
-  // Get wing group chat
-  db.get('SELECT id FROM group_chats WHERE wing_id = ?', [id], (err, group) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!group) return res.json({ synced: false, message: 'No group chat exists for this wing' });
-    
-    // Get all wing members
-    db.all(`
-      SELECT wm.volunteer_id, wm.is_admin, wm.sort_order 
-      FROM wing_members wm WHERE wm.wing_id = ?
-    `, [id], (membersErr, wingMembers) => {
-      if (membersErr) return res.status(500).json({ error: membersErr.message });
-      
-      // Add missing members to group chat
-      const insertStmt = db.prepare('INSERT OR IGNORE INTO group_members (group_id, user_id, is_admin) VALUES (?, ?, ?)');
-      
-      wingMembers.forEach(member => {
-        const isGroupAdmin = member.is_admin === 1 || member.sort_order === 1 ? 1 : 0;
-        insertStmt.run(group.id, member.volunteer_id, isGroupAdmin);
-      });
-      
-      insertStmt.finalize();
-      
-      // Update admin status for existing members
-      wingMembers.forEach(member => {
-        const isGroupAdmin = member.is_admin === 1 || member.sort_order === 1 ? 1 : 0;
-        db.run('UPDATE group_members SET is_admin = ? WHERE group_id = ? AND user_id = ?', 
-          [isGroupAdmin, group.id, member.volunteer_id]);
+// Record a payment against an installment: an approved donation the matcher missed
+// ({ donationSource, donationId }) or money received some other way ({ amount, note })
+app.post('/api/pledges/:id/installments/:installmentId/fulfilments', async (req, res) => {
+  const { id, installmentId } = req.params;
+  const { donationSource, donationId, note } = req.body;
+
+  try {
+    const installment = await withTransaction(async (conn) => {
+      const [installments] = await conn.query(
+        'SELECT id FROM pledge_installments WHERE id = ? AND pledge_id = ?',
+        [installmentId, id]
+      );
+      if (!installments.length) throw ledgerError('Installment not found', 404);
+
+      let amount = req.body.amount;
+      if (donationSource) {
+        if (!DONATION_SOURCES[donationSource] || !donationId) {
+          throw ledgerError('A valid donationSource and donationId are required');
+        }
+        const [donations] = await conn.query(
+          `SELECT status, amount FROM ${DONATION_SOURCES[donationSource].table} WHERE id = ?`,
+          [donationId]
+        );
+        if (!donations.length) throw ledgerError('Donation not found', 404);
+        if (donations[0].status !== 'approved') throw ledgerError('Only approved donations can fulfil a pledge');
+        const [used] = await conn.query(
+          'SELECT id FROM pledge_fulfilments WHERE donation_source = ? AND donation_id = ?',
+          [donationSource, donationId]
+        );
+        if (used.length) throw ledgerError('Donation is already credited to a pledge', 409);
+        amount = amount ?? donations[0].amount;
+      } else if (!note?.trim()) {
+        throw ledgerError('A note describing the payment is required');
+      }
+
+      return recordFulfilment(conn, {
+        installmentId,
+        amount,
+        donationSource: donationSource || 'manual',
+        donationId: donationSource ? donationId : null,
+        note: note || null,
+        recordedBy: req.volunteer.id
       });
-      
-      res.json({ synced: true, groupId: group.id });
     });
-  });
-});
-
-// ==================== END WING SETTINGS API ====================
 
-// ==================== END WINGS API ====================
+    res.json({ ...installment, amount: Number(installment.amount) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-// ==================== DONATIONS API ====================
+// Waive an installment (e.g. the donor skipped a month by agreement)
+app.post('/api/pledges/:id/installments/:installmentId/waive', async (req, res) => {
+  const { id, installmentId } = req.params;
 
-// Get pending donations for admin approval
-app.get('/api/donations/pending', (req, res) => {
-  db.all(`
-    SELECT 
-      d.*,
-      c.title as campaign_title,
-      c.image as campaign_image
-    FROM donations d
-    INNER JOIN campaigns c ON d.campaign_id = c.id
-    WHERE d.status = 'pending'
-    ORDER BY d.created_at DESC
-  `, (err, donations) => {
+  db.run(`
+    UPDATE pledge_installments SET status = 'waived', waived_by = ?
+    WHERE id = ? AND pledge_id = ? AND status IN ('expected', 'missed')
+  `, [req.volunteer.id, installmentId, id], function(err) {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(donations || []);
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'No unpaid installment found to waive' });
+    }
+    res.json({ message: 'Installment waived' });
   });
 });
 
-// Approve a donation
-app.post('/api/donations/:id/approve', (req, res) => {
-  const { id } = req.params;
+// Mark an offline reminder as passed on to the donor ({ kind: 'upcoming' | 'overdue' })
+app.post('/api/pledges/:id/installments/:installmentId/reminded', async (req, res) => {
+  const { kind } = req.body;
+  if (!['upcoming', 'overdue'].includes(kind)) {
+    return res.status(400).json({ error: "kind must be 'upcoming' or 'overdue'" });
+  }
+
+  try {
+    const [rows] = await promisePool.query(
+      'SELECT id FROM pledge_installments WHERE id = ? AND pledge_id = ?',
+      [req.params.installmentId, req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Installment not found' });
+    if (!(await claimReminder(promisePool, rows[0].id, kind))) {
+      return res.status(409).json({ error: 'This reminder was already sent' });
+    }
+    res.json({ message: 'Reminder marked as sent' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== END PLEDGES API ====================
 
-  db.get(`
-    SELECT d.*, c.title as campaign_title 
-    FROM donations d 
-    LEFT JOIN campaigns c ON d.campaign_id = c.id 
-    WHERE d.id = ?
-  `, [id], (err, donation) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!donation) return res.status(404).json({ error: 'Donation not found' });
+// ==================== DONORS API ====================
 
-    // Update donation status to approved
-    db.run(`
-      UPDATE donations 
-      SET status = 'approved', verified_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
-    `, [id], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
+// Link a freshly recorded donation to its donor in the background, like screening
+function linkSubmittedDonor(source, donationId) {
+  linkDonation(promisePool, source, donationId)
+    .catch(err => console.error(`[Donors] Failed to link ${source} #${donationId}:`, err));
+}
 
-      // Notify the donor if they have a volunteer_id
-      if (donation.volunteer_id) {
-        createNotification(donation.volunteer_id, 'donation_approved',
-          `Your donation of ৳${donation.amount} to "${donation.campaign_title}" has been approved. Thank you for your contribution!`, {
-            data: { 
-              donationId: donation.id, 
-              campaignId: donation.campaign_id,
-              amount: donation.amount 
-            },
-            priority: 'normal'
-        }).catch(console.error);
-      }
-      
-      // Notify referrer if exists
-      if (donation.referrer_id) {
-        createNotification(donation.referrer_id, 'referral_donation_approved',
-          `A donation of ৳${donation.amount} you referred to "${donation.campaign_title}" has been approved!`, {
-            data: { 
-              donationId: donation.id, 
-              campaignId: donation.campaign_id,
-              amount: donation.amount,
-              donorName: donation.donor_name
-            },
-            priority: 'normal'
-        }).catch(console.error);
-      }
-      
-      // Log the approval action
-      db.run(`
-        INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, ['donation_approved', `Approved donation of ৳${donation.amount}`, donation.volunteer_id || 0, id, 'donation', 
-          JSON.stringify({ donationId: id, amount: donation.amount, campaignId: donation.campaign_id })]);
+// Reviewers and donor managers may see who gave anonymously
+async function canSeeAnonymousDonors(req) {
+  if (!req.volunteer) return false;
+  if (SUPER_ADMIN_IDS.includes(req.volunteer.id)) return true;
+  const permissions = await getEffectivePermissions(req.volunteer.id);
+  return permissions['donations.review'] === true || permissions['donors.manage'] === true;
+}
 
-      res.json({ message: 'Donation approved successfully' });
-    });
+// Columns of the donation lists that identify the donor or the volunteer who recorded the gift
+const DONOR_IDENTITY_FIELDS = [
+  'donor_id', 'phone_number', 'volunteer_id', 'volunteer_name', 'avatar', 'volunteer_avatar',
+  'donor_volunteer_name', 'donor_avatar', 'donor_name_display'
+];
+
+// Hide who gave a donation marked anonymous, or given by a donor who wants all gifts anonymous
+function maskAnonymousDonation(donation, reveal = false) {
+  const { donor_prefers_anonymous, ...rest } = donation;
+  if (reveal || !(rest.is_anonymous || donor_prefers_anonymous)) return rest;
+  const masked = { ...rest, donor_name: 'Anonymous', is_anonymous: 1 };
+  DONOR_IDENTITY_FIELDS.forEach(field => {
+    if (field in masked) masked[field] = null;
   });
-});
+  return masked;
+}
 
-// Reject a donation
-app.post('/api/donations/:id/reject', (req, res) => {
-  const { id } = req.params;
+// Contacts and lifetime giving for a page of donors
+async function withDonorDetails(donors) {
+  const ids = donors.map(donor => donor.id);
+  if (!ids.length) return [];
+  const [contacts] = await promisePool.query(
+    'SELECT id, donor_id, kind, value, label FROM donor_contacts WHERE donor_id IN (?) ORDER BY kind, id',
+    [ids]
+  );
+  const giving = await getLifetimeGiving(promisePool, ids);
+  return donors.map(donor => ({
+    ...donor,
+    contacts: contacts.filter(contact => contact.donor_id === donor.id),
+    lifetime: giving.get(donor.id)
+  }));
+}
 
-  db.get('SELECT * FROM donations WHERE id = ?', [id], (err, donation) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!donation) return res.status(404).json({ error: 'Donation not found' });
+// [{ source, id }] from a request body, or a 400
+function parseDonationRefs(donations) {
+  if (!Array.isArray(donations)) throw ledgerError('donations must be a list of { source, id }');
+  return donations.map(({ source, id }) => {
+    if (!DONATION_SOURCES[source] || !parseInt(id)) {
+      throw ledgerError(`Unknown donation ${source} #${id}; source must be one of ${Object.keys(DONATION_SOURCES).join(', ')}`);
+    }
+    return { source, id: parseInt(id) };
+  });
+}
 
-    // Update donation status to rejected and reduce campaign raised amount
-    db.run(`
-      UPDATE donations 
-      SET status = 'rejected', verified_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
-    `, [id], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
+// Donors with their contacts and lifetime giving (?search=name, phone or email&status=active|merged)
+app.get('/api/donors', async (req, res) => {
+  const { search, status = 'active' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+  const conditions = ['dn.status = ?'];
+  const params = [status];
 
-      // Reduce campaign raised amount
-      db.run(`
-        UPDATE campaigns 
-        SET raised = COALESCE(raised, 0) - ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = ?
-      `, [donation.amount, donation.campaign_id], (updateErr) => {
-        if (updateErr) {
-          console.error('Failed to update campaign raised amount after rejection:', updateErr);
-        }
-      });
+  if (search?.trim()) {
+    const term = search.trim();
+    const contact = normalizeContact('phone', term) || term.toLowerCase();
+    conditions.push(`(dn.display_name LIKE ? OR v.full_name LIKE ?
+      OR dn.id IN (SELECT donor_id FROM donor_contacts WHERE value LIKE ?))`);
+    params.push(`%${term}%`, `%${term}%`, `%${contact}%`);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
 
-      res.json({ message: 'Donation rejected' });
-    });
-  });
+  try {
+    const [donors] = await promisePool.query(`
+      SELECT dn.*, v.full_name as volunteer_name, v.avatar as volunteer_avatar
+      FROM donors dn
+      LEFT JOIN volunteers v ON v.id = dn.volunteer_id
+      ${where}
+      ORDER BY dn.updated_at DESC, dn.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+    const [[{ total }]] = await promisePool.query(`
+      SELECT COUNT(*) as total
+      FROM donors dn
+      LEFT JOIN volunteers v ON v.id = dn.volunteer_id
+      ${where}
+    `, params);
+
+    res.json({ donors: await withDonorDetails(donors), total, limit, offset });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Get donations for a campaign (including all statuses for admin view)
-app.get('/api/campaigns/:id/donations/all', (req, res) => {
-  const { id } = req.params;
-  
-  db.all(`
-    SELECT 
-      d.*,
-      v.full_name as volunteer_name,
-      v.avatar
-    FROM donations d
-    LEFT JOIN volunteers v ON d.volunteer_id = v.id
-    WHERE d.campaign_id = ?
-    ORDER BY 
-      CASE WHEN d.status = 'pending' THEN 1 
-           WHEN d.status = 'approved' THEN 2 
-           WHEN d.status = 'rejected' THEN 3 
-           ELSE 4 END,
-      d.created_at DESC
-  `, [id], (err, donations) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(donations || []);
-  });
+// Donors that look like the same person, to merge or leave apart
+app.get('/api/donors/duplicates', async (req, res) => {
+  try {
+    const candidates = await findDuplicateCandidates(promisePool, {
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    const ids = [...new Set(candidates.flatMap(candidate => candidate.donor_ids))];
+    const [donors] = ids.length
+      ? await promisePool.query(`
+          SELECT dn.id, dn.display_name, dn.volunteer_id, v.full_name as volunteer_name
+          FROM donors dn
+          LEFT JOIN volunteers v ON v.id = dn.volunteer_id
+          WHERE dn.id IN (?)
+        `, [ids])
+      : [[]];
+    const details = await withDonorDetails(donors);
+
+    res.json(candidates.map(candidate => ({
+      ...candidate,
+      donors: candidate.donor_ids.map(id => details.find(donor => donor.id === id))
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Get donations for a campaign
-app.get('/api/campaigns/:id/donations', (req, res) => {
-  const { id } = req.params;
-  
-  db.all(`
-    SELECT 
-      d.*,
-      v.full_name as volunteer_name,
-      v.avatar
-    FROM donations d
-    LEFT JOIN volunteers v ON d.volunteer_id = v.id
-    WHERE d.campaign_id = ? AND d.status = 'approved'
-    ORDER BY d.created_at DESC
-  `, [id], (err, donations) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(donations || []);
-  });
+// Link every donation that has no donor yet (run once after upgrading, safe to repeat)
+app.post('/api/donors/link-donations', async (req, res) => {
+  try {
+    const summary = await linkUnlinkedDonations(promisePool);
+    console.log('[Donors] Linked existing donations:', JSON.stringify(summary));
+    res.json(summary);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Get all donations for website transparency page
-app.get('/api/donations/all', (req, res) => {
-  const query = `
-    SELECT d.*, c.title as campaign_title, c.wing as campaign_wing, v.full_name as volunteer_name
-    FROM donations d
-    LEFT JOIN campaigns c ON d.campaign_id = c.id
-    LEFT JOIN volunteers v ON d.volunteer_id = v.id
-    ORDER BY d.created_at DESC
-  `
-  
-  db.all(query, [], (err, donations) => {
-    if (err) {
-      console.error('Database error:', err)
-      res.status(500).json({ error: 'Failed to fetch donations' })
-      return
+// The signed-in volunteer's own donor record and giving history
+app.get('/api/donor-profile', async (req, res) => {
+  try {
+    const [donors] = await promisePool.query(
+      "SELECT id FROM donors WHERE volunteer_id = ? AND status = 'active'",
+      [req.volunteer.id]
+    );
+    if (!donors.length) {
+      return res.status(404).json({ error: 'No donations are linked to your account yet' });
     }
-    
-    // Calculate total approved donations amount
-    const totalDonations = donations
-      .filter(d => d.status === 'approved')
-      .reduce((sum, d) => sum + d.amount, 0)
-    
-    res.json({
-      donations,
-      totalDonations
-    })
-  })
-})
-
-// Submit a new donation
-app.post('/api/donations', (req, res) => {
-  console.log('[DEBUG] Donation endpoint hit');
-  console.log('[DEBUG] Request body:', req.body);
-  
-  const { 
-    campaignId, 
-    donorName, 
-    phoneNumber, 
-    amount, 
-    paymentMethod, 
-    transactionId, 
-    isAnonymous,
-    volunteerId,
-    referrerId
-  } = req.body;
+    res.json(await getDonorProfile(promisePool, donors[0].id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  // Validate required fields
-  if (!campaignId || !amount || !paymentMethod || !transactionId) {
-    return res.status(400).json({ error: 'Missing required fields' });
+// Set the signed-in volunteer's donor preferences ({ prefersAnonymous, displayName })
+app.put('/api/donor-profile', async (req, res) => {
+  const { prefersAnonymous, displayName } = req.body;
+  try {
+    const donorId = await withTransaction(async (conn) => {
+      const id = await ensureVolunteerDonor(conn, req.volunteer.id);
+      if (prefersAnonymous !== undefined) {
+        await conn.query('UPDATE donors SET prefers_anonymous = ? WHERE id = ?', [prefersAnonymous ? 1 : 0, id]);
+      }
+      if (displayName?.trim()) {
+        await conn.query('UPDATE donors SET display_name = ? WHERE id = ?', [displayName.trim(), id]);
+      }
+      return id;
+    });
+    res.json(await getDonorProfile(promisePool, donorId));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+});
 
-  if (!isAnonymous && !donorName?.trim()) {
-    return res.status(400).json({ error: 'Donor name is required for non-anonymous donations' });
+// Get a donor with contacts, lifetime giving and every donation across campaigns, direct aid and wings
+app.get('/api/donors/:id', async (req, res) => {
+  try {
+    const donor = await getDonorProfile(promisePool, req.params.id);
+    if (!donor) return res.status(404).json({ error: 'Donor not found' });
+
+    const [log] = await promisePool.query(`
+      SELECT l.*, v.full_name as performed_by_name
+      FROM donor_merge_log l
+      LEFT JOIN volunteers v ON v.id = l.performed_by
+      WHERE l.donor_id = ? OR FIND_IN_SET(?, l.other_donor_ids)
+      ORDER BY l.created_at DESC
+    `, [donor.id, donor.id]);
+    res.json({ ...donor, merge_log: log.map(entry => ({ ...entry, details: parseJsonField(entry.details, {}) })) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  // Insert donation record
-  db.run(`
-    INSERT INTO donations (
-      campaign_id, donor_name, phone_number, amount, payment_method, 
-      transaction_id, is_anonymous, volunteer_id, referrer_id, status, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
-  `, [
-    campaignId, 
-    isAnonymous ? 'Anonymous' : donorName, 
-    phoneNumber, 
-    amount, 
-    paymentMethod, 
-    transactionId, 
-    isAnonymous ? 1 : 0,
-    volunteerId || null,
-    referrerId || null
-  ], function(err) {
-    if (err) {
-      console.error('Failed to insert donation:', err);
-      return res.status(500).json({ error: 'Failed to record donation' });
-    }
+// Update a donor: { displayName, notes, prefersAnonymous, volunteerId, addContacts: [{ kind, value, label }],
+// removeContactIds: [id] }
+app.put('/api/donors/:id', async (req, res) => {
+  const { displayName, notes, prefersAnonymous, volunteerId, addContacts = [], removeContactIds = [] } = req.body;
+  try {
+    await withTransaction(async (conn) => {
+      const [donors] = await conn.query('SELECT * FROM donors WHERE id = ? FOR UPDATE', [req.params.id]);
+      const donor = donors[0];
+      if (!donor) throw ledgerError('Donor not found', 404);
+      if (donor.status !== 'active') throw ledgerError(`Donor was merged into #${donor.merged_into}`, 409);
+
+      const updates = Object.entries({
+        display_name: displayName === undefined ? undefined : displayName?.trim() || null,
+        notes,
+        prefers_anonymous: prefersAnonymous === undefined ? undefined : (prefersAnonymous ? 1 : 0),
+        volunteer_id: volunteerId === undefined ? undefined : volunteerId || null
+      }).filter(([, value]) => value !== undefined);
+
+      if (volunteerId) {
+        const [volunteers] = await conn.query('SELECT id FROM volunteers WHERE id = ?', [volunteerId]);
+        if (!volunteers.length) throw ledgerError('Volunteer not found', 404);
+        const [linked] = await conn.query('SELECT id FROM donors WHERE volunteer_id = ? AND id <> ?', [volunteerId, donor.id]);
+        if (linked.length) {
+          throw ledgerError(`That volunteer account already belongs to donor #${linked[0].id}; merge the two instead`, 409);
+        }
+      }
+      if (updates.length) {
+        await conn.query(
+          `UPDATE donors SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...updates.map(([, value]) => value), donor.id]
+        );
+      }
 
-    // Update campaign raised amount (pending verification)
-    db.run(`
-      UPDATE campaigns 
-      SET raised = COALESCE(raised, 0) + ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
-    `, [amount, campaignId], (updateErr) => {
-      if (updateErr) {
-        console.error('Failed to update campaign raised amount:', updateErr);
+      if (removeContactIds.length) {
+        await conn.query('DELETE FROM donor_contacts WHERE donor_id = ? AND id IN (?)', [donor.id, removeContactIds]);
+      }
+      for (const { kind, value, label } of addContacts) {
+        const key = normalizeContact(kind, value);
+        if (!key) throw ledgerError(`${value} is not a valid ${kind}`);
+        const [owners] = await conn.query('SELECT donor_id FROM donor_contacts WHERE kind = ? AND value = ?', [kind, key]);
+        if (owners.length && owners[0].donor_id !== donor.id) {
+          throw ledgerError(`${kind} ${value} already belongs to donor #${owners[0].donor_id}; merge the two instead`, 409);
+        }
+        if (owners.length) {
+          await conn.query('UPDATE donor_contacts SET label = ? WHERE kind = ? AND value = ?', [label || null, kind, key]);
+        } else {
+          await addDonorContact(conn, donor.id, kind, key, label || null);
+        }
       }
     });
+    res.json(await getDonorProfile(promisePool, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    res.json({ 
-      id: this.lastID, 
-      message: 'Donation recorded successfully. It will be verified soon.',
-      status: 'pending'
-    });
-  });
+// Merge other donors into this one ({ donorIds }); their donations and contacts move over
+app.post('/api/donors/:id/merge', async (req, res) => {
+  const { donorIds } = req.body;
+  if (!Array.isArray(donorIds) || !donorIds.length) {
+    return res.status(400).json({ error: 'donorIds must list the donors to merge into this one' });
+  }
+
+  try {
+    await withTransaction(conn => mergeDonors(conn, req.params.id, donorIds, req.volunteer.id));
+    res.json(await getDonorProfile(promisePool, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Verify/approve a donation (admin only)
-app.post('/api/donations/:id/verify', (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body; // 'verified' or 'rejected'
+// Split donations and contacts off into a new donor
+// ({ donations: [{ source, id }], contacts: [{ kind, value }], displayName, volunteerId })
+app.post('/api/donors/:id/split', async (req, res) => {
+  const { donations = [], contacts = [], displayName, volunteerId } = req.body;
+  try {
+    const donationRefs = parseDonationRefs(donations);
+    const newDonorId = await withTransaction(conn => splitDonor(conn, req.params.id, {
+      donations: donationRefs,
+      contacts,
+      displayName: displayName?.trim() || null,
+      volunteerId: volunteerId || null
+    }, req.volunteer.id));
+    res.status(201).json(await getDonorProfile(promisePool, newDonorId));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  db.run(`
-    UPDATE donations 
-    SET status = ?, verified_at = CURRENT_TIMESTAMP 
-    WHERE id = ?
-  `, [status, id], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    if (this.changes === 0) return res.status(404).json({ error: 'Donation not found' });
-
-    // If verified, update referrer's collected amount and points
-    if (status === 'verified') {
-      db.get('SELECT referrer_id, amount FROM donations WHERE id = ?', [id], (err2, donation) => {
-        if (!err2 && donation && donation.referrer_id) {
-          // Update referrer's total_collected and donation_points
-          const points = Math.floor(donation.amount / 100); // 1 point per 100 taka collected
-          db.run(`
-            UPDATE volunteers 
-            SET total_collected = COALESCE(total_collected, 0) + ?,
-                donation_points = COALESCE(donation_points, 0) + ?
-            WHERE id = ?
-          `, [donation.amount, points, donation.referrer_id]);
-        }
-      });
-    }
+// Move donations onto this donor, e.g. ones without a phone number that could not be linked
+// ({ donations: [{ source, id }] })
+app.post('/api/donors/:id/donations', async (req, res) => {
+  try {
+    const donationRefs = parseDonationRefs(req.body.donations || []);
+    await withTransaction(conn => assignDonations(conn, req.params.id, donationRefs, req.volunteer.id));
+    res.json(await getDonorProfile(promisePool, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== END DONORS API ====================
+
+// ==================== GIVING STATEMENTS API ====================
+
+// Fiscal year of a request (?year=2025-26), the current one when none is given
+const givingStatementPeriod = (year) => parseFiscalYear(
+  year || fiscalYearOf(new Date(), receiptSettings.fiscalYearStartMonth),
+  receiptSettings.fiscalYearStartMonth
+);
+
+// Public download link of a giving statement
+const givingStatementUrl = (record, req = null) =>
+  `${req ? paymentBaseUrl(req) : PUBLIC_API_URL}/api/public/giving-statements/${record.public_token}`;
 
-    res.json({ message: `Donation ${status} successfully` });
+// Build a donor's statement for the year and record it, so it has a download link
+async function issueGivingStatement(donorId, period, generatedBy = null) {
+  const statement = await buildGivingStatement(promisePool, donorId, period);
+  const record = await saveGivingStatement(promisePool, {
+    donorId: statement.donor.id,
+    fiscalYear: statement.fiscalYear,
+    total: statement.total,
+    giftCount: statement.giftCount,
+    generatedBy
   });
-});
+  return { statement, record };
+}
 
-// Public donation endpoint (no login required, with referrer)
-app.post('/api/public/donate', (req, res) => {
-  const { 
-    campaignId, 
-    directAidId,
-    donationType,
-    donorName, 
-    phoneNumber, 
-    amount, 
-    paymentMethod, 
-    transactionId, 
-    isAnonymous,
-    referrerId
-  } = req.body;
+async function renderGivingStatement(statement, record, req = null) {
+  const organization = await loadOrganizationDetails(promisePool);
+  return Buffer.from(await renderGivingStatementPdf(statement, {
+    organization,
+    verifyUrl: givingStatementUrl(record, req)
+  }));
+}
 
-  // Validate required fields
-  if ((!campaignId && !directAidId) || !amount || !paymentMethod || !transactionId) {
-    return res.status(400).json({ error: 'Missing required fields' });
+// Answer with the statement as JSON (with its link) or as a PDF download (?format=json|pdf)
+async function sendGivingStatement(req, res, { statement, record }) {
+  if (req.query.format === 'json') {
+    return res.json({ ...statement, url: givingStatementUrl(record, req) });
   }
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="giving-statement-${statement.fiscalYear}-${statement.donor.id}.pdf"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(await renderGivingStatement(statement, record, req));
+}
 
-  if (!isAnonymous && !donorName?.trim()) {
-    return res.status(400).json({ error: 'Donor name is required for non-anonymous donations' });
+// A donor's giving statement for a fiscal year (?year=2025-26&format=pdf|json)
+app.get('/api/donors/:id/giving-statement', async (req, res) => {
+  try {
+    const period = givingStatementPeriod(req.query.year);
+    await sendGivingStatement(req, res, await issueGivingStatement(req.params.id, period, req.volunteer.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// A volunteer's own giving statement (?year=2025-26&format=pdf|json); donor managers may fetch anyone's
+app.get('/api/volunteers/:id/donations/statement', async (req, res) => {
+  const volunteerId = parseInt(req.params.id);
+  try {
+    if (volunteerId !== req.volunteer.id && !SUPER_ADMIN_IDS.includes(req.volunteer.id) &&
+        (await getEffectivePermissions(req.volunteer.id))['donors.manage'] !== true) {
+      return res.status(403).json({ error: 'You can only download your own giving statement' });
+    }
+    const [donors] = await promisePool.query(
+      "SELECT id FROM donors WHERE volunteer_id = ? AND status = 'active'",
+      [volunteerId]
+    );
+    if (!donors.length) {
+      return res.status(404).json({ error: 'No donations are linked to this account yet' });
+    }
+    const period = givingStatementPeriod(req.query.year);
+    await sendGivingStatement(req, res, await issueGivingStatement(donors[0].id, period, req.volunteer.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+});
 
-  // Insert donation record
-  db.run(`
-    INSERT INTO donations (
-      campaign_id, direct_aid_id, donation_type, donor_name, phone_number, amount, payment_method, 
-      transaction_id, is_anonymous, referrer_id, status, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
-  `, [
-    campaignId || null, 
-    directAidId || null,
-    donationType || 'campaign',
-    isAnonymous ? 'Anonymous' : donorName, 
-    phoneNumber, 
-    amount, 
-    paymentMethod, 
-    transactionId, 
-    isAnonymous ? 1 : 0,
-    referrerId || null
-  ], function(err) {
-    if (err) {
-      console.error('Failed to insert public donation:', err);
-      return res.status(500).json({ error: 'Failed to record donation' });
+// Generate the statement of every donor who gave in a fiscal year and tell those with an account
+// ({ year, notify = true })
+app.post('/api/giving-statements/batch', async (req, res) => {
+  const notify = req.body.notify !== false;
+  try {
+    const period = givingStatementPeriod(req.body.year);
+    const donors = await findDonorsWithGiving(promisePool, period);
+    const statements = [];
+    let notified = 0;
+
+    for (const { donorId } of donors) {
+      const { statement, record } = await issueGivingStatement(donorId, period, req.volunteer.id);
+      const url = givingStatementUrl(record, req);
+      statements.push({
+        donor_id: donorId,
+        name: statement.donor.name,
+        volunteer_id: statement.donor.volunteer_id,
+        total: statement.total,
+        gift_count: statement.giftCount,
+        url
+      });
+
+      if (notify && statement.donor.volunteer_id) {
+        createNotification(statement.donor.volunteer_id, 'giving_statement',
+          `Your giving statement for fiscal year ${statement.fiscalYear} is ready: ৳${statement.total} across ${statement.giftCount} gift${statement.giftCount === 1 ? '' : 's'}. Thank you!`, {
+            title: 'Annual giving statement',
+            data: { fiscalYear: statement.fiscalYear, url },
+            priority: 'normal'
+        }).catch(console.error);
+        notified++;
+      }
     }
 
-    res.json({ 
-      id: this.lastID, 
-      message: 'Thank you! Your donation has been recorded and will be verified soon.',
-      status: 'pending'
-    });
-  });
+    res.json({ fiscalYear: period.fiscalYear, generated: statements.length, notified, statements });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Get campaign/direct aid info for public donation page
-app.get('/api/public/campaign/:id', (req, res) => {
-  const { id } = req.params;
-  db.get(`
-    SELECT c.*, v.full_name as host_name, v.avatar as host_avatar
-    FROM campaigns c
-    LEFT JOIN volunteers v ON c.host_id = v.id
-    WHERE c.id = ? AND c.status = 'Active'
-  `, [id], (err, campaign) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
-    res.json(campaign);
-  });
+// Generated statements of a fiscal year (?year=2025-26)
+app.get('/api/giving-statements', async (req, res) => {
+  try {
+    const period = givingStatementPeriod(req.query.year);
+    const [records] = await promisePool.query(`
+      SELECT gs.*, COALESCE(dn.display_name, v.full_name) as donor_name, dn.volunteer_id, dn.prefers_anonymous,
+        g.full_name as generated_by_name
+      FROM giving_statements gs
+      JOIN donors dn ON dn.id = gs.donor_id
+      LEFT JOIN volunteers v ON v.id = dn.volunteer_id
+      LEFT JOIN volunteers g ON g.id = gs.generated_by
+      WHERE gs.fiscal_year = ?
+      ORDER BY gs.total DESC
+    `, [period.fiscalYear]);
+    res.json(records.map(({ public_token, ...record }) => ({
+      ...record,
+      total: Number(record.total),
+      url: givingStatementUrl({ public_token }, req)
+    })));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-app.get('/api/public/direct-aid/:id', (req, res) => {
-  const { id } = req.params;
-  db.get(`
-    SELECT da.*, v.full_name as requester_name, v.avatar as requester_avatar
-    FROM direct_aids da
-    LEFT JOIN volunteers v ON da.requester_id = v.id
-    WHERE da.id = ? AND da.status = 'active'
-  `, [id], (err, aid) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!aid) return res.status(404).json({ error: 'Direct aid not found' });
-    res.json(aid);
-  });
+// Every donor's statement of a fiscal year as PDFs in one ZIP (?year=2025-26), e.g. for printing
+app.get('/api/giving-statements/archive', async (req, res) => {
+  try {
+    const period = givingStatementPeriod(req.query.year);
+    const files = {};
+    for (const { donorId } of await findDonorsWithGiving(promisePool, period)) {
+      const { statement, record } = await issueGivingStatement(donorId, period, req.volunteer.id);
+      const name = statement.donor.name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'donor';
+      files[`giving-statement-${period.fiscalYear}-${donorId}-${name}.pdf`] = await renderGivingStatement(statement, record, req);
+    }
+    if (!Object.keys(files).length) {
+      return res.status(404).json({ error: `No approved gifts were recorded in fiscal year ${period.fiscalYear}` });
+    }
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="giving-statements-${period.fiscalYear}.zip"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(buildZip(files));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Get referrer info for public donation page
-app.get('/api/public/referrer/:id', (req, res) => {
-  const { id } = req.params;
-  db.get(`
-    SELECT id, full_name, avatar, wing, position
-    FROM volunteers WHERE id = ?
-  `, [id], (err, volunteer) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!volunteer) return res.status(404).json({ error: 'Referrer not found' });
-    res.json(volunteer);
-  });
+// Download a giving statement by its unguessable token (no login required)
+app.get('/api/public/giving-statements/:token', async (req, res) => {
+  try {
+    const [records] = await promisePool.query(
+      'SELECT * FROM giving_statements WHERE public_token = ?',
+      [req.params.token]
+    );
+    const record = records[0];
+    if (!record) return res.status(404).json({ error: 'Giving statement not found' });
+
+    const statement = await buildGivingStatement(promisePool, record.donor_id, parseFiscalYear(
+      record.fiscal_year,
+      receiptSettings.fiscalYearStartMonth
+    ));
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="giving-statement-${statement.fiscalYear}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(await renderGivingStatement(statement, record, req));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
+// ==================== END GIVING STATEMENTS API ====================
+
 // Get user's donation stats
 app.get('/api/volunteers/:id/donation-stats', (req, res) => {
   const { id } = req.params;
@@ -5138,7 +9170,8 @@ app.get('/api/statistics', (req, res) => {
 
 // Get monthly leaderboard with pagination
 app.get('/api/leaderboard', (req, res) => {
-  const { month, year, limit = 20, offset = 0, userId } = req.query;
+  const { month, year, limit = 20, offset = 0 } = req.query;
+  const userId = req.volunteer.id;
   
   // Get current month/year if not specified
   const now = new Date();
@@ -5171,7 +9204,7 @@ app.get('/api/leaderboard', (req, res) => {
         COALESCE((
           SELECT SUM(amount) 
           FROM donations d 
-          WHERE (d.donor_name = v.full_name OR d.volunteer_id = v.id)
+          WHERE (d.volunteer_id = v.id OR (d.is_anonymous = 0 AND d.donor_id = (SELECT dn.id FROM donors dn WHERE dn.volunteer_id = v.id)))
           AND d.status = 'approved'
           AND d.created_at >= ? AND d.created_at < ?
         ), 0) as monthly_donations,
@@ -5189,7 +9222,7 @@ app.get('/api/leaderboard', (req, res) => {
           AND a.created_at >= ? AND a.created_at < ?
         ), 0) as monthly_referrals,
         COALESCE((
-          SELECT SUM(ct.hours) 
+          SELECT SUM(ct.rewarded_hours) 
           FROM campaign_team ct 
           INNER JOIN campaigns c ON ct.campaign_id = c.id
           WHERE ct.volunteer_id = v.id 
@@ -5202,7 +9235,7 @@ app.get('/api/leaderboard', (req, res) => {
           COALESCE((
             SELECT SUM(amount) 
             FROM donations d 
-            WHERE (d.donor_name = v.full_name OR d.volunteer_id = v.id)
+            WHERE (d.volunteer_id = v.id OR (d.is_anonymous = 0 AND d.donor_id = (SELECT dn.id FROM donors dn WHERE dn.volunteer_id = v.id)))
             AND d.status = 'approved'
             AND d.created_at >= ? AND d.created_at < ?
           ), 0) * 0.1
@@ -5219,7 +9252,7 @@ app.get('/api/leaderboard', (req, res) => {
         COALESCE(v.respect_points, 0) + COALESCE(v.points, 0) + COALESCE(v.donation_points, 0) +
         (
           COALESCE((
-            SELECT SUM(ct.hours) 
+            SELECT SUM(ct.rewarded_hours) 
             FROM campaign_team ct 
             INNER JOIN campaigns c ON ct.campaign_id = c.id
             WHERE ct.volunteer_id = v.id 
@@ -5285,7 +9318,7 @@ app.get('/api/leaderboard', (req, res) => {
         COALESCE((
           SELECT SUM(amount) 
           FROM donations d 
-          WHERE (d.donor_name = v.full_name OR d.volunteer_id = v.id)
+          WHERE (d.volunteer_id = v.id OR (d.is_anonymous = 0 AND d.donor_id = (SELECT dn.id FROM donors dn WHERE dn.volunteer_id = v.id)))
           AND d.status = 'approved'
           AND d.created_at >= ? AND d.created_at < ?
         ), 0) as monthly_donations,
@@ -5296,7 +9329,7 @@ app.get('/api/leaderboard', (req, res) => {
           AND a.created_at >= ? AND a.created_at < ?
         ), 0) as monthly_referrals,
         COALESCE((
-          SELECT SUM(ct.hours) 
+          SELECT SUM(ct.rewarded_hours) 
           FROM campaign_team ct 
           INNER JOIN campaigns c ON ct.campaign_id = c.id
           WHERE ct.volunteer_id = v.id 
@@ -5311,13 +9344,13 @@ app.get('/api/leaderboard', (req, res) => {
         (COALESCE((
           SELECT SUM(amount) 
           FROM donations d 
-          WHERE (d.donor_name = v.full_name OR d.volunteer_id = v.id)
+          WHERE (d.volunteer_id = v.id OR (d.is_anonymous = 0 AND d.donor_id = (SELECT dn.id FROM donors dn WHERE dn.volunteer_id = v.id)))
           AND d.status = 'approved'
           AND d.created_at >= ? AND d.created_at < ?
         ), 0) * 0.1) +
         (COALESCE(v.respect_points, 0) + COALESCE(v.points, 0)) +
         (COALESCE((
-          SELECT SUM(ct.hours) 
+          SELECT SUM(ct.rewarded_hours) 
           FROM campaign_team ct 
           INNER JOIN campaigns c ON ct.campaign_id = c.id
           WHERE ct.volunteer_id = v.id 
@@ -5492,7 +9525,8 @@ const createNotification = async (userId, type, message, options = {}) => {
       actorName = null,
       actorAvatar = null,
       priority = 'normal',
-      expiresAt = null
+      expiresAt = null,
+      push = true
     } = options;
 
     db.run(`
@@ -5514,7 +9548,21 @@ const createNotification = async (userId, type, message, options = {}) => {
         console.error('Failed to create notification:', err);
         reject(err);
       } else {
-        resolve(this.lastID);
+        const notificationId = this.lastID;
+        publishToUsers([userId], 'notification', {
+          id: notificationId, user_id: userId, type, title, message, data,
+          actor_id: actorId, actor_name: actorName, actor_avatar: actorAvatar,
+          priority, is_read: 0, created_at: new Date().toISOString()
+        });
+        // Deliver to the user's devices in the background; the in-app record is already saved
+        if (push) {
+          sendPushToUser(userId, type, {
+            title: title || actorName || 'UYHO',
+            body: actorName && !title ? `${actorName} ${message}` : message,
+            data: { ...(typeof data === 'object' && data ? data : {}), notificationId, type }
+          }).catch(pushErr => console.error('[Push] Delivery failed:', pushErr.message));
+        }
+        resolve(notificationId);
       }
     });
   });
@@ -5546,6 +9594,9 @@ const notificationCategories = {
   'donation_received': 'donations',
   'donation_goal_reached': 'donations',
   'donation_milestone': 'donations',
+  'pledge_reminder': 'donations',
+  'campaign_overflow': 'donations',
+  'giving_statement': 'donations',
   'campaign_join_approved': 'campaigns',
   'campaign_join_rejected': 'campaigns',
   'campaign_invite': 'campaigns',
@@ -5554,6 +9605,8 @@ const notificationCategories = {
   'campaign_reminder': 'campaigns',
   'campaign_role_assigned': 'campaigns',
   'campaign_hours_logged': 'campaigns',
+  'campaign_waitlist_promoted': 'campaigns',
+  'campaign_shift_changed': 'campaigns',
   'wing_join_approved': 'wings',
   'wing_join_rejected': 'wings',
   'wing_invite': 'wings',
@@ -5579,7 +9632,7 @@ const notificationCategories = {
 };
 
 // Get notifications for a user
-app.get('/api/notifications/:userId', (req, res) => {
+app.get('/api/notifications/:userId', requireSelf('userId'), (req, res) => {
   const { userId } = req.params;
   const { limit = 20, offset = 0, unread, category, type } = req.query;
 
@@ -5646,7 +9699,7 @@ app.get('/api/notifications/:userId', (req, res) => {
 });
 
 // Get unread notification count
-app.get('/api/notifications/:userId/count', (req, res) => {
+app.get('/api/notifications/:userId/count', requireSelf('userId'), (req, res) => {
   const { userId } = req.params;
 
   db.get(`
@@ -5662,7 +9715,8 @@ app.get('/api/notifications/:userId/count', (req, res) => {
 
 // Create a notification
 app.post('/api/notifications', async (req, res) => {
-  const { userId, type, message, title, data, actorId, priority } = req.body;
+  const { userId, type, message, title, data, priority } = req.body;
+  const actorId = req.volunteer.id;
 
   if (!userId || !type || !message) {
     return res.status(400).json({ error: 'userId, type, and message are required' });
@@ -5703,7 +9757,8 @@ app.post('/api/notifications', async (req, res) => {
 
 // Create bulk notifications (for announcements, etc.)
 app.post('/api/notifications/bulk', async (req, res) => {
-  const { userIds, type, message, title, data, actorId, priority } = req.body;
+  const { userIds, type, message, title, data, priority } = req.body;
+  const actorId = req.volunteer.id;
 
   if (!userIds || !Array.isArray(userIds) || !type || !message) {
     return res.status(400).json({ error: 'userIds array, type, and message are required' });
@@ -5744,20 +9799,20 @@ app.post('/api/notifications/bulk', async (req, res) => {
   }
 });
 
-// Mark notification as read
+// Mark one of the caller's notifications as read
 app.put('/api/notifications/:notificationId/read', (req, res) => {
   const { notificationId } = req.params;
 
   db.run(`
-    UPDATE notifications SET is_read = 1 WHERE id = ?
-  `, [notificationId], function(err) {
+    UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?
+  `, [notificationId, req.volunteer.id], function(err) {
     if (err) return res.status(500).json({ error: err.message });
     res.json({ success: true });
   });
 });
 
 // Mark all notifications as read for a user
-app.put('/api/notifications/:userId/read-all', (req, res) => {
+app.put('/api/notifications/:userId/read-all', requireSelf('userId'), (req, res) => {
   const { userId } = req.params;
 
   db.run(`
@@ -5768,18 +9823,19 @@ app.put('/api/notifications/:userId/read-all', (req, res) => {
   });
 });
 
-// Delete a notification
+// Delete one of the caller's notifications
 app.delete('/api/notifications/:notificationId', (req, res) => {
   const { notificationId } = req.params;
 
-  db.run(`DELETE FROM notifications WHERE id = ?`, [notificationId], function(err) {
+  db.run(`DELETE FROM notifications WHERE id = ? AND user_id = ?`, [notificationId, req.volunteer.id], function(err) {
     if (err) return res.status(500).json({ error: err.message });
+    if (this.changes === 0) return res.status(404).json({ error: 'Notification not found' });
     res.json({ success: true });
   });
 });
 
 // Clear all notifications for a user
-app.delete('/api/notifications/:userId/clear-all', (req, res) => {
+app.delete('/api/notifications/:userId/clear-all', requireSelf('userId'), (req, res) => {
   const { userId } = req.params;
 
   db.run(`DELETE FROM notifications WHERE user_id = ?`, [userId], function(err) {
@@ -5788,23 +9844,32 @@ app.delete('/api/notifications/:userId/clear-all', (req, res) => {
   });
 });
 
-// Archive old notifications (can be called periodically)
-app.post('/api/notifications/archive-old', (req, res) => {
-  const { daysOld = 30 } = req.body;
+const NOTIFICATION_ARCHIVE_DAYS = parseInt(process.env.NOTIFICATION_ARCHIVE_DAYS) || 30;
 
-  db.run(`
-    UPDATE notifications 
-    SET is_archived = 1 
-    WHERE created_at < datetime('now', '-' || ? || ' days')
+// Archive notifications older than the given number of days. Returns how many were archived.
+async function archiveOldNotifications(daysOld) {
+  const [result] = await promisePool.query(`
+    UPDATE notifications
+    SET is_archived = 1
+    WHERE created_at < NOW() - INTERVAL ? DAY
     AND is_archived = 0
-  `, [daysOld], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ success: true, archived: this.changes });
-  });
+  `, [daysOld]);
+  return result.affectedRows;
+}
+
+// Archive old notifications now (the archive-notifications job does this every day)
+app.post('/api/notifications/archive-old', async (req, res) => {
+  const daysOld = parseInt(req.body.daysOld) || NOTIFICATION_ARCHIVE_DAYS;
+
+  try {
+    res.json({ success: true, archived: await archiveOldNotifications(daysOld) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Get notification settings for a user
-app.get('/api/notification-settings/:userId', (req, res) => {
+app.get('/api/notification-settings/:userId', requireSelf('userId'), (req, res) => {
   const { userId } = req.params;
 
   db.get(`SELECT * FROM notification_settings WHERE user_id = ?`, [userId], (err, settings) => {
@@ -5835,7 +9900,7 @@ app.get('/api/notification-settings/:userId', (req, res) => {
 });
 
 // Update notification settings
-app.put('/api/notification-settings/:userId', (req, res) => {
+app.put('/api/notification-settings/:userId', requireSelf('userId'), (req, res) => {
   const { userId } = req.params;
   const settings = req.body;
 
@@ -5945,7 +10010,7 @@ app.get('/api/access-settings', (req, res) => {
 // Save/update access settings
 app.post('/api/access-settings', (req, res) => {
   const { userId, roleType, roleId, permissions } = req.body;
-  const createdBy = req.body.createdBy || null;
+  const createdBy = req.volunteer.id;
 
   if (!userId || !permissions) {
     return res.status(400).json({ error: 'User ID and permissions are required' });
@@ -5953,21 +10018,27 @@ app.post('/api/access-settings', (req, res) => {
 
   const permissionsJson = JSON.stringify(permissions);
 
+  // Update the existing row for this user/role (role_id may be NULL, hence <=>), else insert
   db.run(`
-    INSERT INTO access_settings (user_id, role_type, role_id, permissions, created_by)
-    VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(user_id, role_type, role_id) 
-    DO UPDATE SET permissions = ?, updated_at = CURRENT_TIMESTAMP
-  `, [
-    userId, 
-    roleType || 'user', 
-    roleId || null, 
-    permissionsJson, 
-    createdBy,
-    permissionsJson
-  ], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ success: true, id: this.lastID });
+    UPDATE access_settings SET permissions = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND role_type = ? AND role_id <=> ?
+  `, [permissionsJson, userId, roleType || 'user', roleId || null], function(updateErr) {
+    if (updateErr) return res.status(500).json({ error: updateErr.message });
+    if (this.changes > 0) return res.json({ success: true });
+
+    db.run(`
+      INSERT INTO access_settings (user_id, role_type, role_id, permissions, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [
+      userId, 
+      roleType || 'user', 
+      roleId || null, 
+      permissionsJson, 
+      createdBy
+    ], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true, id: this.lastID });
+    });
   });
 });
 
@@ -5995,69 +10066,32 @@ app.get('/api/access-settings/all', (req, res) => {
 });
 
 // Check if user has a specific permission
-app.get('/api/access-settings/check', (req, res) => {
-  const { userId, permission, roleType, roleId } = req.query;
+app.get('/api/access-settings/check', async (req, res) => {
+  const { userId, permission } = req.query;
 
   if (!userId || !permission) {
     return res.status(400).json({ error: 'User ID and permission are required' });
   }
 
-  // First check user-specific permissions, then role-specific
-  db.all(`
-    SELECT permissions FROM access_settings 
-    WHERE user_id = ?
-    ORDER BY 
-      CASE WHEN role_type = 'user' THEN 0 ELSE 1 END,
-      updated_at DESC
-  `, [userId], (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-
-    let hasPermission = false;
-
-    for (const row of rows) {
-      try {
-        const perms = JSON.parse(row.permissions);
-        if (perms[permission] === true) {
-          hasPermission = true;
-          break;
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-
+  try {
+    const permissions = await getEffectivePermissions(userId, { wingId: parseInt(req.query.wingId) || null });
+    const hasPermission = permissions[permission] === true || SUPER_ADMIN_IDS.includes(parseInt(userId));
     res.json({ hasPermission });
-  });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Get all permissions for a user (combined from all their roles)
-app.get('/api/access-settings/user/:userId', (req, res) => {
+app.get('/api/access-settings/user/:userId', async (req, res) => {
   const { userId } = req.params;
 
-  db.all(`
-    SELECT permissions, role_type, role_id FROM access_settings 
-    WHERE user_id = ?
-  `, [userId], (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-
-    // Combine all permissions (any true value wins)
-    const combinedPermissions = {};
-
-    for (const row of rows) {
-      try {
-        const perms = JSON.parse(row.permissions);
-        Object.keys(perms).forEach(key => {
-          if (perms[key] === true) {
-            combinedPermissions[key] = true;
-          }
-        });
-      } catch (e) {
-        continue;
-      }
-    }
-
-    res.json({ permissions: combinedPermissions });
-  });
+  try {
+    const permissions = await getEffectivePermissions(userId);
+    res.json({ permissions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Delete access settings for a user/role
@@ -6077,6 +10111,242 @@ app.delete('/api/access-settings', (req, res) => {
   });
 });
 
+// Explain a volunteer's effective permissions (which template / setting / override granted each key)
+app.get('/api/access-settings/explain/:userId', async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const explanation = await explainPermissions(userId);
+    res.json({ ...explanation, superAdmin: SUPER_ADMIN_IDS.includes(parseInt(userId)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get per-user permission overrides
+app.get('/api/access-settings/overrides/:userId', (req, res) => {
+  const { userId } = req.params;
+
+  db.get(`SELECT permissions FROM access_settings WHERE user_id = ? AND role_type = 'override'`, [userId], (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ permissions: parseJsonField(row && row.permissions, {}) });
+  });
+});
+
+// Save per-user permission overrides ({ key: true } grants, { key: false } revokes a template grant)
+app.put('/api/access-settings/overrides/:userId', (req, res) => {
+  const { userId } = req.params;
+  const { permissions } = req.body;
+
+  if (!permissions || typeof permissions !== 'object') {
+    return res.status(400).json({ error: 'permissions object is required' });
+  }
+
+  // Only explicit booleans are meaningful; anything else means "no override"
+  const overrides = {};
+  Object.keys(permissions).forEach(key => {
+    if (typeof permissions[key] === 'boolean') overrides[key] = permissions[key];
+  });
+  const permissionsJson = JSON.stringify(overrides);
+
+  const logOverride = () => {
+    db.run(`
+      INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, ['permission_override', 'Updated permission overrides', req.volunteer.id, userId, 'volunteer', permissionsJson]);
+  };
+
+  db.run(`
+    UPDATE access_settings SET permissions = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND role_type = 'override'
+  `, [permissionsJson, userId], function(updateErr) {
+    if (updateErr) return res.status(500).json({ error: updateErr.message });
+    if (this.changes > 0) {
+      logOverride();
+      return res.json({ success: true, permissions: overrides });
+    }
+
+    db.run(`
+      INSERT INTO access_settings (user_id, role_type, role_id, permissions, created_by)
+      VALUES (?, 'override', NULL, ?, ?)
+    `, [userId, permissionsJson, req.volunteer.id], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      logOverride();
+      res.json({ success: true, permissions: overrides });
+    });
+  });
+});
+
+// ==================== PERMISSION TEMPLATES API ====================
+
+// Validate/normalize template fields from a request body
+const normalizeTemplateInput = (body) => {
+  const { name, description, permissions, positions, wingRoles, orgRoleIds } = body;
+  const validWingRoles = WING_ROLES.map(r => r.role);
+
+  if (wingRoles && !wingRoles.every(role => validWingRoles.includes(role))) {
+    return { error: `wingRoles must be one of: ${validWingRoles.join(', ')}` };
+  }
+
+  const grants = {};
+  Object.keys(permissions || {}).forEach(key => {
+    if (permissions[key] === true) grants[key] = true;
+  });
+
+  return {
+    name: name ? String(name).trim() : name,
+    description,
+    permissions: permissions ? JSON.stringify(grants) : undefined,
+    positions: positions ? JSON.stringify(positions.map(p => String(p).trim()).filter(Boolean)) : undefined,
+    wingRoles: wingRoles ? JSON.stringify(wingRoles) : undefined,
+    orgRoleIds: orgRoleIds ? JSON.stringify(orgRoleIds.map(id => parseInt(id)).filter(id => !isNaN(id))) : undefined
+  };
+};
+
+// Get all permission templates
+app.get('/api/permission-templates', (req, res) => {
+  db.all('SELECT * FROM permission_templates ORDER BY name', [], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json((rows || []).map(parsePermissionTemplate));
+  });
+});
+
+// Get volunteers a template currently applies to
+app.get('/api/permission-templates/:id/volunteers', (req, res) => {
+  const { id } = req.params;
+
+  db.get('SELECT * FROM permission_templates WHERE id = ?', [id], async (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!row) return res.status(404).json({ error: 'Template not found' });
+
+    const template = parsePermissionTemplate(row);
+
+    try {
+      const positions = [...template.positions];
+      if (template.org_role_ids.length > 0) {
+        const roles = await queryAll(
+          `SELECT title FROM organization_roles WHERE id IN (${template.org_role_ids.map(() => '?').join(',')})`,
+          template.org_role_ids
+        );
+        roles.forEach(r => positions.push(r.title));
+      }
+
+      const byPosition = positions.length > 0
+        ? await queryAll(`
+            SELECT id, full_name, avatar, position, 'position' as matched_by, NULL as wing_id
+            FROM volunteers WHERE position IN (${positions.map(() => '?').join(',')})
+          `, positions)
+        : [];
+      const byWingRole = template.wing_roles.length > 0
+        ? await queryAll(`
+            SELECT v.id, v.full_name, v.avatar, wm.role as position, 'wing_role' as matched_by, wm.wing_id
+            FROM wing_members wm
+            JOIN volunteers v ON wm.volunteer_id = v.id
+            WHERE wm.role IN (${template.wing_roles.map(() => '?').join(',')})
+          `, template.wing_roles)
+        : [];
+
+      res.json([...byPosition, ...byWingRole]);
+    } catch (queryErr) {
+      res.status(500).json({ error: queryErr.message });
+    }
+  });
+});
+
+// Create a permission template
+app.post('/api/permission-templates', (req, res) => {
+  const input = normalizeTemplateInput(req.body);
+
+  if (input.error) return res.status(400).json({ error: input.error });
+  if (!input.name || !input.permissions) {
+    return res.status(400).json({ error: 'name and permissions are required' });
+  }
+
+  db.run(`
+    INSERT INTO permission_templates (name, description, permissions, positions, wing_roles, org_role_ids, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    input.name,
+    input.description || '',
+    input.permissions,
+    input.positions || '[]',
+    input.wingRoles || '[]',
+    input.orgRoleIds || '[]',
+    req.volunteer.id
+  ], function(err) {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(400).json({ error: 'A template with this name already exists' });
+      return res.status(500).json({ error: err.message });
+    }
+
+    db.run(`
+      INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, ['template_created', `Created permission template: ${input.name}`, req.volunteer.id, this.lastID, 'permission_template', input.permissions]);
+
+    res.json({ success: true, id: this.lastID });
+  });
+});
+
+// Update a permission template
+app.put('/api/permission-templates/:id', (req, res) => {
+  const { id } = req.params;
+  const input = normalizeTemplateInput(req.body);
+
+  if (input.error) return res.status(400).json({ error: input.error });
+
+  db.run(`
+    UPDATE permission_templates SET
+      name = COALESCE(?, name),
+      description = COALESCE(?, description),
+      permissions = COALESCE(?, permissions),
+      positions = COALESCE(?, positions),
+      wing_roles = COALESCE(?, wing_roles),
+      org_role_ids = COALESCE(?, org_role_ids),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [
+    input.name || null,
+    input.description ?? null,
+    input.permissions || null,
+    input.positions || null,
+    input.wingRoles || null,
+    input.orgRoleIds || null,
+    id
+  ], function(err) {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(400).json({ error: 'A template with this name already exists' });
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) return res.status(404).json({ error: 'Template not found' });
+
+    db.run(`
+      INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, ['template_updated', 'Updated permission template', req.volunteer.id, id, 'permission_template', JSON.stringify(req.body)]);
+
+    res.json({ success: true });
+  });
+});
+
+// Delete a permission template
+app.delete('/api/permission-templates/:id', (req, res) => {
+  const { id } = req.params;
+
+  db.run('DELETE FROM permission_templates WHERE id = ?', [id], function(err) {
+    if (err) return res.status(500).json({ error: err.message });
+
+    if (this.changes > 0) {
+      db.run(`
+        INSERT INTO access_logs (action_type, action_description, actor_id, target_id, target_type, details)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, ['template_deleted', 'Deleted permission template', req.volunteer.id, id, 'permission_template', null]);
+    }
+
+    res.json({ success: true, deleted: this.changes > 0 });
+  });
+});
+
 // ==================== BUTTON ACCESS API ====================
 
 // Get all button access (returns object with buttonId as key and array of userIds as value)
@@ -6102,7 +10372,8 @@ app.get('/api/button-access', (req, res) => {
 
 // Save button access for a specific button
 app.post('/api/button-access', (req, res) => {
-  const { buttonId, userIds, updatedBy } = req.body;
+  const { buttonId, userIds } = req.body;
+  const updatedBy = req.volunteer.id;
   
   if (!buttonId) {
     return res.status(400).json({ error: 'buttonId is required' });
@@ -6222,7 +10493,8 @@ app.get('/api/access-logs', (req, res) => {
 
 // Add a new log entry
 app.post('/api/access-logs', (req, res) => {
-  const { actionType, actionDescription, actorId, targetId, targetType, details } = req.body;
+  const { actionType, actionDescription, targetId, targetType, details } = req.body;
+  const actorId = req.volunteer.id;
   
   if (!actionType || !actorId) {
     return res.status(400).json({ error: 'actionType and actorId are required' });
@@ -6247,7 +10519,8 @@ app.post('/api/access-logs', (req, res) => {
 
 // Get all courses (with optional filters)
 app.get('/api/courses', (req, res) => {
-  const { status, instructorId, userId } = req.query
+  const { status, instructorId } = req.query
+  const userId = req.volunteer.id
   
   let query = `
     SELECT 
@@ -6353,7 +10626,7 @@ app.get('/api/courses/requests/pending', (req, res) => {
 // Get single course
 app.get('/api/courses/:id', (req, res) => {
   const { id } = req.params
-  const { userId } = req.query
+  const userId = req.volunteer.id
   
   let query = `
     SELECT 
@@ -6450,11 +10723,11 @@ app.post('/api/courses', (req, res) => {
     slideFileName,
     durationHours,
     lessonsCount,
-    instructorId,
     certificateDesign,
     quizQuestions,
     lessons 
   } = req.body
+  const instructorId = req.volunteer.id
 
   if (!title || !instructorId) {
     return res.status(400).json({ error: 'Title and instructor ID are required' })
@@ -6550,7 +10823,7 @@ app.put('/api/courses/:id', (req, res) => {
 // Approve course
 app.put('/api/courses/:id/approve', (req, res) => {
   const { id } = req.params
-  const { reviewedBy } = req.body
+  const reviewedBy = req.volunteer.id
 
   db.run(`
     UPDATE courses SET
@@ -6571,7 +10844,8 @@ app.put('/api/courses/:id/approve', (req, res) => {
 // Decline course
 app.put('/api/courses/:id/decline', (req, res) => {
   const { id } = req.params
-  const { reviewedBy, reason } = req.body
+  const { reason } = req.body
+  const reviewedBy = req.volunteer.id
 
   db.run(`
     UPDATE courses SET
@@ -6593,7 +10867,7 @@ app.put('/api/courses/:id/decline', (req, res) => {
 // Enroll in course
 app.post('/api/courses/:id/enroll', (req, res) => {
   const { id } = req.params
-  const { volunteerId } = req.body
+  const volunteerId = req.volunteer.id
 
   if (!volunteerId) {
     return res.status(400).json({ error: 'Volunteer ID is required' })
@@ -6673,7 +10947,8 @@ app.get('/api/courses/:id/questions', (req, res) => {
 
 app.post('/api/courses/:id/questions', (req, res) => {
   const { id } = req.params
-  const { volunteerId, question } = req.body
+  const { question } = req.body
+  const volunteerId = req.volunteer.id
 
   if (!volunteerId || !question) {
     return res.status(400).json({ error: 'Volunteer ID and question are required' })
@@ -6694,7 +10969,7 @@ app.post('/api/courses/:id/questions', (req, res) => {
 // Get course ratings
 app.get('/api/courses/:id/ratings', (req, res) => {
   const { id } = req.params
-  const { userId } = req.query
+  const userId = req.volunteer.id
 
   // Get all ratings with volunteer info
   db.all(`
@@ -6737,7 +11012,8 @@ app.get('/api/courses/:id/ratings', (req, res) => {
 // Submit course rating
 app.post('/api/courses/:id/ratings', (req, res) => {
   const { id } = req.params
-  const { volunteerId, rating, review } = req.body
+  const { rating, review } = req.body
+  const volunteerId = req.volunteer.id
 
   if (!volunteerId || !rating) {
     return res.status(400).json({ error: 'Volunteer ID and rating are required' })
@@ -6779,7 +11055,8 @@ app.post('/api/courses/:id/ratings', (req, res) => {
 
 app.put('/api/courses/questions/:questionId/answer', (req, res) => {
   const { questionId } = req.params
-  const { answeredBy, answer } = req.body
+  const { answer } = req.body
+  const answeredBy = req.volunteer.id
 
   db.run(`
     UPDATE course_questions SET
@@ -6799,7 +11076,8 @@ app.put('/api/courses/questions/:questionId/answer', (req, res) => {
 // Update course progress
 app.put('/api/courses/:id/progress', (req, res) => {
   const { id } = req.params
-  const { volunteerId, progress, completedLessons } = req.body
+  const { progress, completedLessons } = req.body
+  const volunteerId = req.volunteer.id
 
   if (!volunteerId) {
     return res.status(400).json({ error: 'Volunteer ID is required' })
@@ -6824,7 +11102,8 @@ app.put('/api/courses/:id/progress', (req, res) => {
 // Save certificate/pass status
 app.post('/api/courses/:id/certificate', (req, res) => {
   const { id } = req.params
-  const { volunteerId, score, certificateCode } = req.body
+  const { score, certificateCode } = req.body
+  const volunteerId = req.volunteer.id
 
   if (!volunteerId) {
     return res.status(400).json({ error: 'Volunteer ID is required' })
@@ -6864,7 +11143,8 @@ app.post('/api/courses/:id/certificate', (req, res) => {
 // Save slide progress
 app.put('/api/courses/:id/slide-progress', (req, res) => {
   const { id } = req.params
-  const { volunteerId, currentSlide, totalSlides, isCompleted } = req.body
+  const { currentSlide, totalSlides, isCompleted } = req.body
+  const volunteerId = req.volunteer.id
 
   if (!volunteerId) {
     return res.status(400).json({ error: 'Volunteer ID is required' })
@@ -6949,7 +11229,8 @@ app.get('/api/certificates/validate/:code', (req, res) => {
 // Save certificate code when certificate is issued
 app.put('/api/courses/:id/certificate-code', (req, res) => {
   const { id } = req.params
-  const { volunteerId, certificateCode } = req.body
+  const { certificateCode } = req.body
+  const volunteerId = req.volunteer.id
 
   if (!volunteerId || !certificateCode) {
     return res.status(400).json({ error: 'Volunteer ID and certificate code are required' })
@@ -7176,7 +11457,8 @@ app.delete('/api/badges/:id', (req, res) => {
 
 // Award badge to multiple volunteers
 app.post('/api/badges/:badgeId/award', async (req, res) => {
-  const { volunteer_ids, awarded_by, note } = req.body
+  const { volunteer_ids, note } = req.body
+  const awarded_by = req.volunteer.id
   const { badgeId } = req.params
   
   // Support both single volunteer_id and array of volunteer_ids
@@ -7616,17 +11898,20 @@ app.get('/api/direct-aids/:id/updates', (req, res) => {
 });
 
 // Get direct aid donations (funds)
-app.get('/api/direct-aids/:id/donations', (req, res) => {
+app.get('/api/direct-aids/:id/donations', async (req, res) => {
   const { id } = req.params;
   const { status } = req.query;
+  const reveal = await canSeeAnonymousDonors(req).catch(() => false);
   
   let query = `
     SELECT 
       dad.*,
       v.full_name as donor_volunteer_name,
-      v.avatar as donor_avatar
+      v.avatar as donor_avatar,
+      COALESCE(dn.prefers_anonymous, 0) as donor_prefers_anonymous
     FROM direct_aid_donations dad
     LEFT JOIN volunteers v ON dad.volunteer_id = v.id
+    LEFT JOIN donors dn ON dn.id = dad.donor_id
     WHERE dad.direct_aid_id = ?
   `;
   
@@ -7641,12 +11926,12 @@ app.get('/api/direct-aids/:id/donations', (req, res) => {
   
   db.all(query, params, (err, donations) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(donations);
+    res.json(donations.map(donation => maskAnonymousDonation(donation, reveal)));
   });
 });
 
 // Submit a donation to direct aid
-app.post('/api/direct-aids/:id/donate', (req, res) => {
+app.post('/api/direct-aids/:id/donate', async (req, res) => {
   const { id } = req.params;
   const { 
     donorName, 
@@ -7655,8 +11940,10 @@ app.post('/api/direct-aids/:id/donate', (req, res) => {
     paymentMethod, 
     transactionId, 
     isAnonymous,
-    volunteerId
+    referrerId,
+    pledgeId
   } = req.body;
+  const volunteerId = req.volunteer.id;
 
   // Validate required fields
   if (!amount || !paymentMethod || !transactionId) {
@@ -7666,13 +11953,18 @@ app.post('/api/direct-aids/:id/donate', (req, res) => {
   if (!isAnonymous && !donorName?.trim()) {
     return res.status(400).json({ error: 'Donor name is required for non-anonymous donations' });
   }
+  try {
+    await checkDonationPledge(pledgeId, { targetType: 'direct_aid', targetId: id, phoneNumber, volunteerId });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
 
   // Insert donation record
   db.run(`
     INSERT INTO direct_aid_donations (
       direct_aid_id, donor_name, phone_number, amount, payment_method, 
-      transaction_id, is_anonymous, volunteer_id, status, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
+      transaction_id, is_anonymous, volunteer_id, referrer_id, pledge_id, status, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
   `, [
     id, 
     isAnonymous ? 'Anonymous' : donorName, 
@@ -7681,13 +11973,17 @@ app.post('/api/direct-aids/:id/donate', (req, res) => {
     paymentMethod, 
     transactionId, 
     isAnonymous ? 1 : 0,
-    volunteerId || null
+    volunteerId || null,
+    referrerId || null,
+    pledgeId || null
   ], function(err) {
     if (err) {
       console.error('Failed to insert direct aid donation:', err);
       return res.status(500).json({ error: 'Failed to record donation' });
     }
 
+    screenSubmittedDonation('direct_aid_donation', this.lastID);
+    linkSubmittedDonor('direct_aid_donation', this.lastID);
     res.json({ 
       id: this.lastID, 
       message: 'Donation recorded successfully. It will be verified soon.',
@@ -7703,96 +11999,53 @@ app.get('/api/direct-aid-donations/pending', (req, res) => {
       dad.*,
       da.title as aid_title,
       da.image as aid_image,
-      v.full_name as beneficiary_name
+      v.full_name as beneficiary_name,
+      f.id as flag_id,
+      f.risk_score,
+      f.reasons as risk_reasons
     FROM direct_aid_donations dad
     JOIN direct_aids da ON dad.direct_aid_id = da.id
     LEFT JOIN volunteers v ON da.volunteer_id = v.id
+    LEFT JOIN donation_flags f
+      ON f.donation_source = 'direct_aid_donation' AND f.donation_id = dad.id AND f.status = 'open'
     WHERE dad.status = 'pending'
     ORDER BY dad.created_at DESC
   `, [], (err, donations) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(donations);
+    res.json(donations.map(d => ({ ...d, risk_reasons: parseJsonField(d.risk_reasons, []) })));
   });
 });
 
 // Approve a direct aid donation
-app.post('/api/direct-aid-donations/:id/approve', (req, res) => {
-  const { id } = req.params;
-
-  db.get(`
-    SELECT dad.*, da.title as direct_aid_title 
-    FROM direct_aid_donations dad
-    JOIN direct_aids da ON da.id = dad.direct_aid_id
-    WHERE dad.id = ?
-  `, [id], (err, donation) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!donation) return res.status(404).json({ error: 'Donation not found' });
-
-    // Update donation status to approved
-    db.run(`
-      UPDATE direct_aid_donations 
-      SET status = 'approved', verified_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
-    `, [id], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-
-      // Update direct aid raised amount
-      db.run(`
-        UPDATE direct_aids 
-        SET raised_amount = COALESCE(raised_amount, 0) + ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = ?
-      `, [donation.amount, donation.direct_aid_id], (updateErr) => {
-        if (updateErr) {
-          console.error('Failed to update direct aid raised amount:', updateErr);
-        }
-      });
-
-      // Notify the donor about approval
-      if (donation.volunteer_id) {
-        createNotification(donation.volunteer_id, 'direct_aid_donation_approved',
-          `Your donation of ৳${donation.amount} to "${donation.direct_aid_title}" has been approved! ✅`, {
-            data: { directAidId: donation.direct_aid_id, amount: donation.amount },
-            priority: 'normal'
-        }).catch(console.error);
-      }
-
-      res.json({ message: 'Direct aid donation approved successfully' });
+app.post('/api/direct-aid-donations/:id/approve', async (req, res) => {
+  try {
+    const donation = await decideDonation(req, {
+      source: 'direct_aid_donation',
+      donationId: req.params.id,
+      status: 'approved'
     });
-  });
+    res.json({
+      message: 'Direct aid donation approved successfully',
+      receipt: receiptSummary(donation.receipt, req)
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 // Reject a direct aid donation
-app.post('/api/direct-aid-donations/:id/reject', (req, res) => {
-  const { id } = req.params;
-
-  db.get(`
-    SELECT dad.*, da.title as direct_aid_title 
-    FROM direct_aid_donations dad
-    JOIN direct_aids da ON da.id = dad.direct_aid_id
-    WHERE dad.id = ?
-  `, [id], (err, donation) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!donation) return res.status(404).json({ error: 'Donation not found' });
-
-    db.run(`
-      UPDATE direct_aid_donations 
-      SET status = 'rejected', verified_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
-    `, [id], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      
-      // Notify the donor about rejection
-      if (donation.volunteer_id) {
-        createNotification(donation.volunteer_id, 'direct_aid_donation_rejected',
-          `Your donation to "${donation.direct_aid_title}" needs attention. Please contact support.`, {
-            data: { directAidId: donation.direct_aid_id },
-            priority: 'high'
-        }).catch(console.error);
-      }
-      
-      res.json({ message: 'Direct aid donation rejected' });
+app.post('/api/direct-aid-donations/:id/reject', async (req, res) => {
+  try {
+    await decideDonation(req, {
+      source: 'direct_aid_donation',
+      donationId: req.params.id,
+      status: 'rejected',
+      note: req.body?.note || null
     });
-  });
+    res.json({ message: 'Direct aid donation rejected' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 // Get team members for a direct aid
@@ -7843,7 +12096,8 @@ app.delete('/api/direct-aids/:id/team/:volunteerId', (req, res) => {
 
 // Create a new direct aid
 app.post('/api/direct-aids', (req, res) => {
-  const { volunteerId, title, description, goalAmount, image, beneficiaryName, bio, lifeHistory, teamMembers } = req.body;
+  const { title, description, goalAmount, image, beneficiaryName, bio, lifeHistory, teamMembers } = req.body;
+  const volunteerId = req.volunteer.id;
 
   if (!volunteerId || !title || !goalAmount) {
     return res.status(400).json({ error: 'Missing required fields' });
@@ -7884,7 +12138,8 @@ app.post('/api/direct-aids', (req, res) => {
 // Add update to direct aid
 app.post('/api/direct-aids/:id/updates', (req, res) => {
   const { id } = req.params;
-  const { content, image, images, volunteerId } = req.body;
+  const { content, image, images } = req.body;
+  const volunteerId = req.volunteer.id;
 
   if (!content && !images && !image) {
     return res.status(400).json({ error: 'Content or images required' });
@@ -7937,7 +12192,8 @@ app.get('/api/announcements/:id', (req, res) => {
 
 // Create announcement
 app.post('/api/announcements', (req, res) => {
-  const { title, content, created_by, priority } = req.body;
+  const { title, content, priority } = req.body;
+  const created_by = req.volunteer.id;
   
   if (!title || !content || !created_by) {
     return res.status(400).json({ error: 'Title, content and created_by are required' });
@@ -7995,571 +12251,1966 @@ app.put('/api/announcements/:id', (req, res) => {
   });
 });
 
-// Delete announcement
-app.delete('/api/announcements/:id', (req, res) => {
+// Delete announcement
+app.delete('/api/announcements/:id', (req, res) => {
+  const { id } = req.params;
+  db.run('DELETE FROM announcements WHERE id = ?', [id], function(err) {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ message: 'Announcement deleted' });
+  });
+});
+
+// ==================== END ANNOUNCEMENTS API ====================
+
+// ==================== UMMAH FUND (TREASURY/VAULT) API ====================
+
+// Every movement of money is a balanced journal in the ledger (see ledger.js). fund_transactions
+// keeps the readable history shown in the app, one row per journal.
+
+// Record a movement of money: a fund_transactions history row plus its ledger journal
+async function recordFundMovement(conn, {
+  from,
+  to,
+  amount,
+  note = null,
+  transactionType,
+  journalType = transactionType,
+  createdBy = null,
+  referenceType = null,
+  referenceId = null,
+  donationId = null,
+  expenseId = null,
+  reversalOf = null,
+  historyFrom = from,
+  // Expenses keep their 'expense' destination in the history; in the ledger the money leaves to external
+  historyTo = transactionType === 'expense' ? { type: 'expense', id: 0 } : to
+}) {
+  const [transaction] = await conn.query(`
+    INSERT INTO fund_transactions (from_type, from_id, to_type, to_id, amount, note, transaction_type, status, created_by, donation_id, expense_id, reversal_of)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'completed', ?, ?, ?, ?)
+  `, [historyFrom.type, historyFrom.id, historyTo.type, historyTo.id, amount, note, transactionType, createdBy, donationId, expenseId, reversalOf]);
+
+  const journalId = await postTransfer(conn, {
+    from,
+    to,
+    amount,
+    journalType,
+    description: note,
+    referenceType: referenceType || 'fund_transaction',
+    referenceId: referenceId ?? transaction.insertId,
+    createdBy
+  });
+
+  await conn.query('UPDATE fund_transactions SET journal_id = ? WHERE id = ?', [journalId, transaction.insertId]);
+  return { transactionId: transaction.insertId, journalId };
+}
+
+// Post an approved donation as money coming into a fund from outside the organization
+async function postDonation(conn, { accountType, accountId, donation, referenceType, createdBy }) {
+  return recordFundMovement(conn, {
+    from: normalizeAccount('external', 0),
+    to: normalizeAccount(accountType, accountId),
+    amount: donation.amount,
+    note: `Donation from ${donation.donor_name || 'Anonymous'}`,
+    transactionType: 'deposit',
+    journalType: 'donation',
+    createdBy,
+    referenceType,
+    referenceId: donation.id,
+    donationId: donation.id
+  });
+}
+
+// Fund account with balance, total_in and total_out derived from the ledger
+async function getFundAccount(type, entityId) {
+  const account = normalizeAccount(type, entityId);
+  const { balance, totalIn, totalOut } = await getAccountBalance(promisePool, account.type, account.id);
+  const [rows] = await promisePool.query(
+    'SELECT * FROM ummah_funds WHERE entity_type = ? AND entity_id = ?',
+    [account.type, account.id]
+  );
+  return {
+    ...(rows[0] || { entity_type: account.type, entity_id: account.id }),
+    balance,
+    total_in: totalIn,
+    total_out: totalOut
+  };
+}
+
+// Get all ummah funds (vaults)
+app.get('/api/ummah-funds', (req, res) => {
+  const { type, entityId } = req.query;
+
+  let query = `
+    SELECT uf.id, uf.entity_type, uf.entity_id, uf.created_at, uf.updated_at,
+           COALESCE(l.balance, 0) as balance,
+           COALESCE(l.total_in, 0) as total_in,
+           COALESCE(l.total_out, 0) as total_out,
+           CASE
+             WHEN uf.entity_type = 'campaign' THEN c.title
+             WHEN uf.entity_type = 'wing' THEN w.name
+             WHEN uf.entity_type = 'direct_aid' THEN da.title
+             ELSE 'UYHO Central Fund'
+           END as entity_name,
+           CASE
+             WHEN uf.entity_type = 'campaign' THEN c.image
+             WHEN uf.entity_type = 'wing' THEN w.image
+             WHEN uf.entity_type = 'direct_aid' THEN da.image
+             ELSE NULL
+           END as entity_image
+    FROM ummah_funds uf
+    LEFT JOIN (
+      SELECT account_type, account_id,
+             SUM(amount) as balance,
+             SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as total_in,
+             SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END) as total_out
+      FROM ledger_entries
+      GROUP BY account_type, account_id
+    ) l ON l.account_type = uf.entity_type AND l.account_id = uf.entity_id
+    LEFT JOIN campaigns c ON uf.entity_type = 'campaign' AND uf.entity_id = c.id
+    LEFT JOIN wings w ON uf.entity_type = 'wing' AND uf.entity_id = w.id
+    LEFT JOIN direct_aids da ON uf.entity_type = 'direct_aid' AND uf.entity_id = da.id
+    WHERE 1=1
+  `;
+
+  const params = [];
+  if (type) {
+    query += ' AND uf.entity_type = ?';
+    params.push(type);
+  }
+  if (entityId) {
+    query += ' AND uf.entity_id = ?';
+    params.push(entityId);
+  }
+
+  query += ' ORDER BY balance DESC';
+
+  db.all(query, params, (err, funds) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json((funds || []).map(fund => ({
+      ...fund,
+      balance: Number(fund.balance),
+      total_in: Number(fund.total_in),
+      total_out: Number(fund.total_out)
+    })));
+  });
+});
+
+// Get central fund
+app.get('/api/ummah-funds/central', async (req, res) => {
+  try {
+    res.json(await getFundAccount('central', 0));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get fund for specific entity
+app.get('/api/ummah-funds/:type/:entityId', async (req, res) => {
+  const { type, entityId } = req.params;
+
+  try {
+    res.json(await getFundAccount(type, entityId));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get fund transactions
+app.get('/api/ummah-funds/:type/:entityId/transactions', (req, res) => {
+  const { type, entityId } = req.params;
+  const { limit = 50 } = req.query;
+  
+  db.all(`
+    SELECT ft.*,
+           v.full_name as created_by_name,
+           v.avatar as created_by_avatar,
+           CASE 
+             WHEN ft.from_type = 'campaign' THEN fc.title
+             WHEN ft.from_type = 'wing' THEN fw.name
+             WHEN ft.from_type = 'direct_aid' THEN fda.title
+             WHEN ft.from_type = 'expense' THEN 'Expense'
+             WHEN ft.from_type = 'external' THEN 'External'
+             ELSE 'UYHO Central Fund'
+           END as from_name,
+           CASE 
+             WHEN ft.to_type = 'campaign' THEN tc.title
+             WHEN ft.to_type = 'wing' THEN tw.name
+             WHEN ft.to_type = 'direct_aid' THEN tda.title
+             WHEN ft.to_type = 'expense' THEN 'Expense'
+             WHEN ft.to_type = 'external' THEN 'External'
+             ELSE 'UYHO Central Fund'
+           END as to_name,
+           (SELECT r.id FROM fund_transactions r WHERE r.reversal_of = ft.id LIMIT 1) as reversed_by_id,
+           (SELECT rr.id FROM fund_reversal_requests rr WHERE rr.transaction_id = ft.id AND rr.status = 'pending' LIMIT 1) as pending_reversal_id
+    FROM fund_transactions ft
+    LEFT JOIN volunteers v ON ft.created_by = v.id
+    LEFT JOIN campaigns fc ON ft.from_type = 'campaign' AND ft.from_id = fc.id
+    LEFT JOIN wings fw ON ft.from_type = 'wing' AND ft.from_id = fw.id
+    LEFT JOIN direct_aids fda ON ft.from_type = 'direct_aid' AND ft.from_id = fda.id
+    LEFT JOIN campaigns tc ON ft.to_type = 'campaign' AND ft.to_id = tc.id
+    LEFT JOIN wings tw ON ft.to_type = 'wing' AND ft.to_id = tw.id
+    LEFT JOIN direct_aids tda ON ft.to_type = 'direct_aid' AND ft.to_id = tda.id
+    WHERE (ft.from_type = ? AND ft.from_id = ?) OR (ft.to_type = ? AND ft.to_id = ?)
+    ORDER BY ft.created_at DESC
+    LIMIT ?
+  `, [type, entityId, type, entityId, parseInt(limit)], (err, transactions) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(transactions || []);
+  });
+});
+
+// Transfer funds between entities
+app.post('/api/ummah-funds/transfer', async (req, res) => {
+  const { fromType, fromId, toType, toId, amount, note } = req.body;
+  const createdBy = req.volunteer.id;
+  const value = Number(amount);
+
+  if (!value || value <= 0) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+  if (!FUND_ACCOUNT_TYPES.includes(fromType) || !FUND_ACCOUNT_TYPES.includes(toType)) {
+    return res.status(400).json({ error: 'Transfers must be between central, campaign, wing and direct aid funds' });
+  }
+
+  try {
+    const from = normalizeAccount(fromType, fromId);
+    const to = normalizeAccount(toType, toId);
+    if (from.type === to.type && from.id === to.id) {
+      return res.status(400).json({ error: 'Cannot transfer a fund to itself' });
+    }
+
+    const result = await withTransaction(async (conn) => {
+      // Lock the source so two transfers can't both spend the same balance
+      await lockAccount(conn, from.type, from.id);
+      const { balance } = await getAccountBalance(conn, from.type, from.id);
+      if (balance < value) {
+        throw ledgerError(`Insufficient funds. Available: ৳${balance}`);
+      }
+
+      return recordFundMovement(conn, {
+        from,
+        to,
+        amount: value,
+        note: note || `Transfer of ৳${value}`,
+        transactionType: 'transfer',
+        createdBy
+      });
+    });
+
+    res.json({ id: result.transactionId, journalId: result.journalId, message: 'Transfer completed' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Add donation to fund (when campaign/wing receives donation)
+app.post('/api/ummah-funds/deposit', async (req, res) => {
+  const { entityType, entityId, amount, source, note, donationId } = req.body;
+  const createdBy = req.volunteer.id;
+  const value = Number(amount);
+
+  if (!value || value <= 0) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+  if (!FUND_ACCOUNT_TYPES.includes(entityType)) {
+    return res.status(400).json({ error: 'Invalid fund type' });
+  }
+
+  try {
+    const to = normalizeAccount(entityType, entityId);
+    const result = await withTransaction(conn => recordFundMovement(conn, {
+      from: normalizeAccount('external', 0),
+      to,
+      amount: value,
+      note: note || source || null,
+      transactionType: 'deposit',
+      createdBy,
+      donationId: donationId || null
+    }));
+
+    res.json({ id: result.transactionId, journalId: result.journalId, message: 'Deposit recorded' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== FUND REVERSALS API ====================
+
+// Transaction types a reversal can undo; donation approvals are not reversed from here
+const REVERSIBLE_TRANSACTION_TYPES = ['transfer', 'deposit', 'expense'];
+
+// Load a fund transaction and make sure it can still be reversed
+async function getReversibleTransaction(conn, transactionId) {
+  const [rows] = await conn.query(`
+    SELECT ft.*, lj.reference_type as journal_reference_type
+    FROM fund_transactions ft
+    LEFT JOIN ledger_journals lj ON lj.id = ft.journal_id
+    WHERE ft.id = ?
+    FOR UPDATE
+  `, [transactionId]);
+  const transaction = rows[0];
+
+  if (!transaction) throw ledgerError('Transaction not found', 404);
+  if (transaction.status === 'reversed') throw ledgerError('Transaction has already been reversed');
+  if (!transaction.journal_id) {
+    throw ledgerError('Transactions recorded before the ledger cannot be reversed');
+  }
+  if (!REVERSIBLE_TRANSACTION_TYPES.includes(transaction.transaction_type) ||
+      !['fund_transaction', 'expense'].includes(transaction.journal_reference_type)) {
+    throw ledgerError('Only transfers, deposits and approved expenses can be reversed');
+  }
+  return transaction;
+}
+
+// List reversal requests
+app.get('/api/ummah-funds/reversals', (req, res) => {
+  const { status } = req.query;
+
+  let query = `
+    SELECT rr.*,
+           ft.from_type, ft.from_id, ft.to_type, ft.to_id, ft.amount,
+           ft.transaction_type, ft.note as transaction_note, ft.created_at as transaction_date,
+           rv.full_name as requested_by_name, rv.avatar as requested_by_avatar,
+           av.full_name as reviewed_by_name
+    FROM fund_reversal_requests rr
+    JOIN fund_transactions ft ON ft.id = rr.transaction_id
+    LEFT JOIN volunteers rv ON rv.id = rr.requested_by
+    LEFT JOIN volunteers av ON av.id = rr.reviewed_by
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND rr.status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY rr.created_at DESC';
+
+  db.all(query, params, (err, requests) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(requests || []);
+  });
+});
+
+// Request a reversal of a transfer, deposit or expense (another volunteer has to approve it)
+app.post('/api/ummah-funds/transactions/:id/reversals', async (req, res) => {
+  const { id } = req.params;
+  const reason = req.body.reason?.trim();
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  try {
+    const requestId = await withTransaction(async (conn) => {
+      await getReversibleTransaction(conn, id);
+
+      const [pending] = await conn.query(
+        "SELECT id FROM fund_reversal_requests WHERE transaction_id = ? AND status = 'pending'",
+        [id]
+      );
+      if (pending.length) throw ledgerError('A reversal of this transaction is already waiting for approval', 409);
+
+      const [result] = await conn.query(
+        'INSERT INTO fund_reversal_requests (transaction_id, reason, requested_by) VALUES (?, ?, ?)',
+        [id, reason, req.volunteer.id]
+      );
+      return result.insertId;
+    });
+
+    res.json({ id: requestId, status: 'pending', message: 'Reversal requested. It needs approval from another volunteer.' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Approve a reversal request and post the compensating transaction
+app.post('/api/ummah-funds/reversals/:id/approve', async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+  const approverId = req.volunteer.id;
+
+  try {
+    const result = await withTransaction(async (conn) => {
+      const [rows] = await conn.query('SELECT * FROM fund_reversal_requests WHERE id = ? FOR UPDATE', [id]);
+      const request = rows[0];
+      if (!request) throw ledgerError('Reversal request not found', 404);
+      if (request.status !== 'pending') throw ledgerError(`Reversal request is already ${request.status}`);
+      if (request.requested_by === approverId) {
+        throw ledgerError('A reversal must be approved by a different volunteer than the one who requested it', 403);
+      }
+
+      const original = await getReversibleTransaction(conn, request.transaction_id);
+
+      // Send the money back: the account that received it pays the account it came from
+      const [entries] = await conn.query(
+        'SELECT account_type, account_id, amount FROM ledger_entries WHERE journal_id = ?',
+        [original.journal_id]
+      );
+      const paidFrom = entries.find(entry => Number(entry.amount) < 0);
+      const paidTo = entries.find(entry => Number(entry.amount) > 0);
+      const from = normalizeAccount(paidTo.account_type, paidTo.account_id);
+      const to = normalizeAccount(paidFrom.account_type, paidFrom.account_id);
+      const amount = Number(paidTo.amount);
+
+      if (from.type !== 'external') {
+        await lockAccount(conn, from.type, from.id);
+        const { balance } = await getAccountBalance(conn, from.type, from.id);
+        if (balance < amount) {
+          throw ledgerError(`Insufficient funds to reverse. Available: ৳${balance}`);
+        }
+      }
+
+      const reversal = await recordFundMovement(conn, {
+        from,
+        to,
+        amount,
+        note: `Reversal of transaction #${original.id}: ${request.reason}`,
+        transactionType: 'reversal',
+        createdBy: approverId,
+        referenceType: 'fund_transaction',
+        referenceId: original.id,
+        donationId: original.donation_id,
+        expenseId: original.expense_id,
+        reversalOf: original.id,
+        historyFrom: { type: original.to_type, id: original.to_id },
+        historyTo: { type: original.from_type, id: original.from_id }
+      });
+
+      await conn.query("UPDATE fund_transactions SET status = 'reversed' WHERE id = ?", [original.id]);
+      if (original.transaction_type === 'expense' && original.expense_id) {
+        await conn.query("UPDATE expenses SET status = 'reversed' WHERE id = ?", [original.expense_id]);
+      }
+
+      await conn.query(`
+        UPDATE fund_reversal_requests
+        SET status = 'approved', reviewed_by = ?, review_note = ?, reversal_transaction_id = ?, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [approverId, note || null, reversal.transactionId, id]);
+
+      return { request, reversal };
+    });
+
+    createNotification(result.request.requested_by, 'fund_reversal_approved',
+      `Your reversal of transaction #${result.request.transaction_id} was approved`, {
+        data: { reversalId: parseInt(id), transactionId: result.request.transaction_id },
+        priority: 'normal'
+    }).catch(console.error);
+
+    res.json({
+      message: 'Reversal approved',
+      transactionId: result.reversal.transactionId,
+      journalId: result.reversal.journalId
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Reject (or withdraw) a reversal request
+app.post('/api/ummah-funds/reversals/:id/reject', async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+
+  try {
+    const [rows] = await promisePool.query('SELECT * FROM fund_reversal_requests WHERE id = ?', [id]);
+    const request = rows[0];
+    if (!request) return res.status(404).json({ error: 'Reversal request not found' });
+
+    const [result] = await promisePool.query(`
+      UPDATE fund_reversal_requests
+      SET status = 'rejected', reviewed_by = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [req.volunteer.id, note || null, id]);
+    if (result.affectedRows === 0) {
+      return res.status(400).json({ error: `Reversal request is already ${request.status}` });
+    }
+
+    if (request.requested_by !== req.volunteer.id) {
+      createNotification(request.requested_by, 'fund_reversal_rejected',
+        `Your reversal of transaction #${request.transaction_id} was rejected${note ? `: ${note}` : ''}`, {
+          data: { reversalId: request.id, transactionId: request.transaction_id },
+          priority: 'normal'
+      }).catch(console.error);
+    }
+
+    res.json({ message: 'Reversal rejected' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== EXPENSES API ====================
+
+// Get the approval steps of an expense and who signed them (registered before the
+// /api/expenses/:type/:entityId routes, which would otherwise take the path)
+app.get('/api/expenses/:id/approvals', async (req, res) => {
   const { id } = req.params;
-  db.run('DELETE FROM announcements WHERE id = ?', [id], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ message: 'Announcement deleted' });
-  });
-});
 
-// ==================== END ANNOUNCEMENTS API ====================
+  try {
+    const [rows] = await promisePool.query('SELECT * FROM expenses WHERE id = ?', [id]);
+    const expense = rows[0];
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+
+    const steps = await getExpenseApprovalSteps(promisePool, expense);
+    const [approvals] = await promisePool.query(`
+      SELECT ea.*, v.full_name as actor_name, v.avatar as actor_avatar
+      FROM expense_approvals ea
+      LEFT JOIN volunteers v ON v.id = ea.actor_id
+      WHERE ea.expense_id = ?
+      ORDER BY ea.id
+    `, [id]);
 
-// ==================== UMMAH FUND (TREASURY/VAULT) API ====================
+    res.json({
+      expenseId: expense.id,
+      status: expense.status,
+      completedSteps: expense.approval_step || 0,
+      steps: steps.map((step, index) => ({ number: index + 1, ...step })),
+      approvals
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// Get all ummah funds (vaults)
-app.get('/api/ummah-funds', (req, res) => {
-  const { type, entityId } = req.query;
+// Get expenses for entity
+app.get('/api/expenses/:type/:entityId', (req, res) => {
+  const { type, entityId } = req.params;
+  const { status } = req.query;
   
   let query = `
-    SELECT uf.*, 
-           CASE 
-             WHEN uf.entity_type = 'campaign' THEN c.title
-             WHEN uf.entity_type = 'wing' THEN w.name
-             WHEN uf.entity_type = 'direct_aid' THEN da.title
-             ELSE 'UYHO Central Fund'
-           END as entity_name,
-           CASE 
-             WHEN uf.entity_type = 'campaign' THEN c.image
-             WHEN uf.entity_type = 'wing' THEN w.image
-             WHEN uf.entity_type = 'direct_aid' THEN da.image
-             ELSE NULL
-           END as entity_image
-    FROM ummah_funds uf
-    LEFT JOIN campaigns c ON uf.entity_type = 'campaign' AND uf.entity_id = c.id
-    LEFT JOIN wings w ON uf.entity_type = 'wing' AND uf.entity_id = w.id
-    LEFT JOIN direct_aids da ON uf.entity_type = 'direct_aid' AND uf.entity_id = da.id
-    WHERE 1=1
+    SELECT e.*, v.full_name as created_by_name, v.avatar as created_by_avatar,
+           av.full_name as approved_by_name
+    FROM expenses e
+    LEFT JOIN volunteers v ON e.created_by = v.id
+    LEFT JOIN volunteers av ON e.approved_by = av.id
+    WHERE e.entity_type = ? AND e.entity_id = ?
   `;
+  const params = [type, entityId];
   
-  const params = [];
-  if (type) {
-    query += ' AND uf.entity_type = ?';
-    params.push(type);
-  }
-  if (entityId) {
-    query += ' AND uf.entity_id = ?';
-    params.push(entityId);
+  if (status) {
+    query += ' AND e.status = ?';
+    params.push(status);
   }
   
-  query += ' ORDER BY uf.balance DESC';
+  query += ' ORDER BY e.created_at DESC';
   
-  db.all(query, params, (err, funds) => {
+  db.all(query, params, (err, expenses) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(funds || []);
+    res.json(expenses || []);
   });
 });
 
-// Get central fund
-app.get('/api/ummah-funds/central', (req, res) => {
+// Get expense summary for entity
+app.get('/api/expenses/:type/:entityId/summary', (req, res) => {
+  const { type, entityId } = req.params;
+  
   db.get(`
-    SELECT * FROM ummah_funds WHERE entity_type = 'central' AND entity_id = 0
-  `, (err, fund) => {
+    SELECT 
+      COUNT(*) as total_count,
+      SUM(CASE WHEN status = 'approved' THEN amount ELSE 0 END) as total_spent,
+      SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END) as pending_amount,
+      COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_count
+    FROM expenses
+    WHERE entity_type = ? AND entity_id = ?
+  `, [type, entityId], (err, summary) => {
     if (err) return res.status(500).json({ error: err.message });
-    if (!fund) {
-      // Create central fund if not exists
-      db.run(`
-        INSERT INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
-        VALUES ('central', 0, 0, 0, 0)
-      `, function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ id: this.lastID, entity_type: 'central', entity_id: 0, balance: 0, total_in: 0, total_out: 0 });
-      });
-    } else {
-      res.json(fund);
-    }
+    res.json(summary || { total_count: 0, total_spent: 0, pending_amount: 0, pending_count: 0 });
   });
 });
 
-// Get fund for specific entity
-app.get('/api/ummah-funds/:type/:entityId', (req, res) => {
-  const { type, entityId } = req.params;
+// Add expense
+app.post('/api/expenses', (req, res) => {
+  const { entityType, entityId, title, description, amount, category, invoiceImage } = req.body;
+  const createdBy = req.volunteer.id;
   
-  db.get(`
-    SELECT * FROM ummah_funds WHERE entity_type = ? AND entity_id = ?
-  `, [type, entityId], (err, fund) => {
+  if (!entityType || !entityId || !title || !amount) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  db.run(`
+    INSERT INTO expenses (entity_type, entity_id, title, description, amount, category, invoice_image, status, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+  `, [entityType, entityId, title, description, amount, category || 'General', invoiceImage, createdBy], function(err) {
     if (err) return res.status(500).json({ error: err.message });
-    if (!fund) {
-      // Create fund for entity if not exists
-      db.run(`
-        INSERT INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
-        VALUES (?, ?, 0, 0, 0)
-      `, [type, entityId], function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ id: this.lastID, entity_type: type, entity_id: parseInt(entityId), balance: 0, total_in: 0, total_out: 0 });
-      });
-    } else {
-      res.json(fund);
-    }
+    res.json({ id: this.lastID, message: 'Expense added' });
   });
 });
 
-// Get fund transactions
-app.get('/api/ummah-funds/:type/:entityId/transactions', (req, res) => {
-  const { type, entityId } = req.params;
-  const { limit = 50 } = req.query;
-  
+// Who can sign an approval step: holders of a permission key. For a wing expense that includes
+// what permission templates grant the volunteer's role in the wing. Steps saved with the retired
+// 'position' and 'entity_role' types matched fields volunteers could set themselves, so they now
+// need expenses.approve.
+const EXPENSE_APPROVER_TYPES = ['permission'];
+
+// Single step used when no configured step applies to an expense
+const DEFAULT_EXPENSE_APPROVAL_STEP = {
+  name: 'Expense approval',
+  min_amount: 0,
+  approver_type: 'permission',
+  approver_value: 'expenses.approve'
+};
+
+// Steps an expense has to pass, in order: the chain steps of its entity type whose threshold it reaches
+async function getExpenseApprovalSteps(conn, expense) {
+  const [steps] = await conn.query(`
+    SELECT name, min_amount, approver_type, approver_value
+    FROM expense_approval_steps
+    WHERE entity_type = ? AND min_amount <= ?
+    ORDER BY step_order
+  `, [expense.entity_type, expense.amount]);
+  return steps.length
+    ? steps.map(step => ({ ...step, min_amount: Number(step.min_amount) }))
+    : [DEFAULT_EXPENSE_APPROVAL_STEP];
+}
+
+const expenseStepPermission = (step) => step.approver_type === 'permission'
+  ? step.approver_value
+  : DEFAULT_EXPENSE_APPROVAL_STEP.approver_value;
+
+// Whether a volunteer may sign an approval step of this expense
+async function canSignExpenseStep(volunteerId, step, expense) {
+  if (SUPER_ADMIN_IDS.includes(volunteerId)) return true;
+  const permissions = await getEffectivePermissions(volunteerId, {
+    wingId: expense.entity_type === 'wing' ? expense.entity_id : null
+  });
+  return permissions[expenseStepPermission(step)] === true;
+}
+
+const describeExpenseApprover = (step) => `someone with the "${expenseStepPermission(step)}" permission`;
+
+// Refuse an approval that would exceed the category budget or overdraw the fund
+async function checkExpenseLimits(conn, expense) {
+  const category = expense.category || 'General';
+  const [budgets] = await conn.query(
+    'SELECT amount FROM expense_budgets WHERE entity_type = ? AND entity_id = ? AND category = ?',
+    [expense.entity_type, expense.entity_id, category]
+  );
+
+  if (budgets[0]) {
+    const [spent] = await conn.query(`
+      SELECT COALESCE(SUM(amount), 0) as total FROM expenses
+      WHERE entity_type = ? AND entity_id = ? AND category = ? AND status = 'approved'
+    `, [expense.entity_type, expense.entity_id, category]);
+    const remaining = toLedgerAmount(Number(budgets[0].amount) - Number(spent[0].total));
+    if (Number(expense.amount) > remaining) {
+      throw ledgerError(`Expense exceeds the ${category} budget. Remaining: ৳${remaining}`);
+    }
+  }
+
+  const { balance } = await getAccountBalance(conn, expense.entity_type, expense.entity_id);
+  if (balance < Number(expense.amount)) {
+    throw ledgerError(`Insufficient funds. Available: ৳${balance}`);
+  }
+}
+
+// Get the expense approval chain of every entity type
+app.get('/api/expense-approval-chains', (req, res) => {
   db.all(`
-    SELECT ft.*,
-           v.full_name as created_by_name,
-           v.avatar as created_by_avatar,
-           CASE 
-             WHEN ft.from_type = 'campaign' THEN fc.title
-             WHEN ft.from_type = 'wing' THEN fw.name
-             WHEN ft.from_type = 'direct_aid' THEN fda.title
-             ELSE 'UYHO Central Fund'
-           END as from_name,
-           CASE 
-             WHEN ft.to_type = 'campaign' THEN tc.title
-             WHEN ft.to_type = 'wing' THEN tw.name
-             WHEN ft.to_type = 'direct_aid' THEN tda.title
-             ELSE 'UYHO Central Fund'
-           END as to_name
-    FROM fund_transactions ft
-    LEFT JOIN volunteers v ON ft.created_by = v.id
-    LEFT JOIN campaigns fc ON ft.from_type = 'campaign' AND ft.from_id = fc.id
-    LEFT JOIN wings fw ON ft.from_type = 'wing' AND ft.from_id = fw.id
-    LEFT JOIN direct_aids fda ON ft.from_type = 'direct_aid' AND ft.from_id = fda.id
-    LEFT JOIN campaigns tc ON ft.to_type = 'campaign' AND ft.to_id = tc.id
-    LEFT JOIN wings tw ON ft.to_type = 'wing' AND ft.to_id = tw.id
-    LEFT JOIN direct_aids tda ON ft.to_type = 'direct_aid' AND ft.to_id = tda.id
-    WHERE (ft.from_type = ? AND ft.from_id = ?) OR (ft.to_type = ? AND ft.to_id = ?)
-    ORDER BY ft.created_at DESC
-    LIMIT ?
-  `, [type, entityId, type, entityId, parseInt(limit)], (err, transactions) => {
+    SELECT id, entity_type, step_order, name, min_amount, approver_type, approver_value
+    FROM expense_approval_steps
+    ORDER BY entity_type, step_order
+  `, [], (err, steps) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(transactions || []);
+
+    const chains = {};
+    FUND_ACCOUNT_TYPES.forEach(type => { chains[type] = []; });
+    (steps || []).forEach(step => {
+      chains[step.entity_type]?.push({ ...step, min_amount: Number(step.min_amount) });
+    });
+    res.json({ chains, defaultStep: DEFAULT_EXPENSE_APPROVAL_STEP });
   });
 });
 
-// Transfer funds between entities
-app.post('/api/ummah-funds/transfer', (req, res) => {
-  const { fromType, fromId, toType, toId, amount, note, createdBy } = req.body;
-  
-  if (!amount || amount <= 0) {
-    return res.status(400).json({ error: 'Invalid amount' });
+// Replace the approval chain of an entity type
+app.put('/api/expense-approval-chains/:entityType', async (req, res) => {
+  const { entityType } = req.params;
+  const { steps } = req.body;
+
+  if (!FUND_ACCOUNT_TYPES.includes(entityType)) {
+    return res.status(400).json({ error: 'Invalid entity type' });
   }
-  
-  // Calculate available balance based on entity type (raised - expenses)
-  let getBalanceQuery;
-  if (fromType === 'campaign') {
-    getBalanceQuery = `
-      SELECT c.raised as total_raised,
-             COALESCE((SELECT SUM(amount) FROM expenses WHERE entity_type = 'campaign' AND entity_id = c.id), 0) as total_expenses
-      FROM campaigns c WHERE c.id = ?
-    `;
-  } else if (fromType === 'wing') {
-    getBalanceQuery = `
-      SELECT COALESCE((SELECT SUM(amount) FROM wing_donations WHERE wing_id = ? AND status = 'approved'), 0) as total_raised,
-             COALESCE((SELECT SUM(amount) FROM expenses WHERE entity_type = 'wing' AND entity_id = ?), 0) as total_expenses
-    `;
-  } else {
-    getBalanceQuery = `SELECT balance as total_raised, 0 as total_expenses FROM ummah_funds WHERE entity_type = ? AND entity_id = ?`;
+  if (!Array.isArray(steps)) {
+    return res.status(400).json({ error: 'steps must be an array' });
   }
-  
-  db.get(getBalanceQuery, fromType === 'wing' ? [fromId, fromId] : [fromId], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    const availableBalance = (result?.total_raised || 0) - (result?.total_expenses || 0);
-    
-    if (availableBalance < amount) {
-      return res.status(400).json({ error: `Insufficient funds. Available: ৳${availableBalance}` });
+
+  const permissionKeys = PERMISSION_REGISTRY.map(entry => entry.key);
+  for (const step of steps) {
+    if (!step.name?.trim() || !step.approverValue?.trim()) {
+      return res.status(400).json({ error: 'Every step needs a name and an approver' });
     }
-    
-    // Record as expense to deduct from balance
-    db.run(`
-      INSERT INTO expenses (entity_type, entity_id, title, description, amount, category, status, created_by)
-      VALUES (?, ?, ?, ?, ?, 'Transfer', 'approved', ?)
-    `, [fromType, fromId, `Transfer to ${toType}`, note || `Transfer of ৳${amount}`, amount, createdBy], function(err) {
-      if (err) return res.status(500).json({ error: err.message });
-      
-      const expenseId = this.lastID;
-      
-      // Add to destination's raised amount or ummah_funds
-      if (toType === 'campaign') {
-        db.run(`UPDATE campaigns SET raised = raised + ? WHERE id = ?`, [amount, toId]);
-      } else if (toType === 'wing') {
-        // Add as wing donation
-        db.run(`INSERT INTO wing_donations (wing_id, amount, status, payment_method, donor_name) VALUES (?, ?, 'approved', 'Transfer', 'Internal Transfer')`, [toId, amount]);
-      } else {
-        // Add to ummah_funds for central/direct_aid
-        db.run(`
-          INSERT INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
-          VALUES (?, ?, ?, ?, 0)
-          ON CONFLICT(entity_type, entity_id) DO UPDATE SET
-            balance = balance + ?, total_in = total_in + ?, updated_at = CURRENT_TIMESTAMP
-        `, [toType, toId, amount, amount, amount, amount]);
+    if (!EXPENSE_APPROVER_TYPES.includes(step.approverType)) {
+      return res.status(400).json({ error: `approverType must be one of: ${EXPENSE_APPROVER_TYPES.join(', ')}` });
+    }
+    if (step.approverType === 'permission' && !permissionKeys.includes(step.approverValue)) {
+      return res.status(400).json({ error: `Unknown permission: ${step.approverValue}` });
+    }
+    if (step.minAmount !== undefined && !(Number(step.minAmount) >= 0)) {
+      return res.status(400).json({ error: 'minAmount must be zero or more' });
+    }
+  }
+
+  try {
+    await withTransaction(async (conn) => {
+      await conn.query('DELETE FROM expense_approval_steps WHERE entity_type = ?', [entityType]);
+      for (const [index, step] of steps.entries()) {
+        await conn.query(`
+          INSERT INTO expense_approval_steps (entity_type, step_order, name, min_amount, approver_type, approver_value, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [entityType, index + 1, step.name.trim(), Number(step.minAmount) || 0, step.approverType,
+            step.approverValue.trim(), req.volunteer.id]);
       }
-      
-      // Record transaction
-      db.run(`
-        INSERT INTO fund_transactions (from_type, from_id, to_type, to_id, amount, note, transaction_type, status, created_by, expense_id)
-        VALUES (?, ?, ?, ?, ?, ?, 'transfer', 'completed', ?, ?)
-      `, [fromType, fromId, toType, toId, amount, note, createdBy, expenseId], function(err) {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ id: this.lastID, message: 'Transfer completed' });
-      });
     });
+    res.json({ message: 'Approval chain updated', steps: steps.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get category budgets of a campaign or wing with the amounts spent and awaiting approval
+app.get('/api/expense-budgets/:type/:entityId', (req, res) => {
+  const { type, entityId } = req.params;
+
+  db.all(`
+    SELECT b.*,
+           COALESCE((SELECT SUM(amount) FROM expenses e
+                     WHERE e.entity_type = b.entity_type AND e.entity_id = b.entity_id
+                       AND e.category = b.category AND e.status = 'approved'), 0) as spent,
+           COALESCE((SELECT SUM(amount) FROM expenses e
+                     WHERE e.entity_type = b.entity_type AND e.entity_id = b.entity_id
+                       AND e.category = b.category AND e.status = 'pending'), 0) as pending
+    FROM expense_budgets b
+    WHERE b.entity_type = ? AND b.entity_id = ?
+    ORDER BY b.category
+  `, [type, entityId], (err, budgets) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json((budgets || []).map(budget => ({
+      ...budget,
+      amount: Number(budget.amount),
+      spent: Number(budget.spent),
+      pending: Number(budget.pending),
+      remaining: toLedgerAmount(Number(budget.amount) - Number(budget.spent))
+    })));
   });
 });
 
-// Add donation to fund (when campaign/wing receives donation)
-app.post('/api/ummah-funds/deposit', (req, res) => {
-  const { entityType, entityId, amount, source, note, createdBy, donationId } = req.body;
-  
+// Set the budget of a category for a campaign or wing
+app.put('/api/expense-budgets/:type/:entityId', (req, res) => {
+  const { type, entityId } = req.params;
+  const { category, amount } = req.body;
+
+  if (!['campaign', 'wing'].includes(type)) {
+    return res.status(400).json({ error: 'Budgets can be set for campaigns and wings' });
+  }
+  if (!category?.trim() || !(Number(amount) >= 0)) {
+    return res.status(400).json({ error: 'Category and a non-negative amount are required' });
+  }
+
   db.run(`
-    INSERT INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
-    VALUES (?, ?, ?, ?, 0)
-    ON CONFLICT(entity_type, entity_id) DO UPDATE SET
-      balance = balance + ?, total_in = total_in + ?, updated_at = CURRENT_TIMESTAMP
-  `, [entityType, entityId, amount, amount, amount, amount], (err) => {
+    INSERT INTO expense_budgets (entity_type, entity_id, category, amount, created_by)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE amount = VALUES(amount), updated_at = CURRENT_TIMESTAMP
+  `, [type, entityId, category.trim(), Number(amount), req.volunteer.id], function(err) {
     if (err) return res.status(500).json({ error: err.message });
-    
-    // Record transaction
-    db.run(`
-      INSERT INTO fund_transactions (from_type, from_id, to_type, to_id, amount, note, transaction_type, status, created_by, donation_id)
-      VALUES ('external', 0, ?, ?, ?, ?, 'deposit', 'completed', ?, ?)
-    `, [entityType, entityId, amount, note || source, createdBy, donationId], function(err) {
+    res.json({ message: 'Budget saved' });
+  });
+});
+
+// Remove the budget of a category
+app.delete('/api/expense-budgets/:type/:entityId/:category', (req, res) => {
+  const { type, entityId, category } = req.params;
+
+  db.run(
+    'DELETE FROM expense_budgets WHERE entity_type = ? AND entity_id = ? AND category = ?',
+    [type, entityId, category],
+    function(err) {
       if (err) return res.status(500).json({ error: err.message });
-      res.json({ id: this.lastID, message: 'Deposit recorded' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Budget not found' });
+      res.json({ message: 'Budget removed' });
+    }
+  );
+});
+
+// Approve/reject the current approval step of an expense
+app.put('/api/expenses/:id/status', async (req, res) => {
+  const { id } = req.params;
+  const { status, note } = req.body;
+  const actorId = req.volunteer.id;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    const result = await withTransaction(async (conn) => {
+      const [rows] = await conn.query('SELECT * FROM expenses WHERE id = ? FOR UPDATE', [id]);
+      const expense = rows[0];
+      if (!expense) throw ledgerError('Expense not found', 404);
+      if (expense.status !== 'pending') throw ledgerError(`Expense is already ${expense.status}`);
+
+      const steps = await getExpenseApprovalSteps(conn, expense);
+      const stepIndex = Math.min(expense.approval_step || 0, steps.length - 1);
+      const step = steps[stepIndex];
+      const isFinalStep = stepIndex === steps.length - 1;
+
+      if (!(await canSignExpenseStep(actorId, step, expense))) {
+        throw ledgerError(`"${step.name}" has to be signed by ${describeExpenseApprover(step)}`, 403);
+      }
+
+      // One volunteer signs at most one step of the same expense
+      const [signed] = await conn.query(
+        "SELECT id FROM expense_approvals WHERE expense_id = ? AND actor_id = ? AND action = 'approved'",
+        [id, actorId]
+      );
+      if (signed.length) throw ledgerError('You have already approved an earlier step of this expense', 403);
+
+      if (status === 'approved') {
+        // Lock the fund on the last step so concurrent approvals can't spend the same balance
+        if (isFinalStep) await lockAccount(conn, expense.entity_type, expense.entity_id);
+        await checkExpenseLimits(conn, expense);
+      }
+
+      await conn.query(`
+        INSERT INTO expense_approvals (expense_id, step_number, step_name, action, actor_id, note)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [id, stepIndex + 1, step.name, status, actorId, note || null]);
+
+      if (status === 'approved' && !isFinalStep) {
+        await conn.query('UPDATE expenses SET approval_step = ? WHERE id = ?', [stepIndex + 1, id]);
+        return { status: 'pending', step: stepIndex + 1, nextStep: steps[stepIndex + 1].name };
+      }
+
+      await conn.query(`
+        UPDATE expenses SET status = ?, approval_step = ?, approved_by = ?, approval_note = ?, approved_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, stepIndex + 1, actorId, note || null, id]);
+
+      // Approved expenses leave the fund to the outside world
+      if (status === 'approved') {
+        await recordFundMovement(conn, {
+          from: normalizeAccount(expense.entity_type, expense.entity_id),
+          to: normalizeAccount('external', 0),
+          amount: expense.amount,
+          note: expense.title,
+          transactionType: 'expense',
+          createdBy: actorId,
+          referenceType: 'expense',
+          referenceId: expense.id,
+          expenseId: expense.id
+        });
+      }
+      return { status, step: stepIndex + 1 };
     });
-  });
+
+    const message = result.status === 'pending'
+      ? `Step ${result.step} approved, waiting for "${result.nextStep}"`
+      : `Expense ${result.status}`;
+    res.json({ message, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// ==================== EXPENSES API ====================
+// Upload expense invoice
+app.post('/api/expenses/upload-invoice', upload.single('invoice'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  const invoiceUrl = `/avatars/${req.file.filename}`;
+  res.json({ invoiceUrl });
+});
 
-// Get expenses for entity
-app.get('/api/expenses/:type/:entityId', (req, res) => {
-  const { type, entityId } = req.params;
+// ==================== WING DONATIONS API ====================
+
+// Get wing donations
+app.get('/api/wings/:id/donations', async (req, res) => {
+  const { id } = req.params;
   const { status } = req.query;
+  const reveal = await canSeeAnonymousDonors(req).catch(() => false);
   
   let query = `
-    SELECT e.*, v.full_name as created_by_name, v.avatar as created_by_avatar,
-           av.full_name as approved_by_name
-    FROM expenses e
-    LEFT JOIN volunteers v ON e.created_by = v.id
-    LEFT JOIN volunteers av ON e.approved_by = av.id
-    WHERE e.entity_type = ? AND e.entity_id = ?
+    SELECT wd.*, v.full_name as donor_name_display, v.avatar as donor_avatar,
+           rv.full_name as reviewed_by_name,
+           COALESCE(dn.prefers_anonymous, 0) as donor_prefers_anonymous
+    FROM wing_donations wd
+    LEFT JOIN volunteers v ON wd.volunteer_id = v.id
+    LEFT JOIN volunteers rv ON wd.reviewed_by = rv.id
+    LEFT JOIN donors dn ON dn.id = wd.donor_id
+    WHERE wd.wing_id = ?
   `;
-  const params = [type, entityId];
+  const params = [id];
   
   if (status) {
-    query += ' AND e.status = ?';
+    query += ' AND wd.status = ?';
     params.push(status);
   }
   
-  query += ' ORDER BY e.created_at DESC';
-  
-  db.all(query, params, (err, expenses) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(expenses || []);
-  });
-});
-
-// Get expense summary for entity
-app.get('/api/expenses/:type/:entityId/summary', (req, res) => {
-  const { type, entityId } = req.params;
+  query += ' ORDER BY wd.created_at DESC';
   
-  db.get(`
-    SELECT 
-      COUNT(*) as total_count,
-      SUM(CASE WHEN status = 'approved' THEN amount ELSE 0 END) as total_spent,
-      SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END) as pending_amount,
-      COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_count
-    FROM expenses
-    WHERE entity_type = ? AND entity_id = ?
-  `, [type, entityId], (err, summary) => {
+  db.all(query, params, (err, donations) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(summary || { total_count: 0, total_spent: 0, pending_amount: 0, pending_count: 0 });
+    res.json((donations || []).map(donation => maskAnonymousDonation(donation, reveal)));
   });
 });
 
-// Add expense
-app.post('/api/expenses', (req, res) => {
-  const { entityType, entityId, title, description, amount, category, invoiceImage, createdBy } = req.body;
+// Add wing donation
+app.post('/api/wings/:id/donations', async (req, res) => {
+  const { id } = req.params;
+  const { donorName, phoneNumber, amount, paymentMethod, transactionId, isAnonymous, referrerId, pledgeId } = req.body;
+  const volunteerId = req.volunteer.id;
   
-  if (!entityType || !entityId || !title || !amount) {
+  if (!donorName || !amount || !paymentMethod || !transactionId) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
+  try {
+    await checkDonationPledge(pledgeId, { targetType: 'wing', targetId: id, phoneNumber, volunteerId });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
   
   db.run(`
-    INSERT INTO expenses (entity_type, entity_id, title, description, amount, category, invoice_image, status, created_by)
-    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)
-  `, [entityType, entityId, title, description, amount, category || 'General', invoiceImage, createdBy], function(err) {
+    INSERT INTO wing_donations (wing_id, donor_name, phone_number, amount, payment_method, transaction_id, is_anonymous, volunteer_id, referrer_id, pledge_id, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+  `, [id, donorName, phoneNumber, amount, paymentMethod, transactionId, isAnonymous ? 1 : 0, volunteerId, referrerId || null, pledgeId || null], function(err) {
     if (err) return res.status(500).json({ error: err.message });
-    res.json({ id: this.lastID, message: 'Expense added' });
+    screenSubmittedDonation('wing_donation', this.lastID);
+    linkSubmittedDonor('wing_donation', this.lastID);
+    res.json({ id: this.lastID, message: 'Donation submitted for approval' });
   });
 });
 
-// Approve/reject expense
-app.put('/api/expenses/:id/status', (req, res) => {
-  const { id } = req.params;
-  const { status, approvedBy, note } = req.body;
-  
+// Approve/reject wing donation
+app.put('/api/wings/:wingId/donations/:donationId/status', async (req, res) => {
+  const { wingId, donationId } = req.params;
+  const { status } = req.body;
+
   if (!['approved', 'rejected'].includes(status)) {
     return res.status(400).json({ error: 'Invalid status' });
   }
+
+  try {
+    const donation = await decideDonation(req, {
+      source: 'wing_donation',
+      donationId,
+      status,
+      expect: { targetType: 'wing', targetId: wingId }
+    });
+    res.json({
+      message: `Donation ${status}`,
+      receipt: donation.receipt ? receiptSummary(donation.receipt, req) : null
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get wing fund summary
+app.get('/api/wings/:id/fund-summary', (req, res) => {
+  const { id } = req.params;
   
-  db.run(`
-    UPDATE expenses SET status = ?, approved_by = ?, approval_note = ?, approved_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `, [status, approvedBy, note, id], function(err) {
+  db.get(`
+    SELECT 
+      uf.balance,
+      uf.total_in,
+      uf.total_out,
+      (SELECT COUNT(*) FROM wing_donations WHERE wing_id = ? AND status = 'pending') as pending_donations,
+      (SELECT SUM(amount) FROM wing_donations WHERE wing_id = ? AND status = 'approved') as total_donations,
+      (SELECT SUM(amount) FROM expenses WHERE entity_type = 'wing' AND entity_id = ? AND status = 'approved') as total_expenses
+    FROM ummah_funds uf
+    WHERE uf.entity_type = 'wing' AND uf.entity_id = ?
+  `, [id, id, id, id], (err, summary) => {
     if (err) return res.status(500).json({ error: err.message });
-    
-    // If approved, record in fund transactions
-    if (status === 'approved') {
-      db.get('SELECT * FROM expenses WHERE id = ?', [id], (err, expense) => {
-        if (expense) {
-          // First ensure fund exists (create with 0 balance if not)
-          db.run(`
-            INSERT OR IGNORE INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
-            VALUES (?, ?, 0, 0, 0)
-          `, [expense.entity_type, expense.entity_id], () => {
-            // Deduct from fund
-            db.run(`
-              UPDATE ummah_funds SET balance = balance - ?, total_out = total_out + ?
-              WHERE entity_type = ? AND entity_id = ?
-            `, [expense.amount, expense.amount, expense.entity_type, expense.entity_id]);
-            
-            // Record transaction
-            db.run(`
-              INSERT INTO fund_transactions (from_type, from_id, to_type, to_id, amount, note, transaction_type, status, created_by, expense_id)
-              VALUES (?, ?, 'expense', 0, ?, ?, 'expense', 'completed', ?, ?)
-            `, [expense.entity_type, expense.entity_id, expense.amount, expense.title, approvedBy, expense.id]);
-          });
+    res.json(summary || { balance: 0, total_in: 0, total_out: 0, pending_donations: 0, total_donations: 0, total_expenses: 0 });
+  });
+});
+
+// Get campaign fund summary
+app.get('/api/campaigns/:id/fund-summary', (req, res) => {
+  const { id } = req.params;
+  
+  db.get(`
+    SELECT 
+      c.raised,
+      c.goal,
+      uf.balance,
+      uf.total_in,
+      uf.total_out,
+      (SELECT COUNT(*) FROM donations WHERE campaign_id = ? AND status = 'pending') as pending_donations,
+      (SELECT SUM(amount) FROM expenses WHERE entity_type = 'campaign' AND entity_id = ? AND status = 'approved') as total_expenses,
+      (SELECT SUM(amount) FROM expenses WHERE entity_type = 'campaign' AND entity_id = ? AND status = 'pending') as pending_expenses
+    FROM campaigns c
+    LEFT JOIN ummah_funds uf ON uf.entity_type = 'campaign' AND uf.entity_id = c.id
+    WHERE c.id = ?
+  `, [id, id, id, id], (err, summary) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(summary || { raised: 0, goal: 0, balance: 0, total_in: 0, total_out: 0, pending_donations: 0, total_expenses: 0, pending_expenses: 0 });
+  });
+});
+
+// ==================== LEDGER API ====================
+
+const toLedgerAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Compare the ledger against campaigns.raised, approved wing donations and the ummah_funds cache.
+// Only mismatching rows are returned.
+async function buildLedgerReconciliation(conn = promisePool) {
+  // Donation inflow of an account: approved donations plus earlier reconciliation adjustments
+  const ledgerDonations = (accountType, idColumn) => `
+    COALESCE((
+      SELECT SUM(le.amount) FROM ledger_entries le
+      JOIN ledger_journals lj ON lj.id = le.journal_id
+      WHERE le.account_type = '${accountType}' AND le.account_id = ${idColumn}
+        AND lj.journal_type IN ('donation', 'adjustment')
+    ), 0)
+  `;
+
+  // campaigns.raised counts approved donations and legacy_raised (money transferred in before the
+  // ledger, carried over as an opening balance), so only raised - legacy_raised is donation inflow
+  const [campaigns] = await conn.query(`
+    SELECT c.id, c.title as name,
+           COALESCE(c.raised, 0) as raised,
+           COALESCE(c.legacy_raised, 0) as legacy_raised,
+           ${ledgerDonations('campaign', 'c.id')} as ledger_donations
+    FROM campaigns c
+  `);
+
+  const [wings] = await conn.query(`
+    SELECT w.id, w.name,
+           COALESCE((SELECT SUM(amount) FROM wing_donations WHERE wing_id = w.id AND status = 'approved'), 0) as approved,
+           ${ledgerDonations('wing', 'w.id')} as ledger_donations
+    FROM wings w
+  `);
+
+  const [funds] = await conn.query(`
+    SELECT uf.entity_type, uf.entity_id, uf.balance,
+           COALESCE((
+             SELECT SUM(amount) FROM ledger_entries
+             WHERE account_type = uf.entity_type AND account_id = uf.entity_id
+           ), 0) as ledger_balance
+    FROM ummah_funds uf
+  `);
+
+  const [unpostedExpenses] = await conn.query(`
+    SELECT e.id, e.entity_type, e.entity_id, e.title, e.amount
+    FROM expenses e
+    WHERE e.status = 'approved'
+      AND NOT EXISTS (
+        SELECT 1 FROM ledger_journals lj WHERE lj.reference_type = 'expense' AND lj.reference_id = e.id
+      )
+  `);
+
+  const [unbalancedJournals] = await conn.query(`
+    SELECT journal_id, SUM(amount) as total
+    FROM ledger_entries
+    GROUP BY journal_id
+    HAVING SUM(amount) <> 0
+  `);
+
+  const campaignRows = campaigns.map(c => {
+    const expected = toLedgerAmount(c.raised - c.legacy_raised);
+    const ledger = toLedgerAmount(c.ledger_donations);
+    return {
+      accountType: 'campaign', accountId: c.id, name: c.name,
+      raised: Number(c.raised), legacyRaised: Number(c.legacy_raised), expected, ledger,
+      difference: toLedgerAmount(ledger - expected)
+    };
+  }).filter(row => row.difference !== 0);
+
+  const wingRows = wings.map(w => {
+    const expected = toLedgerAmount(w.approved);
+    const ledger = toLedgerAmount(w.ledger_donations);
+    return {
+      accountType: 'wing', accountId: w.id, name: w.name,
+      expected, ledger, difference: toLedgerAmount(ledger - expected)
+    };
+  }).filter(row => row.difference !== 0);
+
+  const fundRows = funds.map(f => {
+    const cached = toLedgerAmount(f.balance);
+    const ledger = toLedgerAmount(f.ledger_balance);
+    return {
+      accountType: f.entity_type, accountId: f.entity_id,
+      cached, ledger, difference: toLedgerAmount(ledger - cached)
+    };
+  }).filter(row => row.difference !== 0);
+
+  return {
+    balanced: !campaignRows.length && !wingRows.length && !fundRows.length &&
+      !unpostedExpenses.length && !unbalancedJournals.length,
+    checked: { campaigns: campaigns.length, wings: wings.length, funds: funds.length },
+    campaigns: campaignRows,
+    wings: wingRows,
+    funds: fundRows,
+    unpostedExpenses: unpostedExpenses.map(e => ({ ...e, amount: Number(e.amount) })),
+    unbalancedJournals: unbalancedJournals.map(j => ({ journalId: j.journal_id, total: Number(j.total) }))
+  };
+}
+
+// Ledger entries for one account, newest first, with the balance after each entry
+app.get('/api/ledger/:type/:entityId/entries', async (req, res) => {
+  const { type, entityId } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  try {
+    const account = normalizeAccount(type, entityId);
+    const [entries] = await promisePool.query(`
+      SELECT le.id, le.journal_id, le.amount, le.created_at,
+             lj.journal_type, lj.description, lj.reference_type, lj.reference_id, lj.created_by,
+             v.full_name as created_by_name,
+             SUM(le.amount) OVER (ORDER BY le.id) as balance_after
+      FROM ledger_entries le
+      JOIN ledger_journals lj ON lj.id = le.journal_id
+      LEFT JOIN volunteers v ON v.id = lj.created_by
+      WHERE le.account_type = ? AND le.account_id = ?
+      ORDER BY le.id DESC
+      LIMIT ?
+    `, [account.type, account.id, limit]);
+
+    res.json(entries.map(entry => ({
+      ...entry,
+      amount: Number(entry.amount),
+      balance_after: Number(entry.balance_after)
+    })));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get a journal with all of its entries
+app.get('/api/ledger/journals/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [journals] = await promisePool.query(`
+      SELECT lj.*, v.full_name as created_by_name
+      FROM ledger_journals lj
+      LEFT JOIN volunteers v ON v.id = lj.created_by
+      WHERE lj.id = ?
+    `, [id]);
+    if (!journals[0]) return res.status(404).json({ error: 'Journal not found' });
+
+    const [entries] = await promisePool.query(
+      'SELECT id, account_type, account_id, amount FROM ledger_entries WHERE journal_id = ? ORDER BY id',
+      [id]
+    );
+    res.json({ ...journals[0], entries: entries.map(e => ({ ...e, amount: Number(e.amount) })) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reconcile the ledger against campaigns, wing donations and ummah_funds
+app.get('/api/ledger/reconcile', async (req, res) => {
+  try {
+    res.json(await buildLedgerReconciliation());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Post adjusting journals so the ledger matches the legacy figures (the ledger_opening_balances
+// migration already carried them over once; this settles differences the reconcile report explains)
+app.post('/api/ledger/reconcile/adjust', async (req, res) => {
+  const createdBy = req.volunteer.id;
+  const external = normalizeAccount('external', 0);
+
+  try {
+    const posted = await withTransaction(async (conn) => {
+      const report = await buildLedgerReconciliation(conn);
+      // Central and direct aid funds were only tracked in ummah_funds, so their cached balance is the target
+      const [legacyFunds] = await conn.query(
+        "SELECT entity_type, entity_id, balance FROM ummah_funds WHERE entity_type IN ('central', 'direct_aid')"
+      );
+      let count = 0;
+
+      // Expenses approved before they were written to the ledger
+      for (const expense of report.unpostedExpenses) {
+        await recordFundMovement(conn, {
+          from: normalizeAccount(expense.entity_type, expense.entity_id),
+          to: external,
+          amount: expense.amount,
+          note: expense.title,
+          transactionType: 'expense',
+          createdBy,
+          referenceType: 'expense',
+          referenceId: expense.id,
+          expenseId: expense.id
+        });
+        count++;
+      }
+
+      const adjust = async (account, amount) => {
+        amount = toLedgerAmount(amount);
+        if (!amount) return;
+        await recordFundMovement(conn, {
+          from: amount > 0 ? external : account,
+          to: amount > 0 ? account : external,
+          amount: Math.abs(amount),
+          note: 'Ledger reconciliation adjustment',
+          transactionType: 'adjustment',
+          createdBy
+        });
+        count++;
+      };
+
+      // Donations to campaigns and wings that never reached the ledger
+      for (const row of [...report.campaigns, ...report.wings]) {
+        await adjust(normalizeAccount(row.accountType, row.accountId), -row.difference);
+      }
+
+      for (const fund of legacyFunds) {
+        const account = normalizeAccount(fund.entity_type, fund.entity_id);
+        const { balance } = await getAccountBalance(conn, account.type, account.id);
+        await adjust(account, Number(fund.balance) - balance);
+      }
+
+      // Rebuild every remaining cached balance from the ledger
+      const [funds] = await conn.query('SELECT entity_type, entity_id FROM ummah_funds');
+      for (const fund of funds) {
+        if (FUND_ACCOUNT_TYPES.includes(fund.entity_type)) {
+          await refreshFundCache(conn, fund.entity_type, fund.entity_id);
         }
-      });
-    }
-    
-    res.json({ message: `Expense ${status}` });
+      }
+
+      return count;
+    });
+
+    res.json({ posted, report: await buildLedgerReconciliation() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== CAMPAIGN OVERFLOW API ====================
+
+const OVERFLOW_OVERRIDE_HOURS = parseInt(process.env.OVERFLOW_OVERRIDE_HOURS) || 48;
+const OVERFLOW_CHECK_INTERVAL_MINUTES = parseInt(process.env.OVERFLOW_CHECK_INTERVAL_MINUTES) || 15;
+
+async function canManageCampaignOverflow(volunteerId, campaign) {
+  if (campaign.host_id === volunteerId || SUPER_ADMIN_IDS.includes(volunteerId)) return true;
+  const permissions = await getEffectivePermissions(volunteerId);
+  return permissions['funds.manage'] === true;
+}
+
+// A campaign whose overflow the caller may steer: its host or a fund manager
+async function getOverflowCampaign(campaignId, volunteerId) {
+  const [rows] = await promisePool.query(
+    'SELECT id, title, host_id, wing, hosted_by_wing_id, status FROM campaigns WHERE id = ?',
+    [campaignId]
+  );
+  const campaign = rows[0];
+  if (!campaign) throw ledgerError('Campaign not found', 404);
+  if (!(await canManageCampaignOverflow(volunteerId, campaign))) {
+    throw ledgerError('Only the campaign host or a fund manager can change where its overflow goes', 403);
+  }
+  return campaign;
+}
+
+// "60% to Dhaka Wing and 40% to the central fund"
+async function describeAllocations(allocations) {
+  const parts = [];
+  for (const { type, id, percent } of allocations) {
+    let name = 'the central fund';
+    if (type !== 'central') {
+      const [table, column] = { campaign: ['campaigns', 'title'], wing: ['wings', 'name'], direct_aid: ['direct_aids', 'title'] }[type];
+      const [rows] = await promisePool.query(`SELECT ${column} as name FROM ${table} WHERE id = ?`, [id]);
+      name = rows[0]?.name || `${type.replace('_', ' ')} #${id}`;
+    }
+    parts.push(percent === 100 ? `to ${name}` : `${percent}% to ${name}`);
+  }
+  return parts.join(' and ');
+}
+
+// Volunteer accounts of everyone whose approved donation went into a campaign
+async function campaignDonorAccounts(campaignId) {
+  const [rows] = await promisePool.query(`
+    SELECT DISTINCT account_id FROM (
+      SELECT d.volunteer_id as account_id FROM donations d
+      WHERE d.campaign_id = ? AND d.status = 'approved'
+      UNION
+      SELECT dn.volunteer_id FROM donations d
+      JOIN donors dn ON dn.id = d.donor_id
+      WHERE d.campaign_id = ? AND d.status = 'approved'
+    ) accounts
+    WHERE account_id IS NOT NULL
+  `, [campaignId, campaignId]);
+  return rows.map(row => row.account_id);
+}
+
+// Warn the host that overflow will move once the override window closes
+async function notifyOverflowScheduled(routing) {
+  if (!routing.host_id) return;
+  const destination = await describeAllocations(routing.allocations);
+  const executeAfter = new Date(routing.execute_after).toLocaleString('en-GB', { timeZone: 'Asia/Dhaka' });
+  await createNotification(routing.host_id, 'campaign_overflow',
+    `"${routing.campaign_title}" passed its goal. About ৳${routing.estimated_amount} above the goal will go ` +
+    `${destination} after ${executeAfter}. You can cancel or change this until then.`, {
+      title: 'Campaign overflow scheduled',
+      data: { campaignId: routing.campaign_id, routingId: routing.id, executeAfter: routing.execute_after },
+      priority: 'high'
   });
+}
+
+// Tell the host and the campaign's donors where the money beyond the goal went
+async function notifyOverflowExecuted(routing) {
+  const destination = await describeAllocations(routing.transfers);
+  const recipients = new Set([routing.campaign.host_id, ...(await campaignDonorAccounts(routing.campaign_id))]);
+  recipients.delete(null);
+  for (const volunteerId of recipients) {
+    await createNotification(volunteerId, 'campaign_overflow',
+      `"${routing.campaign.title}" raised more than its goal. The extra ৳${routing.amount} went ${destination}.`, {
+        title: 'Campaign overflow routed',
+        data: { campaignId: routing.campaign_id, routingId: routing.id, amount: routing.amount },
+        priority: 'normal'
+    }).catch(console.error);
+  }
+}
+
+// Schedule a campaign's overflow routing in its own transaction and warn the host
+async function scheduleCampaignOverflow(campaignId, trigger) {
+  const routing = await withTransaction(conn => scheduleOverflow(conn, campaignId, {
+    trigger,
+    defaultOverrideHours: OVERFLOW_OVERRIDE_HOURS
+  }));
+  if (routing) notifyOverflowScheduled(routing).catch(console.error);
+  return routing;
+}
+
+// Move a scheduled routing's money out of the campaign fund. A routing that cannot run is
+// marked failed and the host is told; one that is no longer scheduled is an error.
+async function executeOverflowRouting(routingId, executedBy = null) {
+  let routing;
+  try {
+    routing = await withTransaction(async (conn) => {
+      const scheduled = await lockScheduledRouting(conn, routingId);
+      const state = await getOverflowState(conn, scheduled.campaign_id, { lock: true });
+      await lockAccount(conn, 'campaign', scheduled.campaign_id);
+      const { balance } = await getAccountBalance(conn, 'campaign', scheduled.campaign_id);
+      const amount = toLedgerAmount(Math.min(state.overflow, balance));
+
+      if (amount <= 0) {
+        const note = state.overflow <= 0 ? 'Nothing is above the goal any more' : 'The campaign fund has no balance left to route';
+        await closeRouting(conn, scheduled.id, { status: 'skipped', amount: 0, note, by: executedBy });
+        return { ...scheduled, status: 'skipped', amount: 0, campaign: state.campaign };
+      }
+
+      const transfers = [];
+      for (const share of planTransfers(amount, scheduled.allocations)) {
+        const { transactionId, journalId } = await recordFundMovement(conn, {
+          from: normalizeAccount('campaign', scheduled.campaign_id),
+          to: normalizeAccount(share.type, share.id),
+          amount: share.amount,
+          note: `Overflow of campaign "${state.campaign.title}" beyond its goal`,
+          transactionType: 'transfer',
+          createdBy: executedBy
+        });
+        transfers.push({ ...share, transactionId, journalId });
+      }
+      await closeRouting(conn, scheduled.id, { status: 'executed', amount, transfers, by: executedBy });
+      return { ...scheduled, status: 'executed', amount, transfers, campaign: state.campaign };
+    });
+  } catch (err) {
+    if (err.status === 404 || err.status === 409) throw err;
+    console.error(`[Overflow] Routing #${routingId} failed:`, err.message);
+    await closeRouting(promisePool, routingId, { status: 'failed', note: err.message, by: executedBy });
+    const failed = await getRouting(promisePool, routingId);
+    const [campaigns] = await promisePool.query('SELECT title, host_id FROM campaigns WHERE id = ?', [failed.campaign_id]);
+    if (campaigns[0]?.host_id) {
+      createNotification(campaigns[0].host_id, 'campaign_overflow',
+        `Routing the overflow of "${campaigns[0].title}" failed: ${err.message}. The money stays with the campaign.`, {
+          title: 'Campaign overflow failed',
+          data: { campaignId: failed.campaign_id, routingId: failed.id },
+          priority: 'high'
+      }).catch(console.error);
+    }
+    return failed;
+  }
+
+  if (routing.status === 'executed') notifyOverflowExecuted(routing).catch(console.error);
+  return routing;
+}
+
+// Schedule overflow that has no routing yet (campaigns that finished, donations approved while
+// a routing ran) and execute the routings whose override window has passed
+async function runOverflowCycle() {
+  let scheduled = 0;
+  for (const campaign of await findCampaignsToSchedule(promisePool)) {
+    const trigger = campaign.status === 'Finished' ? 'finished' : 'goal_reached';
+    if (await scheduleCampaignOverflow(campaign.id, trigger)) scheduled++;
+  }
+
+  let executed = 0;
+  let failed = 0;
+  for (const routingId of await findDueRoutings(promisePool)) {
+    const routing = await executeOverflowRouting(routingId).catch(err => {
+      console.error(`[Overflow] Routing #${routingId} could not run:`, err.message);
+      return null;
+    });
+    if (routing?.status === 'executed') executed++;
+    if (routing?.status === 'failed') failed++;
+  }
+  return { scheduled, executed, failed };
+}
+
+// Check if campaign has reached goal, with its overflow policy and any routing waiting to run
+app.get('/api/campaigns/:id/overflow-status', async (req, res) => {
+  try {
+    const state = await getOverflowState(promisePool, req.params.id);
+    if (!state) return res.status(404).json({ error: 'Campaign not found' });
+    const { campaign } = state;
+
+    res.json({
+      id: campaign.id,
+      title: campaign.title,
+      raised: state.raised,
+      goal: state.goal,
+      is_full: state.goal > 0 && state.raised >= state.goal ? 1 : 0,
+      overflow_amount: toLedgerAmount(state.raised - state.goal),
+      routed_amount: state.routed,
+      kept_amount: state.kept,
+      unrouted_overflow: state.overflow,
+      policy: await getOverflowPolicy(promisePool, campaign.id),
+      scheduled_routing: await findScheduledRouting(promisePool, campaign.id)
+        .then(routing => routing && getRouting(promisePool, routing.id))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a campaign's overflow policy ('keep' when none was set)
+app.get('/api/campaigns/:id/overflow-policy', async (req, res) => {
+  try {
+    res.json(await getOverflowPolicy(promisePool, req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a campaign's overflow policy
+// ({ policy: keep|wing|central|split, split: [{ type, id, percent }], runOn: goal_reached|finished, overrideHours })
+app.put('/api/campaigns/:id/overflow-policy', async (req, res) => {
+  try {
+    const campaign = await getOverflowCampaign(req.params.id, req.volunteer.id);
+    const policy = parseOverflowPolicy(req.body, campaign.id);
+    await withTransaction(async (conn) => {
+      await saveOverflowPolicy(conn, campaign.id, policy, req.volunteer.id);
+      // Check the destination exists now rather than when the money moves
+      await resolveAllocations(conn, campaign, { policy: policy.policy, split: policy.split });
+    });
+
+    // The campaign may already be past its goal
+    const trigger = campaign.status === 'Finished' ? 'finished' : 'goal_reached';
+    const routing = await scheduleCampaignOverflow(campaign.id, trigger);
+    res.json({ ...(await getOverflowPolicy(promisePool, campaign.id)), scheduled_routing: routing });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Overflow routings of a campaign, newest first
+app.get('/api/campaigns/:id/overflow-routings', async (req, res) => {
+  try {
+    const [rows] = await promisePool.query(
+      'SELECT id FROM overflow_routings WHERE campaign_id = ? ORDER BY created_at DESC',
+      [req.params.id]
+    );
+    res.json(await Promise.all(rows.map(row => getRouting(promisePool, row.id))));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Overflow routings of every campaign (?status=scheduled|executed|cancelled|skipped|failed)
+app.get('/api/overflow-routings', async (req, res) => {
+  const { status } = req.query;
+  try {
+    const [routings] = await promisePool.query(`
+      SELECT r.*, c.title as campaign_title, v.full_name as overridden_by_name
+      FROM overflow_routings r
+      JOIN campaigns c ON c.id = r.campaign_id
+      LEFT JOIN volunteers v ON v.id = r.overridden_by
+      ${status ? 'WHERE r.status = ?' : ''}
+      ORDER BY r.status = 'scheduled' DESC, r.execute_after
+      LIMIT 500
+    `, status ? [status] : []);
+    res.json(routings.map(routing => ({
+      ...routing,
+      allocations: parseJsonField(routing.allocations, []),
+      transfers: parseJsonField(routing.transfers, []),
+      estimated_amount: Number(routing.estimated_amount),
+      amount: routing.amount === null ? null : Number(routing.amount)
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Upload expense invoice
-app.post('/api/expenses/upload-invoice', upload.single('invoice'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// Schedule and execute due overflow routings now instead of waiting for the scheduler
+app.post('/api/overflow-routings/run-cycle', async (req, res) => {
+  try {
+    const run = await jobScheduler.runNow('overflow-cycle', { triggeredBy: req.volunteer.id });
+    if (run.status === 'failed') return res.status(500).json({ error: run.error });
+    res.json(run.result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  const invoiceUrl = `/avatars/${req.file.filename}`;
-  res.json({ invoiceUrl });
 });
 
-// ==================== WING DONATIONS API ====================
-
-// Get wing donations
-app.get('/api/wings/:id/donations', (req, res) => {
-  const { id } = req.params;
-  const { status } = req.query;
-  
-  let query = `
-    SELECT wd.*, v.full_name as donor_name_display, v.avatar as donor_avatar,
-           rv.full_name as reviewed_by_name
-    FROM wing_donations wd
-    LEFT JOIN volunteers v ON wd.volunteer_id = v.id
-    LEFT JOIN volunteers rv ON wd.reviewed_by = rv.id
-    WHERE wd.wing_id = ?
-  `;
-  const params = [id];
-  
-  if (status) {
-    query += ' AND wd.status = ?';
-    params.push(status);
+// Change where a scheduled routing sends the money ({ policy: wing|central|split, split, note })
+app.put('/api/overflow-routings/:id', async (req, res) => {
+  try {
+    const routing = await getRouting(promisePool, req.params.id);
+    if (!routing) return res.status(404).json({ error: 'Overflow routing not found' });
+    const campaign = await getOverflowCampaign(routing.campaign_id, req.volunteer.id);
+    res.json(await withTransaction(conn => overrideRouting(conn, routing.id, campaign, req.body, req.volunteer.id)));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  
-  query += ' ORDER BY wd.created_at DESC';
-  
-  db.all(query, params, (err, donations) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(donations || []);
-  });
 });
 
-// Add wing donation
-app.post('/api/wings/:id/donations', (req, res) => {
-  const { id } = req.params;
-  const { donorName, phoneNumber, amount, paymentMethod, transactionId, isAnonymous, volunteerId } = req.body;
-  
-  if (!donorName || !amount || !paymentMethod || !transactionId) {
-    return res.status(400).json({ error: 'Missing required fields' });
+// Cancel a scheduled routing; the overflow stays with the campaign ({ note })
+app.post('/api/overflow-routings/:id/cancel', async (req, res) => {
+  try {
+    const routing = await getRouting(promisePool, req.params.id);
+    if (!routing) return res.status(404).json({ error: 'Overflow routing not found' });
+    await getOverflowCampaign(routing.campaign_id, req.volunteer.id);
+    await withTransaction(async (conn) => {
+      await lockScheduledRouting(conn, routing.id);
+      await closeRouting(conn, routing.id, { status: 'cancelled', note: req.body.note || null, by: req.volunteer.id });
+    });
+    res.json(await getRouting(promisePool, routing.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  
-  db.run(`
-    INSERT INTO wing_donations (wing_id, donor_name, phone_number, amount, payment_method, transaction_id, is_anonymous, volunteer_id, status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')
-  `, [id, donorName, phoneNumber, amount, paymentMethod, transactionId, isAnonymous ? 1 : 0, volunteerId], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ id: this.lastID, message: 'Donation submitted for approval' });
-  });
 });
 
-// Approve/reject wing donation
-app.put('/api/wings/:wingId/donations/:donationId/status', (req, res) => {
-  const { wingId, donationId } = req.params;
-  const { status, reviewedBy } = req.body;
-  
-  if (!['approved', 'rejected'].includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
+// Run a scheduled routing now, without waiting for the override window to close
+app.post('/api/overflow-routings/:id/execute', async (req, res) => {
+  try {
+    const routing = await getRouting(promisePool, req.params.id);
+    if (!routing) return res.status(404).json({ error: 'Overflow routing not found' });
+    await getOverflowCampaign(routing.campaign_id, req.volunteer.id);
+    const { campaign, ...result } = await executeOverflowRouting(routing.id, req.volunteer.id);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  
-  db.run(`
-    UPDATE wing_donations SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
-    WHERE id = ? AND wing_id = ?
-  `, [status, reviewedBy, donationId, wingId], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    // If approved, add to wing fund
-    if (status === 'approved') {
-      db.get('SELECT * FROM wing_donations WHERE id = ?', [donationId], (err, donation) => {
-        if (donation) {
-          // Add to fund
-          db.run(`
-            INSERT INTO ummah_funds (entity_type, entity_id, balance, total_in, total_out)
-            VALUES ('wing', ?, ?, ?, 0)
-            ON CONFLICT(entity_type, entity_id) DO UPDATE SET
-              balance = balance + ?, total_in = total_in + ?, updated_at = CURRENT_TIMESTAMP
-          `, [wingId, donation.amount, donation.amount, donation.amount, donation.amount]);
-          
-          // Record transaction
-          db.run(`
-            INSERT INTO fund_transactions (from_type, from_id, to_type, to_id, amount, note, transaction_type, status, created_by, donation_id)
-            VALUES ('external', 0, 'wing', ?, ?, ?, 'deposit', 'completed', ?, ?)
-          `, [wingId, donation.amount, `Donation from ${donation.donor_name}`, reviewedBy, donationId]);
-        }
-      });
-    }
-    
-    res.json({ message: `Donation ${status}` });
-  });
 });
 
-// Get wing fund summary
-app.get('/api/wings/:id/fund-summary', (req, res) => {
-  const { id } = req.params;
-  
-  db.get(`
-    SELECT 
-      uf.balance,
-      uf.total_in,
-      uf.total_out,
-      (SELECT COUNT(*) FROM wing_donations WHERE wing_id = ? AND status = 'pending') as pending_donations,
-      (SELECT SUM(amount) FROM wing_donations WHERE wing_id = ? AND status = 'approved') as total_donations,
-      (SELECT SUM(amount) FROM expenses WHERE entity_type = 'wing' AND entity_id = ? AND status = 'approved') as total_expenses
-    FROM ummah_funds uf
-    WHERE uf.entity_type = 'wing' AND uf.entity_id = ?
-  `, [id, id, id, id], (err, summary) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(summary || { balance: 0, total_in: 0, total_out: 0, pending_donations: 0, total_donations: 0, total_expenses: 0 });
-  });
-});
+// ==================== END CAMPAIGN OVERFLOW API ====================
 
-// Get campaign fund summary
-app.get('/api/campaigns/:id/fund-summary', (req, res) => {
-  const { id } = req.params;
-  
-  db.get(`
-    SELECT 
-      c.raised,
-      c.goal,
-      uf.balance,
-      uf.total_in,
-      uf.total_out,
-      (SELECT COUNT(*) FROM donations WHERE campaign_id = ? AND status = 'pending') as pending_donations,
-      (SELECT SUM(amount) FROM expenses WHERE entity_type = 'campaign' AND entity_id = ? AND status = 'approved') as total_expenses,
-      (SELECT SUM(amount) FROM expenses WHERE entity_type = 'campaign' AND entity_id = ? AND status = 'pending') as pending_expenses
-    FROM campaigns c
-    LEFT JOIN ummah_funds uf ON uf.entity_type = 'campaign' AND uf.entity_id = c.id
-    WHERE c.id = ?
-  `, [id, id, id, id], (err, summary) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(summary || { raised: 0, goal: 0, balance: 0, total_in: 0, total_out: 0, pending_donations: 0, total_expenses: 0, pending_expenses: 0 });
+// ==================== FINANCIAL STATEMENTS API ====================
+
+const STATEMENT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const statementFormat = (query) => {
+  const format = String(query.format || 'json').toLowerCase();
+  if (!STATEMENT_FORMATS.includes(format)) {
+    throw ledgerError(`format must be one of ${STATEMENT_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+// Send a statement as JSON or as a CSV / XLSX / PDF download
+async function sendFinancialStatement(res, statement, format, filename) {
+  if (format === 'json') return res.json(statement);
+
+  let body;
+  if (format === 'csv') {
+    body = renderStatementCsv(statement);
+  } else if (format === 'xlsx') {
+    body = renderStatementXlsx(statement);
+  } else {
+    const organization = await loadOrganizationDetails(promisePool);
+    body = Buffer.from(await renderStatementPdf(statement, {
+      organizationName: organization.org_full_name || organization.org_name || 'UYHO'
+    }));
+  }
+  res.set({
+    'Content-Type': STATEMENT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'private, no-store'
   });
+  res.send(body);
+}
+
+// Consolidated income and expenditure statement of every fund (?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|xlsx|pdf)
+app.get('/api/financial-statements/consolidated', async (req, res) => {
+  try {
+    const format = statementFormat(req.query);
+    const period = parseStatementPeriod(req.query);
+    const statement = await buildConsolidatedStatement(promisePool, period);
+    await sendFinancialStatement(res, statement, format, `statement-consolidated-${period.from}-${period.to}`);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Check if campaign has reached goal (for overflow handling)
-app.get('/api/campaigns/:id/overflow-status', (req, res) => {
-  const { id } = req.params;
-  
-  db.get(`
-    SELECT id, title, raised, goal, 
-           CASE WHEN raised >= goal THEN 1 ELSE 0 END as is_full,
-           raised - goal as overflow_amount
-    FROM campaigns WHERE id = ?
-  `, [id], (err, campaign) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
-    res.json(campaign);
-  });
+// Income and expenditure statement of one fund: central (entityId 0), campaign, wing or direct_aid
+// (?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|xlsx|pdf)
+app.get('/api/financial-statements/:type/:entityId', async (req, res) => {
+  const { type, entityId } = req.params;
+  try {
+    const format = statementFormat(req.query);
+    const period = parseStatementPeriod(req.query);
+    const statement = await buildFundStatement(promisePool, type, entityId, period);
+    const { account } = statement;
+    await sendFinancialStatement(res, statement, format, `statement-${account.type}-${account.id}-${period.from}-${period.to}`);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
+// ==================== END FINANCIAL STATEMENTS API ====================
+
 // ==================== END UMMAH FUND API ====================
 
 // ==================== PUSH NOTIFICATIONS API ====================
 
-// Store push subscriptions
-db.run(`
-  CREATE TABLE IF NOT EXISTS push_subscriptions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    volunteer_id INTEGER NOT NULL,
-    endpoint TEXT NOT NULL,
-    keys TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (volunteer_id) REFERENCES volunteers(id),
-    UNIQUE(volunteer_id, endpoint)
-  )
-`)
+// VAPID keys identify this server to browser push services (generate with `npx web-push generate-vapid-keys`)
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || ''
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || ''
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:contact@uyho.org'
+const pushEnabled = !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY)
+
+if (pushEnabled) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY)
+} else {
+  console.warn('[Push] VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY not set - web push delivery is disabled')
+}
+
+// notification_settings column that switches each notification category on/off
+const categorySettingColumns = {
+  social: 'social_notifications',
+  messages: 'message_notifications',
+  donations: 'donation_notifications',
+  campaigns: 'campaign_notifications',
+  wings: 'wing_notifications',
+  badges: 'badge_notifications',
+  system: 'system_notifications'
+}
+
+// 'HH:MM' quiet hours, which may wrap past midnight (e.g. 22:00 - 07:00)
+const isWithinQuietHours = (start, end, now = new Date()) => {
+  if (!start || !end) return false
+  const toMinutes = (value) => {
+    const [h, m] = String(value).split(':').map(Number)
+    return h * 60 + (m || 0)
+  }
+  const current = now.getHours() * 60 + now.getMinutes()
+  const from = toMinutes(start)
+  const to = toMinutes(end)
+  if (isNaN(from) || isNaN(to) || from === to) return false
+  return from < to ? current >= from && current < to : current >= from || current < to
+}
+
+// Decide whether a notification should be pushed to a user's devices
+const shouldPushNotification = (userId, type, data) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM notification_settings WHERE user_id = ?', [userId], (err, settings) => {
+      if (err) return reject(err)
+
+      if (settings) {
+        const column = categorySettingColumns[notificationCategories[type] || 'system']
+        if (settings.push_enabled === 0 || settings[column] === 0) return resolve(false)
+        if (isWithinQuietHours(settings.quiet_hours_start, settings.quiet_hours_end)) return resolve(false)
+      }
+
+      // Chat notifications respect muted conversations/groups
+      const conversationId = data && data.conversationId
+      const groupId = data && data.groupId
+      if (!conversationId && !groupId) return resolve(true)
+
+      db.get(
+        conversationId
+          ? 'SELECT id FROM muted_chats WHERE user_id = ? AND conversation_id = ?'
+          : 'SELECT id FROM muted_chats WHERE user_id = ? AND group_id = ?',
+        [userId, conversationId || groupId],
+        (mutedErr, muted) => {
+          if (mutedErr) return reject(mutedErr)
+          resolve(!muted)
+        }
+      )
+    })
+  })
+}
+
+// Helper to push a payload to every subscribed device of a user.
+// Subscriptions the push service reports as gone (404/410) are removed.
+const sendPushToUser = async (userId, type, payload) => {
+  const result = { sent: 0, failed: 0, pruned: 0, skipped: false }
+
+  if (!pushEnabled) return { ...result, skipped: true }
+  if (!(await shouldPushNotification(userId, type, payload.data))) {
+    return { ...result, skipped: true }
+  }
+
+  const subscriptions = await new Promise((resolve, reject) => {
+    db.all('SELECT * FROM push_subscriptions WHERE user_id = ?', [userId], (err, rows) => {
+      if (err) reject(err)
+      else resolve(rows || [])
+    })
+  })
+
+  const body = JSON.stringify(payload)
+  await Promise.all(subscriptions.map(async (sub) => {
+    try {
+      await webpush.sendNotification({
+        endpoint: sub.endpoint,
+        keys: { p256dh: sub.p256dh, auth: sub.auth }
+      }, body, { TTL: 60 * 60 * 24 })
+      result.sent++
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        db.run('DELETE FROM push_subscriptions WHERE id = ?', [sub.id])
+        result.pruned++
+      } else {
+        console.error(`[Push] Failed to deliver to subscription ${sub.id}:`, err.statusCode || err.message)
+        result.failed++
+      }
+    }
+  }))
+
+  return result
+}
+
+// Get the VAPID public key (the browser needs it to subscribe)
+app.get('/api/push/public-key', (req, res) => {
+  if (!pushEnabled) {
+    return res.status(503).json({ error: 'Push notifications are not configured' })
+  }
+  res.json({ publicKey: VAPID_PUBLIC_KEY })
+})
 
 // Subscribe to push notifications
 app.post('/api/push/subscribe', (req, res) => {
-  const { volunteerId, subscription } = req.body;
-  
-  if (!volunteerId || !subscription) {
+  const { subscription } = req.body;
+  const volunteerId = req.volunteer.id;
+
+  if (!subscription || !subscription.endpoint || !subscription.keys) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
-  
-  db.run(`
-    INSERT OR REPLACE INTO push_subscriptions (volunteer_id, endpoint, keys, created_at)
-    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-  `, [volunteerId, subscription.endpoint, JSON.stringify(subscription.keys)], function(err) {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ success: true, id: this.lastID });
+
+  // A browser endpoint belongs to one device, so it moves to whoever subscribed last
+  db.run('DELETE FROM push_subscriptions WHERE endpoint = ?', [subscription.endpoint], (deleteErr) => {
+    if (deleteErr) return res.status(500).json({ error: deleteErr.message });
+
+    db.run(`
+      INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth)
+      VALUES (?, ?, ?, ?)
+    `, [volunteerId, subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth], function(err) {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: true, id: this.lastID });
+    });
   });
 });
 
 // Unsubscribe from push notifications
 app.post('/api/push/unsubscribe', (req, res) => {
-  const { volunteerId, endpoint } = req.body;
-  
-  db.run(`DELETE FROM push_subscriptions WHERE volunteer_id = ? AND endpoint = ?`, 
+  const { endpoint } = req.body;
+  const volunteerId = req.volunteer.id;
+
+  db.run(`DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?`,
     [volunteerId, endpoint], function(err) {
     if (err) return res.status(500).json({ error: err.message });
     res.json({ success: true });
   });
 });
 
-// Send notification to a specific user (internal use)
+// Send notification to a specific user (saved in-app and pushed to their devices)
 app.post('/api/push/send', async (req, res) => {
-  const { volunteerId, title, body, url, data } = req.body;
-  
-  // Get user's subscriptions
-  db.all(`SELECT * FROM push_subscriptions WHERE volunteer_id = ?`, [volunteerId], async (err, subscriptions) => {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    // For now, just log - actual push requires web-push library
-    console.log(`[Push] Sending notification to user ${volunteerId}:`, { title, body });
-    
-    // Store notification for in-app display
-    db.run(`
-      INSERT INTO notifications (volunteer_id, type, title, body, url, data, created_at)
-      VALUES (?, 'push', ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `, [volunteerId, title, body, url, JSON.stringify(data)]);
-    
-    res.json({ success: true, sent: subscriptions.length });
-  });
+  const { volunteerId, title, body, url, data, type = 'system_update' } = req.body;
+
+  if (!volunteerId || !body) {
+    return res.status(400).json({ error: 'volunteerId and body are required' });
+  }
+
+  try {
+    const payloadData = { ...(data || {}), url };
+    const notificationId = await createNotification(volunteerId, type, body, {
+      title,
+      data: payloadData,
+      actorId: req.volunteer.id,
+      push: false
+    });
+
+    const delivery = await sendPushToUser(volunteerId, type, {
+      title: title || 'UYHO',
+      body,
+      data: { ...payloadData, notificationId, type }
+    });
+
+    res.json({ success: true, id: notificationId, ...delivery });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ==================== END PUSH NOTIFICATIONS API ====================
 
+// ==================== SCHEDULED JOBS API ====================
+
+const SCHEDULER_TICK_SECONDS = parseInt(process.env.SCHEDULER_TICK_SECONDS) || 60;
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30;
+
+const jobScheduler = createScheduler(promisePool, { tickSeconds: SCHEDULER_TICK_SECONDS });
+
+// Mark campaigns whose event date has passed as Finished and schedule their overflow, as
+// finishing one by hand does
+async function finishPastCampaigns() {
+  const [campaigns] = await promisePool.query(`
+    SELECT id FROM campaigns
+    WHERE event_date IS NOT NULL AND event_date < CURDATE() AND status != 'Finished'
+  `);
+  let finished = 0;
+  for (const { id } of campaigns) {
+    const [result] = await promisePool.query(
+      "UPDATE campaigns SET status = 'Finished' WHERE id = ? AND status != 'Finished'",
+      [id]
+    );
+    if (!result.affectedRows) continue;
+    finished++;
+    await scheduleCampaignOverflow(id, 'finished').catch(err => console.error('[Overflow] Scheduling failed:', err.message));
+  }
+  return { finished };
+}
+
+// Recompute the counters kept up to date as things change (raised totals, campaign team size)
+// in case one drifted. Returns how many rows each one corrected.
+async function reconcileCounters() {
+  const [campaignRaised] = await promisePool.query(`
+    UPDATE campaigns c
+    LEFT JOIN (
+      SELECT campaign_id, SUM(amount) as total FROM donations
+      WHERE status = 'approved' AND campaign_id IS NOT NULL GROUP BY campaign_id
+    ) d ON d.campaign_id = c.id
+    SET c.raised = COALESCE(c.legacy_raised, 0) + COALESCE(d.total, 0)
+    WHERE ROUND(COALESCE(c.raised, 0), 2) <> ROUND(COALESCE(c.legacy_raised, 0) + COALESCE(d.total, 0), 2)
+  `);
+  const [directAidRaised] = await promisePool.query(`
+    UPDATE direct_aids da
+    LEFT JOIN (
+      SELECT direct_aid_id, SUM(amount) as total FROM donations
+      WHERE status = 'approved' AND direct_aid_id IS NOT NULL GROUP BY direct_aid_id
+    ) d ON d.direct_aid_id = da.id
+    LEFT JOIN (
+      SELECT direct_aid_id, SUM(amount) as total FROM direct_aid_donations
+      WHERE status = 'approved' GROUP BY direct_aid_id
+    ) dad ON dad.direct_aid_id = da.id
+    SET da.raised_amount = COALESCE(da.legacy_raised, 0) + COALESCE(d.total, 0) + COALESCE(dad.total, 0)
+    WHERE ROUND(COALESCE(da.raised_amount, 0), 2) <>
+      ROUND(COALESCE(da.legacy_raised, 0) + COALESCE(d.total, 0) + COALESCE(dad.total, 0), 2)
+  `);
+  const [campaignJoined] = await promisePool.query(`
+    UPDATE campaigns c
+    LEFT JOIN (
+      SELECT campaign_id, COUNT(*) as joined FROM campaign_team GROUP BY campaign_id
+    ) t ON t.campaign_id = c.id
+    SET c.volunteers_joined = COALESCE(t.joined, 0)
+    WHERE COALESCE(c.volunteers_joined, 0) <> COALESCE(t.joined, 0)
+  `);
+  return {
+    campaignRaised: campaignRaised.affectedRows,
+    directAidRaised: directAidRaised.affectedRows,
+    campaignJoined: campaignJoined.affectedRows
+  };
+}
+
+jobScheduler.register('finish-campaigns', {
+  description: 'Mark campaigns whose event date has passed as Finished',
+  intervalMinutes: 60,
+  run: finishPastCampaigns
+});
+jobScheduler.register('archive-notifications', {
+  description: `Archive notifications older than ${NOTIFICATION_ARCHIVE_DAYS} days`,
+  intervalMinutes: 24 * 60,
+  run: async () => ({ archived: await archiveOldNotifications(NOTIFICATION_ARCHIVE_DAYS) })
+});
+jobScheduler.register('pledge-cycle', {
+  description: 'Generate pledge installments, mark missed ones and send reminders',
+  intervalMinutes: PLEDGE_CYCLE_INTERVAL_MINUTES,
+  leaseMinutes: 30,
+  run: runPledgeCycle
+});
+jobScheduler.register('overflow-cycle', {
+  description: 'Schedule campaign overflow and execute routings whose override window has passed',
+  intervalMinutes: OVERFLOW_CHECK_INTERVAL_MINUTES,
+  run: runOverflowCycle
+});
+jobScheduler.register('reconcile-counters', {
+  description: 'Recompute raised totals and campaign team sizes',
+  intervalMinutes: 6 * 60,
+  run: reconcileCounters
+});
+jobScheduler.register('prune-job-runs', {
+  description: `Delete job run history older than ${JOB_RUN_RETENTION_DAYS} days`,
+  intervalMinutes: 24 * 60,
+  run: async () => ({ deleted: await jobScheduler.pruneRuns(JOB_RUN_RETENTION_DAYS) })
+});
+
+databaseReady
+  .then(() => jobScheduler.start())
+  .catch(err => console.error('[Scheduler] Failed to start:', err.message));
+
+const jobRunLimit = (value) => Math.min(parseInt(value) || 50, 500);
+
+// List the background jobs with their schedule and last run
+app.get('/api/jobs', async (req, res) => {
+  try {
+    res.json({ machine: jobScheduler.machineId, jobs: await jobScheduler.list() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Latest runs of every job
+app.get('/api/jobs/runs', async (req, res) => {
+  try {
+    res.json(await jobScheduler.runs(null, { limit: jobRunLimit(req.query.limit) }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Latest runs of one job
+app.get('/api/jobs/:name/runs', async (req, res) => {
+  try {
+    res.json(await jobScheduler.runs(req.params.name, { limit: jobRunLimit(req.query.limit) }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Run a job now; answers with the finished run, failed or not
+app.post('/api/jobs/:name/run', async (req, res) => {
+  try {
+    res.json(await jobScheduler.runNow(req.params.name, { triggeredBy: req.volunteer.id }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Pause or resume a job, or change its interval ({ enabled, intervalMinutes })
+app.put('/api/jobs/:name', async (req, res) => {
+  try {
+    const { enabled, intervalMinutes } = req.body;
+    await jobScheduler.update(req.params.name, { enabled, intervalMinutes }, req.volunteer.id);
+    const jobs = await jobScheduler.list();
+    res.json(jobs.find(job => job.name === req.params.name));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ==================== END SCHEDULED JOBS API ====================
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running at http://localhost:${PORT}`)
   console.log(`Network accessible at http://192.168.0.5:${PORT}`)
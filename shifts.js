@@ -0,0 +1,400 @@
+// Campaign shifts and role slots.
+//
+// A multi-day campaign is split into shifts, each with a date, start and end time and a
+// location. A shift ending at or before its start time runs past midnight. Each shift has role
+// slots with a headcount, and team members sign up for one slot per shift. A volunteer cannot
+// hold two shifts that overlap in time, on this campaign or any other.
+//
+// Hours are credited per shift worked: check-in sessions and hand-made attendance can be for a
+// shift (attendance.js), and what the host confirms is credited as for any attendance.
+//
+// Signing up locks the volunteer's row and then the shift's, so two signups at once can neither
+// overfill a slot nor both pass the overlap check.
+
+import { ledgerError } from './ledger.js';
+
+export const SHIFT_SIGNUP_STATUSES = ['signed_up', 'cancelled'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Times are formatted in SQL so they read as entered, whatever the server's time zone
+const SHIFT_COLUMNS = `s.*, DATE_FORMAT(s.starts_at, '%Y-%m-%d') as shift_date,
+  DATE_FORMAT(s.starts_at, '%H:%i') as start_time, DATE_FORMAT(s.ends_at, '%H:%i') as end_time,
+  ROUND(TIMESTAMPDIFF(MINUTE, s.starts_at, s.ends_at) / 60, 2) as hours, s.ends_at <= NOW() as ended`;
+
+const cleanText = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+const toShift = (row) => ({ ...row, hours: Number(row.hours), ended: Boolean(Number(row.ended)) });
+
+// A date (YYYY-MM-DD) and start and end times (HH:MM) as the DATETIMEs stored
+export function parseShiftTimes({ date, startTime, endTime }) {
+  const day = String(date || '').trim();
+  const midnight = new Date(`${day}T00:00:00Z`);
+  if (!DATE_PATTERN.test(day) || Number.isNaN(midnight.getTime()) || midnight.toISOString().slice(0, 10) !== day) {
+    throw ledgerError('date must be a date as YYYY-MM-DD');
+  }
+  const start = String(startTime || '').trim();
+  const end = String(endTime || '').trim();
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) throw ledgerError('startTime and endTime must be times as HH:MM');
+
+  let endDay = day;
+  if (end <= start) {
+    midnight.setUTCDate(midnight.getUTCDate() + 1);
+    endDay = midnight.toISOString().slice(0, 10);
+  }
+  return { startsAt: `${day} ${start}:00`, endsAt: `${endDay} ${end}:00` };
+}
+
+const parseSlots = (slots) => {
+  if (!Array.isArray(slots) || !slots.length) throw ledgerError('slots must list at least one { role, headcount }');
+  const parsed = slots.map(slot => {
+    const role = cleanText(slot?.role);
+    const headcount = Number(slot?.headcount);
+    if (!role) throw ledgerError('Every slot needs a role');
+    if (!Number.isInteger(headcount) || headcount < 1) throw ledgerError(`Headcount of ${role} must be a whole number of 1 or more`);
+    return { id: slot.id ? Number(slot.id) : null, role, headcount, taskNote: cleanText(slot.taskNote) };
+  });
+  if (new Set(parsed.map(slot => slot.role)).size !== parsed.length) throw ledgerError('A role is listed twice in this shift');
+  return parsed;
+};
+
+export async function lockShift(conn, campaignId, shiftId) {
+  const [rows] = await conn.query(
+    `SELECT ${SHIFT_COLUMNS} FROM campaign_shifts s WHERE s.id = ? AND s.campaign_id = ? FOR UPDATE`,
+    [shiftId, campaignId]
+  );
+  if (!rows[0]) throw ledgerError('Shift not found', 404);
+  return toShift(rows[0]);
+}
+
+// The volunteer's shift, on any campaign, that overlaps the given time
+async function findOverlap(conn, volunteerId, startsAt, endsAt, exceptShiftId) {
+  const [rows] = await conn.query(`
+    SELECT s.title, c.title as campaign_title,
+      DATE_FORMAT(s.starts_at, '%Y-%m-%d %H:%i') as starts, DATE_FORMAT(s.ends_at, '%H:%i') as ends
+    FROM campaign_shift_signups su
+    JOIN campaign_shifts s ON s.id = su.shift_id
+    JOIN campaigns c ON c.id = s.campaign_id
+    WHERE su.volunteer_id = ? AND su.status = 'signed_up' AND s.id <> ? AND s.starts_at < ? AND s.ends_at > ?
+    ORDER BY s.starts_at
+    LIMIT 1
+  `, [volunteerId, exceptShiftId, endsAt, startsAt]);
+  return rows[0] || null;
+}
+
+const describeOverlap = (shift) => `${shift.title ? `"${shift.title}" ` : ''}on "${shift.campaign_title}" (${shift.starts}-${shift.ends})`;
+
+// Replace a shift's slots. Slots sent with their id are kept and updated; a slot left out is
+// removed. Neither may leave volunteers signed up without a place.
+export async function saveShiftSlots(conn, shiftId, slots) {
+  const parsed = parseSlots(slots);
+  const [current] = await conn.query(`
+    SELECT sl.*, COUNT(su.id) as filled
+    FROM campaign_shift_slots sl
+    LEFT JOIN campaign_shift_signups su ON su.slot_id = sl.id AND su.status = 'signed_up'
+    WHERE sl.shift_id = ?
+    GROUP BY sl.id
+  `, [shiftId]);
+  const byId = new Map(current.map(slot => [slot.id, slot]));
+  const kept = new Set();
+  for (const slot of parsed) {
+    if (!slot.id) continue;
+    const existing = byId.get(slot.id);
+    if (!existing) throw ledgerError(`Slot ${slot.id} is not part of this shift`);
+    if (slot.headcount < Number(existing.filled)) {
+      throw ledgerError(`${existing.filled} volunteers are signed up for ${existing.role}; cancel some signups before lowering its headcount`, 409);
+    }
+    kept.add(slot.id);
+  }
+  const removed = current.filter(slot => !kept.has(slot.id));
+  const occupied = removed.find(slot => Number(slot.filled) > 0);
+  if (occupied) throw ledgerError(`Volunteers are signed up for ${occupied.role}; cancel their signups before removing the slot`, 409);
+
+  for (const slot of removed) {
+    await conn.query('DELETE FROM campaign_shift_slots WHERE id = ?', [slot.id]);
+  }
+  for (const slot of parsed) {
+    if (slot.id) {
+      await conn.query(
+        'UPDATE campaign_shift_slots SET role = ?, headcount = ?, task_note = ? WHERE id = ?',
+        [slot.role, slot.headcount, slot.taskNote, slot.id]
+      );
+    } else {
+      await conn.query(
+        'INSERT INTO campaign_shift_slots (shift_id, role, headcount, task_note) VALUES (?, ?, ?, ?)',
+        [shiftId, slot.role, slot.headcount, slot.taskNote]
+      );
+    }
+  }
+}
+
+// Returns the new shift's id
+export async function createShift(conn, campaignId, { title, date, startTime, endTime, location, notes, slots, createdBy }) {
+  const { startsAt, endsAt } = parseShiftTimes({ date, startTime, endTime });
+  const [result] = await conn.query(`
+    INSERT INTO campaign_shifts (campaign_id, title, starts_at, ends_at, location, notes, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [campaignId, cleanText(title), startsAt, endsAt, cleanText(location), cleanText(notes), createdBy]);
+  await saveShiftSlots(conn, result.insertId, slots);
+  return result.insertId;
+}
+
+// Change a shift's details, times or slots. Moving a shift is refused when it would overlap
+// another shift of someone signed up. Returns whether the time or place changed.
+export async function updateShift(conn, shift, { title, date, startTime, endTime, location, notes, slots }) {
+  const sets = [];
+  const params = [];
+  let moved = false;
+
+  if (date !== undefined || startTime !== undefined || endTime !== undefined) {
+    const { startsAt, endsAt } = parseShiftTimes({
+      date: date ?? shift.shift_date,
+      startTime: startTime ?? shift.start_time,
+      endTime: endTime ?? shift.end_time
+    });
+    const [signups] = await conn.query(`
+      SELECT su.volunteer_id, v.full_name FROM campaign_shift_signups su
+      JOIN volunteers v ON v.id = su.volunteer_id
+      WHERE su.shift_id = ? AND su.status = 'signed_up'
+    `, [shift.id]);
+    for (const signup of signups) {
+      const overlap = await findOverlap(conn, signup.volunteer_id, startsAt, endsAt, shift.id);
+      if (overlap) throw ledgerError(`${signup.full_name} would then overlap their shift ${describeOverlap(overlap)}`, 409);
+    }
+    sets.push('starts_at = ?', 'ends_at = ?');
+    params.push(startsAt, endsAt);
+    moved = true;
+  }
+  if (title !== undefined) {
+    sets.push('title = ?');
+    params.push(cleanText(title));
+  }
+  if (location !== undefined) {
+    sets.push('location = ?');
+    params.push(cleanText(location));
+    moved = moved || cleanText(location) !== shift.location;
+  }
+  if (notes !== undefined) {
+    sets.push('notes = ?');
+    params.push(cleanText(notes));
+  }
+  if (!sets.length && slots === undefined) throw ledgerError('Nothing to update');
+
+  if (sets.length) await conn.query(`UPDATE campaign_shifts SET ${sets.join(', ')} WHERE id = ?`, [...params, shift.id]);
+  if (slots !== undefined) await saveShiftSlots(conn, shift.id, slots);
+  return { moved };
+}
+
+// Delete a shift nobody has attended. Returns the volunteers who were signed up.
+export async function deleteShift(conn, shift) {
+  const [[{ attended }]] = await conn.query(
+    "SELECT COUNT(*) as attended FROM campaign_attendance WHERE shift_id = ? AND status <> 'rejected'",
+    [shift.id]
+  );
+  if (Number(attended)) throw ledgerError('Attendance was recorded for this shift; it can no longer be deleted', 409);
+  const [sessions] = await conn.query(
+    "SELECT id FROM campaign_checkin_sessions WHERE shift_id = ? AND status = 'open' LIMIT 1",
+    [shift.id]
+  );
+  if (sessions[0]) throw ledgerError('Close the check-in session of this shift first', 409);
+
+  const signedUp = await getShiftSignupIds(conn, shift.id);
+  await conn.query('DELETE FROM campaign_shifts WHERE id = ?', [shift.id]);
+  return signedUp;
+}
+
+// Volunteers signed up for a shift; with unrecorded, only those without attendance for it yet
+export async function getShiftSignupIds(conn, shiftId, { unrecorded = false } = {}) {
+  const [rows] = await conn.query(`
+    SELECT su.volunteer_id FROM campaign_shift_signups su
+    WHERE su.shift_id = ? AND su.status = 'signed_up'
+    ${unrecorded ? `AND NOT EXISTS (
+      SELECT 1 FROM campaign_attendance a
+      WHERE a.shift_id = su.shift_id AND a.volunteer_id = su.volunteer_id AND a.status <> 'rejected'
+    )` : ''}
+    ORDER BY su.signed_up_at, su.id
+  `, [shiftId]);
+  return rows.map(row => row.volunteer_id);
+}
+
+// Sign a team member up for a slot. Returns { shift, slot, signupId }.
+export async function signUpForSlot(conn, campaignId, { shiftId, slotId, volunteerId }) {
+  await conn.query('SELECT id FROM volunteers WHERE id = ? FOR UPDATE', [volunteerId]);
+  const shift = await lockShift(conn, campaignId, shiftId);
+  if (shift.ended) throw ledgerError('This shift is over', 409);
+
+  const [members] = await conn.query(
+    "SELECT id FROM campaign_team WHERE campaign_id = ? AND volunteer_id = ? AND approval_status IN ('pending', 'approved') LIMIT 1",
+    [campaignId, volunteerId]
+  );
+  if (!members[0]) throw ledgerError('Join the campaign team before signing up for a shift', 403);
+
+  const [slots] = await conn.query('SELECT * FROM campaign_shift_slots WHERE id = ? AND shift_id = ?', [slotId, shift.id]);
+  const slot = slots[0];
+  if (!slot) throw ledgerError('Slot not found', 404);
+
+  const [existing] = await conn.query(
+    "SELECT slot_id FROM campaign_shift_signups WHERE shift_id = ? AND volunteer_id = ? AND status = 'signed_up'",
+    [shift.id, volunteerId]
+  );
+  if (existing[0]) {
+    throw ledgerError(existing[0].slot_id === slot.id
+      ? 'You are already signed up for this slot'
+      : 'You are already signed up for another slot of this shift; cancel it first', 409);
+  }
+  const [[{ filled }]] = await conn.query(
+    "SELECT COUNT(*) as filled FROM campaign_shift_signups WHERE slot_id = ? AND status = 'signed_up'",
+    [slot.id]
+  );
+  if (Number(filled) >= slot.headcount) throw ledgerError(`${slot.role} is full for this shift`, 409);
+
+  const overlap = await findOverlap(conn, volunteerId, shift.starts_at, shift.ends_at, shift.id);
+  if (overlap) throw ledgerError(`This shift overlaps your shift ${describeOverlap(overlap)}`, 409);
+
+  await conn.query(`
+    INSERT INTO campaign_shift_signups (campaign_id, shift_id, slot_id, volunteer_id) VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE slot_id = VALUES(slot_id), status = 'signed_up', signed_up_at = CURRENT_TIMESTAMP, cancelled_at = NULL
+  `, [campaignId, shift.id, slot.id, volunteerId]);
+  const [saved] = await conn.query(
+    'SELECT id FROM campaign_shift_signups WHERE shift_id = ? AND volunteer_id = ?',
+    [shift.id, volunteerId]
+  );
+  return { shift, slot, signupId: saved[0].id };
+}
+
+// Cancel a volunteer's signup for a shift, unless they already attended it. Returns the shift.
+export async function cancelShiftSignup(conn, campaignId, shiftId, volunteerId) {
+  const shift = await lockShift(conn, campaignId, shiftId);
+  const [signups] = await conn.query(
+    "SELECT id FROM campaign_shift_signups WHERE shift_id = ? AND volunteer_id = ? AND status = 'signed_up'",
+    [shift.id, volunteerId]
+  );
+  if (!signups[0]) throw ledgerError('Not signed up for this shift', 404);
+  const [attended] = await conn.query(
+    "SELECT id FROM campaign_attendance WHERE shift_id = ? AND volunteer_id = ? AND status <> 'rejected' LIMIT 1",
+    [shift.id, volunteerId]
+  );
+  if (attended[0]) throw ledgerError('Attendance for this shift was already recorded', 409);
+  await conn.query(
+    "UPDATE campaign_shift_signups SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [signups[0].id]
+  );
+  return shift;
+}
+
+// Cancel every signup of a volunteer leaving the campaign team
+export async function cancelCampaignSignups(conn, campaignId, volunteerId) {
+  await conn.query(`
+    UPDATE campaign_shift_signups SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+    WHERE campaign_id = ? AND volunteer_id = ? AND status = 'signed_up'
+  `, [campaignId, volunteerId]);
+}
+
+// Copy a campaign's shifts and slots, without signups, onto another campaign, moved by the days
+// between fromDate (the first shift's day when null) and toDate. Returns how many were copied.
+export async function copyShifts(conn, fromCampaignId, toCampaignId, { fromDate = null, toDate, createdBy = null }) {
+  const [shifts] = await conn.query('SELECT id FROM campaign_shifts WHERE campaign_id = ? ORDER BY starts_at, id', [fromCampaignId]);
+  if (!shifts.length) return 0;
+  const [[{ offset }]] = await conn.query(`
+    SELECT DATEDIFF(?, COALESCE(?, (SELECT DATE(MIN(starts_at)) FROM campaign_shifts WHERE campaign_id = ?))) as offset
+  `, [toDate, fromDate, fromCampaignId]);
+  for (const shift of shifts) {
+    const [result] = await conn.query(`
+      INSERT INTO campaign_shifts (campaign_id, title, starts_at, ends_at, location, notes, created_by)
+      SELECT ?, title, starts_at + INTERVAL ? DAY, ends_at + INTERVAL ? DAY, location, notes, ?
+      FROM campaign_shifts WHERE id = ?
+    `, [toCampaignId, offset, offset, createdBy, shift.id]);
+    await conn.query(`
+      INSERT INTO campaign_shift_slots (shift_id, role, headcount, task_note)
+      SELECT ?, role, headcount, task_note FROM campaign_shift_slots WHERE shift_id = ?
+    `, [result.insertId, shift.id]);
+  }
+  return shifts.length;
+}
+
+// Shifts of a campaign with their slots, who signed up and whether they attended, and the
+// given volunteer's own signup
+export async function listShifts(conn, campaignId, volunteerId = null) {
+  const [shifts] = await conn.query(
+    `SELECT ${SHIFT_COLUMNS} FROM campaign_shifts s WHERE s.campaign_id = ? ORDER BY s.starts_at, s.id`,
+    [campaignId]
+  );
+  const [slots] = await conn.query(`
+    SELECT sl.* FROM campaign_shift_slots sl
+    JOIN campaign_shifts s ON s.id = sl.shift_id
+    WHERE s.campaign_id = ?
+    ORDER BY sl.id
+  `, [campaignId]);
+  const [signups] = await conn.query(`
+    SELECT su.id, su.shift_id, su.slot_id, su.volunteer_id, su.signed_up_at, v.full_name, v.avatar, v.digital_id,
+      a.id as attendance_id, a.status as attendance_status, a.confirmed_hours
+    FROM campaign_shift_signups su
+    JOIN volunteers v ON v.id = su.volunteer_id
+    LEFT JOIN campaign_attendance a ON a.id = (
+      SELECT MAX(id) FROM campaign_attendance
+      WHERE shift_id = su.shift_id AND volunteer_id = su.volunteer_id AND status <> 'rejected'
+    )
+    WHERE su.campaign_id = ? AND su.status = 'signed_up'
+    ORDER BY su.signed_up_at, su.id
+  `, [campaignId]);
+
+  return shifts.map(row => {
+    const shift = toShift(row);
+    const shiftSlots = slots.filter(slot => slot.shift_id === shift.id).map(slot => {
+      const taken = signups
+        .filter(signup => signup.slot_id === slot.id)
+        .map(signup => ({ ...signup, confirmed_hours: signup.confirmed_hours === null ? null : Number(signup.confirmed_hours) }));
+      return { ...slot, filled: taken.length, open: Math.max(0, slot.headcount - taken.length), signups: taken };
+    });
+    const mine = volunteerId && signups.find(signup => signup.shift_id === shift.id && signup.volunteer_id === volunteerId);
+    return {
+      ...shift,
+      headcount: shiftSlots.reduce((sum, slot) => sum + slot.headcount, 0),
+      filled: shiftSlots.reduce((sum, slot) => sum + slot.filled, 0),
+      slots: shiftSlots,
+      my_signup: mine ? { id: mine.id, slot_id: mine.slot_id, attendance_status: mine.attendance_status } : null
+    };
+  });
+}
+
+// Slots of upcoming shifts still short of volunteers, with totals across those shifts
+export async function getCoverage(conn, campaignId) {
+  const upcoming = (await listShifts(conn, campaignId)).filter(shift => !shift.ended);
+  const unfilled = [];
+  for (const shift of upcoming) {
+    for (const slot of shift.slots) {
+      if (!slot.open) continue;
+      unfilled.push({
+        shift_id: shift.id,
+        title: shift.title,
+        shift_date: shift.shift_date,
+        start_time: shift.start_time,
+        end_time: shift.end_time,
+        location: shift.location,
+        slot_id: slot.id,
+        role: slot.role,
+        headcount: slot.headcount,
+        filled: slot.filled,
+        open: slot.open
+      });
+    }
+  }
+  const headcount = upcoming.reduce((sum, shift) => sum + shift.headcount, 0);
+  const filled = upcoming.reduce((sum, shift) => sum + shift.filled, 0);
+  return { shifts: upcoming.length, headcount, filled, open: headcount - filled, unfilled };
+}
+
+// A volunteer's upcoming shifts on every campaign
+export async function listVolunteerShifts(conn, volunteerId) {
+  const [rows] = await conn.query(`
+    SELECT ${SHIFT_COLUMNS}, su.id as signup_id, sl.id as slot_id, sl.role, sl.task_note, c.title as campaign_title
+    FROM campaign_shift_signups su
+    JOIN campaign_shifts s ON s.id = su.shift_id
+    JOIN campaign_shift_slots sl ON sl.id = su.slot_id
+    JOIN campaigns c ON c.id = s.campaign_id
+    WHERE su.volunteer_id = ? AND su.status = 'signed_up' AND s.ends_at > NOW()
+    ORDER BY s.starts_at
+  `, [volunteerId]);
+  return rows.map(toShift);
+}
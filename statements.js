@@ -0,0 +1,399 @@
+// Bank and mobile-wallet statement import for donation reconciliation.
+//
+// A treasurer uploads the CSV statement of a bKash, Nagad, Rocket or bank account. The provider's
+// column mapping (statement_mappings, falling back to DEFAULT_MAPPINGS) says which columns hold the
+// transaction ID, amount, date, sender and direction, how dates are written and which
+// payment methods the statement covers. Every incoming line is matched against the donations of
+// all three tables by normalized transaction ID:
+//   exact     - one pending donation with the same amount, reported within the date tolerance
+//   mismatch  - donations share the transaction ID but the amount or date differ, several pending
+//               ones share it, or it was rejected / failed
+//   settled   - the donation is already approved
+//   duplicate - the transaction ID appeared earlier in the same statement
+//   unmatched - no donation carries the transaction ID
+// Exact lines can be approved in bulk; the rest, and pending donations of the statement's period
+// that no line matched, are left for a person to resolve.
+
+import { normalizeTransactionId } from './donation-screening.js';
+import { DONATION_HISTORY_SQL } from './donors.js';
+import { ledgerError } from './ledger.js';
+
+export const MATCH_STATUSES = ['exact', 'mismatch', 'settled', 'duplicate', 'unmatched'];
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'DD-MMM-YYYY', 'DD MMM YYYY'];
+export const STATEMENT_MAX_LINES = 5000;
+
+// Starting points for the common exports; each can be replaced with PUT /api/statement-mappings/:provider
+export const DEFAULT_MAPPINGS = {
+  bkash: {
+    label: 'bKash',
+    columns: { transactionId: 'Transaction ID', amount: 'Amount', date: 'Date', sender: 'From', direction: 'Type' },
+    creditValues: ['Cash In', 'Received', 'Payment Received'],
+    dateFormat: 'DD/MM/YYYY',
+    paymentMethods: ['bkash']
+  },
+  nagad: {
+    label: 'Nagad',
+    columns: { transactionId: 'TxnID', amount: 'Amount', date: 'Date', sender: 'Sender', direction: 'Type' },
+    creditValues: ['Cash In', 'Received'],
+    dateFormat: 'DD/MM/YYYY',
+    paymentMethods: ['nagad']
+  },
+  rocket: {
+    label: 'Rocket',
+    columns: { transactionId: 'TxnId', amount: 'Amount', date: 'Date', sender: 'Account', direction: 'Type' },
+    creditValues: ['Cash In', 'Received'],
+    dateFormat: 'DD/MM/YYYY',
+    paymentMethods: ['rocket']
+  },
+  bank: {
+    label: 'Bank account',
+    columns: { transactionId: 'Reference', amount: 'Credit', date: 'Date', sender: 'Description' },
+    creditValues: [],
+    dateFormat: 'DD-MMM-YYYY',
+    paymentMethods: ['bank']
+  }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const HISTORY_TRANSACTION_ID_SQL = "UPPER(REPLACE(REPLACE(TRIM(h.transaction_id), ' ', ''), '-', ''))";
+
+// Validate a mapping from the request body; provider is a short lowercase key
+export function parseMapping(provider, body) {
+  if (!/^[a-z0-9_-]{2,50}$/.test(provider)) {
+    throw ledgerError('Provider must be 2-50 lowercase letters, digits, dashes or underscores');
+  }
+  const columns = body.columns || {};
+  for (const field of ['transactionId', 'amount', 'date']) {
+    if (!columns[field] || typeof columns[field] !== 'string') {
+      throw ledgerError(`columns.${field} must name the statement column holding it`);
+    }
+  }
+  const dateFormat = body.dateFormat || 'YYYY-MM-DD';
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    throw ledgerError(`dateFormat must be one of ${DATE_FORMATS.join(', ')}`);
+  }
+  const delimiter = body.delimiter || ',';
+  if (![',', ';', '\t', '|'].includes(delimiter)) throw ledgerError('delimiter must be a comma, semicolon, tab or pipe');
+  const skipRows = Number(body.skipRows || 0);
+  if (!Number.isInteger(skipRows) || skipRows < 0 || skipRows > 50) {
+    throw ledgerError('skipRows must be a whole number between 0 and 50');
+  }
+  const list = (value) => (Array.isArray(value) ? value : []).map(item => String(item).trim()).filter(Boolean);
+
+  return {
+    label: String(body.label || provider).trim().slice(0, 100),
+    columns: {
+      transactionId: columns.transactionId.trim(),
+      amount: columns.amount.trim(),
+      date: columns.date.trim(),
+      sender: columns.sender?.trim() || null,
+      direction: columns.direction?.trim() || null
+    },
+    creditValues: list(body.creditValues),
+    dateFormat,
+    delimiter,
+    skipRows,
+    paymentMethods: list(body.paymentMethods).map(method => method.toLowerCase())
+  };
+}
+
+// Stored mappings over the defaults, keyed by provider
+export async function getMappings(conn) {
+  const [rows] = await conn.query('SELECT provider, config, updated_by, updated_at FROM statement_mappings');
+  const mappings = Object.fromEntries(
+    Object.entries(DEFAULT_MAPPINGS).map(([provider, mapping]) => [provider, { ...mapping, provider, isDefault: true }])
+  );
+  for (const row of rows) {
+    try {
+      mappings[row.provider] = {
+        ...JSON.parse(row.config),
+        provider: row.provider,
+        isDefault: false,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      };
+    } catch {
+      // A broken stored mapping leaves the default in place
+    }
+  }
+  return mappings;
+}
+
+export async function getMapping(conn, provider) {
+  const mapping = (await getMappings(conn))[provider];
+  if (!mapping) throw ledgerError(`No column mapping for provider "${provider}"`, 404);
+  return mapping;
+}
+
+export async function saveMapping(conn, provider, mapping, updatedBy = null) {
+  await conn.query(`
+    INSERT INTO statement_mappings (provider, config, updated_by) VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE config = VALUES(config), updated_by = VALUES(updated_by)
+  `, [provider, JSON.stringify(mapping), updatedBy]);
+}
+
+// RFC 4180 CSV: quoted fields may hold the delimiter, doubled quotes and line breaks
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// "1,250.00", "Tk 500", "৳ 300" -> number; null when it is not a number
+export function parseStatementAmount(value) {
+  const text = String(value ?? '').trim();
+  const number = text.replace(/,/g, '').match(/\d+(\.\d+)?/);
+  if (!number) return null;
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const amount = Number(number[0]);
+  return toAmount(negative ? -amount : amount);
+}
+
+// Date in the mapping's format (a time after it is ignored) -> 'YYYY-MM-DD', or null
+export function parseStatementDate(value, format) {
+  const tokens = format.match(/YYYY|MMM|MM|DD/g);
+  const parts = String(value ?? '').match(/\d+|[A-Za-z]{3,}/g);
+  if (!parts || parts.length < tokens.length) return null;
+
+  const date = {};
+  tokens.forEach((token, index) => {
+    const part = parts[index];
+    if (token === 'MMM') date.month = MONTHS.indexOf(part.slice(0, 3).toLowerCase()) + 1;
+    else if (token === 'YYYY') date.year = part.length === 2 ? 2000 + Number(part) : Number(part);
+    else if (token === 'MM') date.month = Number(part);
+    else date.day = Number(part);
+  });
+
+  const { year, month, day } = date;
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  if (!(month >= 1 && month <= 12) || parsed.getUTCDate() !== day || parsed.getUTCMonth() !== month - 1) return null;
+  return parsed.toISOString().slice(0, 10);
+}
+
+// Turn the CSV into statement lines. Debits and lines that fail to parse are returned as skipped
+// with the reason, so the treasurer can see the mapping is right.
+export function readStatement(text, mapping) {
+  const rows = parseCsv(text, mapping.delimiter || ',').slice(mapping.skipRows || 0);
+  if (!rows.length) throw ledgerError('The statement is empty');
+  if (rows.length - 1 > STATEMENT_MAX_LINES) {
+    throw ledgerError(`A statement can have at most ${STATEMENT_MAX_LINES} lines; split it into smaller files`);
+  }
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const columnIndex = {};
+  for (const [field, name] of Object.entries(mapping.columns)) {
+    if (!name) continue;
+    const index = header.indexOf(name.toLowerCase());
+    if (index === -1 && ['transactionId', 'amount', 'date'].includes(field)) {
+      throw ledgerError(`The statement has no "${name}" column (mapped as ${field}). Columns found: ${rows[0].join(', ')}`);
+    }
+    if (index !== -1) columnIndex[field] = index;
+  }
+  const creditValues = (mapping.creditValues || []).map(value => value.toLowerCase());
+
+  const lines = [];
+  const skipped = [];
+  rows.slice(1).forEach((cells, index) => {
+    const lineNumber = index + 2 + (mapping.skipRows || 0);
+    const cell = (field) => (columnIndex[field] === undefined ? null : (cells[columnIndex[field]] ?? '').trim());
+    const raw = Object.fromEntries(rows[0].map((name, i) => [name.trim(), (cells[i] ?? '').trim()]));
+
+    if (columnIndex.direction !== undefined && creditValues.length &&
+        !creditValues.includes(cell('direction').toLowerCase())) {
+      skipped.push({ lineNumber, reason: `not a credit (${cell('direction') || 'no type'})` });
+      return;
+    }
+    const amount = parseStatementAmount(cell('amount'));
+    if (amount === null || amount <= 0) {
+      skipped.push({ lineNumber, reason: amount === null ? 'no amount' : 'not a credit' });
+      return;
+    }
+    const date = parseStatementDate(cell('date'), mapping.dateFormat);
+    if (!date) {
+      skipped.push({ lineNumber, reason: `date "${cell('date')}" is not ${mapping.dateFormat}` });
+      return;
+    }
+    lines.push({
+      lineNumber,
+      transactionId: normalizeTransactionId(cell('transactionId')) || null,
+      amount,
+      date,
+      sender: cell('sender') || null,
+      raw
+    });
+  });
+  return { lines, skipped };
+}
+
+const daysBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / 86400000;
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Classify each line against the donations carrying its transaction ID. Adds matchStatus,
+// donationSource, donationId and a note explaining anything that is not exact.
+export async function matchStatementLines(conn, lines, { toleranceDays }) {
+  const ids = [...new Set(lines.map(line => line.transactionId).filter(Boolean))];
+  const donationsById = new Map();
+  if (ids.length) {
+    const [donations] = await conn.query(`
+      SELECT h.source, h.id, h.amount, h.status, h.created_at, h.cause_type, h.cause_name,
+        ${HISTORY_TRANSACTION_ID_SQL} as normalized_transaction_id
+      FROM (${DONATION_HISTORY_SQL}) h
+      WHERE ${HISTORY_TRANSACTION_ID_SQL} IN (?)
+    `, [ids]);
+    for (const donation of donations) {
+      const key = donation.normalized_transaction_id;
+      if (!donationsById.has(key)) donationsById.set(key, []);
+      donationsById.get(key).push({ ...donation, amount: Number(donation.amount) });
+    }
+  }
+
+  const seen = new Set();
+  return lines.map(line => {
+    const link = (donation, matchStatus, note = null) => ({
+      ...line,
+      matchStatus,
+      donationSource: donation?.source || null,
+      donationId: donation?.id || null,
+      note
+    });
+
+    if (!line.transactionId) return link(null, 'unmatched', 'The line has no transaction ID');
+    if (seen.has(line.transactionId)) return link(null, 'duplicate', 'The transaction ID appears earlier in this statement');
+    seen.add(line.transactionId);
+
+    const candidates = donationsById.get(line.transactionId) || [];
+    if (!candidates.length) return link(null, 'unmatched');
+
+    const approved = candidates.find(donation => ['approved', 'verified'].includes(donation.status));
+    if (approved) return link(approved, 'settled', 'The donation is already approved');
+
+    const pending = candidates.filter(donation => donation.status === 'pending');
+    if (!pending.length) {
+      return link(candidates[0], 'mismatch', `The donation with this transaction ID was ${candidates[0].status}`);
+    }
+    const exact = pending.filter(donation =>
+      donation.amount === line.amount && daysBetween(toDate(donation.created_at), line.date) <= toleranceDays
+    );
+    if (exact.length === 1) return link(exact[0], 'exact');
+    if (exact.length > 1 || pending.length > 1) {
+      return link(null, 'mismatch', `${pending.length} pending donations carry this transaction ID`);
+    }
+
+    const [donation] = pending;
+    const differences = [];
+    if (donation.amount !== line.amount) differences.push(`reported ৳${donation.amount}, statement shows ৳${line.amount}`);
+    if (daysBetween(toDate(donation.created_at), line.date) > toleranceDays) {
+      differences.push(`reported on ${toDate(donation.created_at)}, paid on ${line.date}`);
+    }
+    return link(donation, 'mismatch', differences.join('; '));
+  });
+}
+
+// Store an import and its lines; returns the import id
+export async function saveStatementImport(conn, { provider, filename, lines, skipped, importedBy }) {
+  const dates = lines.map(line => line.date).sort();
+  const count = (status) => lines.filter(line => line.matchStatus === status).length;
+  const [result] = await conn.query(`
+    INSERT INTO statement_imports
+      (provider, filename, line_count, skipped_count, exact_count, open_count, date_from, date_to, skipped, imported_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [provider, filename || null, lines.length, skipped.length, count('exact'), lines.length - count('exact') - count('settled'),
+      dates[0] || null, dates[dates.length - 1] || null, JSON.stringify(skipped), importedBy]);
+
+  for (const line of lines) {
+    await conn.query(`
+      INSERT INTO statement_lines
+        (import_id, line_number, transaction_id, amount, txn_date, sender, raw, match_status, donation_source, donation_id, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [result.insertId, line.lineNumber, line.transactionId, line.amount, line.date, line.sender,
+        JSON.stringify(line.raw), line.matchStatus, line.donationSource, line.donationId, line.note]);
+  }
+  return result.insertId;
+}
+
+// Record how a line was resolved: approved (with the donation), ignored or failed
+export async function resolveStatementLine(conn, lineId, { resolution, source = null, donationId = null, note = null, by = null }) {
+  await conn.query(`
+    UPDATE statement_lines
+    SET resolution = ?, donation_source = COALESCE(?, donation_source), donation_id = COALESCE(?, donation_id),
+      note = COALESCE(?, note), resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [resolution, source, donationId, note, by, lineId]);
+}
+
+// Keep the import's counters in step with its lines; open lines still need a person
+export async function refreshImportCounts(conn, importId) {
+  await conn.query(`
+    UPDATE statement_imports si
+    SET approved_count = (SELECT COUNT(*) FROM statement_lines WHERE import_id = si.id AND resolution = 'approved'),
+      open_count = (
+        SELECT COUNT(*) FROM statement_lines
+        WHERE import_id = si.id
+          AND (resolution = 'failed' OR (resolution IS NULL AND match_status NOT IN ('exact', 'settled')))
+      )
+    WHERE si.id = ?
+  `, [importId]);
+}
+
+// Pending donations of the statement's payment methods and period (widened by the tolerance)
+// that no line of the import matched
+export async function findUnmatchedDonations(conn, statementImport, mapping, { toleranceDays }) {
+  if (!statementImport.date_from) return [];
+  const methods = mapping?.paymentMethods || [];
+  const [donations] = await conn.query(`
+    SELECT h.*
+    FROM (${DONATION_HISTORY_SQL}) h
+    WHERE h.status = 'pending'
+      AND h.created_at >= ? - INTERVAL ? DAY
+      AND h.created_at < ? + INTERVAL ? DAY
+      ${methods.length ? `AND (${methods.map(() => 'LOWER(h.payment_method) LIKE ?').join(' OR ')})` : ''}
+      AND NOT EXISTS (
+        SELECT 1 FROM statement_lines sl
+        WHERE sl.import_id = ? AND sl.donation_source = h.source AND sl.donation_id = h.id
+      )
+    ORDER BY h.created_at
+  `, [statementImport.date_from, toleranceDays, statementImport.date_to, toleranceDays + 1,
+      ...methods.map(method => `%${method}%`), statementImport.id]);
+  return donations.map(donation => ({ ...donation, amount: Number(donation.amount) }));
+}
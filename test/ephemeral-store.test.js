@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore, createMySQLStore } from '../ephemeral-store.js';
+
+const nextPoll = () => new Promise(resolve => setTimeout(resolve, 1100));
+
+// realtime_events as other machines see it: only committed rows inside the look-back window
+const fakeEventsPool = () => {
+  const visible = [];
+  const inserted = [];
+  return {
+    visible,
+    inserted,
+    async query(sql, params) {
+      if (/^SELECT id, origin, channel, message FROM realtime_events/.test(sql)) return [[...visible]];
+      if (/^INSERT INTO realtime_events/.test(sql)) inserted.push(params);
+      return [{ affectedRows: 1 }];
+    }
+  };
+};
+
+const event = (id, origin, payload) => ({ id, origin, channel: 'realtime', message: JSON.stringify(payload) });
+
+test('the memory store hands published messages to its subscribers', async () => {
+  const store = createMemoryStore();
+  const received = [];
+  store.subscribe('realtime', message => received.push(message));
+
+  await store.publish('realtime', { event: 'typing' });
+  await store.publish('other', { event: 'ignored' });
+
+  assert.deepEqual(received, [{ event: 'typing' }]);
+  await store.close();
+});
+
+test('the MySQL store delivers rows that commit out of id order exactly once', async () => {
+  const pool = fakeEventsPool();
+  pool.visible.push(event(1, 'machine-b', { n: 'before start' }));
+  const store = createMySQLStore(pool);
+  const received = [];
+  store.subscribe('realtime', message => received.push(message.n));
+  await nextPoll();
+
+  // id 3 commits before id 2
+  pool.visible.push(event(3, 'machine-b', { n: 3 }));
+  await nextPoll();
+  pool.visible.splice(1, 0, event(2, 'machine-b', { n: 2 }));
+  await nextPoll();
+
+  assert.deepEqual(received, [3, 2]);
+  await store.close();
+});
+
+test('the MySQL store delivers its own messages at once and not again from the table', async () => {
+  const pool = fakeEventsPool();
+  const store = createMySQLStore(pool);
+  const received = [];
+  store.subscribe('realtime', message => received.push(message.n));
+  await nextPoll();
+
+  await store.publish('realtime', { n: 'own' });
+  const [origin] = pool.inserted[0];
+  pool.visible.push(event(4, origin, { n: 'own' }));
+  await nextPoll();
+
+  assert.deepEqual(received, ['own']);
+  await store.close();
+});
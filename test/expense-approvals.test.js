@@ -0,0 +1,55 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+beforeEach(() => api.db.reset());
+
+test('GET /api/expenses/:id/approvals returns the expense approval history', async () => {
+  api.db.on(/^SELECT \* FROM expenses WHERE id = \?/, ([id]) => [
+    { id: Number(id), entity_type: 'campaign', entity_id: 7, amount: 12000, status: 'pending', approval_step: 1 }
+  ]);
+  api.db.on(/FROM expense_approval_steps/, () => [
+    { name: 'Finance review', min_amount: '0.00', approver_type: 'permission', approver_value: 'expenses.approve' },
+    { name: 'Board sign-off', min_amount: '10000.00', approver_type: 'permission', approver_value: 'finance.manage' }
+  ]);
+  api.db.on(/FROM expense_approvals ea/, ([id]) => [
+    { id: 3, expense_id: Number(id), step_number: 1, action: 'approved', actor_id: 5, actor_name: 'Rahim' }
+  ]);
+
+  const { status, body } = await api.request('GET', '/api/expenses/42/approvals');
+
+  assert.equal(status, 200);
+  assert.equal(body.expenseId, 42);
+  assert.equal(body.completedSteps, 1);
+  assert.deepEqual(body.steps.map(step => [step.number, step.name, step.min_amount]), [
+    [1, 'Finance review', 0],
+    [2, 'Board sign-off', 10000]
+  ]);
+  assert.deepEqual(body.approvals, [
+    { id: 3, expense_id: 42, step_number: 1, action: 'approved', actor_id: 5, actor_name: 'Rahim' }
+  ]);
+});
+
+test('GET /api/expenses/:id/approvals answers 404 for an unknown expense', async () => {
+  const { status, body } = await api.request('GET', '/api/expenses/999/approvals');
+
+  assert.equal(status, 404);
+  assert.equal(body.error, 'Expense not found');
+});
+
+test('GET /api/expenses/:type/:entityId still lists an entity\'s expenses', async () => {
+  api.db.on(/WHERE e\.entity_type = \? AND e\.entity_id = \?/, ([type, entityId]) => [
+    { id: 1, entity_type: type, entity_id: Number(entityId), amount: 500 }
+  ]);
+
+  const { status, body } = await api.request('GET', '/api/expenses/campaign/7');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, [{ id: 1, entity_type: 'campaign', entity_id: 7, amount: 500 }]);
+});
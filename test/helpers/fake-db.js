@@ -0,0 +1,69 @@
+// Scripted stand-in for the MySQL pool of db.js. Tests register responders with
+// db.on(pattern, respond); a query answered by none of them returns no rows (SELECT/SHOW) or an
+// OkPacket with nothing changed. Every query is recorded in db.queries as { sql, params }.
+
+import { pool } from '../../db.js';
+
+function createFakeDb() {
+  const responders = [];
+  const queries = [];
+
+  const answer = (sql, params) => {
+    queries.push({ sql, params });
+    const responder = responders.find(r => r.pattern.test(sql));
+    if (responder) return responder.respond(params, sql);
+    return /^\s*(SELECT|SHOW)/i.test(sql) ? [] : { affectedRows: 0, insertId: 0, changedRows: 0 };
+  };
+
+  const query = (sql, params, callback) => {
+    if (typeof params === 'function') {
+      callback = params;
+      params = [];
+    }
+    const text = typeof sql === 'string' ? sql : sql.sql;
+    let result;
+    try {
+      result = answer(text, params || []);
+    } catch (err) {
+      process.nextTick(() => callback(err));
+      return {};
+    }
+    process.nextTick(() => callback(null, result, []));
+    return {};
+  };
+
+  const done = (callback) => process.nextTick(() => callback && callback(null));
+  const connection = {
+    config: {},
+    query,
+    beginTransaction: done,
+    commit: done,
+    rollback: done,
+    release() {}
+  };
+
+  return {
+    queries,
+    query,
+    getConnection: (callback) => process.nextTick(() => callback(null, connection)),
+    // Answer queries matching pattern with respond(params, sql)'s rows / OkPacket. Later
+    // responders win; reset() drops all but the persistent ones.
+    on(pattern, respond, { persistent = false } = {}) {
+      responders.unshift({ pattern, respond, persistent });
+    },
+    reset() {
+      const kept = responders.filter(r => r.persistent);
+      responders.length = 0;
+      responders.push(...kept);
+      queries.length = 0;
+    }
+  };
+}
+
+// Route every query of db.js's pool (and promisePool, which wraps it) to a new fake database
+export function installFakeDb() {
+  const db = createFakeDb();
+  pool.query = db.query;
+  pool.getConnection = db.getConnection;
+  return db;
+}
@@ -0,0 +1,75 @@
+// Boot server.js against the scripted stand-in for the MySQL pool (fake-db.js), so route tests
+// run without a database.
+
+import net from 'net';
+import jwt from 'jsonwebtoken';
+import { installFakeDb } from './fake-db.js';
+
+const ACCESS_SECRET = 'test-access-secret';
+export const ADMIN_ID = 1;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Start the API on a free port. Returns the base URL, the fake database and request(), which
+// calls the API as the given volunteer (a super admin unless `as` says otherwise).
+export async function startServer(env = {}) {
+  const port = await freePort();
+  Object.assign(process.env, {
+    PORT: String(port),
+    JWT_ACCESS_SECRET: ACCESS_SECRET,
+    SUPER_ADMIN_IDS: String(ADMIN_ID),
+    EPHEMERAL_STORE: 'memory',
+    ...env
+  });
+
+  const db = installFakeDb();
+
+  // Every signed token's session is live
+  db.on(/FROM auth_sessions s\s+JOIN volunteers v/, ([, sub]) => [
+    { id: Number(sub), full_name: `Volunteer ${sub}`, status: 'active' }
+  ], { persistent: true });
+  const signIn = (volunteerId) => jwt.sign({ sub: String(volunteerId), sid: 1, typ: 'access' }, ACCESS_SECRET);
+
+  await import('../../server.js');
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // Wait for the listener; startup queries run against the fake pool meanwhile
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      await fetch(`${baseUrl}/api/push/public-key`);
+      break;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  async function request(method, path, { body, as = ADMIN_ID, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(as ? { authorization: `Bearer ${signIn(as)}` } : {}),
+        ...(body !== undefined && !(body instanceof URLSearchParams) ? { 'content-type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body === undefined || body instanceof URLSearchParams ? body : JSON.stringify(body),
+      redirect: 'manual'
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: response.status, body: json, text, headers: response.headers };
+  }
+
+  return { baseUrl, db, request };
+}
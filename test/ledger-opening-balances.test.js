@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDb } from './helpers/fake-db.js';
+import { initializeMySQLDatabase } from '../db.js';
+
+// Every journal the migration posted, as [journal_type, reference_type, reference_id, account, amount]
+const postedJournals = (db) => {
+  const journals = db.queries.filter(q => /INSERT INTO ledger_journals/.test(q.sql));
+  const entries = db.queries.filter(q => /INSERT INTO ledger_entries/.test(q.sql));
+  return journals.map(({ params: [journalType, , referenceType, referenceId] }, index) => {
+    const [[, accountType, accountId, amount], [, external, , counter]] = entries[index].params[0];
+    assert.equal(external, 'external');
+    assert.equal(counter, -amount);
+    return [journalType, referenceType, referenceId, `${accountType}:${accountId}`, amount];
+  });
+};
+
+test('ledger_opening_balances carries every pre-ledger fund account into the ledger', async () => {
+  const db = installFakeDb();
+  let journalId = 0;
+  db.on(/INSERT INTO ledger_journals/, () => ({ insertId: ++journalId, affectedRows: 1 }));
+  db.on(/FROM expenses e\s+WHERE e\.status = 'approved' AND e\.entity_type IN/, () => [
+    { id: 11, entity_type: 'campaign', entity_id: 7, title: 'Blankets', amount: '300.00' },
+    { id: 12, entity_type: 'central', entity_id: null, title: 'Rent', amount: '50.00' }
+  ]);
+  db.on(/FROM ummah_funds uf\s+WHERE uf\.entity_type IN \('central', 'direct_aid'\)/, () => [
+    { id: 1, entity_type: 'central', entity_id: 0, balance: 950, ledger_balance: '-50.00' }
+  ]);
+  db.on(/SELECT c\.id, COALESCE\(c\.raised, 0\) as raised/, () => [
+    { id: 7, raised: '1500.00', legacy_raised: '500.00', ledger_donations: '200.00' }
+  ]);
+  db.on(/FROM wings w\s*$/, () => [
+    { id: 3, approved: '400.00', ledger_donations: '400.00' }
+  ]);
+
+  await initializeMySQLDatabase();
+
+  assert.deepEqual(postedJournals(db), [
+    ['expense', 'expense', 11, 'campaign:7', -300],
+    ['expense', 'expense', 12, 'central:0', -50],
+    ['opening_balance', 'ummah_funds', 1, 'central:0', 1000],
+    ['opening_balance', 'campaign', 7, 'campaign:7', 500],
+    ['adjustment', 'campaign', 7, 'campaign:7', 800]
+  ]);
+
+  const rebuilt = db.queries.findIndex(q => /INSERT INTO ummah_funds[\s\S]*FROM ledger_entries/.test(q.sql));
+  const cleared = db.queries.findIndex(q => /UPDATE ummah_funds SET balance = 0/.test(q.sql));
+  assert.ok(cleared !== -1 && rebuilt > cleared, 'campaign and wing balances are rebuilt from the ledger');
+  assert.ok(db.queries.some(q => /INSERT INTO schema_migrations/.test(q.sql) && q.params[0] === 'ledger_opening_balances'));
+});
@@ -0,0 +1,39 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+beforeEach(() => api.db.reset());
+
+const campaign = (raised, legacyRaised, ledgerDonations) => {
+  api.db.on(/FROM campaigns c\s*$/, () => [
+    { id: 7, name: 'Winter Relief', raised, legacy_raised: legacyRaised, ledger_donations: ledgerDonations }
+  ]);
+};
+
+test('legacy_raised is not expected among the ledger\'s donation postings', async () => {
+  campaign(1500, 500, 1000);
+
+  const { status, body } = await api.request('GET', '/api/ledger/reconcile');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.campaigns, []);
+  assert.equal(body.balanced, true);
+});
+
+test('donations missing from the ledger are still reported', async () => {
+  campaign(1500, 500, 700);
+
+  const { body } = await api.request('GET', '/api/ledger/reconcile');
+
+  assert.equal(body.balanced, false);
+  assert.deepEqual(body.campaigns, [{
+    accountType: 'campaign', accountId: 7, name: 'Winter Relief',
+    raised: 1500, legacyRaised: 500, expected: 1000, ledger: 700, difference: -300
+  }]);
+});
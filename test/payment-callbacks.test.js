@@ -0,0 +1,110 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startServer } from './helpers/server.js';
+
+const CALLBACK_SECRET = 'test-callback-secret';
+const REFERENCE = 'DREF123';
+
+let api;
+let gatewayCalls;
+let gatewayAnswer;
+
+before(async () => {
+  api = await startServer({
+    SSLCOMMERZ_STORE_ID: 'store',
+    SSLCOMMERZ_STORE_PASSWORD: 'store-secret',
+    PAYMENT_CALLBACK_SECRET: CALLBACK_SECRET
+  });
+  // Answer the SSLCommerz validation APIs; everything else (the API under test) goes through
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    if (!String(url).startsWith('https://sandbox.sslcommerz.com/')) return realFetch(url, options);
+    gatewayCalls.push(new URL(url));
+    return new Response(JSON.stringify(gatewayAnswer), { status: 200 });
+  };
+});
+
+beforeEach(() => {
+  api.db.reset();
+  gatewayCalls = [];
+  gatewayAnswer = {};
+});
+
+const paymentSession = (status) => {
+  api.db.on(/FROM payment_sessions WHERE reference = \?/, ([reference]) => reference === REFERENCE
+    ? [{ id: 4, reference: REFERENCE, provider: 'sslcommerz', donation_id: 31, amount: '500.00', status }]
+    : []);
+};
+
+// Post a browserless failure callback the way SSLCommerz does
+const failureCallback = (status = 'FAILED') => {
+  const sig = crypto.createHmac('sha256', CALLBACK_SECRET).update(REFERENCE).digest('hex');
+  return api.request('POST', `/api/public/payments/sslcommerz/callback?ref=${REFERENCE}&sig=${sig}&via=ipn`, {
+    as: null,
+    body: new URLSearchParams({ status, tran_id: REFERENCE })
+  });
+};
+
+test('a failure callback is checked with SSLCommerz before the payment counts as failed', async () => {
+  paymentSession('pending');
+  api.db.on(/SELECT status FROM donations WHERE id = \? FOR UPDATE/, () => [{ status: 'pending' }]);
+  api.db.on(/FOR UPDATE OF d/, ([id]) => [{ id, status: 'pending', amount: '500.00', target_id: null }]);
+  gatewayAnswer = { APIConnect: 'DONE', element: [{ status: 'FAILED', amount: '500.00' }] };
+
+  const { status, body } = await failureCallback();
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { reference: REFERENCE, status: 'failed' });
+  assert.equal(gatewayCalls.length, 1);
+  assert.equal(gatewayCalls[0].searchParams.get('tran_id'), REFERENCE);
+  const update = api.db.queries.find(q => /UPDATE payment_sessions\s+SET status = \?/.test(q.sql));
+  assert.equal(update.params[0], 'failed');
+  const donation = api.db.queries.find(q => /UPDATE donations\s+SET status = \?, reviewed_by/.test(q.sql));
+  assert.deepEqual([donation.params[0], donation.params.at(-1)], ['failed', 31]);
+});
+
+test('a failed payment the gateway later reports as paid is reopened', async () => {
+  paymentSession('failed');
+  api.db.on(/SELECT status FROM donations WHERE id = \? FOR UPDATE/, () => [{ status: 'failed' }]);
+  // Paid, but not the amount asked for: the session is reopened and left for review
+  gatewayAnswer = { APIConnect: 'DONE', element: [{ status: 'VALIDATED', amount: '450.00', bank_tran_id: 'BANK7' }] };
+
+  const { status, body } = await failureCallback('CANCELLED');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'needs_review');
+  assert.ok(api.db.queries.some(q => /UPDATE donations SET status = 'pending' WHERE id = \?/.test(q.sql) && q.params[0] === 31));
+  const update = api.db.queries.find(q => /UPDATE payment_sessions\s+SET status = \?/.test(q.sql));
+  assert.deepEqual(update.params.slice(0, 2), ['needs_review', 'BANK7']);
+});
+
+test('a failed payment the gateway still reports as failed stays failed', async () => {
+  paymentSession('failed');
+  gatewayAnswer = { APIConnect: 'DONE', element: [{ status: 'FAILED', amount: '500.00' }] };
+
+  const { body } = await failureCallback();
+
+  assert.equal(body.status, 'failed');
+  assert.equal(gatewayCalls.length, 1);
+  assert.equal(api.db.queries.some(q => /UPDATE (payment_sessions|donations)/.test(q.sql)), false);
+});
+
+test('callbacks for a paid session are not verified again', async () => {
+  paymentSession('paid');
+
+  const { body } = await failureCallback();
+
+  assert.equal(body.status, 'paid');
+  assert.equal(gatewayCalls.length, 0);
+});
+
+test('callbacks without our signature are refused', async () => {
+  const { status } = await api.request('POST', `/api/public/payments/sslcommerz/callback?ref=${REFERENCE}&sig=forged`, {
+    as: null,
+    body: new URLSearchParams({ status: 'FAILED' })
+  });
+
+  assert.equal(status, 403);
+  assert.equal(gatewayCalls.length, 0);
+});
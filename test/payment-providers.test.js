@@ -0,0 +1,103 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createSSLCommerzProvider } from '../payment-providers.js';
+
+const STORE_PASSWORD = 'store-secret';
+const session = { reference: 'DREF123', amount: 500 };
+
+const realFetch = globalThis.fetch;
+let gatewayCalls;
+let gatewayAnswer;
+
+// Stand in for the SSLCommerz validation APIs
+beforeEach(() => {
+  gatewayCalls = [];
+  gatewayAnswer = {};
+  globalThis.fetch = async (url) => {
+    gatewayCalls.push(new URL(url));
+    return new Response(JSON.stringify(gatewayAnswer), { status: 200 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const provider = () => createSSLCommerzProvider({ storeId: 'store', storePassword: STORE_PASSWORD });
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+// An IPN body signed the way SSLCommerz signs it
+const signedBody = (fields) => {
+  const keys = Object.keys(fields);
+  const signed = { ...fields, store_passwd: md5(STORE_PASSWORD) };
+  const data = Object.keys(signed).sort().map(key => `${key}=${signed[key]}`).join('&');
+  return { ...fields, verify_key: keys.join(','), verify_sign: md5(data) };
+};
+
+test('a failure callback the gateway reports as paid settles as paid', async () => {
+  gatewayAnswer = {
+    APIConnect: 'DONE',
+    element: [
+      { status: 'FAILED', amount: '500.00', val_id: 'V1' },
+      { status: 'VALIDATED', amount: '500.00', val_id: 'V2', bank_tran_id: 'BANK42' }
+    ]
+  };
+
+  const result = await provider().verifyCallback({ session, body: { status: 'FAILED', tran_id: session.reference } });
+
+  assert.deepEqual({ status: result.status, transactionId: result.transactionId, amount: result.amount },
+    { status: 'paid', transactionId: 'BANK42', amount: 500 });
+  assert.equal(gatewayCalls.length, 1);
+  assert.equal(gatewayCalls[0].pathname, '/validator/api/merchantTransIDvalidationAPI.php');
+  assert.equal(gatewayCalls[0].searchParams.get('tran_id'), session.reference);
+  assert.equal(gatewayCalls[0].searchParams.get('store_id'), 'store');
+});
+
+test('failure callbacks the gateway does not confirm as paid keep their status', async () => {
+  gatewayAnswer = { APIConnect: 'DONE', element: [{ status: 'FAILED', amount: '500.00', val_id: 'V1' }] };
+  const failed = await provider().verifyCallback({ session, body: { status: 'FAILED' } });
+  assert.equal(failed.status, 'failed');
+
+  gatewayAnswer = { APIConnect: 'DONE', no_of_trans_found: 0 };
+  const cancelled = await provider().verifyCallback({ session, body: { status: 'CANCELLED' } });
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.transactionId, null);
+});
+
+test('the reference in the failure callback body is not trusted', async () => {
+  gatewayAnswer = { APIConnect: 'DONE', element: [] };
+
+  await provider().verifyCallback({ session, body: { status: 'FAILED', tran_id: 'SOMEONE-ELSES' } });
+
+  assert.equal(gatewayCalls[0].searchParams.get('tran_id'), session.reference);
+});
+
+test('a signed success callback is confirmed with the validation API', async () => {
+  gatewayAnswer = { status: 'VALID', tran_id: session.reference, amount: '500.00', val_id: 'V9', bank_tran_id: 'BANK9' };
+
+  const result = await provider().verifyCallback({
+    session,
+    body: signedBody({ status: 'VALID', tran_id: session.reference, val_id: 'V9', amount: '500.00' })
+  });
+
+  assert.equal(result.status, 'paid');
+  assert.equal(result.transactionId, 'BANK9');
+  assert.equal(gatewayCalls[0].pathname, '/validator/api/validationserverAPI.php');
+  assert.equal(gatewayCalls[0].searchParams.get('val_id'), 'V9');
+});
+
+test('success callbacks with a bad signature or for another transaction are refused', async () => {
+  const body = signedBody({ status: 'VALID', tran_id: session.reference, val_id: 'V9', amount: '500.00' });
+  await assert.rejects(
+    provider().verifyCallback({ session, body: { ...body, amount: '5.00' } }),
+    { status: 403, message: 'Invalid SSLCommerz signature' }
+  );
+  assert.equal(gatewayCalls.length, 0);
+
+  gatewayAnswer = { status: 'VALID', tran_id: 'OTHER', amount: '500.00', val_id: 'V9' };
+  await assert.rejects(
+    provider().verifyCallback({ session, body }),
+    { status: 403, message: 'SSLCommerz validation is for another transaction' }
+  );
+});
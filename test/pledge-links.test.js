@@ -0,0 +1,88 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const PLEDGE = { id: 12, volunteer_id: null, phone_number: '+880 1711-000000', target_type: 'campaign', target_id: 7, status: 'active' };
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+beforeEach(() => {
+  api.db.reset();
+  api.db.on(/FROM donation_pledges WHERE id = \?/, ([id]) => Number(id) === PLEDGE.id ? [PLEDGE] : []);
+  api.db.on(/INSERT INTO donations/, () => ({ insertId: 31, affectedRows: 1 }));
+});
+
+const donate = (body) => api.request('POST', '/api/public/donate', {
+  as: null,
+  body: { campaignId: 7, donorName: 'Karim', amount: 500, paymentMethod: 'bKash', transactionId: 'TX1', ...body }
+});
+
+const donationInserts = () => api.db.queries.filter(q => /INSERT INTO donations/.test(q.sql));
+
+test('a public donation links to the donor\'s own active pledge', async () => {
+  const { status } = await donate({ phoneNumber: '01711000000', pledgeId: 12 });
+
+  assert.equal(status, 200);
+  assert.equal(donationInserts().length, 1);
+  assert.equal(donationInserts()[0].params.at(-1), 12);
+});
+
+test('a public donation may not name someone else\'s pledge', async () => {
+  const { status, body } = await donate({ phoneNumber: '01899999999', pledgeId: 12 });
+
+  assert.equal(status, 403);
+  assert.equal(body.error, 'This pledge belongs to another donor');
+  assert.deepEqual(donationInserts(), []);
+
+  assert.equal((await donate({ pledgeId: 12 })).status, 403);
+  assert.deepEqual(donationInserts(), []);
+});
+
+test('a public donation may not name a closed, unknown or other fund\'s pledge', async () => {
+  const refused = async (pledge, body, expected) => {
+    api.db.on(/FROM donation_pledges WHERE id = \?/, () => pledge ? [pledge] : []);
+    const response = await donate({ phoneNumber: '01711000000', pledgeId: 12, ...body });
+    assert.deepEqual([response.status, response.body.error], expected);
+  };
+
+  await refused({ ...PLEDGE, status: 'cancelled' }, {}, [409, 'Pledge is cancelled']);
+  await refused({ ...PLEDGE, status: 'paused' }, {}, [409, 'Pledge is paused']);
+  await refused(null, {}, [404, 'Pledge not found']);
+  await refused(PLEDGE, { campaignId: 8 }, [400, 'Pledge is for another fund']);
+  await refused(PLEDGE, { campaignId: undefined, directAidId: 7 }, [400, 'Pledge is for another fund']);
+  assert.deepEqual(donationInserts(), []);
+});
+
+test('a hosted checkout may not name someone else\'s pledge', async () => {
+  const { status } = await api.request('POST', '/api/public/payments/checkout', {
+    as: null,
+    body: { provider: 'mock', campaignId: 7, donorName: 'Karim', phoneNumber: '01899999999', amount: 500, pledgeId: 12 }
+  });
+
+  assert.equal(status, 403);
+  assert.deepEqual(donationInserts(), []);
+  assert.equal(api.db.queries.some(q => /INSERT INTO payment_sessions/.test(q.sql)), false);
+});
+
+test('a hosted checkout links to the donor\'s own pledge', async () => {
+  const { status } = await api.request('POST', '/api/public/payments/checkout', {
+    as: null,
+    body: { provider: 'mock', campaignId: 7, donorName: 'Karim', phoneNumber: '01711000000', amount: 500, pledgeId: 12 }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(donationInserts()[0].params.at(-1), 12);
+});
+
+test('staff with pledges.manage may record a payment towards any donor\'s pledge', async () => {
+  const { status } = await api.request('POST', '/api/donations', {
+    body: { campaignId: 7, donorName: 'Karim', amount: 500, paymentMethod: 'Cash', transactionId: 'TX2', pledgeId: 12 }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(donationInserts()[0].params.at(-1), 12);
+});
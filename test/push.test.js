@@ -0,0 +1,132 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import webpush from 'web-push';
+import { startServer } from './helpers/server.js';
+
+const RECIPIENT = 8;
+const vapid = webpush.generateVAPIDKeys();
+
+let api;
+let pushed;
+let pushFailures;
+
+const subscription = (id, endpoint) => ({ id, user_id: RECIPIENT, endpoint, p256dh: `p256dh-${id}`, auth: `auth-${id}` });
+
+before(async () => {
+  api = await startServer({ VAPID_PUBLIC_KEY: vapid.publicKey, VAPID_PRIVATE_KEY: vapid.privateKey });
+  // Stand in for the push services: record deliveries, fail the endpoints listed in pushFailures
+  webpush.sendNotification = async (target, body, options) => {
+    const statusCode = pushFailures[target.endpoint];
+    if (statusCode) throw Object.assign(new Error(`Push service answered ${statusCode}`), { statusCode });
+    pushed.push({ endpoint: target.endpoint, keys: target.keys, payload: JSON.parse(body), options });
+    return { statusCode: 201 };
+  };
+});
+
+beforeEach(() => {
+  api.db.reset();
+  pushed = [];
+  pushFailures = {};
+  api.db.on(/INSERT INTO notifications/, () => ({ insertId: 55, affectedRows: 1 }));
+});
+
+const send = (body) => api.request('POST', '/api/push/send', { body: { volunteerId: RECIPIENT, ...body } });
+
+test('GET /api/push/public-key hands out the VAPID public key', async () => {
+  const { status, body } = await api.request('GET', '/api/push/public-key', { as: null });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { publicKey: vapid.publicKey });
+});
+
+test('a notification is pushed to every subscribed device of the user', async () => {
+  api.db.on(/SELECT \* FROM push_subscriptions WHERE user_id = \?/, ([userId]) => [
+    subscription(1, 'https://push.example/a'),
+    subscription(2, 'https://push.example/b')
+  ].filter(sub => sub.user_id === Number(userId)));
+
+  const { status, body } = await send({ title: 'Shift tomorrow', body: 'Bring your ID card', url: '/shifts' });
+
+  assert.equal(status, 200);
+  assert.deepEqual({ sent: body.sent, failed: body.failed, pruned: body.pruned, skipped: body.skipped },
+    { sent: 2, failed: 0, pruned: 0, skipped: false });
+  assert.deepEqual(pushed.map(p => p.endpoint).sort(), ['https://push.example/a', 'https://push.example/b']);
+  assert.deepEqual(pushed[0].keys, { p256dh: 'p256dh-1', auth: 'auth-1' });
+  assert.deepEqual(pushed[0].payload, {
+    title: 'Shift tomorrow',
+    body: 'Bring your ID card',
+    data: { url: '/shifts', notificationId: 55, type: 'system_update' }
+  });
+});
+
+test('creating an in-app notification also pushes it in the background', async () => {
+  api.db.on(/SELECT \* FROM push_subscriptions WHERE user_id = \?/, () => [subscription(1, 'https://push.example/a')]);
+  api.db.on(/SELECT full_name, avatar FROM volunteers WHERE id = \?/, () => [{ full_name: 'Nadia', avatar: null }]);
+
+  const { status } = await api.request('POST', '/api/notifications', {
+    body: { userId: RECIPIENT, type: 'badge_earned', message: 'awarded you a badge' }
+  });
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(status, 200);
+  assert.equal(pushed.length, 1);
+  assert.equal(pushed[0].payload.body, 'Nadia awarded you a badge');
+  assert.deepEqual(pushed[0].payload.data, { notificationId: 55, type: 'badge_earned' });
+});
+
+test('subscriptions the push service reports gone are pruned', async () => {
+  api.db.on(/SELECT \* FROM push_subscriptions WHERE user_id = \?/, () => [
+    subscription(1, 'https://push.example/live'),
+    subscription(2, 'https://push.example/expired'),
+    subscription(3, 'https://push.example/unknown'),
+    subscription(4, 'https://push.example/flaky')
+  ]);
+  pushFailures = {
+    'https://push.example/expired': 410,
+    'https://push.example/unknown': 404,
+    'https://push.example/flaky': 500
+  };
+
+  const { body } = await send({ body: 'Hello' });
+
+  assert.deepEqual({ sent: body.sent, failed: body.failed, pruned: body.pruned }, { sent: 1, failed: 1, pruned: 2 });
+  const deleted = api.db.queries
+    .filter(q => /DELETE FROM push_subscriptions WHERE id = \?/.test(q.sql))
+    .map(q => q.params[0])
+    .sort();
+  assert.deepEqual(deleted, [2, 3]);
+});
+
+test('nothing is pushed when the user switched push or the category off', async () => {
+  api.db.on(/SELECT \* FROM push_subscriptions WHERE user_id = \?/, () => [subscription(1, 'https://push.example/a')]);
+
+  api.db.on(/SELECT \* FROM notification_settings WHERE user_id = \?/, () => [{ push_enabled: 0, system_notifications: 1 }]);
+  assert.equal((await send({ body: 'Hello' })).body.skipped, true);
+
+  api.db.on(/SELECT \* FROM notification_settings WHERE user_id = \?/, () => [{ push_enabled: 1, system_notifications: 0 }]);
+  assert.equal((await send({ body: 'Hello' })).body.skipped, true);
+
+  assert.deepEqual(pushed, []);
+});
+
+test('messages from a muted conversation are not pushed', async () => {
+  api.db.on(/SELECT \* FROM push_subscriptions WHERE user_id = \?/, () => [subscription(1, 'https://push.example/a')]);
+  api.db.on(/FROM muted_chats WHERE user_id = \? AND conversation_id = \?/, ([, conversationId]) =>
+    Number(conversationId) === 4 ? [{ id: 1 }] : []);
+
+  assert.equal((await send({ type: 'new_message', body: 'Hi', data: { conversationId: 4 } })).body.skipped, true);
+  assert.equal((await send({ type: 'new_message', body: 'Hi', data: { conversationId: 5 } })).body.sent, 1);
+});
+
+test('unsubscribing removes only the caller\'s subscription', async () => {
+  const { status } = await api.request('POST', '/api/push/unsubscribe', {
+    as: RECIPIENT,
+    body: { endpoint: 'https://push.example/a' }
+  });
+
+  assert.equal(status, 200);
+  const deletes = api.db.queries.filter(q => /DELETE FROM push_subscriptions/.test(q.sql));
+  assert.equal(deletes.length, 1);
+  assert.match(deletes[0].sql, /WHERE user_id = \? AND endpoint = \?/);
+  assert.deepEqual(deletes[0].params, [RECIPIENT, 'https://push.example/a']);
+});
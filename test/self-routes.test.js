@@ -0,0 +1,57 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const CALLER = 5;
+const OTHER = 6;
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+beforeEach(() => api.db.reset());
+
+const writesTo = (pattern) => api.db.queries.filter(q => pattern.test(q.sql));
+
+for (const [method, path] of [
+  ['DELETE', `/api/notifications/${OTHER}/clear-all`],
+  ['PUT', `/api/notifications/${OTHER}/read-all`],
+  ['GET', `/api/notifications/${OTHER}`],
+  ['DELETE', `/api/allies/${OTHER}/9`],
+  ['DELETE', `/api/groups/3/leave/${OTHER}`],
+  ['DELETE', `/api/posts/4/react/${OTHER}`],
+  ['PUT', `/api/privacy/${OTHER}`],
+  ['PUT', `/api/notification-settings/${OTHER}`]
+]) {
+  test(`${method} ${path} is refused for another volunteer`, async () => {
+    const { status } = await api.request(method, path, { as: CALLER, body: method === 'GET' ? undefined : {} });
+
+    assert.equal(status, 403);
+    assert.deepEqual(writesTo(/^\s*(DELETE|UPDATE|INSERT)/i), []);
+  });
+}
+
+test('clearing your own notifications deletes only yours', async () => {
+  const { status } = await api.request('DELETE', `/api/notifications/${CALLER}/clear-all`, { as: CALLER });
+
+  assert.equal(status, 200);
+  assert.deepEqual(writesTo(/DELETE FROM notifications/).map(q => q.params), [[String(CALLER)]]);
+});
+
+test('deleting a notification is scoped to the caller', async () => {
+  api.db.on(/DELETE FROM notifications WHERE id = \? AND user_id = \?/, () => ({ affectedRows: 0 }));
+
+  const { status } = await api.request('DELETE', '/api/notifications/77', { as: CALLER });
+
+  assert.equal(status, 404);
+  assert.deepEqual(writesTo(/DELETE FROM notifications/).map(q => q.params), [['77', CALLER]]);
+});
+
+test('another volunteer\'s avatar needs volunteers.manage', async () => {
+  const { status, body } = await api.request('POST', `/api/volunteers/${OTHER}/avatar`, { as: CALLER, body: {} });
+
+  assert.equal(status, 403);
+  assert.equal(body.permission, 'volunteers.manage');
+});
@@ -0,0 +1,293 @@
+// Campaign capacity and waitlist.
+//
+// A campaign seats volunteers_needed volunteers (no limit when it is 0), and each role listed in
+// campaign_role_capacity at most its capacity. Pending and approved team members hold a seat; the
+// Program Host does not. A volunteer who joins when the campaign or their role is full goes on
+// the waitlist (campaign_waitlist) instead of the team. Volunteers join as a Volunteer or in one of
+// the roles listed in campaign_role_capacity; other roles come only from the host (team edits and
+// invitations), and nobody joins as the Program Host.
+//
+// When a seat frees up (a member leaves or is declined, or the host raises a capacity),
+// fillFromWaitlist promotes waiting volunteers in waitlist order onto the team as pending
+// members, passing over those whose role is still full. Hosts can reorder the waitlist and skip
+// volunteers; a skipped volunteer stays listed but is not promoted until restored.
+//
+// Every change locks the campaign row first, so two joins cannot take the same last seat.
+
+import { ledgerError } from './ledger.js';
+import { cancelCampaignSignups } from './shifts.js';
+
+export const WAITLIST_STATUSES = ['waiting', 'skipped', 'promoted', 'left'];
+
+const HOST_ROLE = 'Program Host';
+const DEFAULT_ROLE = 'Volunteer';
+
+export async function lockCampaign(conn, campaignId) {
+  const [rows] = await conn.query(
+    'SELECT id, title, host_id, status, approval_status, event_date, volunteers_needed, program_hours, program_respect FROM campaigns WHERE id = ? FOR UPDATE',
+    [campaignId]
+  );
+  if (!rows[0]) throw ledgerError('Campaign not found', 404);
+  return rows[0];
+}
+
+// Seats taken and available, for the campaign and per role with a capacity
+export async function getCapacity(conn, campaign) {
+  const [seated] = await conn.query(`
+    SELECT role, COUNT(*) as seated FROM campaign_team
+    WHERE campaign_id = ? AND role <> ? AND approval_status IN ('pending', 'approved')
+    GROUP BY role
+  `, [campaign.id, HOST_ROLE]);
+  const [limits] = await conn.query(
+    'SELECT role, capacity FROM campaign_role_capacity WHERE campaign_id = ? ORDER BY role',
+    [campaign.id]
+  );
+  const [[{ waiting }]] = await conn.query(
+    "SELECT COUNT(*) as waiting FROM campaign_waitlist WHERE campaign_id = ? AND status = 'waiting'",
+    [campaign.id]
+  );
+
+  const seatedByRole = new Map(seated.map(row => [row.role, Number(row.seated)]));
+  const total = [...seatedByRole.values()].reduce((sum, count) => sum + count, 0);
+  const limit = Number(campaign.volunteers_needed) || 0;
+  return {
+    volunteersNeeded: limit,
+    seated: total,
+    available: limit > 0 ? Math.max(0, limit - total) : null,
+    waiting: Number(waiting),
+    roles: limits.map(row => {
+      const taken = seatedByRole.get(row.role) || 0;
+      return { role: row.role, capacity: row.capacity, seated: taken, available: Math.max(0, row.capacity - taken) };
+    })
+  };
+}
+
+// Whether one more volunteer fits in the role. null available means no limit.
+export function hasSeat(capacity, role) {
+  if (capacity.available !== null && capacity.available <= 0) return false;
+  const limit = capacity.roles.find(each => each.role === role);
+  return !limit || limit.available > 0;
+}
+
+const takeSeat = (capacity, role) => {
+  capacity.seated++;
+  if (capacity.available !== null) capacity.available--;
+  const limit = capacity.roles.find(each => each.role === role);
+  if (limit) {
+    limit.seated++;
+    limit.available--;
+  }
+};
+
+// A volunteer's place among those waiting (1 is next), or null when they are not waiting
+export async function waitlistPosition(conn, campaignId, volunteerId) {
+  const [rows] = await conn.query(`
+    SELECT (
+      SELECT COUNT(*) FROM campaign_waitlist w2
+      WHERE w2.campaign_id = w.campaign_id AND w2.status = 'waiting' AND w2.position <= w.position
+    ) as place
+    FROM campaign_waitlist w
+    WHERE w.campaign_id = ? AND w.volunteer_id = ? AND w.status = 'waiting'
+  `, [campaignId, volunteerId]);
+  return rows[0] ? Number(rows[0].place) : null;
+}
+
+const nextPosition = async (conn, campaignId) => {
+  const [[{ position }]] = await conn.query(
+    'SELECT COALESCE(MAX(position), 0) + 1 as position FROM campaign_waitlist WHERE campaign_id = ?',
+    [campaignId]
+  );
+  return Number(position);
+};
+
+// Put a volunteer on the team if their role has a seat, on the waitlist otherwise. An invited
+// volunteer keeps the role the host invited them in.
+// Returns { status: 'joined' | 'waitlisted' | 'already_joined' | 'already_waitlisted', ... }.
+export async function joinCampaign(conn, campaignId, { volunteerId, role, taskNote, hours, respect, invited = false }) {
+  if (role === HOST_ROLE) throw ledgerError('Nobody joins a campaign as the Program Host', 403);
+  const campaign = await lockCampaign(conn, campaignId);
+  if (campaign.approval_status === 'draft') throw ledgerError('This campaign is still a draft', 409);
+  const [members] = await conn.query(
+    'SELECT id FROM campaign_team WHERE campaign_id = ? AND volunteer_id = ? LIMIT 1',
+    [campaign.id, volunteerId]
+  );
+  if (members[0]) return { status: 'already_joined', memberId: members[0].id };
+
+  const [entries] = await conn.query(
+    'SELECT id, status FROM campaign_waitlist WHERE campaign_id = ? AND volunteer_id = ?',
+    [campaign.id, volunteerId]
+  );
+  if (entries[0] && ['waiting', 'skipped'].includes(entries[0].status)) {
+    return {
+      status: 'already_waitlisted',
+      entryId: entries[0].id,
+      position: await waitlistPosition(conn, campaign.id, volunteerId)
+    };
+  }
+
+  const capacity = await getCapacity(conn, campaign);
+  if (!invited && role !== DEFAULT_ROLE && !capacity.roles.some(each => each.role === role)) {
+    throw ledgerError(`role must be ${DEFAULT_ROLE} or one of the campaign's roles`);
+  }
+  if (hasSeat(capacity, role)) {
+    const [result] = await conn.query(
+      "INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status) VALUES (?, ?, ?, ?, ?, ?, 'pending')",
+      [campaign.id, volunteerId, role, taskNote, hours, respect]
+    );
+    return { status: 'joined', memberId: result.insertId };
+  }
+
+  const position = await nextPosition(conn, campaign.id);
+  await conn.query(`
+    INSERT INTO campaign_waitlist (campaign_id, volunteer_id, role, task_note, hours, respect, position, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'waiting')
+    ON DUPLICATE KEY UPDATE role = VALUES(role), task_note = VALUES(task_note), hours = VALUES(hours),
+      respect = VALUES(respect), position = VALUES(position), status = 'waiting', skipped_by = NULL,
+      promoted_at = NULL, created_at = CURRENT_TIMESTAMP
+  `, [campaign.id, volunteerId, role, taskNote, hours, respect, position]);
+  const [saved] = await conn.query(
+    'SELECT id FROM campaign_waitlist WHERE campaign_id = ? AND volunteer_id = ?',
+    [campaign.id, volunteerId]
+  );
+  return {
+    status: 'waitlisted',
+    entryId: saved[0].id,
+    position: await waitlistPosition(conn, campaign.id, volunteerId),
+    full: capacity.available === 0 ? 'campaign' : 'role'
+  };
+}
+
+// Promote waiting volunteers into free seats, in waitlist order. Returns the promoted entries
+// with campaign_title, for notifications.
+export async function fillFromWaitlist(conn, campaignId) {
+  const campaign = await lockCampaign(conn, campaignId);
+  if (campaign.status === 'Finished') return [];
+  const capacity = await getCapacity(conn, campaign);
+  const [waiting] = await conn.query(
+    "SELECT * FROM campaign_waitlist WHERE campaign_id = ? AND status = 'waiting' ORDER BY position, id",
+    [campaign.id]
+  );
+
+  const promoted = [];
+  for (const entry of waiting) {
+    if (capacity.available !== null && capacity.available <= 0) break;
+    if (!hasSeat(capacity, entry.role)) continue;
+    const [result] = await conn.query(
+      "INSERT INTO campaign_team (campaign_id, volunteer_id, role, task_note, hours, respect, approval_status) VALUES (?, ?, ?, ?, ?, ?, 'pending')",
+      [campaign.id, entry.volunteer_id, entry.role, entry.task_note, entry.hours, entry.respect]
+    );
+    await conn.query(
+      "UPDATE campaign_waitlist SET status = 'promoted', promoted_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [entry.id]
+    );
+    takeSeat(capacity, entry.role);
+    promoted.push({ ...entry, memberId: result.insertId, campaign_title: campaign.title });
+  }
+  return promoted;
+}
+
+// Waiting volunteers with their place in line, then skipped ones
+export async function listWaitlist(conn, campaignId) {
+  const [rows] = await conn.query(`
+    SELECT w.*, v.full_name, v.avatar, v.digital_id
+    FROM campaign_waitlist w
+    JOIN volunteers v ON v.id = w.volunteer_id
+    WHERE w.campaign_id = ? AND w.status IN ('waiting', 'skipped')
+    ORDER BY w.status = 'skipped', w.position, w.id
+  `, [campaignId]);
+  let place = 0;
+  return rows.map(row => ({ ...row, place: row.status === 'waiting' ? ++place : null }));
+}
+
+// Put the listed waiting entries first, in the given order; the others follow in their order
+export async function reorderWaitlist(conn, campaignId, entryIds) {
+  if (!Array.isArray(entryIds) || !entryIds.length) throw ledgerError('entryIds must list waitlist entries in their new order');
+  await lockCampaign(conn, campaignId);
+  const [waiting] = await conn.query(
+    "SELECT id FROM campaign_waitlist WHERE campaign_id = ? AND status = 'waiting' ORDER BY position, id",
+    [campaignId]
+  );
+  const known = new Set(waiting.map(row => row.id));
+  const first = entryIds.map(Number);
+  const unknown = first.find(id => !known.has(id));
+  if (unknown !== undefined) throw ledgerError(`Entry ${unknown} is not waiting on this campaign's waitlist`);
+  if (new Set(first).size !== first.length) throw ledgerError('entryIds lists an entry twice');
+
+  const order = [...first, ...waiting.map(row => row.id).filter(id => !first.includes(id))];
+  for (const [index, id] of order.entries()) {
+    await conn.query('UPDATE campaign_waitlist SET position = ? WHERE id = ?', [index + 1, id]);
+  }
+  return order.length;
+}
+
+// Skip a waiting volunteer, or put a skipped one back at the end of the line
+export async function setWaitlistSkipped(conn, campaignId, entryId, skipped, by) {
+  await lockCampaign(conn, campaignId);
+  const [rows] = await conn.query(
+    'SELECT * FROM campaign_waitlist WHERE id = ? AND campaign_id = ?',
+    [entryId, campaignId]
+  );
+  const entry = rows[0];
+  if (!entry) throw ledgerError('Waitlist entry not found', 404);
+  if (entry.status !== (skipped ? 'waiting' : 'skipped')) {
+    throw ledgerError(skipped ? 'Only waiting volunteers can be skipped' : 'This volunteer is not skipped', 409);
+  }
+  if (skipped) {
+    await conn.query("UPDATE campaign_waitlist SET status = 'skipped', skipped_by = ? WHERE id = ?", [by, entry.id]);
+  } else {
+    const position = await nextPosition(conn, campaignId);
+    await conn.query(
+      "UPDATE campaign_waitlist SET status = 'waiting', skipped_by = NULL, position = ? WHERE id = ?",
+      [position, entry.id]
+    );
+  }
+}
+
+// Take a volunteer off the waitlist at their request. Returns whether they were on it.
+export async function leaveWaitlist(conn, campaignId, volunteerId) {
+  const [result] = await conn.query(
+    "UPDATE campaign_waitlist SET status = 'left' WHERE campaign_id = ? AND volunteer_id = ? AND status IN ('waiting', 'skipped')",
+    [campaignId, volunteerId]
+  );
+  return result.affectedRows > 0;
+}
+
+// Remove a member from the team, freeing their seat and cancelling their shift signups.
+// Someone whose attendance was confirmed keeps their place, since their hours are credited for it.
+export async function removeTeamMember(conn, campaignId, member) {
+  const campaign = await lockCampaign(conn, campaignId);
+  if (member.volunteer_id === campaign.host_id) {
+    throw ledgerError('The campaign host cannot leave their own campaign', 409);
+  }
+  const [[{ confirmed }]] = await conn.query(
+    "SELECT COUNT(*) as confirmed FROM campaign_attendance WHERE campaign_id = ? AND volunteer_id = ? AND status = 'confirmed'",
+    [campaignId, member.volunteer_id]
+  );
+  if (Number(confirmed)) {
+    throw ledgerError('This volunteer already attended; reject their attendance first', 409);
+  }
+  await conn.query('DELETE FROM campaign_team WHERE id = ?', [member.id]);
+  await cancelCampaignSignups(conn, campaignId, member.volunteer_id);
+}
+
+// Role capacities: [{ role, capacity }] replaces the campaign's list
+export async function saveRoleCapacities(conn, campaignId, roles) {
+  if (!Array.isArray(roles)) throw ledgerError('roles must be a list of { role, capacity }');
+  const parsed = roles.map(({ role, capacity }) => {
+    const name = String(role || '').trim();
+    const limit = Number(capacity);
+    if (!name) throw ledgerError('Every role needs a name');
+    if (name === HOST_ROLE) throw ledgerError('The Program Host does not take a seat');
+    if (!Number.isInteger(limit) || limit < 0) throw ledgerError(`Capacity of ${name} must be a whole number of 0 or more`);
+    return { role: name, capacity: limit };
+  });
+  if (new Set(parsed.map(each => each.role)).size !== parsed.length) throw ledgerError('A role is listed twice');
+
+  await conn.query('DELETE FROM campaign_role_capacity WHERE campaign_id = ?', [campaignId]);
+  for (const { role, capacity } of parsed) {
+    await conn.query(
+      'INSERT INTO campaign_role_capacity (campaign_id, role, capacity) VALUES (?, ?, ?)',
+      [campaignId, role, capacity]
+    );
+  }
+}